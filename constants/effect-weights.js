@@ -7,6 +7,7 @@
  * @author AI Assistant
  * @created 2025-12-11
  * @modified 2025-12-12 - IIFE 패턴 적용 (전역 충돌 방지)
+ * @modified 2025-12-15 - 조회 함수에 사용자 가중치 프로필(SharedEffectWeights 덮어쓰기) 반영
  * 
  * @architecture
  * - EFFECT_WEIGHTS: DPS 관련 효과별 기본 가중치
@@ -323,6 +324,7 @@ const DEMERIT_NAME_MAP = Object.freeze({
   '치명타 확률 감소': 'CRIT_RATE_DECREASE',
   '스킬 사용 속도 감소': 'SKILL_SPEED_DECREASE',
   '캐스팅 속도 감소': 'CASTING_SPEED_DECREASE',
+  '캐스팅/차지 속도 감소': 'CASTING_SPEED_DECREASE',
   '차지 속도 감소': 'CASTING_SPEED_DECREASE',
   '받는 피해 증가': 'DAMAGE_TAKEN_INCREASE',
   '이동 속도 감소': 'MOVE_SPEED_DECREASE'
@@ -332,11 +334,42 @@ const DEMERIT_NAME_MAP = Object.freeze({
 // 섹션 6: 헬퍼 함수
 // ============================================================================
 
+/**
+ * 사용자 가중치 프로필 덮어쓰기 반영 (SharedEffectWeights 덮어쓰기 우선)
+ * - 프로필 값은 키별 절대값이라 이 사본의 기본값과 달라도 같은 값 사용
+ * 
+ * @param {string} group - 'effect' | 'type' | 'demerit'
+ * @param {Object} table - 이 모듈의 기본 가중치 표
+ * @param {string} key - 가중치 키
+ * @returns {number|undefined} 가중치
+ * @added 2025-12-15
+ */
+function resolveWeight(group, table, key) {
+  const shared = typeof window !== 'undefined' ? window.SharedEffectWeights : null;
+  const override = shared && shared.getWeightOverride ? shared.getWeightOverride(group, key) : undefined;
+  return override !== undefined ? override : table[key];
+}
+
+/**
+ * 프로필이 반영된 효과 가중치 표 (복사본)
+ * 
+ * @returns {Object} 키: 가중치
+ * @added 2025-12-15
+ */
+function getEffectWeights() {
+  const weights = {};
+  Object.keys(EFFECT_WEIGHTS).forEach(function(key) {
+    weights[key] = resolveWeight('effect', EFFECT_WEIGHTS, key);
+  });
+  return weights;
+}
+
 /**
  * 효과명으로 가중치 조회 (가장 긴 매칭 우선)
  * 
  * @param {string} effectName - 효과명
  * @returns {number} 가중치 (0~1.5)
+ * @updated 2025-12-15 - 사용자 가중치 프로필 반영
  * 
  * @example
  * const weight = getEffectWeight('공격력 증가');
@@ -346,7 +379,7 @@ function getEffectWeight(effectName) {
   // 직접 매핑 확인 (정확히 일치)
   const key = EFFECT_NAME_MAP[effectName];
   if (key && EFFECT_WEIGHTS[key] !== undefined) {
-    return EFFECT_WEIGHTS[key];
+    return resolveWeight('effect', EFFECT_WEIGHTS, key);
   }
   
   // 부분 매칭 시도 (가장 긴 매칭 우선)
@@ -363,7 +396,7 @@ function getEffectWeight(effectName) {
   if (bestMatch) {
     const mappedKey = EFFECT_NAME_MAP[bestMatch];
     if (EFFECT_WEIGHTS[mappedKey] !== undefined) {
-      return EFFECT_WEIGHTS[mappedKey];
+      return resolveWeight('effect', EFFECT_WEIGHTS, mappedKey);
     }
   }
   
@@ -375,11 +408,12 @@ function getEffectWeight(effectName) {
  * 
  * @param {string} demeritName - 결함명
  * @returns {number} 가중치 (0~1)
+ * @updated 2025-12-15 - 사용자 가중치 프로필 반영
  */
 function getDemeritWeight(demeritName) {
   const key = DEMERIT_NAME_MAP[demeritName];
   if (key && DEMERIT_WEIGHTS[key] !== undefined) {
-    return DEMERIT_WEIGHTS[key];
+    return resolveWeight('demerit', DEMERIT_WEIGHTS, key);
   }
   return 0;
 }
@@ -389,9 +423,10 @@ function getDemeritWeight(demeritName) {
  * 
  * @param {string} typeName - 유형명 (PERMANENT, TRIGGER, STACKING 등)
  * @returns {number} 가중치 (0~1)
+ * @updated 2025-12-15 - 사용자 가중치 프로필 반영
  */
 function getTypeWeight(typeName) {
-  return TYPE_WEIGHTS[typeName] !== undefined ? TYPE_WEIGHTS[typeName] : 0;
+  return TYPE_WEIGHTS[typeName] !== undefined ? resolveWeight('type', TYPE_WEIGHTS, typeName) : 0;
 }
 
 /**
@@ -417,6 +452,7 @@ if (typeof module !== 'undefined' && module.exports) {
     SYNERGY_WEIGHTS,
     EFFECT_NAME_MAP,
     DEMERIT_NAME_MAP,
+    getEffectWeights,
     getEffectWeight,
     getDemeritWeight,
     getTypeWeight,
@@ -433,6 +469,7 @@ if (typeof window !== 'undefined') {
     SYNERGY_WEIGHTS,
     EFFECT_NAME_MAP,
     DEMERIT_NAME_MAP,
+    getEffectWeights,
     getEffectWeight,
     getDemeritWeight,
     getTypeWeight,
@@ -0,0 +1,531 @@
+/**
+ * ============================================================================
+ * 마비노기 모바일 룬 효율 계산기 - 룬 데이터 스키마
+ * ============================================================================
+ * @file rune-schema.js
+ * @description runes-*.json 파싱 룬 형식의 JSON 스키마 및 검증기
+ * @author Dalkong Project
+ * @created 2025-12-15
+ *
+ * @architecture
+ * - RUNE_SCHEMA: 룬 1개 형식 (JSON Schema draft-07, 외부 검증기에서도 사용 가능)
+ * - RUNE_FILE_SCHEMA: 파일 형식 ({ version, lastUpdated, runes } 또는 배열)
+ * - validateRune/validateRuneFile: 스키마 + 필드 간 규칙 검증, 필드 경로별 오류 반환
+ * - 브라우저(window.RuneSchema)와 Node(module.exports) 모두 지원
+ *
+ * @usage
+ * - 브라우저: RuneSchema.validateRuneFile(data, 'runes-weapon.json')
+ * - Node: node scripts/validate-runes.js
+ * ============================================================================
+ */
+
+(function() {
+'use strict';
+
+// ============================================================================
+// 섹션 1: 스키마 정의
+// ============================================================================
+
+/**
+ * 룬 효과 유형 (runes-*.json effects[].type)
+ * @constant {Array<string>}
+ */
+const EFFECT_TYPES = ['PERMANENT', 'TRIGGER', 'STACKING', 'STATE', 'DECAY'];
+
+/**
+ * 파싱 룬 JSON 스키마
+ * @constant {Object}
+ * @description 지원 키워드: type, enum, required, properties, additionalProperties,
+ *              patternProperties, items, minimum, exclusiveMinimum, minLength,
+ *              pattern, dependencies, anyOf, $ref(#/definitions/*)
+ */
+const RUNE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'rune.schema.json',
+    title: '파싱 룬',
+    type: 'object',
+    required: ['id', 'name', 'category', 'categoryName', 'gradeName', 'effects', 'demerits',
+        'enhanceEffects', 'synergy', 'rawDescription'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1 },
+        category: { type: 'string', enum: ['01', '02', '03', '04'] },
+        categoryName: { type: 'string', enum: ['무기', '방어구', '장신구', '엠블럼'] },
+        gradeName: { type: 'string', minLength: 1 },
+        gradeColor: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+        type: { type: 'string', enum: ['SKILL_CHANGE'] },
+        dpsRelevant: { type: 'boolean' },
+        image: { type: 'string' },
+        effects: { type: 'array', items: { $ref: '#/definitions/effect' } },
+        demerits: { type: 'array', items: { $ref: '#/definitions/demerit' } },
+        enhanceEffects: { $ref: '#/definitions/enhanceEffects' },
+        synergy: { $ref: '#/definitions/synergy' },
+        classRestriction: { type: ['string', 'null'], minLength: 1 },
+        awakening: { anyOf: [{ type: 'null' }, { $ref: '#/definitions/awakening' }] },
+        rawDescription: { type: 'string', minLength: 1 }
+    },
+    definitions: {
+        effect: {
+            type: 'object',
+            required: ['type', 'name', 'dpsRelevant'],
+            additionalProperties: false,
+            properties: {
+                type: { type: 'string', enum: EFFECT_TYPES },
+                name: { type: 'string', minLength: 1 },
+                value: { type: 'number' },
+                unit: { type: 'string', enum: ['%', '초'] },
+                dpsRelevant: { type: 'boolean' },
+                stackValue: { type: 'number', exclusiveMinimum: 0 },
+                maxStacks: { type: 'integer', minimum: 1 },
+                trigger: { type: 'string', minLength: 1 },
+                note: { type: 'string' },
+                dotType: { type: 'string', minLength: 1 },
+                cooldown: { type: 'number', exclusiveMinimum: 0 },
+                duration: { type: 'number', exclusiveMinimum: 0 },
+                decayInfo: { $ref: '#/definitions/decayInfo' }
+            },
+            dependencies: {
+                value: ['unit'],
+                unit: ['value'],
+                stackValue: ['maxStacks'],
+                maxStacks: ['stackValue']
+            }
+        },
+        decayInfo: {
+            type: 'object',
+            required: ['interval', 'decayRate'],
+            additionalProperties: false,
+            properties: {
+                interval: { type: 'number', exclusiveMinimum: 0 },
+                decayRate: { type: 'number', exclusiveMinimum: 0 },
+                note: { type: 'string' }
+            }
+        },
+        demerit: {
+            type: 'object',
+            required: ['name', 'value', 'unit'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                value: { type: 'number' },
+                unit: { type: 'string', enum: ['%', '초'] },
+                note: { type: 'string' }
+            }
+        },
+        enhanceEffects: {
+            type: 'object',
+            required: ['10', '15'],
+            additionalProperties: false,
+            patternProperties: {
+                '^(10|15)$': {
+                    type: 'object',
+                    // 문자열 값은 수치가 없는 설명형 강화 효과 (예: "5초마다 추가"), 점수 계산에서 제외
+                    additionalProperties: {
+                        anyOf: [
+                            { type: 'number' },
+                            { type: 'string', minLength: 1 }
+                        ]
+                    }
+                }
+            }
+        },
+        synergy: {
+            type: 'object',
+            required: ['appliesDot', 'requiresDot', 'removesDemerits'],
+            additionalProperties: false,
+            properties: {
+                appliesDot: { type: 'array', items: { type: 'string', minLength: 1 } },
+                requiresDot: { type: 'array', items: { type: 'string', minLength: 1 } },
+                removesDemerits: { type: 'boolean' },
+                providesAwakening: { type: 'boolean' },
+                basicAttackCooldownReduction: { type: 'number' },
+                awakeningCooldownReduction: { type: 'number' },
+                applyArmorBreak: { type: 'boolean' },
+                doubleOnAwakening: { type: 'boolean' },
+                stackBonus: { type: 'number' },
+                note: { type: 'string' }
+            }
+        },
+        awakening: {
+            type: 'object',
+            required: ['trigger', 'cooldown', 'duration', 'effects'],
+            additionalProperties: false,
+            properties: {
+                trigger: { type: 'string', minLength: 1 },
+                cooldown: { type: 'number', exclusiveMinimum: 0 },
+                duration: { type: 'number', exclusiveMinimum: 0 },
+                note: { type: 'string' },
+                effects: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        additionalProperties: false,
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            value: { type: 'number' },
+                            unit: { type: 'string', enum: ['%', '초'] },
+                            trigger: { type: 'string' },
+                            cooldown: { type: 'number', exclusiveMinimum: 0 },
+                            note: { type: 'string' }
+                        },
+                        dependencies: { value: ['unit'] }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * 룬 데이터 파일 스키마
+ * @constant {Object}
+ * @description 무기 룬은 { version, lastUpdated, description, runes } 형태, 나머지는 배열
+ */
+const RUNE_FILE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'rune-file.schema.json',
+    title: '룬 데이터 파일',
+    anyOf: [
+        { type: 'array' },
+        {
+            type: 'object',
+            required: ['runes'],
+            properties: {
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                lastUpdated: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                description: { type: 'string' },
+                runes: { type: 'array' }
+            }
+        }
+    ]
+};
+
+/**
+ * 카테고리 코드 → 이름 (categoryName 일치 검사용)
+ * @constant {Object}
+ */
+const CATEGORY_NAMES = {
+    '01': '무기',
+    '02': '방어구',
+    '03': '장신구',
+    '04': '엠블럼'
+};
+
+// ============================================================================
+// 섹션 2: 스키마 검증기 (JSON Schema 부분 구현)
+// ============================================================================
+
+/**
+ * 값의 JSON 타입 이름
+ * @param {*} value - 값
+ * @returns {string} null/array/integer/number/string/boolean/object
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * 타입 일치 여부 (integer는 number에도 해당)
+ * @param {*} value - 값
+ * @param {string|Array<string>} expected - 스키마 type
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+    const actual = jsonType(value);
+    return [].concat(expected).some(function(type) {
+        return type === actual || (type === 'number' && actual === 'integer');
+    });
+}
+
+/**
+ * $ref 해석 (#/definitions/* 만 지원)
+ * @param {Object} root - 루트 스키마
+ * @param {string} ref - 참조 문자열
+ * @returns {Object} 참조 스키마
+ */
+function resolveRef(root, ref) {
+    const match = /^#\/definitions\/(.+)$/.exec(ref);
+    if (!match || !root.definitions || !root.definitions[match[1]]) {
+        throw new Error('지원하지 않는 $ref: ' + ref);
+    }
+    return root.definitions[match[1]];
+}
+
+/**
+ * 경로 문자열 결합
+ * @param {string} base - 상위 경로
+ * @param {string|number} key - 속성명 또는 인덱스
+ * @returns {string} 예: effects[1].maxStacks
+ */
+function joinPath(base, key) {
+    if (typeof key === 'number') return base + '[' + key + ']';
+    return base ? base + '.' + key : key;
+}
+
+/**
+ * 스키마 검증 (재귀)
+ * @param {*} value - 검증할 값
+ * @param {Object} schema - 스키마
+ * @param {string} path - 현재 경로
+ * @param {Object} root - 루트 스키마 ($ref 해석용)
+ * @param {Array} errors - 오류 누적 배열 [{ path, message }]
+ */
+function validateValue(value, schema, path, root, errors) {
+    if (schema.$ref) {
+        validateValue(value, resolveRef(root, schema.$ref), path, root, errors);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const passed = schema.anyOf.some(function(option) {
+            const optionErrors = [];
+            validateValue(value, option, path, root, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!passed) {
+            errors.push({ path: path, message: '허용된 형식 중 어느 것과도 일치하지 않습니다.' });
+        }
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({
+            path: path,
+            message: [].concat(schema.type).join(' 또는 ') + ' 타입이어야 합니다. (현재: ' + jsonType(value) + ')'
+        });
+        return;
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        errors.push({ path: path, message: '허용 값이 아닙니다: ' + JSON.stringify(value) + ' (허용: ' + schema.enum.join(', ') + ')' });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: path, message: schema.minimum + ' 이상이어야 합니다. (현재: ' + value + ')' });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path: path, message: schema.exclusiveMinimum + '보다 커야 합니다. (현재: ' + value + ')' });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: path, message: '빈 문자열일 수 없습니다.' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: path, message: '형식이 올바르지 않습니다: ' + JSON.stringify(value) });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach(function(item, index) {
+            validateValue(item, schema.items, joinPath(path, index), root, errors);
+        });
+    }
+
+    if (jsonType(value) === 'object') {
+        validateObject(value, schema, path, root, errors);
+    }
+}
+
+/**
+ * 객체 스키마 검증 (required/properties/additionalProperties/dependencies)
+ * @param {Object} value - 검증할 객체
+ * @param {Object} schema - 스키마
+ * @param {string} path - 현재 경로
+ * @param {Object} root - 루트 스키마
+ * @param {Array} errors - 오류 누적 배열
+ */
+function validateObject(value, schema, path, root, errors) {
+    (schema.required || []).forEach(function(key) {
+        if (value[key] === undefined) {
+            errors.push({ path: joinPath(path, key), message: '필수 필드가 없습니다.' });
+        }
+    });
+
+    Object.keys(value).forEach(function(key) {
+        const childPath = joinPath(path, key);
+        if (schema.properties && schema.properties[key]) {
+            validateValue(value[key], schema.properties[key], childPath, root, errors);
+            return;
+        }
+
+        const patternKey = Object.keys(schema.patternProperties || {}).find(function(pattern) {
+            return new RegExp(pattern).test(key);
+        });
+        if (patternKey) {
+            validateValue(value[key], schema.patternProperties[patternKey], childPath, root, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: childPath, message: '알 수 없는 필드입니다. (오타 확인)' });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            validateValue(value[key], schema.additionalProperties, childPath, root, errors);
+        }
+    });
+
+    Object.keys(schema.dependencies || {}).forEach(function(key) {
+        if (value[key] === undefined) return;
+        schema.dependencies[key].forEach(function(dependency) {
+            if (value[dependency] === undefined) {
+                errors.push({ path: joinPath(path, dependency), message: key + ' 필드가 있으면 필수입니다.' });
+            }
+        });
+    });
+}
+
+// ============================================================================
+// 섹션 3: 필드 간 규칙 (스키마로 표현하기 어려운 검증)
+// ============================================================================
+
+/**
+ * 룬 필드 간 일관성 검증
+ * @param {Object} rune - 룬 데이터 (스키마 검증 통과 가정)
+ * @param {Array} errors - 오류 누적 배열
+ */
+function validateRuneRules(rune, errors) {
+    if (CATEGORY_NAMES[rune.category] && rune.categoryName !== CATEGORY_NAMES[rune.category]) {
+        errors.push({
+            path: 'categoryName',
+            message: '카테고리 ' + rune.category + '의 이름은 ' + CATEGORY_NAMES[rune.category] + '이어야 합니다.'
+        });
+    }
+
+    (rune.effects || []).forEach(function(effect, index) {
+        const base = joinPath('effects', index);
+        if (effect.type === 'DECAY' && !effect.decayInfo) {
+            errors.push({ path: joinPath(base, 'decayInfo'), message: 'DECAY 효과에는 decayInfo가 필요합니다.' });
+        }
+        if (effect.decayInfo && effect.type !== 'DECAY') {
+            errors.push({ path: joinPath(base, 'decayInfo'), message: 'decayInfo는 DECAY 효과에만 사용합니다.' });
+        }
+        if (effect.stackValue !== undefined && effect.type !== 'STACKING') {
+            errors.push({ path: joinPath(base, 'stackValue'), message: '중첩 정보는 STACKING 효과에만 사용합니다.' });
+        }
+        // 최대 중첩 값 = 중첩당 값 × 최대 중첩 수
+        if (effect.stackValue !== undefined && effect.maxStacks !== undefined && effect.value !== undefined &&
+            Math.abs(effect.stackValue * effect.maxStacks - effect.value) > 0.01) {
+            errors.push({
+                path: joinPath(base, 'value'),
+                message: 'stackValue × maxStacks(' + effect.stackValue + ' × ' + effect.maxStacks + ')와 value(' + effect.value + ')가 다릅니다.'
+            });
+        }
+    });
+
+    if (rune.awakening && rune.category !== '04') {
+        errors.push({ path: 'awakening', message: '각성 효과는 엠블럼(04) 룬에만 사용합니다.' });
+    }
+    if (rune.synergy && rune.synergy.providesAwakening && !rune.awakening) {
+        errors.push({ path: 'awakening', message: 'synergy.providesAwakening이 true이면 awakening이 필요합니다.' });
+    }
+}
+
+// ============================================================================
+// 섹션 4: 공개 API
+// ============================================================================
+
+/**
+ * 룬 1개 검증
+ * @param {Object} rune - 룬 데이터
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+function validateRune(rune) {
+    const errors = [];
+    validateValue(rune, RUNE_SCHEMA, '', RUNE_SCHEMA, errors);
+    if (errors.length === 0) {
+        validateRuneRules(rune, errors);
+    }
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * 룬 데이터 파일 검증
+ * @param {Object|Array} data - 파일 내용 (파싱된 JSON)
+ * @param {string} [fileName] - 보고용 파일명
+ * @returns {Object} { valid, runes, validRunes, fileErrors, invalidRunes: [{ index, id, name, errors }] }
+ * @description 중복 ID도 함께 검사. validRunes는 오류 없는 룬만 포함
+ */
+function validateRuneFile(data, fileName) {
+    const fileErrors = [];
+    validateValue(data, RUNE_FILE_SCHEMA, fileName || '', RUNE_FILE_SCHEMA, fileErrors);
+
+    const runes = Array.isArray(data) ? data : (data && Array.isArray(data.runes) ? data.runes : []);
+    const invalidRunes = [];
+    const validRunes = [];
+    const seenIds = {};
+
+    runes.forEach(function(rune, index) {
+        const result = validateRune(rune);
+        const id = rune && rune.id;
+        if (id !== undefined && seenIds[id] !== undefined) {
+            result.errors.push({ path: 'id', message: '중복 ID입니다. (인덱스 ' + seenIds[id] + '와 중복)' });
+        } else if (id !== undefined) {
+            seenIds[id] = index;
+        }
+
+        if (result.errors.length > 0) {
+            invalidRunes.push({ index: index, id: id, name: rune && rune.name, errors: result.errors });
+        } else {
+            validRunes.push(rune);
+        }
+    });
+
+    return {
+        valid: fileErrors.length === 0 && invalidRunes.length === 0,
+        runes: runes,
+        validRunes: validRunes,
+        fileErrors: fileErrors,
+        invalidRunes: invalidRunes
+    };
+}
+
+/**
+ * 검증 결과를 사람이 읽을 수 있는 줄 목록으로 변환
+ * @param {Object} result - validateRuneFile 결과
+ * @param {string} [fileName] - 파일명
+ * @returns {Array<string>} 예: "runes-weapon.json[3] #4 무한 › effects[1].maxStacks: 1 이상이어야 합니다."
+ */
+function formatErrors(result, fileName) {
+    const prefix = fileName || '';
+    const lines = result.fileErrors.map(function(error) {
+        return (error.path || prefix) + ': ' + error.message;
+    });
+
+    result.invalidRunes.forEach(function(entry) {
+        const label = prefix + '[' + entry.index + '] #' + entry.id + ' ' + (entry.name || '(이름 없음)');
+        entry.errors.forEach(function(error) {
+            lines.push(label + ' › ' + (error.path || '(룬)') + ': ' + error.message);
+        });
+    });
+
+    return lines;
+}
+
+// ============================================================================
+// 섹션 5: 모듈 내보내기
+// ============================================================================
+
+const RuneSchema = {
+    EFFECT_TYPES,
+    RUNE_SCHEMA,
+    RUNE_FILE_SCHEMA,
+    validateRune,
+    validateRuneFile,
+    formatErrors
+};
+
+// Node 환경
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuneSchema;
+}
+
+// 브라우저 환경 - 전역 객체에 등록
+if (typeof window !== 'undefined') {
+    window.RuneSchema = RuneSchema;
+    console.log('✅ RuneSchema 상수 모듈 로드 완료');
+}
+})();
@@ -0,0 +1,810 @@
+/**
+ * ============================================================================
+ * 마비노기 모바일 룬 효율 계산기 - 전투 타임라인 시뮬레이터
+ * ============================================================================
+ * @file combat-simulator.js
+ * @description 행동 로테이션에 따라 전투를 이산 시간으로 진행하며
+ *              트리거/지속/중첩/감소 효과의 실제 업타임과 DPS 추이 계산
+ * @author Dalkong Project
+ * @created 2025-12-15
+ *
+ * @architecture
+ * - 환경 독립적 설계: window/self/Node 자동 감지
+ * - 입력: runes-*.json 스키마의 effects / awakening (RuneEffectParser.toRuneSchema 결과와 동일)
+ * - 결정적(deterministic) 시뮬레이션: 확률 효과는 누산기로 기대 빈도만큼 발동
+ * - 트리거 문구를 해석할 수 없는 효과는 calculateUptime / UPTIME_THRESHOLDS 추정값 사용
+ *   (결과에 simulated: false 로 표시)
+ *
+ * @usage
+ * - 메인: <script src="formulas/combat-simulator.js"></script>
+ * - Node: const CombatSimulator = require('../formulas/combat-simulator.js');
+ * - 접근: CombatSimulator.simulateCombat(runes, { rotation: { combo: 1.5 } })
+ * ============================================================================
+ */
+
+(function (global) {
+  "use strict";
+
+  // ============================================================================
+  // 섹션 1: 의존 모듈
+  // ============================================================================
+
+  /**
+   * 의존 모듈 조회 (브라우저/Worker: 전역, Node: require)
+   * @param {string} name - 전역 객체 이름
+   * @param {string} path - Node 모듈 경로
+   * @returns {Object|null} 모듈
+   */
+  function resolveModule(name, path) {
+    if (global && global[name]) return global[name];
+    if (typeof require === "function") {
+      try {
+        var loaded = require(path);
+        return loaded[name] || loaded;
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  var SharedFormulas = resolveModule("SharedFormulas", "./shared-formulas.js");
+  var SharedEffectWeights = resolveModule(
+    "SharedEffectWeights",
+    "./shared-formulas.js"
+  );
+
+  // ============================================================================
+  // 섹션 2: 기본 상수
+  // ============================================================================
+
+  /**
+   * 시뮬레이션 기본 설정
+   * @constant {Object}
+   */
+  var SIMULATION_DEFAULTS = Object.freeze({
+    /** 전투 시간 (초) */
+    DURATION: SharedFormulas
+      ? SharedFormulas.FORMULA_CONSTANTS.COMBAT_DURATION
+      : 120,
+
+    /** 시간 간격 (초) */
+    TIME_STEP: 0.1,
+
+    /** 타임라인 샘플 간격 (초) */
+    SAMPLE_INTERVAL: 1,
+
+    /** 해석할 수 없는 상태 조건의 업타임 (EFFECT_TYPE_WEIGHT.state와 동일) */
+    STATE_UPTIME: 0.7,
+  });
+
+  /**
+   * 기본 전투 시간 (사용자 가중치 프로필의 전투 시간 우선)
+   * @returns {number} 전투 시간 (초)
+   * @added 2025-12-15
+   */
+  function getDefaultDuration() {
+    return SharedFormulas && SharedFormulas.getCombatDuration
+      ? SharedFormulas.getCombatDuration()
+      : SIMULATION_DEFAULTS.DURATION;
+  }
+
+  /**
+   * 기본 행동 로테이션
+   * @constant {Object}
+   * @description 행동 빈도는 초당 횟수, Rate 항목은 적중 대비 비율 (0~1)
+   */
+  var DEFAULT_ROTATION = Object.freeze({
+    /** 연타 적중 (회/초) */
+    combo: 1.2,
+
+    /** 강타 적중 (회/초) */
+    heavy: 0.25,
+
+    /** 스킬 사용 (회/초) */
+    skill: 0.3,
+
+    /** 추가타 적중 (회/초) */
+    extraHit: 0.4,
+
+    /** 궁극기 사용 (회/초) */
+    ultimate: 1 / 60,
+
+    /** 적 처치 (회/초) - 보스전 기준 0 */
+    kill: 0,
+
+    /** 아군 회복 (회/초) */
+    heal: 0,
+
+    /** 적 도발 (회/초) */
+    taunt: 0,
+
+    /** 퀵슬롯 아이템/포션 사용 (회/초) */
+    item: 1 / 60,
+
+    /** 전력 변환 (회/초) */
+    powerShift: 0,
+
+    /** 치명타 비율 */
+    critRate: 0.4,
+
+    /** 무방비 적중 비율 */
+    defenselessRate: 0.1,
+
+    /** 지속 피해 보유 적 공격 비율 */
+    dotUptime: 0.8,
+  });
+
+  /**
+   * 트리거 문구 → 이벤트 매핑
+   * @constant {Array<Object>}
+   * @description 위에서부터 검사하며 일치한 모든 이벤트를 합산
+   *              (예: "강타/연타 공격 시" → heavy + combo)
+   */
+  var TRIGGER_EVENT_PATTERNS = [
+    { pattern: /궁극기/, event: "ultimate" },
+    { pattern: /지속 피해.*보유 적/, event: "dotHit" },
+    { pattern: /무방비/, event: "defenseless" },
+    { pattern: /치명타/, event: "crit" },
+    { pattern: /추가타/, event: "extraHit" },
+    { pattern: /강타/, event: "heavy" },
+    { pattern: /연타/, event: "combo" },
+    { pattern: /기본\s*공격/, event: "basic" },
+    { pattern: /스킬/, event: "skill" },
+    { pattern: /적\s*처치/, event: "kill" },
+    { pattern: /도발/, event: "taunt" },
+    { pattern: /회복\s*시/, event: "heal" },
+    { pattern: /퀵슬롯|포션/, event: "item" },
+    { pattern: /전력 변환/, event: "powerShift" },
+  ];
+
+  /**
+   * 파생 이벤트에서 제외할 기본 이벤트 (복합 조건에서 중복 집계 방지)
+   * @constant {Object}
+   */
+  var EVENT_SUPERSETS = Object.freeze({
+    basic: ["combo", "heavy"],
+    hit: ["combo", "heavy", "skill", "extraHit", "basic"],
+  });
+
+  // ============================================================================
+  // 섹션 3: 트리거 해석
+  // ============================================================================
+
+  /**
+   * 트리거 문구를 시뮬레이션 가능한 발동 조건으로 변환
+   *
+   * @param {string} trigger - 효과 트리거 문구 (예: "스킬 5회 사용 시", "공격 시 50% 확률")
+   * @param {number} [duration] - 전투 시간 (적 체력 조건 계산용)
+   * @returns {Object|null} { events, every, chance, interval, start, always, activeFrom } 또는 null
+   */
+  function parseTrigger(trigger, duration) {
+    if (!trigger) return null;
+    var text = String(trigger);
+    var combat = duration || getDefaultDuration();
+    var descriptor = { events: [], every: 1, chance: 1 };
+
+    var chanceMatch = text.match(/(\d+(?:\.\d+)?)%\s*확률/);
+    if (chanceMatch) descriptor.chance = parseFloat(chanceMatch[1]) / 100;
+
+    // 상시 조건 (클래스 레벨 달성 등)
+    if (/클래스 레벨/.test(text)) {
+      descriptor.always = true;
+      return descriptor;
+    }
+
+    // 적 체력 조건: 적 체력이 전투 동안 선형으로 감소한다고 가정
+    var enemyHealth = text.match(/적\s*체력\s*(\d+)%\s*이하/);
+    if (enemyHealth) {
+      descriptor.activeFrom = combat * (1 - parseInt(enemyHealth[1], 10) / 100);
+      return descriptor;
+    }
+
+    // 주기 발동 ("N초마다", "전투 시작 후 N초마다")
+    var interval = text.match(/(\d+(?:\.\d+)?)초(?:\/[\d.]+초)*마다/);
+    if (interval) {
+      descriptor.interval = parseFloat(interval[1]);
+      if (/전투 시작 후/.test(text)) descriptor.intervalOffset = descriptor.interval;
+      return descriptor;
+    }
+
+    if (/전투 시작/.test(text)) {
+      descriptor.start = true;
+      return descriptor;
+    }
+
+    // 선행 조건("A 후 B 시")은 마지막 조건만 사용
+    var clause = text.split(/\s후\s/).pop();
+
+    var everyMatch = clause.match(/(\d+)회\s*(?:적중|사용|공격)/);
+    if (everyMatch) descriptor.every = parseInt(everyMatch[1], 10);
+
+    TRIGGER_EVENT_PATTERNS.forEach(function (entry) {
+      if (entry.pattern.test(clause)) descriptor.events.push(entry.event);
+    });
+
+    if (descriptor.events.length === 0 && /공격|적중/.test(clause)) {
+      descriptor.events.push("hit");
+    }
+    if (descriptor.events.length === 0) return null;
+
+    // 여러 공격 유형과 치명타가 함께 나열되면 적중 전체로 처리
+    // (무방비/치명타는 적중의 부분집합이므로 "강타/연타/무방비/치명타/추가타"는 중복 집계하지 않음)
+    if (
+      descriptor.events.indexOf("crit") !== -1 &&
+      descriptor.events.length > 2
+    ) {
+      descriptor.events = ["hit"];
+    }
+    return descriptor;
+  }
+
+  /**
+   * 상태 조건의 추정 업타임 (시뮬레이션 불가 조건용)
+   *
+   * @param {string} trigger - 상태 조건 문구
+   * @returns {number} 업타임 (0~1)
+   */
+  function estimateStateUptime(trigger) {
+    // game-constants.js는 이 모듈보다 늦게 로드될 수 있으므로 호출 시점에 조회
+    var GameConstants = resolveModule("GameConstants", "../constants/game-constants.js");
+    var thresholds = GameConstants && GameConstants.UPTIME_THRESHOLDS;
+    var text = String(trigger || "");
+    if (!thresholds) return SIMULATION_DEFAULTS.STATE_UPTIME;
+
+    var health = text.match(/체력\s*(\d+)%\s*(이상|이하)/);
+    if (health) {
+      var percent = parseInt(health[1], 10);
+      if (health[2] === "이상") {
+        if (percent === 75) return thresholds.HEALTH.ABOVE_75;
+        if (percent === 50) return thresholds.HEALTH.ABOVE_50;
+        return thresholds.HEALTH.ABOVE_OTHER;
+      }
+      if (percent === 25) return thresholds.HEALTH.BELOW_25;
+      if (percent === 50) return thresholds.HEALTH.BELOW_50;
+      return thresholds.HEALTH.BELOW_OTHER;
+    }
+
+    var resource = text.match(/자원\s*(\d+)%\s*미만/);
+    if (resource) {
+      var resourcePercent = parseInt(resource[1], 10);
+      if (resourcePercent === 33) return thresholds.RESOURCE.BELOW_33;
+      if (resourcePercent === 50) return thresholds.RESOURCE.BELOW_50;
+      return thresholds.RESOURCE.BELOW_OTHER;
+    }
+
+    return SIMULATION_DEFAULTS.STATE_UPTIME;
+  }
+
+  // ============================================================================
+  // 섹션 4: 효과 → 시뮬레이션 항목 변환
+  // ============================================================================
+
+  /**
+   * 효과 1개를 시뮬레이션 항목으로 변환
+   *
+   * @param {Object} effect - 스키마 효과 { type, name, value, trigger, duration, cooldown, ... }
+   * @param {Object} source - { runeId, runeName }
+   * @param {number} combat - 전투 시간 (초)
+   * @returns {Object} 시뮬레이션 항목
+   */
+  function createEntry(effect, source, combat) {
+    var descriptor = parseTrigger(effect.trigger, combat);
+    var entry = {
+      runeId: source.runeId,
+      runeName: source.runeName,
+      name: effect.name,
+      type: effect.type,
+      trigger: effect.trigger || null,
+      value: typeof effect.value === "number" ? effect.value : 0,
+      unit: effect.unit || "",
+      duration: effect.duration || 0,
+      cooldown: effect.cooldown || 0,
+      dpsRelevant: effect.dpsRelevant !== false,
+      descriptor: descriptor,
+      simulated: true,
+      clock: {
+        readyAt: 0,
+        activeUntil: -1,
+        counter: 0,
+        chanceAccumulator: 0,
+        nextIntervalAt: null,
+        stacks: [],
+        startAt: null,
+      },
+      stats: { activeTime: 0, stackTime: 0, valueTime: 0, peakValue: 0, activations: 0 },
+    };
+
+    if (effect.type === "PERMANENT" || (effect.type !== "DECAY" && !effect.trigger)) {
+      entry.mode = "permanent";
+      return entry;
+    }
+
+    if (effect.type === "DECAY") {
+      entry.mode = "decay";
+      entry.decayRate = (effect.decayInfo && effect.decayInfo.decayRate) || 0;
+      entry.decayInterval = (effect.decayInfo && effect.decayInfo.interval) || 1;
+      if (!descriptor) entry.descriptor = { start: true, events: [] };
+      return entry;
+    }
+
+    if (effect.type === "STACKING") {
+      entry.mode = "stack";
+      entry.maxStacks = effect.maxStacks || 1;
+      entry.stackValue =
+        effect.stackValue || (effect.maxStacks ? entry.value / effect.maxStacks : entry.value);
+      entry.individual = /개별|별도/.test((effect.note || "") + " " + (effect.trigger || ""));
+    } else {
+      entry.mode = entry.duration > 0 ? "buff" : "instant";
+    }
+
+    // 적 체력 조건은 지속 시간과 관계없이 조건 충족 동안 유지
+    if (descriptor && descriptor.activeFrom !== undefined) {
+      entry.mode = "condition";
+      return entry;
+    }
+
+    // 전투 시작/상시 조건의 비중첩 효과는 전투 내내 유지
+    if (descriptor && (descriptor.start || descriptor.always) && entry.mode !== "stack") {
+      entry.mode = "permanent";
+      return entry;
+    }
+
+    // 지속 시간 없는 상태 조건("보유 적 공격 시" 등)은 이벤트가 아닌 상태로 취급
+    if (effect.type === "STATE" && entry.duration === 0) descriptor = null;
+
+    if (!descriptor) {
+      entry.descriptor = null;
+      entry.simulated = false;
+      entry.estimatedUptime =
+        effect.type === "STATE" || entry.duration === 0
+          ? estimateStateUptime(effect.trigger)
+          : calculateFallbackUptime(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * 해석 불가 트리거 효과의 평균 업타임 (기존 독립 평균 공식)
+   * @param {Object} entry - 시뮬레이션 항목
+   * @returns {number} 업타임 (0~1)
+   */
+  function calculateFallbackUptime(entry) {
+    if (!SharedFormulas) return SIMULATION_DEFAULTS.STATE_UPTIME;
+    return SharedFormulas.calculateUptime(entry.duration, entry.cooldown);
+  }
+
+  /**
+   * 룬 목록을 시뮬레이션 항목으로 변환
+   *
+   * @param {Array<Object>} runes - 룬 데이터 (effects, awakening)
+   * @param {Object} options - simulateCombat 옵션
+   * @returns {Array<Object>} 시뮬레이션 항목
+   * @description 엠블럼 각성은 효과별 항목이 하나의 clock(발동 타이머)을 공유
+   */
+  function buildEntries(runes, options) {
+    var entries = [];
+
+    (runes || []).forEach(function (rune) {
+      var source = { runeId: rune.id, runeName: rune.name };
+
+      (rune.effects || []).forEach(function (effect) {
+        entries.push(createEntry(effect, source, options.duration));
+      });
+
+      var awakening = rune.awakening;
+      if (!awakening || !awakening.duration) return;
+
+      var cooldown = Math.max(
+        0,
+        (awakening.cooldown || 0) - (options.awakeningCooldownReduction || 0)
+      );
+      var leader = null;
+
+      (awakening.effects || []).forEach(function (effect) {
+        if (typeof effect.value !== "number") return;
+        var entry = createEntry(
+          {
+            type: "TRIGGER",
+            name: effect.name,
+            value: effect.value,
+            unit: effect.unit,
+            trigger: awakening.trigger,
+            duration: awakening.duration,
+            cooldown: cooldown,
+          },
+          source,
+          options.duration
+        );
+        entry.type = "AWAKENING";
+        if (leader) {
+          entry.clock = leader.clock;
+          entry.follower = true;
+        } else {
+          leader = entry;
+        }
+        entries.push(entry);
+      });
+    });
+
+    return entries;
+  }
+
+  // ============================================================================
+  // 섹션 5: 시뮬레이션 루프
+  // ============================================================================
+
+  /**
+   * 로테이션 기반 이벤트 생성기
+   *
+   * @param {Object} rotation - 행동 로테이션 (DEFAULT_ROTATION 형식)
+   * @returns {Function} (dt) → 이번 구간의 이벤트별 발생 횟수
+   * @description 빈도 × 시간을 누산하여 정수 횟수만큼 발생 (결정적)
+   */
+  function createEventSource(rotation) {
+    var accumulators = {};
+    var actions = ["combo", "heavy", "skill", "extraHit", "ultimate", "kill", "heal", "taunt", "item", "powerShift"];
+
+    function take(key, amount) {
+      accumulators[key] = (accumulators[key] || 0) + amount;
+      var count = Math.floor(accumulators[key] + 1e-9);
+      accumulators[key] -= count;
+      return count;
+    }
+
+    return function (dt) {
+      var counts = {};
+      actions.forEach(function (action) {
+        counts[action] = take(action, (rotation[action] || 0) * dt);
+      });
+
+      counts.basic = counts.combo + counts.heavy;
+      counts.hit = counts.basic + counts.skill + counts.extraHit;
+      counts.crit = take("crit", counts.hit * (rotation.critRate || 0));
+      counts.defenseless = take("defenseless", counts.hit * (rotation.defenselessRate || 0));
+      counts.dotHit = take("dotHit", counts.hit * (rotation.dotUptime || 0));
+      return counts;
+    };
+  }
+
+  /**
+   * 이번 구간에 조건이 충족된 횟수
+   *
+   * @param {Object} descriptor - parseTrigger 결과
+   * @param {Object} counts - 이벤트별 발생 횟수
+   * @returns {number} 발생 횟수
+   */
+  function countEvents(descriptor, counts) {
+    var events = descriptor.events;
+    var total = 0;
+    events.forEach(function (event) {
+      // "기본 공격"과 "연타"가 함께 있으면 연타를 중복 집계하지 않음
+      var superset = events.some(function (other) {
+        return other !== event && (EVENT_SUPERSETS[other] || []).indexOf(event) !== -1;
+      });
+      if (!superset) total += counts[event] || 0;
+    });
+    return total;
+  }
+
+  /**
+   * 효과 발동 처리
+   * @param {Object} entry - 시뮬레이션 항목
+   * @param {number} time - 현재 시각 (초)
+   */
+  function fire(entry, time) {
+    var clock = entry.clock;
+    clock.readyAt = time + entry.cooldown;
+    entry.stats.activations++;
+
+    if (entry.mode === "buff") {
+      clock.activeUntil = time + entry.duration;
+    } else if (entry.mode === "decay") {
+      clock.startAt = time;
+    } else if (entry.mode === "stack") {
+      var expiry = entry.duration > 0 ? time + entry.duration : Infinity;
+      if (entry.individual) {
+        clock.stacks.push(expiry);
+        if (clock.stacks.length > entry.maxStacks) clock.stacks.shift();
+      } else {
+        // 공유 지속 시간: 중첩 추가 시 모든 중첩 갱신
+        var count = Math.min(entry.maxStacks, clock.stacks.length + 1);
+        clock.stacks = [];
+        for (var i = 0; i < count; i++) clock.stacks.push(expiry);
+      }
+    }
+  }
+
+  /**
+   * 한 구간 동안 효과의 발동 조건 처리
+   *
+   * @param {Object} entry - 시뮬레이션 항목
+   * @param {number} time - 구간 시작 시각 (초)
+   * @param {Object} counts - 이벤트별 발생 횟수
+   */
+  function processTriggers(entry, time, counts) {
+    var descriptor = entry.descriptor;
+    var clock = entry.clock;
+    if (!descriptor || entry.follower) return;
+
+    var occurrences = 0;
+    if (descriptor.always) {
+      occurrences = time === 0 ? entry.maxStacks || 1 : 0;
+    } else if (descriptor.start) {
+      occurrences = time === 0 ? 1 : 0;
+    } else if (descriptor.interval) {
+      if (clock.nextIntervalAt === null) clock.nextIntervalAt = descriptor.intervalOffset || 0;
+      while (time >= clock.nextIntervalAt - 1e-9) {
+        occurrences++;
+        clock.nextIntervalAt += descriptor.interval;
+      }
+    } else if (descriptor.events.length) {
+      clock.counter += countEvents(descriptor, counts);
+      occurrences = Math.floor(clock.counter / descriptor.every);
+      clock.counter -= occurrences * descriptor.every;
+    }
+
+    for (var i = 0; i < occurrences; i++) {
+      if (time < clock.readyAt) {
+        // 재사용 대기 중: "N회 적중" 카운터는 발동 가능해질 때까지 보존
+        if (descriptor.every > 1) clock.counter = Math.max(clock.counter, descriptor.every);
+        break;
+      }
+      if (descriptor.chance < 1) {
+        clock.chanceAccumulator += descriptor.chance;
+        if (clock.chanceAccumulator < 1 - 1e-9) continue;
+        clock.chanceAccumulator -= 1;
+      }
+      fire(entry, time);
+      if (entry.mode !== "stack") break;
+    }
+  }
+
+  /**
+   * 현재 시각의 효과 상태
+   *
+   * @param {Object} entry - 시뮬레이션 항목
+   * @param {number} time - 현재 시각 (초)
+   * @returns {Object} { value, stacks, active }
+   */
+  function sampleEntry(entry, time) {
+    var clock = entry.clock;
+
+    switch (entry.mode) {
+      case "permanent":
+        return { value: entry.value, stacks: 0, active: true };
+
+      case "condition":
+        var met = time >= entry.descriptor.activeFrom;
+        return { value: met ? entry.value : 0, stacks: 0, active: met };
+
+      case "decay":
+        if (clock.startAt === null) return { value: 0, stacks: 0, active: false };
+        var steps = Math.floor((time - clock.startAt) / entry.decayInterval + 1e-9);
+        var decayed = Math.max(0, entry.value - entry.decayRate * steps);
+        return { value: decayed, stacks: 0, active: decayed > 0 };
+
+      case "stack":
+        clock.stacks = clock.stacks.filter(function (expiry) {
+          return expiry > time;
+        });
+        var stacks = clock.stacks.length;
+        return { value: stacks * entry.stackValue, stacks: stacks, active: stacks > 0 };
+
+      case "buff":
+        var active = time < clock.activeUntil;
+        return { value: active ? entry.value : 0, stacks: 0, active: active };
+
+      default:
+        return { value: 0, stacks: 0, active: false };
+    }
+  }
+
+  /**
+   * DPS 지수 계산 (1 + Σ 효과값 × 효과 가중치 / 100)
+   *
+   * @param {Object} totals - 효과명별 현재 합산값 (%)
+   * @returns {number} DPS 지수
+   */
+  function calculateDpsIndex(totals) {
+    var index = 1;
+    Object.keys(totals).forEach(function (name) {
+      var weight = SharedEffectWeights ? SharedEffectWeights.getEffectWeight(name) : 1;
+      index += (totals[name] * weight) / 100;
+    });
+    return index;
+  }
+
+  /**
+   * 전투 시뮬레이션 실행
+   *
+   * @param {Array<Object>} runes - 장착 룬 (runes-*.json 스키마)
+   * @param {Object} [options] - 시뮬레이션 옵션
+   * @param {number} [options.duration] - 전투 시간 (초, 기본 getDefaultDuration)
+   * @param {number} [options.dt] - 시간 간격 (초)
+   * @param {number} [options.sampleInterval] - 타임라인 샘플 간격 (초)
+   * @param {Object} [options.rotation] - 행동 로테이션 (DEFAULT_ROTATION 일부 덮어쓰기)
+   * @param {number} [options.awakeningCooldownReduction] - 각성 쿨타임 감소량 (초)
+   * @returns {Object} { duration, rotation, effects, totals, timeline, averageDpsIndex }
+   *
+   * @example
+   * CombatSimulator.simulateCombat([rune], { rotation: { skill: 0.5 } }).effects[0].uptime
+   */
+  function simulateCombat(runes, options) {
+    var input = options || {};
+    var settings = {
+      duration: input.duration || getDefaultDuration(),
+      dt: input.dt || SIMULATION_DEFAULTS.TIME_STEP,
+      sampleInterval: input.sampleInterval || SIMULATION_DEFAULTS.SAMPLE_INTERVAL,
+      awakeningCooldownReduction: input.awakeningCooldownReduction || 0,
+      rotation: input.rotation,
+    };
+    if (!(settings.duration > 0) || !(settings.dt > 0)) {
+      throw new Error("전투 시간과 시간 간격은 0보다 커야 합니다.");
+    }
+
+    var rotation = Object.assign({}, DEFAULT_ROTATION, settings.rotation || {});
+    var entries = buildEntries(runes, settings);
+    var nextEvents = createEventSource(rotation);
+    var steps = Math.round(settings.duration / settings.dt);
+    var sampleEvery = Math.max(1, Math.round(settings.sampleInterval / settings.dt));
+    var timeline = [];
+    var dpsIndexSum = 0;
+
+    for (var step = 0; step < steps; step++) {
+      var time = step * settings.dt;
+      var counts = nextEvents(settings.dt);
+      var totals = {};
+
+      entries.forEach(function (entry) {
+        var state;
+        if (entry.simulated) {
+          processTriggers(entry, time, counts);
+          state = sampleEntry(entry, time);
+        } else {
+          // 해석 불가 효과: 추정 업타임만큼의 평균값
+          state = { value: entry.value * entry.estimatedUptime, stacks: 0, active: true };
+        }
+
+        var stats = entry.stats;
+        if (state.active) stats.activeTime += settings.dt;
+        stats.stackTime += state.stacks * settings.dt;
+        stats.valueTime += state.value * settings.dt;
+        stats.peakValue = Math.max(stats.peakValue, state.value);
+
+        if (entry.dpsRelevant && entry.unit === "%" && state.value > 0) {
+          totals[entry.name] = (totals[entry.name] || 0) + state.value;
+        }
+      });
+
+      var dpsIndex = calculateDpsIndex(totals);
+      dpsIndexSum += dpsIndex;
+
+      if (step % sampleEvery === 0) {
+        timeline.push({ time: round(time, 2), dpsIndex: round(dpsIndex, 4), effects: roundValues(totals) });
+      }
+    }
+
+    return summarize(entries, settings, rotation, timeline, dpsIndexSum / steps);
+  }
+
+  // ============================================================================
+  // 섹션 6: 결과 요약
+  // ============================================================================
+
+  /**
+   * 소수점 반올림
+   * @param {number} value - 값
+   * @param {number} digits - 자릿수
+   * @returns {number} 반올림 값
+   */
+  function round(value, digits) {
+    var factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * 객체 값 전체 반올림 (소수 둘째 자리)
+   * @param {Object} values - 이름별 값
+   * @returns {Object} 반올림된 사본
+   */
+  function roundValues(values) {
+    var result = {};
+    Object.keys(values).forEach(function (key) {
+      result[key] = round(values[key], 2);
+    });
+    return result;
+  }
+
+  /**
+   * 시뮬레이션 결과 요약
+   *
+   * @param {Array<Object>} entries - 시뮬레이션 항목
+   * @param {Object} settings - 적용된 옵션
+   * @param {Object} rotation - 적용된 로테이션
+   * @param {Array<Object>} timeline - 샘플 타임라인
+   * @param {number} averageDpsIndex - 평균 DPS 지수
+   * @returns {Object} 결과
+   */
+  function summarize(entries, settings, rotation, timeline, averageDpsIndex) {
+    var combat = settings.duration;
+    var totals = {};
+
+    var effects = entries.map(function (entry) {
+      var averageValue = entry.stats.valueTime / combat;
+      if (entry.dpsRelevant && entry.unit === "%" && averageValue > 0) {
+        totals[entry.name] = (totals[entry.name] || 0) + averageValue;
+      }
+
+      var result = {
+        runeId: entry.runeId,
+        runeName: entry.runeName,
+        name: entry.name,
+        type: entry.type,
+        trigger: entry.trigger,
+        value: entry.value,
+        unit: entry.unit,
+        simulated: entry.simulated,
+        uptime: round(entry.simulated ? entry.stats.activeTime / combat : entry.estimatedUptime, 4),
+        averageValue: round(averageValue, 2),
+        peakValue: round(entry.stats.peakValue, 2),
+        activations: entry.follower || entry.mode === "permanent" ? null : entry.stats.activations,
+      };
+
+      if (entry.mode === "stack") {
+        result.averageStacks = round(entry.stats.stackTime / combat, 2);
+        result.maxStacks = entry.maxStacks;
+      }
+      // 독립 평균 공식과 비교용 (트리거 + 지속 + 쿨타임 효과)
+      if (entry.duration > 0 && entry.cooldown > 0 && SharedFormulas) {
+        result.formulaUptime = round(SharedFormulas.calculateUptime(entry.duration, entry.cooldown), 4);
+      }
+      return result;
+    });
+
+    return {
+      duration: combat,
+      dt: settings.dt,
+      rotation: rotation,
+      effects: effects,
+      totals: roundValues(totals),
+      averageDpsIndex: round(averageDpsIndex, 4),
+      timeline: timeline,
+    };
+  }
+
+  // ============================================================================
+  // 섹션 7: 모듈 내보내기
+  // ============================================================================
+
+  /**
+   * 전투 시뮬레이터 모듈
+   */
+  var CombatSimulator = {
+    // 상수
+    SIMULATION_DEFAULTS: SIMULATION_DEFAULTS,
+    DEFAULT_ROTATION: DEFAULT_ROTATION,
+
+    // 트리거 해석
+    parseTrigger: parseTrigger,
+    estimateStateUptime: estimateStateUptime,
+
+    // 시뮬레이션
+    simulateCombat: simulateCombat,
+    calculateDpsIndex: calculateDpsIndex,
+  };
+
+  // 전역 객체에 등록 (Worker: self, 브라우저: window, Node: module.exports)
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CombatSimulator;
+  }
+  if (global) {
+    global.CombatSimulator = CombatSimulator;
+  }
+})(
+  typeof self !== "undefined"
+    ? self
+    : typeof window !== "undefined"
+    ? window
+    : this
+);
@@ -12,6 +12,13 @@
  * - 최대 가능 점수를 사전 계산
  * - 현재 점수 + 남은 최대 점수 < 최고 점수면 스킵
  * - 시너지 효과를 조합 단위로 계산
+ * - startExact: 실제 점수 함수에서 유도한 룬별 상한으로 정확 탐색 (섹션 10)
+ * - topN > 1: 서로 minRuneDifference개 이상 다른 상위 조합 목록(topCombinations) 반환
+ * - planUpgrade: 현재 장착에서 목표 조합까지 교체/강화 단계 순서 계획 (섹션 12)
+ * - 목적 함수: role tank → 유효 체력, healer → 초당 회복량 (role-models.js, 정확 탐색으로 처리)
+ * - startPareto: 효율 점수/유효 체력/스킬 회전율 3축 파레토 프런트(paretoFront) 정확 탐색
+ * - startSensitivity: 가중치를 하나씩 바꿔 정확 탐색을 반복, 시행별 1위 조합 반환 (섹션 13)
+ * - options.weightProfile: 사용자 가중치 프로필 (메시지마다 SharedEffectWeights 덮어쓰기로 적용)
  *
  * @performance
  * - 가지치기로 80~95% 계산량 감소 예상
@@ -20,6 +27,8 @@
  *
  * @dependencies
  * - shared-formulas.js (importScripts로 로드)
+ * - synergy-engine.js (importScripts로 로드, synergy-rules.json 규칙 동기 로드)
+ * - stat-formulas.js, role-models.js (importScripts로 로드, 역할 목적 함수)
  * ============================================================================
  */
 
@@ -28,32 +37,30 @@
 // ============================================================================
 // 공유 모듈 로드 (환경 독립적 함수/상수)
 // ============================================================================
-importScripts("./shared-formulas.js");
+importScripts(
+  "./shared-formulas.js",
+  "./synergy-engine.js",
+  "./stat-formulas.js",
+  "./role-models.js"
+);
+
+// 시너지 규칙 로드 (실패 시 규칙 없이 계산)
+try {
+  self.SynergyEngine.loadRulesSync("../synergy-rules.json");
+} catch (error) {
+  console.error("[Worker] 시너지 규칙 로드 실패:", error);
+}
 
 // 공유 모듈 참조 (가독성을 위해 별칭 생성)
 const Formulas = self.SharedFormulas;
 const Weights = self.SharedEffectWeights;
+const Synergy = self.SynergyEngine;
+const RoleModels = self.RoleModels;
 
 // ============================================================================
 // 섹션 1: 상수 및 설정
 // ============================================================================
 
-/**
- * 시너지 효과 계산용 상수 (실제 효과 값 기반)
- * @constant {Object}
- * @description 매직넘버 대신 실제 효과 가중치를 사용
- * @updated 2025-12-11 - 실제 효과 값 기반으로 변경
- */
-const SYNERGY_CALC = {
-  DOT_DAMAGE_PER_TICK: 5, // DoT 틱당 기본 피해 (%)
-  DOT_TICKS_PER_SECOND: 1, // 초당 DoT 틱 수
-  DOT_UPTIME: 0.7, // DoT 평균 가동률
-  CONDITIONAL_UPTIME: 0.8, // 조건부 효과 업타임 배수
-  DEMERIT_RECOVERY_RATE: 1.0, // 결함 상쇄 시 회복 비율 (100%)
-  AWAKENING_DOUBLE_BONUS_RATE: 0.3, // 각성 2배 효과 시 추가 보너스 비율
-  STACKING_EXTRA_RATE: 0.15, // 중첩 보너스 시 추가 비율
-};
-
 /**
  * 가지치기용 최대 시너지 보너스 계산
  * - 실제 효과 값 기반으로 동적 계산됨
@@ -102,24 +109,6 @@ const SUB_STAT_PRIORITY_EFFECTS = {
 //       Weights.DEMERIT_WEIGHTS, Weights.EFFECT_NAME_MAP, Weights.DEMERIT_NAME_MAP
 // ============================================================================
 
-/**
- * 룬 내 시너지 보너스 (같은 계열 효과가 여러 개 있을 때)
- * @constant {Object}
- */
-const INTRA_RUNE_SYNERGY = {
-  // 치명타 확률 + 치명타 피해 = 1.3배 보너스
-  CRIT_COMBO: { effects: ["CRIT_RATE", "CRIT_DAMAGE"], bonus: 1.3 },
-  // 추가타 확률 + 추가타 피해 = 1.3배 보너스
-  ADDITIONAL_COMBO: {
-    effects: ["ADDITIONAL_HIT_RATE", "ADDITIONAL_HIT_DAMAGE"],
-    bonus: 1.3,
-  },
-  // 공격력 + 피해량 = 1.2배 보너스
-  DAMAGE_COMBO: { effects: ["ATTACK_INCREASE", "DAMAGE_INCREASE"], bonus: 1.2 },
-  // 스킬 피해 + 쿨타임 회복 = 1.2배 보너스
-  SKILL_COMBO: { effects: ["SKILL_DAMAGE", "COOLDOWN_RECOVERY"], bonus: 1.2 },
-};
-
 // ============================================================================
 // 공유 함수 래퍼 (shared-formulas.js 참조, 중복 제거)
 // ============================================================================
@@ -263,47 +252,6 @@ function calculateBonusBalance(attackBonus, damageBonus) {
   return Formulas.calculateBonusBalance(attackBonus || 0, damageBonus || 0);
 }
 
-/**
- * 룬의 효과 키 목록 추출
- * @param {Object} rune - 룬 데이터
- * @returns {Array<string>} 효과 키 목록
- */
-function getRuneEffectKeys(rune) {
-  const keys = [];
-  const nameMap = Weights.EFFECT_NAME_MAP;
-  if (rune.effects && Array.isArray(rune.effects)) {
-    rune.effects.forEach((effect) => {
-      const name = effect.name || "";
-      for (const key in nameMap) {
-        if (name.indexOf(key) !== -1) {
-          keys.push(nameMap[key]);
-          break;
-        }
-      }
-    });
-  }
-  return keys;
-}
-
-/**
- * 룬 내 시너지 보너스 계산
- * @param {Array<string>} effectKeys - 효과 키 목록
- * @returns {number} 시너지 보너스 배수
- */
-function calculateIntraRuneSynergy(effectKeys) {
-  let bonus = 1.0;
-
-  for (const synergyName in INTRA_RUNE_SYNERGY) {
-    const synergy = INTRA_RUNE_SYNERGY[synergyName];
-    const hasAll = synergy.effects.every((e) => effectKeys.includes(e));
-    if (hasAll) {
-      bonus *= synergy.bonus;
-    }
-  }
-
-  return bonus;
-}
-
 // ============================================================================
 // 섹션 2: 룬 개별 점수 계산 (2단계 탐색용)
 // ============================================================================
@@ -476,6 +424,89 @@ function nCr(n, r) {
   return Math.round(result);
 }
 
+/**
+ * 조합 식별 키 생성 (슬롯 순서와 무관하게 동일 조합 판별)
+ * @param {Object} combination - 룬 조합
+ * @returns {string} 조합 키
+ */
+function getCombinationKey(combination) {
+  const ids = (runes) => runes.map((r) => r.id).sort((a, b) => a - b).join(",");
+  return [
+    combination.weapon.id,
+    ids(combination.armors),
+    combination.emblem.id,
+    ids(combination.accessories),
+  ].join("|");
+}
+
+/**
+ * 상위 N개 조합 순위표 생성
+ * - 점수 내림차순 유지, 동일 조합 중복 제거
+ * - minDifference > 1이면 서로 minDifference개 이상 룬이 다른 조합만 유지
+ *   (비슷한 조합이 들어오면 점수가 높은 쪽만 남김)
+ * - threshold()는 가지치기 기준 점수 (순위표가 차기 전까지는 -Infinity)
+ * @param {number} limit - 유지할 조합 수
+ * @param {number} [minDifference=1] - 조합 간 최소 룬 차이 (@added 2025-12-15)
+ * @returns {Object} { offer, threshold, list }
+ */
+function createCombinationRanking(limit, minDifference = 1) {
+  let entries = [];
+  const keys = new Set();
+
+  return {
+    offer(score, combination) {
+      if (entries.length >= limit && score <= entries[entries.length - 1].score) {
+        return false;
+      }
+      const key = getCombinationKey(combination);
+      if (keys.has(key)) return false;
+
+      if (minDifference > 1) {
+        const similar = entries.filter(
+          (entry) =>
+            Formulas.countCombinationDifference(combination, entry.combination) <
+            minDifference
+        );
+        if (similar.some((entry) => entry.score >= score)) return false;
+        if (similar.length > 0) {
+          entries = entries.filter((entry) => !similar.includes(entry));
+          similar.forEach((entry) => keys.delete(entry.key));
+        }
+      }
+
+      let idx = entries.findIndex((entry) => score > entry.score);
+      if (idx === -1) idx = entries.length;
+      entries.splice(idx, 0, { score, combination, key });
+      keys.add(key);
+
+      if (entries.length > limit) {
+        keys.delete(entries.pop().key);
+      }
+      return true;
+    },
+    threshold() {
+      return entries.length >= limit
+        ? entries[entries.length - 1].score
+        : -Infinity;
+    },
+    /**
+     * 순위 목록 (postMessage용 직렬화, 1위와의 점수 차 포함)
+     * @returns {Array<Object>} [{ rank, score, gap, combination }]
+     */
+    list() {
+      return Formulas.mergeCombinationRankings(
+        [entries],
+        limit,
+        minDifference
+      ).map((entry) =>
+        Object.assign(entry, {
+          combination: serializeCombination(entry.combination),
+        })
+      );
+    },
+  };
+}
+
 /**
  * 클래스 코드로 우선 효과 목록 조회
  * @param {string} classCode - 클래스 코드
@@ -505,9 +536,6 @@ function calculateRuneBaseScore(rune, options) {
   const { role, classCode, stats } = options;
   const classPriorityEffects = getClassPriorityEffects(classCode);
 
-  // 룬 내 효과 키 목록 추출 (시너지 계산용)
-  const effectKeys = getRuneEffectKeys(rune);
-
   let score = 0;
 
   // 효과 점수
@@ -627,9 +655,8 @@ function calculateRuneBaseScore(rune, options) {
     });
   }
 
-  // 룬 내 시너지 보너스 적용 (치명타 확률 + 치명타 피해 등)
-  const synergyBonus = calculateIntraRuneSynergy(effectKeys);
-  score *= synergyBonus;
+  // 룬 내 시너지 보너스 적용 (synergy-rules.json scope "rune" 규칙)
+  score *= Synergy.getRuneMultiplier(rune);
 
   return score;
 }
@@ -690,7 +717,6 @@ function calculateAwakeningScore(rune, cooldownReduction, options) {
  */
 function calculateRuneMaxScore(rune, options) {
   let score = 0;
-  const effectKeys = [];
 
   // 시너지 배율 상수
   const CLASS_BONUS = 1.1;
@@ -712,7 +738,6 @@ function calculateRuneMaxScore(rune, options) {
       }
 
       const effectWeight = getEffectWeight(effectName);
-      effectKeys.push(effectWeight > 0.5 ? effectName : null);
 
       // 최대 업타임 적용
       let typeWeight = 1.0;
@@ -744,6 +769,7 @@ function calculateRuneMaxScore(rune, options) {
           });
         } else if (typeof enhanceList === "object") {
           Object.entries(enhanceList).forEach(([name, value]) => {
+            if (typeof value !== "number") return; // 설명형 강화 효과 (수치 없음)
             const enhanceWeight = getEffectWeight(name);
             score += value * enhanceWeight * MAX_SYNERGY_MULT;
           });
@@ -766,9 +792,8 @@ function calculateRuneMaxScore(rune, options) {
     });
   }
 
-  // 룬 내 시너지 보너스
-  const synergyBonus = calculateIntraRuneSynergy(effectKeys);
-  score *= synergyBonus;
+  // 룬 내 시너지 보너스 (synergy-rules.json scope "rune" 규칙)
+  score *= Synergy.getRuneMultiplier(rune);
 
   return score;
 }
@@ -776,12 +801,66 @@ function calculateRuneMaxScore(rune, options) {
 // ============================================================================
 // 섹션 5: 시너지 계산
 // ============================================================================
+// DoT/결함 제거/각성/중첩 시너지는 synergy-rules.json 규칙으로 정의하고
+// SynergyEngine(synergy-engine.js)이 평가 (시뮬레이터/EfficiencyCalculator와 공유)
+
+/**
+ * 조합 간 시너지용 효과 분류 합계
+ * @param {Object} rune - 룬 데이터
+ * @returns {Object} { critRate, critDamage, addHitRate, addHitDamage, attack, damage, targetDamage }
+ * @added 2025-12-15 - 조합 간 시너지와 정확 탐색 상한 계산에서 공유
+ */
+function getCrossSynergyTotals(rune) {
+  const totals = {
+    critRate: 0, // 치명타 확률 합계
+    critDamage: 0, // 치명타 피해 합계
+    addHitRate: 0, // 추가타 확률 합계
+    addHitDamage: 0, // 추가타 피해 합계
+    attack: 0, // 공격력 증가 합계
+    damage: 0, // 피해량 증가 합계
+    targetDamage: 0, // 타겟 받는 피해 증가 합계
+  };
+
+  if (rune.effects && Array.isArray(rune.effects)) {
+    rune.effects.forEach((effect) => {
+      const name = effect.name || "";
+      const value = effect.value || 0;
+
+      // 치명타 관련
+      if (name.includes("치명타 확률")) {
+        totals.critRate += value;
+      } else if (name.includes("치명타 피해") || name.includes("치명타 피해량")) {
+        totals.critDamage += value;
+      }
+      // 추가타 관련
+      else if (name.includes("추가타 확률")) {
+        totals.addHitRate += value;
+      } else if (name.includes("추가타 피해") || name.includes("추가타")) {
+        totals.addHitDamage += value;
+      }
+      // 공격력/피해량 관련
+      else if (name.includes("공격력 증가") || name.includes("공격력")) {
+        totals.attack += value;
+      } else if (name.includes("피해량 증가") || name === "피해 증가") {
+        totals.damage += value;
+      }
+      // 타겟 받는 피해 증가 (디버프)
+      else if (name.includes("받는 피해 증가") && !name.includes("(나)")) {
+        totals.targetDamage += value;
+      }
+    });
+  }
+
+  return totals;
+}
 
 /**
  * 조합 시너지 점수 계산 (실제 효과 값 기반)
  * @param {Object} combination - 룬 조합
  * @returns {Object} 시너지 정보
  * @updated 2025-12-11 - 매직넘버 제거, 실제 효과 값 기반으로 변경
+ * @updated 2025-12-15 - 항목별 계산을 헬퍼로 분리 (정확 탐색 상한과 공유)
+ * @updated 2025-12-15 - 조합 시너지를 synergy-rules.json 규칙(SynergyEngine)으로 평가
  */
 function calculateSynergyScore(combination) {
   const { weapon, armors, emblem, accessories } = combination;
@@ -790,317 +869,32 @@ function calculateSynergyScore(combination) {
   let synergyScore = 0;
   const synergyDetails = [];
 
-  // 1. DoT 시너지 (실제 효과 값 기반)
-  // DoT 부여 룬 목록 - 각 룬이 제공하는 DoT 피해량 정보 포함
-  const DOT_PROVIDERS = {
-    출혈: { runes: ["야수+", "야수"], baseDamage: 8 },
-    화상: {
-      runes: ["불길", "메아리치는 진노", "메아리치는진노"],
-      baseDamage: 10,
-    },
-    빙결: {
-      runes: ["결정", "메아리치는 진노", "메아리치는진노"],
-      baseDamage: 6,
-    },
-    감전: { runes: ["뇌명"], baseDamage: 12 },
-    정신: { runes: ["밤+", "밤"], baseDamage: 7 },
-  };
-
-  // DoT 수혜 룬 목록
-  const DOT_BENEFICIARIES = {
-    출혈: ["절개+", "절개"],
-    화상: ["들불"],
-    빙결: ["설산"],
-    감전: ["세상을 삼키는 악의", "세상을삼키는악의"],
-    정신: ["환영+", "환영"],
-  };
-
-  const runeNames = allRunes.map((r) => r.name || "");
-
-  // 각 DoT 타입별 시너지 계산 (실제 효과 값 기반)
-  Object.keys(DOT_PROVIDERS).forEach((dotType) => {
-    const providerInfo = DOT_PROVIDERS[dotType];
-    const beneficiaries = DOT_BENEFICIARIES[dotType];
-
-    // DoT 부여 룬이 있는지 확인
-    const providerRune = allRunes.find((rune) =>
-      providerInfo.runes.some((p) => (rune.name || "").indexOf(p) !== -1)
-    );
-
-    if (providerRune) {
-      // DoT 부여 효과의 실제 가치 계산
-      // DoT 피해 = 기본피해 × 가동률 × 피해량가중치
-      const dotDamageWeight = getEffectWeight("피해량 증가");
-      const dotValue =
-        providerInfo.baseDamage * SYNERGY_CALC.DOT_UPTIME * dotDamageWeight;
-
-      synergyScore += dotValue;
-      synergyDetails.push(
-        `${dotType} 부여 (${providerRune.name}): +${dotValue.toFixed(1)}`
-      );
-
-      // 수혜 룬 확인 - 조건부 효과의 실제 값 계산
-      allRunes.forEach((rune) => {
-        const runeName = rune.name || "";
-        const isBeneficiary = beneficiaries.some(
-          (b) => runeName.indexOf(b) !== -1
-        );
-
-        if (isBeneficiary && rune.effects) {
-          let benefitBonus = 0;
-
-          rune.effects.forEach((effect) => {
-            // STATE 또는 TRIGGER 타입의 조건부 효과
-            if (effect.type === "STATE" || effect.type === "TRIGGER") {
-              // 해당 DoT 조건과 관련된 효과인지 확인
-              const noteOrTrigger =
-                (effect.note || "") + (effect.trigger || "");
-              const isRelatedToDoT =
-                noteOrTrigger.indexOf(dotType) !== -1 ||
-                noteOrTrigger.indexOf("상태이상") !== -1 ||
-                noteOrTrigger.indexOf("DoT") !== -1;
-
-              if (isRelatedToDoT || effect.condition) {
-                // 조건부 효과의 실제 가치 = 효과값 × 가중치 × 조건부업타임
-                const effectWeight = getEffectWeight(effect.name || "");
-                const effectValue =
-                  (effect.value || 0) *
-                  effectWeight *
-                  SYNERGY_CALC.CONDITIONAL_UPTIME;
-                benefitBonus += effectValue;
-              }
-            }
-          });
-
-          // 조건부 효과가 명시되지 않은 경우, 룬의 전체 효과 중 비활성 부분 활성화
-          if (benefitBonus === 0) {
-            rune.effects.forEach((effect) => {
-              if (effect.type !== "PERMANENT") {
-                const effectWeight = getEffectWeight(effect.name || "");
-                benefitBonus +=
-                  (effect.value || 0) *
-                  effectWeight *
-                  SYNERGY_CALC.CONDITIONAL_UPTIME *
-                  0.5;
-              }
-            });
-          }
-
-          if (benefitBonus > 0) {
-            synergyScore += benefitBonus;
-            synergyDetails.push(
-              `${dotType} 수혜 (${runeName}): +${benefitBonus.toFixed(1)}`
-            );
-          }
-        }
-      });
-    }
-  });
-
-  // synergy 객체 기반 DoT 시너지 (JSON에 정의된 경우)
-  const dotTypesFromSynergy = new Set();
-  const dotDamageTypesFromSynergy = new Set();
-  const runesRequiringDot = new Map(); // DoT 필요 룬과 그 효과들
-
-  allRunes.forEach((rune) => {
-    if (rune.synergy) {
-      if (rune.synergy.appliesDot) {
-        rune.synergy.appliesDot.forEach((dot) => dotTypesFromSynergy.add(dot));
-      }
-      if (rune.synergy.requiresDot && rune.synergy.requiresDot.length > 0) {
-        rune.synergy.requiresDot.forEach((dot) => {
-          dotDamageTypesFromSynergy.add(dot);
-          if (!runesRequiringDot.has(dot)) {
-            runesRequiringDot.set(dot, []);
-          }
-          runesRequiringDot.get(dot).push(rune);
-        });
-      }
-    }
-  });
-
-  // synergy 객체 기반 DoT 매칭 시 실제 효과 값 계산
-  dotTypesFromSynergy.forEach((dot) => {
-    if (dotDamageTypesFromSynergy.has(dot)) {
-      const benefitRunes = runesRequiringDot.get(dot) || [];
-      benefitRunes.forEach((rune) => {
-        // 룬의 비영구 효과들의 가치 계산
-        let matchBonus = 0;
-        if (rune.effects) {
-          rune.effects.forEach((effect) => {
-            if (effect.type !== "PERMANENT") {
-              const effectWeight = getEffectWeight(effect.name || "");
-              matchBonus +=
-                (effect.value || 0) *
-                effectWeight *
-                SYNERGY_CALC.CONDITIONAL_UPTIME;
-            }
-          });
-        }
-        if (matchBonus > 0) {
-          synergyScore += matchBonus;
-          synergyDetails.push(
-            `${dot} JSON 시너지 (${rune.name}): +${matchBonus.toFixed(1)}`
-          );
-        }
-      });
-    }
-  });
-
-  // 2. 결함 제거 시너지 (영원 룬) - 실제 결함 값 기반
-  const hasEternalRune = allRunes.some(
-    (r) => r.synergy && r.synergy.removesDemerits === true
-  );
-
-  if (hasEternalRune) {
-    // 결함이 있는 룬의 결함 점수를 시너지로 상쇄 (100% 회복)
-    let demeritRecovery = 0;
-    allRunes.forEach((rune) => {
-      if (rune.demerits && Array.isArray(rune.demerits)) {
-        rune.demerits.forEach((demerit) => {
-          // 결함의 실제 가치 = 결함값 × 결함가중치
-          const demeritWeight = getDemeritWeight(demerit.name || "");
-          demeritRecovery +=
-            (demerit.value || 0) *
-            demeritWeight *
-            SYNERGY_CALC.DEMERIT_RECOVERY_RATE;
-        });
-      }
-    });
-
-    if (demeritRecovery > 0) {
-      synergyScore += demeritRecovery;
-      synergyDetails.push(`결함 제거: +${demeritRecovery.toFixed(1)}`);
-    }
-  }
-
-  // 3. 각성 쿨타임 감소량 계산 (방어구에서)
+  // 1. 각성 쿨타임 감소량 계산 (방어구에서)
   let awakeningCooldownReduction = 0;
   armors.forEach((armor) => {
-    if (armor.effects) {
-      armor.effects.forEach((effect) => {
-        if (
-          effect.name &&
-          effect.name.indexOf("각성") !== -1 &&
-          effect.name.indexOf("쿨타임") !== -1
-        ) {
-          awakeningCooldownReduction += effect.value || 0;
-        }
-      });
-    }
+    awakeningCooldownReduction += Synergy.getAwakeningCooldownReduction(armor);
   });
 
-  // 4. 각성 2배 효과 시너지 (압도적인힘/섬세한손놀림) - 실제 효과 값 기반
-  const AWAKENING_DOUBLE_RUNES = [
-    "압도적인 힘",
-    "섬세한 손놀림",
-    "압도적인힘",
-    "섬세한손놀림",
-  ];
-  const awakeningDoubleRune = allRunes.find((r) =>
-    AWAKENING_DOUBLE_RUNES.some((name) => r.name && r.name.indexOf(name) !== -1)
-  );
-
-  if (awakeningDoubleRune && emblem && emblem.awakening) {
-    const duration =
-      emblem.awakening.duration || AWAKENING_CONSTANTS.DEFAULT_DURATION;
-    const adjustedCooldown = Math.max(
-      AWAKENING_CONSTANTS.BASE_COOLDOWN - awakeningCooldownReduction,
-      AWAKENING_CONSTANTS.MIN_COOLDOWN
-    );
-    const uptime = duration / (duration + adjustedCooldown);
-
-    // 엠블럼 각성 효과의 실제 값을 기반으로 2배 보너스 계산
-    let emblemAwakeningValue = 0;
-    if (emblem.awakening && emblem.awakening.effects) {
-      emblem.awakening.effects.forEach((effect) => {
-        const effectWeight = getEffectWeight(effect.name || "");
-        emblemAwakeningValue += (effect.value || 0) * effectWeight;
-      });
-    }
-    // 각성 2배 효과 = 기존 각성 효과의 30% 추가 (업타임 적용)
-    const awakeningDoubleBonus =
-      emblemAwakeningValue * SYNERGY_CALC.AWAKENING_DOUBLE_BONUS_RATE * uptime;
-
-    if (awakeningDoubleBonus > 0) {
-      synergyScore += awakeningDoubleBonus;
+  // 2. 규칙 기반 시너지 (DoT, 결함 제거, 각성 2배, 중첩, 각성 쿨감, 치명타 배율)
+  const ruleResult = Synergy.evaluate(allRunes, {
+    cooldownReduction: awakeningCooldownReduction,
+  });
+  ruleResult.matches.forEach(({ rule, source, items }) => {
+    items.forEach(({ target, score }) => {
+      const runeName = (target || source || {}).name;
+      synergyScore += score;
       synergyDetails.push(
-        `각성 2배 효과 (${
-          awakeningDoubleRune.name
-        }): +${awakeningDoubleBonus.toFixed(1)}`
+        `${rule.name}${runeName ? ` (${runeName})` : ""}: +${score.toFixed(1)}`
       );
-    }
-  }
-
-  // 5. 중첩 보너스 시너지 (쌍둥이별/에메랄드숲) - 실제 중첩 효과 값 기반
-  const STACKING_BONUS_RUNES = [
-    "쌍둥이 별",
-    "에메랄드 숲",
-    "쌍둥이별",
-    "에메랄드숲",
-  ];
-  const stackBonusRune = allRunes.find((r) =>
-    STACKING_BONUS_RUNES.some((name) => r.name && r.name.indexOf(name) !== -1)
-  );
-
-  if (stackBonusRune) {
-    let stackBonus = 0;
-    allRunes.forEach((rune) => {
-      if (rune.effects) {
-        rune.effects.forEach((effect) => {
-          if (
-            effect.type === "STACKING" &&
-            (effect.stackValue || effect.valuePerStack)
-          ) {
-            // 1중첩 추가 효과의 실제 가치
-            const stackValue = effect.stackValue || effect.valuePerStack || 0;
-            const effectWeight = getEffectWeight(effect.name || "");
-            // 중첩 보너스 = 1중첩 추가 가치 × 효과가중치 × 추가비율
-            stackBonus +=
-              stackValue * effectWeight * SYNERGY_CALC.STACKING_EXTRA_RATE;
-          }
-        });
-      }
     });
-
-    if (stackBonus > 0) {
-      synergyScore += stackBonus;
-      synergyDetails.push(
-        `중첩 보너스 (${stackBonusRune.name}): +${stackBonus.toFixed(1)}`
-      );
-    }
-  }
-
-  // 6. 눈 먼 예언자 각성 쿨감 시너지 - 실제 쿨감 효과 기반
-  const BLIND_PROPHET_RUNES = ["눈 먼 예언자", "눈먼예언자"];
-  const blindProphetRune = allRunes.find((r) =>
-    BLIND_PROPHET_RUNES.some((name) => r.name && r.name.indexOf(name) !== -1)
-  );
-
-  if (blindProphetRune) {
-    // 38초 쿨감의 실제 가치 계산
-    const cooldownReductionValue = 38;
-    awakeningCooldownReduction += cooldownReductionValue;
-
-    // 쿨감 효과 = 기본 쿨타임 대비 단축 비율 × 각성효과가치
-    // 120초 → 82초 = 약 32% 효율 증가
-    const cooldownWeight = getEffectWeight("쿨타임 회복 속도 증가");
-    const cooldownBonus =
-      (cooldownReductionValue / AWAKENING_CONSTANTS.BASE_COOLDOWN) *
-      100 *
-      cooldownWeight;
-
-    synergyScore += cooldownBonus;
-    synergyDetails.push(
-      `각성 쿨감 (${blindProphetRune.name}): +${cooldownBonus.toFixed(1)}`
-    );
-  }
+  });
+  awakeningCooldownReduction = ruleResult.cooldownReduction;
 
   // ========================================
-  // 7. 조합 간 시너지 (Cross-Rune Synergy)
+  // 3. 조합 간 시너지 (Cross-Rune Synergy)
   // @added 2025-12-12 - 룬 간 효과 조합 시너지
   // ========================================
-  
+
   // 조합 전체에서 효과 합산
   let totalCritRate = 0;      // 치명타 확률 합계
   let totalCritDamage = 0;    // 치명타 피해 합계
@@ -1109,40 +903,19 @@ function calculateSynergyScore(combination) {
   let totalAttackIncrease = 0; // 공격력 증가 합계
   let totalDamageIncrease = 0; // 피해량 증가 합계
   let totalTargetDamageIncrease = 0; // 타겟 받는 피해 증가 합계
-  
+
   allRunes.forEach((rune) => {
-    if (rune.effects && Array.isArray(rune.effects)) {
-      rune.effects.forEach((effect) => {
-        const name = effect.name || "";
-        const value = effect.value || 0;
-        
-        // 치명타 관련
-        if (name.includes("치명타 확률")) {
-          totalCritRate += value;
-        } else if (name.includes("치명타 피해") || name.includes("치명타 피해량")) {
-          totalCritDamage += value;
-        }
-        // 추가타 관련
-        else if (name.includes("추가타 확률")) {
-          totalAddHitRate += value;
-        } else if (name.includes("추가타 피해") || name.includes("추가타")) {
-          totalAddHitDamage += value;
-        }
-        // 공격력/피해량 관련
-        else if (name.includes("공격력 증가") || name.includes("공격력")) {
-          totalAttackIncrease += value;
-        } else if (name.includes("피해량 증가") || name === "피해 증가") {
-          totalDamageIncrease += value;
-        }
-        // 타겟 받는 피해 증가 (디버프)
-        else if (name.includes("받는 피해 증가") && !name.includes("(나)")) {
-          totalTargetDamageIncrease += value;
-        }
-      });
-    }
+    const totals = getCrossSynergyTotals(rune);
+    totalCritRate += totals.critRate;
+    totalCritDamage += totals.critDamage;
+    totalAddHitRate += totals.addHitRate;
+    totalAddHitDamage += totals.addHitDamage;
+    totalAttackIncrease += totals.attack;
+    totalDamageIncrease += totals.damage;
+    totalTargetDamageIncrease += totals.targetDamage;
   });
-  
-  // 7-1. 치명타 조합 시너지 (DPS 기대값 공식)
+
+  // 3-1. 치명타 조합 시너지 (DPS 기대값 공식)
   // @updated 2025-12-12 - 매직넘버 제거, 실제 DPS 기대값 계산
   // DPS 증가 = 확률 × 피해 (곱연산 상승효과)
   // 예: 30% 확률 + 50% 피해 → 0.3 × 0.5 = 0.15 = 15% DPS 증가
@@ -1156,7 +929,7 @@ function calculateSynergyScore(combination) {
     );
   }
   
-  // 7-2. 추가타 조합 시너지 (DPS 기대값 공식)
+  // 3-2. 추가타 조합 시너지 (DPS 기대값 공식)
   // DPS 증가 = 확률 × 피해
   if (totalAddHitRate > 0 && totalAddHitDamage > 0) {
     const addHitSynergyBonus = (totalAddHitRate / 100) * (totalAddHitDamage / 100) * 100;
@@ -1166,7 +939,7 @@ function calculateSynergyScore(combination) {
     );
   }
   
-  // 7-3. 공격력 + 피해량 조합 시너지 (곱연산 상승효과)
+  // 3-3. 공격력 + 피해량 조합 시너지 (곱연산 상승효과)
   // 공격력과 피해량은 독립적으로 곱연산되므로 시너지 발생
   // (1 + 공격력%) × (1 + 피해량%) - 1 - 공격력% - 피해량% = 공격력% × 피해량%
   if (totalAttackIncrease > 0 && totalDamageIncrease > 0) {
@@ -1177,7 +950,7 @@ function calculateSynergyScore(combination) {
     );
   }
   
-  // 7-4. 디버프 시너지 (타겟 받는 피해 증가)
+  // 3-4. 디버프 시너지 (타겟 받는 피해 증가)
   // 실제 효과 값 그대로 사용 (파티원 전체에게 이득이므로 중요)
   if (totalTargetDamageIncrease > 0) {
     // 실제 피해 증가율을 그대로 점수로 사용
@@ -1201,9 +974,11 @@ function calculateSynergyScore(combination) {
 /**
  * 전체 조합 점수 계산
  * @param {Object} combination - 룬 조합
- * @param {Object} options - 계산 옵션
- * @returns {number} 총 점수
+ * @param {Object} options - 계산 옵션 (objective/role로 목적 함수 결정)
+ * @returns {number} 총 점수 (역할 목적 함수면 모델 증가율 + 효율 점수 × 보조 가중치, 반올림하지 않음)
  * @updated 2025-12-12 - DoT 매칭 안되는 룬 페널티 추가
+ * @updated 2025-12-15 - 탱커/힐러 역할 목적 함수 (RoleModels)
+ * @updated 2025-12-15 - 0.1 단위 반올림 제거 (보조 가중치 항의 동률 정렬 보존, 반올림은 표시 시점에만)
  */
 function calculateCombinationScore(combination, options) {
   const { weapon, armors, emblem, accessories } = combination;
@@ -1267,7 +1042,18 @@ function calculateCombinationScore(combination, options) {
     }
   });
 
-  return Math.round(totalScore * 10) / 10;
+  // 역할 목적 함수 (유효 체력/초당 회복량)
+  const objective = RoleModels.getObjective(options);
+  if (objective !== "score") {
+    totalScore = RoleModels.calculateObjectiveScore(
+      objective,
+      RoleModels.collectRoleEffects(allRunes),
+      options.stats,
+      totalScore
+    );
+  }
+
+  return totalScore;
 }
 
 // ============================================================================
@@ -1280,7 +1066,25 @@ function calculateCombinationScore(combination, options) {
  */
 function findOptimalCombination(data) {
   try {
-    const { weapons, armors, emblems, accessories, options } = data;
+    const {
+      options,
+      constraints,
+      topN = 1, // 상위 N개 조합 반환 (@added 2025-12-15)
+      minRuneDifference = Formulas.DEFAULT_MIN_RUNE_DIFFERENCE,
+    } = data;
+
+    // 제약 조건: 룬 단독 규칙으로 후보 제거 (@added 2025-12-15)
+    const constraintTracker = createConstraintTracker(constraints, {
+      weapons: data.weapons,
+      armors: data.armors,
+      emblems: data.emblems,
+      accessories: data.accessories,
+    });
+    if (constraintTracker.conflicts.length > 0) {
+      postConstraintConflict(0, constraintTracker);
+      return;
+    }
+    const { weapons, armors, emblems, accessories } = constraintTracker.pools;
 
     console.log("[Worker] 데이터 수신:", {
       weapons: weapons.length,
@@ -1368,6 +1172,18 @@ function findOptimalCombination(data) {
     let bestScore = calculateCombinationScore(initialCombination, options);
     let bestCombination = initialCombination;
 
+    // 초기 해가 제약을 위반하면 기준 점수 없이 시작
+    if (constraintTracker.check(initialCombination).length > 0) {
+      bestScore = 0;
+      bestCombination = null;
+    }
+
+    // 상위 N개 순위표 (topN > 1일 때만, 가지치기 기준을 N위 점수로 완화)
+    const ranking =
+      topN > 1 ? createCombinationRanking(topN, minRuneDifference) : null;
+    if (ranking && bestCombination) ranking.offer(bestScore, bestCombination);
+    const pruneThreshold = () => (ranking ? ranking.threshold() : bestScore);
+
     console.log("[Worker] 초기 최적해 점수:", bestScore);
     let processedCount = 0;
     let skippedCount = 0;
@@ -1406,6 +1222,11 @@ function findOptimalCombination(data) {
 
     let armorComboCount = 0; // 방어구 조합 카운터
 
+    // 조합 제약 충족 가능 여부 확인용 남은 슬롯 (@added 2025-12-15)
+    const armorSlot = { runes: scoredArmors, count: 5 };
+    const emblemSlot = { runes: scoredEmblems, count: 1 };
+    const accessorySlot = { runes: scoredAccessories, count: 3 };
+
     for (let wi = 0; wi < scoredWeapons.length; wi++) {
       const weapon = scoredWeapons[wi];
 
@@ -1416,11 +1237,20 @@ function findOptimalCombination(data) {
         maxEmblemScore +
         maxAccessoryScore +
         maxSynergyBonus;
-      if (weaponUpperBound <= bestScore) {
+      if (weaponUpperBound <= pruneThreshold()) {
         const remainingWeapons = scoredWeapons.length - wi;
         skippedCount += remainingWeapons * perWeapon;
         break; // 이후 무기는 더 낮으므로 종료
       }
+      if (
+        !constraintTracker.canComplete(
+          [weapon],
+          [armorSlot, emblemSlot, accessorySlot]
+        )
+      ) {
+        skippedCount += perWeapon;
+        continue;
+      }
 
       // 방어구 조합 순회
       armorComboCount = 0;
@@ -1439,7 +1269,13 @@ function findOptimalCombination(data) {
           maxEmblemScore +
           maxAccessoryScore +
           maxSynergyBonus;
-        if (armorUpperBound <= bestScore) {
+        if (
+          armorUpperBound <= pruneThreshold() ||
+          !constraintTracker.canComplete(
+            [weapon, ...armorCombo],
+            [emblemSlot, accessorySlot]
+          )
+        ) {
           skippedCount += perArmorCombo;
 
           // 방어구 조합 레벨에서 시간 기반 진행률 보고
@@ -1476,7 +1312,13 @@ function findOptimalCombination(data) {
             emblem.baseScore * UPPER_BOUND_MULTIPLIER +
             maxAccessoryScore +
             maxSynergyBonus;
-          if (emblemUpperBound <= bestScore) {
+          if (
+            emblemUpperBound <= pruneThreshold() ||
+            !constraintTracker.canComplete(
+              [weapon, ...armorCombo, emblem],
+              [accessorySlot]
+            )
+          ) {
             skippedCount += nCr(scoredAccessories.length, 3);
             continue;
           }
@@ -1495,9 +1337,15 @@ function findOptimalCombination(data) {
 
             const totalScore = calculateCombinationScore(combination, options);
 
-            if (totalScore > bestScore) {
-              bestScore = totalScore;
-              bestCombination = combination;
+            const violations = constraintTracker.check(combination);
+            if (violations.length > 0) {
+              constraintTracker.reject(totalScore, combination, violations);
+            } else {
+              if (totalScore > bestScore) {
+                bestScore = totalScore;
+                bestCombination = combination;
+              }
+              if (ranking) ranking.offer(totalScore, combination);
             }
 
             // 시간 기반 진행률 보고 (500ms마다)
@@ -1554,12 +1402,18 @@ function findOptimalCombination(data) {
       type: "complete",
       bestScore,
       bestCombination,
+      topCombinations: ranking ? ranking.list() : undefined,
       processed: processedCount,
       skipped: skippedCount,
       total: totalCombinations,
       skipRate: Math.round(
         (skippedCount / (processedCount + skippedCount)) * 100
       ),
+      constraintReport: constraintTracker.report(
+        bestCombination,
+        bestScore,
+        options
+      ),
     });
   } catch (error) {
     console.error("[Worker] 오류 발생:", error);
@@ -1676,14 +1530,26 @@ function expandSelection(selectedIds, allSorted, expandRange) {
 function findOptimalCombinationTwoPhase(data) {
   try {
     const {
-      weapons,
-      armors,
-      emblems,
-      accessories,
       options,
       workerId = 0,
+      constraints, // 조합 제약 조건 (@added 2025-12-15)
+      topN = 1, // 상위 N개 조합 반환 (@added 2025-12-15)
+      minRuneDifference = Formulas.DEFAULT_MIN_RUNE_DIFFERENCE,
     } = data;
 
+    // 제약 조건: 룬 단독 규칙으로 후보 제거
+    const constraintTracker = createConstraintTracker(constraints, {
+      weapons: data.weapons,
+      armors: data.armors,
+      emblems: data.emblems,
+      accessories: data.accessories,
+    });
+    if (constraintTracker.conflicts.length > 0) {
+      postConstraintConflict(workerId, constraintTracker);
+      return;
+    }
+    const { weapons, armors, emblems, accessories } = constraintTracker.pools;
+
     const TOP_N = 10; // 각 기준 상위 10개
     const EXPAND_RANGE = 5; // ±5등 확장
     const UPPER_BOUND_MULT = 1.15; // 상한 배수
@@ -1711,8 +1577,19 @@ function findOptimalCombinationTwoPhase(data) {
     const emblemData = filterTopN(emblems, emblems.length, options);
     const accessoryData = filterTopN(accessories, accessories.length, options);
 
-    const phase1Weapons = weaponData.filtered;
-    const phase1Armors = armorData.filtered;
+    // 제약 조건 관련 룬(필수/DoT 부여)은 Top-N 밖이어도 포함
+    const phase1Weapons = Formulas.extendPoolForConstraints(
+      weaponData.filtered,
+      weaponData.allSorted,
+      constraints,
+      TOP_N
+    );
+    const phase1Armors = Formulas.extendPoolForConstraints(
+      armorData.filtered,
+      armorData.allSorted,
+      constraints,
+      TOP_N
+    );
     const phase1Emblems = emblemData.filtered;
     const phase1Accessories = accessoryData.filtered;
 
@@ -1764,6 +1641,9 @@ function findOptimalCombinationTwoPhase(data) {
     // 탐색 변수
     let bestScore = 0;
     let bestCombination = null;
+    // 상위 N개 순위표 (전수 탐색이므로 가지치기 기준 변경 없음)
+    const ranking =
+      topN > 1 ? createCombinationRanking(topN, minRuneDifference) : null;
     let phase1Processed = 0;
     let phase1Skipped = 0;
     let lastProgressTime = Date.now();
@@ -1836,7 +1716,13 @@ function findOptimalCombinationTwoPhase(data) {
 
             const score = calculateCombinationScore(combination, options);
 
-            if (score > bestScore) {
+            const violations = constraintTracker.check(combination);
+            if (ranking && violations.length === 0) {
+              ranking.offer(score, combination);
+            }
+            if (violations.length > 0) {
+              constraintTracker.reject(score, combination, violations);
+            } else if (score > bestScore) {
               bestScore = score;
               bestCombination = combination;
 
@@ -1913,6 +1799,14 @@ function findOptimalCombinationTwoPhase(data) {
     phase1Weapons.slice(0, 10).forEach((w) => selectedWeaponIds.add(w.id));
     phase1Armors.slice(0, 15).forEach((a) => selectedArmorIds.add(a.id));
 
+    // 제약 조건으로 추가된 룬 유지
+    phase1Weapons
+      .slice(weaponData.filtered.length)
+      .forEach((w) => selectedWeaponIds.add(w.id));
+    phase1Armors
+      .slice(armorData.filtered.length)
+      .forEach((a) => selectedArmorIds.add(a.id));
+
     // ±5등 확장
     const phase2Weapons = expandSelection(
       selectedWeaponIds,
@@ -1978,7 +1872,13 @@ function findOptimalCombinationTwoPhase(data) {
 
             const score = calculateCombinationScore(combination, options);
 
-            if (score > bestScore) {
+            const violations = constraintTracker.check(combination);
+            if (ranking && violations.length === 0) {
+              ranking.offer(score, combination);
+            }
+            if (violations.length > 0) {
+              constraintTracker.reject(score, combination, violations);
+            } else if (score > bestScore) {
               bestScore = score;
               bestCombination = combination;
 
@@ -2026,9 +1926,15 @@ function findOptimalCombinationTwoPhase(data) {
       workerId,
       bestScore,
       bestCombination: serializeCombination(bestCombination),
+      topCombinations: ranking ? ranking.list() : undefined,
       phase1Processed,
       phase2Processed,
       totalProcessed: phase1Processed + phase2Processed,
+      constraintReport: constraintTracker.report(
+        bestCombination,
+        bestScore,
+        options
+      ),
     });
   } catch (error) {
     console.error("[Worker] 2단계 탐색 오류:", error);
@@ -2073,16 +1979,34 @@ function serializeCombination(combination) {
 // 섹션 9: 메시지 핸들러
 // ============================================================================
 
+/**
+ * 역할 목적 함수(유효 체력/초당 회복량) 탐색 여부
+ * - 모델 값은 룬 점수의 합이 아닌 역할 효과 합계의 비선형 함수라
+ *   baseScore/maxScore 기반 휴리스틱 가지치기 대신 정확 탐색(효과별 상한)으로 처리
+ * @param {Object} data - 탐색 데이터
+ * @returns {boolean}
+ * @added 2025-12-15
+ */
+function usesRoleObjective(data) {
+  return RoleModels.getObjective(data && data.options) !== "score";
+}
+
 /**
  * 메인 스레드로부터 메시지 수신
  */
 self.onmessage = function (e) {
   const { type, data } = e.data;
 
+  // 사용자 가중치 프로필 (메인의 활성 프로필, 없으면 기본 상수) @added 2025-12-15
+  if (data) {
+    Weights.setWeightOverrides((data.options && data.options.weightProfile) || null);
+  }
+
   switch (type) {
     case "start":
       console.log("[Worker] 최적화 탐색 시작");
-      findOptimalCombination(data);
+      if (usesRoleObjective(data)) findOptimalCombinationExact(data);
+      else findOptimalCombination(data);
       break;
 
     case "startPartial":
@@ -2090,13 +2014,52 @@ self.onmessage = function (e) {
       console.log(
         `[Worker ${data.workerId}] 부분 탐색 시작 - 무기 ${data.weapons.length}개`
       );
-      findOptimalCombinationPartial(data);
+      if (usesRoleObjective(data)) findOptimalCombinationExact(data);
+      else findOptimalCombinationPartial(data);
       break;
 
     case "startTwoPhase":
       // 2단계 탐색: 빠른 탐색 + 정밀 확장
       console.log("[Worker] 2단계 탐색 시작");
-      findOptimalCombinationTwoPhase(data);
+      if (usesRoleObjective(data)) findOptimalCombinationExact(data);
+      else findOptimalCombinationTwoPhase(data);
+      break;
+
+    case "startExact":
+      // 정확 탐색: 실제 점수 함수 기반 상한으로 가지치기 (최적해 보장)
+      console.log(`[Worker ${data.workerId || 0}] 정확 탐색 시작`);
+      findOptimalCombinationExact(data);
+      break;
+
+    case "startPareto":
+      // 파레토 탐색: DPS/생존/유틸 비지배 조합 전체 (정확 탐색과 같은 상한 사용)
+      console.log(`[Worker ${data.workerId || 0}] 파레토 탐색 시작`);
+      findOptimalCombinationExact(Object.assign({}, data, { pareto: true }));
+      break;
+
+    case "startSensitivity":
+      // 가중치 민감도 분석: 시행마다 가중치 덮어쓰기 후 정확 탐색 1위 조합
+      console.log(
+        `[Worker ${data.workerId || 0}] 민감도 분석 시작 - 시행 ${data.trials.length}개`
+      );
+      runWeightSensitivity(data);
+      break;
+
+    case "planUpgrade":
+      // 업그레이드 경로: 현재 장착 → 목표 조합 단계별 교체/강화 순서
+      try {
+        self.postMessage({
+          type: "planComplete",
+          workerId: data.workerId || 0,
+          ...planUpgradePath(data),
+        });
+      } catch (error) {
+        self.postMessage({
+          type: "error",
+          message: error.message,
+          stack: error.stack,
+        });
+      }
       break;
 
     case "stop":
@@ -2116,18 +2079,31 @@ self.onmessage = function (e) {
 function findOptimalCombinationPartial(data) {
   try {
     const {
-      weapons,
-      armors,
-      emblems,
-      accessories,
       options,
       weaponStartIdx,
       weaponEndIdx,
       workerId,
       totalCombinations,
       initialBestScore, // 2단계에서 1단계 최고점수 전달
+      topN = 1, // 상위 N개 조합 반환 (1이면 최고 조합만)
+      minRuneDifference = Formulas.DEFAULT_MIN_RUNE_DIFFERENCE, // 상위 조합 간 최소 룬 차이
+      initialRankingThreshold = -Infinity, // 2단계에서 1단계 순위표 N위 점수 전달
+      constraints, // 조합 제약 조건 (@added 2025-12-15)
     } = data;
 
+    // 제약 조건: 룬 단독 규칙으로 후보 제거
+    const constraintTracker = createConstraintTracker(constraints, {
+      weapons: data.weapons,
+      armors: data.armors,
+      emblems: data.emblems,
+      accessories: data.accessories,
+    });
+    if (constraintTracker.conflicts.length > 0) {
+      postConstraintConflict(workerId, constraintTracker);
+      return;
+    }
+    const { weapons, armors, emblems, accessories } = constraintTracker.pools;
+
     console.log(`[Worker ${workerId}] 데이터 수신:`, {
       weapons: weapons.length,
       armors: armors.length,
@@ -2216,8 +2192,14 @@ function findOptimalCombinationPartial(data) {
       accessories: scoredAccessories.slice(0, 3),
     };
 
-    let bestScore = calculateCombinationScore(initialCombination, options);
-    let bestCombination = initialCombination;
+    const initialFeasible =
+      constraintTracker.check(initialCombination).length === 0;
+
+    // 초기 해가 제약을 위반하면 기준 점수 없이 시작
+    let bestScore = initialFeasible
+      ? calculateCombinationScore(initialCombination, options)
+      : 0;
+    let bestCombination = initialFeasible ? initialCombination : null;
 
     // 2단계 탐색 시 1단계 최고점수를 초기값으로 사용 (더 공격적인 가지치기)
     if (initialBestScore && initialBestScore > bestScore) {
@@ -2227,6 +2209,19 @@ function findOptimalCombinationPartial(data) {
     } else {
       console.log(`[Worker ${workerId}] 초기 최적해 점수:`, bestScore);
     }
+    // 상위 N개 순위표 (topN > 1일 때만, 가지치기 기준을 N위 점수로 완화)
+    const ranking = topN > 1 ? createCombinationRanking(topN, minRuneDifference) : null;
+    if (ranking && initialFeasible) {
+      ranking.offer(
+        calculateCombinationScore(initialCombination, options),
+        initialCombination
+      );
+    }
+    const pruneThreshold = () =>
+      ranking
+        ? Math.max(ranking.threshold(), initialRankingThreshold)
+        : bestScore;
+
     let processedCount = 0;
     let skippedCount = 0;
 
@@ -2238,6 +2233,11 @@ function findOptimalCombinationPartial(data) {
     const perArmorCombo =
       scoredEmblems.length * nCr(scoredAccessories.length, 3);
 
+    // 조합 제약 충족 가능 여부 확인용 남은 슬롯 (@added 2025-12-15)
+    const armorSlot = { runes: scoredArmors, count: 5 };
+    const emblemSlot = { runes: scoredEmblems, count: 1 };
+    const accessorySlot = { runes: scoredAccessories, count: 3 };
+
     // 4. 지정된 무기 범위만 탐색 (baseScore × 배율 가지치기)
     for (
       let wi = weaponStartIdx;
@@ -2253,12 +2253,22 @@ function findOptimalCombinationPartial(data) {
         maxEmblemScore +
         maxAccessoryScore +
         maxSynergyBonus;
-      if (weaponUpperBound <= bestScore) {
-        const remainingWeapons = weaponEndIdx - wi;
+      if (weaponUpperBound <= pruneThreshold()) {
+        const remainingWeapons =
+          Math.min(weaponEndIdx, scoredWeapons.length) - wi;
         skippedCount +=
           remainingWeapons * nCr(scoredArmors.length, 5) * perArmorCombo;
         break;
       }
+      if (
+        !constraintTracker.canComplete(
+          [weapon],
+          [armorSlot, emblemSlot, accessorySlot]
+        )
+      ) {
+        skippedCount += nCr(scoredArmors.length, 5) * perArmorCombo;
+        continue;
+      }
 
       for (const armorCombo of combinations(scoredArmors, 5)) {
         // baseScore 합 × 배율로 상한 계산
@@ -2274,7 +2284,13 @@ function findOptimalCombinationPartial(data) {
           maxEmblemScore +
           maxAccessoryScore +
           maxSynergyBonus;
-        if (armorUpperBound <= bestScore) {
+        if (
+          armorUpperBound <= pruneThreshold() ||
+          !constraintTracker.canComplete(
+            [weapon, ...armorCombo],
+            [emblemSlot, accessorySlot]
+          )
+        ) {
           skippedCount += perArmorCombo;
 
           const now = Date.now();
@@ -2301,7 +2317,13 @@ function findOptimalCombinationPartial(data) {
             emblem.baseScore * UPPER_BOUND_MULTIPLIER +
             maxAccessoryScore +
             maxSynergyBonus;
-          if (emblemUpperBound <= bestScore) {
+          if (
+            emblemUpperBound <= pruneThreshold() ||
+            !constraintTracker.canComplete(
+              [weapon, ...armorCombo, emblem],
+              [accessorySlot]
+            )
+          ) {
             skippedCount += nCr(scoredAccessories.length, 3);
             continue;
           }
@@ -2318,9 +2340,17 @@ function findOptimalCombinationPartial(data) {
 
             const totalScore = calculateCombinationScore(combination, options);
 
-            if (totalScore > bestScore) {
-              bestScore = totalScore;
-              bestCombination = combination;
+            const violations = constraintTracker.check(combination);
+            if (violations.length > 0) {
+              constraintTracker.reject(totalScore, combination, violations);
+            } else {
+              if (totalScore > bestScore) {
+                bestScore = totalScore;
+                bestCombination = combination;
+              }
+              if (ranking) {
+                ranking.offer(totalScore, combination);
+              }
             }
 
             const now = Date.now();
@@ -2346,8 +2376,14 @@ function findOptimalCombinationPartial(data) {
       workerId,
       bestScore,
       bestCombination,
+      topCombinations: ranking ? ranking.list() : undefined,
       processed: processedCount,
       skipped: skippedCount,
+      constraintReport: constraintTracker.report(
+        bestCombination,
+        bestScore,
+        options
+      ),
     });
   } catch (error) {
     console.error("[Worker] 오류 발생:", error);
@@ -2358,3 +2394,1384 @@ function findOptimalCombinationPartial(data) {
     });
   }
 }
+
+// ============================================================================
+// 섹션 10: 정확 탐색 (Exact Branch & Bound)
+// @added 2025-12-15 - 증명 가능한 최적해 + 탐색 노드 수 반환
+// ============================================================================
+
+/**
+ * 정확 탐색 슬롯 순서 (카테고리, 선택 개수)
+ * @constant {Array<Object>}
+ */
+const EXACT_SEARCH_SLOTS = [
+  { key: "weapons", count: 1 },
+  { key: "emblems", count: 1 },
+  { key: "armors", count: 5 },
+  { key: "accessories", count: 3 },
+];
+
+/**
+ * 조합 간 시너지 곱연산 항목 (확률 × 피해)
+ * @constant {Array<Array<string>>}
+ */
+const CROSS_SYNERGY_PAIRS = [
+  ["critRate", "critDamage"],
+  ["addHitRate", "addHitDamage"],
+  ["attack", "damage"],
+];
+
+/** 곱연산 항목별 합계 키 (확률 + 피해, 같은 슬롯을 두고 경쟁하므로 함께 제한) */
+const CROSS_SYNERGY_SUM_KEYS = CROSS_SYNERGY_PAIRS.map((pair) => pair.join("+"));
+
+/** 곱연산 상한 계산에 쓰이는 분류 키 */
+const CROSS_SYNERGY_KEYS = CROSS_SYNERGY_PAIRS.flat().concat(CROSS_SYNERGY_SUM_KEYS);
+
+/**
+ * 상한 여유값 (상한과 calculateCombinationScore의 부동소수점 합산 순서 차이 보정)
+ * - 상한 + 여유값 <= 기준 점수일 때만 가지치기하여 최적해를 놓치지 않음
+ * @constant {number}
+ */
+const EXACT_BOUND_EPSILON = 1e-6;
+
+/**
+ * 탐색 풀 전체 기준 값 (룬별 상한 계산용)
+ * @param {Object} pools - { weapons, armors, emblems, accessories }
+ * @returns {Object} { maxCooldownReduction, constant }
+ */
+function getExactPoolInfo(pools) {
+  const allRunes = [
+    ...pools.weapons,
+    ...pools.armors,
+    ...pools.emblems,
+    ...pools.accessories,
+  ];
+
+  // 방어구 5개로 얻을 수 있는 최대 각성 쿨감 (+ 풀에서 발동 가능한 규칙 쿨감)
+  const armorReductions = pools.armors
+    .map((armor) => Math.max(0, Synergy.getAwakeningCooldownReduction(armor)))
+    .sort((a, b) => b - a);
+  return Synergy.getPoolBoundInfo(
+    allRunes,
+    armorReductions.slice(0, 5).reduce((sum, v) => sum + v, 0)
+  );
+}
+
+/**
+ * 룬 1개가 조합 점수에 더할 수 있는 최대값 (곱연산 시너지 제외)
+ * - calculateCombinationScore / calculateSynergyScore의 항목을 룬 단위로 나눠 상한 계산
+ * - maxScore(calculateRuneMaxScore)는 시너지 배율을 가정한 추정치라 상한이 보장되지 않으므로
+ *   실제 점수 함수 기준으로 다시 계산
+ * - 다른 룬이 있어야 발동하는 항목은 conditional로 분리 (조건: 발동 조건 키 중 하나)
+ * - 규칙 시너지 항목은 SynergyEngine.getRuneBoundInfo, 조건 없는 규칙의 고정값은 무기에 합산
+ * @param {Object} rune - 룬 데이터
+ * @param {string} key - 슬롯 카테고리 (weapons/armors/emblems/accessories)
+ * @param {Object} poolInfo - getExactPoolInfo 결과
+ * @param {Object} options - 계산 옵션
+ * @returns {Object} { bound, conditional: [{ conds, value }], enables, total }
+ */
+function getRuneExactBound(rune, key, poolInfo, options) {
+  const baseScore = calculateRuneBaseScore(rune, options);
+  const ruleBound = Synergy.getRuneBoundInfo(rune, poolInfo);
+  const conditional = ruleBound.conditional.slice();
+  const enables = ruleBound.enables;
+  let bound = baseScore + ruleBound.fixed;
+
+  if (key === "weapons") {
+    bound += poolInfo.constant;
+  }
+
+  if (key === "emblems") {
+    // 각성 점수는 쿨감에 대해 단조 → 양 끝값 중 큰 값
+    bound += Math.max(
+      calculateAwakeningScore(rune, 0, options),
+      calculateAwakeningScore(rune, poolInfo.maxCooldownReduction, options)
+    );
+  } else {
+    const requiresDot = (rune.synergy && rune.synergy.requiresDot) || [];
+    if (requiresDot.length > 0 && baseScore > 0) {
+      // DoT 미매칭 시 50% 페널티 → 매칭 가능할 때만 나머지 50%
+      bound -= baseScore * 0.5;
+      conditional.push({
+        conds: requiresDot.map((dot) => "dot:" + dot),
+        value: baseScore * 0.5,
+      });
+    } else if (requiresDot.length > 0) {
+      // 음수 점수는 페널티가 오히려 점수를 올림
+      bound -= baseScore * 0.5;
+    }
+  }
+
+  // 디버프 시너지는 선형 항목
+  bound += Math.max(0, getCrossSynergyTotals(rune).targetDamage);
+
+  const total = conditional.reduce((sum, c) => sum + c.value, bound);
+  return { bound, conditional, enables, total };
+}
+
+/**
+ * 곱연산 시너지 상한
+ * - 확률 합 a ≤ A, 피해 합 d ≤ D, a + d ≤ S 일 때 a × d의 최댓값
+ * - 한 룬이 보통 한쪽 효과만 가지므로 A × D보다 훨씬 타이트함
+ * @param {Object} totals - 분류 키별 합계 상한 (0 이상)
+ * @returns {number} 시너지 점수 상한
+ */
+function calculateCrossSynergyBound(totals) {
+  return CROSS_SYNERGY_PAIRS.reduce((sum, [rateKey, damageKey], idx) => {
+    const maxRate = totals[rateKey];
+    const maxDamage = totals[damageKey];
+    const maxSum = totals[CROSS_SYNERGY_SUM_KEYS[idx]];
+
+    const damage1 = Math.min(maxDamage, maxSum / 2);
+    const rate1 = Math.min(maxRate, maxSum - damage1);
+    const rate2 = Math.min(maxRate, maxSum / 2);
+    const damage2 = Math.min(maxDamage, maxSum - rate2);
+    const product = Math.max(rate1 * damage1, rate2 * damage2);
+
+    return sum + (product / 10000) * 100;
+  }, 0);
+}
+
+/**
+ * 파레토 상한 반올림 전 여유값 (상한과 실제 값의 부동소수점 합산 순서 차이 보정)
+ * @constant {number}
+ */
+const PARETO_BOUND_EPSILON = 1e-6;
+
+/**
+ * 파레토 프런트 아카이브 (정확 탐색 pareto 모드)
+ * - 축 값: { score, ehp, utility } (RoleModels.PARETO_OBJECTIVES)
+ * - covers(bound): 모든 축에서 상한(0.1 단위 반올림) 이상인 점이 있으면 하위 트리의 어떤 조합도
+ *   프런트에 들어갈 수 없음 (축 값은 0.1 단위로 반올림되므로 상한도 반올림해 비교, 동률 포함)
+ * @returns {Object} { offer, covers, list }
+ * @added 2025-12-15
+ */
+function createParetoArchive() {
+  const front = [];
+
+  return {
+    offer(scores, combination) {
+      return RoleModels.insertParetoPoint(front, { scores, combination });
+    },
+    covers(bound) {
+      const rounded = {};
+      RoleModels.PARETO_OBJECTIVES.forEach((key) => {
+        rounded[key] = Math.round((bound[key] + PARETO_BOUND_EPSILON) * 10) / 10;
+      });
+      return front.some((entry) =>
+        RoleModels.PARETO_OBJECTIVES.every((key) => entry.scores[key] >= rounded[key])
+      );
+    },
+    /**
+     * 프런트 목록 (postMessage용 직렬화, 효율 점수 내림차순)
+     * @returns {Array<Object>} [{ scores, combination }]
+     */
+    list() {
+      return RoleModels.mergeParetoFronts([front]).map((entry) => ({
+        scores: entry.scores,
+        combination: serializeCombination(entry.combination),
+      }));
+    },
+  };
+}
+
+/**
+ * 정확 탐색 (Branch & Bound, 최적해 보장)
+ * - 슬롯 순서: 무기 → 엠블럼 → 방어구 5 → 장신구 3 (카테고리 내 상한 내림차순)
+ * - 노드 상한 = 선택된 룬 상한 합 + 남은 슬롯 최대 상한 합 + 곱연산 시너지 상한
+ * - 역할 목적 함수: 모델(선택 룬 역할 효과 합 + 남은 슬롯 이로운 효과별 상위 합) + 위 상한 × 보조 가중치
+ * - 상한이 현재 기준 점수(topN > 1이면 N위 점수)를 넘지 못하면 하위 트리 전체 제외
+ * - 탐색이 끝나면 반환된 조합은 calculateCombinationScore 기준 최적 (optimal: true)
+ * - pareto: 모든 축(효율 점수/유효 체력/스킬 회전율)에서 상한 이상인 프런트 점이 있으면 제외,
+ *   완료 시 paretoFront 반환 (축별 상한 모두 i에 대해 감소 → 조기 종료 조건 유지)
+ * @param {Object} data - 탐색 데이터 (startPartial과 동일 형식, pareto?: boolean)
+ * @param {Function} [post] - 메시지 전송 함수 (기본: self.postMessage, 민감도 분석은 결과 수집)
+ */
+function findOptimalCombinationExact(
+  data,
+  post = (message) => self.postMessage(message)
+) {
+  try {
+    const {
+      weapons,
+      armors,
+      emblems,
+      accessories,
+      options: requestOptions,
+      workerId = 0,
+      weaponStartIdx = 0,
+      weaponEndIdx = weapons.length,
+      initialBestScore,
+      topN = 1,
+      minRuneDifference = Formulas.DEFAULT_MIN_RUNE_DIFFERENCE,
+      constraints,
+      pareto = false,
+    } = data;
+
+    const PROGRESS_UPDATE_INTERVAL_MS = 500;
+
+    // 파레토 모드의 효율 점수 축은 역할 목적 함수와 무관한 기존 점수
+    const options = pareto
+      ? Object.assign({}, requestOptions, { objective: "score" })
+      : requestOptions;
+
+    // 제약 조건: 룬 단독 규칙으로 후보 제거 (@added 2025-12-15)
+    const constraintTracker = createConstraintTracker(constraints, {
+      weapons: weapons.slice(weaponStartIdx, weaponEndIdx),
+      armors,
+      emblems,
+      accessories,
+    });
+    if (constraintTracker.conflicts.length > 0) {
+      postConstraintConflict(workerId, constraintTracker, post);
+      return;
+    }
+    const pools = constraintTracker.pools;
+
+    console.log(`[Worker ${workerId}] 정확 탐색 시작:`, {
+      weapons: pools.weapons.length,
+      armors: pools.armors.length,
+      emblems: pools.emblems.length,
+      accessories: pools.accessories.length,
+    });
+
+    // 1. 룬별 상한 계산 및 상한 내림차순 정렬
+    const poolInfo = getExactPoolInfo(pools);
+    const objective = RoleModels.getObjective(options);
+    const roleObjective = objective !== "score";
+    const trackRole = roleObjective || pareto;
+    const candidates = {};
+    EXACT_SEARCH_SLOTS.forEach(({ key }) => {
+      candidates[key] = pools[key]
+        .map((rune) => {
+          const totals = getCrossSynergyTotals(rune);
+          const cross = {};
+          CROSS_SYNERGY_PAIRS.forEach(([rateKey, damageKey], idx) => {
+            cross[rateKey] = Math.max(0, totals[rateKey]);
+            cross[damageKey] = Math.max(0, totals[damageKey]);
+            cross[CROSS_SYNERGY_SUM_KEYS[idx]] = cross[rateKey] + cross[damageKey];
+          });
+          const exact = getRuneExactBound(rune, key, poolInfo, options);
+          return {
+            rune,
+            bound: exact.bound,
+            conditional: exact.conditional,
+            enables: exact.enables,
+            total: exact.total,
+            cross,
+            role: trackRole ? RoleModels.collectRoleEffects([rune]) : null,
+          };
+        })
+        .sort((a, b) => b.total - a.total);
+    });
+
+    // 필수 룬 인덱스: 후보를 인덱스 오름차순으로 고르므로 건너뛰면 만족 불가
+    const includeIds = new Set(
+      ((constraints && constraints.includeIds) || []).map(String)
+    );
+    const requiredIdx = {};
+    EXACT_SEARCH_SLOTS.forEach(({ key }) => {
+      requiredIdx[key] = [];
+      candidates[key].forEach((c, i) => {
+        if (includeIds.has(String(c.rune.id))) requiredIdx[key].push(i);
+      });
+    });
+
+    // 조합 단위 제약(필수 룬/DoT 최소 수/결함 합계) 충족 가능 여부 확인용 후보 배열
+    const runeLists = {};
+    EXACT_SEARCH_SLOTS.forEach(({ key }) => {
+      runeLists[key] = candidates[key].map((c) => c.rune);
+    });
+    const laterSlots = EXACT_SEARCH_SLOTS.map((_, slot) =>
+      EXACT_SEARCH_SLOTS.slice(slot + 1).map(({ key, count }) => ({
+        runes: runeLists[key],
+        from: 0,
+        count,
+      }))
+    );
+
+    const total = EXACT_SEARCH_SLOTS.reduce(
+      (product, { key, count }) => product * nCr(candidates[key].length, count),
+      1
+    );
+
+    // 2. 남은 슬롯 상한 사전 계산
+    // prefix[key][i] = 상위 i개 상한 합, topCross[key][k][n] = 분류 k 상위 n개 합
+    const prefix = {};
+    const topCross = {};
+    EXACT_SEARCH_SLOTS.forEach(({ key, count }) => {
+      const list = candidates[key];
+      prefix[key] = [0];
+      list.forEach((c, i) => prefix[key].push(prefix[key][i] + c.total));
+
+      topCross[key] = {};
+      CROSS_SYNERGY_KEYS.forEach((k) => {
+        const sorted = list.map((c) => c.cross[k]).sort((a, b) => b - a);
+        topCross[key][k] = [0];
+        for (let n = 0; n < count; n++) {
+          topCross[key][k].push(topCross[key][k][n] + (sorted[n] || 0));
+        }
+      });
+    });
+
+    // 역할 목적 함수: suffixRole[key][i][k][n] = i번째 후보 이후 이로운 효과 k 상위 n개 합
+    // (i가 커질수록 감소 → 상한 내림차순 정렬의 조기 종료 조건 유지)
+    const suffixRole = {};
+    if (trackRole) {
+      EXACT_SEARCH_SLOTS.forEach(({ key, count }) => {
+        const list = candidates[key];
+        const tops = {};
+        RoleModels.BENEFIT_KEYS.forEach((k) => {
+          tops[k] = [];
+        });
+        suffixRole[key] = new Array(list.length + 1);
+        for (let i = list.length; i >= 0; i--) {
+          suffixRole[key][i] = {};
+          RoleModels.BENEFIT_KEYS.forEach((k) => {
+            if (i < list.length) {
+              tops[k].push(list[i].role[k]);
+              tops[k].sort((a, b) => b - a);
+              tops[k].length = Math.min(tops[k].length, count);
+            }
+            const sums = [0];
+            for (let n = 0; n < count; n++) {
+              sums.push(sums[n] + (tops[k][n] || 0));
+            }
+            suffixRole[key][i][k] = sums;
+          });
+        }
+      });
+    }
+
+    // 슬롯 s 이후(s 포함) 전체 슬롯의 상한 합 / 분류별 합 / 조합 수
+    const restBound = new Array(EXACT_SEARCH_SLOTS.length + 1).fill(0);
+    const restCross = new Array(EXACT_SEARCH_SLOTS.length + 1);
+    const restCount = new Array(EXACT_SEARCH_SLOTS.length + 1).fill(1);
+    const restRole = new Array(EXACT_SEARCH_SLOTS.length + 1);
+    restCross[EXACT_SEARCH_SLOTS.length] = {};
+    CROSS_SYNERGY_KEYS.forEach((k) => {
+      restCross[EXACT_SEARCH_SLOTS.length][k] = 0;
+    });
+    restRole[EXACT_SEARCH_SLOTS.length] = {};
+    RoleModels.BENEFIT_KEYS.forEach((k) => {
+      restRole[EXACT_SEARCH_SLOTS.length][k] = 0;
+    });
+    // 조건부 상한 활성화 조건: lastEnabler[key][cond] = 조건을 켜는 마지막 후보 인덱스,
+    // laterEnables[s] = 슬롯 s 이후(s 포함) 후보가 켤 수 있는 조건
+    const lastEnabler = {};
+    const laterEnables = new Array(EXACT_SEARCH_SLOTS.length + 1);
+    laterEnables[EXACT_SEARCH_SLOTS.length] = new Set();
+    for (let s = EXACT_SEARCH_SLOTS.length - 1; s >= 0; s--) {
+      const { key, count } = EXACT_SEARCH_SLOTS[s];
+      lastEnabler[key] = {};
+      laterEnables[s] = new Set(laterEnables[s + 1]);
+      candidates[key].forEach((c, i) => {
+        c.enables.forEach((cond) => {
+          lastEnabler[key][cond] = i;
+          laterEnables[s].add(cond);
+        });
+      });
+      restBound[s] = restBound[s + 1] + prefix[key][Math.min(count, candidates[key].length)];
+      restCount[s] = restCount[s + 1] * nCr(candidates[key].length, count);
+      restCross[s] = {};
+      CROSS_SYNERGY_KEYS.forEach((k) => {
+        restCross[s][k] = restCross[s + 1][k] + topCross[key][k][count];
+      });
+      restRole[s] = {};
+      RoleModels.BENEFIT_KEYS.forEach((k) => {
+        restRole[s][k] =
+          restRole[s + 1][k] + (trackRole ? suffixRole[key][0][k][count] : 0);
+      });
+    }
+
+    // 3. 초기 해 (상한 상위 룬 greedy) 및 기준 점수
+    const ranking = topN > 1 ? createCombinationRanking(topN, minRuneDifference) : null;
+    const archive = pareto ? createParetoArchive() : null;
+    let bestScore = -Infinity;
+    let bestCombination = null;
+
+    // 파레토 축 값 (모든 축 0.1 단위, 표시 단위 차이만 나는 점은 동률로 취급)
+    const getParetoScores = (score, roleEffects) => {
+      const scores = { score: Math.round(score * 10) / 10 };
+      RoleModels.PARETO_OBJECTIVES.forEach((key) => {
+        if (key === "score") return;
+        const value = RoleModels.evaluateObjective(key, roleEffects, options.stats);
+        scores[key] = Math.round(value * 10) / 10;
+      });
+      return scores;
+    };
+
+    // 제약 조건 위반 조합은 순위/가지치기 기준에서 제외
+    const offer = (score, combination, roleEffects) => {
+      const violations = constraintTracker.check(combination);
+      if (violations.length > 0) {
+        constraintTracker.reject(score, combination, violations);
+        return;
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestCombination = combination;
+      }
+      if (ranking) ranking.offer(score, combination);
+      if (archive) archive.offer(getParetoScores(score, roleEffects), combination);
+    };
+
+    const feasible = EXACT_SEARCH_SLOTS.every(
+      ({ key, count }) => candidates[key].length >= count
+    );
+    if (feasible) {
+      const greedy = {
+        weapon: candidates.weapons[0].rune,
+        armors: candidates.armors.slice(0, 5).map((c) => c.rune),
+        emblem: candidates.emblems[0].rune,
+        accessories: candidates.accessories.slice(0, 3).map((c) => c.rune),
+      };
+      const greedyRunes = [greedy.weapon, greedy.emblem, ...greedy.armors, ...greedy.accessories];
+      offer(
+        calculateCombinationScore(greedy, options),
+        greedy,
+        trackRole ? RoleModels.collectRoleEffects(greedyRunes) : null
+      );
+    }
+
+    // 다른 Worker(또는 이전 단계)의 점수로 가지치기 기준 강화
+    const externalThreshold =
+      initialBestScore !== undefined && initialBestScore !== null
+        ? initialBestScore
+        : -Infinity;
+    const pruneThreshold = () =>
+      Math.max(ranking ? ranking.threshold() : bestScore, externalThreshold);
+
+    // 4. 깊이 우선 탐색
+    let nodes = 0;
+    let processed = 0;
+    let skipped = 0;
+    let lastProgressTime = Date.now();
+    const selected = { weapons: [], emblems: [], armors: [], accessories: [] };
+    const chosen = [];
+    const enableCount = {};
+    const crossSum = {};
+    CROSS_SYNERGY_KEYS.forEach((k) => {
+      crossSum[k] = 0;
+    });
+    const roleSum = {};
+    RoleModels.ROLE_EFFECT_KEYS.forEach((k) => {
+      roleSum[k] = 0;
+    });
+
+    const pushCandidate = (candidate, delta) => {
+      if (delta > 0) chosen.push(candidate);
+      else chosen.pop();
+      candidate.enables.forEach((cond) => {
+        enableCount[cond] = (enableCount[cond] || 0) + delta;
+      });
+      CROSS_SYNERGY_KEYS.forEach((k) => {
+        crossSum[k] += delta * candidate.cross[k];
+      });
+      if (trackRole) {
+        RoleModels.ROLE_EFFECT_KEYS.forEach((k) => {
+          roleSum[k] += delta * candidate.role[k];
+        });
+      }
+    };
+
+    const reportProgress = () => {
+      const now = Date.now();
+      if (now - lastProgressTime < PROGRESS_UPDATE_INTERVAL_MS) return;
+      lastProgressTime = now;
+      post({
+        type: "progress",
+        workerId,
+        processed,
+        skipped,
+        nodes,
+        total,
+        progress: total > 0 ? Math.round(((processed + skipped) / total) * 100) : 100,
+        bestScore,
+      });
+    };
+
+    // 선택된 룬의 조건부 상한 중 아직 조건을 만족할 수 있는 부분의 합
+    const conditionalBound = (slot, start) => {
+      const { key } = EXACT_SEARCH_SLOTS[slot];
+      const possible = (cond) =>
+        enableCount[cond] > 0 ||
+        lastEnabler[key][cond] >= start ||
+        laterEnables[slot + 1].has(cond);
+      let sum = 0;
+      chosen.forEach((c) => {
+        c.conditional.forEach(({ conds, value }) => {
+          if (conds.some(possible)) sum += value;
+        });
+      });
+      return sum;
+    };
+
+    // 역할 목적 함수 상한: 모델이 효과 합계에 단조이므로 남은 슬롯은 이로운 효과만 상위 합으로,
+    // 결함은 선택된 룬만 반영
+    const roleBound = (slot, start, need, target = objective) => {
+      const { key } = EXACT_SEARCH_SLOTS[slot];
+      const effects = Object.assign({}, roleSum);
+      RoleModels.BENEFIT_KEYS.forEach((k) => {
+        effects[k] += suffixRole[key][start][k][need] + restRole[slot + 1][k];
+      });
+      return RoleModels.evaluateObjective(target, effects, options.stats);
+    };
+
+    // 노드 상한: 선택 합(조건부 포함) + 현재 슬롯 남은 상위 상한 + 이후 슬롯 상한
+    // + 곱연산 시너지 상한 (역할 목적 함수면 모델 상한 + 효율 점수 상한 × 보조 가중치)
+    const upperBound = (slot, start, picked, boundSum) => {
+      const { key, count } = EXACT_SEARCH_SLOTS[slot];
+      const need = count - picked;
+      const list = candidates[key];
+      if (start + need > list.length) return -Infinity;
+
+      const additive =
+        boundSum +
+        conditionalBound(slot, start) +
+        (prefix[key][start + need] - prefix[key][start]) +
+        restBound[slot + 1];
+      const totals = {};
+      CROSS_SYNERGY_KEYS.forEach((k) => {
+        totals[k] = crossSum[k] + topCross[key][k][need] + restCross[slot + 1][k];
+      });
+      const scoreBound = additive + calculateCrossSynergyBound(totals);
+      if (!roleObjective) return scoreBound;
+      return (
+        roleBound(slot, start, need) +
+        scoreBound * RoleModels.ROLE_MODEL_CONSTANTS.SECONDARY_SCORE_WEIGHT
+      );
+    };
+
+    // 파레토 모드: 프런트 점이 모든 축의 상한 이상이면 하위 트리 제외
+    const paretoPrunable = (slot, start, picked, boundSum) => {
+      const need = EXACT_SEARCH_SLOTS[slot].count - picked;
+      const bound = { score: upperBound(slot, start, picked, boundSum) };
+      RoleModels.PARETO_OBJECTIVES.forEach((key) => {
+        if (key !== "score") bound[key] = roleBound(slot, start, need, key);
+      });
+      return archive.covers(bound);
+    };
+
+    // 하위 트리 제외 여부 (상한이 기준 점수 이하)
+    const prunable = (slot, start, picked, boundSum) =>
+      archive
+        ? paretoPrunable(slot, start, picked, boundSum)
+        : upperBound(slot, start, picked, boundSum) + EXACT_BOUND_EPSILON <= pruneThreshold();
+
+    // i번째 후보부터 need개를 고르는 하위 트리에 제약을 만족하는 조합이 있을 수 있는지
+    const completable = (slot, i, need) =>
+      constraintTracker.canComplete(
+        chosen.map((c) => c.rune),
+        [
+          { runes: runeLists[EXACT_SEARCH_SLOTS[slot].key], from: i, count: need },
+          ...laterSlots[slot],
+        ]
+      );
+
+    const evaluateLeaf = () => {
+      processed++;
+      const combination = {
+        weapon: selected.weapons[0],
+        armors: selected.armors.slice(),
+        emblem: selected.emblems[0],
+        accessories: selected.accessories.slice(),
+      };
+      offer(calculateCombinationScore(combination, options), combination, roleSum);
+      reportProgress();
+    };
+
+    const search = (slot, start, picked, boundSum) => {
+      nodes++;
+      const { key, count } = EXACT_SEARCH_SLOTS[slot];
+
+      const nextRequired = requiredIdx[key].find((idx) => idx >= start);
+
+      if (picked === count) {
+        if (nextRequired !== undefined) {
+          // 필수 룬을 고르지 못한 조합
+          skipped += restCount[slot + 1];
+        } else if (slot + 1 === EXACT_SEARCH_SLOTS.length) {
+          evaluateLeaf();
+        } else {
+          search(slot + 1, 0, 0, boundSum);
+        }
+        return;
+      }
+
+      const list = candidates[key];
+      const need = count - picked;
+      for (let i = start; i <= list.length - need; i++) {
+        // i번째 후보부터 채우는 하위 트리의 상한 (후보는 상한 내림차순)
+        // 필수 룬을 건너뛰거나 제약을 채울 수 없는 후보부터는 만족하는 조합이 없음
+        if (
+          (nextRequired !== undefined && i > nextRequired) ||
+          !completable(slot, i, need) ||
+          prunable(slot, i, picked, boundSum)
+        ) {
+          // 이후 후보는 상한이 더 낮으므로 남은 하위 트리 전체 제외
+          for (let j = i; j <= list.length - need; j++) {
+            skipped += nCr(list.length - j - 1, need - 1) * restCount[slot + 1];
+          }
+          reportProgress();
+          break;
+        }
+
+        const candidate = list[i];
+        selected[key].push(candidate.rune);
+        pushCandidate(candidate, 1);
+
+        search(slot, i + 1, picked + 1, boundSum + candidate.bound);
+
+        selected[key].pop();
+        pushCandidate(candidate, -1);
+      }
+    };
+
+    const startTime = Date.now();
+    if (feasible) search(0, 0, 0, 0);
+
+    const rootBound = feasible ? upperBound(0, 0, 0, 0) : -Infinity;
+    console.log(
+      `[Worker ${workerId}] 정확 탐색 완료 - 최고점수: ${bestScore}, 노드: ${nodes}, ` +
+        `계산: ${processed}, 제외: ${skipped}, ${Date.now() - startTime}ms`
+    );
+
+    // 외부 기준 점수를 넘는 조합이 없으면 null (startPartial과 동일)
+    const beatsExternal = bestScore > externalThreshold;
+    post({
+      type: "complete",
+      workerId,
+      bestScore: beatsExternal ? bestScore : 0,
+      bestCombination: beatsExternal ? bestCombination : null,
+      topCombinations: ranking ? ranking.list() : undefined,
+      paretoFront: archive ? archive.list() : undefined,
+      processed,
+      skipped,
+      total,
+      nodes,
+      rootUpperBound: Math.round(rootBound * 10) / 10,
+      optimal: feasible,
+      constraintReport: constraintTracker.report(
+        bestCombination,
+        bestScore,
+        options
+      ),
+    });
+  } catch (error) {
+    console.error("[Worker] 정확 탐색 오류:", error);
+    post({
+      type: "error",
+      message: error.message,
+      stack: error.stack,
+    });
+  }
+}
+
+// ============================================================================
+// 섹션 11: 조합 제약 조건
+// @added 2025-12-15
+// ============================================================================
+
+/**
+ * 조합 제약 조건 컴파일
+ * - 제약마다 { key, type, label, test(runes) } 규칙 생성
+ * - test: 조합의 룬 10개 배열을 받아 만족 여부 반환
+ * - allowsRune: 룬 단독으로 판정 가능한 규칙 (제외/보유/결함) → 후보에서 미리 제거
+ *
+ * @param {Object} constraints - 제약 조건
+ * @param {Array<string|number>} [constraints.includeIds] - 반드시 포함할 룬 ID
+ * @param {Array<string|number>} [constraints.excludeIds] - 사용하지 않을 룬 ID
+ * @param {Object} [constraints.minDotRunes] - DoT 유형별 최소 부여 룬 수 ({ 화상: 2 })
+ * @param {Array<string>} [constraints.forbiddenDemerits] - 허용하지 않을 결함 이름
+ * @param {number} [constraints.maxDemeritWeight] - 결함 가중치 합 상한
+ * @param {Array<string|number>} [constraints.ownedIds] - 보유 룬 ID (지정 시 보유 룬만)
+ * @param {Object} pools - 카테고리별 룬 목록 (라벨용 이름 조회)
+ * @returns {Array<Object>} 규칙 목록
+ */
+function compileConstraints(constraints, pools) {
+  if (!constraints) return [];
+
+  const names = new Map();
+  Object.keys(pools).forEach((key) => {
+    pools[key].forEach((rune) => names.set(String(rune.id), rune.name));
+  });
+  const runeLabel = (id) => names.get(String(id)) || `#${id}`;
+  const rules = [];
+  const addRuneRule = (key, type, label, allowsRune) => {
+    rules.push({
+      key,
+      type,
+      label,
+      allowsRune,
+      test: (runes) => runes.every(allowsRune),
+    });
+  };
+
+  (constraints.includeIds || []).map(String).forEach((id) => {
+    rules.push({
+      key: `include:${id}`,
+      type: "include",
+      label: `필수 룬: ${runeLabel(id)}`,
+      runeId: id,
+      test: (runes) => runes.some((rune) => String(rune.id) === id),
+    });
+  });
+
+  (constraints.excludeIds || []).map(String).forEach((id) => {
+    addRuneRule(
+      `exclude:${id}`,
+      "exclude",
+      `제외 룬: ${runeLabel(id)}`,
+      (rune) => String(rune.id) !== id
+    );
+  });
+
+  const minDotRunes = constraints.minDotRunes || {};
+  Object.keys(minDotRunes).forEach((dotType) => {
+    const count = minDotRunes[dotType];
+    if (!(count > 0)) return;
+    rules.push({
+      key: `minDot:${dotType}`,
+      type: "minDot",
+      label: `${dotType} 부여 룬 ${count}개 이상`,
+      dotType,
+      count,
+      test: (runes) =>
+        runes.filter((rune) => Formulas.runeAppliesDot(rune, dotType)).length >=
+        count,
+    });
+  });
+
+  (constraints.forbiddenDemerits || []).forEach((name) => {
+    addRuneRule(
+      `forbiddenDemerit:${name}`,
+      "forbiddenDemerit",
+      `결함 금지: ${name}`,
+      (rune) => !(rune.demerits || []).some((demerit) => demerit.name === name)
+    );
+  });
+
+  const maxDemeritWeight = constraints.maxDemeritWeight;
+  if (typeof maxDemeritWeight === "number" && !isNaN(maxDemeritWeight)) {
+    const limit = maxDemeritWeight + Formulas.DEMERIT_WEIGHT_EPSILON;
+    rules.push({
+      key: "maxDemeritWeight",
+      type: "maxDemeritWeight",
+      label: `결함 가중치 합 ${maxDemeritWeight} 이하`,
+      // 룬 하나로 상한을 넘으면 후보에서 제외, 합계는 조합 단위로 검사
+      allowsRune: (rune) => Formulas.getRuneDemeritWeight(rune) <= limit,
+      test: (runes) =>
+        runes.reduce(
+          (sum, rune) => sum + Formulas.getRuneDemeritWeight(rune),
+          0
+        ) <= limit,
+    });
+  }
+
+  if (Array.isArray(constraints.ownedIds)) {
+    const owned = new Set(constraints.ownedIds.map(String));
+    addRuneRule(
+      "ownedOnly",
+      "ownedOnly",
+      `보유 룬만 (${owned.size}개)`,
+      (rune) => owned.has(String(rune.id))
+    );
+  }
+
+  return rules;
+}
+
+/**
+ * 탐색 전에 확인 가능한 제약 충돌 (만족하는 조합이 없음)
+ * - 후보 제거 후 슬롯 수보다 룬이 부족한 카테고리 → 해당 카테고리 룬을 제거한 규칙
+ * - 후보에 없는 필수 룬, 슬롯 수를 넘는 필수 룬 → 필수 룬 규칙
+ * - 허용 룬 중 DoT 부여 룬이 부족 → DoT 최소 수 규칙
+ *
+ * @param {Array<Object>} rules - compileConstraints 결과
+ * @param {Object} pools - 제거 전 카테고리별 룬 목록
+ * @param {Object} allowed - 제거 후 카테고리별 룬 목록
+ * @returns {Array<string>} 충돌 규칙 key 목록
+ */
+function findConstraintConflicts(rules, pools, allowed) {
+  const conflicts = new Set();
+  const runeRules = rules.filter((rule) => rule.allowsRune);
+
+  EXACT_SEARCH_SLOTS.forEach(({ key, count }) => {
+    const includedHere = rules.filter(
+      (rule) =>
+        rule.type === "include" &&
+        allowed[key].some((rune) => String(rune.id) === rule.runeId)
+    );
+    if (includedHere.length > count) {
+      includedHere.forEach((rule) => conflicts.add(rule.key));
+    }
+    if (allowed[key].length < count) {
+      runeRules
+        .filter((rule) => pools[key].some((rune) => !rule.allowsRune(rune)))
+        .forEach((rule) => conflicts.add(rule.key));
+    }
+  });
+
+  rules.forEach((rule) => {
+    if (rule.type === "include") {
+      const found = Object.keys(allowed).some((key) =>
+        allowed[key].some((rune) => String(rune.id) === rule.runeId)
+      );
+      if (!found) conflicts.add(rule.key);
+    } else if (rule.type === "minDot") {
+      const available = Object.keys(allowed).reduce(
+        (sum, key) =>
+          sum +
+          allowed[key].filter((rune) =>
+            Formulas.runeAppliesDot(rune, rule.dotType)
+          ).length,
+        0
+      );
+      if (available < rule.count) conflicts.add(rule.key);
+    }
+  });
+
+  return [...conflicts];
+}
+
+/**
+ * 제약 조건 추적기 생성
+ * - pools: 룬 단독 규칙으로 걸러낸 탐색 후보
+ * - conflicts: 탐색 전 확인된 충돌 규칙 (비어 있지 않으면 탐색 불필요)
+ * - check(): 조합이 위반한 규칙 key 목록 (빈 배열이면 만족)
+ * - reject(): 위반 조합 기록
+ * - report(): 결과 메시지용 요약
+ *
+ * 규칙 하나만 위반한 조합 중 최고 점수를 그 규칙의 근거(witness)로 기록.
+ * 근거 점수가 최종 최고 점수보다 높으면 해당 규칙이 결과를 제한한 것(binding).
+ * 근거는 탐색 중 거절된 조합과, 최종 조합의 룬 1개 교체 조합(제거된 후보 포함)에서 수집
+ *
+ * - canComplete(): 남은 슬롯으로 조합 단위 규칙을 만족할 수 있는지 (가지치기용)
+ *
+ * @param {Object} constraints - 제약 조건 (compileConstraints 참고)
+ * @param {Object} pools - 카테고리별 룬 목록 { weapons, armors, emblems, accessories }
+ * @returns {Object} { active, pools, conflicts, check, canComplete, reject, report }
+ */
+function createConstraintTracker(constraints, pools) {
+  const rules = compileConstraints(constraints, pools);
+  const runeRules = rules.filter((rule) => rule.allowsRune);
+  const allowed = {};
+  Object.keys(pools).forEach((key) => {
+    allowed[key] = pools[key].filter((rune) =>
+      runeRules.every((rule) => rule.allowsRune(rune))
+    );
+  });
+  const conflicts =
+    rules.length > 0 ? findConstraintConflicts(rules, pools, allowed) : [];
+  const noViolations = [];
+  const witnessScores = {};
+  let relaxed = null;
+  let rejected = 0;
+
+  // 조합 단위 규칙 (룬 단독 규칙은 후보 제거로 이미 만족)
+  const includeRules = rules.filter((rule) => rule.type === "include");
+  const dotRules = rules.filter((rule) => rule.type === "minDot");
+  const demeritRule = rules.find((rule) => rule.type === "maxDemeritWeight");
+  const completionRules =
+    includeRules.length + dotRules.length + (demeritRule ? 1 : 0);
+
+  // 후보 배열별 캐시: DoT 부여 룬 수 (뒤에서부터 누적), 룬 ID 집합
+  const dotSuffixCache = new WeakMap();
+  const idCache = new WeakMap();
+  const countDotRunes = (runes, from, dotType) => {
+    let cached = dotSuffixCache.get(runes);
+    if (!cached) {
+      cached = {};
+      dotSuffixCache.set(runes, cached);
+    }
+    if (!cached[dotType]) {
+      const suffix = new Array(runes.length + 1).fill(0);
+      for (let i = runes.length - 1; i >= 0; i--) {
+        suffix[i] =
+          suffix[i + 1] + (Formulas.runeAppliesDot(runes[i], dotType) ? 1 : 0);
+      }
+      cached[dotType] = suffix;
+    }
+    return cached[dotType][Math.min(from, runes.length)];
+  };
+  const hasRuneId = (runes, id) => {
+    let ids = idCache.get(runes);
+    if (!ids) {
+      ids = new Set(runes.map((rune) => String(rune.id)));
+      idCache.set(runes, ids);
+    }
+    return ids.has(id);
+  };
+
+  /**
+   * 남은 슬롯으로 조합 단위 규칙을 만족할 수 있는지 확인
+   * - 필수 룬: 이미 골랐거나 남은 후보에 있음
+   * - DoT 최소 수: 고른 수 + 남은 슬롯별 min(슬롯 수, 후보 중 부여 룬 수)
+   * - 결함 가중치 합: 고른 룬 합계가 상한 이하 (남은 룬의 최소 가중치는 0)
+   * @param {Array<Object>} runes - 지금까지 고른 룬
+   * @param {Array<Object>} remaining - 남은 슬롯 [{ runes, from, count }] (runes[from..]에서 count개)
+   * @returns {boolean} false면 이 하위 트리에 만족하는 조합이 없음
+   */
+  const canComplete = (runes, remaining) => {
+    if (completionRules === 0) return true;
+
+    const includesOk = includeRules.every(
+      (rule) =>
+        runes.some((rune) => String(rune.id) === rule.runeId) ||
+        remaining.some((entry) => hasRuneId(entry.runes, rule.runeId))
+    );
+    if (!includesOk) return false;
+
+    const dotsOk = dotRules.every((rule) => {
+      let count = runes.filter((rune) =>
+        Formulas.runeAppliesDot(rune, rule.dotType)
+      ).length;
+      remaining.forEach((entry) => {
+        count += Math.min(
+          entry.count,
+          countDotRunes(entry.runes, entry.from || 0, rule.dotType)
+        );
+      });
+      return count >= rule.count;
+    });
+    if (!dotsOk) return false;
+
+    return !demeritRule || demeritRule.test(runes);
+  };
+
+  const check = (combination) => {
+    if (rules.length === 0) return noViolations;
+    const runes = [
+      combination.weapon,
+      ...combination.armors,
+      combination.emblem,
+      ...combination.accessories,
+    ];
+    return rules.filter((rule) => !rule.test(runes)).map((rule) => rule.key);
+  };
+
+  const record = (score, violations) => {
+    if (violations.length === 1) {
+      const key = violations[0];
+      if (witnessScores[key] === undefined || score > witnessScores[key]) {
+        witnessScores[key] = score;
+      }
+    }
+    if (!relaxed || score > relaxed.score) relaxed = { score, violations };
+  };
+
+  // 최종 조합의 룬 1개를 (제거된 후보 포함) 다른 룬으로 교체한 조합 평가
+  const collectSwapWitnesses = (combination, options) => {
+    const inCombination = new Set(
+      [
+        combination.weapon,
+        ...combination.armors,
+        combination.emblem,
+        ...combination.accessories,
+      ].map((rune) => String(rune.id))
+    );
+    const swap = (key, index, rune) => {
+      const candidate = {
+        weapon: combination.weapon,
+        armors: combination.armors.slice(),
+        emblem: combination.emblem,
+        accessories: combination.accessories.slice(),
+      };
+      if (key === "weapons") candidate.weapon = rune;
+      else if (key === "emblems") candidate.emblem = rune;
+      else candidate[key][index] = rune;
+
+      const violations = check(candidate);
+      if (violations.length === 1) {
+        record(calculateCombinationScore(candidate, options), violations);
+      }
+    };
+
+    EXACT_SEARCH_SLOTS.forEach(({ key, count }) => {
+      pools[key].forEach((rune) => {
+        if (inCombination.has(String(rune.id))) return;
+        for (let index = 0; index < count; index++) swap(key, index, rune);
+      });
+    });
+  };
+
+  return {
+    active: rules.length > 0,
+    pools: allowed,
+    conflicts,
+    check,
+    canComplete,
+    reject(score, combination, violations) {
+      rejected++;
+      record(score, violations);
+    },
+    /**
+     * @param {Object|null} bestCombination - 제약을 만족하는 최고 조합
+     * @param {number} bestScore - 최고 점수
+     * @param {Object} options - 점수 계산 옵션 (교체 조합 평가용)
+     * @returns {Object|undefined} 제약 조건 보고 (제약이 없으면 undefined)
+     */
+    report(bestCombination, bestScore, options) {
+      if (rules.length === 0) return undefined;
+      if (bestCombination) collectSwapWitnesses(bestCombination, options);
+
+      const report = {
+        constraints: rules.map(({ key, type, label }) => ({ key, type, label })),
+        witnessScores,
+        conflicts,
+        relaxedViolations: relaxed ? relaxed.violations : [],
+        relaxedScore: relaxed ? relaxed.score : null,
+        rejected,
+      };
+      return Formulas.summarizeConstraintReports(
+        [report],
+        bestCombination ? bestScore : null
+      );
+    },
+  };
+}
+
+/**
+ * 제약 충돌로 탐색 없이 완료 메시지 전송
+ * @param {number} workerId - Worker ID
+ * @param {Object} constraintTracker - createConstraintTracker 결과
+ * @param {Function} [post] - 메시지 전송 함수 (기본: self.postMessage)
+ */
+function postConstraintConflict(
+  workerId,
+  constraintTracker,
+  post = (message) => self.postMessage(message)
+) {
+  console.log(
+    `[Worker ${workerId}] 제약 조건 충돌 - 탐색 생략:`,
+    constraintTracker.conflicts
+  );
+  post({
+    type: "complete",
+    workerId,
+    bestScore: 0,
+    bestCombination: null,
+    processed: 0,
+    skipped: 0,
+    constraintReport: constraintTracker.report(null, 0, null),
+  });
+}
+
+// ============================================================================
+// 섹션 12: 업그레이드 경로 계획
+// @added 2025-12-15
+// ============================================================================
+
+/**
+ * 장착 슬롯 ID (메인 스레드 equippedRunes / enhanceLevels 키와 동일)
+ * @constant {Object}
+ */
+const UPGRADE_SLOT_IDS = {
+  weapon: ["weapon-1"],
+  armors: ["armor-1", "armor-2", "armor-3", "armor-4", "armor-5"],
+  emblem: ["emblem-1"],
+  accessories: ["accessory-1", "accessory-2", "accessory-3"],
+};
+
+/** 강화 단계 (+10, +15) */
+const ENHANCE_LEVELS = [10, 15];
+
+/** 계획 단계 수 상한 (교체 10회 + 강화 단계 여유) */
+const MAX_UPGRADE_STEPS = 40;
+
+/** 빈 슬롯 자리표시 룬 (점수 0) */
+const EMPTY_SLOT_RUNE = Object.freeze({
+  id: null,
+  name: "(빈 슬롯)",
+  effects: [],
+  demerits: [],
+});
+
+/**
+ * 강화 단계까지의 강화 효과를 일반 효과 형식으로 변환
+ * - enhanceEffects는 { "10": { 효과명: 수치 } } 객체 또는 효과 배열 형식
+ * @param {Object} rune - 룬 데이터
+ * @param {number} level - 강화 단계 (0, 10, 15)
+ * @returns {Array<Object>} PERMANENT 효과 목록
+ */
+function getEnhancementEffects(rune, level) {
+  const effects = [];
+  ENHANCE_LEVELS.filter((enhance) => enhance <= level).forEach((enhance) => {
+    const list = rune.enhanceEffects && rune.enhanceEffects[String(enhance)];
+    if (Array.isArray(list)) {
+      list.forEach((effect) => {
+        if (effect.dpsRelevant === false) return;
+        effects.push({ ...effect, type: effect.type || "PERMANENT" });
+      });
+    } else if (list && typeof list === "object") {
+      Object.entries(list).forEach(([name, value]) => {
+        if (typeof value === "number") {
+          effects.push({ name, value, unit: "%", type: "PERMANENT" });
+        }
+      });
+    }
+  });
+  return effects;
+}
+
+/**
+ * 강화 단계를 반영한 룬 사본
+ * - 강화 효과를 effects에 합치고 enhanceEffects는 제거 (이중 계산 방지)
+ * @param {Object} rune - 룬 데이터
+ * @param {number} level - 강화 단계
+ * @returns {Object} 점수 계산용 룬
+ */
+function applyEnhancement(rune, level) {
+  return {
+    ...rune,
+    effects: (rune.effects || []).concat(getEnhancementEffects(rune, level)),
+    enhanceEffects: null,
+  };
+}
+
+/**
+ * 다음 강화 단계 (효과가 없는 단계는 건너뜀)
+ * @param {Object} rune - 룬 데이터
+ * @param {number} level - 현재 강화 단계
+ * @returns {number|null} 다음 단계 (없으면 null)
+ */
+function getNextEnhanceLevel(rune, level) {
+  const next = ENHANCE_LEVELS.find(
+    (enhance) =>
+      enhance > level &&
+      getEnhancementEffects(rune, enhance).length >
+        getEnhancementEffects(rune, level).length
+  );
+  return next === undefined ? null : next;
+}
+
+/**
+ * 업그레이드 경로 계획
+ * - 현재 장착 → 목표 조합(최적화 결과)까지 한 슬롯 교체 / 강화 한 단계를 한 단계로 보고
+ *   매 단계 점수 상승이 가장 큰 행동을 고르는 탐욕적 순서
+ * - 교체 후보: 목표 조합에 없는 룬(또는 빈 슬롯) → 아직 장착하지 않은 목표 룬 (+0 장착)
+ * - 강화 후보: 목표 조합에 포함된 장착 룬 (점수가 오르는 단계만)
+ * - 교체는 점수가 내려가도 목표에 도달하려면 필요하므로 항상 후보 유지
+ *
+ * @param {Object} data - 계획 요청
+ * @param {Object} data.equipped - 슬롯 ID → 룬 (빈 슬롯은 null)
+ * @param {Object} [data.enhanceLevels] - 슬롯 ID → 강화 단계
+ * @param {Object} data.target - 목표 조합 { weapon, armors, emblem, accessories }
+ * @param {Array<string|number>} [data.ownedIds] - 보유 룬 ID (교체 단계의 파밍 필요 여부 표시)
+ * @param {Object} data.options - 점수 계산 옵션 (role, classCode, stats)
+ * @returns {Object} { startScore, targetScore, finalScore, steps }
+ */
+function planUpgradePath(data) {
+  const { equipped = {}, enhanceLevels = {}, target, ownedIds, options } = data;
+  const owned = ownedIds ? new Set(ownedIds.map(String)) : null;
+
+  const targetRunes = {
+    weapon: [target.weapon],
+    armors: target.armors,
+    emblem: [target.emblem],
+    accessories: target.accessories,
+  };
+
+  const slots = [];
+  Object.keys(UPGRADE_SLOT_IDS).forEach((category) => {
+    UPGRADE_SLOT_IDS[category].forEach((slotId) => {
+      const rune = equipped[slotId] || null;
+      slots.push({
+        slotId,
+        category,
+        rune,
+        level: rune ? enhanceLevels[slotId] || 0 : 0,
+      });
+    });
+  });
+
+  const toCombination = (state) => {
+    const pick = (category) =>
+      state
+        .filter((slot) => slot.category === category)
+        .map((slot) =>
+          slot.rune ? applyEnhancement(slot.rune, slot.level) : EMPTY_SLOT_RUNE
+        );
+    return {
+      weapon: pick("weapon")[0],
+      armors: pick("armors"),
+      emblem: pick("emblem")[0],
+      accessories: pick("accessories"),
+    };
+  };
+  const scoreOf = (state) =>
+    calculateCombinationScore(toCombination(state), options);
+
+  // 카테고리별 목표 룬 중 아직 장착되지 않은 룬 / 목표에 없는 슬롯
+  const diffCategory = (state, category) => {
+    const remaining = targetRunes[category].slice();
+    const keep = new Set();
+    state.forEach((slot, idx) => {
+      if (slot.category !== category || !slot.rune) return;
+      const matchIdx = remaining.findIndex(
+        (rune) => String(rune.id) === String(slot.rune.id)
+      );
+      if (matchIdx !== -1) {
+        remaining.splice(matchIdx, 1);
+        keep.add(idx);
+      }
+    });
+    const replaceable = [];
+    state.forEach((slot, idx) => {
+      if (slot.category === category && !keep.has(idx)) replaceable.push(idx);
+    });
+    return { missing: remaining, replaceable, keep };
+  };
+
+  let current = slots;
+  let currentScore = scoreOf(current);
+  const startScore = currentScore;
+  const steps = [];
+
+  while (steps.length < MAX_UPGRADE_STEPS) {
+    const actions = [];
+
+    Object.keys(UPGRADE_SLOT_IDS).forEach((category) => {
+      const { missing, replaceable, keep } = diffCategory(current, category);
+
+      missing.forEach((rune) => {
+        replaceable.forEach((idx) => {
+          const next = current.slice();
+          next[idx] = { ...current[idx], rune, level: 0 };
+          actions.push({
+            action: "swap",
+            idx,
+            next,
+            rune,
+            replaced: current[idx].rune,
+            fromLevel: current[idx].level,
+            toLevel: 0,
+          });
+        });
+      });
+
+      keep.forEach((idx) => {
+        const slot = current[idx];
+        const nextLevel = getNextEnhanceLevel(slot.rune, slot.level);
+        if (nextLevel === null) return;
+        const next = current.slice();
+        next[idx] = { ...slot, level: nextLevel };
+        actions.push({
+          action: "enhance",
+          idx,
+          next,
+          rune: slot.rune,
+          replaced: null,
+          fromLevel: slot.level,
+          toLevel: nextLevel,
+        });
+      });
+    });
+
+    let best = null;
+    actions.forEach((candidate) => {
+      candidate.score = scoreOf(candidate.next);
+      candidate.gain = candidate.score - currentScore;
+      if (candidate.action === "enhance" && candidate.gain <= 0) return;
+      if (!best || candidate.gain > best.gain) best = candidate;
+    });
+    if (!best) break;
+
+    steps.push({
+      step: steps.length + 1,
+      action: best.action,
+      slotId: current[best.idx].slotId,
+      rune: { id: best.rune.id, name: best.rune.name },
+      replaced: best.replaced
+        ? { id: best.replaced.id, name: best.replaced.name }
+        : null,
+      fromLevel: best.fromLevel,
+      toLevel: best.toLevel,
+      owned:
+        best.action === "swap" && owned ? owned.has(String(best.rune.id)) : null,
+      gain: best.gain,
+      score: best.score,
+    });
+    current = best.next;
+    currentScore = best.score;
+  }
+
+  return {
+    startScore,
+    targetScore: calculateCombinationScore(target, options),
+    finalScore: currentScore,
+    steps,
+  };
+}
+
+// ============================================================================
+// 섹션 13: 가중치 민감도 분석
+// @added 2025-12-15
+// ============================================================================
+
+/**
+ * 가중치 민감도 분석 시행 실행
+ * - 시행마다 SharedEffectWeights 덮어쓰기를 바꾸고 정확 탐색(topN 1)의 1위 조합 수집
+ * - 룬 후보/제약 조건은 모든 시행에서 동일 (가중치만 변경)
+ * - 목적 함수는 항상 효율 점수: 유효 체력/초당 회복량 모델은 가중치가 아닌 모델 공식으로 평가하고
+ *   정확 탐색 1회가 수 분까지 걸려 시행 수백 회를 반복할 수 없음
+ * - 시행이 끝날 때마다 sensitivityProgress, 전체 완료 시 sensitivityComplete 전송
+ * - 끝나면 Worker의 기존 덮어쓰기 복원
+ * - overrides가 없는 시행(기준)은 기존 덮어쓰기(사용자 가중치 프로필) 그대로 탐색
+ *
+ * @param {Object} data - startExact 데이터 + trials: [{ group, key, level, overrides }]
+ * @updated 2025-12-15 - 기준 시행에 가중치 프로필 유지
+ */
+function runWeightSensitivity(data) {
+  const { trials, workerId = 0 } = data;
+  const scoreOptions = Object.assign({}, data.options, { objective: "score" });
+  const previousOverrides = Weights.getWeightOverrides();
+  const startTime = Date.now();
+
+  try {
+    const results = trials.map((trial, idx) => {
+      Weights.setWeightOverrides(trial.overrides || previousOverrides);
+
+      let result = null;
+      findOptimalCombinationExact(
+        Object.assign({}, data, { topN: 1, options: scoreOptions }),
+        (message) => {
+          if (message.type !== "progress") result = message;
+        }
+      );
+      if (!result || result.type === "error") {
+        throw new Error((result && result.message) || "정확 탐색 결과 없음");
+      }
+
+      self.postMessage({
+        type: "sensitivityProgress",
+        workerId,
+        completed: idx + 1,
+        total: trials.length,
+      });
+
+      return {
+        group: trial.group,
+        key: trial.key,
+        level: trial.level,
+        score: result.bestScore,
+        combination: result.bestCombination,
+      };
+    });
+
+    console.log(
+      `[Worker ${workerId}] 민감도 분석 완료 - 시행 ${results.length}개, ${Date.now() - startTime}ms`
+    );
+    self.postMessage({ type: "sensitivityComplete", workerId, trials: results });
+  } catch (error) {
+    console.error("[Worker] 민감도 분석 오류:", error);
+    self.postMessage({
+      type: "error",
+      message: error.message,
+      stack: error.stack,
+    });
+  } finally {
+    Weights.setWeightOverrides(previousOverrides);
+  }
+}
@@ -11,12 +11,13 @@
  * @architecture
  * - EfficiencyCalculator: 개별 룬 및 조합 효율 점수 계산
  * - 클래스별 스텟, 현재 보유 스텟에 따른 동적 가중치 조정
- * - 시너지 보너스 계산
+ * - 시너지 보너스 계산 (synergy-rules.json 규칙, SynergyEngine)
  * 
  * @dependencies
  * - class-stats.js (ClassStats)
  * - effect-weights.js (EffectWeights)
  * - stat-formulas.js (StatFormulas)
+ * - synergy-engine.js (SynergyEngine)
  * ============================================================================
  */
 
@@ -37,43 +38,7 @@ const CALCULATOR_CONFIG = Object.freeze({
   SUB_STAT_BONUS: 0.1,
   
   /** 공격력/피해량 밸런스 최대 보정 계수 */
-  BALANCE_MAX_MULTIPLIER: 1.3,
-  
-  /** 시너지 룬 목록 */
-  SYNERGY_RUNES: {
-    /** 결함 제거 룬 */
-    DEMERIT_REMOVAL: ['영원'],
-    
-    /** 각성 쿨타임 감소 룬 */
-    AWAKENING_COOLDOWN: ['눈 먼 예언자'],
-    
-    /** 각성 2배 효과 룬 */
-    AWAKENING_DOUBLE: ['압도적인 힘', '섬세한 손놀림'],
-    
-    /** 중첩 보너스 룬 */
-    STACKING_BONUS: ['쌍둥이 별', '에메랄드 숲'],
-    
-    /** DoT 부여 룬 (출처) */
-    DOT_PROVIDERS: {
-      '출혈': ['야수+'],
-      '화상': ['불길', '메아리치는 진노'],
-      '빙결': ['결정', '메아리치는 진노'],
-      '감전': ['뇌명'],
-      '정신': ['밤+']
-    },
-    
-    /** DoT 시너지 룬 (수혜) */
-    DOT_BENEFICIARIES: {
-      '출혈': ['절개+'],
-      '화상': ['들불'],
-      '빙결': ['설산'],
-      '감전': ['세상을 삼키는 악의'],
-      '정신': ['환영+']
-    }
-  },
-  
-  /** 눈 먼 예언자 각성 쿨타임 감소량 (초) */
-  BLIND_PROPHET_COOLDOWN_REDUCTION: 38
+  BALANCE_MAX_MULTIPLIER: 1.3
 });
 
 // ============================================================================
@@ -469,182 +434,49 @@ function calculateMarginalUtilityAdjustment(rune, characterStats) {
 
 /**
  * 룬 조합의 시너지 보너스 계산
+ * - synergy-rules.json 규칙을 SynergyEngine으로 평가 (Worker 조합 점수와 같은 규칙)
+ * - 효과/결함 가치는 이 계산기의 동적 가중치 기준
  * 
  * @param {Array<Object>} equippedRunes - 장착된 룬 배열
  * @param {CharacterStats} characterStats - 캐릭터 스텟
  * @returns {Object} { totalBonus, details } 시너지 보너스 및 상세 내역
+ * @updated 2025-12-15 - 하드코딩된 시너지 룬 목록 대신 선언형 규칙 엔진 사용
  */
 function calculateSynergyBonus(equippedRunes, characterStats) {
   var details = [];
   var totalBonus = 0;
   
-  var runeNames = equippedRunes.map(function(r) { return r.name; });
-  
-  // 1. 결함 제거 시너지 (영원 룬)
-  var hasEternal = runeNames.some(function(name) {
-    return CALCULATOR_CONFIG.SYNERGY_RUNES.DEMERIT_REMOVAL.indexOf(name) !== -1;
-  });
-  
-  if (hasEternal) {
-    equippedRunes.forEach(function(rune) {
-      if (rune.demerits && rune.demerits.length > 0) {
-        rune.demerits.forEach(function(demerit) {
-          var demeritScore = calculateDemeritScore(demerit);
-          totalBonus += demeritScore; // 결함 점수 복구
-          details.push({
-            type: 'DEMERIT_REMOVAL',
-            source: '영원',
-            target: rune.name,
-            bonus: demeritScore
-          });
-        });
-      }
-    });
-  }
-  
-  // 2. 각성 쿨타임 감소 시너지 (눈 먼 예언자)
-  var hasBlindProphet = runeNames.some(function(name) {
-    return CALCULATOR_CONFIG.SYNERGY_RUNES.AWAKENING_COOLDOWN.indexOf(name) !== -1;
-  });
-  
-  if (hasBlindProphet) {
-    equippedRunes.forEach(function(rune) {
-      if (rune.awakening && rune.awakening.effects) {
-        var duration = rune.awakening.duration || 20;
-        
-        var baseUptime = 0;
-        var newUptime = 0;
-        
-        if (typeof window !== 'undefined' && window.StatFormulas) {
-          baseUptime = window.StatFormulas.calculateAwakeningUptime(duration, 0);
-          newUptime = window.StatFormulas.calculateAwakeningUptime(
-            duration, 
-            CALCULATOR_CONFIG.BLIND_PROPHET_COOLDOWN_REDUCTION
-          );
-        } else {
-          baseUptime = duration / (duration + 90);
-          newUptime = duration / (duration + 52);
-        }
-        
-        var uptimeIncrease = newUptime - baseUptime;
-        
-        // 각성 효과 점수에 업타임 증가분 적용
-        var awakeningScore = calculateAwakeningScore(rune.awakening, characterStats) / baseUptime;
-        var bonus = awakeningScore * uptimeIncrease;
-        
-        totalBonus += bonus;
-        details.push({
-          type: 'AWAKENING_COOLDOWN',
-          source: '눈 먼 예언자',
-          target: rune.name,
-          bonus: bonus
-        });
-      }
-    });
+  if (typeof window === 'undefined' || !window.SynergyEngine) {
+    return { totalBonus: totalBonus, details: details };
   }
   
-  // 3. 각성 2배 효과 시너지
-  var awakeningDoubleRune = equippedRunes.find(function(rune) {
-    return CALCULATOR_CONFIG.SYNERGY_RUNES.AWAKENING_DOUBLE.indexOf(rune.name) !== -1;
-  });
-  
-  if (awakeningDoubleRune) {
-    // 각성 엠블럼 찾기
-    var awakeningEmblem = equippedRunes.find(function(rune) {
-      return rune.awakening && rune.category === '04';
-    });
-    
-    if (awakeningEmblem) {
-      var duration = awakeningEmblem.awakening.duration || 20;
-      var uptime = 0;
-      
-      if (typeof window !== 'undefined' && window.StatFormulas) {
-        var cooldownReduction = hasBlindProphet ? CALCULATOR_CONFIG.BLIND_PROPHET_COOLDOWN_REDUCTION : 0;
-        uptime = window.StatFormulas.calculateAwakeningUptime(duration, cooldownReduction);
-      } else {
-        uptime = duration / (duration + 90);
-      }
-      
-      // 압도적인힘/섬세한손놀림의 각성 시 추가 효과
-      if (awakeningDoubleRune.effects) {
-        var additionalEffects = awakeningDoubleRune.effects.filter(function(e) {
-          return e.condition && e.condition.indexOf('각성') !== -1;
-        });
-        
-        additionalEffects.forEach(function(effect) {
-          var effectScore = calculateEffectScore(effect, characterStats);
-          var bonus = effectScore * uptime;
-          
-          totalBonus += bonus;
-          details.push({
-            type: 'AWAKENING_DOUBLE',
-            source: awakeningDoubleRune.name,
-            target: awakeningEmblem.name,
-            bonus: bonus
-          });
-        });
-      }
+  // 방어구 각성 쿨타임 감소 (규칙의 각성 업타임 계산 기준)
+  var cooldownReduction = 0;
+  equippedRunes.forEach(function(rune) {
+    if (rune.category === '02') {
+      cooldownReduction += window.SynergyEngine.getAwakeningCooldownReduction(rune);
     }
-  }
-  
-  // 4. 중첩 보너스 시너지 (쌍둥이별/에메랄드숲)
-  var stackBonusRune = equippedRunes.find(function(rune) {
-    return CALCULATOR_CONFIG.SYNERGY_RUNES.STACKING_BONUS.indexOf(rune.name) !== -1;
   });
   
-  if (stackBonusRune) {
-    equippedRunes.forEach(function(rune) {
-      if (rune.effects) {
-        rune.effects.forEach(function(effect) {
-          if (effect.type === 'STACKING' && effect.valuePerStack) {
-            // 1중첩 추가 효과
-            var bonus = effect.valuePerStack * 0.7; // 시너지 가중치
-            totalBonus += bonus;
-            details.push({
-              type: 'STACKING_BONUS',
-              source: stackBonusRune.name,
-              target: rune.name,
-              bonus: bonus
-            });
-          }
-        });
-      }
-    });
-  }
+  var result = window.SynergyEngine.evaluate(equippedRunes, {
+    cooldownReduction: cooldownReduction,
+    scoreEffect: function(effect) {
+      return calculateEffectScore(effect, characterStats);
+    },
+    scoreDemerit: calculateDemeritScore
+  });
   
-  // 5. DoT 시너지
-  Object.keys(CALCULATOR_CONFIG.SYNERGY_RUNES.DOT_PROVIDERS).forEach(function(dotType) {
-    var providers = CALCULATOR_CONFIG.SYNERGY_RUNES.DOT_PROVIDERS[dotType];
-    var beneficiaries = CALCULATOR_CONFIG.SYNERGY_RUNES.DOT_BENEFICIARIES[dotType];
-    
-    var hasProvider = runeNames.some(function(name) {
-      return providers.indexOf(name) !== -1;
-    });
-    
-    if (hasProvider) {
-      equippedRunes.forEach(function(rune) {
-        if (beneficiaries.indexOf(rune.name) !== -1) {
-          // DoT 조건 효과 활성화
-          if (rune.effects) {
-            rune.effects.forEach(function(effect) {
-              if (effect.condition && effect.condition.indexOf(dotType) !== -1) {
-                var effectScore = calculateEffectScore(effect, characterStats);
-                var bonus = effectScore * 0.8; // DoT 시너지 가중치
-                
-                totalBonus += bonus;
-                details.push({
-                  type: 'DOT_SYNERGY',
-                  dotType: dotType,
-                  source: providers.find(function(p) { return runeNames.indexOf(p) !== -1; }),
-                  target: rune.name,
-                  bonus: bonus
-                });
-              }
-            });
-          }
-        }
+  result.matches.forEach(function(match) {
+    match.items.forEach(function(item) {
+      totalBonus += item.score;
+      details.push({
+        type: match.rule.id,
+        name: match.rule.name,
+        source: match.source ? match.source.name : null,
+        target: item.target ? item.target.name : null,
+        bonus: item.score
       });
-    }
+    });
   });
   
   return {
@@ -704,12 +536,15 @@ function calculateCombinationEfficiency(equippedRunes, characterStats, enhanceLe
  * 
  * @param {CharacterStats} characterStats - 캐릭터 스텟
  * @returns {Object} 조정된 효과 가중치
+ * @updated 2025-12-15 - 사용자 가중치 프로필이 반영된 기본 가중치 사용
  */
 function getAdjustedWeights(characterStats) {
   var baseWeights = {};
   
   if (typeof window !== 'undefined' && window.EffectWeights) {
-    baseWeights = Object.assign({}, window.EffectWeights.EFFECT_WEIGHTS);
+    baseWeights = window.EffectWeights.getEffectWeights
+      ? window.EffectWeights.getEffectWeights()
+      : Object.assign({}, window.EffectWeights.EFFECT_WEIGHTS);
   }
   
   var adjustedWeights = Object.assign({}, baseWeights);
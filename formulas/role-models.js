@@ -0,0 +1,539 @@
+/**
+ * ============================================================================
+ * 마비노기 모바일 룬 효율 계산기 - 역할 성과 모델
+ * ============================================================================
+ * @file role-models.js
+ * @description 탱커 유효 체력(eHP) / 힐러 초당 회복량(HPS) / 스킬 회전율(유틸) 모델
+ * @author AI Assistant
+ * @created 2025-12-15
+ *
+ * @architecture
+ * - 환경 독립적 설계: window/self 자동 감지 (shared-formulas.js와 동일)
+ * - StatFormulas.calculateDamageTaken / calculateRecovery 사용 (stat-formulas.js 선행 로드)
+ * - 룬 목록 → 역할 효과 합계(collectRoleEffects) → 모델 계산
+ *   (생존/회복 효과는 dpsRelevant: false라 DPS 효과 합산과 별도로 수집)
+ * - 조합 최적화 목적 함수: tank → ehp, healer → hps, 그 외 → score (기존 효율 점수)
+ *   combination-worker.js calculateCombinationScore / 정확 탐색 상한에서 사용
+ * - 모델 값은 역할 효과 합계의 각 항목에 대해 단조 (이로운 효과 ↑ → 증가율 ↑, 결함 ↑ → 증가율 ↓)
+ * - 파레토 프런트: 효율 점수(DPS) / 유효 체력(생존) / 스킬 회전율(유틸) 3축 비지배 조합 (@added 2025-12-15)
+ *
+ * @structure
+ * 1. 상수
+ * 2. 역할 효과 합산
+ * 3. 유효 체력 모델 (탱커)
+ * 4. 초당 회복량 모델 (힐러)
+ * 5. 목적 함수
+ * 6. 파레토 프런트
+ * ============================================================================
+ */
+
+(function (global) {
+  "use strict";
+
+  // ============================================================================
+  // 섹션 1: 상수
+  // ============================================================================
+
+  /**
+   * 모델 기준값
+   * @constant {Object}
+   */
+  var ROLE_MODEL_CONSTANTS = Object.freeze({
+    /** 기준 몬스터 피해 (증가율은 기준값과 무관) */
+    REFERENCE_MONSTER_DAMAGE: 10000,
+
+    /** 스탯 미입력 시 기본값 */
+    DEFAULT_HP: 10000,
+    DEFAULT_DEFENSE: 1000,
+    DEFAULT_ATTACK: 1000,
+    DEFAULT_RECOVERY: 1000,
+
+    /** 받는 피해 감소 합계 상한 (%) */
+    DAMAGE_REDUCTION_CAP: 90,
+
+    /** 스킬 쿨타임 감소 합계 상한 (%) */
+    SKILL_COOLDOWN_REDUCTION_CAP: 70,
+
+    /** 속도 결함 누적 시 최소 배율 */
+    MIN_SPEED_MULTIPLIER: 0.1,
+
+    /** 기준 회복 스킬 재사용 대기시간 / 사용 시간 (초) */
+    BASE_HEAL_COOLDOWN: 10,
+    BASE_HEAL_CAST_TIME: 1,
+
+    /** 쿨타임 정보 없는 발동 효과의 기본 발동 간격 (초) */
+    DEFAULT_TRIGGER_INTERVAL: 30,
+
+    /** 가동률 정보 없는 효과의 기본 가중치 */
+    DEFAULT_UPTIME_WEIGHT: 0.5,
+
+    /** 역할 목적 함수에서 효율 점수(동률 정렬용) 가중치 */
+    SECONDARY_SCORE_WEIGHT: 0.001,
+  });
+
+  /**
+   * 효과 이름 → 역할 효과 키 (이름 완전 일치, "타겟 받는 피해 증가" 등 제외)
+   * @constant {Object}
+   */
+  var ROLE_EFFECT_MAP = Object.freeze({
+    "방어력 증가": "DEFENSE",
+    "받는 피해 감소": "DAMAGE_REDUCTION",
+    "회복력 증가": "HEAL_BONUS",
+    "치유량 증가": "HEAL_BONUS",
+    "회복량 증가": "HEAL_BONUS",
+    "쿨타임 회복 속도 증가": "COOLDOWN_RECOVERY",
+    "스킬 쿨타임 감소": "SKILL_COOLDOWN",
+    "스킬 사용 속도 증가": "SKILL_SPEED",
+  });
+
+  /**
+   * 결함 이름 → 역할 효과 키
+   * @constant {Object}
+   */
+  var ROLE_DEMERIT_MAP = Object.freeze({
+    "받는 피해 증가": "DAMAGE_TAKEN",
+    "쿨타임 회복 속도 감소": "COOLDOWN_SLOW",
+    "스킬 사용 속도 감소": "SKILL_SLOW",
+  });
+
+  /** 이로운 역할 효과 키 (값이 클수록 모델 값 증가) */
+  var BENEFIT_KEYS = Object.freeze([
+    "DEFENSE",
+    "DAMAGE_REDUCTION",
+    "HEAL_BONUS",
+    "COOLDOWN_RECOVERY",
+    "SKILL_COOLDOWN",
+    "SKILL_SPEED",
+  ]);
+
+  /** 해로운 역할 효과 키 (결함, 값이 클수록 모델 값 감소) */
+  var HARMFUL_KEYS = Object.freeze(["DAMAGE_TAKEN", "COOLDOWN_SLOW", "SKILL_SLOW"]);
+
+  /** 전체 역할 효과 키 */
+  var ROLE_EFFECT_KEYS = Object.freeze(BENEFIT_KEYS.concat(HARMFUL_KEYS));
+
+  /**
+   * 목적 함수 정보
+   * @constant {Object}
+   */
+  var OBJECTIVES = Object.freeze({
+    score: { label: "효율 점수", unit: "점" },
+    ehp: { label: "유효 체력 증가", unit: "%" },
+    hps: { label: "초당 회복량 증가", unit: "%" },
+    utility: { label: "스킬 회전율 증가", unit: "%" },
+  });
+
+  /**
+   * 역할 → 기본 목적 함수
+   * @constant {Object}
+   */
+  var ROLE_OBJECTIVES = Object.freeze({
+    tank: "ehp",
+    healer: "hps",
+  });
+
+  /**
+   * 파레토 프런트 목적 축 (DPS / 생존 / 유틸)
+   * @constant {Array<string>}
+   */
+  var PARETO_OBJECTIVES = Object.freeze(["score", "ehp", "utility"]);
+
+  // ============================================================================
+  // 섹션 2: 역할 효과 합산
+  // ============================================================================
+
+  /**
+   * 빈 역할 효과 합계
+   * @returns {Object} 키별 0
+   */
+  function createRoleEffects() {
+    var effects = {};
+    ROLE_EFFECT_KEYS.forEach(function (key) {
+      effects[key] = 0;
+    });
+    return effects;
+  }
+
+  /**
+   * 효과 1개의 실효값 (가동률 반영)
+   * - STACKING: 최대 중첩 × TYPE_WEIGHTS.STACKING
+   * - 지속 시간이 있는 발동 효과: duration / (duration + cooldown), 쿨타임 없으면 기본 발동 간격
+   * - 그 외: TYPE_WEIGHTS (0이면 기본 가중치)
+   * - % 이외 단위(초 등)는 비율 모델에 합산할 수 없어 제외
+   * @param {Object} effect - 룬 효과
+   * @returns {number} 실효값 (%)
+   */
+  function getEffectiveValue(effect) {
+    var value = effect.value || 0;
+    var type = effect.type || "PERMANENT";
+    if (effect.unit && effect.unit !== "%") return 0;
+    if (type === "PERMANENT") return value;
+
+    if (type === "STACKING") {
+      if (effect.stackValue && effect.maxStacks) {
+        value = effect.stackValue * effect.maxStacks;
+      }
+      return value * global.SharedEffectWeights.getTypeWeight("STACKING");
+    }
+
+    if (effect.duration) {
+      return (
+        value *
+        global.SharedFormulas.calculateUptime(
+          effect.duration,
+          effect.cooldown || ROLE_MODEL_CONSTANTS.DEFAULT_TRIGGER_INTERVAL
+        )
+      );
+    }
+
+    var typeWeight = global.SharedEffectWeights.getTypeWeight(type);
+    return value * (typeWeight > 0 ? typeWeight : ROLE_MODEL_CONSTANTS.DEFAULT_UPTIME_WEIGHT);
+  }
+
+  /**
+   * 룬 목록의 역할 효과 합계
+   * @param {Array<Object>} runes - 룬 목록 (null 허용)
+   * @returns {Object} ROLE_EFFECT_KEYS별 합계 (%, 모두 0 이상)
+   */
+  function collectRoleEffects(runes) {
+    var totals = createRoleEffects();
+
+    (runes || []).forEach(function (rune) {
+      if (!rune) return;
+      (rune.effects || []).forEach(function (effect) {
+        var key = ROLE_EFFECT_MAP[effect.name];
+        if (key) totals[key] += Math.max(0, getEffectiveValue(effect));
+      });
+      (rune.demerits || []).forEach(function (demerit) {
+        var key = ROLE_DEMERIT_MAP[demerit.name];
+        if (key) totals[key] += Math.max(0, demerit.value || 0);
+      });
+    });
+
+    return totals;
+  }
+
+  /**
+   * 스탯 값 조회 (입력 기본값 1 이하는 미입력으로 간주)
+   * @param {Object} stats - 캐릭터 스탯
+   * @param {string} key - 스탯 키
+   * @param {number} fallback - 기본값
+   * @returns {number}
+   */
+  function getStat(stats, key, fallback) {
+    var value = stats ? Number(stats[key]) : 0;
+    return value > 1 ? value : fallback;
+  }
+
+  /**
+   * 역할 효과 합계 정규화 (누락 키 0)
+   * @param {Object} effects - 역할 효과 합계
+   * @returns {Object}
+   */
+  function normalizeRoleEffects(effects) {
+    var result = createRoleEffects();
+    ROLE_EFFECT_KEYS.forEach(function (key) {
+      result[key] = (effects && effects[key]) || 0;
+    });
+    return result;
+  }
+
+  // ============================================================================
+  // 섹션 3: 유효 체력 모델 (탱커)
+  // ============================================================================
+
+  /**
+   * 기준 몬스터 피해 대비 실제 받는 피해
+   * @param {Object} effects - 정규화된 역할 효과 합계
+   * @param {number} baseDefense - 방어력 스탯
+   * @returns {Object} { defense, damageTaken }
+   */
+  function getDamageTaken(effects, baseDefense) {
+    var C = ROLE_MODEL_CONSTANTS;
+    var defense = baseDefense * (1 + effects.DEFENSE / 100);
+    var reduction = Math.min(effects.DAMAGE_REDUCTION, C.DAMAGE_REDUCTION_CAP);
+    var incoming =
+      C.REFERENCE_MONSTER_DAMAGE * (1 + effects.DAMAGE_TAKEN / 100) * (1 - reduction / 100);
+
+    return {
+      defense: defense,
+      damageTaken: global.StatFormulas.calculateDamageTaken(incoming, defense),
+    };
+  }
+
+  /**
+   * 유효 체력 계산
+   * - 받는 피해 = calculateDamageTaken(기준 피해 × (1 + 받는 피해 증가) × (1 - 받는 피해 감소), 방어력 × (1 + 방어력 증가))
+   * - 유효 체력 = 체력 × 기준 피해 / 받는 피해
+   * @param {Object} roleEffects - 역할 효과 합계 (collectRoleEffects)
+   * @param {Object} stats - 캐릭터 스탯 { def, hp }
+   * @returns {Object} { effectiveHP, baselineEffectiveHP, totalEHPIncrease, breakdown }
+   */
+  function calculateEffectiveHP(roleEffects, stats) {
+    var C = ROLE_MODEL_CONSTANTS;
+    var effects = normalizeRoleEffects(roleEffects);
+    var hp = getStat(stats, "hp", C.DEFAULT_HP);
+    var baseDefense = getStat(stats, "def", C.DEFAULT_DEFENSE);
+
+    var current = getDamageTaken(effects, baseDefense);
+    var baseline = getDamageTaken(createRoleEffects(), baseDefense);
+    var effectiveHP = (hp * C.REFERENCE_MONSTER_DAMAGE) / current.damageTaken;
+    var baselineEffectiveHP = (hp * C.REFERENCE_MONSTER_DAMAGE) / baseline.damageTaken;
+
+    return {
+      effectiveHP: Math.round(effectiveHP),
+      baselineEffectiveHP: Math.round(baselineEffectiveHP),
+      totalEHPIncrease: (effectiveHP / baselineEffectiveHP - 1) * 100,
+      breakdown: {
+        defense: Math.round(current.defense),
+        baseDefense: baseDefense,
+        defenseIncrease: effects.DEFENSE,
+        damageReduction: Math.min(effects.DAMAGE_REDUCTION, C.DAMAGE_REDUCTION_CAP),
+        damageTakenIncrease: effects.DAMAGE_TAKEN,
+        damageTakenRatio: Math.round((current.damageTaken / C.REFERENCE_MONSTER_DAMAGE) * 1000) / 1000,
+      },
+    };
+  }
+
+  // ============================================================================
+  // 섹션 4: 초당 회복량 모델 (힐러)
+  // ============================================================================
+
+  /**
+   * 회복 스킬 1회 주기 (재사용 대기 + 사용 시간)
+   * @param {Object} effects - 정규화된 역할 효과 합계
+   * @returns {Object} { cooldown, castTime, cycleTime }
+   */
+  function getHealCycle(effects) {
+    var C = ROLE_MODEL_CONSTANTS;
+    var cooldownRate = Math.max(
+      C.MIN_SPEED_MULTIPLIER,
+      1 + (effects.COOLDOWN_RECOVERY - effects.COOLDOWN_SLOW) / 100
+    );
+    var cooldownReduction = Math.min(effects.SKILL_COOLDOWN, C.SKILL_COOLDOWN_REDUCTION_CAP);
+    var castRate = Math.max(
+      C.MIN_SPEED_MULTIPLIER,
+      1 + (effects.SKILL_SPEED - effects.SKILL_SLOW) / 100
+    );
+
+    var cooldown = (C.BASE_HEAL_COOLDOWN * (1 - cooldownReduction / 100)) / cooldownRate;
+    var castTime = C.BASE_HEAL_CAST_TIME / castRate;
+    return { cooldown: cooldown, castTime: castTime, cycleTime: cooldown + castTime };
+  }
+
+  /**
+   * 초당 회복량 계산
+   * - 1회 회복량 = calculateRecovery(회복력, 공격력, 회복력/치유량/회복량 증가 합계)
+   * - 주기 = 기준 쿨타임 × (1 - 스킬 쿨타임 감소) / (1 + 쿨타임 회복 속도) + 사용 시간 / (1 + 스킬 사용 속도)
+   * - 초당 회복량 = 1회 회복량 / 주기
+   * @param {Object} roleEffects - 역할 효과 합계 (collectRoleEffects)
+   * @param {Object} stats - 캐릭터 스탯 { heal, atk }
+   * @returns {Object} { healingPerSecond, baselineHealingPerSecond, totalHPSIncrease, breakdown }
+   */
+  function calculateHealingPerSecond(roleEffects, stats) {
+    var C = ROLE_MODEL_CONSTANTS;
+    var effects = normalizeRoleEffects(roleEffects);
+    var recovery = getStat(stats, "heal", C.DEFAULT_RECOVERY);
+    var attack = getStat(stats, "atk", C.DEFAULT_ATTACK);
+
+    var healPerCast = global.StatFormulas.calculateRecovery(recovery, attack, effects.HEAL_BONUS);
+    var baselineHealPerCast = global.StatFormulas.calculateRecovery(recovery, attack);
+    var cycle = getHealCycle(effects);
+    var baselineCycle = getHealCycle(createRoleEffects());
+
+    var healingPerSecond = healPerCast / cycle.cycleTime;
+    var baselineHealingPerSecond = baselineHealPerCast / baselineCycle.cycleTime;
+
+    return {
+      healingPerSecond: Math.round(healingPerSecond * 10) / 10,
+      baselineHealingPerSecond: Math.round(baselineHealingPerSecond * 10) / 10,
+      totalHPSIncrease: (healingPerSecond / baselineHealingPerSecond - 1) * 100,
+      breakdown: {
+        healBonus: effects.HEAL_BONUS,
+        healMultiplier: Math.round((healPerCast / baselineHealPerCast) * 1000) / 1000,
+        cooldown: Math.round(cycle.cooldown * 100) / 100,
+        castTime: Math.round(cycle.castTime * 100) / 100,
+        cycleTime: Math.round(cycle.cycleTime * 100) / 100,
+        baselineCycleTime: Math.round(baselineCycle.cycleTime * 100) / 100,
+      },
+    };
+  }
+
+  /**
+   * 스킬 회전율 (유틸)
+   * - 회전율 = 기준 주기 / 주기 (getHealCycle과 같은 쿨타임/사용 속도 모델, 회복 효과 제외)
+   * @param {Object} roleEffects - 역할 효과 합계 (collectRoleEffects)
+   * @returns {Object} { cycleTime, baselineCycleTime, totalRotationIncrease }
+   */
+  function calculateSkillRotation(roleEffects) {
+    var cycle = getHealCycle(normalizeRoleEffects(roleEffects));
+    var baselineCycle = getHealCycle(createRoleEffects());
+
+    return {
+      cycleTime: Math.round(cycle.cycleTime * 100) / 100,
+      baselineCycleTime: Math.round(baselineCycle.cycleTime * 100) / 100,
+      totalRotationIncrease: (baselineCycle.cycleTime / cycle.cycleTime - 1) * 100,
+    };
+  }
+
+  // ============================================================================
+  // 섹션 5: 목적 함수
+  // ============================================================================
+
+  /**
+   * 최적화 목적 함수 결정
+   * @param {Object} options - { objective?, role? } (objective 지정 시 우선)
+   * @returns {string} "score" | "ehp" | "hps" | "utility"
+   */
+  function getObjective(options) {
+    if (options && OBJECTIVES[options.objective]) return options.objective;
+    return (options && ROLE_OBJECTIVES[options.role]) || "score";
+  }
+
+  /**
+   * 목적 함수 모델 값 (기준 대비 증가율 %)
+   * @param {string} objective - "ehp" | "hps" | "utility" ("score"는 0)
+   * @param {Object} roleEffects - 역할 효과 합계
+   * @param {Object} stats - 캐릭터 스탯
+   * @returns {number} 증가율 (%)
+   */
+  function evaluateObjective(objective, roleEffects, stats) {
+    if (objective === "ehp") return calculateEffectiveHP(roleEffects, stats).totalEHPIncrease;
+    if (objective === "hps") return calculateHealingPerSecond(roleEffects, stats).totalHPSIncrease;
+    if (objective === "utility") return calculateSkillRotation(roleEffects).totalRotationIncrease;
+    return 0;
+  }
+
+  /**
+   * 역할 목적 함수 점수 = 모델 증가율 + 효율 점수 × SECONDARY_SCORE_WEIGHT
+   * - 효율 점수 항은 모델 값이 같은 조합 사이의 정렬용
+   * @param {string} objective - 목적 함수
+   * @param {Object} roleEffects - 역할 효과 합계
+   * @param {Object} stats - 캐릭터 스탯
+   * @param {number} efficiencyScore - 기존 조합 효율 점수
+   * @returns {number} 목적 함수 점수 ("score"는 efficiencyScore 그대로)
+   */
+  function calculateObjectiveScore(objective, roleEffects, stats, efficiencyScore) {
+    if (objective === "score") return efficiencyScore;
+    return (
+      evaluateObjective(objective, roleEffects, stats) +
+      efficiencyScore * ROLE_MODEL_CONSTANTS.SECONDARY_SCORE_WEIGHT
+    );
+  }
+
+  /**
+   * 목적 함수에 기여하는 룬을 사전 선별 목록에 보충
+   * - 효율 점수 기반 Top-N 선별은 생존/회복 효과(dpsRelevant: false)를 반영하지 않음
+   * @param {Array<Object>} selected - 선별된 룬 목록
+   * @param {Array<Object>} runes - 전체 후보 룬
+   * @param {string} objective - 목적 함수
+   * @param {Object} stats - 캐릭터 스탯
+   * @returns {Array<Object>} 보충된 목록 (score면 selected 그대로)
+   */
+  function extendPoolForObjective(selected, runes, objective, stats) {
+    if (objective === "score") return selected;
+
+    var ids = {};
+    selected.forEach(function (rune) {
+      ids[rune.id] = true;
+    });
+    return selected.concat(
+      runes.filter(function (rune) {
+        return !ids[rune.id] && evaluateObjective(objective, collectRoleEffects([rune]), stats) > 0;
+      })
+    );
+  }
+
+  // ============================================================================
+  // 섹션 6: 파레토 프런트
+  // @added 2025-12-15
+  // ============================================================================
+
+  /**
+   * a가 b를 약하게 지배하는지 (모든 축에서 a ≥ b)
+   * @param {Object} a - 축별 값 { score, ehp, utility }
+   * @param {Object} b - 축별 값
+   * @returns {boolean}
+   */
+  function weaklyDominates(a, b) {
+    return PARETO_OBJECTIVES.every(function (key) {
+      return a[key] >= b[key];
+    });
+  }
+
+  /**
+   * 프런트에 점 추가 (약하게 지배되는 점은 거부, 새 점이 지배하는 기존 점은 제거)
+   * - 축 값이 같은 조합은 먼저 들어온 쪽만 유지
+   * @param {Array<Object>} front - [{ scores, combination }] (제자리 수정)
+   * @param {Object} point - { scores, combination }
+   * @returns {boolean} 추가 여부
+   */
+  function insertParetoPoint(front, point) {
+    var dominated = front.some(function (entry) {
+      return weaklyDominates(entry.scores, point.scores);
+    });
+    if (dominated) return false;
+    for (var i = front.length - 1; i >= 0; i--) {
+      if (weaklyDominates(point.scores, front[i].scores)) front.splice(i, 1);
+    }
+    front.push(point);
+    return true;
+  }
+
+  /**
+   * Worker별 프런트 병합 (효율 점수 내림차순)
+   * @param {Array<Array<Object>>} lists - [{ scores, combination }] 목록들
+   * @returns {Array<Object>} 병합된 프런트
+   */
+  function mergeParetoFronts(lists) {
+    var front = [];
+    (lists || []).forEach(function (list) {
+      (list || []).forEach(function (entry) {
+        if (entry && entry.scores && entry.combination) insertParetoPoint(front, entry);
+      });
+    });
+    return front.sort(function (a, b) {
+      return b.scores.score - a.scores.score;
+    });
+  }
+
+  // ============================================================================
+  // 모듈 내보내기 (Export)
+  // ============================================================================
+
+  global.RoleModels = {
+    // 상수
+    ROLE_MODEL_CONSTANTS: ROLE_MODEL_CONSTANTS,
+    ROLE_EFFECT_KEYS: ROLE_EFFECT_KEYS,
+    BENEFIT_KEYS: BENEFIT_KEYS,
+    HARMFUL_KEYS: HARMFUL_KEYS,
+    OBJECTIVES: OBJECTIVES,
+    PARETO_OBJECTIVES: PARETO_OBJECTIVES,
+
+    // 역할 효과
+    collectRoleEffects: collectRoleEffects,
+    getEffectiveValue: getEffectiveValue,
+
+    // 모델
+    calculateEffectiveHP: calculateEffectiveHP,
+    calculateHealingPerSecond: calculateHealingPerSecond,
+    calculateSkillRotation: calculateSkillRotation,
+
+    // 목적 함수
+    getObjective: getObjective,
+    evaluateObjective: evaluateObjective,
+    calculateObjectiveScore: calculateObjectiveScore,
+    extendPoolForObjective: extendPoolForObjective,
+
+    // 파레토 프런트
+    weaklyDominates: weaklyDominates,
+    insertParetoPoint: insertParetoPoint,
+    mergeParetoFronts: mergeParetoFronts,
+  };
+})(
+  typeof self !== "undefined"
+    ? self
+    : typeof window !== "undefined"
+    ? window
+    : this
+);
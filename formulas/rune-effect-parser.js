@@ -0,0 +1,1730 @@
+/**
+ * ============================================================================
+ * 마비노기 모바일 룬 효율 계산기 - 공유 룬 효과 파서
+ * ============================================================================
+ * @file rune-effect-parser.js
+ * @description 룬 설명 텍스트를 구조화된 효과로 변환하는 단일 파싱 엔진
+ * @author Dalkong Project
+ * @created 2025-12-15
+ *
+ * @architecture
+ * - 환경 독립적 설계: window/self/Node 자동 감지
+ * - 메인 스레드(EffectParser, rune-calculator)와 빌드 스크립트(parse-runes)가 공유
+ * - 상태(state)에 의존하는 계산은 포함하지 않음 (호출 측에서 처리)
+ *
+ * @usage
+ * - 메인: <script src="formulas/rune-effect-parser.js"></script>
+ * - Node: const RuneEffectParser = require('../formulas/rune-effect-parser.js');
+ * - 접근: RuneEffectParser.parseRuneEffectsAdvanced(rune, 15)
+ *         RuneEffectParser.toRuneSchema(rune) → runes-*.json 효과 스키마
+ *
+ * @structure
+ * 1. 상수 정의
+ * 2. 엠블럼 각성 파싱
+ * 3. 효과 수치 파싱
+ * 4. 효과 유형 분류
+ * 5. 강화 효과 파싱
+ * 6. 시너지/도트 효과 파싱
+ * 7. 데이터 스키마 변환
+ * ============================================================================
+ */
+
+(function (global) {
+    'use strict';
+
+    /**
+     * HTML 태그 제거 (Utils.stripHtml과 동일 규칙)
+     * @param {string} html - 원본 문자열
+     * @returns {string} 태그가 제거된 문자열
+     */
+    function stripHtml(html) {
+        if (!html) return '';
+        return html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+    }
+
+// ============================================
+// 9. 고급 효과 파싱 엔진 (Advanced Effect Parser)
+// ============================================
+// @updated 2025-12-10 - 효과 유형 분류, 중첩, 업타임 비율 계산 추가
+// @updated 2025-12-15 - modules/effect-parser.js, rune-calculator.js, scripts/parse-runes.js 파서 통합
+
+/**
+ * 효과 유형 상수
+ * @constant {Object}
+ */
+const EFFECT_TYPE = {
+    PASSIVE: 'passive', // 상시 효과 (100%)
+    TRIGGER: 'trigger', // 트리거 효과 (80%)
+    STACKING: 'stacking', // 누적/축적 효과 (95%) @added 2025-12-10
+    STATE_CONDITION: 'state', // 상태 조건 효과 (70%)
+    ENEMY_CONDITION: 'enemy', // 적 상태 조건 (시너지 의존)
+    ENHANCEMENT: 'enhance' // 강화 단계별 효과
+};
+
+/**
+ * 효과 유형별 가중치
+ * @constant {Object}
+ */
+const EFFECT_TYPE_WEIGHT = {
+    [EFFECT_TYPE.PASSIVE]: 1.0, // 100%
+    [EFFECT_TYPE.TRIGGER]: 0.8, // 80%
+    [EFFECT_TYPE.STACKING]: 0.95, // 95% - 누적/축적 효과는 쉽게 최대 중첩 유지 @added 2025-12-10
+    [EFFECT_TYPE.STATE_CONDITION]: 0.7, // 70%
+    [EFFECT_TYPE.ENEMY_CONDITION]: 0.5, // 50% (시너지 없을 때)
+    [EFFECT_TYPE.ENHANCEMENT]: 1.0 // 100% (강화 조건 충족 시)
+};
+
+/**
+ * 엠블럼 각성 기본 쿨타임 (초)
+ * @constant {number}
+ * @added 2025-12-10
+ */
+const EMBLEM_AWAKENING_BASE_COOLDOWN = 90;
+
+/**
+ * 엠블럼 각성 효과 파싱
+ * @param {string} description - 룬 설명
+ * @returns {Object|null} { duration, cooldown, passiveEffects, awakeningEffects }
+ * @description 엠블럼 각성 효과는 쿨타임 기반 업타임으로 계산
+ *              발동 확률(50%)은 쿨타임 후 첫 공격 시 발동 여부이므로
+ *              평균 1~2회 공격 내 발동 → 업타임에 큰 영향 없음
+ * @updated 2025-12-10 - 발동 확률을 업타임 계산에서 제외
+ */
+function parseEmblemAwakening(description) {
+    if (!description) return null;
+
+    var text = stripHtml(description);
+    var result = {
+        hasAwakening: false,
+        duration: 0,
+        cooldown: EMBLEM_AWAKENING_BASE_COOLDOWN,
+        // 발동 확률은 업타임 계산에 미포함 (쿨타임 후 거의 즉시 발동)
+        passiveEffects: {},
+        awakeningEffects: {}
+    };
+
+    // 각성 패턴: "공격 시 N% 확률로 각성하여 N초 동안"
+    var awakeningPattern = /(\d+)%\s*확률로\s*각성하여\s*(\d+)초\s*동안/;
+    var awakeningMatch = text.match(awakeningPattern);
+
+    if (awakeningMatch) {
+        result.hasAwakening = true;
+        // 발동 확률은 저장만 하고 업타임 계산에는 사용하지 않음
+        result.triggerChance = parseInt(awakeningMatch[1]) / 100;
+        result.duration = parseInt(awakeningMatch[2]);
+    }
+
+    // 무방비 각성 패턴: "무방비 공격 시 각성하여 N초 동안" - 제한적 효과로 분류
+    var defenseBreakPattern = /무방비\s*공격\s*시\s*각성하여\s*(\d+)초\s*동안/;
+    var defenseBreakMatch = text.match(defenseBreakPattern);
+
+    if (defenseBreakMatch) {
+        result.hasAwakening = true;
+        result.isDefenseBreakAwakening = true; // 무방비 각성은 제한적
+        result.duration = parseInt(defenseBreakMatch[1]);
+    }
+
+    // 쿨타임 패턴: "(재사용 대기 시간: N초)"
+    var cooldownPattern = /재사용\s*대기\s*시간[:\s]*(\d+)초/;
+    var cooldownMatch = text.match(cooldownPattern);
+
+    if (cooldownMatch) {
+        result.cooldown = parseInt(cooldownMatch[1]);
+    }
+
+    // 상시 효과 파싱: "상시 효과:" 이후 문장
+    var passivePattern = /상시\s*효과[:\s]*(.*?)(?:\.|$)/;
+    var passiveMatch = text.match(passivePattern);
+
+    if (passiveMatch) {
+        result.passiveEffects = parseEffectValues(passiveMatch[1]);
+    }
+
+    // 각성 중 효과 파싱 (각성하여 ~ 증가한다 사이)
+    if (result.hasAwakening) {
+        var awakeningEffectPattern = /각성하여\s*\d+초\s*동안\s*(.*?)(?:\.|재사용)/;
+        var awakeningEffectMatch = text.match(awakeningEffectPattern);
+
+        if (awakeningEffectMatch) {
+            var awakeningEffectText = awakeningEffectMatch[1];
+
+            // 기본 공격 관련 각성인지 체크 @added 2025-12-10
+            if (/기본\s*공격/.test(awakeningEffectText)) {
+                result.isBasicAttackAwakening = true;
+            }
+
+            result.awakeningEffects = parseEffectValues(awakeningEffectText);
+        }
+    }
+
+    return result.hasAwakening ? result : null;
+}
+
+/**
+ * 효과 문자열에서 수치 파싱
+ * @param {string} effectText - 효과 텍스트
+ * @returns {Object} 파싱된 효과 { 효과명: 값 }
+ * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
+ * @updated 2025-12-15 - extractStatEntries 사용 (룬 효과와 같은 효과명, 결함 제외)
+ */
+function parseEffectValues(effectText) {
+    var effects = {};
+
+    extractStatEntries(effectText || '').forEach(function(entry) {
+        if (!entry.isDemerit && effects[entry.name] === undefined) {
+            effects[entry.name] = entry.value;
+        }
+    });
+
+    return effects;
+}
+
+/**
+ * 방어구 룬에서 각성 쿨타임 감소량 파싱
+ * @param {Object} rune - 룬 데이터
+ * @returns {number} 쿨타임 감소량 (초)
+ * @added 2025-12-10
+ */
+function parseAwakeningCooldownReduction(rune) {
+    if (!rune || !rune.description) return 0;
+    if (rune.category !== '02') return 0; // 방어구만
+
+    var text = stripHtml(rune.description);
+
+    // 패턴: "각성의 재사용 대기 시간이 N초 감소"
+    var pattern = /각성의?\s*재사용\s*대기\s*시간이?\s*(\d+)초\s*감소/;
+    var match = text.match(pattern);
+
+    if (match) {
+        return parseInt(match[1]);
+    }
+
+    return 0;
+}
+
+/**
+ * 장신구 룬에서 강화 스킬명 추출
+ * @param {Object} rune - 룬 데이터
+ * @returns {string|null} 스킬명 또는 null
+ * @added 2025-12-10
+ */
+function getAccessorySkillName(rune) {
+    if (!rune || !rune.description) return null;
+    if (rune.category !== '03') return null; // 장신구만
+
+    var text = stripHtml(rune.description);
+
+    // 패턴 1: "스킬명 스킬의 피해량이"
+    var pattern1 = /(\S+)\s*스킬의\s*피해량이/;
+    var match1 = text.match(pattern1);
+    if (match1) return match1[1];
+
+    // 패턴 2: "스킬명 스킬에 변화를 준다"
+    var pattern2 = /(\S+)\s*스킬에\s*변화를/;
+    var match2 = text.match(pattern2);
+    if (match2) return match2[1];
+
+    // 패턴 3: 룬 이름에서 스킬명 추출 (괄호 제외)
+    var namePattern = /^(.+?)(?:\(|$)/;
+    var nameMatch = rune.name.match(namePattern);
+
+    // 일반적인 스킬 강화 룬 이름 패턴 확인
+    if (nameMatch && rune.name.includes('강화') || text.includes('피해량이') && text.includes('증가')) {
+        return nameMatch[1].trim();
+    }
+
+    return null;
+}
+
+/**
+ * 추천 시 동일 스킬 룬 중복 체크
+ * @param {Array} selectedRunes - 이미 선택된 룬 배열
+ * @param {Object} candidateRune - 후보 룬
+ * @returns {boolean} 중복 여부
+ * @added 2025-12-10
+ */
+function isDuplicateSkillRune(selectedRunes, candidateRune) {
+    var candidateSkill = getAccessorySkillName(candidateRune);
+
+    if (!candidateSkill) return false; // 스킬 강화 룬이 아니면 중복 아님
+
+    for (var i = 0; i < selectedRunes.length; i++) {
+        var existingSkill = getAccessorySkillName(selectedRunes[i]);
+        if (existingSkill && existingSkill === candidateSkill) {
+            return true; // 동일 스킬 발견
+        }
+    }
+
+    return false;
+}
+
+/**
+ * 트리거 키워드 패턴
+ * @constant {Array}
+ */
+const TRIGGER_KEYWORDS = [
+    '연타 적중 시',
+    '강타 적중 시',
+    '스킬 사용 시',
+    '스킬을 사용할 때',
+    '기본 공격 시',
+    '기본 공격 적중 시',
+    '치명타 적중 시',
+    '공격 적중 시',
+    '공격 적중시',
+    '카운터 공격 적중 시',
+    '추가타 적중 시',
+    '보조 스킬 사용 시',
+    '생존 스킬 사용 시',
+    '보조, 생존 스킬 사용 시',
+    '궁극기를 사용',
+    '전투 중'
+];
+
+/**
+ * 상태 조건 키워드 패턴
+ * @constant {Array}
+ */
+const STATE_CONDITION_KEYWORDS = [
+    '체력이 \\d+% 이상',
+    '체력이 \\d+% 미만',
+    '보유 자원이 \\d+% 미만',
+    '보유 자원이 \\d+% 이상',
+    '주변 \\d+m 범위 내에 적이 없을 경우',
+    '\\d+초 동안 이동하지 않을 경우',
+    '파티 플레이 시',
+    '클래스 레벨이 \\d+ 이상',
+    '유지되는 동안',
+    '많을수록'
+];
+
+/**
+ * 적 상태 조건 키워드 패턴
+ * @constant {Array}
+ */
+const ENEMY_CONDITION_KEYWORDS = [
+    '원소 지속 피해를 보유한 적',
+    '지속 피해.*?를 보유한 적',
+    '지속 피해:.*?을 보유한 적',
+    '지속 피해:.*?를 보유한 적'
+];
+
+/**
+ * 지속 피해 부여 키워드 (시너지용)
+ * @constant {Array}
+ */
+const DOT_KEYWORDS = [
+    '지속 피해: 화상',
+    '지속 피해: 빙결',
+    '지속 피해: 감전',
+    '지속 피해: 출혈',
+    '지속 피해: 중독',
+    '지속 피해: 암흑',
+    '지속 피해: 신성',
+    '지속 피해: 정신'
+];
+
+/**
+ * 룬이 지속 피해를 부여하는지 확인
+ * @param {Object} rune - 룬 데이터
+ * @returns {Array} 부여하는 지속 피해 유형 배열
+ */
+function getRuneDotTypes(rune) {
+    if (!rune || !rune.description) return [];
+    const text = stripHtml(rune.description);
+    const dotTypes = [];
+
+    DOT_KEYWORDS.forEach(keyword => {
+        if (text.includes(keyword.replace('지속 피해: ', ''))) {
+            dotTypes.push(keyword);
+        }
+    });
+
+    return dotTypes;
+}
+
+/**
+ * 텍스트에서 효과 유형 감지
+ * @param {string} text - 효과 설명 텍스트
+ * @returns {string} 효과 유형
+ */
+function detectEffectType(text) {
+    // 누적/축적 효과 체크 (우선순위 높음) @added 2025-12-10
+    // 전투 중 쉽게 최대 중첩 유지 가능하므로 높은 가중치 적용
+    if (/누적:|축적:|최대\s*\d+\s*회까지\s*중첩/.test(text)) {
+        return EFFECT_TYPE.STACKING;
+    }
+
+    // 적 상태 조건 체크
+    for (const keyword of ENEMY_CONDITION_KEYWORDS) {
+        if (new RegExp(keyword, 'i').test(text)) {
+            return EFFECT_TYPE.ENEMY_CONDITION;
+        }
+    }
+
+    // 상태 조건 체크
+    for (const keyword of STATE_CONDITION_KEYWORDS) {
+        if (new RegExp(keyword, 'i').test(text)) {
+            return EFFECT_TYPE.STATE_CONDITION;
+        }
+    }
+
+    // 트리거 체크
+    for (const keyword of TRIGGER_KEYWORDS) {
+        if (text.includes(keyword)) {
+            return EFFECT_TYPE.TRIGGER;
+        }
+    }
+
+    // 기본은 상시 효과
+    return EFFECT_TYPE.PASSIVE;
+}
+
+/**
+ * 중첩 정보 파싱
+ * @param {string} text - 효과 설명 텍스트
+ * @returns {Object|null} { maxStacks, perStack } 또는 null
+ */
+function parseStackInfo(text) {
+    // "최대 N회까지 중첩" 패턴
+    const stackPattern = /최대\s*(\d+)\s*회까지\s*중첩/;
+    const stackMatch = text.match(stackPattern);
+
+    if (stackMatch) {
+        return {
+            maxStacks: parseInt(stackMatch[1]),
+            hasStack: true
+        };
+    }
+
+    return null;
+}
+
+/**
+ * 지속 시간 및 쿨타임 파싱
+ * @param {string} text - 효과 설명 텍스트
+ * @returns {Object} { duration, cooldown, uptime }
+ */
+function parseDurationAndCooldown(text) {
+    let duration = null;
+    let cooldown = null;
+
+    // 지속 시간 패턴: "N초 동안"
+    const durationPattern = /(\d+(?:\.\d+)?)\s*초\s*동안/;
+    const durationMatch = text.match(durationPattern);
+    if (durationMatch) {
+        duration = parseFloat(durationMatch[1]);
+    }
+
+    // 쿨타임 패턴: "(재사용 대기 시간: N초)"
+    const cooldownPattern = /재사용\s*대기\s*시간[:\s]*(?:각\s*)?(\d+(?:\.\d+)?)\s*초/;
+    const cooldownMatch = text.match(cooldownPattern);
+    if (cooldownMatch) {
+        cooldown = parseFloat(cooldownMatch[1]);
+    }
+
+    // 업타임 계산
+    let uptime = 1.0; // 기본 100%
+
+    if (duration !== null && cooldown !== null) {
+        // 지속시간 / (지속시간 + 쿨타임)
+        uptime = duration / (duration + cooldown);
+    } else if (duration !== null && cooldown === null) {
+        // 쿨타임 없으면 트리거 조건만 필요 (80% 가정)
+        uptime = 0.8;
+    }
+
+    return {
+        duration,
+        cooldown,
+        uptime
+    };
+}
+
+/**
+ * 개별 효과 파싱
+ * @param {string} effectText - 개별 효과 문장
+ * @param {number} enhanceLevel - 강화 단계
+ * @returns {Object|null} 파싱된 효과 객체
+ */
+function parseSingleEffect(effectText, enhanceLevel = 0) {
+    const result = {
+        type: detectEffectType(effectText),
+        effects: {},
+        stackInfo: parseStackInfo(effectText),
+        timing: parseDurationAndCooldown(effectText),
+        isEnhanceBonus: false,
+        enhanceLevel: 0,
+        rawText: effectText
+    };
+
+    // 강화 효과 체크
+    if (/\+10.*강화/.test(effectText)) {
+        result.isEnhanceBonus = true;
+        result.enhanceLevel = 10;
+        if (enhanceLevel < 10) return null; // 강화 조건 미충족
+    }
+    if (/\+15.*강화/.test(effectText)) {
+        result.isEnhanceBonus = true;
+        result.enhanceLevel = 15;
+        if (enhanceLevel < 15) return null; // 강화 조건 미충족
+    }
+
+    // 효과 수치 파싱
+    const effectPatterns = [{
+            name: '공격력 증가',
+            pattern: /공격력이?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/
+        },
+        {
+            name: '피해량 증가',
+            pattern: /(?:적에게\s*)?주는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/
+        },
+        {
+            name: '무방비 피해 증가',
+            pattern: /무방비\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '공격 속도 증가',
+            pattern: /공격\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '스킬 사용 속도 증가',
+            pattern: /스킬\s*사용\s*속도.*?(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '이동 속도 증가',
+            pattern: /이동\s*속도.*?(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '캐스팅 속도 증가',
+            pattern: /캐스팅.*?속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '치명타 확률 증가',
+            pattern: /치명타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '치명타 피해 증가',
+            pattern: /치명타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '추가타 확률 증가',
+            pattern: /추가타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '받는 피해 감소',
+            pattern: /받는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
+        },
+        {
+            name: '받는 피해 증가',
+            pattern: /받는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '회복력 증가',
+            pattern: /회복력이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '회복량 증가',
+            pattern: /회복량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '재사용 대기시간 감소',
+            pattern: /재사용\s*대기\s*시간이?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
+        },
+        {
+            name: '재사용 대기시간 증가',
+            pattern: /재사용\s*대기시간이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '스킬 피해량 증가',
+            pattern: /스킬.*?피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        },
+        {
+            name: '기본 공격 피해량 증가',
+            pattern: /기본\s*공격.*?피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
+        }
+    ];
+
+    effectPatterns.forEach(({
+        name,
+        pattern
+    }) => {
+        const match = effectText.match(pattern);
+        if (match) {
+            result.effects[name] = parseFloat(match[1]);
+        }
+    });
+
+    // 효과가 파싱되었으면 반환
+    if (Object.keys(result.effects).length > 0) {
+        return result;
+    }
+
+    return null;
+}
+
+/**
+ * 룬 설명 전체 파싱 (고급 버전)
+ * @param {Object} rune - 룬 데이터
+ * @param {number} enhanceLevel - 강화 단계 (0, 10, 15)
+ * @returns {Object} 상세 파싱 결과
+ * @updated 2025-12-10 - 문장/절 분리 로직 개선 (조건 범위 정확히 적용)
+ */
+function parseRuneEffectsAdvanced(rune, enhanceLevel) {
+    enhanceLevel = enhanceLevel || 0;
+
+    // @updated 2025-12-11 - rawDescription 지원 추가
+    var description = rune && (rune.description || rune.rawDescription);
+    if (!description) {
+        return {
+            effects: [],
+            totalScore: 0,
+            summary: {},
+            dotTypes: []
+        };
+    }
+
+    var text = stripHtml(description);
+
+    // ========================================================
+    // 엠블럼 룬의 경우 각성 효과 부분 제외 @added 2025-12-10
+    // 각성 효과는 별도로 parseEmblemAwakening에서 처리됨
+    // 중복 계산 방지를 위해 일반 파싱에서 제외
+    // ========================================================
+    if (rune.category === '04') { // 엠블럼
+        // 각성 효과 부분 제거: "각성하여 N초 동안 ... (재사용 대기 시간: N초)"
+        // "공격 시 " 머리말까지 제거해야 남은 상시 효과가 트리거로 분류되지 않음 @updated 2025-12-15
+        text = text.replace(/(?:공격\s*시\s*)?\d+%\s*확률로\s*각성하여\s*\d+초\s*동안.*?(?:재사용\s*대기\s*시간[:\s]*\d+초\)?|(?=\s*상시\s*효과))/g, '');
+        // 무방비 각성 제거: "무방비 공격 시 각성하여 N초 동안 ..."
+        text = text.replace(/무방비\s*공격\s*시\s*각성하여\s*\d+초\s*동안.*?(?:재사용\s*대기\s*시간[:\s]*\d+초\)?|(?=\s*상시\s*효과))/g, '');
+    }
+
+    var parsedEffects = [];
+
+    // ========================================================
+    // 시간 감소 효과 사전 체크 (전체 텍스트에서) @added 2025-12-10
+    // 문장 분리 전에 감지해야 "전투 시작 시...증가"와 "매 N초마다...감소"가 연결됨
+    // ========================================================
+    var decayEffect = parseDecayEffect(text);
+    if (decayEffect && decayEffect.hasDecay) {
+        // 시간 감소 효과를 별도 효과로 추가
+        parsedEffects.push({
+            type: EFFECT_TYPE.TRIGGER, // 트리거 효과지만 실효값으로 계산됨
+            effects: {},
+            decayEffects: {
+                '공격력 증가 (전투 시작)': {
+                    initialValue: decayEffect.initialValue,
+                    effectiveValue: decayEffect.effectiveValue,
+                    decayInfo: decayEffect
+                }
+            },
+            entries: [createDecayEntry(decayEffect)],
+            stackInfo: null,
+            timing: {
+                uptime: 1.0
+            },
+            conditionText: '전투 시작 시',
+            rawText: '전투 시작 시 공격력 ' + decayEffect.initialValue + '% (시간 감소 적용)'
+        });
+
+        // 일반 파싱에서 "전투 시작 시" 효과 제거 (중복 방지)
+        text = text.replace(/전투\s*시작\s*시[,\s]*공격력이?\s*\d+(?:\.\d+)?\s*%\s*증가.*?감소한다\./g, '');
+    }
+
+    // 1단계: 줄바꿈으로 큰 단위 분리
+    var lines = text.split(/[\n\r]+/).filter(function(s) {
+        return s.trim();
+    });
+
+    lines.forEach(function(line) {
+        // 2단계: 마침표로 문장 분리 (한국어 문장 종결: 다, 요, 음 뒤의 마침표)
+        var sentences = splitIntoSentences(line);
+        // "적의 수가 많을수록, X가 최소 A%에서 최대 B%까지 증가한다. Y는 최소 C%에서 최대 D%까지 감소한다."
+        // 비례 조건은 뒤 문장의 범위 수치에도 적용 @added 2025-12-15
+        var scalingCondition = '';
+
+        sentences.forEach(function(sentence) {
+            // 3단계: 독립 절로 분리 (하며, 증가하고/감소하고, 또한)
+            var clauses = splitIntoClauses(sentence);
+            // "A 시, X 증가하며 Y 증가" - 조건 없는 뒤 절은 앞 절의 조건/지속 시간을 이어받음 @added 2025-12-15
+            var leadingClause = clauses.length > 1 && /하며|(?:증가|감소)하고,/.test(sentence) ? clauses[0] : '';
+            var leadingConditionEnd = leadingClause ? findConditionEndIndex(leadingClause, true) : 0;
+
+            clauses.forEach(function(clause, index) {
+                var clauseText = clause.trim();
+
+                // "해당 효과는 최대 N회까지 중첩" - 수치 없는 중첩 문구는 직전 효과에 적용 @added 2025-12-15
+                var stackInfo = parseStackInfo(clauseText);
+                var previous = parsedEffects[parsedEffects.length - 1];
+                if (stackInfo && !/\d\s*%/.test(clauseText) && previous) {
+                    previous.stackInfo = stackInfo;
+                    previous.type = EFFECT_TYPE.STACKING;
+                    return;
+                }
+
+                var ownConditionEnd = findConditionEndIndex(clauseText, true);
+                if (index > 0 && leadingConditionEnd > 0 && ownConditionEnd === 0) {
+                    var durationMatch = /\d+초\s*동안/.test(clauseText) ? null : leadingClause.match(/\d+(?:\.\d+)?\s*초\s*동안\s*/);
+                    clauseText = leadingClause.substring(0, leadingConditionEnd).trim() + ' ' +
+                        (durationMatch ? durationMatch[0] : '') + clauseText;
+                } else if (ownConditionEnd === 0 && scalingCondition && /최소\s*\d+(?:\.\d+)?\s*%\s*에서\s*최대/.test(clauseText)) {
+                    clauseText = scalingCondition + ' ' + clauseText;
+                } else if (ownConditionEnd > 0 && /수록[,\s]*$/.test(clauseText.substring(0, ownConditionEnd))) {
+                    scalingCondition = clauseText.substring(0, ownConditionEnd).trim();
+                }
+
+                var parsed = parseSingleEffectImproved(clauseText, enhanceLevel);
+                if (parsed) {
+                    parsedEffects.push(parsed);
+                }
+            });
+        });
+    });
+
+    return {
+        effects: parsedEffects,
+        runeName: rune.name,
+        runeId: rune.id,
+        dotTypes: getRuneDotTypes(rune)
+    };
+}
+
+/**
+ * 문장 분리 (마침표 기준, 한국어 문장 종결 고려)
+ * @param {string} text - 텍스트
+ * @returns {Array} 문장 배열
+ * @added 2025-12-10
+ */
+function splitIntoSentences(text) {
+    // 마침표 뒤에 공백이 있거나, 문장 종결어미(다, 요, 음, 며) 뒤의 마침표로 분리
+    var result = [];
+    var current = '';
+    var chars = text.split('');
+
+    for (var i = 0; i < chars.length; i++) {
+        current += chars[i];
+
+        // 마침표를 만났을 때
+        if (chars[i] === '.') {
+            // 다음 문자가 공백이거나 끝이면 문장 종료
+            if (i === chars.length - 1 || chars[i + 1] === ' ' || chars[i + 1] === '\n') {
+                if (current.trim()) {
+                    result.push(current.trim());
+                }
+                current = '';
+            }
+        }
+    }
+
+    // 남은 텍스트 추가
+    if (current.trim()) {
+        result.push(current.trim());
+    }
+
+    return result.length > 0 ? result : [text];
+}
+
+/**
+ * 독립 절로 분리 (조건과 효과를 분리)
+ * @param {string} sentence - 문장
+ * @returns {Array} 절 배열
+ * @added 2025-12-10
+ */
+function splitIntoClauses(sentence) {
+    var clauses = [];
+
+    // "하며," 또는 "또한," 으로 분리되는 독립적인 효과 확인
+    // 패턴: "효과1하며, 효과2" 또는 "효과1. 또한, 효과2"
+
+    // 방법: 트리거 키워드 뒤의 효과만 해당 트리거에 연결
+    // "기본 공격 사용 시, 효과1. 효과2하며, 조건 시 효과3"
+
+    // 핵심: 각 효과가 어떤 조건에 종속되는지 정확히 파악
+
+    // 전략 1: "하며," 또는 "증가하고,/감소하고," 로 분리 (이 경우 앞 절과 뒷 절이 독립)
+    // "A를 보유한 적에게 주는 피해가 16% 증가하고, 무방비 피해가 16% 증가" - 대상 조건은 앞 절에만 적용 @updated 2025-12-15
+    var parts = sentence.split(/하며[,\s]*|(?<=증가|감소)하고,\s*/);
+
+    if (parts.length > 1) {
+        parts.forEach(function(part) {
+            if (part.trim()) {
+                clauses.push(part.trim());
+            }
+        });
+        return clauses;
+    }
+
+    // 전략 2: "또한," 으로 분리
+    parts = sentence.split(/또한[,\s]*/);
+    if (parts.length > 1) {
+        parts.forEach(function(part) {
+            if (part.trim()) {
+                clauses.push(part.trim());
+            }
+        });
+        return clauses;
+    }
+
+    // 분리가 안 되면 원본 반환
+    return [sentence];
+}
+
+/**
+ * 상태 조건 효과 파싱 (체력/자원 조건)
+ * @param {string} text - 효과 텍스트
+ * @returns {Object|null} 조건 효과 정보
+ * @description 체력/자원 조건에 따른 효과 업타임 계산
+ * @added 2025-12-10
+ */
+function parseHealthConditionEffect(text) {
+    if (!text) return null;
+
+    // 업타임 기준 (어비스/레이드 기준)
+    // 체력 75% 이상 유지: 70% 업타임 (적절한 플레이 기준)
+    // 체력 50% 이하 유지: 15% 업타임 (위험 상태, 지양)
+    // 자원 50% 미만: 40% 업타임 (자원 관리에 따라 다름)
+    // 자원 33% 미만: 25% 업타임 (더 제한적)
+    // 적 체력 50% 이하: 50% 업타임 (처형 효과)
+
+    var conditionPatterns = [
+        // 내 체력 조건
+        {
+            pattern: /체력이?\s*(\d+)\s*%\s*이상일?\s*(?:경우|때)/,
+            type: 'health_above',
+            uptimeCalc: function(threshold) {
+                // 체력이 높을수록 유지하기 쉬움
+                if (threshold >= 75) return 0.70; // 75% 이상: 70% 업타임
+                if (threshold >= 50) return 0.80; // 50% 이상: 80% 업타임
+                return 0.90; // 그 이하: 90% 업타임
+            }
+        },
+        {
+            pattern: /체력이?\s*(\d+)\s*%\s*이하(?:로\s*감소하면|일?\s*(?:경우|때))/,
+            type: 'health_below',
+            uptimeCalc: function(threshold) {
+                // 체력이 낮을수록 위험 - 유지 어려움
+                if (threshold <= 25) return 0.05; // 25% 이하: 5% 업타임 (매우 위험)
+                if (threshold <= 50) return 0.15; // 50% 이하: 15% 업타임 (위험)
+                return 0.30; // 그 이상: 30% 업타임
+            }
+        },
+        // 자원 조건
+        {
+            pattern: /(?:보유\s*)?자원이?\s*(\d+)\s*%\s*미만일?\s*(?:경우|때)/,
+            type: 'resource_below',
+            uptimeCalc: function(threshold) {
+                // 자원 관리에 따라 다름
+                if (threshold <= 33) return 0.25; // 33% 미만: 25% 업타임
+                if (threshold <= 50) return 0.40; // 50% 미만: 40% 업타임
+                return 0.50; // 그 이상: 50% 업타임
+            }
+        },
+        // 적 체력 조건
+        {
+            pattern: /(?:남은\s*)?체력이?\s*(\d+)\s*%\s*이하인?\s*적/,
+            type: 'enemy_health_below',
+            uptimeCalc: function(threshold) {
+                // 처형 효과 - 보스전 기준 후반부에만 유효
+                if (threshold <= 25) return 0.25; // 25% 이하: 25% 업타임
+                if (threshold <= 50) return 0.50; // 50% 이하: 50% 업타임
+                return 0.60;
+            }
+        }
+    ];
+
+    for (var i = 0; i < conditionPatterns.length; i++) {
+        var condPattern = conditionPatterns[i];
+        var match = text.match(condPattern.pattern);
+        if (match) {
+            var threshold = parseFloat(match[1]);
+            var uptime = condPattern.uptimeCalc(threshold);
+
+            return {
+                hasCondition: true,
+                type: condPattern.type,
+                threshold: threshold,
+                uptime: uptime,
+                uptimePercent: Math.round(uptime * 100)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 시간 감소 효과 파싱
+ * @param {string} text - 효과 텍스트
+ * @returns {Object|null} 감소 효과 정보 { hasDecay, initialValue, decayRate, decayInterval, decayDuration, effectiveValue }
+ * @description "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴 파싱
+ * @added 2025-12-10
+ */
+function parseDecayEffect(text) {
+    if (!text) return null;
+
+    // 패턴: "전투 시작 시, 공격력이 30% 증가한다. 증가한 공격력은 매 3초마다 2%씩 감소한다."
+    var combatStartPattern = /전투\s*시작\s*시.*?(\d+(?:\.\d+)?)\s*%\s*증가/;
+    var decayPattern = /매\s*(\d+(?:\.\d+)?)\s*초마다\s*(\d+(?:\.\d+)?)\s*%씩?\s*감소/;
+
+    var startMatch = text.match(combatStartPattern);
+    var decayMatch = text.match(decayPattern);
+
+    if (!startMatch || !decayMatch) {
+        return null;
+    }
+
+    var initialValue = parseFloat(startMatch[1]); // 초기값 (예: 30%)
+    var decayInterval = parseFloat(decayMatch[1]); // 감소 주기 (예: 3초)
+    var decayRate = parseFloat(decayMatch[2]); // 감소량 (예: 2%)
+
+    // 효과 소멸 시간 계산 (초)
+    // 30% / 2% = 15회, 15회 × 3초 = 45초
+    var decayCount = Math.ceil(initialValue / decayRate);
+    var decayDuration = decayCount * decayInterval;
+
+    // 어비스/레이드 기준 전투 시간 (초) - 평균 120초 (2분) 가정, 가중치 프로필 전투 시간 우선
+    // @updated 2025-12-15
+    var combatDuration = global && global.SharedFormulas && global.SharedFormulas.getCombatDuration
+        ? global.SharedFormulas.getCombatDuration()
+        : 120;
+
+    // 평균 효과값 계산 (선형 감소)
+    // 처음: initialValue, 끝: 0, 평균 = initialValue / 2
+    var averageValue = initialValue / 2;
+
+    // 업타임 계산
+    // 감소 완료 시간이 전투 시간보다 짧으면 일부만 효과
+    var effectiveUptime = Math.min(decayDuration, combatDuration) / combatDuration;
+
+    // 실효값 = 평균값 × 업타임
+    var effectiveValue = averageValue * effectiveUptime;
+
+    return {
+        hasDecay: true,
+        initialValue: initialValue,
+        decayRate: decayRate,
+        decayInterval: decayInterval,
+        decayDuration: decayDuration,
+        combatDuration: combatDuration,
+        effectiveUptime: effectiveUptime,
+        averageValue: averageValue,
+        effectiveValue: Math.round(effectiveValue * 10) / 10
+    };
+}
+
+// --------------------------------------------
+// 9-1. 능력치 문구 추출 (주어 열거 + 수치 + 증가/감소)
+// --------------------------------------------
+// @added 2025-12-15 - 효과별 정규식 대신 문장 구조로 추출 ("A, B가 N% 증가", "A가 N%, B가 M% 감소")
+
+/**
+ * 능력치 주어 → 효과명 매핑
+ * @constant {Array}
+ * @description 주어 끝(조사 직전)에 일치하는 항목 중 목록에서 먼저 나오는 항목 사용 (구체적인 주어가 앞)
+ * - up/down: "증가·빨라진다" / "감소" 문구의 효과명 ({1}은 캡처 그룹)
+ * - demerit: 결함(demerits)으로 분류할 방향 (기본 'down')
+ * - group: basicAttack(기본 공격 한정), limited(브레이크/무방비/특정 스킬 - 효율 제외)
+ * - seconds: '초' 단위 수치 허용 (재사용 대기 시간)
+ */
+const STAT_SUBJECTS = [
+    { pattern: /기본\s*공격(?:의)?\s*추가타\s*확률/, up: '기본 공격 추가타 확률 증가', group: 'basicAttack' },
+    { pattern: /기본\s*공격\s*속도/, up: '기본 공격 속도 증가', group: 'basicAttack' },
+    { pattern: /기본\s*공격(?:의)?\s*피해/, up: '기본 공격 피해량 증가', group: 'basicAttack' },
+    { pattern: /브레이크\s*스킬(?:로|의)?\s*(?:주는\s*)?피해/, up: '브레이크 스킬 피해 증가', group: 'limited' },
+    { pattern: /브레이크\s*피해/, up: '브레이크 피해 증가', group: 'limited' },
+    { pattern: /무방비\s*피해/, up: '무방비 피해 증가', group: 'limited' },
+    { pattern: /차지\s*스킬(?:의)?\s*피해/, up: '차지 스킬 피해 증가' },
+    { pattern: /(\S+)\s*스킬의\s*피해/, up: '{1} 스킬 피해량 증가', group: 'limited' },
+    { pattern: /멀티\s*히트\s*피해/, up: '멀티히트 피해 증가', down: '멀티히트 피해 감소' },
+    { pattern: /치명타\s*확률/, up: '치명타 확률 증가', down: '치명타 확률 감소' },
+    { pattern: /치명타\s*피해/, up: '치명타 피해 증가', down: '치명타 피해 감소' },
+    { pattern: /추가타\s*확률/, up: '추가타 확률 증가' },
+    { pattern: /연타\s*확률/, up: '연타 확률 증가' },
+    { pattern: /연타\s*피해/, up: '연타 피해 증가' },
+    { pattern: /강타\s*확률/, up: '강타 확률 증가' },
+    { pattern: /강타\s*피해/, up: '강타 피해 증가' },
+    { pattern: /콤보\s*피해/, up: '콤보 피해 증가' },
+    { pattern: /재사용\s*대기\s*시간\s*회복\s*속도/, up: '쿨타임 회복 속도 증가', down: '쿨타임 회복 속도 감소' },
+    { pattern: /각성의?\s*재사용\s*대기\s*시간/, down: '각성 쿨타임 감소', demerit: 'up', seconds: true },
+    { pattern: /재사용\s*대기\s*시간/, down: '스킬 쿨타임 감소', demerit: 'up', seconds: true },
+    { pattern: /스킬\s*(?:의\s*)?(?:피해|위력)/, up: '스킬 피해 증가' },
+    { pattern: /스킬\s*사용\s*속도/, up: '스킬 사용 속도 증가', down: '스킬 사용 속도 감소' },
+    { pattern: /캐스팅|차지\s*속도/, up: '캐스팅/차지 속도 증가', down: '캐스팅/차지 속도 감소' },
+    { pattern: /이동\s*속도/, up: '이동 속도 증가', down: '이동 속도 감소' },
+    { pattern: /공격\s*속도/, up: '공격 속도 증가', down: '공격 속도 감소' },
+    { pattern: /받는\s*피해를/, up: '타겟 받는 피해 증가' },
+    { pattern: /받는\s*피해/, up: '받는 피해 증가', down: '받는 피해 감소', demerit: 'up' },
+    { pattern: /피해/, up: '피해량 증가', down: '피해량 감소' },
+    { pattern: /공격력/, up: '공격력 증가', down: '공격력 감소' },
+    { pattern: /방어력/, up: '방어력 증가', down: '방어력 감소' },
+    { pattern: /치유량/, up: '치유량 증가' },
+    { pattern: /회복량/, up: '회복량 증가' },
+    { pattern: /회복력/, up: '회복력 증가' },
+    { pattern: /궁극기\s*게이지\s*획득량/, up: '궁극기 게이지 획득량 증가' }
+];
+
+/**
+ * 주어 뒤에 허용되는 꼬리 (조사/부사) - 이 외의 글자가 남으면 주어가 아님
+ * @constant {RegExp}
+ */
+const STAT_SUBJECT_TAIL = /^(?:량|력)?\s*(?:이|가|은|는|을|를|의|로)?(?:\s*(?:추가로|각각|모두|더))*\s*$/;
+
+/**
+ * 열거된 주어 구분자 ("A, B", "A 및 B", "A와 B")
+ * @constant {RegExp}
+ */
+const STAT_ITEM_SEPARATOR = /\s*,\s*|\s+및\s+|(?<=[가-힣])(?:과|와)\s+/;
+
+/**
+ * 열거 앞쪽 항목을 끊는 어미 (서술어/조건이 끼어든 경우)
+ * @constant {RegExp}
+ */
+const STAT_ITEM_BREAK = /(?:고|며|서|여|게|면|시|우|때|후|다|을|를|에|부여해)$/;
+
+/**
+ * 증가/감소 서술어 ("증가 효과"처럼 명사로 쓰인 경우 제외)
+ * @constant {RegExp}
+ */
+const STAT_VERB = /(증가|감소|빨라)(?!\s*효과)/g;
+
+/**
+ * 수치 토큰: "최소 A%에서 최대 B%까지", "A/B%", "A%~B%", "N%", "N%씩", "N초"
+ * @constant {RegExp}
+ */
+const STAT_VALUE_TOKEN = /최소\s*(\d+(?:\.\d+)?)\s*%\s*에서\s*최대\s*(\d+(?:\.\d+)?)\s*%(?:\s*까지)?|(\d+(?:\.\d+)?)\s*%?\s*[\/~]\s*(\d+(?:\.\d+)?)\s*(%|초)|(\d+(?:\.\d+)?)\s*(%|초)(?:씩)?/g;
+
+/**
+ * 주어/수치 추출 전에 제거할 시간·확률·범위 문구
+ * @constant {RegExp}
+ */
+const STAT_TIMING_PHRASE = /\d+(?:\.\d+)?\s*초\s*(?:동안|마다|후에?|간)|\d+(?:\.\d+)?\s*%\s*확률로|\(재사용\s*대기\s*시간[^)]*\)|\d+(?:\.\d+)?\s*m(?![가-힣A-Za-z])|\d+\s*회(?:까지|의)?/g;
+
+/**
+ * 아군 대상 버프 문구: "아군에게 15초 동안 8%의 공격력 증가 효과를 부여"
+ * @constant {RegExp}
+ */
+const ALLY_BUFF_PATTERN = /아군에게.*?(\d+(?:\.\d+)?)\s*%의\s*(\S+)\s*증가\s*효과를\s*부여/;
+
+/**
+ * 정규식의 마지막 일치 찾기
+ * @param {RegExp} pattern - 정규식 (g 플래그 없어도 됨)
+ * @param {string} text - 대상 문자열
+ * @returns {Array|null} 마지막 일치 결과
+ */
+function findLastMatch(pattern, text) {
+    var regex = new RegExp(pattern.source, 'g');
+    var last = null;
+    var match;
+    while ((match = regex.exec(text)) !== null) {
+        last = match;
+        if (match[0] === '') regex.lastIndex++;
+    }
+    return last;
+}
+
+/**
+ * 주어 문구 → 효과 정보
+ * @param {string} item - 주어 문구 (예: "적에게 주는 피해가")
+ * @param {string} direction - 'up' | 'down'
+ * @returns {Object|null} { name, group, isDemerit, seconds }
+ */
+function resolveStatSubject(item, direction) {
+    var text = (item || '').trim();
+    if (!text) return null;
+
+    for (var i = 0; i < STAT_SUBJECTS.length; i++) {
+        var subject = STAT_SUBJECTS[i];
+        var match = findLastMatch(subject.pattern, text);
+        if (!match || !STAT_SUBJECT_TAIL.test(text.substring(match.index + match[0].length))) continue;
+
+        var name = direction === 'down' ? subject.down : subject.up;
+        if (!name) return null;
+        return {
+            name: name.replace('{1}', match[1] || ''),
+            group: subject.group || 'core',
+            isDemerit: (subject.demerit || 'down') === direction,
+            seconds: !!subject.seconds
+        };
+    }
+    return null;
+}
+
+/**
+ * 생략된 주어 보완 ("공격, 이동 속도" → 공격 속도, "스킬 캐스팅 및 사용 속도" → 스킬 사용 속도)
+ * @param {Array<string>} items - 열거 항목
+ * @param {number} index - 보완할 항목 위치
+ * @param {string} direction - 'up' | 'down'
+ * @returns {Object|null} resolveStatSubject 결과
+ */
+function resolveElidedSubject(items, index, direction) {
+    var item = items[index];
+    var head = items[items.length - 1].replace(/(?:이|가|은|는|을|를)$/, '').split(/\s+/).pop();
+    if (index < items.length - 1 && head) {
+        var withHead = resolveStatSubject(item + ' ' + head, direction);
+        if (withHead) return withHead;
+    }
+    if (index > 0) {
+        return resolveStatSubject(items[index - 1].split(/\s+/)[0] + ' ' + item, direction);
+    }
+    return null;
+}
+
+/**
+ * 수치 앞 주어 문구 → 효과 정보 목록 (열거된 주어는 모두 같은 수치)
+ * @param {string} subjectText - 수치 앞 문구
+ * @param {string} direction - 'up' | 'down'
+ * @returns {Array<Object>} resolveStatSubject 결과 배열 (문장 순서)
+ */
+function collectStatSubjects(subjectText, direction) {
+    var items = subjectText.split(STAT_ITEM_SEPARATOR).map(function(item) {
+        return item.trim();
+    }).filter(Boolean);
+    var subjects = [];
+
+    for (var i = items.length - 1; i >= 0; i--) {
+        if (i < items.length - 1 && STAT_ITEM_BREAK.test(items[i])) break;
+        var subject = resolveStatSubject(items[i], direction) || resolveElidedSubject(items, i, direction);
+        if (!subject) break;
+        subjects.unshift(subject);
+    }
+
+    return subjects;
+}
+
+/**
+ * 수치 토큰 → { value, unit } (범위/복수 수치는 평균)
+ * @param {Array} match - STAT_VALUE_TOKEN 일치 결과
+ * @returns {Object} { value, unit }
+ */
+function readValueToken(match) {
+    function average(a, b) {
+        return Math.round((parseFloat(a) + parseFloat(b)) / 2 * 100) / 100;
+    }
+    if (match[1] !== undefined) return { value: average(match[1], match[2]), unit: '%' };
+    if (match[3] !== undefined) return { value: average(match[3], match[4]), unit: match[5] };
+    return { value: parseFloat(match[6]), unit: match[7] };
+}
+
+/**
+ * 효과 문구에서 능력치 증감 항목 추출
+ * @param {string} text - 효과 문구 (조건 부분 제외 권장)
+ * @returns {Array<Object>} [{ name, value, unit, group, isDemerit, duration? }]
+ * @description 서술어(증가/감소/빨라진다)마다 구간을 나누고, 구간 안의 수치마다 앞의 주어 문구를 해석
+ */
+function extractStatEntries(text) {
+    var entries = [];
+    var seen = {};
+    var source = text || '';
+
+    function push(entry, segment) {
+        var key = entry.name + '|' + (entry.isDemerit ? 'D' : 'E');
+        if (seen[key]) return;
+        seen[key] = true;
+        var durationMatch = segment.match(/(\d+(?:\.\d+)?)\s*초\s*동안/);
+        if (durationMatch) entry.duration = parseFloat(durationMatch[1]);
+        entries.push(entry);
+    }
+
+    // 아군 대상 버프 (자신에게 적용되지 않으므로 제한적 효과)
+    var allyMatch = source.match(ALLY_BUFF_PATTERN);
+    if (allyMatch) {
+        var allySubject = resolveStatSubject(allyMatch[2], 'up');
+        push({
+            name: '아군 ' + (allySubject ? allySubject.name.replace(/\s*증가$/, '') : allyMatch[2]) + ' 버프',
+            value: parseFloat(allyMatch[1]),
+            unit: '%',
+            group: 'limited',
+            isDemerit: false
+        }, allyMatch[0]);
+        source = source.replace(allyMatch[0], ' ');
+    }
+
+    var verbRegex = new RegExp(STAT_VERB.source, 'g');
+    var segmentStart = 0;
+    var verb;
+    while ((verb = verbRegex.exec(source)) !== null) {
+        var segment = source.substring(segmentStart, verb.index);
+        var direction = verb[1] === '감소' ? 'down' : 'up';
+        var cleaned = segment.replace(STAT_TIMING_PHRASE, ' ');
+        var tokenRegex = new RegExp(STAT_VALUE_TOKEN.source, 'g');
+        var subjectStart = 0;
+        var token;
+
+        while ((token = tokenRegex.exec(cleaned)) !== null) {
+            var reading = readValueToken(token);
+            collectStatSubjects(cleaned.substring(subjectStart, token.index), direction).forEach(function(subject) {
+                if (reading.unit === '초' && !subject.seconds) return;
+                push({
+                    name: subject.name,
+                    value: reading.value,
+                    unit: reading.unit,
+                    group: subject.group,
+                    isDemerit: subject.isDemerit
+                }, segment);
+            });
+            subjectStart = token.index + token[0].length;
+        }
+
+        segmentStart = verb.index + verb[0].length;
+    }
+
+    return entries;
+}
+
+/**
+ * 시간 감소 효과 → 항목 (entries) 형식
+ * @param {Object} decayInfo - parseDecayEffect 결과
+ * @returns {Object} { name, value, unit, group: 'decay', decayInfo }
+ */
+function createDecayEntry(decayInfo) {
+    return {
+        name: '공격력 증가 (전투 시작)',
+        value: decayInfo.initialValue,
+        unit: '%',
+        group: 'decay',
+        isDemerit: false,
+        decayInfo: decayInfo
+    };
+}
+
+/**
+ * 상태 조건 라벨 (conditionEffects 키, 데이터 파일 trigger에 사용)
+ * @param {Object} conditionInfo - parseHealthConditionEffect 결과
+ * @returns {string} 예: "체력 75% 이상"
+ */
+function getConditionLabel(conditionInfo) {
+    switch (conditionInfo.type) {
+        case 'health_above':
+            return '체력 ' + conditionInfo.threshold + '% 이상';
+        case 'health_below':
+            return '체력 ' + conditionInfo.threshold + '% 이하';
+        case 'resource_below':
+            return '자원 ' + conditionInfo.threshold + '% 미만';
+        case 'enemy_health_below':
+            return '적 체력 ' + conditionInfo.threshold + '% 이하';
+        default:
+            return '조건부';
+    }
+}
+
+/**
+ * 개선된 단일 효과 파싱 (조건 범위 정확히 적용)
+ * @param {string} effectText - 효과 텍스트
+ * @param {number} enhanceLevel - 강화 단계
+ * @returns {Object|null} 파싱된 효과
+ * @added 2025-12-10
+ * @updated 2025-12-15 - 수치 추출을 extractStatEntries로 일원화, 항목 목록(entries) 추가
+ *                      - 유형: 중첩 > 적 상태 > 상태 조건 > 조건/지속 시간(트리거) > 상시
+ */
+function parseSingleEffectImproved(effectText, enhanceLevel) {
+    if (!effectText || effectText.length < 3) return null;
+
+    var result = {
+        type: EFFECT_TYPE.PASSIVE, // 기본은 상시
+        effects: {},
+        entries: [],
+        stackInfo: null,
+        timing: {
+            uptime: 1.0
+        },
+        conditionText: '',
+        isEnhanceBonus: false,
+        enhanceLevel: 0,
+        rawText: effectText
+    };
+
+    // 강화 효과 체크
+    if (/\+10.*강화/.test(effectText) || /장비를\s*\+10\s*강화/.test(effectText)) {
+        result.isEnhanceBonus = true;
+        result.enhanceLevel = 10;
+        if (enhanceLevel < 10) return null;
+    }
+    if (/\+15.*강화/.test(effectText) || /장비를\s*\+15\s*강화/.test(effectText)) {
+        result.isEnhanceBonus = true;
+        result.enhanceLevel = 15;
+        if (enhanceLevel < 15) return null;
+    }
+
+    // 조건 키워드와 효과의 위치 관계 분석
+    // 핵심: 조건이 효과 바로 앞에 있을 때만 해당 효과에 적용
+    var conditionEndIndex = findConditionEndIndex(effectText);
+
+    // 조건 부분과 효과 부분 분리
+    var conditionPart = conditionEndIndex > 0 ? effectText.substring(0, conditionEndIndex) : '';
+    var effectPart = conditionEndIndex > 0 ? effectText.substring(conditionEndIndex) : effectText;
+
+    // 효과 부분에 직접 조건이 있는지 확인
+    var effectConditionIndex = findConditionEndIndex(effectPart);
+    if (effectConditionIndex > 0 && effectConditionIndex < effectPart.length - 5) {
+        // 효과 부분에도 조건이 있으면 그 조건을 사용
+        conditionPart = effectPart.substring(0, effectConditionIndex);
+        effectPart = effectPart.substring(effectConditionIndex);
+    }
+
+    // 발동 조건 문구 (여러 조건이 이어지면 첫 조건) - 데이터 파일 trigger용
+    var firstConditionEnd = findConditionEndIndex(effectText, true);
+    if (firstConditionEnd > 0) {
+        result.conditionText = effectText.substring(0, firstConditionEnd).replace(/[,\s]+$/, '');
+    }
+
+    // 수치 앞의 발동 간격 ("전투 중, 5초마다 5초 동안") - "매 N초마다 감소"는 시간 감소 효과 @added 2025-12-15
+    var intervalMatch = effectText.substring(firstConditionEnd).split('%')[0]
+        .match(/(?<![\d.]|매\s*)(\d+(?:\.\d+)?)\s*초\s*마다/);
+    if (intervalMatch) {
+        result.intervalText = intervalMatch[1] + '초마다';
+    }
+
+    // 중첩 정보 / 지속 시간 (조건 문구의 "N초 동안 이동하지 않을 경우"는 지속 시간 아님)
+    result.stackInfo = parseStackInfo(effectText);
+    result.timing = parseDurationAndCooldown(effectPart);
+
+    // 상태 조건 효과 체크 (체력/자원 조건 - 업타임 제한적) @added 2025-12-10
+    var healthConditionInfo = parseHealthConditionEffect(effectText);
+
+    var isEnemyCondition = ENEMY_CONDITION_KEYWORDS.some(function(keyword) {
+        return new RegExp(keyword).test(effectText);
+    });
+    var isStateCondition = !!healthConditionInfo || STATE_CONDITION_KEYWORDS.some(function(keyword) {
+        return new RegExp(keyword).test(conditionPart);
+    });
+
+    // ========================================================
+    // 효과 유형 결정 @updated 2025-12-15
+    // - "누적:/축적:" 머리말은 조건이 있을 때만 중첩 (조건 없는 문장은 상시)
+    // - 조건 또는 지속 시간이 있으면 상시 효과가 아님
+    // ========================================================
+    if (result.stackInfo || (/^(누적|축적)\s*:/.test(effectText) && conditionPart)) {
+        result.type = EFFECT_TYPE.STACKING;
+    } else if (isEnemyCondition) {
+        result.type = EFFECT_TYPE.ENEMY_CONDITION;
+    } else if (isStateCondition) {
+        result.type = EFFECT_TYPE.STATE_CONDITION;
+    } else if (conditionPart || result.timing.duration) {
+        result.type = EFFECT_TYPE.TRIGGER;
+    }
+
+    // 무방비 공격 적중 시 효과 (브레이크 발동 시간 긺 - 효율 제외) @added 2025-12-10
+    var isDefenseBreakEffect = /무방비\s*공격\s*적중\s*시/.test(effectText);
+
+    // 특정 상태/범위 조건 (상황 의존) - 예: "주변 3m 범위 내에 적이 없을 경우"
+    var isRangeConditionEffect = /범위\s*내에?\s*적이?\s*없을/.test(effectText);
+
+    // 궁극기/각성 사용 시 효과 (직업군/시너지 의존) @added 2025-12-10
+    var isUltimateConditionEffect = /궁극기\s*사용\s*시|각성\s*(?:혹은\s*)?궁극기\s*사용\s*시/.test(effectText);
+    var limitedPrefix = isUltimateConditionEffect ? '궁극기 사용 시 ' : isRangeConditionEffect ? '거리 조건 ' : '';
+
+    // 시간 감소 효과 체크 ("전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소") @added 2025-12-10
+    var decayEffectInfo = parseDecayEffect(effectText);
+    var hasDecayEffect = decayEffectInfo && decayEffectInfo.hasDecay;
+
+    if (healthConditionInfo) {
+        result.conditionLabel = getConditionLabel(healthConditionInfo);
+    }
+
+    function addTo(field, name, value) {
+        if (!result[field]) result[field] = {};
+        result[field][name] = value;
+    }
+
+    extractStatEntries(effectPart).forEach(function(entry) {
+        if (entry.isDemerit) {
+            // 결함 효과는 별도로 저장 (나중에 점수에서 차감)
+            entry.group = 'demerit';
+            addTo('demerits', entry.name, entry.value);
+            result.hasDemerit = true;
+        } else if (entry.group === 'limited') {
+            addTo('limitedEffects', entry.name, entry.value);
+            result.isLimitedEffect = true;
+        } else if (isDefenseBreakEffect) {
+            entry.group = 'defenseBreak';
+            addTo('defenseBreakEffects', '무방비 ' + entry.name, entry.value);
+            result.isDefenseBreakOnly = true;
+        } else if (entry.group === 'basicAttack') {
+            addTo('basicAttackEffects', entry.name, entry.value);
+        } else if (limitedPrefix) {
+            entry.group = 'limited';
+            addTo('limitedEffects', limitedPrefix + entry.name, entry.value);
+            result.isLimitedEffect = true;
+        } else if (hasDecayEffect && entry.name === '공격력 증가') {
+            // 전투 시작 효과는 별도 처리, 상시 효과("공격력이 8% 증가한다")만 일반 효과에 저장
+            addTo('decayEffects', entry.name + ' (전투 시작)', {
+                initialValue: decayEffectInfo.initialValue,
+                effectiveValue: decayEffectInfo.effectiveValue,
+                decayInfo: decayEffectInfo
+            });
+            result.entries.push(createDecayEntry(decayEffectInfo));
+            var permanentMatch = effectText.match(/공격력이?\s*(\d+(?:\.\d+)?)\s*%\s*증가.*?전투\s*시작/);
+            if (!permanentMatch) return;
+            entry.value = parseFloat(permanentMatch[1]);
+            result.effects[entry.name] = entry.value;
+        } else if (healthConditionInfo) {
+            // 체력/자원 조건이 있으면 업타임 적용한 실효값으로 저장 (일반 효과에서 제외)
+            entry.group = 'condition';
+            addTo('conditionEffects', entry.name + ' (' + result.conditionLabel + ')', {
+                rawValue: entry.value,
+                effectiveValue: Math.round(entry.value * healthConditionInfo.uptime * 10) / 10,
+                conditionInfo: healthConditionInfo
+            });
+        } else {
+            result.effects[entry.name] = entry.value;
+        }
+        result.entries.push(entry);
+    });
+
+    return result.entries.length > 0 ? result : null;
+}
+
+/**
+ * 조건 키워드의 끝 위치 찾기
+ * @param {string} text - 텍스트
+ * @param {boolean} [earliest=false] - true면 가장 먼저 끝나는 조건 (여러 조건 중 첫 조건)
+ * @returns {number} 조건 끝 인덱스 (없으면 0)
+ * @added 2025-12-10
+ * @updated 2025-12-15 - "~할 때마다", "~하면", "~시,", "~되는 동안", "~많을수록" 추가
+ */
+function findConditionEndIndex(text, earliest) {
+    // 조건 패턴: "~시," 또는 "~경우,"
+    var conditionPatterns = [
+        /(?:적중|사용|공격)\s*시[,\s]/,
+        /\S\s*시,/,
+        /경우[,\s]/,
+        /때[,\s]/,
+        /때마다[,\s]/,
+        /면[,\s]/,
+        /되는\s*동안[,\s]/,
+        /수록[,\s]/,
+        /(?<!적)중[,\s]/
+    ];
+
+    var endIndex = 0;
+
+    conditionPatterns.forEach(function(pattern) {
+        var match = text.match(pattern);
+        if (match) {
+            var matchEnd = match.index + match[0].length;
+            if (earliest ? (endIndex === 0 || matchEnd < endIndex) : matchEnd > endIndex) {
+                endIndex = matchEnd;
+            }
+        }
+    });
+
+    return endIndex;
+}
+
+/**
+ * 조건 키워드 존재 여부 확인
+ * @param {string} text - 텍스트
+ * @returns {boolean}
+ * @added 2025-12-10
+ */
+function hasConditionKeyword(text) {
+    var keywords = ['시,', '시 ', '경우', '때마다', '중 '];
+    for (var i = 0; i < keywords.length; i++) {
+        if (text.includes(keywords[i])) return true;
+    }
+    return false;
+}
+
+// ============================================
+// 10. 데이터 스키마 변환 (runes-*.json 형식)
+// ============================================
+// @added 2025-12-15 - 빌드 스크립트/검증 도구용
+
+/**
+ * 절 유형 → 데이터 파일 효과 유형 매핑
+ * @constant {Object}
+ */
+const SCHEMA_TYPE_MAP = {
+    passive: 'PERMANENT',
+    trigger: 'TRIGGER',
+    enemy: 'TRIGGER',
+    stacking: 'STACKING',
+    state: 'STATE'
+};
+
+/**
+ * 데이터 파일 스키마 변환 시 기준 강화 단계
+ * @constant {number}
+ */
+const SCHEMA_ENHANCE_LEVEL = 15;
+
+/**
+ * 데이터 파일에서 DPS 계산 제외(dpsRelevant: false)하는 효과명
+ * @constant {Object}
+ * @description 속도/방어/회복/게이지 계열 - 제한적/기본 공격/무방비 효과는 그룹으로 제외
+ */
+const SCHEMA_NON_DPS_EFFECTS = {
+    '공격 속도 증가': true,
+    '이동 속도 증가': true,
+    '스킬 사용 속도 증가': true,
+    '캐스팅/차지 속도 증가': true,
+    '받는 피해 감소': true,
+    '방어력 증가': true,
+    '치유량 증가': true,
+    '회복량 증가': true,
+    '회복력 증가': true,
+    '궁극기 게이지 획득량 증가': true,
+    '각성 쿨타임 감소': true
+};
+
+/**
+ * 조건 문구를 데이터 파일 trigger 형식으로 정리
+ * @param {string} text - 조건 문구 (예: "스킬을 사용할 때마다")
+ * @param {boolean} [keepEach=false] - true면 "~할 때마다"를 "~마다"로 유지 (지속 시간 없는 누적 조건)
+ * @returns {string|undefined} 예: "스킬 사용 시", "클래스 레벨 50 달성마다" (없으면 undefined)
+ * @description Worker 업타임 가중치(getEffectUptimeWeight)가 "스킬 사용", "공격 적중" 등 키워드로 판별
+ * @updated 2025-12-15 - keepEach 추가
+ */
+function normalizeTriggerText(text, keepEach) {
+    var trigger = (text || '')
+        .replace(/^(?:누적|축적)\s*[:：]\s*/, '')
+        .replace(/[,\s]+$/, '')
+        .trim();
+    if (!trigger) return undefined;
+
+    var each = keepEach && /때마다$/.test(trigger);
+    return trigger
+        .replace(/(\S+?)\s?(?:했을|하였을|할|시킬|시켰을|시키면|하면|되었을|될|되면)\s*(?:때마다|때|경우)?$/, each ? '$1마다' : '$1 시')
+        .replace(/\s*(?:때마다|때|경우)$/, ' 시')
+        .replace(/(\S)시$/, '$1 시')
+        .replace(/(\S+?)(?:을|를)(?=\s+(?!시$))/g, '$1')
+        .replace(/(\S+?)(?:이|가)\s+(\S+\s시)$/, '$1 $2');
+}
+
+/**
+ * 파싱된 절의 발동 조건 문구 (데이터 파일 trigger)
+ * @param {Object} clause - parseSingleEffectImproved 결과
+ * @returns {string|undefined} 조건 문구 (없으면 undefined)
+ * @updated 2025-12-15 - 체력/자원 조건은 라벨, 적 상태 조건은 대상 문구 사용
+ * @updated 2025-12-15 - 발동 간격("N초마다")과 지속 시간 없는 "~마다" 누적 조건 유지
+ */
+function extractTriggerText(clause) {
+    if (clause.conditionLabel) return clause.conditionLabel + ' 시';
+    var interval = clause.intervalText;
+    if (clause.conditionText) {
+        // 발동 확률은 조건 뒤에 붙여 표기 ("스킬 사용 시 25% 확률")
+        var chance = (clause.rawText || '').match(/(\d+(?:\.\d+)?)\s*%\s*확률로/);
+        var trigger = normalizeTriggerText(clause.conditionText, !(clause.timing && clause.timing.duration));
+        // 발동 간격은 조건 뒤에 표기 ("전투 중 5초마다", "전투 시작 후 30초마다")
+        if (interval) trigger = trigger.replace(/ 시$/, ' 후') + ' ' + interval;
+        return trigger + (chance ? ' ' + chance[1] + '% 확률' : '');
+    }
+    if (interval) return interval;
+
+    if (clause.type === EFFECT_TYPE.ENEMY_CONDITION) {
+        var target = (clause.rawText || '').match(/(?:원소\s*)?지속\s*피해(?::\s*\S+?)?(?:을|를)?\s*보유한\s*적/);
+        if (target) return normalizeTriggerText(target[0] + ' 공격 시');
+    }
+    return undefined;
+}
+
+/**
+ * 파싱 항목의 DPS 계산 포함 여부
+ * @param {Object} entry - parseSingleEffectImproved entries 항목
+ * @returns {boolean}
+ */
+function isSchemaDpsRelevant(entry) {
+    if (['limited', 'basicAttack', 'defenseBreak'].indexOf(entry.group) !== -1) return false;
+    return !SCHEMA_NON_DPS_EFFECTS[entry.name];
+}
+
+/**
+ * 파싱된 절의 데이터 파일 효과 유형
+ * @param {Object} clause - parseSingleEffectImproved 결과
+ * @returns {string} PERMANENT | TRIGGER | STACKING | STATE
+ * @description 지속 시간 없이 조건 동안 유지되는 효과("~를 보유한 적에게 주는 피해", "전투 시작 시")는 STATE
+ * @added 2025-12-15
+ */
+function getSchemaType(clause) {
+    var hasDuration = !!(clause.timing && clause.timing.duration);
+    if (!hasDuration && (clause.type === EFFECT_TYPE.ENEMY_CONDITION ||
+        (clause.type === EFFECT_TYPE.TRIGGER && /^전투\s*시작\s*시$/.test(clause.conditionText || '') && !clause.intervalText))) {
+        return 'STATE';
+    }
+    return SCHEMA_TYPE_MAP[clause.type] || 'PERMANENT';
+}
+
+/**
+ * 파싱된 절(clause)을 데이터 파일 효과 배열로 변환
+ * @param {Object} clause - parseSingleEffectImproved 결과
+ * @returns {Array} [{type, name, value, unit, dpsRelevant, ...}]
+ * @updated 2025-12-15 - entries 기준 변환, 상시(PERMANENT) 효과에는 trigger/지속 시간/중첩 미포함
+ */
+function clauseToSchemaEffects(clause) {
+    var trigger = extractTriggerText(clause);
+    var timing = clause.timing || {};
+    var schemaType = getSchemaType(clause);
+    var maxStacks = clause.stackInfo && clause.stackInfo.maxStacks;
+
+    return (clause.entries || []).filter(function(item) {
+        return item.group !== 'demerit';
+    }).map(function(item) {
+        var type = item.group === 'condition' ? 'STATE' : item.group === 'decay' ? 'DECAY' : schemaType;
+        var entry = {
+            type: type,
+            name: item.name,
+            value: item.value,
+            unit: item.unit,
+            dpsRelevant: isSchemaDpsRelevant(item)
+        };
+        if (type === 'PERMANENT') return entry;
+
+        if (type === 'STACKING' && maxStacks) {
+            entry.stackValue = item.value;
+            entry.maxStacks = maxStacks;
+            entry.value = Math.round(item.value * maxStacks * 100) / 100;
+        }
+        if (trigger) entry.trigger = trigger;
+        if (item.duration || timing.duration) entry.duration = item.duration || timing.duration;
+        if (timing.cooldown) entry.cooldown = timing.cooldown;
+        if (item.decayInfo) {
+            entry.decayInfo = {
+                interval: item.decayInfo.decayInterval,
+                decayRate: item.decayInfo.decayRate,
+                note: '매 ' + item.decayInfo.decayInterval + '초마다 ' + item.decayInfo.decayRate + '% 감소, ' +
+                    item.decayInfo.decayDuration + '초 후 0%'
+            };
+        }
+        return entry;
+    });
+}
+
+/**
+ * 룬을 데이터 파일(runes-*.json) 효과 스키마로 변환
+ * @param {Object} rune - 룬 데이터 (description 또는 rawDescription 필요)
+ * @returns {Object} { effects, demerits, enhanceEffects, dotTypes, clauses, awakening? }
+ * @description 강화 보너스 절은 enhanceEffects[단계]로, 결함은 demerits 배열로 분리
+ */
+function toRuneSchema(rune) {
+    var parsed = parseRuneEffectsAdvanced(rune, SCHEMA_ENHANCE_LEVEL);
+    var result = {
+        effects: [],
+        demerits: [],
+        enhanceEffects: { '10': {}, '15': {} },
+        dotTypes: parsed.dotTypes || [],
+        clauses: parsed.effects
+    };
+    var seenDemerits = {};
+    var awakening = rune && rune.category === '04' ?
+        parseEmblemAwakening(rune.description || rune.rawDescription) : null;
+
+    parsed.effects.forEach(function(clause) {
+        if (clause.isEnhanceBonus) {
+            // "+10, +15 강화 시 각각" 문구는 두 단계 모두에 적용
+            var levels = /\+10[,\s]*\+15.*각각/.test(clause.rawText || '') ?
+                ['10', '15'] : [String(clause.enhanceLevel || SCHEMA_ENHANCE_LEVEL)];
+            levels.forEach(function(level) {
+                var bucket = result.enhanceEffects[level] || (result.enhanceEffects[level] = {});
+                (clause.entries || []).forEach(function(item) {
+                    if (item.group === 'demerit') return;
+                    bucket[item.name] = (bucket[item.name] || 0) + item.value;
+                });
+            });
+        } else {
+            result.effects = result.effects.concat(clauseToSchemaEffects(clause));
+        }
+
+        (clause.entries || []).forEach(function(item) {
+            if (item.group !== 'demerit' || seenDemerits[item.name]) return;
+            seenDemerits[item.name] = true;
+            result.demerits.push({ name: item.name, value: item.value, unit: item.unit });
+        });
+    });
+
+    // 엠블럼 상시 효과 보충 (각성 문구 제거 후 일반 파싱에서 빠진 경우)
+    if (awakening && awakening.passiveEffects) {
+        Object.keys(awakening.passiveEffects).forEach(function(name) {
+            var exists = result.effects.some(function(e) {
+                return e.type === 'PERMANENT' && e.name === name;
+            });
+            if (!exists) {
+                result.effects.push({
+                    type: 'PERMANENT',
+                    name: name,
+                    value: awakening.passiveEffects[name],
+                    unit: '%',
+                    dpsRelevant: !SCHEMA_NON_DPS_EFFECTS[name]
+                });
+            }
+        });
+    }
+
+    // 엠블럼 각성 효과는 별도 필드로 분리 (데이터 파일 awakening 형식)
+    if (awakening && awakening.hasAwakening) {
+        result.awakening = {
+            trigger: awakening.isDefenseBreakAwakening ? '무방비 공격 시' :
+                '공격 시 ' + Math.round((awakening.triggerChance || 0) * 100) + '% 확률',
+            cooldown: awakening.cooldown,
+            duration: awakening.duration,
+            effects: Object.keys(awakening.awakeningEffects || {}).map(function(name) {
+                return { name: name, value: awakening.awakeningEffects[name], unit: '%' };
+            })
+        };
+    }
+
+    return result;
+}
+
+    // ============================================
+    // 전역 객체 등록
+    // ============================================
+
+    /**
+     * RuneEffectParser 전역 객체
+     * @global
+     */
+    var RuneEffectParser = {
+        // 상수
+        EFFECT_TYPE: EFFECT_TYPE,
+        EFFECT_TYPE_WEIGHT: EFFECT_TYPE_WEIGHT,
+        EMBLEM_AWAKENING_BASE_COOLDOWN: EMBLEM_AWAKENING_BASE_COOLDOWN,
+        TRIGGER_KEYWORDS: TRIGGER_KEYWORDS,
+        STATE_CONDITION_KEYWORDS: STATE_CONDITION_KEYWORDS,
+        ENEMY_CONDITION_KEYWORDS: ENEMY_CONDITION_KEYWORDS,
+        DOT_KEYWORDS: DOT_KEYWORDS,
+
+        // 유틸리티
+        stripHtml: stripHtml,
+
+        // 엠블럼/장신구
+        parseEmblemAwakening: parseEmblemAwakening,
+        parseEffectValues: parseEffectValues,
+        parseAwakeningCooldownReduction: parseAwakeningCooldownReduction,
+        getAccessorySkillName: getAccessorySkillName,
+        isDuplicateSkillRune: isDuplicateSkillRune,
+        getRuneDotTypes: getRuneDotTypes,
+
+        // 효과 파싱
+        detectEffectType: detectEffectType,
+        parseStackInfo: parseStackInfo,
+        parseDurationAndCooldown: parseDurationAndCooldown,
+        parseSingleEffect: parseSingleEffect,
+        parseRuneEffectsAdvanced: parseRuneEffectsAdvanced,
+        splitIntoSentences: splitIntoSentences,
+        splitIntoClauses: splitIntoClauses,
+        parseHealthConditionEffect: parseHealthConditionEffect,
+        parseDecayEffect: parseDecayEffect,
+        parseSingleEffectImproved: parseSingleEffectImproved,
+        findConditionEndIndex: findConditionEndIndex,
+        hasConditionKeyword: hasConditionKeyword,
+
+        // 스키마 변환
+        extractStatEntries: extractStatEntries,
+        normalizeTriggerText: normalizeTriggerText,
+        toRuneSchema: toRuneSchema
+    };
+
+    // 전역 객체에 등록 (Worker: self, 브라우저: window, Node: module.exports)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RuneEffectParser;
+    }
+    if (global) {
+        global.RuneEffectParser = RuneEffectParser;
+    }
+})(
+    typeof self !== 'undefined'
+        ? self
+        : typeof window !== 'undefined'
+        ? window
+        : this
+);
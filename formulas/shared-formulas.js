@@ -221,6 +221,7 @@
     "치명타 확률 감소": "CRIT_RATE_DECREASE",
     "스킬 사용 속도 감소": "SKILL_SPEED_DECREASE",
     "캐스팅 속도 감소": "CASTING_SPEED_DECREASE",
+    "캐스팅/차지 속도 감소": "CASTING_SPEED_DECREASE",
     "차지 속도 감소": "CASTING_SPEED_DECREASE",
     "받는 피해 증가": "DAMAGE_TAKEN_INCREASE",
     "이동 속도 감소": "MOVE_SPEED_DECREASE",
@@ -248,8 +249,9 @@
    * @param {number} initialValue - 초기 효과값 (%)
    * @param {number} decayRate - 감소율 (%/interval)
    * @param {number} decayInterval - 감소 간격 (초)
-   * @param {number} [combatDuration] - 전투 시간 (초)
+   * @param {number} [combatDuration] - 전투 시간 (초, 기본 getCombatDuration)
    * @returns {number} 평균 효과값 (%)
+   * @updated 2025-12-15 - 가중치 프로필의 전투 시간 반영
    */
   function calculateDecayAverage(
     initialValue,
@@ -257,7 +259,7 @@
     decayInterval,
     combatDuration
   ) {
-    var duration = combatDuration || FORMULA_CONSTANTS.COMBAT_DURATION;
+    var duration = combatDuration || getCombatDuration();
 
     // 효과가 0이 되는 시간
     var zeroTime = (initialValue / decayRate) * decayInterval;
@@ -278,8 +280,9 @@
    *
    * @param {number} duration - 각성 지속 시간 (초)
    * @param {number} [cooldownReduction=0] - 쿨타임 감소량 (초)
-   * @param {number} [combatDuration] - 전투 시간 (초)
+   * @param {number} [combatDuration] - 전투 시간 (초, 기본 getCombatDuration)
    * @returns {number} 업타임 (0~1)
+   * @updated 2025-12-15 - 가중치 프로필의 전투 시간 반영
    */
   function calculateAwakeningUptime(
     duration,
@@ -291,7 +294,7 @@
       0,
       baseCooldown - (cooldownReduction || 0)
     );
-    var combat = combatDuration || FORMULA_CONSTANTS.COMBAT_DURATION;
+    var combat = combatDuration || getCombatDuration();
 
     // 전투 중 각성 사용 횟수
     var activations = 1 + Math.floor(combat / effectiveCooldown);
@@ -357,16 +360,123 @@
   // ============================================================================
 
   /**
-   * 효과명으로 가중치 조회 (가장 긴 매칭 우선)
+   * 가중치 덮어쓰기 값 (그룹별 키: 값)
+   * - 민감도 분석 등에서 기본 상수 대신 사용, 지정하지 않은 키는 기본 상수
+   * - combatDuration: 전투 시간 (초, null이면 FORMULA_CONSTANTS.COMBAT_DURATION)
+   * @added 2025-12-15
+   * @updated 2025-12-15 - 사용자 가중치 프로필의 전투 시간 추가
+   */
+  var weightOverrides = { effect: {}, type: {}, demerit: {}, combatDuration: null };
+
+  /** 덮어쓰기 가능한 가중치 그룹 → 기본 상수 */
+  var WEIGHT_GROUP_TABLES = {
+    effect: EFFECT_WEIGHTS,
+    type: TYPE_WEIGHTS,
+    demerit: DEMERIT_WEIGHTS,
+  };
+
+  /**
+   * 가중치 덮어쓰기 설정 (이전 덮어쓰기는 모두 대체)
+   *
+   * @param {Object|null} overrides - { effect: { 키: 값 }, type: {...}, demerit: {...}, combatDuration }, null이면 해제
+   * @added 2025-12-15
+   * @updated 2025-12-15 - 전투 시간 (0보다 큰 값만)
+   */
+  function setWeightOverrides(overrides) {
+    var next = { effect: {}, type: {}, demerit: {}, combatDuration: null };
+    Object.keys(WEIGHT_GROUP_TABLES).forEach(function (group) {
+      var source = (overrides && overrides[group]) || {};
+      Object.keys(source).forEach(function (key) {
+        var value = Number(source[key]);
+        if (isFinite(value)) next[group][key] = value;
+      });
+    });
+    var duration = Number(overrides && overrides.combatDuration);
+    if (isFinite(duration) && duration > 0) next.combatDuration = duration;
+    weightOverrides = next;
+  }
+
+  /**
+   * 현재 가중치 덮어쓰기 (복사본)
+   *
+   * @returns {Object} { effect, type, demerit, combatDuration }
+   * @added 2025-12-15
+   */
+  function getWeightOverrides() {
+    return {
+      effect: Object.assign({}, weightOverrides.effect),
+      type: Object.assign({}, weightOverrides.type),
+      demerit: Object.assign({}, weightOverrides.demerit),
+      combatDuration: weightOverrides.combatDuration,
+    };
+  }
+
+  /**
+   * 특정 키의 덮어쓰기 값
+   * - 기본값이 다른 가중치 사본(constants/effect-weights.js)에서 같은 키를 덮어쓸 때 사용
+   *
+   * @param {string} group - 'effect' | 'type' | 'demerit'
+   * @param {string} key - 가중치 키
+   * @returns {number|undefined} 덮어쓰기 값 (없으면 undefined)
+   * @added 2025-12-15
+   */
+  function getWeightOverride(group, key) {
+    return weightOverrides[group] ? weightOverrides[group][key] : undefined;
+  }
+
+  /**
+   * 현재 가중치 / 기본 가중치 비율
+   * - 척도가 다른 가중치 표(룬 목록의 효과별 점수 가중치 등)에 프로필을 반영할 때 곱함
+   * - 기본값이 0인 키는 비율을 정할 수 없어 1
+   *
+   * @param {string} group - 'effect' | 'type' | 'demerit'
+   * @param {string} key - 가중치 키
+   * @returns {number} 배율
+   * @added 2025-12-15
+   */
+  function getWeightScale(group, key) {
+    var base = WEIGHT_GROUP_TABLES[group] ? WEIGHT_GROUP_TABLES[group][key] : undefined;
+    if (!base) return 1;
+    return lookupWeight(group, key) / base;
+  }
+
+  /**
+   * 전투 시간 (덮어쓰기 우선)
+   *
+   * @returns {number} 전투 시간 (초)
+   * @added 2025-12-15
+   */
+  function getCombatDuration() {
+    return weightOverrides.combatDuration || FORMULA_CONSTANTS.COMBAT_DURATION;
+  }
+
+  /**
+   * 그룹별 가중치 조회 (덮어쓰기 우선)
+   *
+   * @param {string} group - 'effect' | 'type' | 'demerit'
+   * @param {string} key - 가중치 키
+   * @returns {number|undefined} 가중치 (정의되지 않은 키면 undefined)
+   * @added 2025-12-15
+   */
+  function lookupWeight(group, key) {
+    if (weightOverrides[group][key] !== undefined) {
+      return weightOverrides[group][key];
+    }
+    return WEIGHT_GROUP_TABLES[group][key];
+  }
+
+  /**
+   * 효과명 → EFFECT_WEIGHTS 키 (가장 긴 매칭 우선)
    *
    * @param {string} effectName - 효과명
-   * @returns {number} 가중치 (0~1.5)
+   * @returns {string|null} 가중치 키 (매칭 없으면 null → 기본값 사용)
+   * @added 2025-12-15 - getEffectWeight에서 분리 (민감도 분석 키 수집)
    */
-  function getEffectWeight(effectName) {
+  function resolveEffectWeightKey(effectName) {
     // 직접 매핑 확인 (정확히 일치)
     var key = EFFECT_NAME_MAP[effectName];
     if (key && EFFECT_WEIGHTS[key] !== undefined) {
-      return EFFECT_WEIGHTS[key];
+      return key;
     }
 
     // 부분 매칭 시도 (가장 긴 매칭 우선)
@@ -380,26 +490,24 @@
       }
     }
 
-    if (bestMatch) {
-      var mappedKey = EFFECT_NAME_MAP[bestMatch];
-      if (EFFECT_WEIGHTS[mappedKey] !== undefined) {
-        return EFFECT_WEIGHTS[mappedKey];
-      }
+    if (bestMatch && EFFECT_WEIGHTS[EFFECT_NAME_MAP[bestMatch]] !== undefined) {
+      return EFFECT_NAME_MAP[bestMatch];
     }
 
-    return 0.5; // 기본값
+    return null;
   }
 
   /**
-   * 결함명으로 가중치 조회
+   * 결함명 → DEMERIT_WEIGHTS 키
    *
    * @param {string} demeritName - 결함명
-   * @returns {number} 가중치 (0~1)
+   * @returns {string|null} 가중치 키 (매칭 없으면 null → 기본값 사용)
+   * @added 2025-12-15 - getDemeritWeight에서 분리 (민감도 분석 키 수집)
    */
-  function getDemeritWeight(demeritName) {
+  function resolveDemeritWeightKey(demeritName) {
     var key = DEMERIT_NAME_MAP[demeritName];
     if (key && DEMERIT_WEIGHTS[key] !== undefined) {
-      return DEMERIT_WEIGHTS[key];
+      return key;
     }
 
     // 부분 매칭 시도
@@ -407,12 +515,36 @@
       if (demeritName.indexOf(name) !== -1) {
         var mappedKey = DEMERIT_NAME_MAP[name];
         if (DEMERIT_WEIGHTS[mappedKey] !== undefined) {
-          return DEMERIT_WEIGHTS[mappedKey];
+          return mappedKey;
         }
       }
     }
 
-    return 0.5; // 기본값
+    return null;
+  }
+
+  /**
+   * 효과명으로 가중치 조회 (가장 긴 매칭 우선)
+   *
+   * @param {string} effectName - 효과명
+   * @returns {number} 가중치 (0~1.5)
+   * @updated 2025-12-15 - 가중치 덮어쓰기 반영
+   */
+  function getEffectWeight(effectName) {
+    var key = resolveEffectWeightKey(effectName);
+    return key ? lookupWeight("effect", key) : 0.5; // 기본값
+  }
+
+  /**
+   * 결함명으로 가중치 조회
+   *
+   * @param {string} demeritName - 결함명
+   * @returns {number} 가중치 (0~1)
+   * @updated 2025-12-15 - 가중치 덮어쓰기 반영
+   */
+  function getDemeritWeight(demeritName) {
+    var key = resolveDemeritWeightKey(demeritName);
+    return key ? lookupWeight("demerit", key) : 0.5; // 기본값
   }
 
   /**
@@ -420,9 +552,11 @@
    *
    * @param {string} typeName - 유형명
    * @returns {number} 가중치 (0~1)
+   * @updated 2025-12-15 - 가중치 덮어쓰기 반영
    */
   function getTypeWeight(typeName) {
-    return TYPE_WEIGHTS[typeName] !== undefined ? TYPE_WEIGHTS[typeName] : 0.8;
+    var weight = lookupWeight("type", typeName);
+    return weight !== undefined ? weight : 0.8;
   }
 
   /**
@@ -475,6 +609,66 @@
     return [];
   }
 
+  /**
+   * 효과 발동 조건(trigger)별 가동률 가중치
+   * @param {Object} effect - 룬 효과 (effects 배열 항목)
+   * @returns {number} 가중치 (0~1, dpsRelevant가 아니면 0)
+   * @added 2025-12-15 - calculateUnifiedScore에서 분리 (룬 비교 화면의 실효값과 공유)
+   */
+  function getEffectUptimeWeight(effect) {
+    var weight = 0; // dpsRelevant: false → 제외
+
+    if (effect.dpsRelevant === true) {
+      var trigger = effect.trigger || "";
+
+      if (!trigger) {
+        // 상시 효과
+        weight = 1.0;
+      } else if (
+        trigger.indexOf("스킬 사용") !== -1 ||
+        trigger.indexOf("공격 적중") !== -1 ||
+        trigger.indexOf("전투 중") !== -1 ||
+        trigger.indexOf("연타") !== -1 ||
+        trigger.indexOf("강타") !== -1 ||
+        trigger.indexOf("스킬 7회") !== -1 ||
+        trigger.indexOf("스킬 5회") !== -1
+      ) {
+        // 상시/거의 상시
+        weight = 0.9;
+      } else if (trigger.indexOf("기본 공격") !== -1) {
+        // 중간 가동률
+        weight = 0.65;
+      } else if (
+        trigger.indexOf("체력") !== -1 ||
+        trigger.indexOf("자원") !== -1 ||
+        trigger.indexOf("HP") !== -1 ||
+        trigger.indexOf("이하") !== -1 ||
+        trigger.indexOf("이상") !== -1 ||
+        trigger.indexOf("미만") !== -1
+      ) {
+        // 조건부
+        weight = 0.45;
+      } else if (
+        trigger.indexOf("궁극기") !== -1 ||
+        trigger.indexOf("각성") !== -1 ||
+        trigger.indexOf("무방비") !== -1 ||
+        trigger.indexOf("처치") !== -1
+      ) {
+        // 특수 조건
+        weight = 0.25;
+      } else if (trigger.indexOf("지속 피해") !== -1) {
+        // @added 2025-12-12 - DoT 시너지 없으면 발동 불가
+        // 시너지 계산에서만 추가됨
+        weight = 0;
+      } else {
+        // 기타 trigger
+        weight = 0.5;
+      }
+    }
+
+    return weight;
+  }
+
   /**
    * 통합 룬 효율 점수 계산
    * @param {Object} rune - 룬 데이터
@@ -496,57 +690,7 @@
     // ========================================
     if (rune.effects && Array.isArray(rune.effects)) {
       rune.effects.forEach(function (effect) {
-        var weight = 0; // dpsRelevant: false → 제외
-
-        if (effect.dpsRelevant === true) {
-          var trigger = effect.trigger || "";
-
-          if (!trigger) {
-            // 상시 효과
-            weight = 1.0;
-          } else if (
-            trigger.indexOf("스킬 사용") !== -1 ||
-            trigger.indexOf("공격 적중") !== -1 ||
-            trigger.indexOf("전투 중") !== -1 ||
-            trigger.indexOf("연타") !== -1 ||
-            trigger.indexOf("강타") !== -1 ||
-            trigger.indexOf("스킬 7회") !== -1 ||
-            trigger.indexOf("스킬 5회") !== -1
-          ) {
-            // 상시/거의 상시
-            weight = 0.9;
-          } else if (trigger.indexOf("기본 공격") !== -1) {
-            // 중간 가동률
-            weight = 0.65;
-          } else if (
-            trigger.indexOf("체력") !== -1 ||
-            trigger.indexOf("자원") !== -1 ||
-            trigger.indexOf("HP") !== -1 ||
-            trigger.indexOf("이하") !== -1 ||
-            trigger.indexOf("이상") !== -1 ||
-            trigger.indexOf("미만") !== -1
-          ) {
-            // 조건부
-            weight = 0.45;
-          } else if (
-            trigger.indexOf("궁극기") !== -1 ||
-            trigger.indexOf("각성") !== -1 ||
-            trigger.indexOf("무방비") !== -1 ||
-            trigger.indexOf("처치") !== -1
-          ) {
-            // 특수 조건
-            weight = 0.25;
-          } else if (trigger.indexOf("지속 피해") !== -1) {
-            // @added 2025-12-12 - DoT 시너지 없으면 발동 불가
-            // 시너지 계산에서만 추가됨
-            weight = 0;
-          } else {
-            // 기타 trigger
-            weight = 0.5;
-          }
-        }
-
-        score += (effect.value || 0) * weight;
+        score += (effect.value || 0) * getEffectUptimeWeight(effect);
       });
     }
 
@@ -680,7 +824,574 @@
   }
 
   // ============================================================================
-  // 섹션 7: 모듈 내보내기
+  // 섹션 7: 조합 제약 조건
+  // @added 2025-12-15 - 메인 스레드(후보 선별)와 Worker(조합 검사)에서 공통 사용
+  // ============================================================================
+
+  /**
+   * 결함 가중치 합 비교 허용 오차 (부동소수 누적 오차 보정)
+   * @constant {number}
+   */
+  var DEMERIT_WEIGHT_EPSILON = 1e-9;
+
+  /**
+   * 룬 결함 가중치 합 (결함 수치 × 결함 가중치)
+   *
+   * @param {Object} rune - 룬 데이터
+   * @returns {number} 결함 가중치 합
+   */
+  function getRuneDemeritWeight(rune) {
+    if (!rune.demerits || !Array.isArray(rune.demerits)) return 0;
+    return rune.demerits.reduce(function (sum, demerit) {
+      return sum + (demerit.value || 0) * getDemeritWeight(demerit.name || "");
+    }, 0);
+  }
+
+  /**
+   * 룬이 해당 DoT 유형을 부여하는지 여부 (synergy.appliesDot 기준)
+   *
+   * @param {Object} rune - 룬 데이터
+   * @param {string} dotType - DoT 유형 (화상, 출혈 등)
+   * @returns {boolean} 부여 여부
+   */
+  function runeAppliesDot(rune, dotType) {
+    return !!(
+      rune.synergy &&
+      rune.synergy.appliesDot &&
+      rune.synergy.appliesDot.indexOf(dotType) !== -1
+    );
+  }
+
+  /**
+   * 룬 단독으로 제약 조건을 만족하는지 확인
+   * - 제외 룬, 보유 룬, 금지 결함, 결함 가중치 상한(룬 하나로 초과)
+   * - 필수 룬/DoT 최소 수처럼 조합 단위 조건은 Worker에서 검사
+   *
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} constraints - 제약 조건 (combination-worker.js compileConstraints 참고)
+   * @returns {boolean} 조합에 사용할 수 있으면 true
+   */
+  function isRuneAllowed(rune, constraints) {
+    if (!constraints) return true;
+    var id = String(rune.id);
+
+    var excludeIds = (constraints.excludeIds || []).map(String);
+    if (excludeIds.indexOf(id) !== -1) return false;
+
+    if (
+      Array.isArray(constraints.ownedIds) &&
+      constraints.ownedIds.map(String).indexOf(id) === -1
+    ) {
+      return false;
+    }
+
+    var forbidden = constraints.forbiddenDemerits || [];
+    var hasForbidden = (rune.demerits || []).some(function (demerit) {
+      return forbidden.indexOf(demerit.name) !== -1;
+    });
+    if (hasForbidden) return false;
+
+    if (
+      typeof constraints.maxDemeritWeight === "number" &&
+      getRuneDemeritWeight(rune) >
+        constraints.maxDemeritWeight + DEMERIT_WEIGHT_EPSILON
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 사전 선별(Top-N) 후보에 제약 조건 관련 룬 보강
+   * - 필수 룬과 최소 수가 지정된 DoT 부여 룬은 모두 추가
+   * - 허용 룬(isRuneAllowed) 상위 topN개 추가 (보유 룬만/제외 시 해 공간 확보)
+   *
+   * @param {Array} pool - 사전 선별된 룬 목록
+   * @param {Array} candidates - 선별 전 룬 목록 (선호 순 정렬)
+   * @param {Object} constraints - 제약 조건
+   * @param {number} topN - 허용 룬 추가 개수
+   * @returns {Array} 보강된 룬 목록 (pool 순서 유지, 추가분은 뒤에)
+   */
+  function extendPoolForConstraints(pool, candidates, constraints, topN) {
+    if (!constraints) return pool;
+
+    var result = pool.slice();
+    var seen = {};
+    pool.forEach(function (rune) {
+      seen[String(rune.id)] = true;
+    });
+    var add = function (rune) {
+      if (seen[String(rune.id)]) return;
+      seen[String(rune.id)] = true;
+      result.push(rune);
+    };
+
+    var includeIds = (constraints.includeIds || []).map(String);
+    var minDotRunes = constraints.minDotRunes || {};
+    var dotTypes = Object.keys(minDotRunes).filter(function (dotType) {
+      return minDotRunes[dotType] > 0;
+    });
+    var allowedCount = 0;
+
+    candidates.forEach(function (rune) {
+      if (includeIds.indexOf(String(rune.id)) !== -1) {
+        add(rune);
+        return;
+      }
+      if (!isRuneAllowed(rune, constraints)) return;
+
+      var appliesRequiredDot = dotTypes.some(function (dotType) {
+        return runeAppliesDot(rune, dotType);
+      });
+      if (appliesRequiredDot) {
+        add(rune);
+      } else if (allowedCount < topN) {
+        allowedCount++;
+        add(rune);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 제약 조건 보고 병합 및 binding 판정
+   * - Worker별 보고(또는 이미 병합된 보고)를 합쳐 규칙별 binding 여부 계산
+   * - 규칙 하나만 위반한 조합(witness)이 최고 점수보다 높으면 binding
+   * - 만족하는 조합이 없으면 충돌 규칙(없으면 최고 위반 조합의 위반 규칙)이 binding
+   *
+   * @param {Array<Object>} reports - constraintReport 목록 (undefined 항목 무시)
+   * @param {number|null} bestScore - 제약을 만족하는 최고 점수 (없으면 null)
+   * @returns {Object|undefined} { feasible, constraints, binding, witnessScores, conflicts, relaxedViolations, relaxedScore, rejected }
+   */
+  function summarizeConstraintReports(reports, bestScore) {
+    reports = (reports || []).filter(Boolean);
+    if (reports.length === 0) return undefined;
+
+    var labels = {};
+    var rules = [];
+    var witnessScores = {};
+    var conflicts = [];
+    var relaxed = null;
+    var rejected = 0;
+
+    reports.forEach(function (report) {
+      report.constraints.forEach(function (rule) {
+        if (labels[rule.key] === undefined) {
+          rules.push({ key: rule.key, type: rule.type });
+          labels[rule.key] = rule.label;
+        } else if (labels[rule.key].indexOf("#") !== -1) {
+          // 다른 Worker 후보에 없던 룬은 ID로 표시되므로 이름 있는 라벨 우선
+          labels[rule.key] = rule.label;
+        }
+      });
+      Object.keys(report.witnessScores || {}).forEach(function (key) {
+        var score = report.witnessScores[key];
+        if (witnessScores[key] === undefined || score > witnessScores[key]) {
+          witnessScores[key] = score;
+        }
+      });
+      (report.conflicts || []).forEach(function (key) {
+        if (conflicts.indexOf(key) === -1) conflicts.push(key);
+      });
+      var relaxedScore =
+        report.relaxedScore !== undefined ? report.relaxedScore : null;
+      if (
+        report.relaxedViolations &&
+        report.relaxedViolations.length > 0 &&
+        (!relaxed || relaxedScore > relaxed.score)
+      ) {
+        relaxed = { score: relaxedScore, violations: report.relaxedViolations };
+      }
+      rejected += report.rejected || 0;
+    });
+
+    var feasible = bestScore !== null && bestScore !== undefined;
+    var binding;
+    if (feasible) {
+      binding = rules
+        .filter(function (rule) {
+          return witnessScores[rule.key] > bestScore;
+        })
+        .map(function (rule) {
+          return rule.key;
+        });
+    } else if (conflicts.length > 0) {
+      binding = conflicts.slice();
+    } else {
+      binding = relaxed ? relaxed.violations.slice() : [];
+    }
+
+    return {
+      feasible: feasible,
+      constraints: rules.map(function (rule) {
+        var isBinding = binding.indexOf(rule.key) !== -1;
+        return {
+          key: rule.key,
+          type: rule.type,
+          label: labels[rule.key],
+          binding: isBinding,
+          // 제약을 풀었을 때 확인된 점수 상승폭
+          gain:
+            feasible && isBinding
+              ? Math.round((witnessScores[rule.key] - bestScore) * 10) / 10
+              : null,
+        };
+      }),
+      binding: binding,
+      witnessScores: witnessScores,
+      conflicts: conflicts,
+      relaxedViolations: relaxed ? relaxed.violations : [],
+      relaxedScore: relaxed ? relaxed.score : null,
+      rejected: rejected,
+    };
+  }
+
+  // ============================================================================
+  // 섹션 8: 다양한 상위 조합 (Top-K)
+  // @added 2025-12-15
+  // ============================================================================
+
+  /** 상위 조합 목록 기본 개수 */
+  var DEFAULT_RANKING_SIZE = 10;
+
+  /** 상위 조합 간 최소 룬 차이 기본값 (1룬 교체 변형 제외) */
+  var DEFAULT_MIN_RUNE_DIFFERENCE = 2;
+
+  /**
+   * 두 조합의 룬 차이 개수
+   * - 카테고리별로 비교 (슬롯 순서 무관)
+   * - 0이면 동일 조합, 최대 10 (무기 1 + 방어구 5 + 엠블럼 1 + 장신구 3)
+   *
+   * @param {Object} a - 조합 { weapon, armors, emblem, accessories }
+   * @param {Object} b - 조합
+   * @returns {number} a에는 있고 b에는 없는 룬 수
+   */
+  function countCombinationDifference(a, b) {
+    var diffList = function (left, right) {
+      var remaining = right.map(function (rune) {
+        return String(rune.id);
+      });
+      var diff = 0;
+      left.forEach(function (rune) {
+        var idx = remaining.indexOf(String(rune.id));
+        if (idx === -1) diff++;
+        else remaining.splice(idx, 1);
+      });
+      return diff;
+    };
+
+    return (
+      diffList([a.weapon], [b.weapon]) +
+      diffList(a.armors, b.armors) +
+      diffList([a.emblem], [b.emblem]) +
+      diffList(a.accessories, b.accessories)
+    );
+  }
+
+  /**
+   * Worker별 상위 조합 목록 병합
+   * - 점수 내림차순으로 보면서 이미 고른 조합과 minDifference개 이상 다를 때만 채택
+   * - gap: 1위 점수와의 차이 (소수점 1자리)
+   *
+   * @param {Array<Array<Object>>} lists - topCombinations 목록 (undefined 항목 무시)
+   * @param {number} [limit=10] - 최대 개수
+   * @param {number} [minDifference=2] - 조합 간 최소 룬 차이
+   * @returns {Array<Object>} [{ rank, score, gap, combination }]
+   */
+  function mergeCombinationRankings(lists, limit, minDifference) {
+    limit = limit || DEFAULT_RANKING_SIZE;
+    minDifference =
+      minDifference === undefined ? DEFAULT_MIN_RUNE_DIFFERENCE : minDifference;
+
+    var entries = [];
+    (lists || []).forEach(function (list) {
+      (list || []).forEach(function (entry) {
+        if (entry && entry.combination) entries.push(entry);
+      });
+    });
+    entries.sort(function (a, b) {
+      return b.score - a.score;
+    });
+
+    var selected = [];
+    for (var i = 0; i < entries.length && selected.length < limit; i++) {
+      var candidate = entries[i];
+      var distinct = selected.every(function (entry) {
+        return (
+          countCombinationDifference(candidate.combination, entry.combination) >=
+          Math.max(1, minDifference)
+        );
+      });
+      if (distinct) selected.push(candidate);
+    }
+
+    var bestScore = selected.length > 0 ? selected[0].score : 0;
+    return selected.map(function (entry, idx) {
+      return {
+        rank: idx + 1,
+        score: entry.score,
+        gap: Math.round((bestScore - entry.score) * 10) / 10,
+        combination: entry.combination,
+      };
+    });
+  }
+
+  // ============================================================================
+  // 섹션 9: 가중치 민감도 분석
+  // @added 2025-12-15 - 가중치를 ±10~30% 바꿔 정확 탐색을 다시 돌렸을 때 추천 변화 집계
+  // ============================================================================
+
+  /** 민감도 분석 변화율 (기준 가중치 대비) */
+  var WEIGHT_SENSITIVITY_LEVELS = [-0.3, -0.2, -0.1, 0.1, 0.2, 0.3];
+
+  /** 조합 슬롯 → 룬 목록 (민감도 집계용) */
+  var COMBINATION_SLOTS = [
+    { key: "weapon", label: "무기" },
+    { key: "armors", label: "방어구" },
+    { key: "emblem", label: "엠블럼" },
+    { key: "accessories", label: "장신구" },
+  ];
+
+  /**
+   * 조합의 슬롯 룬 목록 (무기/엠블럼은 1개 배열)
+   * @param {Object} combination - 조합
+   * @param {string} key - COMBINATION_SLOTS 키
+   * @returns {Array<Object>} 룬 목록
+   */
+  function getSlotRunes(combination, key) {
+    var value = combination[key];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * 가중치 키 표시 이름 (이름 매핑 중 가장 긴 한글 효과명, 유형은 키 그대로)
+   *
+   * @param {string} group - 'effect' | 'type' | 'demerit'
+   * @param {string} key - 가중치 키
+   * @returns {string} 표시 이름
+   */
+  function getWeightLabel(group, key) {
+    var nameMap =
+      group === "effect"
+        ? EFFECT_NAME_MAP
+        : group === "demerit"
+        ? DEMERIT_NAME_MAP
+        : null;
+    var label = key;
+    if (nameMap) {
+      var best = "";
+      for (var name in nameMap) {
+        if (nameMap[name] === key && name.length > best.length) best = name;
+      }
+      if (best) label = best;
+    }
+    return label;
+  }
+
+  /**
+   * 룬 목록의 점수 계산에 쓰이는 가중치 키 수집
+   * - 효과명(기본/강화 효과) → effect, 효과 유형 → type, 결함명 → demerit
+   * - 현재 가중치가 0인 키는 비율을 바꿔도 0이라 제외 (DURATION/DECAY 등)
+   *
+   * @param {Array<Object>} runes - 룬 목록
+   * @returns {Array<Object>} [{ group, key, label, base, runeCount }] (그룹 → 사용 룬 수 내림차순)
+   */
+  function collectWeightKeys(runes) {
+    var usage = {};
+    var add = function (group, key, runeId) {
+      if (!key) return;
+      var id = group + ":" + key;
+      if (!usage[id]) usage[id] = { group: group, key: key, runes: {} };
+      usage[id].runes[runeId] = true;
+    };
+
+    (runes || []).forEach(function (rune) {
+      var runeId = String(rune.id);
+      (rune.effects || []).forEach(function (effect) {
+        add("effect", resolveEffectWeightKey(effect.name || ""), runeId);
+        if (effect.type) add("type", effect.type, runeId);
+      });
+      ["10", "15"].forEach(function (level) {
+        var list = rune.enhanceEffects && rune.enhanceEffects[level];
+        (Array.isArray(list) ? list : []).forEach(function (effect) {
+          add("effect", resolveEffectWeightKey(effect.name || ""), runeId);
+        });
+      });
+      (rune.demerits || []).forEach(function (demerit) {
+        add("demerit", resolveDemeritWeightKey(demerit.name || ""), runeId);
+      });
+    });
+
+    var groupOrder = ["effect", "type", "demerit"];
+    return Object.keys(usage)
+      .map(function (id) {
+        var entry = usage[id];
+        return {
+          group: entry.group,
+          key: entry.key,
+          label: getWeightLabel(entry.group, entry.key),
+          base: lookupWeight(entry.group, entry.key),
+          runeCount: Object.keys(entry.runes).length,
+        };
+      })
+      .filter(function (entry) {
+        return typeof entry.base === "number" && entry.base !== 0;
+      })
+      .sort(function (a, b) {
+        return (
+          groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group) ||
+          b.runeCount - a.runeCount
+        );
+      });
+  }
+
+  /**
+   * 가중치 1개를 변화율만큼 바꾼 덮어쓰기 값 (현재 덮어쓰기 유지)
+   *
+   * @param {Object} weight - collectWeightKeys 항목 { group, key, base }
+   * @param {number} level - 변화율 (-0.3 = 30% 감소)
+   * @returns {Object} setWeightOverrides 인자
+   */
+  function buildWeightPerturbation(weight, level) {
+    var overrides = getWeightOverrides();
+    overrides[weight.group][weight.key] = weight.base * (1 + level);
+    return overrides;
+  }
+
+  /**
+   * 기준 조합 대비 바뀐 룬 (카테고리별 비교, 슬롯 순서 무관)
+   *
+   * @param {Object} baseline - 기준 조합
+   * @param {Object} combination - 비교 조합
+   * @returns {Object} { removed: [룬 이름], added: [룬 이름] }
+   */
+  function listCombinationChanges(baseline, combination) {
+    var removed = [];
+    var added = [];
+    COMBINATION_SLOTS.forEach(function (slot) {
+      var before = getSlotRunes(baseline, slot.key);
+      var after = getSlotRunes(combination, slot.key);
+      var hasRune = function (list, rune) {
+        return list.some(function (other) {
+          return String(other.id) === String(rune.id);
+        });
+      };
+      before.forEach(function (rune) {
+        if (!hasRune(after, rune)) removed.push(rune.name);
+      });
+      after.forEach(function (rune) {
+        if (!hasRune(before, rune)) added.push(rune.name);
+      });
+    });
+    return { removed: removed, added: added };
+  }
+
+  /**
+   * 민감도 분석 결과 집계
+   * - 가중치별: 변화율마다 바뀐 룬 수/교체 내역, 1위 조합이 바뀐 변화율, 바뀐 최소 변화율 폭(|변화율|)
+   * - 기준 1위 조합의 룬별: 변화 시행 중 그대로 남은 비율 (유지율)
+   *
+   * @param {Object} baseline - 기준 가중치의 1위 조합 { weapon, armors, emblem, accessories }
+   * @param {Array<Object>} trials - [{ group, key, level, combination }] (조합을 찾지 못하면 combination null)
+   * @param {Array<Object>} weightKeys - collectWeightKeys 결과
+   * @returns {Object} { trialCount, flipCount, weights, runes }
+   */
+  function summarizeWeightSensitivity(baseline, trials, weightKeys) {
+    var results = (trials || []).map(function (trial) {
+      var diff = trial.combination
+        ? countCombinationDifference(baseline, trial.combination)
+        : null;
+      return {
+        group: trial.group,
+        key: trial.key,
+        level: trial.level,
+        diff: diff,
+        changed: diff !== 0,
+        combination: trial.combination,
+      };
+    });
+
+    var weights = (weightKeys || [])
+      .map(function (weight) {
+        var own = results
+          .filter(function (r) {
+            return r.group === weight.group && r.key === weight.key;
+          })
+          .sort(function (a, b) {
+            return a.level - b.level;
+          });
+        var flips = own
+          .filter(function (r) {
+            return r.changed;
+          })
+          .map(function (r) {
+            return r.level;
+          });
+        var minFlip = flips.length
+          ? Math.min.apply(null, flips.map(Math.abs))
+          : null;
+        return {
+          group: weight.group,
+          key: weight.key,
+          label: weight.label,
+          base: weight.base,
+          runeCount: weight.runeCount,
+          levels: own.map(function (r) {
+            var entry = { level: r.level, changed: r.changed, diff: r.diff };
+            if (r.changed && r.combination) {
+              entry.changes = listCombinationChanges(baseline, r.combination);
+            }
+            return entry;
+          }),
+          flips: flips,
+          minFlipLevel: minFlip,
+        };
+      })
+      .sort(function (a, b) {
+        // 작은 변화에도 바뀌는 가중치 우선, 그다음 바뀐 횟수
+        var aMin = a.minFlipLevel === null ? Infinity : a.minFlipLevel;
+        var bMin = b.minFlipLevel === null ? Infinity : b.minFlipLevel;
+        return aMin - bMin || b.flips.length - a.flips.length;
+      });
+
+    var runes = [];
+    COMBINATION_SLOTS.forEach(function (slot) {
+      getSlotRunes(baseline, slot.key).forEach(function (rune) {
+        var kept = results.filter(function (r) {
+          return (
+            r.combination &&
+            getSlotRunes(r.combination, slot.key).some(function (other) {
+              return String(other.id) === String(rune.id);
+            })
+          );
+        }).length;
+        runes.push({
+          id: rune.id,
+          name: rune.name,
+          slot: slot.label,
+          kept: kept,
+          retention: results.length > 0 ? kept / results.length : 1,
+        });
+      });
+    });
+    runes.sort(function (a, b) {
+      return a.retention - b.retention;
+    });
+
+    return {
+      trialCount: results.length,
+      flipCount: results.filter(function (r) {
+        return r.changed;
+      }).length,
+      weights: weights,
+      runes: runes,
+    };
+  }
+
+  // ============================================================================
+  // 섹션 10: 모듈 내보내기
   // ============================================================================
 
   /**
@@ -696,6 +1407,7 @@
     calculateUptime: calculateUptime,
     calculateDecayAverage: calculateDecayAverage,
     calculateAwakeningUptime: calculateAwakeningUptime,
+    getCombatDuration: getCombatDuration,
 
     // 한계효용/밸런스 함수
     calculateCritMarginalUtility: calculateCritMarginalUtility,
@@ -703,7 +1415,29 @@
 
     // 통합 점수 계산 (2025-12-12 추가)
     calculateUnifiedScore: calculateUnifiedScore,
+    getEffectUptimeWeight: getEffectUptimeWeight,
     getClassPriorityEffects: getClassPriorityEffects,
+
+    // 조합 제약 조건 (2025-12-15 추가)
+    DEMERIT_WEIGHT_EPSILON: DEMERIT_WEIGHT_EPSILON,
+    getRuneDemeritWeight: getRuneDemeritWeight,
+    runeAppliesDot: runeAppliesDot,
+    isRuneAllowed: isRuneAllowed,
+    extendPoolForConstraints: extendPoolForConstraints,
+    summarizeConstraintReports: summarizeConstraintReports,
+
+    // 다양한 상위 조합 (2025-12-15 추가)
+    DEFAULT_RANKING_SIZE: DEFAULT_RANKING_SIZE,
+    DEFAULT_MIN_RUNE_DIFFERENCE: DEFAULT_MIN_RUNE_DIFFERENCE,
+    countCombinationDifference: countCombinationDifference,
+    mergeCombinationRankings: mergeCombinationRankings,
+
+    // 가중치 민감도 분석 (2025-12-15 추가)
+    WEIGHT_SENSITIVITY_LEVELS: WEIGHT_SENSITIVITY_LEVELS,
+    getWeightLabel: getWeightLabel,
+    collectWeightKeys: collectWeightKeys,
+    buildWeightPerturbation: buildWeightPerturbation,
+    summarizeWeightSensitivity: summarizeWeightSensitivity,
   };
 
   /**
@@ -723,6 +1457,14 @@
     getDemeritWeight: getDemeritWeight,
     getTypeWeight: getTypeWeight,
     getSynergyWeight: getSynergyWeight,
+
+    // 가중치 덮어쓰기 (2025-12-15 추가)
+    resolveEffectWeightKey: resolveEffectWeightKey,
+    resolveDemeritWeightKey: resolveDemeritWeightKey,
+    setWeightOverrides: setWeightOverrides,
+    getWeightOverrides: getWeightOverrides,
+    getWeightOverride: getWeightOverride,
+    getWeightScale: getWeightScale,
   };
 
   // 전역 객체에 등록 (Worker: self, 브라우저: window)
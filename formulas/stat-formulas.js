@@ -374,6 +374,19 @@ function calculateUptime(duration, cooldown) {
   return duration / (duration + cooldown);
 }
 
+/**
+ * 전투 시간 (사용자 가중치 프로필 우선, SharedFormulas 미로드 시 기본값)
+ * 
+ * @returns {number} 전투 시간 (초)
+ * @added 2025-12-15
+ */
+function getCombatDuration() {
+  const root = typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : {});
+  return root.SharedFormulas && root.SharedFormulas.getCombatDuration
+    ? root.SharedFormulas.getCombatDuration()
+    : FORMULA_CONSTANTS.COMBAT_DURATION;
+}
+
 /**
  * 시간 감소 효과의 평균값 계산
  * 예: 30% 증가 후 3초마다 2% 감소
@@ -381,12 +394,12 @@ function calculateUptime(duration, cooldown) {
  * @param {number} initialValue - 초기 효과값 (%)
  * @param {number} decayRate - 감소율 (%/interval)
  * @param {number} decayInterval - 감소 간격 (초)
- * @param {number} [combatDuration] - 전투 시간 (초)
+ * @param {number} [combatDuration] - 전투 시간 (초, 기본 getCombatDuration)
  * @returns {number} 평균 효과값 (%)
+ * @updated 2025-12-15 - 가중치 프로필의 전투 시간 반영
  */
 function calculateDecayAverage(initialValue, decayRate, decayInterval, combatDuration) {
-  const { COMBAT_DURATION } = FORMULA_CONSTANTS;
-  const duration = combatDuration || COMBAT_DURATION;
+  const duration = combatDuration || getCombatDuration();
   
   // 효과가 0이 되는 시간
   const zeroTime = (initialValue / decayRate) * decayInterval;
@@ -493,6 +506,9 @@ if (typeof module !== 'undefined' && module.exports) {
 // 브라우저 환경 - 전역 객체에 등록
 if (typeof window !== 'undefined') {
   window.StatFormulas = StatFormulas;
+} else if (typeof self !== 'undefined') {
+  // Worker 환경 - importScripts로 로드 (role-models.js에서 사용) @added 2025-12-15
+  self.StatFormulas = StatFormulas;
 }
 
 console.log('✅ StatFormulas 공식 모듈 로드 완료');
@@ -0,0 +1,1045 @@
+/**
+ * ============================================================================
+ * 마비노기 모바일 룬 효율 계산기 - 시너지 규칙 엔진
+ * ============================================================================
+ * @file synergy-engine.js
+ * @description synergy-rules.json의 선언형 시너지 규칙을 룬 조합에 적용하는 공용 엔진
+ * @author AI Assistant
+ * @created 2025-12-15
+ *
+ * @architecture
+ * - 환경 독립적 설계: window/self 자동 감지 (shared-formulas.js와 동일)
+ * - 메인: <script>로 로드, 룬 데이터 로드 시 setRules(JSON)
+ * - Worker: importScripts()로 로드 후 loadRulesSync(URL)
+ * - 시뮬레이터(summarize), EfficiencyCalculator.calculateCombinationEfficiency,
+ *   combination-worker.js(calculateSynergyScore, 룬 점수, 정확 탐색 상한)가 같은 규칙을 사용
+ * - 효과 가치는 호출 측 점수 함수(scoreEffect/scoreDemerit)로 계산 (기본: SharedEffectWeights 가중치)
+ *
+ * @rules synergy-rules.json - { version, rules: [{ id, name, description, scope, when, then }] }
+ * - scope: "combination"(기본, 조합 전체) | "rune"(룬 1개 내부, multiplier "*"만 허용)
+ * - when: 모두 충족 시 발동 (비어 있으면 항상 발동)
+ *   - runes: 룬 이름 목록 - 이름이 정확히 일치하는 룬이 있으면 충족 (발동 룬 = source)
+ *   - flags: rune.synergy 플래그 (예: removesDemerits)
+ *   - dotTypes: 조합이 부여하는 DoT 유형 (synergy.appliesDot)
+ *   - effectKeys: 효과 키 (EFFECT_NAME_MAP 값, 예: CRIT_RATE)
+ *   - awakeningEmblem: 각성 효과가 있는 엠블럼 장착
+ * - then: 효과 목록
+ *   - multiplier: effects에 나열된 효과의 가치 × value ("*"는 모든 효과)
+ *   - additive: 효과 가치 가산
+ *     - effect + value (+ uptime): 고정 효과 (예: 피해량 증가 8 × 가동률 0.7)
+ *     - source + rate: 룬 데이터에서 유도한 효과
+ *       conditionalEffects(targets: 룬 이름 목록 | "requiresDot", keywords, fallbackRate),
+ *       demerits(결함 상쇄), awakeningEffects(엠블럼 각성 효과 × 업타임), stackEffects(1중첩 추가)
+ *   - awakeningCooldown: 각성 쿨타임 value초 감소 (effect가 있으면 쿨감 비율만큼 해당 효과 가산)
+ * - 규칙은 파일 순서대로 평가 (awakeningEffects는 앞선 규칙까지 누적된 각성 쿨감 사용)
+ *
+ * @structure
+ * 1. 상수
+ * 2. 규칙 로드/검증
+ * 3. 룬 조건 판정
+ * 4. 효과 가치 계산
+ * 5. 조합 평가
+ * 6. 룬별 상한 정보 (정확 탐색용)
+ * ============================================================================
+ */
+
+(function (global) {
+  "use strict";
+
+  // ============================================================================
+  // 섹션 1: 상수
+  // ============================================================================
+
+  /**
+   * 각성 상수 (combination-worker.js AWAKENING_CONSTANTS와 동일)
+   * @constant {Object}
+   */
+  var AWAKENING = Object.freeze({
+    BASE_COOLDOWN: 90,
+    DEFAULT_DURATION: 20,
+    MIN_COOLDOWN: 30,
+  });
+
+  /** 엠블럼 카테고리 코드 */
+  var EMBLEM_CATEGORY = "04";
+
+  /** 규칙 적용 범위 */
+  var RULE_SCOPES = ["combination", "rune"];
+
+  /** 조건 키 (정확 탐색 상한에서 우선 조건 판단 순서) */
+  var CONDITION_KEYS = ["runes", "flags", "dotTypes", "effectKeys", "awakeningEmblem"];
+
+  /** 효과 유형 */
+  var OPERATION_TYPES = ["multiplier", "additive", "awakeningCooldown"];
+
+  /** additive 효과의 유도 출처 */
+  var ADDITIVE_SOURCES = [
+    "conditionalEffects",
+    "demerits",
+    "awakeningEffects",
+    "stackEffects",
+  ];
+
+  /**
+   * 현재 적용 중인 규칙 (setRules로 교체)
+   * @type {Array<Object>}
+   */
+  var activeRules = [];
+
+  /**
+   * 룬별 scope "rune" 배율 캐시 (규칙 교체 시 초기화)
+   * @type {WeakMap}
+   */
+  var runeMultiplierCache = new WeakMap();
+
+  // ============================================================================
+  // 섹션 2: 규칙 로드/검증
+  // ============================================================================
+
+  /**
+   * 문자열 배열 여부
+   * @param {*} value - 검사 값
+   * @returns {boolean}
+   */
+  function isStringList(value) {
+    return (
+      Array.isArray(value) &&
+      value.length > 0 &&
+      value.every(function (item) {
+        return typeof item === "string" && item !== "";
+      })
+    );
+  }
+
+  /**
+   * 효과 1개 검증
+   * @param {Object} op - then 항목
+   * @param {string} scope - 규칙 범위
+   * @returns {string|null} 오류 메시지
+   */
+  function validateOperation(op, scope) {
+    if (!op || OPERATION_TYPES.indexOf(op.type) === -1) {
+      return "알 수 없는 효과 유형: " + (op && op.type);
+    }
+    if (scope === "rune" && (op.type !== "multiplier" || !isStringList(op.effects) || op.effects.indexOf("*") === -1)) {
+      return 'scope "rune"은 effects ["*"] multiplier만 지원합니다.';
+    }
+
+    switch (op.type) {
+      case "multiplier":
+        if (!isStringList(op.effects)) return "multiplier.effects가 필요합니다.";
+        if (typeof op.value !== "number" || op.value < 0) return "multiplier.value는 0 이상의 숫자여야 합니다.";
+        return null;
+      case "additive":
+        if (op.source === undefined) {
+          if (typeof op.effect !== "string" || typeof op.value !== "number") {
+            return "고정 additive는 effect와 value가 필요합니다.";
+          }
+          if (op.uptime !== undefined && typeof op.uptime !== "number") return "additive.uptime은 숫자여야 합니다.";
+          return null;
+        }
+        if (ADDITIVE_SOURCES.indexOf(op.source) === -1) return "알 수 없는 additive.source: " + op.source;
+        if (typeof op.rate !== "number") return "additive.rate가 필요합니다.";
+        if (op.source === "conditionalEffects" && op.targets !== "requiresDot" && !isStringList(op.targets)) {
+          return 'conditionalEffects.targets는 룬 이름 목록 또는 "requiresDot"이어야 합니다.';
+        }
+        if (op.keywords !== undefined && !isStringList(op.keywords)) return "conditionalEffects.keywords는 문자열 목록이어야 합니다.";
+        return null;
+      case "awakeningCooldown":
+        if (typeof op.value !== "number") return "awakeningCooldown.value가 필요합니다.";
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 규칙 1개 검증
+   * @param {Object} rule - 규칙
+   * @param {Object} seenIds - 이미 사용된 ID
+   * @returns {Array<string>} 오류 메시지 목록
+   */
+  function validateRule(rule, seenIds) {
+    var errors = [];
+    if (!rule || typeof rule !== "object") return ["규칙이 객체가 아닙니다."];
+
+    if (typeof rule.id !== "string" || rule.id === "") {
+      errors.push("id가 필요합니다.");
+    } else if (seenIds[rule.id]) {
+      errors.push("중복된 id입니다.");
+    }
+    if (typeof rule.name !== "string" || rule.name === "") errors.push("name이 필요합니다.");
+
+    var scope = rule.scope || "combination";
+    if (RULE_SCOPES.indexOf(scope) === -1) errors.push("알 수 없는 scope: " + scope);
+
+    var when = rule.when || {};
+    Object.keys(when).forEach(function (key) {
+      if (CONDITION_KEYS.indexOf(key) === -1) {
+        errors.push("알 수 없는 조건: " + key);
+      } else if (key === "awakeningEmblem" ? when[key] !== true : !isStringList(when[key])) {
+        errors.push("조건 형식 오류: " + key);
+      }
+    });
+
+    if (!Array.isArray(rule.then) || rule.then.length === 0) {
+      errors.push("then이 필요합니다.");
+    } else {
+      rule.then.forEach(function (op, idx) {
+        var message = validateOperation(op, scope);
+        if (message) errors.push("then[" + idx + "] " + message);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * 규칙 목록 적용 (오류가 있는 규칙은 제외)
+   * @param {Object|Array} data - synergy-rules.json 내용 ({ rules } 또는 규칙 배열)
+   * @returns {Object} { count, errors: [{ id, index, messages }] }
+   */
+  function setRules(data) {
+    var list = Array.isArray(data) ? data : data && data.rules;
+    runeMultiplierCache = new WeakMap();
+
+    if (!Array.isArray(list)) {
+      activeRules = [];
+      return { count: 0, errors: [{ id: null, index: -1, messages: ["rules 목록이 없습니다."] }] };
+    }
+
+    var seenIds = {};
+    var errors = [];
+    var rules = [];
+
+    list.forEach(function (rule, index) {
+      var messages = validateRule(rule, seenIds);
+      if (messages.length > 0) {
+        errors.push({ id: rule && rule.id, index: index, messages: messages });
+        return;
+      }
+      seenIds[rule.id] = true;
+      rules.push({
+        id: rule.id,
+        name: rule.name,
+        description: rule.description || "",
+        scope: rule.scope || "combination",
+        when: rule.when || {},
+        then: rule.then,
+      });
+    });
+
+    activeRules = rules;
+    if (errors.length > 0) {
+      console.warn("⚠️ 시너지 규칙 오류 (해당 규칙 제외):", errors);
+    }
+    return { count: rules.length, errors: errors };
+  }
+
+  /**
+   * 현재 규칙 목록
+   * @returns {Array<Object>} 규칙 복사본
+   */
+  function getRules() {
+    return activeRules.slice();
+  }
+
+  /**
+   * 규칙 파일 비동기 로드 (메인 스레드)
+   * @param {string} url - 규칙 JSON 경로
+   * @returns {Promise<Object>} setRules 결과
+   */
+  function loadRules(url) {
+    return fetch(url)
+      .then(function (res) {
+        if (!res.ok) throw new Error("시너지 규칙 로드 실패: " + res.status);
+        return res.json();
+      })
+      .then(setRules);
+  }
+
+  /**
+   * 규칙 파일 동기 로드 (Worker 시작 시 - Worker에서는 동기 요청 허용)
+   * @param {string} url - 규칙 JSON 경로 (Worker 스크립트 기준 상대 경로)
+   * @returns {Object} setRules 결과
+   * @throws {Error} 요청 실패 시
+   */
+  function loadRulesSync(url) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", url, false);
+    xhr.send(null);
+    if (xhr.status !== 200 && xhr.status !== 0) {
+      throw new Error("시너지 규칙 로드 실패: " + xhr.status);
+    }
+    return setRules(JSON.parse(xhr.responseText));
+  }
+
+  // ============================================================================
+  // 섹션 3: 룬 조건 판정
+  // ============================================================================
+
+  /**
+   * 룬 이름이 목록 중 하나와 일치하는지 확인
+   * - 부분 일치는 "아득" 규칙이 "아득한 빛"에 걸리는 식으로 무관한 룬에 발동하므로 정확히 비교
+   * @param {Object} rune - 룬 데이터
+   * @param {Array<string>} names - 룬 이름 목록 (띄어쓰기 변형은 규칙에 따로 나열)
+   * @returns {boolean}
+   * @updated 2025-12-15 - 부분 일치 → 정확히 일치
+   */
+  function runeNameMatches(rune, names) {
+    return !!rune.name && names.indexOf(rune.name) !== -1;
+  }
+
+  /**
+   * 룬이 부여하는 DoT 유형
+   * @param {Object} rune - 룬 데이터
+   * @returns {Array<string>}
+   */
+  function getAppliedDots(rune) {
+    return (rune.synergy && rune.synergy.appliesDot) || [];
+  }
+
+  /**
+   * 룬이 요구하는 DoT 유형
+   * @param {Object} rune - 룬 데이터
+   * @returns {Array<string>}
+   */
+  function getRequiredDots(rune) {
+    return (rune.synergy && rune.synergy.requiresDot) || [];
+  }
+
+  /**
+   * rune.synergy 플래그 여부
+   * @param {Object} rune - 룬 데이터
+   * @param {string} flag - 플래그 이름
+   * @returns {boolean}
+   */
+  function hasFlag(rune, flag) {
+    return !!(rune.synergy && rune.synergy[flag] === true);
+  }
+
+  /**
+   * 각성 효과가 있는 엠블럼인지
+   * @param {Object} rune - 룬 데이터
+   * @returns {boolean}
+   */
+  function isAwakeningEmblem(rune) {
+    return rune.category === EMBLEM_CATEGORY && !!rune.awakening;
+  }
+
+  /**
+   * 룬의 효과 키 목록 (효과명에 처음 포함된 EFFECT_NAME_MAP 키 기준)
+   * @param {Object} rune - 룬 데이터
+   * @returns {Array<string>} 효과 키 목록
+   */
+  function getRuneEffectKeys(rune) {
+    var keys = [];
+    var nameMap = global.SharedEffectWeights.EFFECT_NAME_MAP;
+    if (rune.effects && Array.isArray(rune.effects)) {
+      rune.effects.forEach(function (effect) {
+        var name = effect.name || "";
+        for (var key in nameMap) {
+          if (name.indexOf(key) !== -1) {
+            keys.push(nameMap[key]);
+            break;
+          }
+        }
+      });
+    }
+    return keys;
+  }
+
+  /**
+   * 조합 평가용 공통 정보
+   * @param {Array<Object>} runes - 룬 목록
+   * @returns {Object} { runes, dotTypes, effectKeys }
+   */
+  function createContext(runes) {
+    var dotTypes = [];
+    runes.forEach(function (rune) {
+      getAppliedDots(rune).forEach(function (dot) {
+        if (dotTypes.indexOf(dot) === -1) dotTypes.push(dot);
+      });
+    });
+    return { runes: runes, dotTypes: dotTypes, effectKeys: null };
+  }
+
+  /**
+   * 조합의 효과 키 (필요할 때만 계산)
+   * @param {Object} context - createContext 결과
+   * @returns {Array<string>}
+   */
+  function getContextEffectKeys(context) {
+    if (!context.effectKeys) {
+      context.effectKeys = [];
+      context.runes.forEach(function (rune) {
+        context.effectKeys = context.effectKeys.concat(getRuneEffectKeys(rune));
+      });
+    }
+    return context.effectKeys;
+  }
+
+  /**
+   * 규칙 조건 판정
+   * @param {Object} rule - 규칙
+   * @param {Object} context - createContext 결과
+   * @returns {Array<Object>|null} 발동 룬 목록 (조건 불충족이면 null)
+   */
+  function matchRule(rule, context) {
+    var when = rule.when;
+    var runes = context.runes;
+    var sources = null;
+
+    if (when.runes) {
+      sources = runes.filter(function (rune) {
+        return runeNameMatches(rune, when.runes);
+      });
+      if (sources.length === 0) return null;
+    }
+    if (when.flags) {
+      var flagged = runes.filter(function (rune) {
+        return when.flags.some(function (flag) {
+          return hasFlag(rune, flag);
+        });
+      });
+      var allFlags = when.flags.every(function (flag) {
+        return flagged.some(function (rune) {
+          return hasFlag(rune, flag);
+        });
+      });
+      if (!allFlags) return null;
+      sources = sources || flagged;
+    }
+    if (when.dotTypes) {
+      var allDots = when.dotTypes.every(function (dot) {
+        return context.dotTypes.indexOf(dot) !== -1;
+      });
+      if (!allDots) return null;
+      sources = sources || runes.filter(function (rune) {
+        return getAppliedDots(rune).some(function (dot) {
+          return when.dotTypes.indexOf(dot) !== -1;
+        });
+      });
+    }
+    if (when.effectKeys) {
+      var keys = getContextEffectKeys(context);
+      var allKeys = when.effectKeys.every(function (key) {
+        return keys.indexOf(key) !== -1;
+      });
+      if (!allKeys) return null;
+    }
+    if (when.awakeningEmblem && !runes.some(isAwakeningEmblem)) {
+      return null;
+    }
+
+    return sources || [];
+  }
+
+  // ============================================================================
+  // 섹션 4: 효과 가치 계산
+  // ============================================================================
+
+  /**
+   * 기본 점수 함수 (SharedEffectWeights 가중치 - Worker 조합 점수와 동일)
+   * @returns {Object} { scoreEffect, scoreDemerit }
+   */
+  function getDefaultScorers() {
+    var weights = global.SharedEffectWeights;
+    return {
+      scoreEffect: function (effect) {
+        return (effect.value || 0) * weights.getEffectWeight(effect.name || "");
+      },
+      scoreDemerit: function (demerit) {
+        return (demerit.value || 0) * weights.getDemeritWeight(demerit.name || "");
+      },
+    };
+  }
+
+  /**
+   * 호출 측 점수 함수와 기본값 병합
+   * @param {Object} [options] - { scoreEffect, scoreDemerit }
+   * @returns {Object} { scoreEffect, scoreDemerit }
+   */
+  function resolveScorers(options) {
+    var defaults = getDefaultScorers();
+    return {
+      scoreEffect: (options && options.scoreEffect) || defaults.scoreEffect,
+      scoreDemerit: (options && options.scoreDemerit) || defaults.scoreDemerit,
+    };
+  }
+
+  /**
+   * 방어구의 각성 쿨타임 감소량 (효과명에 "각성"과 "쿨타임" 포함)
+   * @param {Object} rune - 룬 데이터
+   * @returns {number} 감소량 (초)
+   */
+  function getAwakeningCooldownReduction(rune) {
+    var reduction = 0;
+    if (rune.effects) {
+      rune.effects.forEach(function (effect) {
+        if (
+          effect.name &&
+          effect.name.indexOf("각성") !== -1 &&
+          effect.name.indexOf("쿨타임") !== -1
+        ) {
+          reduction += effect.value || 0;
+        }
+      });
+    }
+    return reduction;
+  }
+
+  /**
+   * 엠블럼 각성 업타임 (쿨타임 감소 반영)
+   * @param {Object} emblem - 엠블럼 룬
+   * @param {number} cooldownReduction - 쿨타임 감소량 (초)
+   * @returns {number} 업타임 (0~1)
+   */
+  function getAwakeningUptime(emblem, cooldownReduction) {
+    var duration = emblem.awakening.duration || AWAKENING.DEFAULT_DURATION;
+    var adjustedCooldown = Math.max(
+      AWAKENING.BASE_COOLDOWN - cooldownReduction,
+      AWAKENING.MIN_COOLDOWN
+    );
+    return duration / (duration + adjustedCooldown);
+  }
+
+  /**
+   * 고정 additive 효과 가치
+   * @param {Object} op - { effect, value, uptime }
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreFixedAdditive(op, scorers) {
+    var uptime = op.uptime !== undefined ? op.uptime : 1;
+    return scorers.scoreEffect({ name: op.effect, value: op.value * uptime });
+  }
+
+  /**
+   * 각성 쿨감 효과 가치 (기본 쿨타임 대비 단축 비율(%)을 op.effect 값으로 환산)
+   * @param {Object} op - { value, effect }
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreCooldownOperation(op, scorers) {
+    if (!op.effect) return 0;
+    return scorers.scoreEffect({
+      name: op.effect,
+      value: (op.value / AWAKENING.BASE_COOLDOWN) * 100,
+    });
+  }
+
+  /**
+   * 조건부 효과 활성화 가치
+   * - keywords가 있으면 STATE/TRIGGER 효과 중 note/trigger에 키워드가 있거나 condition이 있는 효과,
+   *   해당 효과가 없으면 비영구 효과 × fallbackRate
+   * - keywords가 없으면 비영구 효과 전체
+   * @param {Object} rune - 대상 룬
+   * @param {Object} op - conditionalEffects 효과
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreConditionalEffects(rune, op, scorers) {
+    if (!rune.effects) return 0;
+    var value = 0;
+
+    if (op.keywords) {
+      rune.effects.forEach(function (effect) {
+        if (effect.type === "STATE" || effect.type === "TRIGGER") {
+          var text = (effect.note || "") + (effect.trigger || "");
+          var related = op.keywords.some(function (keyword) {
+            return text.indexOf(keyword) !== -1;
+          });
+          if (related || effect.condition) {
+            value += scorers.scoreEffect(effect) * op.rate;
+          }
+        }
+      });
+      if (value !== 0 || !op.fallbackRate) return value;
+    }
+
+    rune.effects.forEach(function (effect) {
+      if (effect.type === "PERMANENT") return;
+      var effectValue = scorers.scoreEffect(effect) * op.rate;
+      value += op.keywords ? effectValue * op.fallbackRate : effectValue;
+    });
+    return value;
+  }
+
+  /**
+   * 결함 상쇄 가치
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} op - demerits 효과
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreDemerits(rune, op, scorers) {
+    var value = 0;
+    if (rune.demerits && Array.isArray(rune.demerits)) {
+      rune.demerits.forEach(function (demerit) {
+        value += scorers.scoreDemerit(demerit) * op.rate;
+      });
+    }
+    return value;
+  }
+
+  /**
+   * 엠블럼 각성 효과 추가 가치 (업타임 반영)
+   * @param {Object} emblem - 엠블럼 룬
+   * @param {Object} op - awakeningEffects 효과
+   * @param {number} cooldownReduction - 각성 쿨감 (초)
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreAwakeningEffects(emblem, op, cooldownReduction, scorers) {
+    if (!emblem.awakening || !emblem.awakening.effects) return 0;
+    var value = 0;
+    emblem.awakening.effects.forEach(function (effect) {
+      value += scorers.scoreEffect(effect);
+    });
+    return value * op.rate * getAwakeningUptime(emblem, cooldownReduction);
+  }
+
+  /**
+   * 1중첩 추가 가치
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} op - stackEffects 효과
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreStackEffects(rune, op, scorers) {
+    var value = 0;
+    if (rune.effects) {
+      rune.effects.forEach(function (effect) {
+        var stackValue = effect.stackValue || effect.valuePerStack;
+        if (effect.type === "STACKING" && stackValue) {
+          value += scorers.scoreEffect({ name: effect.name || "", value: stackValue }) * op.rate;
+        }
+      });
+    }
+    return value;
+  }
+
+  /**
+   * 효과 배율로 늘어나는(줄어드는) 가치
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} op - multiplier 효과
+   * @param {Object} scorers - 점수 함수
+   * @returns {number}
+   */
+  function scoreMultiplier(rune, op, scorers) {
+    var value = 0;
+    var all = op.effects.indexOf("*") !== -1;
+    if (rune.effects) {
+      rune.effects.forEach(function (effect) {
+        if (all || op.effects.indexOf(effect.name) !== -1) {
+          value += scorers.scoreEffect(effect) * (op.value - 1);
+        }
+      });
+    }
+    return value;
+  }
+
+  // ============================================================================
+  // 섹션 5: 조합 평가
+  // ============================================================================
+
+  /**
+   * 규칙 효과 1개를 조합에 적용
+   * @param {Object} op - then 항목
+   * @param {Object} context - createContext 결과
+   * @param {Object} state - { cooldownReduction, multipliers }
+   * @param {Object} scorers - 점수 함수
+   * @returns {Array<Object>} 가산 항목 [{ target, score, dotType? }]
+   */
+  function applyOperation(op, context, state, scorers) {
+    var runes = context.runes;
+    var items = [];
+    var total = 0;
+
+    if (op.type === "multiplier") {
+      op.effects.forEach(function (name) {
+        state.multipliers[name] = (state.multipliers[name] || 1) * op.value;
+      });
+      runes.forEach(function (rune) {
+        var value = scoreMultiplier(rune, op, scorers);
+        if (value !== 0) items.push({ target: rune, score: value });
+      });
+      return items;
+    }
+
+    if (op.type === "awakeningCooldown") {
+      state.cooldownReduction += op.value;
+      if (op.effect) items.push({ target: null, score: scoreCooldownOperation(op, scorers) });
+      return items;
+    }
+
+    // additive
+    switch (op.source) {
+      case undefined:
+        items.push({ target: null, score: scoreFixedAdditive(op, scorers) });
+        break;
+      case "conditionalEffects":
+        if (op.targets === "requiresDot") {
+          // 조합이 부여하는 DoT마다 해당 DoT를 요구하는 룬
+          context.dotTypes.forEach(function (dot) {
+            runes.forEach(function (rune) {
+              if (getRequiredDots(rune).indexOf(dot) === -1) return;
+              var value = scoreConditionalEffects(rune, op, scorers);
+              if (value > 0) items.push({ target: rune, score: value, dotType: dot });
+            });
+          });
+        } else {
+          runes.forEach(function (rune) {
+            if (!runeNameMatches(rune, op.targets)) return;
+            var value = scoreConditionalEffects(rune, op, scorers);
+            if (value > 0) items.push({ target: rune, score: value });
+          });
+        }
+        break;
+      case "demerits":
+        runes.forEach(function (rune) {
+          total += scoreDemerits(rune, op, scorers);
+        });
+        if (total > 0) items.push({ target: null, score: total });
+        break;
+      case "awakeningEffects":
+        runes.forEach(function (rune) {
+          if (!isAwakeningEmblem(rune)) return;
+          var value = scoreAwakeningEffects(rune, op, state.cooldownReduction, scorers);
+          if (value > 0) items.push({ target: rune, score: value });
+        });
+        break;
+      case "stackEffects":
+        runes.forEach(function (rune) {
+          total += scoreStackEffects(rune, op, scorers);
+        });
+        if (total > 0) items.push({ target: null, score: total });
+        break;
+    }
+    return items;
+  }
+
+  /**
+   * 룬 조합에 시너지 규칙 적용 (scope "combination")
+   * @param {Array<Object>} runes - 장착 룬 목록 (null 무시)
+   * @param {Object} [options] - { cooldownReduction, scoreEffect, scoreDemerit }
+   * @returns {Object} { matches, multipliers, score, cooldownReduction }
+   *   - matches: [{ rule, source, sources, items: [{ target, score }], multipliers, score }] (규칙 순서)
+   *   - multipliers: 효과명 → 배율 (시뮬레이터 효과 가중치용)
+   *   - score: 가산 항목 합계 (항목 순서대로 합산)
+   *   - cooldownReduction: 기본 쿨감 + 규칙 쿨감 (초)
+   */
+  function evaluate(runes, options) {
+    options = options || {};
+    var scorers = resolveScorers(options);
+    var context = createContext((runes || []).filter(Boolean));
+    var state = {
+      cooldownReduction: options.cooldownReduction || 0,
+      multipliers: {},
+    };
+    var matches = [];
+    var score = 0;
+
+    activeRules.forEach(function (rule) {
+      if (rule.scope !== "combination") return;
+      var sources = matchRule(rule, context);
+      if (!sources) return;
+
+      var before = Object.assign({}, state.multipliers);
+      var items = [];
+      rule.then.forEach(function (op) {
+        items = items.concat(applyOperation(op, context, state, scorers));
+      });
+
+      var ruleMultipliers = {};
+      Object.keys(state.multipliers).forEach(function (name) {
+        if (state.multipliers[name] !== before[name]) {
+          ruleMultipliers[name] = state.multipliers[name] / (before[name] || 1);
+        }
+      });
+
+      var matchScore = 0;
+      items.forEach(function (item) {
+        score += item.score;
+        matchScore += item.score;
+      });
+
+      matches.push({
+        rule: rule,
+        source: sources[0] || null,
+        sources: sources,
+        items: items,
+        multipliers: ruleMultipliers,
+        score: matchScore,
+      });
+    });
+
+    return {
+      matches: matches,
+      multipliers: state.multipliers,
+      score: score,
+      cooldownReduction: state.cooldownReduction,
+    };
+  }
+
+  /**
+   * 장착 룬 시너지 요약 (시뮬레이터 효과 합산/시너지 목록 표시용)
+   * - 가산 항목이나 배율이 있는 규칙만 목록에 포함
+   * @param {Array<Object>} runes - 장착 룬 목록 (null 무시)
+   * @returns {Object} { synergies: [{ runeName, synergyName, description, boost }], totalBoost, hasSynergy }
+   *   - totalBoost: 효과명 → 배율 (evaluate().multipliers)
+   */
+  function summarize(runes) {
+    var result = evaluate(runes);
+    var synergies = result.matches
+      .filter(function (match) {
+        return match.items.length > 0 || Object.keys(match.multipliers).length > 0;
+      })
+      .map(function (match) {
+        return {
+          runeName: match.source ? match.source.name : match.rule.name,
+          synergyName: match.rule.name,
+          description: match.rule.description,
+          boost: match.multipliers,
+        };
+      });
+
+    return {
+      synergies: synergies,
+      totalBoost: result.multipliers,
+      hasSynergy: synergies.length > 0,
+    };
+  }
+
+  /**
+   * 룬 1개 내부 시너지 배율 (scope "rune" 규칙)
+   * @param {Object} rune - 룬 데이터
+   * @returns {number} 룬 점수 배율
+   */
+  function getRuneMultiplier(rune) {
+    if (runeMultiplierCache.has(rune)) return runeMultiplierCache.get(rune);
+
+    var context = createContext([rune]);
+    var bonus = 1.0;
+    activeRules.forEach(function (rule) {
+      if (rule.scope !== "rune" || !matchRule(rule, context)) return;
+      rule.then.forEach(function (op) {
+        bonus *= op.value;
+      });
+    });
+
+    runeMultiplierCache.set(rune, bonus);
+    return bonus;
+  }
+
+  // ============================================================================
+  // 섹션 6: 룬별 상한 정보 (정확 탐색용)
+  // ============================================================================
+
+  /**
+   * 규칙 조건별 발동 키 목록 (조건이 모두 필요하므로 각 키가 발동의 필요조건)
+   * @param {Object} rule - 규칙
+   * @returns {Array<string>} 키 목록 (우선 조건 먼저)
+   */
+  function getConditionKeys(rule) {
+    var when = rule.when;
+    var keys = [];
+    if (when.runes) keys.push("rule:" + rule.id);
+    (when.flags || []).forEach(function (flag) {
+      keys.push("flag:" + flag);
+    });
+    (when.dotTypes || []).forEach(function (dot) {
+      keys.push("dot:" + dot);
+    });
+    (when.effectKeys || []).forEach(function (key) {
+      keys.push("effect:" + key);
+    });
+    if (when.awakeningEmblem) keys.push("awakeningEmblem");
+    return keys;
+  }
+
+  /**
+   * 룬이 충족시키는 조건 키
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} rule - 규칙
+   * @returns {Array<string>}
+   */
+  function getRuneEnableKeys(rune, rule) {
+    var when = rule.when;
+    var keys = [];
+    if (when.runes && runeNameMatches(rune, when.runes)) keys.push("rule:" + rule.id);
+    (when.flags || []).forEach(function (flag) {
+      if (hasFlag(rune, flag)) keys.push("flag:" + flag);
+    });
+    (when.dotTypes || []).forEach(function (dot) {
+      if (getAppliedDots(rune).indexOf(dot) !== -1) keys.push("dot:" + dot);
+    });
+    if (when.effectKeys) {
+      var runeKeys = getRuneEffectKeys(rune);
+      when.effectKeys.forEach(function (key) {
+        if (runeKeys.indexOf(key) !== -1) keys.push("effect:" + key);
+      });
+    }
+    if (when.awakeningEmblem && isAwakeningEmblem(rune)) keys.push("awakeningEmblem");
+    return keys;
+  }
+
+  /**
+   * 탐색 풀 전체 기준 시너지 상한 정보
+   * @param {Array<Object>} poolRunes - 풀 전체 룬
+   * @param {number} maxBaseCooldownReduction - 룬 효과로 얻을 수 있는 최대 각성 쿨감 (초)
+   * @param {Object} [options] - { scoreEffect, scoreDemerit }
+   * @returns {Object} { maxCooldownReduction, constant }
+   *   - constant: 조건 없는 규칙의 고정 가산 (어느 조합에나 더해짐)
+   */
+  function getPoolBoundInfo(poolRunes, maxBaseCooldownReduction, options) {
+    var scorers = resolveScorers(options);
+    var cooldown = maxBaseCooldownReduction;
+    var constant = 0;
+
+    activeRules.forEach(function (rule) {
+      if (rule.scope !== "combination") return;
+      var keys = getConditionKeys(rule);
+      var possible =
+        keys.length === 0 ||
+        poolRunes.some(function (rune) {
+          return getRuneEnableKeys(rune, rule).indexOf(keys[0]) !== -1;
+        });
+      if (!possible) return;
+
+      rule.then.forEach(function (op) {
+        if (op.type === "awakeningCooldown") {
+          cooldown += Math.max(0, op.value);
+          if (keys.length === 0) constant += Math.max(0, scoreCooldownOperation(op, scorers));
+        } else if (op.type === "additive" && op.source === undefined && keys.length === 0) {
+          constant += Math.max(0, scoreFixedAdditive(op, scorers));
+        }
+      });
+    });
+
+    return { maxCooldownReduction: cooldown, constant: constant };
+  }
+
+  /**
+   * 룬 1개가 규칙 시너지로 더할 수 있는 최대값
+   * - fixed: 룬이 규칙의 우선 조건을 충족하면 더해지는 고정 가산 (발동 룬마다 계산하므로 과대 추정)
+   * - conditional: 대상 룬으로서의 가산 { conds, value } (conds 중 하나라도 가능해야 발동)
+   * - enables: 룬이 충족시키는 조건 키
+   * @param {Object} rune - 룬 데이터
+   * @param {Object} poolInfo - getPoolBoundInfo 결과
+   * @param {Object} [options] - { scoreEffect, scoreDemerit }
+   * @returns {Object} { fixed, conditional, enables }
+   */
+  function getRuneBoundInfo(rune, poolInfo, options) {
+    var scorers = resolveScorers(options);
+    var fixed = 0;
+    var conditional = [];
+    var enables = [];
+
+    activeRules.forEach(function (rule) {
+      if (rule.scope !== "combination") return;
+      var keys = getConditionKeys(rule);
+      var own = getRuneEnableKeys(rune, rule);
+      own.forEach(function (key) {
+        if (enables.indexOf(key) === -1) enables.push(key);
+      });
+      // 이 룬이 스스로 충족시키는 키는 항상 가능하므로 제외
+      var otherKeys = keys.filter(function (key) {
+        return own.indexOf(key) === -1;
+      });
+      var enablesPrimary = keys.length > 0 && own.indexOf(keys[0]) !== -1;
+
+      var addTarget = function (conds, value) {
+        if (!(value > 0)) return;
+        if (conds.length === 0) fixed += value;
+        else conditional.push({ conds: conds, value: value });
+      };
+
+      rule.then.forEach(function (op) {
+        if (op.type === "awakeningCooldown" || (op.type === "additive" && op.source === undefined)) {
+          if (!enablesPrimary) return;
+          fixed += Math.max(
+            0,
+            op.type === "awakeningCooldown"
+              ? scoreCooldownOperation(op, scorers)
+              : scoreFixedAdditive(op, scorers)
+          );
+          return;
+        }
+
+        if (op.type === "multiplier") {
+          addTarget(otherKeys, scoreMultiplier(rune, op, scorers));
+          return;
+        }
+
+        switch (op.source) {
+          case "conditionalEffects":
+            if (op.targets === "requiresDot") {
+              var value = scoreConditionalEffects(rune, op, scorers);
+              getRequiredDots(rune).forEach(function (dot) {
+                addTarget(getAppliedDots(rune).indexOf(dot) !== -1 ? [] : ["dot:" + dot], value);
+              });
+            } else if (runeNameMatches(rune, op.targets)) {
+              addTarget(otherKeys, scoreConditionalEffects(rune, op, scorers));
+            }
+            break;
+          case "demerits":
+            addTarget(otherKeys, scoreDemerits(rune, op, scorers));
+            break;
+          case "awakeningEffects":
+            if (isAwakeningEmblem(rune)) {
+              addTarget(
+                otherKeys,
+                scoreAwakeningEffects(rune, op, poolInfo.maxCooldownReduction, scorers)
+              );
+            }
+            break;
+          case "stackEffects":
+            addTarget(otherKeys, scoreStackEffects(rune, op, scorers));
+            break;
+        }
+      });
+    });
+
+    // requiresDot 대상의 DoT 키도 다른 룬이 충족시킬 수 있도록 enables에 포함
+    getAppliedDots(rune).forEach(function (dot) {
+      if (enables.indexOf("dot:" + dot) === -1) enables.push("dot:" + dot);
+    });
+
+    return { fixed: fixed, conditional: conditional, enables: enables };
+  }
+
+  // ============================================================================
+  // 모듈 내보내기
+  // ============================================================================
+
+  global.SynergyEngine = {
+    // 상수
+    AWAKENING: AWAKENING,
+
+    // 규칙
+    setRules: setRules,
+    getRules: getRules,
+    loadRules: loadRules,
+    loadRulesSync: loadRulesSync,
+
+    // 평가
+    evaluate: evaluate,
+    summarize: summarize,
+    getRuneMultiplier: getRuneMultiplier,
+    getRuneEffectKeys: getRuneEffectKeys,
+    getAwakeningCooldownReduction: getAwakeningCooldownReduction,
+    getAwakeningUptime: getAwakeningUptime,
+
+    // 정확 탐색 상한
+    getPoolBoundInfo: getPoolBoundInfo,
+    getRuneBoundInfo: getRuneBoundInfo,
+  };
+})(
+  typeof self !== "undefined"
+    ? self
+    : typeof window !== "undefined"
+    ? window
+    : this
+);
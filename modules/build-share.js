@@ -0,0 +1,300 @@
+/**
+ * ============================================
+ * 빌드 공유 코드 모듈
+ * ============================================
+ * @file        modules/build-share.js
+ * @description 장착 룬/강화 수치/클래스/스탯을 URL 프래그먼트 및 짧은 텍스트 코드로 인코딩
+ * @author      Dalkong Project
+ * @created     2025-12-15
+ * @modified    2025-12-15
+ * @version     1.0.0
+ *
+ * @architecture
+ * - 전역 객체 패턴 (window.BuildShare)
+ * - 인코딩/디코딩만 담당 (DOM 비의존), 미리보기/가져오기 UI는 rune-calculator.js
+ *
+ * @format
+ * B1.<룬>.<강화>.<클래스>.<스탯>
+ * - 룬: SLOT_ORDER 순서의 룬 ID (36진수), '_' 구분, 빈 슬롯은 빈 문자열
+ * - 강화: SLOT_ORDER 순서의 강화 단계 1글자 (36진수, 0~15 → 0~f), 끝의 0 생략
+ * - 클래스: 클래스 코드 ('01' 등, 없으면 빈 문자열)
+ * - 스탯: STAT_KEYS 순서의 값 (36진수), '_' 구분, 끝의 0 생략
+ * - URL에서는 #build=<코드> 형태로 사용
+ *
+ * @example
+ * BuildShare.encode({ runeIds: { 'weapon-1': 1 }, enhanceLevels: { 'weapon-1': 15 }, classCode: '05', stats: { atk: 1200 } })
+ * // → 'B1.1.f.05.0_0_0_0_0_xc'
+ *
+ * @structure
+ * 1. 상수 정의
+ * 2. 인코딩
+ * 3. 디코딩
+ * 4. URL 프래그먼트
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // 1. 상수 정의
+    // ============================================
+
+    /**
+     * 코드 버전 접두사
+     * @constant {string}
+     */
+    const CODE_PREFIX = 'B1';
+
+    /**
+     * URL 프래그먼트 키 (#build=...)
+     * @constant {string}
+     */
+    const HASH_KEY = 'build';
+
+    /**
+     * 슬롯 인코딩 순서 (순서 변경 시 CODE_PREFIX 버전을 올릴 것)
+     * @constant {Array<string>}
+     */
+    const SLOT_ORDER = [
+        'weapon-1',
+        'armor-1', 'armor-2', 'armor-3', 'armor-4', 'armor-5',
+        'emblem-1',
+        'accessory-1', 'accessory-2', 'accessory-3'
+    ];
+
+    /**
+     * 스탯 인코딩 순서 (collectCurrentStats 키와 동일)
+     * @constant {Array<string>}
+     */
+    const STAT_KEYS = [
+        'str', 'dex', 'int', 'wil', 'luk',
+        'atk', 'def',
+        'break', 'smash', 'combo', 'skill', 'aoe', 'heal', 'evade', 'extra',
+        'dmgred', 'atkspd', 'chain', 'skillspd', 'hp', 'ult', 'crit'
+    ];
+
+    /**
+     * 최대 강화 단계
+     * @constant {number}
+     */
+    const MAX_ENHANCE_LEVEL = 15;
+
+    /**
+     * 형식 오류 메시지 (디코딩/URL 해석 공통)
+     * @constant {string}
+     */
+    const INVALID_CODE_MESSAGE = '빌드 코드 형식이 올바르지 않습니다.';
+
+    // ============================================
+    // 2. 인코딩
+    // ============================================
+
+    /**
+     * 끝의 빈 값 제거
+     * @param {Array<string>} parts - 인코딩된 값 목록
+     * @param {string} emptyValue - 빈 값으로 간주할 문자열
+     * @returns {Array<string>} 정리된 목록
+     */
+    function trimTrailing(parts, emptyValue) {
+        const result = parts.slice();
+        while (result.length > 0 && result[result.length - 1] === emptyValue) {
+            result.pop();
+        }
+        return result;
+    }
+
+    /**
+     * 빌드를 공유 코드로 인코딩
+     * @param {Object} build - 빌드 데이터
+     * @param {Object} build.runeIds - 슬롯ID: 룬 ID
+     * @param {Object} [build.enhanceLevels] - 슬롯ID: 강화 단계
+     * @param {string} [build.classCode] - 클래스 코드
+     * @param {Object} [build.stats] - 스탯 키: 값
+     * @returns {string} 공유 코드
+     */
+    function encode(build) {
+        const runeIds = build.runeIds || {};
+        const enhanceLevels = build.enhanceLevels || {};
+        const stats = build.stats || {};
+
+        const runePart = trimTrailing(SLOT_ORDER.map(slotId => {
+            const id = parseInt(runeIds[slotId]);
+            return id > 0 ? id.toString(36) : '';
+        }), '').join('_');
+
+        const enhancePart = trimTrailing(SLOT_ORDER.map(slotId => {
+            const level = Math.max(0, Math.min(MAX_ENHANCE_LEVEL, parseInt(enhanceLevels[slotId]) || 0));
+            return level.toString(36);
+        }), '0').join('');
+
+        const statPart = trimTrailing(STAT_KEYS.map(key => {
+            return (Math.round(Number(stats[key])) || 0).toString(36);
+        }), '0').join('_');
+
+        const classCode = /^\d{2}$/.test(build.classCode || '') ? build.classCode : '';
+
+        return [CODE_PREFIX, runePart, enhancePart, classCode, statPart].join('.');
+    }
+
+    // ============================================
+    // 3. 디코딩
+    // ============================================
+
+    /**
+     * 36진수 문자열을 정수로 변환
+     * @param {string} value - 36진수 문자열
+     * @returns {number} 정수 (유효하지 않으면 NaN)
+     */
+    function parseBase36(value) {
+        return /^-?[0-9a-z]+$/.test(value) ? parseInt(value, 36) : NaN;
+    }
+
+    /**
+     * 공유 코드를 빌드 데이터로 디코딩
+     * @param {string} code - 공유 코드 (또는 공유 링크/프래그먼트)
+     * @returns {Object} { runeIds, enhanceLevels, classCode, stats }
+     * @throws {Error} 형식이 올바르지 않은 경우
+     */
+    function decode(code) {
+        const normalized = extractCode(code);
+        const parts = normalized.split('.');
+
+        if (parts[0] !== CODE_PREFIX) {
+            throw new Error('지원하지 않는 빌드 코드입니다.');
+        }
+        if (parts.length !== 5) {
+            throw new Error(INVALID_CODE_MESSAGE);
+        }
+
+        const [, runePart, enhancePart, classCode, statPart] = parts;
+        const runeIds = {};
+        const enhanceLevels = {};
+        const stats = {};
+
+        const runeValues = runePart ? runePart.split('_') : [];
+        if (runeValues.length > SLOT_ORDER.length) {
+            throw new Error('빌드 코드의 룬 정보가 올바르지 않습니다.');
+        }
+        runeValues.forEach((value, index) => {
+            if (value === '') return;
+            const id = parseBase36(value);
+            if (!(id > 0)) throw new Error('빌드 코드의 룬 정보가 올바르지 않습니다.');
+            runeIds[SLOT_ORDER[index]] = id;
+        });
+
+        if (enhancePart.length > SLOT_ORDER.length) {
+            throw new Error('빌드 코드의 강화 정보가 올바르지 않습니다.');
+        }
+        enhancePart.split('').forEach((char, index) => {
+            const level = parseBase36(char);
+            if (isNaN(level) || level > MAX_ENHANCE_LEVEL) {
+                throw new Error('빌드 코드의 강화 정보가 올바르지 않습니다.');
+            }
+            if (level > 0) enhanceLevels[SLOT_ORDER[index]] = level;
+        });
+
+        if (classCode !== '' && !/^\d{2}$/.test(classCode)) {
+            throw new Error('빌드 코드의 클래스 정보가 올바르지 않습니다.');
+        }
+
+        const statValues = statPart ? statPart.split('_') : [];
+        if (statValues.length > STAT_KEYS.length) {
+            throw new Error('빌드 코드의 스탯 정보가 올바르지 않습니다.');
+        }
+        STAT_KEYS.forEach((key, index) => {
+            const value = index < statValues.length ? parseBase36(statValues[index]) : 0;
+            if (isNaN(value)) throw new Error('빌드 코드의 스탯 정보가 올바르지 않습니다.');
+            stats[key] = value;
+        });
+
+        return {
+            runeIds: runeIds,
+            enhanceLevels: enhanceLevels,
+            classCode: classCode,
+            stats: stats
+        };
+    }
+
+    // ============================================
+    // 4. URL 프래그먼트
+    // ============================================
+
+    /**
+     * 퍼센트 인코딩 해제 (잘못된 %XX 시퀀스는 형식 오류로 변환)
+     * @param {string} value - 인코딩된 코드
+     * @returns {string} 코드
+     * @throws {Error} 디코딩할 수 없는 경우 (decode와 같은 형식 오류 메시지)
+     */
+    function decodeCodeComponent(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            throw new Error(INVALID_CODE_MESSAGE);
+        }
+    }
+
+    /**
+     * 입력 문자열에서 코드 부분만 추출 (링크, #build=..., 코드 그대로 모두 허용)
+     * @param {string} input - 사용자 입력 또는 location.hash
+     * @returns {string} 코드
+     * @throws {Error} #build= 뒤의 값을 디코딩할 수 없는 경우
+     */
+    function extractCode(input) {
+        const text = String(input || '').trim();
+        const match = text.match(new RegExp(`[#&]${HASH_KEY}=([^&]+)`));
+        return match ? decodeCodeComponent(match[1]) : text;
+    }
+
+    /**
+     * location.hash에서 빌드 코드 추출
+     * @param {string} hash - location.hash
+     * @returns {string|null} 코드 (없으면 null)
+     * @throws {Error} #build= 뒤의 값을 디코딩할 수 없는 경우
+     */
+    function getCodeFromHash(hash) {
+        const match = String(hash || '').match(new RegExp(`^#(?:.*&)?${HASH_KEY}=([^&]+)`));
+        return match ? decodeCodeComponent(match[1]) : null;
+    }
+
+    /**
+     * location.hash에 빌드 코드 프래그먼트가 있는지 확인 (디코딩하지 않음)
+     * @param {string} hash - location.hash
+     * @returns {boolean}
+     */
+    function hasCodeInHash(hash) {
+        return new RegExp(`^#(?:.*&)?${HASH_KEY}=[^&]+`).test(String(hash || ''));
+    }
+
+    /**
+     * 공유 링크 생성
+     * @param {string} baseUrl - 페이지 주소 (프래그먼트 제외)
+     * @param {string} code - 빌드 코드
+     * @returns {string} 공유 링크
+     */
+    function buildShareUrl(baseUrl, code) {
+        return `${String(baseUrl).split('#')[0]}#${HASH_KEY}=${code}`;
+    }
+
+    // ============================================
+    // 모듈 내보내기 (Export)
+    // ============================================
+
+    window.BuildShare = {
+        // 상수
+        SLOT_ORDER: SLOT_ORDER,
+        STAT_KEYS: STAT_KEYS,
+
+        // 코드 변환
+        encode: encode,
+        decode: decode,
+
+        // URL
+        extractCode: extractCode,
+        getCodeFromHash: getCodeFromHash,
+        hasCodeInHash: hasCodeInHash,
+        buildShareUrl: buildShareUrl
+    };
+
+    console.log('✅ BuildShare 빌드 공유 모듈 로드 완료');
+
+})();
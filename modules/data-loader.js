@@ -14,6 +14,7 @@
  * - 비동기 데이터 로딩
  * 
  * @requires Utils
+ * @requires RuneSchema (constants/rune-schema.js)
  */
 
 (function() {
@@ -52,11 +53,18 @@
             const accessoryData = await accessoryRes.json();
             const emblemData = await emblemRes.json();
 
-            // 무기 룬은 { runes: [...] } 형태, 나머지는 배열
-            const weaponRunes = weaponData.runes || weaponData;
-            const armorRunes = armorData;
-            const accessoryRunes = accessoryData;
-            const emblemRunes = emblemData;
+            // 스키마 검증 (무기 룬은 { runes: [...] } 형태, 나머지는 배열)
+            // @added 2025-12-15 - 오류가 있는 룬은 제외하고 필드별 오류 출력
+            const validation = validateRuneFiles({
+                'runes-weapon.json': weaponData,
+                'runes-armor.json': armorData,
+                'runes-accessory.json': accessoryData,
+                'runes-emblem.json': emblemData
+            });
+            const weaponRunes = validation.runesByFile['runes-weapon.json'];
+            const armorRunes = validation.runesByFile['runes-armor.json'];
+            const accessoryRunes = validation.runesByFile['runes-accessory.json'];
+            const emblemRunes = validation.runesByFile['runes-emblem.json'];
 
             // 전체 룬 병합
             const allRunes = [
@@ -75,7 +83,8 @@
                     '장신구': accessoryRunes.length,
                     '엠블럼': emblemRunes.length
                 },
-                byGrade: {}
+                byGrade: {},
+                invalid: validation.invalidCount
             };
 
             // 등급별 통계
@@ -127,14 +136,48 @@
      * 룬 데이터 유효성 검증
      * @param {Object} rune - 룬 데이터
      * @returns {boolean} 유효 여부
+     * @updated 2025-12-15 - RuneSchema 로드 시 전체 스키마 검증
      */
     function validateRune(rune) {
         if (!rune) return false;
+        if (window.RuneSchema) {
+            return window.RuneSchema.validateRune(rune).valid;
+        }
         if (!rune.id || !rune.name) return false;
         if (!rune.category) return false;
         return true;
     }
 
+    /**
+     * 룬 데이터 파일 일괄 스키마 검증
+     * @param {Object} files - { 파일명: 파싱된 JSON }
+     * @returns {Object} { runesByFile, invalidCount, report }
+     * @description 오류가 있는 룬은 제외하고, 필드별 오류를 콘솔에 출력
+     * @added 2025-12-15
+     */
+    function validateRuneFiles(files) {
+        const result = { runesByFile: {}, invalidCount: 0, report: [] };
+
+        Object.keys(files).forEach(function(fileName) {
+            const data = files[fileName];
+            if (!window.RuneSchema) {
+                result.runesByFile[fileName] = (data && data.runes) || data || [];
+                return;
+            }
+
+            const fileResult = window.RuneSchema.validateRuneFile(data, fileName);
+            result.runesByFile[fileName] = fileResult.validRunes;
+            result.invalidCount += fileResult.invalidRunes.length;
+            result.report = result.report.concat(window.RuneSchema.formatErrors(fileResult, fileName));
+        });
+
+        if (result.report.length > 0) {
+            console.warn('⚠️ 룬 데이터 스키마 오류 (' + result.invalidCount + '개 룬 제외):\n' + result.report.join('\n'));
+        }
+
+        return result;
+    }
+
     /**
      * 룬 배열 필터링 (유효한 것만)
      * @param {Array} runes - 룬 배열
@@ -156,6 +199,7 @@
         loadRuneData: loadRuneData,
         loadJSON: loadJSON,
         validateRune: validateRune,
+        validateRuneFiles: validateRuneFiles,
         filterValidRunes: filterValidRunes
     };
 
@@ -64,14 +64,6 @@
         return [];
     }
 
-    function checkSynergyRunes(runes) {
-        const EP = getParser();
-        if (EP.checkSynergyRunes) {
-            return EP.checkSynergyRunes(runes);
-        }
-        return { hasSynergy: false, synergyTypes: [], totalBoost: 1.0 };
-    }
-
     // getCharacterStatsFromInput은 아래에서 직접 정의됨 (179줄)
 
     function calculateRuneEfficiencyScore(rune, enhanceLevel, dotTypes, index, options) {
@@ -108,8 +100,8 @@ function calculateTotalEffects() {
     const allDotTypes = getAllEquippedDotTypes();
     const hasSynergy = allDotTypes.length > 0;
 
-    // 시너지 룬 체크
-    const synergyResult = checkSynergyRunes(Object.values(state.equippedRunes));
+    // 시너지 룬 체크 (synergy-rules.json, Worker와 같은 규칙)
+    const synergyResult = window.SynergyEngine.summarize(Object.values(state.equippedRunes));
 
     // 현재 누적 효과 (한계효용 계산용)
     const currentEffects = {};
@@ -401,7 +393,7 @@ function renderEffectSummary(totalEffects, hasSynergy, dotTypes, synergyResult,
                     <div class="effect-item effect-item--synergy">
                         <span class="effect-item__name">${escapeHtml(syn.runeName)}</span>
                         <span class="effect-item__value" style="color: var(--color-accent-purple);">
-                            ${syn.description}
+                            ${escapeHtml(syn.description)}
                         </span>
                     </div>
                 `;
@@ -0,0 +1,540 @@
+/**
+ * ============================================
+ * 룬 검색 쿼리 모듈
+ * ============================================
+ * @file        modules/rune-query.js
+ * @description 파싱된 효과 데이터를 대상으로 하는 구조화 검색 쿼리
+ * @author      Dalkong Project
+ * @created     2025-12-15
+ * @modified    2025-12-15
+ * @version     1.0.0
+ *
+ * @architecture
+ * - 전역 객체 패턴 (window.RuneQuery)
+ * - 룬 목록 검색창의 쿼리 파싱/매칭/자동완성 담당 (DOM 비의존)
+ *
+ * @example
+ * effect:공격력 증가>=15 type:PERMANENT -demerit:* dot:화상 enhance:15
+ *
+ * @syntax
+ * - effect:<이름>[연산자 값]  효과 이름 부분 일치 (연산자: >=, <=, >, <, =, !=)
+ * - type:<유형>              효과 유형 (PERMANENT, TRIGGER, STACKING, STATE, DECAY 또는 상시/발동/중첩/상태/감소)
+ * - demerit:<이름|*>[연산자 값] 결함 효과 보유 (* = 아무 결함)
+ * - dot:<유형|*>             부여하는 도트 유형 (synergy.appliesDot)
+ * - enhance:<10|15|*>        해당 강화 단계 효과 보유
+ * - 앞에 '-'를 붙이면 부정, 공백이 있는 값은 "..."로 감싸기
+ * - 키가 없는 단어는 기존처럼 이름/설명 부분 일치
+ * - type: 조건은 effect: 조건이 있으면 같은 효과에 함께 적용 (상시 치명타 피해 = effect:치명타 피해 type:PERMANENT)
+ *
+ * @structure
+ * 1. 상수 정의
+ * 2. 검색 어휘 (자동완성 후보)
+ * 3. 토큰 분리
+ * 4. 쿼리 파싱
+ * 5. 룬 매칭
+ * 6. 자동완성
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // 1. 상수 정의
+    // ============================================
+
+    /**
+     * 쿼리 키 별칭 → 정규 키
+     * @constant {Object}
+     */
+    const KEY_ALIASES = {
+        effect: 'effect',
+        '효과': 'effect',
+        type: 'type',
+        '유형': 'type',
+        demerit: 'demerit',
+        '결함': 'demerit',
+        dot: 'dot',
+        '도트': 'dot',
+        enhance: 'enhance',
+        '강화': 'enhance'
+    };
+
+    /**
+     * 자동완성에 노출할 쿼리 키 (정규 키만)
+     * @constant {Array<string>}
+     */
+    const QUERY_KEYS = ['effect', 'type', 'demerit', 'dot', 'enhance'];
+
+    /**
+     * 효과 유형 코드 (rune.effects[].type)
+     * @constant {Array<string>}
+     */
+    const EFFECT_TYPES = ['PERMANENT', 'TRIGGER', 'STACKING', 'STATE', 'DECAY'];
+
+    /**
+     * 효과 유형 한글 별칭
+     * @constant {Object}
+     */
+    const EFFECT_TYPE_ALIASES = {
+        '상시': 'PERMANENT',
+        '발동': 'TRIGGER',
+        '중첩': 'STACKING',
+        '상태': 'STATE',
+        '감소': 'DECAY'
+    };
+
+    /**
+     * 강화 효과 단계
+     * @constant {Array<string>}
+     */
+    const ENHANCE_LEVELS = ['10', '15'];
+
+    /**
+     * 비교 연산자 (긴 연산자 우선)
+     * @constant {RegExp}
+     */
+    const COMPARISON_PATTERN = /^(.*?)(>=|<=|!=|>|<|=)(.*)$/;
+
+    /** 자동완성 기본 후보 수 */
+    const DEFAULT_SUGGESTION_LIMIT = 10;
+
+    // ============================================
+    // 2. 검색 어휘 (자동완성 후보)
+    // ============================================
+
+    /**
+     * 검색 어휘 생성
+     * @param {Array} runes - 전체 룬 데이터
+     * @param {Object} [effectNameMap] - 효과명 매핑 (EffectWeights.EFFECT_NAME_MAP)
+     * @returns {Object} { effect, type, demerit, dot, enhance } 키별 후보 배열
+     */
+    function buildVocabulary(runes, effectNameMap) {
+        const effects = new Set(Object.keys(effectNameMap || {}));
+        const demerits = new Set();
+        const dots = new Set();
+
+        (runes || []).forEach(function(rune) {
+            (rune.effects || []).forEach(function(effect) {
+                if (effect.name) effects.add(effect.name);
+            });
+            (rune.demerits || []).forEach(function(demerit) {
+                if (demerit.name) demerits.add(demerit.name);
+            });
+            ((rune.synergy && rune.synergy.appliesDot) || []).forEach(function(dot) {
+                dots.add(dot);
+            });
+        });
+
+        return {
+            effect: Array.from(effects).sort(),
+            type: EFFECT_TYPES.slice(),
+            demerit: ['*'].concat(Array.from(demerits).sort()),
+            dot: ['*'].concat(Array.from(dots).sort()),
+            enhance: ENHANCE_LEVELS.concat('*')
+        };
+    }
+
+    // ============================================
+    // 3. 토큰 분리
+    // ============================================
+
+    /**
+     * 원시 토큰 분리 (공백 기준, 따옴표 안의 공백은 유지)
+     * @param {string} text - 검색어
+     * @returns {Array<Object>} { text, start, end, quoted }
+     */
+    function splitRawTokens(text) {
+        const tokens = [];
+        let current = null;
+        let inQuote = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (!inQuote && /\s/.test(ch)) {
+                if (current) {
+                    current.end = i;
+                    tokens.push(current);
+                    current = null;
+                }
+                continue;
+            }
+            if (!current) current = { text: '', start: i, end: i, quoted: false };
+            if (ch === '"') {
+                inQuote = !inQuote;
+                current.quoted = true;
+                continue;
+            }
+            current.text += ch;
+        }
+
+        if (current) {
+            current.end = text.length;
+            tokens.push(current);
+        }
+        return tokens;
+    }
+
+    /**
+     * 원시 토큰을 키/값으로 해석
+     * @param {Object} raw - splitRawTokens 결과 항목
+     * @returns {Object} { key, negate, value, start, end, quoted } (key가 null이면 자유 검색어)
+     */
+    function classifyToken(raw) {
+        const match = /^(-?)([^:\s]+):(.*)$/.exec(raw.text);
+        const key = match ? KEY_ALIASES[match[2].toLowerCase()] : null;
+
+        if (!key) {
+            return { key: null, negate: false, value: raw.text, start: raw.start, end: raw.end, quoted: raw.quoted };
+        }
+        return {
+            key: key,
+            negate: match[1] === '-',
+            value: match[3],
+            start: raw.start,
+            end: raw.end,
+            quoted: raw.quoted
+        };
+    }
+
+    /**
+     * 값을 이름과 비교식으로 분리
+     * @param {string} value - 'effect:' 뒤의 값 (예: '공격력 증가>=15')
+     * @returns {Object} { name, op, operand } (비교식이 없으면 op = null)
+     */
+    function splitComparison(value) {
+        const match = COMPARISON_PATTERN.exec(value);
+        if (!match) return { name: value, op: null, operand: null };
+        return { name: match[1], op: match[2], operand: match[3] };
+    }
+
+    /**
+     * 후보 중 해당 접두어로 시작하는 이름이 있는지
+     * @param {Array<string>} candidates - 어휘 후보
+     * @param {string} prefix - 이름 접두어
+     * @returns {boolean}
+     */
+    function hasNamePrefix(candidates, prefix) {
+        const lower = prefix.toLowerCase();
+        return candidates.some(function(name) {
+            return name.toLowerCase().indexOf(lower) === 0;
+        });
+    }
+
+    /**
+     * 쿼리 토큰 분리
+     * @param {string} text - 검색어
+     * @param {Object} [vocabulary] - buildVocabulary 결과
+     * @returns {Array<Object>} classifyToken 결과 배열
+     * @description 따옴표 없이 공백이 포함된 효과/결함 이름(예: effect:공격력 증가>=15)은
+     *              어휘에 있는 이름의 접두어로 이어지는 동안 뒤 단어를 합친다
+     */
+    function tokenize(text, vocabulary) {
+        const tokens = splitRawTokens(text || '').map(classifyToken);
+        const result = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const candidates = vocabulary && (token.key === 'effect' || token.key === 'demerit') ? vocabulary[token.key] : null;
+
+            if (candidates && !token.quoted) {
+                while (i + 1 < tokens.length) {
+                    const next = tokens[i + 1];
+                    if (next.key || next.quoted || splitComparison(token.value).op) break;
+
+                    const joined = token.value + ' ' + next.value;
+                    if (!hasNamePrefix(candidates, splitComparison(joined).name)) break;
+
+                    token.value = joined;
+                    token.end = next.end;
+                    i++;
+                }
+            }
+            result.push(token);
+        }
+        return result;
+    }
+
+    // ============================================
+    // 4. 쿼리 파싱
+    // ============================================
+
+    /**
+     * 비교 조건 파싱
+     * @param {Object} token - 쿼리 토큰
+     * @param {Array<string>} errors - 오류 메시지 누적
+     * @returns {Object|null} { name, op, operand } (오류 시 null)
+     */
+    function parseComparison(token, errors) {
+        const parts = splitComparison(token.value);
+        if (!parts.op) return { name: parts.name, op: null, operand: null };
+
+        const operand = parseFloat(parts.operand.replace(/%$/, ''));
+        if (!parts.name || isNaN(operand)) {
+            errors.push(`${token.key}: 비교식이 올바르지 않습니다 (${token.value})`);
+            return null;
+        }
+        return { name: parts.name, op: parts.op, operand: operand };
+    }
+
+    /**
+     * 검색어를 구조화 쿼리로 파싱
+     * @param {string} text - 검색어
+     * @param {Object} [vocabulary] - buildVocabulary 결과 (공백 포함 이름 인식용)
+     * @returns {Object} { terms, text, errors }
+     *   - terms: [{ key, negate, name, op, operand }]
+     *   - text: 자유 검색어 (소문자, 키 없는 단어를 공백으로 이은 문자열)
+     *   - errors: 무시된 조건의 오류 메시지
+     */
+    function parseQuery(text, vocabulary) {
+        const terms = [];
+        const words = [];
+        const errors = [];
+
+        tokenize(text, vocabulary).forEach(function(token) {
+            if (!token.key) {
+                if (token.value) words.push(token.value);
+                return;
+            }
+            if (!token.value) {
+                errors.push(`${token.key}: 값이 비어 있습니다`);
+                return;
+            }
+
+            const term = { key: token.key, negate: token.negate, name: token.value, op: null, operand: null };
+
+            if (token.key === 'effect' || token.key === 'demerit') {
+                const comparison = parseComparison(token, errors);
+                if (!comparison) return;
+                term.name = comparison.name;
+                term.op = comparison.op;
+                term.operand = comparison.operand;
+            } else if (token.key === 'type') {
+                const code = EFFECT_TYPE_ALIASES[token.value] || token.value.toUpperCase();
+                if (EFFECT_TYPES.indexOf(code) === -1) {
+                    errors.push(`type: 알 수 없는 효과 유형입니다 (${token.value})`);
+                    return;
+                }
+                term.name = code;
+            } else if (token.key === 'enhance') {
+                if (token.value !== '*' && ENHANCE_LEVELS.indexOf(token.value) === -1) {
+                    errors.push(`enhance: 강화 단계는 ${ENHANCE_LEVELS.join('/')} 또는 * 입니다 (${token.value})`);
+                    return;
+                }
+            }
+            terms.push(term);
+        });
+
+        return { terms: terms, text: words.join(' ').toLowerCase(), errors: errors };
+    }
+
+    /**
+     * 구조화 조건이 있는 검색어인지 확인
+     * @param {Object} query - parseQuery 결과
+     * @returns {boolean}
+     */
+    function isStructured(query) {
+        return !!query && (query.terms.length > 0 || query.errors.length > 0);
+    }
+
+    // ============================================
+    // 5. 룬 매칭
+    // ============================================
+
+    /**
+     * 수치 비교
+     * @param {number} value - 효과 수치
+     * @param {string|null} op - 비교 연산자
+     * @param {number} operand - 기준 값
+     * @returns {boolean}
+     */
+    function compare(value, op, operand) {
+        if (!op) return true;
+        if (typeof value !== 'number') return false;
+        switch (op) {
+            case '>=': return value >= operand;
+            case '<=': return value <= operand;
+            case '>': return value > operand;
+            case '<': return value < operand;
+            case '=': return value === operand;
+            case '!=': return value !== operand;
+            default: return false;
+        }
+    }
+
+    /**
+     * 이름 부분 일치 ('*'는 모두 일치)
+     * @param {string} name - 대상 이름
+     * @param {string} pattern - 검색 이름
+     * @returns {boolean}
+     */
+    function matchName(name, pattern) {
+        if (pattern === '*') return true;
+        return !!name && name.toLowerCase().indexOf(pattern.toLowerCase()) !== -1;
+    }
+
+    /**
+     * 이름/수치 조건을 만족하는 항목이 있는지
+     * @param {Array} entries - rune.effects 또는 rune.demerits
+     * @param {Object} term - 쿼리 조건
+     * @param {Array<string>} [types] - 같은 효과에 함께 적용할 효과 유형
+     * @returns {boolean}
+     */
+    function hasMatchingEntry(entries, term, types) {
+        return (entries || []).some(function(entry) {
+            if (!matchName(entry.name, term.name)) return false;
+            if (!compare(entry.value, term.op, term.operand)) return false;
+            return !types || types.every(function(type) { return entry.type === type; });
+        });
+    }
+
+    /**
+     * 단일 조건 평가 (부정 미적용)
+     * @param {Object} rune - 룬 데이터
+     * @param {Object} term - 쿼리 조건
+     * @param {Array<string>|null} effectTypes - effect: 조건에 함께 적용할 유형 (type: 조건)
+     * @returns {boolean}
+     */
+    function evaluateTerm(rune, term, effectTypes) {
+        switch (term.key) {
+            case 'effect':
+                return hasMatchingEntry(rune.effects, term, effectTypes);
+            case 'type':
+                return (rune.effects || []).some(function(effect) { return effect.type === term.name; });
+            case 'demerit':
+                return hasMatchingEntry(rune.demerits, term, null);
+            case 'dot': {
+                const dots = (rune.synergy && rune.synergy.appliesDot) || [];
+                return term.name === '*' ? dots.length > 0 : dots.indexOf(term.name) !== -1;
+            }
+            case 'enhance': {
+                const enhance = rune.enhanceEffects || {};
+                const levels = term.name === '*' ? ENHANCE_LEVELS : [term.name];
+                return levels.some(function(level) {
+                    return !!enhance[level] && Object.keys(enhance[level]).length > 0;
+                });
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 룬이 쿼리를 만족하는지 확인
+     * @param {Object} rune - 룬 데이터
+     * @param {Object} query - parseQuery 결과
+     * @returns {boolean}
+     */
+    function matchRune(rune, query) {
+        if (query.text) {
+            const nameMatch = rune.name && rune.name.toLowerCase().includes(query.text);
+            const desc = rune.rawDescription || rune.description || '';
+            if (!nameMatch && !desc.toLowerCase().includes(query.text)) return false;
+        }
+
+        // 긍정 type: 조건은 effect: 조건이 있으면 그 효과에 묶어서 평가
+        const hasEffectTerm = query.terms.some(function(term) { return term.key === 'effect'; });
+        const effectTypes = hasEffectTerm ? query.terms.filter(function(term) {
+            return term.key === 'type' && !term.negate;
+        }).map(function(term) { return term.name; }) : null;
+
+        return query.terms.every(function(term) {
+            if (term.key === 'type' && !term.negate && hasEffectTerm) return true;
+            return evaluateTerm(rune, term, effectTypes) !== term.negate;
+        });
+    }
+
+    // ============================================
+    // 6. 자동완성
+    // ============================================
+
+    /**
+     * 후보 정렬 (접두 일치 우선, 그다음 부분 일치)
+     * @param {Array<string>} candidates - 후보
+     * @param {string} fragment - 입력 중인 값
+     * @param {number} limit - 최대 개수
+     * @returns {Array<string>}
+     */
+    function rankCandidates(candidates, fragment, limit) {
+        const lower = fragment.toLowerCase();
+        const prefix = [];
+        const partial = [];
+
+        candidates.forEach(function(candidate) {
+            const index = candidate.toLowerCase().indexOf(lower);
+            if (index === 0) prefix.push(candidate);
+            else if (index > 0) partial.push(candidate);
+        });
+        return prefix.concat(partial).slice(0, limit);
+    }
+
+    /**
+     * 커서 위치의 토큰에 대한 자동완성 후보
+     * @param {string} text - 검색어 전체
+     * @param {number} cursor - 커서 위치
+     * @param {Object} vocabulary - buildVocabulary 결과
+     * @param {number} [limit=10] - 최대 후보 수
+     * @returns {Object|null} { start, end, items: [{ label, insert }] } (후보 없으면 null)
+     *   - start/end: 교체할 검색어 구간, insert: 교체 문자열
+     */
+    function getSuggestions(text, cursor, vocabulary, limit) {
+        const max = limit || DEFAULT_SUGGESTION_LIMIT;
+        const before = (text || '').slice(0, cursor);
+        if (!before || /\s$/.test(before) || !vocabulary) return null;
+
+        const tokens = tokenize(before, vocabulary);
+        const token = tokens[tokens.length - 1];
+        if (!token) return null;
+
+        const end = cursor + text.slice(cursor).search(/\s|$/);
+        let items;
+
+        if (!token.key) {
+            // 키 입력 중: 'ef' → 'effect:'
+            const negate = token.value.charAt(0) === '-';
+            const fragment = negate ? token.value.slice(1) : token.value;
+            if (!fragment || fragment.indexOf(':') !== -1) return null;
+            items = rankCandidates(QUERY_KEYS, fragment, max).filter(function(key) {
+                return key.indexOf(fragment.toLowerCase()) === 0;
+            }).map(function(key) {
+                return { label: key + ':', insert: (negate ? '-' : '') + key + ':' };
+            });
+        } else {
+            if (splitComparison(token.value).op) return null;
+            const prefix = (token.negate ? '-' : '') + token.key + ':';
+            items = rankCandidates(vocabulary[token.key] || [], token.value, max).map(function(candidate) {
+                return {
+                    label: candidate,
+                    insert: prefix + (/\s/.test(candidate) ? '"' + candidate + '"' : candidate)
+                };
+            });
+        }
+
+        if (!items.length) return null;
+        return { start: token.start, end: end, items: items };
+    }
+
+    // ============================================
+    // 모듈 내보내기 (Export)
+    // ============================================
+
+    window.RuneQuery = {
+        // 상수
+        QUERY_KEYS: QUERY_KEYS,
+        EFFECT_TYPES: EFFECT_TYPES,
+
+        // 파싱
+        buildVocabulary: buildVocabulary,
+        tokenize: tokenize,
+        parseQuery: parseQuery,
+        isStructured: isStructured,
+
+        // 매칭
+        matchRune: matchRune,
+
+        // 자동완성
+        getSuggestions: getSuggestions
+    };
+
+    console.log('✅ RuneQuery 검색 쿼리 모듈 로드 완료');
+
+})();
@@ -3,20 +3,26 @@
  * LocalStorage 관리 모듈
  * ============================================
  * @file        modules/storage-manager.js
- * @description LocalStorage 데이터 저장/불러오기 유틸리티
+ * @description 앱 데이터 저장/불러오기 유틸리티 (IndexedDB 우선, LocalStorage 대체)
  * @author      Dalkong Project
  * @created     2025-12-11
- * @modified    2025-12-11
- * @version     1.0.0
+ * @modified    2025-12-15
+ * @version     1.4.0
  * 
  * @architecture
  * - 전역 객체 패턴 (window.StorageManager)
  * - 모든 LocalStorage 작업을 중앙 집중화
+ * - IndexedDB 백엔드는 메모리 캐시로 동기 load/save 인터페이스를 유지 (쓰기는 비동기 반영) @added 2025-12-15
+ * - 저장소를 읽기 전에 StorageManager.ready()를 기다릴 것 (백엔드 준비 + 스키마 마이그레이션)
  * 
  * @structure
  * 1. 상수 정의 (Storage Keys)
  * 2. 저장/불러오기 함수
+ * 2-1. 저장소 백엔드 (IndexedDB / LocalStorage) @added 2025-12-15
  * 3. 데이터 검증 함수
+ * 4. 전체 백업 내보내기/가져오기 @added 2025-12-15
+ * 5. 스키마 마이그레이션 @added 2025-12-15
+ * 6. 탭 간 동기화 @added 2025-12-15
  */
 
 (function() {
@@ -47,22 +53,307 @@
         /** 캐릭터 프로필 목록 @added 2025-12-11 */
         CHARACTER_PROFILES: 'mabinogi_rune_character_profiles',
         /** 현재 선택된 캐릭터 @added 2025-12-11 */
-        CURRENT_CHARACTER: 'mabinogi_rune_current_character'
+        CURRENT_CHARACTER: 'mabinogi_rune_current_character',
+        /** 룬 계산기 전역 캐릭터 프로필 (CHARACTER_PROFILES와 별도 저장) @added 2025-12-15 */
+        CALCULATOR_PROFILES: 'mabinogi_character_profiles',
+        /** 룬 계산기에서 선택된 캐릭터 ID @added 2025-12-15 */
+        SELECTED_CHARACTER: 'selectedCharacterId',
+        /** 캐릭터별 장착 룬 { charId: { weapon, armors, emblem, accessories } } @added 2025-12-15 */
+        CHARACTER_EQUIPMENTS: 'mabinogi_character_equipments',
+        /** 캐릭터별 보유 룬 ID 목록 { charId: [runeId] } @added 2025-12-15 */
+        CHARACTER_OWNED_RUNES: 'mabinogi_character_owned_runes',
+        /** 캐릭터별 가중치 프로필 { charId: { active, profiles: { 이름: { effect, type, demerit, combatDuration } } } } @added 2025-12-15 */
+        CHARACTER_WEIGHT_PROFILES: 'mabinogi_character_weight_profiles'
     };
 
+    /**
+     * 키별 데이터 형태 (백업 가져오기 검증용)
+     * @constant {Object}
+     * @added 2025-12-15
+     * @description 'array' | 'object' | 'id' (문자열/숫자/null)
+     */
+    const KEY_SHAPES = {
+        FAVORITES: 'array',
+        PRESETS: 'array',
+        EQUIPPED_RUNES: 'object',
+        CHARACTER_STATS: 'object',
+        RECOMMEND_OPTIONS: 'object',
+        ENHANCE_LEVELS: 'object',
+        CHARACTER_PROFILES: 'array',
+        CURRENT_CHARACTER: 'id',
+        CALCULATOR_PROFILES: 'array',
+        SELECTED_CHARACTER: 'id',
+        CHARACTER_EQUIPMENTS: 'object',
+        CHARACTER_OWNED_RUNES: 'object',
+        CHARACTER_WEIGHT_PROFILES: 'object'
+    };
+
+    // ============================================
+    // 2-1. 저장소 백엔드 (IndexedDB / LocalStorage) @added 2025-12-15
+    // ============================================
+
+    /**
+     * IndexedDB 데이터베이스 설정
+     * @constant {Object}
+     */
+    const IDB_CONFIG = {
+        NAME: 'mabinogi_rune_calculator',
+        VERSION: 1,
+        STORE: 'keyval'
+    };
+
+    /**
+     * LocalStorage → IndexedDB 이전 완료 표시 키 (LocalStorage에 남김)
+     * @constant {string}
+     */
+    const BACKEND_FLAG_KEY = 'mabinogi_rune_storage_backend';
+
+    /**
+     * 현재 사용 중인 백엔드 ('localStorage' | 'indexedDB')
+     * @type {string}
+     */
+    let activeBackend = 'localStorage';
+
+    /** @type {IDBDatabase|null} 열린 IndexedDB */
+    let idbDatabase = null;
+
+    /**
+     * IndexedDB 사용 시 메모리 캐시 (키: JSON 문자열)
+     * @type {Object}
+     */
+    const idbCache = {};
+
+    /** @type {Promise<string>|null} ready() 결과 */
+    let readyPromise = null;
+
+    /**
+     * 이 모듈이 관리하는 모든 키 (백엔드 이전 대상)
+     * @returns {Array<string>} 저장소 키 목록
+     */
+    function getManagedKeys() {
+        return Object.values(STORAGE_KEYS).concat([SCHEMA_VERSION_KEY, PRE_MIGRATION_BACKUP_KEY, LEGACY_UNDEFINED_KEY]);
+    }
+
+    /**
+     * 원본 문자열 읽기
+     * @param {string} key - 저장소 키
+     * @returns {string|null} JSON 문자열
+     */
+    function readRaw(key) {
+        if (activeBackend === 'indexedDB') {
+            return Object.prototype.hasOwnProperty.call(idbCache, key) ? idbCache[key] : null;
+        }
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * 원본 문자열 쓰기 (IndexedDB는 캐시에 즉시 반영 후 비동기 저장)
+     * @param {string} key - 저장소 키
+     * @param {string} raw - JSON 문자열
+     */
+    function writeRaw(key, raw) {
+        if (activeBackend === 'indexedDB') {
+            idbCache[key] = raw;
+            persistToIndexedDB(function(store) {
+                store.put(raw, key);
+            });
+            return;
+        }
+        localStorage.setItem(key, raw);
+    }
+
+    /**
+     * 원본 삭제
+     * @param {string} key - 저장소 키
+     */
+    function deleteRaw(key) {
+        if (activeBackend === 'indexedDB') {
+            delete idbCache[key];
+            persistToIndexedDB(function(store) {
+                store.delete(key);
+            });
+            return;
+        }
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * IndexedDB 쓰기 트랜잭션 실행 (실패 시 LocalStorage로 전환)
+     * @param {Function} operation - (objectStore) => void
+     */
+    function persistToIndexedDB(operation) {
+        try {
+            const transaction = idbDatabase.transaction(IDB_CONFIG.STORE, 'readwrite');
+            transaction.onerror = transaction.onabort = function() {
+                fallbackToLocalStorage(transaction.error);
+            };
+            operation(transaction.objectStore(IDB_CONFIG.STORE));
+        } catch (e) {
+            fallbackToLocalStorage(e);
+        }
+    }
+
+    /**
+     * IndexedDB 쓰기 실패 시 캐시 내용을 LocalStorage로 옮기고 전환
+     * @param {Error} error - 실패 원인
+     */
+    function fallbackToLocalStorage(error) {
+        if (activeBackend !== 'indexedDB') return;
+        console.warn('[StorageManager] IndexedDB 쓰기 실패, LocalStorage로 전환:', error);
+
+        activeBackend = 'localStorage';
+        Object.keys(idbCache).forEach(function(key) {
+            try {
+                localStorage.setItem(key, idbCache[key]);
+            } catch (e) {
+                console.error('[StorageManager] LocalStorage 복사 실패:', key, e);
+            }
+        });
+        // 다음 실행 시 LocalStorage 내용을 다시 IndexedDB로 이전하도록 표시 제거
+        localStorage.removeItem(BACKEND_FLAG_KEY);
+    }
+
+    /**
+     * IndexedDB 요청을 Promise로 변환
+     * @param {IDBRequest|IDBTransaction} request - 요청 또는 트랜잭션
+     * @returns {Promise<*>} 결과
+     */
+    function promisifyRequest(request) {
+        return new Promise(function(resolve, reject) {
+            if ('oncomplete' in request) {
+                request.oncomplete = function() { resolve(); };
+                request.onabort = request.onerror = function() { reject(request.error); };
+            } else {
+                request.onsuccess = function() { resolve(request.result); };
+                request.onerror = function() { reject(request.error); };
+            }
+        });
+    }
+
+    /**
+     * IndexedDB 열기
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            return Promise.reject(new Error('IndexedDB를 지원하지 않는 환경'));
+        }
+
+        const request = indexedDB.open(IDB_CONFIG.NAME, IDB_CONFIG.VERSION);
+        request.onupgradeneeded = function() {
+            if (!request.result.objectStoreNames.contains(IDB_CONFIG.STORE)) {
+                request.result.createObjectStore(IDB_CONFIG.STORE);
+            }
+        };
+        return promisifyRequest(request);
+    }
+
+    /**
+     * LocalStorage의 기존 키를 IndexedDB로 한 번만 이전 (완료 후 LocalStorage에서 삭제)
+     * @param {IDBDatabase} db - 열린 IndexedDB
+     * @returns {Promise<number>} 이전한 키 수
+     */
+    function migrateLocalStorageToIndexedDB(db) {
+        if (localStorage.getItem(BACKEND_FLAG_KEY) === 'indexedDB') {
+            return Promise.resolve(0);
+        }
+
+        const entries = getManagedKeys()
+            .map(function(key) { return [key, localStorage.getItem(key)]; })
+            .filter(function(entry) { return entry[1] !== null; });
+
+        const transaction = db.transaction(IDB_CONFIG.STORE, 'readwrite');
+        const store = transaction.objectStore(IDB_CONFIG.STORE);
+        entries.forEach(function(entry) {
+            store.put(entry[1], entry[0]);
+        });
+
+        return promisifyRequest(transaction).then(function() {
+            entries.forEach(function(entry) {
+                localStorage.removeItem(entry[0]);
+            });
+            localStorage.setItem(BACKEND_FLAG_KEY, 'indexedDB');
+            if (entries.length > 0) {
+                console.log(`[StorageManager] LocalStorage → IndexedDB 이전 완료 (${entries.length}개 키)`);
+            }
+            return entries.length;
+        });
+    }
+
+    /**
+     * IndexedDB 전체 내용을 캐시로 읽기
+     * @param {IDBDatabase} db - 열린 IndexedDB
+     * @returns {Promise<Object>} 키: JSON 문자열
+     */
+    function readIndexedDB(db) {
+        const store = db.transaction(IDB_CONFIG.STORE, 'readonly').objectStore(IDB_CONFIG.STORE);
+        return Promise.all([
+            promisifyRequest(store.getAllKeys()),
+            promisifyRequest(store.getAll())
+        ]).then(function(results) {
+            const entries = {};
+            results[0].forEach(function(key, index) {
+                entries[key] = results[1][index];
+            });
+            return entries;
+        });
+    }
+
+    /**
+     * 저장소 준비 (IndexedDB 열기 → 기존 키 이전 → 캐시 로드 → 스키마 마이그레이션)
+     * @description IndexedDB를 쓸 수 없으면 LocalStorage를 그대로 사용. 여러 번 호출해도 한 번만 실행
+     * @returns {Promise<string>} 사용 중인 백엔드 이름
+     */
+    function ready() {
+        if (readyPromise) return readyPromise;
+
+        readyPromise = openDatabase()
+            .then(function(db) {
+                idbDatabase = db;
+                return migrateLocalStorageToIndexedDB(db);
+            })
+            .then(function() {
+                return readIndexedDB(idbDatabase);
+            })
+            .then(function(entries) {
+                Object.assign(idbCache, entries);
+                activeBackend = 'indexedDB';
+            })
+            .catch(function(e) {
+                console.warn('[StorageManager] IndexedDB를 사용할 수 없어 LocalStorage를 사용합니다:', e);
+                idbDatabase = null;
+                activeBackend = 'localStorage';
+            })
+            .then(function() {
+                runMigrations();
+                return activeBackend;
+            });
+
+        return readyPromise;
+    }
+
+    /**
+     * 현재 백엔드 이름
+     * @returns {string} 'localStorage' | 'indexedDB'
+     */
+    function getBackend() {
+        return activeBackend;
+    }
+
     // ============================================
     // 2. 저장/불러오기 함수
     // ============================================
 
     /**
-     * LocalStorage에서 데이터 로드
+     * 저장소에서 데이터 로드
+     * @updated 2025-12-15 - 현재 백엔드(IndexedDB 캐시/LocalStorage)에서 읽기
      * @param {string} key - 저장소 키
      * @param {*} defaultValue - 기본값 (데이터가 없거나 오류 시 반환)
      * @returns {*} 저장된 데이터 또는 기본값
      */
     function loadFromStorage(key, defaultValue) {
         try {
-            const data = localStorage.getItem(key);
+            const data = readRaw(key);
             if (data === null) {
                 return defaultValue;
             }
@@ -74,14 +365,17 @@
     }
 
     /**
-     * LocalStorage에 데이터 저장
+     * 저장소에 데이터 저장
+     * @updated 2025-12-15 - IndexedDB 사용 시 캐시 반영 후 비동기 저장
      * @param {string} key - 저장소 키
      * @param {*} value - 저장할 데이터 (JSON 직렬화 가능해야 함)
      * @returns {boolean} 저장 성공 여부
      */
     function saveToStorage(key, value) {
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            const raw = JSON.stringify(value);
+            writeRaw(key, raw);
+            broadcastChange(key, raw); // @added 2025-12-15 다른 탭에 알림
             return true;
         } catch (e) {
             console.error('[StorageManager] 저장 오류:', key, e);
@@ -94,13 +388,14 @@
     }
 
     /**
-     * LocalStorage에서 데이터 삭제
+     * 저장소에서 데이터 삭제
      * @param {string} key - 삭제할 저장소 키
      * @returns {boolean} 삭제 성공 여부
      */
     function removeFromStorage(key) {
         try {
-            localStorage.removeItem(key);
+            deleteRaw(key);
+            broadcastChange(key, null); // @added 2025-12-15
             return true;
         } catch (e) {
             console.error('[StorageManager] 삭제 오류:', key, e);
@@ -114,24 +409,51 @@
      * @returns {boolean} 데이터 존재 여부
      */
     function hasData(key) {
-        return localStorage.getItem(key) !== null;
+        return readRaw(key) !== null;
     }
 
     // ============================================
     // 3. 데이터 검증 함수
     // ============================================
 
+    /**
+     * 값이 키에 맞는 형태인지 확인
+     * @param {string} key - 저장소 키
+     * @param {*} value - 검사할 값
+     * @returns {boolean} 형태 일치 여부 (형태가 정의되지 않은 키는 true)
+     * @added 2025-12-15
+     */
+    function matchesShape(key, value) {
+        const name = Object.keys(STORAGE_KEYS).find(function(k) {
+            return STORAGE_KEYS[k] === key;
+        });
+        const shape = name ? KEY_SHAPES[name] : null;
+
+        if (value === null || shape === null) return true;
+        if (shape === 'array') return Array.isArray(value);
+        if (shape === 'object') return typeof value === 'object' && !Array.isArray(value);
+        if (shape === 'id') return typeof value === 'string' || typeof value === 'number';
+        return true;
+    }
+
     /**
      * 저장된 데이터 무결성 검증
      * @param {string} key - 저장소 키
+     * @param {*} [value] - 검사할 값 (지정하면 저장된 값 대신 이 값의 형태를 검사)
      * @returns {boolean} 데이터 유효성 여부
+     * @updated 2025-12-15 - 값 형태 검사 추가 (백업 가져오기용)
      */
-    function validateData(key) {
+    function validateData(key, value) {
+        if (arguments.length > 1) {
+            const valid = value !== undefined && matchesShape(key, value);
+            if (!valid) console.warn('[StorageManager] 형식이 맞지 않는 데이터:', key);
+            return valid;
+        }
+
         try {
-            const data = localStorage.getItem(key);
+            const data = readRaw(key);
             if (data === null) return true; // 데이터 없음은 유효
-            JSON.parse(data);
-            return true;
+            return matchesShape(key, JSON.parse(data));
         } catch (e) {
             console.warn('[StorageManager] 손상된 데이터 감지:', key);
             return false;
@@ -157,33 +479,685 @@
         Object.values(STORAGE_KEYS).forEach(function(key) {
             removeFromStorage(key);
         });
+        // 스키마 버전/마이그레이션 백업도 삭제 @added 2025-12-15
+        removeFromStorage(SCHEMA_VERSION_KEY);
+        removeFromStorage(PRE_MIGRATION_BACKUP_KEY);
         console.log('[StorageManager] 모든 데이터 초기화 완료');
     }
 
     /**
      * 현재 사용 중인 저장소 용량 확인
-     * @returns {Object} { used: number, total: number, percentage: number }
+     * @returns {Object} { used: number, total: number|null, percentage: number, backend: string }
+     * @updated 2025-12-15 - IndexedDB 사용 시 total은 null (브라우저별 할당량, 고정 한도 없음)
      */
     function getStorageUsage() {
         let totalSize = 0;
         
-        Object.values(STORAGE_KEYS).forEach(function(key) {
-            const data = localStorage.getItem(key);
+        getManagedKeys().forEach(function(key) {
+            const data = readRaw(key);
             if (data) {
                 totalSize += data.length * 2; // UTF-16 기준 (2 bytes per char)
             }
         });
 
         // 일반적인 LocalStorage 한도: 5MB
-        const totalLimit = 5 * 1024 * 1024;
+        const totalLimit = activeBackend === 'indexedDB' ? null : 5 * 1024 * 1024;
         
         return {
             used: totalSize,
             total: totalLimit,
-            percentage: Math.round((totalSize / totalLimit) * 100)
+            percentage: totalLimit ? Math.round((totalSize / totalLimit) * 100) : 0,
+            backend: activeBackend
         };
     }
 
+    // ============================================
+    // 4. 전체 백업 내보내기/가져오기 @added 2025-12-15
+    // ============================================
+
+    /**
+     * 백업 파일 식별자
+     * @constant {string}
+     */
+    const BACKUP_APP_ID = 'mabinogi-rune-calculator';
+
+    /**
+     * 현재 백업 형식 버전
+     * @constant {number}
+     */
+    const BACKUP_VERSION = 1;
+
+    /**
+     * 백업 형식 마이그레이션 (키 구성이 바뀔 때 추가)
+     * @constant {Array<Function>}
+     * @description BACKUP_MIGRATIONS[n - 1]은 버전 n 백업을 버전 n + 1로 변환 (backup.data를 직접 수정)
+     */
+    const BACKUP_MIGRATIONS = [];
+
+    /**
+     * 가져올 때 기존 데이터와 합치는 방식
+     * @constant {Object}
+     * @description
+     * - byId: 배열 항목을 id 기준으로 병합 (같은 id는 백업 값으로 교체, 나머지 유지)
+     * - byKey: 객체를 최상위 키(캐릭터 ID) 기준으로 병합
+     * - 지정하지 않은 키는 백업 값으로 덮어쓰기
+     */
+    const MERGE_STRATEGIES = {
+        PRESETS: 'byId',
+        CHARACTER_PROFILES: 'byId',
+        CALCULATOR_PROFILES: 'byId',
+        CHARACTER_EQUIPMENTS: 'byKey',
+        CHARACTER_OWNED_RUNES: 'byKey',
+        CHARACTER_WEIGHT_PROFILES: 'byKey'
+    };
+
+    /**
+     * 모든 앱 데이터를 버전이 있는 백업 객체로 내보내기
+     * @returns {Object} { app, version, exportedAt, data: { 키 이름: 값 } }
+     */
+    function exportBackup() {
+        const data = {};
+        Object.keys(STORAGE_KEYS).forEach(function(name) {
+            if (hasData(STORAGE_KEYS[name])) {
+                data[name] = loadFromStorage(STORAGE_KEYS[name], null);
+            }
+        });
+
+        return {
+            app: BACKUP_APP_ID,
+            version: BACKUP_VERSION,
+            schemaVersion: getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            data: data
+        };
+    }
+
+    /**
+     * 백업 JSON 해석 및 검증 (필요하면 현재 버전으로 마이그레이션)
+     * @param {string|Object} input - 백업 JSON 문자열 또는 객체
+     * @returns {Object} { backup, errors, skipped } - errors가 있으면 가져오기 불가
+     */
+    function parseBackup(input) {
+        let backup = input;
+        if (typeof input === 'string') {
+            try {
+                backup = JSON.parse(input);
+            } catch (e) {
+                return { backup: null, errors: ['JSON 형식이 아닙니다.'], skipped: [] };
+            }
+        }
+
+        if (!backup || backup.app !== BACKUP_APP_ID || typeof backup.data !== 'object' || backup.data === null) {
+            return { backup: null, errors: ['룬 계산기 백업 파일이 아닙니다.'], skipped: [] };
+        }
+        if (!(backup.version >= 1) || backup.version > BACKUP_VERSION) {
+            return { backup: null, errors: [`지원하지 않는 백업 버전입니다. (${backup.version})`], skipped: [] };
+        }
+
+        // 원본을 건드리지 않도록 복사 후 마이그레이션
+        const migrated = JSON.parse(JSON.stringify(backup));
+        for (let version = migrated.version; version < BACKUP_VERSION; version++) {
+            BACKUP_MIGRATIONS[version - 1](migrated);
+            migrated.version = version + 1;
+        }
+
+        const errors = [];
+        const skipped = [];
+        Object.keys(migrated.data).forEach(function(name) {
+            if (!STORAGE_KEYS[name]) {
+                skipped.push(name);
+                delete migrated.data[name];
+            } else if (!validateData(STORAGE_KEYS[name], migrated.data[name])) {
+                errors.push(`${name} 데이터 형식이 올바르지 않습니다.`);
+            }
+        });
+
+        return { backup: errors.length === 0 ? migrated : null, errors: errors, skipped: skipped };
+    }
+
+    /**
+     * 두 값을 병합 방식에 따라 합치기
+     * @param {string} strategy - 'byId' | 'byKey' | undefined(덮어쓰기)
+     * @param {*} current - 현재 저장된 값
+     * @param {*} incoming - 백업 값
+     * @returns {Object} { value, added, updated } - added/updated: 추가/교체된 항목 수
+     */
+    function mergeValue(strategy, current, incoming) {
+        if (strategy === 'byId' && Array.isArray(current) && Array.isArray(incoming)) {
+            const merged = current.slice();
+            let added = 0;
+            let updated = 0;
+            incoming.forEach(function(item) {
+                const index = item && item.id !== undefined
+                    ? merged.findIndex(function(existing) { return existing && existing.id === item.id; })
+                    : -1;
+                if (index === -1) {
+                    merged.push(item);
+                    added++;
+                } else {
+                    merged[index] = item;
+                    updated++;
+                }
+            });
+            return { value: merged, added: added, updated: updated };
+        }
+
+        if (strategy === 'byKey' && current && incoming && typeof current === 'object' && typeof incoming === 'object') {
+            const merged = Object.assign({}, current);
+            let added = 0;
+            let updated = 0;
+            Object.keys(incoming).forEach(function(key) {
+                if (Object.prototype.hasOwnProperty.call(merged, key)) updated++;
+                else added++;
+                merged[key] = incoming[key];
+            });
+            return { value: merged, added: added, updated: updated };
+        }
+
+        return { value: incoming, added: 0, updated: 0 };
+    }
+
+    /**
+     * 가져오기 미리보기 (무엇이 추가/병합/덮어써지는지)
+     * @param {Object} backup - parseBackup으로 검증된 백업
+     * @returns {Array<Object>} [{ name, action, added, updated }]
+     *   - action: 'new'(기존 없음) | 'same'(동일) | 'merge'(병합) | 'overwrite'(덮어쓰기)
+     */
+    function previewBackupImport(backup) {
+        return Object.keys(backup.data).map(function(name) {
+            const key = STORAGE_KEYS[name];
+            const incoming = backup.data[name];
+
+            if (!hasData(key)) {
+                return { name: name, action: 'new', added: 0, updated: 0 };
+            }
+
+            const current = loadFromStorage(key, null);
+            if (JSON.stringify(current) === JSON.stringify(incoming)) {
+                return { name: name, action: 'same', added: 0, updated: 0 };
+            }
+
+            const strategy = MERGE_STRATEGIES[name];
+            const result = mergeValue(strategy, current, incoming);
+            return {
+                name: name,
+                action: strategy ? 'merge' : 'overwrite',
+                added: result.added,
+                updated: result.updated
+            };
+        });
+    }
+
+    /**
+     * 백업 가져오기 (프로필/프리셋은 ID 기준 병합, 나머지는 덮어쓰기)
+     * @param {Object} backup - parseBackup으로 검증된 백업
+     * @returns {Array<string>} 저장에 실패한 키 이름 목록
+     */
+    function importBackup(backup) {
+        const failed = [];
+        Object.keys(backup.data).forEach(function(name) {
+            const key = STORAGE_KEYS[name];
+            const current = loadFromStorage(key, null);
+            const result = mergeValue(MERGE_STRATEGIES[name], current, backup.data[name]);
+            if (!saveToStorage(key, result.value)) failed.push(name);
+        });
+        console.log('[StorageManager] 백업 가져오기 완료' + (failed.length ? ` (실패: ${failed.join(', ')})` : ''));
+        return failed;
+    }
+
+    // ============================================
+    // 5. 스키마 마이그레이션 @added 2025-12-15
+    // ============================================
+
+    /**
+     * 저장 데이터 스키마 버전 키
+     * @constant {string}
+     */
+    const SCHEMA_VERSION_KEY = 'mabinogi_rune_schema_version';
+
+    /**
+     * 마이그레이션 직전 데이터 백업 키 (exportBackup 형식)
+     * @constant {string}
+     */
+    const PRE_MIGRATION_BACKUP_KEY = 'mabinogi_rune_pre_migration_backup';
+
+    /**
+     * 키 상수가 누락되어 'undefined' 키에 저장되던 데이터 (2025-12-15 이전 룬 계산기)
+     * @constant {string}
+     * @description 캐릭터 스탯/추천 옵션/강화 수치가 같은 키를 덮어써 마지막 저장값만 남아 있음
+     */
+    const LEGACY_UNDEFINED_KEY = 'undefined';
+
+    /**
+     * 배열 길이를 맞추고 빈 값은 null로 채우기
+     * @param {*} list - 원본 배열
+     * @param {number} length - 목표 길이
+     * @returns {Array} 길이가 맞춰진 배열
+     */
+    function padSlots(list, length) {
+        const source = Array.isArray(list) ? list : [];
+        const result = [];
+        for (let i = 0; i < length; i++) {
+            result.push(source[i] !== undefined && source[i] !== '' ? source[i] : null);
+        }
+        return result;
+    }
+
+    /**
+     * 슬롯별 장착 룬 정리 (룬 객체 또는 룬 ID만 남김)
+     * @param {Object} slots - 슬롯ID: 룬 객체 | 룬 ID
+     * @returns {Object} { value, fixed } - fixed: 변환/제거된 슬롯 수
+     */
+    function normalizeSlotRunes(slots) {
+        const value = {};
+        let fixed = 0;
+        Object.keys(slots || {}).forEach(function(slotId) {
+            const rune = slots[slotId];
+            if (rune && typeof rune === 'object' && rune.id !== undefined) {
+                value[slotId] = rune;
+            } else if (typeof rune === 'number' || (typeof rune === 'string' && /^\d+$/.test(rune))) {
+                // ID만 저장된 슬롯은 룬 계산기가 불러올 때 전체 데이터로 복원
+                value[slotId] = { id: parseInt(rune) };
+                fixed++;
+            } else {
+                fixed++;
+            }
+        });
+        return { value: value, fixed: fixed };
+    }
+
+    /**
+     * 스키마 마이그레이션 목록 (버전 오름차순, 추가만 하고 수정하지 말 것)
+     * @constant {Array<Object>}
+     * @description migrate()는 변경 내용 설명 배열을 반환
+     */
+    const SCHEMA_MIGRATIONS = [
+        {
+            version: 1,
+            description: "'undefined' 키에 저장된 스탯/추천 옵션/강화 수치 복구",
+            migrate: function() {
+                const changes = [];
+                if (!hasData(LEGACY_UNDEFINED_KEY)) return changes;
+
+                const legacy = loadFromStorage(LEGACY_UNDEFINED_KEY, null);
+                if (!legacy || typeof legacy !== 'object' || Array.isArray(legacy)) return changes;
+
+                // 저장 당시 키 모양으로 어느 데이터였는지 판별
+                const keys = Object.keys(legacy);
+                let target = null;
+                let label = '';
+                if (keys.some(function(k) { return k.indexOf('stat-') === 0; })) {
+                    target = 'CHARACTER_STATS';
+                    label = '캐릭터 스탯';
+                } else if (keys.some(function(k) { return k.indexOf('recommend-') === 0; })) {
+                    target = 'RECOMMEND_OPTIONS';
+                    label = '추천 옵션';
+                } else if (keys.every(function(k) { return /^(weapon|armor|emblem|accessory)-\d$/.test(k); })) {
+                    target = 'ENHANCE_LEVELS';
+                    label = '강화 수치';
+                }
+                if (!target) return changes;
+
+                if (!hasData(STORAGE_KEYS[target])) {
+                    saveToStorage(STORAGE_KEYS[target], legacy);
+                    changes.push(`${label} 복구 (${keys.length}개 항목)`);
+                }
+                removeFromStorage(LEGACY_UNDEFINED_KEY);
+                changes.push("'undefined' 키 삭제");
+                return changes;
+            }
+        },
+        {
+            version: 2,
+            description: '캐릭터별 장착/보유 룬 형태 정리',
+            migrate: function() {
+                const changes = [];
+
+                const equipments = loadFromStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, null);
+                if (equipments && typeof equipments === 'object') {
+                    let fixed = 0;
+                    Object.keys(equipments).forEach(function(charId) {
+                        const equipment = equipments[charId] || {};
+                        const normalized = {
+                            weapon: equipment.weapon || null,
+                            armors: padSlots(equipment.armors, 5),
+                            emblem: equipment.emblem || null,
+                            accessories: padSlots(equipment.accessories, 3)
+                        };
+                        if (JSON.stringify(normalized) !== JSON.stringify(equipment)) {
+                            equipments[charId] = normalized;
+                            fixed++;
+                        }
+                    });
+                    if (fixed > 0) {
+                        saveToStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, equipments);
+                        changes.push(`장착 룬 ${fixed}개 캐릭터 슬롯 구성 보정`);
+                    }
+                }
+
+                const owned = loadFromStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, null);
+                if (owned && typeof owned === 'object') {
+                    let fixed = 0;
+                    Object.keys(owned).forEach(function(charId) {
+                        const ids = Array.isArray(owned[charId]) ? owned[charId] : [];
+                        const normalized = ids
+                            .map(function(id) { return parseInt(id); })
+                            .filter(function(id, index, list) { return id > 0 && list.indexOf(id) === index; });
+                        if (JSON.stringify(normalized) !== JSON.stringify(owned[charId])) {
+                            owned[charId] = normalized;
+                            fixed++;
+                        }
+                    });
+                    if (fixed > 0) {
+                        saveToStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, owned);
+                        changes.push(`보유 룬 ${fixed}개 캐릭터 목록 정리 (중복/잘못된 ID 제거)`);
+                    }
+                }
+
+                return changes;
+            }
+        },
+        {
+            version: 3,
+            description: '시뮬레이터/프리셋 장착 룬 정리 (ID만 저장된 슬롯 변환, 빈 슬롯 제거)',
+            migrate: function() {
+                const changes = [];
+
+                const equipped = loadFromStorage(STORAGE_KEYS.EQUIPPED_RUNES, null);
+                if (equipped && typeof equipped === 'object' && !Array.isArray(equipped)) {
+                    const result = normalizeSlotRunes(equipped);
+                    if (result.fixed > 0) {
+                        saveToStorage(STORAGE_KEYS.EQUIPPED_RUNES, result.value);
+                        changes.push(`시뮬레이터 장착 슬롯 ${result.fixed}개 정리`);
+                    }
+                }
+
+                const presets = loadFromStorage(STORAGE_KEYS.PRESETS, null);
+                if (Array.isArray(presets)) {
+                    let fixed = 0;
+                    presets.forEach(function(preset) {
+                        if (!preset || typeof preset !== 'object') return;
+                        const result = normalizeSlotRunes(preset.runes);
+                        if (result.fixed > 0 || !preset.runes) {
+                            preset.runes = result.value;
+                            fixed++;
+                        }
+                    });
+                    if (fixed > 0) {
+                        saveToStorage(STORAGE_KEYS.PRESETS, presets);
+                        changes.push(`프리셋 ${fixed}개 장착 슬롯 정리`);
+                    }
+                }
+
+                return changes;
+            }
+        }
+    ];
+
+    /**
+     * 현재 코드가 기대하는 스키마 버전
+     * @constant {number}
+     */
+    const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+    /**
+     * 마지막 마이그레이션 실행 결과
+     * @type {Object|null}
+     */
+    let lastMigrationReport = null;
+
+    /**
+     * 저장된 스키마 버전 (기록이 없으면 0 = 버전 도입 이전 데이터)
+     * @returns {number} 스키마 버전
+     */
+    function getSchemaVersion() {
+        return parseInt(loadFromStorage(SCHEMA_VERSION_KEY, 0)) || 0;
+    }
+
+    /**
+     * 마이그레이션 대상 데이터가 하나라도 있는지 확인
+     * @returns {boolean}
+     */
+    function hasAppData() {
+        return hasData(LEGACY_UNDEFINED_KEY) || Object.values(STORAGE_KEYS).some(hasData);
+    }
+
+    /**
+     * 저장된 스키마 버전 이후의 마이그레이션을 순서대로 실행
+     * @description 실행 전 전체 데이터를 PRE_MIGRATION_BACKUP_KEY에 백업,
+     *              각 단계가 끝날 때마다 버전을 기록 (중간 실패 시 다음 실행에서 이어서 진행)
+     * @returns {Object} { fromVersion, toVersion, applied: [{ version, description, changes }], backupKey, error }
+     */
+    function runMigrations() {
+        const fromVersion = getSchemaVersion();
+        const report = { fromVersion: fromVersion, toVersion: fromVersion, applied: [], backupKey: null, error: null };
+
+        if (fromVersion >= SCHEMA_VERSION) {
+            lastMigrationReport = report;
+            return report;
+        }
+
+        // 새로 설치한 경우 옮길 데이터가 없으므로 버전만 기록
+        if (!hasAppData()) {
+            saveToStorage(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+            report.toVersion = SCHEMA_VERSION;
+            lastMigrationReport = report;
+            return report;
+        }
+
+        const backup = exportBackup();
+        if (hasData(LEGACY_UNDEFINED_KEY)) {
+            backup.legacy = { undefined: loadFromStorage(LEGACY_UNDEFINED_KEY, null) };
+        }
+        if (saveToStorage(PRE_MIGRATION_BACKUP_KEY, backup)) {
+            report.backupKey = PRE_MIGRATION_BACKUP_KEY;
+        }
+
+        for (let i = 0; i < SCHEMA_MIGRATIONS.length; i++) {
+            const migration = SCHEMA_MIGRATIONS[i];
+            if (migration.version <= fromVersion) continue;
+
+            try {
+                const changes = migration.migrate();
+                saveToStorage(SCHEMA_VERSION_KEY, migration.version);
+                report.toVersion = migration.version;
+                if (changes.length > 0) {
+                    report.applied.push({ version: migration.version, description: migration.description, changes: changes });
+                }
+            } catch (e) {
+                console.error('[StorageManager] 마이그레이션 실패:', migration.version, e);
+                report.error = `v${migration.version} ${migration.description}: ${e.message}`;
+                break;
+            }
+        }
+
+        console.log(`[StorageManager] 스키마 v${report.fromVersion} → v${report.toVersion}`, report.applied);
+        lastMigrationReport = report;
+        return report;
+    }
+
+    /**
+     * 마지막 마이그레이션 결과 조회
+     * @returns {Object|null} runMigrations 결과
+     */
+    function getMigrationReport() {
+        return lastMigrationReport;
+    }
+
+    /**
+     * 마이그레이션 직전 백업 조회
+     * @returns {Object|null} exportBackup 형식 백업 (없으면 null)
+     */
+    function getPreMigrationBackup() {
+        return loadFromStorage(PRE_MIGRATION_BACKUP_KEY, null);
+    }
+
+    // ============================================
+    // 6. 탭 간 동기화 @added 2025-12-15
+    // ============================================
+
+    /**
+     * 동기화 채널 이름
+     * @constant {string}
+     */
+    const SYNC_CHANNEL_NAME = 'mabinogi_rune_storage_sync';
+
+    /**
+     * 이 탭의 식별자 (자기 메시지 무시용)
+     * @constant {string}
+     */
+    const TAB_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+    /**
+     * storage 이벤트 동기화용 쓰기 기록 키 접미사 (값: { time, tabId })
+     * @constant {string}
+     * @description storage 이벤트에는 쓰기 시각이 없어 데이터 저장 직후 이 키에 기록해 함께 전달
+     */
+    const SYNC_STAMP_SUFFIX = '__sync';
+
+    /** @type {BroadcastChannel|null} 탭 간 메시지 채널 (미지원 시 storage 이벤트 사용) */
+    let syncChannel = null;
+
+    /** @type {Array<Function>} 다른 탭 변경 리스너 */
+    const changeListeners = [];
+
+    /**
+     * 키별 이 탭의 마지막 쓰기 시각
+     * @type {Object}
+     */
+    const lastLocalWrites = {};
+
+    /**
+     * 저장소 키 → STORAGE_KEYS 이름
+     * @param {string} key - 저장소 키
+     * @returns {string|null} 키 이름
+     */
+    function getKeyName(key) {
+        return Object.keys(STORAGE_KEYS).find(function(name) {
+            return STORAGE_KEYS[name] === key;
+        }) || null;
+    }
+
+    /**
+     * 이 탭의 변경을 다른 탭에 알림
+     * @param {string} key - 저장소 키
+     * @param {string|null} raw - JSON 문자열 (삭제 시 null)
+     */
+    function broadcastChange(key, raw) {
+        const time = Date.now();
+        lastLocalWrites[key] = time;
+
+        // storage 이벤트 방식: 데이터 이벤트 뒤에 쓰기 시각 이벤트가 이어지도록 기록
+        if (!syncChannel) {
+            if (activeBackend !== 'localStorage') return;
+            try {
+                localStorage.setItem(key + SYNC_STAMP_SUFFIX, JSON.stringify({ time: time, tabId: TAB_ID }));
+            } catch (e) {
+                console.warn('[StorageManager] 탭 동기화 기록 저장 실패:', key, e);
+            }
+            return;
+        }
+
+        try {
+            syncChannel.postMessage({ key: key, raw: raw, time: time, tabId: TAB_ID });
+        } catch (e) {
+            console.warn('[StorageManager] 탭 동기화 메시지 전송 실패:', key, e);
+        }
+    }
+
+    /**
+     * 다른 탭의 변경 반영 (마지막 쓰기 우선)
+     * @param {Object} message - { key, raw, time, tabId }
+     * @description 이 탭이 같은 키를 더 나중에 썼다면 다른 탭의 값을 무시하고
+     *              이 탭의 값을 다시 저장/전파해 모든 탭이 최신 값으로 수렴하게 함 (conflict: true)
+     */
+    function applyRemoteChange(message) {
+        if (!message || message.tabId === TAB_ID) return;
+
+        const key = message.key;
+        const name = getKeyName(key);
+        if (!name) return;
+
+        const localTime = lastLocalWrites[key] || 0;
+        const event = { key: key, name: name, time: message.time, tabId: message.tabId, conflict: false, value: null };
+
+        if (localTime > message.time) {
+            const mine = readRaw(key);
+            if (mine !== null) {
+                writeRaw(key, mine);
+                broadcastChange(key, mine);
+            }
+            event.conflict = true;
+            event.value = mine !== null ? JSON.parse(mine) : null;
+            console.warn('[StorageManager] 다른 탭과 동시 저장 감지 - 이 탭의 최신 값 유지:', name);
+        } else {
+            // 다른 탭이 이미 저장소에 기록했으므로 IndexedDB 캐시만 갱신
+            if (activeBackend === 'indexedDB') {
+                if (message.raw === null) delete idbCache[key];
+                else idbCache[key] = message.raw;
+            }
+            try {
+                event.value = message.raw !== null ? JSON.parse(message.raw) : null;
+            } catch (e) {
+                event.value = null;
+            }
+        }
+
+        changeListeners.forEach(function(listener) {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error('[StorageManager] 변경 리스너 오류:', e);
+            }
+        });
+    }
+
+    /**
+     * 다른 탭에서 저장된 변경 구독
+     * @param {Function} listener - ({ key, name, value, time, tabId, conflict }) => void
+     * @returns {Function} 구독 해제 함수
+     */
+    function onRemoteChange(listener) {
+        changeListeners.push(listener);
+        return function() {
+            const index = changeListeners.indexOf(listener);
+            if (index !== -1) changeListeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * 탭 동기화 시작 (BroadcastChannel 우선, 없으면 storage 이벤트)
+     */
+    function startTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncChannel.onmessage = function(e) {
+                applyRemoteChange(e.data);
+            };
+            return;
+        }
+
+        // storage 이벤트는 LocalStorage 백엔드일 때만 발생 (IndexedDB 사용 시 동기화 불가)
+        // 데이터 키 대신 쓰기 기록 키의 이벤트로 반영 (작성 탭의 쓰기 시각으로 충돌 판단)
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('storage', function(e) {
+                if (activeBackend !== 'localStorage' || !e.key || !e.newValue) return;
+                if (e.key.slice(-SYNC_STAMP_SUFFIX.length) !== SYNC_STAMP_SUFFIX) return;
+
+                let stamp;
+                try {
+                    stamp = JSON.parse(e.newValue);
+                } catch (error) {
+                    return;
+                }
+                if (!stamp || typeof stamp.time !== 'number') return;
+
+                const key = e.key.slice(0, -SYNC_STAMP_SUFFIX.length);
+                applyRemoteChange({ key: key, raw: localStorage.getItem(key), time: stamp.time, tabId: stamp.tabId });
+            });
+        }
+    }
+
     // ============================================
     // 전역 객체 등록
     // ============================================
@@ -202,16 +1176,41 @@
         remove: removeFromStorage,
         has: hasData,
         
+        // 백엔드 @added 2025-12-15
+        ready: ready,
+        getBackend: getBackend,
+
+        // 탭 간 동기화 @added 2025-12-15
+        onRemoteChange: onRemoteChange,
+
         // 검증/유틸리티
         validate: validateData,
         repair: repairData,
         clearAll: clearAllData,
-        getUsage: getStorageUsage
+        getUsage: getStorageUsage,
+
+        // 전체 백업 @added 2025-12-15
+        BACKUP_VERSION: BACKUP_VERSION,
+        exportBackup: exportBackup,
+        parseBackup: parseBackup,
+        previewImport: previewBackupImport,
+        importBackup: importBackup,
+
+        // 스키마 마이그레이션 @added 2025-12-15
+        SCHEMA_VERSION: SCHEMA_VERSION,
+        getSchemaVersion: getSchemaVersion,
+        runMigrations: runMigrations,
+        getMigrationReport: getMigrationReport,
+        getPreMigrationBackup: getPreMigrationBackup
     };
 
     // SM 약어도 등록 (하위 호환)
     window.SM = window.StorageManager;
 
+    // 저장소 준비 시작 (백엔드 이전 후 스키마 마이그레이션 실행) @added 2025-12-15
+    ready();
+    startTabSync();
+
     console.log('✅ StorageManager 모듈 로드 완료');
 
 })();
@@ -30,6 +30,8 @@
  * @requires StorageManager (modules/storage-manager.js)
  * @requires UIManager (modules/ui-manager.js)
  * @requires DataLoader (modules/data-loader.js)
+ * @requires RuneSchema (constants/rune-schema.js, DataLoader 경유)
+ * @requires RuneEffectParser (formulas/rune-effect-parser.js)
  * @requires CharacterManager (modules/character-manager.js)
  * 
  * @structure
@@ -238,7 +240,11 @@ function handleRuneImageError(img) {
         /** 능력치 계산 공식 */
         StatFormulas: window.StatFormulas || null,
         /** 효율 점수 계산기 */
-        EfficiencyCalculator: window.EfficiencyCalculator || null
+        EfficiencyCalculator: window.EfficiencyCalculator || null,
+        /** 구조화 검색 쿼리 @added 2025-12-15 */
+        RuneQuery: window.RuneQuery || null,
+        /** 빌드 공유 코드 @added 2025-12-15 */
+        BuildShare: window.BuildShare || null
     };
 
     /**
@@ -492,14 +498,19 @@ function handleRuneImageError(img) {
      * LocalStorage 키
      * @constant {Object}
      * @updated 2025-12-11 - 캐릭터 프로필 키 추가
+     * @updated 2025-12-15 - 누락된 스탯/추천 옵션/강화 수치 키 추가 (StorageManager.KEYS와 동일)
      */
     const STORAGE_KEYS = {
         FAVORITES: 'mabinogi_rune_favorites',
         PRESETS: 'mabinogi_rune_presets',
         EQUIPPED_RUNES: 'mabinogi_rune_equipped',
+        CHARACTER_STATS: 'mabinogi_rune_character_stats', // @added 2025-12-15
+        RECOMMEND_OPTIONS: 'mabinogi_rune_recommend_options', // @added 2025-12-15
+        ENHANCE_LEVELS: 'mabinogi_rune_enhance_levels', // @added 2025-12-15
         CHARACTER_PROFILES: 'mabinogi_character_profiles',
         CHARACTER_EQUIPMENTS: 'mabinogi_character_equipments', // @added 2025-12-11
-        CHARACTER_OWNED_RUNES: 'mabinogi_character_owned_runes' // @added 2025-12-11 보유 룬
+        CHARACTER_OWNED_RUNES: 'mabinogi_character_owned_runes', // @added 2025-12-11 보유 룬
+        CHARACTER_WEIGHT_PROFILES: 'mabinogi_character_weight_profiles' // @added 2025-12-15 가중치 프로필
     };
 
     // ============================================
@@ -517,17 +528,24 @@ function handleRuneImageError(img) {
         filteredRunes: [],
         /** @type {number} 현재 페이지 번호 */
         currentPage: 1,
-        /** @type {Object} 현재 필터 조건 @updated 2025-12-11 - 등급 배열 */
+        /** @type {Object} 현재 필터 조건 @updated 2025-12-11 - 등급 배열, @updated 2025-12-15 - 정렬 모드 */
         filters: {
             search: '',
             category: 'all',
             grade: ['08_8', '05_8'],  // 기본: 신화, 전설(S1)
-            klass: 'all'
+            klass: 'all',
+            sort: 'grade'
         },
         /** @type {Object} 장착된 룬 (슬롯ID: 룬객체) */
         equippedRunes: {},
         /** @type {Array} 즐겨찾기한 룬 ID 목록 */
         favorites: [],
+        /** @type {Array<number>} 비교 대상 룬 ID 목록 (최대 MAX_COMPARE_RUNES) @added 2025-12-15 */
+        compareRuneIds: [],
+        /** @type {Array<Object>} 빌드 비교 대상 { id, name, runes } (현재 장착 제외) @added 2025-12-15 */
+        compareLoadouts: [],
+        /** @type {Object|null} 공유 링크로 받은 빌드 (미리보기 중) { code, runes, enhanceLevels, classCode, stats, missingIds, mismatched } @added 2025-12-15 */
+        sharedBuild: null,
         /** @type {Array} 저장된 프리셋 목록 */
         presets: [],
         /** @type {string|null} 현재 선택된 슬롯 (모달용) */
@@ -545,7 +563,11 @@ function handleRuneImageError(img) {
         /** @type {boolean} 장착 탭에서 모달을 열었는지 플래그 @added 2025-12-11 */
         isEquipmentSlot: false,
         /** @type {Object} 캐릭터별 보유 룬 ID 목록 @added 2025-12-11 */
-        characterOwnedRunes: {}
+        characterOwnedRunes: {},
+        /** @type {Object} 캐릭터별 가중치 프로필 { charId: { active, profiles } } @added 2025-12-15 */
+        characterWeightProfiles: {},
+        /** @type {Object} 룬 데이터 버전 { version, lastUpdated } @added 2025-12-15 */
+        dataVersion: { version: null, lastUpdated: null }
     };
 
     // ============================================
@@ -695,12 +717,16 @@ function handleRuneImageError(img) {
         try {
             // 4개의 분리된 JSON 파일 + 원본 JSON(이미지 정보용) 병렬 로드
             // @updated 2025-12-11 - 원본 runes.json에서 이미지 경로 매핑
-            const [weaponRes, armorRes, accessoryRes, emblemRes, originalRes] = await Promise.all([
+            // @updated 2025-12-15 - 패치 변경 기록(runes-changes.json) 추가
+            // @updated 2025-12-15 - 시너지 규칙(synergy-rules.json) 추가
+            const [weaponRes, armorRes, accessoryRes, emblemRes, originalRes, changesRes, synergyRes] = await Promise.all([
                 fetch('runes-weapon.json'),
                 fetch('runes-armor.json'),
                 fetch('runes-accessory.json'),
                 fetch('runes-emblem.json'),
-                fetch('runes.json')
+                fetch('runes.json'),
+                fetch('runes-changes.json').catch(() => null),
+                fetch('synergy-rules.json').catch(() => null)
             ]);
 
             // 응답 확인
@@ -715,6 +741,14 @@ function handleRuneImageError(img) {
             const accessoryData = await accessoryRes.json();
             const emblemData = await emblemRes.json();
 
+            // 시너지 규칙 적용 (실패 시 시너지 없이 계산)
+            // @added 2025-12-15
+            const synergyRules = synergyRes && synergyRes.ok ? await synergyRes.json().catch(() => null) : null;
+            const synergyLoad = window.SynergyEngine.setRules(synergyRules);
+            if (!synergyRules || synergyLoad.errors.length > 0) {
+                showToast('시너지 규칙을 일부 불러오지 못했습니다 (콘솔 참고)', 'warning');
+            }
+
             // 원본 JSON에서 이미지 매핑 생성 (룬 이름 → 이미지 경로)
             // @added 2025-12-11 - 수동 파싱 데이터에 이미지 정보 병합용
             const imageMap = {};
@@ -728,11 +762,21 @@ function handleRuneImageError(img) {
                 console.log(`📷 이미지 매핑 생성: ${Object.keys(imageMap).length}개`);
             }
 
-            // 무기 룬은 { runes: [...] } 형태, 나머지는 배열
-            const weaponRunes = weaponData.runes || weaponData;
-            const armorRunes = armorData;
-            const accessoryRunes = accessoryData;
-            const emblemRunes = emblemData;
+            // 스키마 검증 후 병합 (무기 룬은 { runes: [...] } 형태, 나머지는 배열)
+            // @added 2025-12-15 - 오류가 있는 룬은 최적화 대상에 들어가지 않도록 제외
+            const validation = window.DataLoader.validateRuneFiles({
+                'runes-weapon.json': weaponData,
+                'runes-armor.json': armorData,
+                'runes-accessory.json': accessoryData,
+                'runes-emblem.json': emblemData
+            });
+            const weaponRunes = validation.runesByFile['runes-weapon.json'];
+            const armorRunes = validation.runesByFile['runes-armor.json'];
+            const accessoryRunes = validation.runesByFile['runes-accessory.json'];
+            const emblemRunes = validation.runesByFile['runes-emblem.json'];
+            if (validation.invalidCount > 0) {
+                showToast(`데이터 오류로 룬 ${validation.invalidCount}개를 제외했습니다 (콘솔 참고)`, 'warning');
+            }
 
             // 전체 룬 병합
             let allRunes = [
@@ -751,6 +795,14 @@ function handleRuneImageError(img) {
                 return rune;
             });
 
+            // 최신 패치 변경 표시 (데이터 버전과 변경 기록 버전이 같을 때만)
+            // @added 2025-12-15
+            state.dataVersion = { version: weaponData.version || null, lastUpdated: weaponData.lastUpdated || null };
+            if (changesRes && changesRes.ok) {
+                const changelog = await changesRes.json();
+                allRunes = applyPatchChanges(allRunes, changelog, state.dataVersion);
+            }
+
             // baseScore 계산 (통합 함수 사용)
             // @updated 2025-12-12 - calculateUnifiedScore 함수로 통합
             allRunes = allRunes.map(rune => {
@@ -772,7 +824,7 @@ function handleRuneImageError(img) {
                 '장신구': accessoryRunes.length,
                 '엠블럼': emblemRunes.length
             };
-            console.log(`✅ 룬 데이터 로드 완료: 총 ${allRunes.length}개`);
+            console.log(`✅ 룬 데이터 로드 완료: 총 ${allRunes.length}개 (데이터 v${state.dataVersion.version || '?'}, ${state.dataVersion.lastUpdated || '-'})`);
             console.log('📊 카테고리별 룬 수:', categoryStats);
 
             // 등급별 통계 출력
@@ -786,6 +838,8 @@ function handleRuneImageError(img) {
             // 초기 렌더링
             renderRuneList();
             updateFilterCount();
+            populateConstraintOptions(); // @added 2025-12-15
+            buildSearchVocabulary(); // @added 2025-12-15
 
         } catch (error) {
             console.error('❌ 룬 데이터 로드 실패:', error);
@@ -806,14 +860,74 @@ function handleRuneImageError(img) {
         }
     }
 
+    /**
+     * 패치 변경 기록을 룬 데이터에 반영
+     * @param {Array} runes - 전체 룬
+     * @param {Object} changelog - runes-changes.json (scripts/rune-patch-diff.js --write 결과)
+     * @param {Object} dataVersion - 현재 데이터 버전 { version, lastUpdated }
+     * @returns {Array} patchChange 필드가 추가된 룬 배열
+     * @description 변경 기록 버전이 현재 데이터 버전과 다르면 (이전 패치 기록) 무시
+     * @added 2025-12-15
+     */
+    function applyPatchChanges(runes, changelog, dataVersion) {
+        if (!changelog || !changelog.runes) return runes;
+        if (changelog.version !== dataVersion.version) {
+            console.log(`ℹ️ 패치 변경 기록(v${changelog.version})이 데이터 버전(v${dataVersion.version})과 달라 표시하지 않습니다.`);
+            return runes;
+        }
+
+        let count = 0;
+        const result = runes.map(rune => {
+            const change = changelog.runes[rune.id];
+            if (!change) return rune;
+            count++;
+            return { ...rune, patchChange: { ...change, version: changelog.version } };
+        });
+        console.log(`🆕 최신 패치 변경 룬: ${count}개 (v${changelog.from && changelog.from.version} → v${changelog.version})`);
+        return result;
+    }
+
     // ============================================
     // 5. 필터링/검색 (Filtering)
     // ============================================
 
+    /**
+     * 구조화 검색 어휘 (자동완성 후보)
+     * @type {Object|null}
+     * @added 2025-12-15
+     */
+    let searchVocabulary = null;
+
+    /**
+     * 검색 어휘 생성 (전체 룬 효과명 + EFFECT_NAME_MAP)
+     * @added 2025-12-15
+     */
+    function buildSearchVocabulary() {
+        if (!Modules.RuneQuery) return;
+        const nameMap = Modules.EffectWeights ? Modules.EffectWeights.EFFECT_NAME_MAP : null;
+        searchVocabulary = Modules.RuneQuery.buildVocabulary(state.allRunes, nameMap);
+    }
+
+    /**
+     * 검색어 파싱 결과를 힌트 영역에 표시
+     * @param {Object|null} query - RuneQuery.parseQuery 결과
+     * @added 2025-12-15
+     */
+    function renderSearchQueryHint(query) {
+        const hint = $('#search-query-hint');
+        if (!hint) return;
+        if (hint.dataset.defaultText === undefined) hint.dataset.defaultText = hint.textContent;
+
+        const errors = query ? query.errors : [];
+        hint.classList.toggle('search-query__hint--error', errors.length > 0);
+        hint.textContent = errors.length > 0 ? `⚠️ ${errors.join(' · ')}` : hint.dataset.defaultText;
+    }
+
     /**
      * 룬 데이터 필터링
      * @description 현재 필터 조건에 따라 룬 목록 필터링
      * @updated 2025-12-11 - 수동 파싱 데이터 구조에 맞게 수정 (gradeName, rawDescription 사용)
+     * @updated 2025-12-15 - 검색어를 구조화 효과 쿼리로 해석 (RuneQuery)
      */
     function filterRunes() {
         const {
@@ -823,9 +937,14 @@ function handleRuneImageError(img) {
             klass
         } = state.filters;
 
+        const query = search && Modules.RuneQuery ? Modules.RuneQuery.parseQuery(search, searchVocabulary) : null;
+        renderSearchQueryHint(query);
+
         state.filteredRunes = state.allRunes.filter(rune => {
-            // 검색어 필터
-            if (search) {
+            // 검색어 필터 (effect:/type:/demerit:/dot:/enhance: 조건 + 이름/설명 부분 일치)
+            if (query) {
+                if (!Modules.RuneQuery.matchRune(rune, query)) return false;
+            } else if (search) {
                 const searchLower = search.toLowerCase();
                 const nameMatch = rune.name && rune.name.toLowerCase().includes(searchLower);
                 // 수동 파싱 데이터에서는 rawDescription 사용
@@ -864,14 +983,7 @@ function handleRuneImageError(img) {
             return true;
         });
 
-        // 등급 우선순위 정렬 (신화 > 전설(시즌1) > 전설(시즌0) > 유니크)
-        state.filteredRunes.sort((a, b) => {
-            const gradeInfoA = getGradeInfo(a);
-            const gradeInfoB = getGradeInfo(b);
-            const priorityA = gradeInfoA ? gradeInfoA.priority : 999;
-            const priorityB = gradeInfoB ? gradeInfoB.priority : 999;
-            return priorityA - priorityB;
-        });
+        sortFilteredRunes();
 
         // 페이지 초기화 및 렌더링
         state.currentPage = 1;
@@ -880,6 +992,128 @@ function handleRuneImageError(img) {
         updateFilterCount();
     }
 
+    /**
+     * 룬 목록 정렬 모드
+     * @constant {Object}
+     * @description metric이 있는 모드는 getRuneSortMetrics 값으로 정렬 (동점은 등급순)
+     * @added 2025-12-15
+     */
+    const RUNE_SORT_MODES = {
+        grade: { label: '등급순' },
+        efficiency: { label: '효율', metric: 'efficiency', descending: true },
+        efficiency15: { label: '+15', metric: 'efficiency15', descending: true },
+        dps: { label: 'DPS', metric: 'dps', descending: true, unit: '%' },
+        demerit: { label: '결함', metric: 'demerit', descending: false },
+        name: { label: '이름순' }
+    };
+
+    /**
+     * 정렬 점수 캐시 (캐릭터/장착 도트 조합이 바뀌면 초기화)
+     * @type {Object} { key, dotTypes, dpsBaseline, metrics: { [runeId]: metrics } }
+     * @added 2025-12-15
+     */
+    let runeSortMetricCache = { key: null, dotTypes: [], dpsBaseline: 0, metrics: {} };
+
+    /**
+     * 선택된 전역 캐릭터의 점수 계산 조건
+     * @returns {Object} { key, dotTypes } - dotTypes: 캐릭터 장착 룬이 부여하는 지속 피해 유형
+     * @added 2025-12-15
+     * @updated 2025-12-15 - 가중치 프로필이 바뀌어도 캐시 초기화
+     */
+    function getRuneSortContext() {
+        const charId = state.selectedCharacterId;
+        const equipment = charId ? state.characterEquipments[charId] : null;
+        const dotTypes = [];
+
+        if (equipment) {
+            const ids = [equipment.weapon, equipment.emblem]
+                .concat(equipment.armors || [], equipment.accessories || [])
+                .filter(Boolean);
+            ids.forEach(id => {
+                const rune = state.allRunes.find(r => r.id === id);
+                if (!rune) return;
+                // 수동 파싱 데이터는 description이 없으므로 synergy.appliesDot도 함께 사용
+                dotTypes.push(...getRuneDotTypes(rune), ...((rune.synergy && rune.synergy.appliesDot) || []));
+            });
+        }
+
+        const uniqueDots = [...new Set(dotTypes)].sort();
+        return { key: `${charId || ''}|${uniqueDots.join(',')}|${activeWeightSignature}`, dotTypes: uniqueDots };
+    }
+
+    /**
+     * 정렬 점수 캐시 갱신 (캐릭터나 장착 도트가 바뀌었으면 캐시 초기화)
+     * @added 2025-12-15
+     */
+    function refreshRuneSortContext() {
+        const context = getRuneSortContext();
+        if (runeSortMetricCache.key !== context.key) {
+            // 효과가 없을 때의 기대 DPS 증가량 (기본 치명타 등) - DPS 기여도는 이 값과의 차이
+            const dpsBaseline = calculateExpectedDPS({}, {}).totalDPSIncrease;
+            runeSortMetricCache = { key: context.key, dotTypes: context.dotTypes, dpsBaseline: dpsBaseline, metrics: {} };
+        }
+    }
+
+    /**
+     * 룬 정렬 점수 조회 (캐시)
+     * @param {Object} rune - 룬 데이터
+     * @returns {Object} { efficiency, efficiency15, dps, demerit }
+     * @description calculateRuneEfficiencyScore를 선택 캐릭터의 장착 도트 유형 기준으로 계산
+     *              (기준 갱신은 refreshRuneSortContext)
+     * @added 2025-12-15
+     */
+    function getRuneSortMetrics(rune) {
+        let metrics = runeSortMetricCache.metrics[rune.id];
+        if (!metrics) {
+            const dotTypes = runeSortMetricCache.dotTypes;
+            const base = calculateRuneEfficiencyScore(rune, 0, dotTypes);
+            const enhanced = calculateRuneEfficiencyScore(rune, 15, dotTypes);
+            metrics = {
+                efficiency: base.score,
+                efficiency15: enhanced.score,
+                dps: base.dpsAnalysis ? Math.round((base.dpsAnalysis.totalDPSIncrease - runeSortMetricCache.dpsBaseline) * 10) / 10 : 0,
+                // 추천 제약 조건의 결함 가중치 상한과 같은 기준
+                demerit: Math.round(window.SharedFormulas.getRuneDemeritWeight(rune) * 10) / 10
+            };
+            runeSortMetricCache.metrics[rune.id] = metrics;
+        }
+        return metrics;
+    }
+
+    /**
+     * 등급 우선순위 비교 (신화 > 전설(시즌1) > 전설(시즌0) > 유니크)
+     * @param {Object} a - 룬 A
+     * @param {Object} b - 룬 B
+     * @returns {number}
+     */
+    function compareGradePriority(a, b) {
+        const gradeInfoA = getGradeInfo(a);
+        const gradeInfoB = getGradeInfo(b);
+        const priorityA = gradeInfoA ? gradeInfoA.priority : 999;
+        const priorityB = gradeInfoB ? gradeInfoB.priority : 999;
+        return priorityA - priorityB;
+    }
+
+    /**
+     * 필터링된 룬 목록 정렬 (state.filters.sort)
+     * @added 2025-12-15
+     */
+    function sortFilteredRunes() {
+        refreshRuneSortContext();
+        const mode = RUNE_SORT_MODES[state.filters.sort] || RUNE_SORT_MODES.grade;
+
+        if (mode.metric) {
+            state.filteredRunes.sort((a, b) => {
+                const diff = getRuneSortMetrics(a)[mode.metric] - getRuneSortMetrics(b)[mode.metric];
+                return (mode.descending ? -diff : diff) || compareGradePriority(a, b);
+            });
+        } else if (state.filters.sort === 'name') {
+            state.filteredRunes.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ko'));
+        } else {
+            state.filteredRunes.sort(compareGradePriority);
+        }
+    }
+
     /**
      * 필터 조건 업데이트 및 적용
      * @param {string} filterType - 필터 종류
@@ -909,13 +1143,18 @@ function handleRuneImageError(img) {
             search: '',
             category: 'all',
             grade: ['08_8', '05_8'],  // 기본: 신화, 전설(S1) 체크
-            klass: 'all'
+            klass: 'all',
+            sort: 'grade'
         };
 
         // 검색 입력 초기화
         const searchInput = $('#search-input');
         if (searchInput) searchInput.value = '';
 
+        // 정렬 초기화 @added 2025-12-15
+        const sortSelect = $('#filter-sort');
+        if (sortSelect) sortSelect.value = 'grade';
+
         // 카테고리 버튼 초기화
         const categoryBtnGroup = $('#filter-category');
         if (categoryBtnGroup) {
@@ -944,6 +1183,82 @@ function handleRuneImageError(img) {
         showToast('필터가 초기화되었습니다.', 'success');
     }
 
+    /**
+     * 검색창 자동완성 초기화
+     * @param {HTMLInputElement} input - 검색 입력창
+     * @description 커서 위치의 쿼리 토큰에 맞춰 키(effect: 등)와 값(효과명은 EFFECT_NAME_MAP 포함) 후보 표시
+     * @added 2025-12-15
+     */
+    function initSearchSuggest(input) {
+        const list = $('#search-suggest');
+        if (!list || !Modules.RuneQuery) return;
+
+        let suggestion = null;
+        let activeIndex = -1;
+
+        function close() {
+            suggestion = null;
+            activeIndex = -1;
+            list.hidden = true;
+            list.innerHTML = '';
+        }
+
+        function render() {
+            list.innerHTML = suggestion.items.map((item, index) => `
+                <li class="search-query__option ${index === activeIndex ? 'search-query__option--active' : ''}"
+                    role="option" data-index="${index}">${escapeHtml(item.label)}</li>
+            `).join('');
+            list.hidden = false;
+        }
+
+        function update() {
+            suggestion = Modules.RuneQuery.getSuggestions(input.value, input.selectionStart, searchVocabulary);
+            activeIndex = -1;
+            if (suggestion) render();
+            else close();
+        }
+
+        function apply(index) {
+            const item = suggestion.items[index];
+            // 키 선택 시에는 값 입력을 이어가도록 공백을 붙이지 않음
+            const insert = item.insert + (item.insert.endsWith(':') ? '' : ' ');
+            const value = input.value;
+            const rest = value.slice(suggestion.end).replace(/^\s+/, '');
+            input.value = value.slice(0, suggestion.start) + insert + rest;
+
+            const cursor = suggestion.start + insert.length;
+            input.setSelectionRange(cursor, cursor);
+            updateFilter('search', input.value);
+            update();
+        }
+
+        input.addEventListener('input', update);
+        input.addEventListener('blur', close);
+
+        input.addEventListener('keydown', e => {
+            if (!suggestion) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + step + suggestion.items.length) % suggestion.items.length;
+                render();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+                e.preventDefault();
+                apply(activeIndex);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        // blur보다 먼저 처리되도록 mousedown 사용
+        list.addEventListener('mousedown', e => {
+            const option = e.target.closest('.search-query__option');
+            if (!option) return;
+            e.preventDefault();
+            apply(Number(option.dataset.index));
+        });
+    }
+
     // ============================================
     // 6. 룬 카드 렌더링 (Rendering)
     // ============================================
@@ -956,6 +1271,7 @@ function handleRuneImageError(img) {
     function renderRuneList() {
         const grid = $('#rune-grid');
         if (!grid) return;
+        refreshRuneSortContext(); // @added 2025-12-15 카드 점수 기준
 
         if (state.filteredRunes.length === 0) {
             grid.innerHTML = `
@@ -1058,11 +1374,23 @@ function handleRuneImageError(img) {
         const isSkillChange = rune.type === 'SKILL_CHANGE';
         const skillChangeLabel = isSkillChange ? '<span class="rune-card__badge rune-card__badge--skill">스킬변경</span>' : '';
 
+        // 최신 패치 변경 표시 @added 2025-12-15
+        const patchChange = rune.patchChange;
+        const patchLabel = patchChange ?
+            `<span class="rune-card__badge rune-card__badge--patch" title="${escapeHtml((patchChange.changes || []).join('\n')).replace(/"/g, '&quot;')}">${patchChange.status === 'added' ? '신규' : '패치 변경'}</span>` : '';
+
+        // 정렬 기준 점수 (등급/이름순이면 효율 점수) @added 2025-12-15
+        const sortMode = RUNE_SORT_MODES[state.filters.sort] || RUNE_SORT_MODES.grade;
+        const scoreMode = sortMode.metric ? sortMode : RUNE_SORT_MODES.efficiency;
+        const scoreValue = getRuneSortMetrics(rune)[scoreMode.metric];
+        const scoreTitle = charId ? '선택 캐릭터의 장착 도트 기준' : '캐릭터 미선택 (시너지 없음 기준)';
+
         // 버튼 라벨 및 스타일 @updated 2025-12-11 - 아이콘 동일, 배경색으로 구분
         const btnIcon = '📦';
         const btnTitle = charId ? (isOwned ? '보유 룬에서 제거' : '보유 룬에 추가') : '보유 룬 추가';
         const btnActiveClass = isActive ? 'active' : '';
         const btnClass = charId ? 'rune-card__btn--owned' : 'rune-card__btn--favorite';
+        const isComparing = state.compareRuneIds.includes(rune.id); // @added 2025-12-15
 
         return `
             <div class="rune-card ${gradeClass}" data-rune-id="${rune.id}">
@@ -1077,10 +1405,15 @@ function handleRuneImageError(img) {
                             <span class="rune-card__badge rune-card__badge--grade" style="background-color: ${gradeColor}">${gradeName}</span>
                             <span class="rune-card__badge rune-card__badge--category">${categoryName}</span>
                             ${skillChangeLabel}
+                            ${patchLabel}
                         </div>
                     </div>
                 </div>
                 <div class="rune-card__description">${escapeHtml(description.substring(0, 100))}${description.length > 100 ? '...' : ''}</div>
+                <div class="rune-card__score" title="${scoreTitle}">
+                    <span class="rune-card__score-label">${scoreMode.label}</span>
+                    <span class="rune-card__score-value">${scoreValue.toFixed(1)}${scoreMode.unit || ''}</span>
+                </div>
                 <div class="rune-card__actions">
                     <button class="rune-card__btn ${btnClass} ${isActive ? 'active' : ''}" 
                             data-action="favorite" 
@@ -1094,6 +1427,12 @@ function handleRuneImageError(img) {
                             title="상세보기">
                         🔍 상세
                     </button>
+                    <button class="rune-card__btn rune-card__btn--compare ${isComparing ? 'active' : ''}"
+                            data-action="compare"
+                            data-rune-id="${rune.id}"
+                            title="비교 목록에 추가/제거">
+                        ⚖️
+                    </button>
                 </div>
             </div>
         `;
@@ -1201,41 +1540,50 @@ function handleRuneImageError(img) {
      * 슬롯에 룬 장착
      * @param {string} slotId - 슬롯 ID
      * @param {Object} rune - 장착할 룬
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function equipRune(slotId, rune) {
+        const before = captureHistorySnapshot();
         state.equippedRunes[slotId] = rune;
         renderSlot(slotId);
         calculateTotalEffects();
         renderEquippedRuneList();
         saveEquippedRunes();
+        commitHistory(`"${rune.name}" 장착`, before);
         showToast(`"${rune.name}" 룬을 장착했습니다.`, 'success');
     }
 
     /**
      * 슬롯에서 룬 해제
      * @param {string} slotId - 슬롯 ID
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function unequipRune(slotId) {
         const rune = state.equippedRunes[slotId];
         if (rune) {
+            const before = captureHistorySnapshot();
             delete state.equippedRunes[slotId];
             renderSlot(slotId);
             calculateTotalEffects();
             renderEquippedRuneList();
             saveEquippedRunes();
+            commitHistory(`"${rune.name}" 해제`, before);
             showToast(`"${rune.name}" 룬을 해제했습니다.`, 'success');
         }
     }
 
     /**
      * 모든 슬롯 초기화
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function clearAllSlots() {
+        const before = captureHistorySnapshot();
         state.equippedRunes = {};
         Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
         calculateTotalEffects();
         renderEquippedRuneList();
         saveEquippedRunes();
+        commitHistory('슬롯 초기화', before);
         showToast('모든 슬롯이 초기화되었습니다.', 'success');
     }
 
@@ -1294,13 +1642,35 @@ function handleRuneImageError(img) {
         saveToStorage(STORAGE_KEYS.EQUIPPED_RUNES, state.equippedRunes);
     }
 
+    /**
+     * 저장된 슬롯별 룬을 현재 룬 데이터로 복원
+     * @param {Object} slotRunes - 슬롯ID: 저장된 룬 객체 (ID만 있을 수 있음)
+     * @returns {Object} 슬롯ID: 룬 객체 (데이터에 없고 효과 정보도 없는 룬은 제외)
+     * @description 예전에 저장된 룬 객체는 효과 데이터 형태가 다를 수 있으므로 ID 기준으로 최신 데이터를 사용
+     * @added 2025-12-15
+     */
+    function hydrateSlotRunes(slotRunes) {
+        const result = {};
+        Object.entries(slotRunes || {}).forEach(([slotId, rune]) => {
+            if (!rune || !SLOT_CONFIG[slotId]) return;
+            const full = state.allRunes.find(r => r.id === rune.id);
+            if (full) {
+                result[slotId] = full;
+            } else if (Array.isArray(rune.effects)) {
+                result[slotId] = rune;
+            }
+        });
+        return result;
+    }
+
     /**
      * 장착된 룬 불러오기
      * @updated 2025-12-10 - 강화 수치도 함께 로드
+     * @updated 2025-12-15 - 저장된 룬을 현재 룬 데이터로 복원
      */
     function loadEquippedRunes() {
         const saved = loadFromStorage(STORAGE_KEYS.EQUIPPED_RUNES, {});
-        state.equippedRunes = saved;
+        state.equippedRunes = hydrateSlotRunes(saved);
 
         // 강화 수치 불러오기 @added 2025-12-10
         loadEnhanceLevels();
@@ -1365,14 +1735,17 @@ function handleRuneImageError(img) {
      * @param {string} slotId - 슬롯 ID
      * @param {number} enhanceLevel - 강화 단계 (0, 10, 15)
      * @added 2025-12-10
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function updateSlotEnhanceLevel(slotId, enhanceLevel) {
+        const before = captureHistorySnapshot();
         state.enhanceLevels[slotId] = enhanceLevel;
         saveEnhanceLevels();
         calculateTotalEffects();
 
         // 슬롯 UI 업데이트 (강화 수치 표시)
         renderSlot(slotId);
+        commitHistory(`${SLOT_CONFIG[slotId] ? SLOT_CONFIG[slotId].name : slotId} 강화 +${enhanceLevel}`, before);
     }
 
     /**
@@ -1537,8 +1910,11 @@ function handleRuneImageError(img) {
      * 모든 장착 슬롯에 강화 수치 일괄 적용
      * @param {number} enhanceLevel - 강화 단계 (0, 10, 15)
      * @added 2025-12-10
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function applyEnhanceLevelToAll(enhanceLevel) {
+        const before = captureHistorySnapshot();
+
         // 장착된 룬이 있는 슬롯에만 적용
         Object.keys(state.equippedRunes).forEach(slotId => {
             state.enhanceLevels[slotId] = enhanceLevel;
@@ -1552,6 +1928,7 @@ function handleRuneImageError(img) {
         });
         renderEquippedRuneList();
         calculateTotalEffects();
+        commitHistory(`전체 강화 +${enhanceLevel}`, before);
 
         showToast(`모든 장착 룬에 +${enhanceLevel} 강화 적용`, 'success');
     }
@@ -1588,6 +1965,19 @@ function handleRuneImageError(img) {
         enhance: 1.0
     };
 
+    /**
+     * 효과 유형 → 가중치 프로필 유형 키 (SharedEffectWeights.TYPE_WEIGHTS)
+     * @constant {Object}
+     * @description 적 상태 조건/강화 효과는 대응 키가 없어 프로필 미반영
+     * @added 2025-12-15
+     */
+    const EFFECT_TYPE_WEIGHT_KEYS = {
+        passive: 'PERMANENT',
+        trigger: 'TRIGGER',
+        stacking: 'STACKING',
+        state: 'STATE'
+    };
+
     /**
      * 엠블럼 각성 기본 쿨타임 (초) - 모듈에서 가져오기
      * @constant {number}
@@ -1595,180 +1985,35 @@ function handleRuneImageError(img) {
     const EMBLEM_AWAKENING_BASE_COOLDOWN = (EP.EMBLEM_AWAKENING_BASE_COOLDOWN) || (ET.EMBLEM_AWAKENING_BASE_COOLDOWN) || 90;
 
     /**
-     * 엠블럼 각성 효과 파싱
-     * @param {string} description - 룬 설명
-     * @returns {Object|null} { duration, cooldown, passiveEffects, awakeningEffects }
-     * @description 엠블럼 각성 효과는 쿨타임 기반 업타임으로 계산
-     *              발동 확률(50%)은 쿨타임 후 첫 공격 시 발동 여부이므로
-     *              평균 1~2회 공격 내 발동 → 업타임에 큰 영향 없음
-     * @updated 2025-12-10 - 발동 확률을 업타임 계산에서 제외
-     */
-    function parseEmblemAwakening(description) {
-        if (!description) return null;
-
-        var text = stripHtml(description);
-        var result = {
-            hasAwakening: false,
-            duration: 0,
-            cooldown: EMBLEM_AWAKENING_BASE_COOLDOWN,
-            // 발동 확률은 업타임 계산에 미포함 (쿨타임 후 거의 즉시 발동)
-            passiveEffects: {},
-            awakeningEffects: {}
-        };
-
-        // 각성 패턴: "공격 시 N% 확률로 각성하여 N초 동안"
-        var awakeningPattern = /(\d+)%\s*확률로\s*각성하여\s*(\d+)초\s*동안/;
-        var awakeningMatch = text.match(awakeningPattern);
-
-        if (awakeningMatch) {
-            result.hasAwakening = true;
-            // 발동 확률은 저장만 하고 업타임 계산에는 사용하지 않음
-            result.triggerChance = parseInt(awakeningMatch[1]) / 100;
-            result.duration = parseInt(awakeningMatch[2]);
-        }
-
-        // 무방비 각성 패턴: "무방비 공격 시 각성하여 N초 동안" - 제한적 효과로 분류
-        var defenseBreakPattern = /무방비\s*공격\s*시\s*각성하여\s*(\d+)초\s*동안/;
-        var defenseBreakMatch = text.match(defenseBreakPattern);
-
-        if (defenseBreakMatch) {
-            result.hasAwakening = true;
-            result.isDefenseBreakAwakening = true; // 무방비 각성은 제한적
-            result.duration = parseInt(defenseBreakMatch[1]);
-        }
-
-        // 쿨타임 패턴: "(재사용 대기 시간: N초)"
-        var cooldownPattern = /재사용\s*대기\s*시간[:\s]*(\d+)초/;
-        var cooldownMatch = text.match(cooldownPattern);
-
-        if (cooldownMatch) {
-            result.cooldown = parseInt(cooldownMatch[1]);
-        }
-
-        // 상시 효과 파싱: "상시 효과:" 이후 문장
-        var passivePattern = /상시\s*효과[:\s]*(.*?)(?:\.|$)/;
-        var passiveMatch = text.match(passivePattern);
-
-        if (passiveMatch) {
-            result.passiveEffects = parseEffectValues(passiveMatch[1]);
-        }
-
-        // 각성 중 효과 파싱 (각성하여 ~ 증가한다 사이)
-        if (result.hasAwakening) {
-            var awakeningEffectPattern = /각성하여\s*\d+초\s*동안\s*(.*?)(?:\.|재사용)/;
-            var awakeningEffectMatch = text.match(awakeningEffectPattern);
-
-            if (awakeningEffectMatch) {
-                var awakeningEffectText = awakeningEffectMatch[1];
-
-                // 기본 공격 관련 각성인지 체크 @added 2025-12-10
-                if (/기본\s*공격/.test(awakeningEffectText)) {
-                    result.isBasicAttackAwakening = true;
-                }
-
-                result.awakeningEffects = parseEffectValues(awakeningEffectText);
-            }
-        }
-
-        return result.hasAwakening ? result : null;
-    }
-
-    /**
-     * 효과 문자열에서 수치 파싱
-     * @param {string} effectText - 효과 텍스트
-     * @returns {Object} 파싱된 효과
-     * @added 2025-12-10
-     */
-    /**
-     * 효과 문자열에서 수치 파싱
-     * @param {string} effectText - 효과 텍스트
-     * @returns {Object} 파싱된 효과
-     * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
-     */
-    function parseEffectValues(effectText) {
-        var effects = {};
-
-        // 공격력 증가
-        var atkMatch = effectText.match(/공격력이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (atkMatch) effects['공격력 증가'] = parseFloat(atkMatch[1]);
-
-        // 피해량 증가 (일반)
-        var dmgMatch = effectText.match(/(?:적에게\s*)?주는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (dmgMatch) effects['피해량 증가'] = parseFloat(dmgMatch[1]);
-
-        // 스킬 피해 증가 @added 2025-12-10
-        var skillDmgMatch = effectText.match(/스킬\s*피해가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (skillDmgMatch) effects['스킬 피해 증가'] = parseFloat(skillDmgMatch[1]);
-
-        // 치명타 확률
-        var critChanceMatch = effectText.match(/치명타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (critChanceMatch) effects['치명타 확률 증가'] = parseFloat(critChanceMatch[1]);
-
-        // 치명타 피해
-        var critDmgMatch = effectText.match(/치명타\s*피해(?:량)?이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (critDmgMatch) effects['치명타 피해 증가'] = parseFloat(critDmgMatch[1]);
-
-        // 강타 피해 @added 2025-12-10
-        var heavyHitMatch = effectText.match(/강타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (heavyHitMatch) effects['강타 피해 증가'] = parseFloat(heavyHitMatch[1]);
-
-        // 강타 확률 @added 2025-12-10
-        var heavyChanceMatch = effectText.match(/강타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (heavyChanceMatch) effects['강타 확률 증가'] = parseFloat(heavyChanceMatch[1]);
-
-        // 연타 피해 @added 2025-12-10
-        var multiHitDmgMatch = effectText.match(/연타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (multiHitDmgMatch) effects['연타 피해 증가'] = parseFloat(multiHitDmgMatch[1]);
-
-        // 연타 확률 @added 2025-12-10
-        var multiHitMatch = effectText.match(/연타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (multiHitMatch) effects['연타 확률 증가'] = parseFloat(multiHitMatch[1]);
-
-        // 추가타 확률 @added 2025-12-10
-        var extraHitMatch = effectText.match(/추가타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (extraHitMatch) effects['추가타 확률 증가'] = parseFloat(extraHitMatch[1]);
-
-        // 스킬 사용 속도 @added 2025-12-10
-        var skillSpeedMatch = effectText.match(/스킬\s*사용\s*속도가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (skillSpeedMatch) effects['스킬 사용 속도 증가'] = parseFloat(skillSpeedMatch[1]);
-
-        // 캐스팅/차지 속도 @added 2025-12-10
-        var castSpeedMatch = effectText.match(/캐스팅\s*(?:및\s*)?(?:차지\s*)?속도가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (castSpeedMatch) effects['캐스팅 속도 증가'] = parseFloat(castSpeedMatch[1]);
-
-        // 재사용 대기 시간 회복 속도 @added 2025-12-10
-        var cooldownRecoveryMatch = effectText.match(/재사용\s*대기\s*(?:시간\s*)?회복\s*속도가?\s*(\d+(?:\.\d+)?)\s*%/);
-        if (cooldownRecoveryMatch) effects['쿨타임 회복 속도 증가'] = parseFloat(cooldownRecoveryMatch[1]);
-
-        // 재사용 대기 시간 감소 @added 2025-12-10
-        var cooldownReduceMatch = effectText.match(/재사용\s*대기\s*시간이?\s*(\d+(?:\.\d+)?)\s*%\s*감소/);
-        if (cooldownReduceMatch) effects['쿨타임 감소'] = parseFloat(cooldownReduceMatch[1]);
-
-        return effects;
-    }
-
-    /**
-     * 방어구 룬에서 각성 쿨타임 감소량 파싱
-     * @param {Object} rune - 룬 데이터
-     * @returns {number} 쿨타임 감소량 (초)
-     * @added 2025-12-10
-     */
-    function parseAwakeningCooldownReduction(rune) {
-        if (!rune || !rune.description) return 0;
-        if (rune.category !== '02') return 0; // 방어구만
-
-        var text = stripHtml(rune.description);
-
-        // 패턴: "각성의 재사용 대기 시간이 N초 감소"
-        var pattern = /각성의?\s*재사용\s*대기\s*시간이?\s*(\d+)초\s*감소/;
-        var match = text.match(pattern);
-
-        if (match) {
-            return parseInt(match[1]);
-        }
-
-        return 0;
-    }
+     * 공유 룬 효과 파서 (formulas/rune-effect-parser.js)
+     * @description 룬 설명 파싱은 EffectParser 모듈, 빌드 스크립트와 동일한 엔진 사용
+     * @updated 2025-12-15 - 인라인 파서 사본 제거
+     */
+    const REP = window.RuneEffectParser;
+
+    const TRIGGER_KEYWORDS = REP.TRIGGER_KEYWORDS;
+    const STATE_CONDITION_KEYWORDS = REP.STATE_CONDITION_KEYWORDS;
+    const ENEMY_CONDITION_KEYWORDS = REP.ENEMY_CONDITION_KEYWORDS;
+    const DOT_KEYWORDS = REP.DOT_KEYWORDS;
+
+    const parseEmblemAwakening = REP.parseEmblemAwakening;
+    const parseEffectValues = REP.parseEffectValues;
+    const parseAwakeningCooldownReduction = REP.parseAwakeningCooldownReduction;
+    const getAccessorySkillName = REP.getAccessorySkillName;
+    const isDuplicateSkillRune = REP.isDuplicateSkillRune;
+    const getRuneDotTypes = REP.getRuneDotTypes;
+    const detectEffectType = REP.detectEffectType;
+    const parseStackInfo = REP.parseStackInfo;
+    const parseDurationAndCooldown = REP.parseDurationAndCooldown;
+    const parseSingleEffect = REP.parseSingleEffect;
+    const parseRuneEffectsAdvanced = REP.parseRuneEffectsAdvanced;
+    const splitIntoSentences = REP.splitIntoSentences;
+    const splitIntoClauses = REP.splitIntoClauses;
+    const parseHealthConditionEffect = REP.parseHealthConditionEffect;
+    const parseDecayEffect = REP.parseDecayEffect;
+    const parseSingleEffectImproved = REP.parseSingleEffectImproved;
+    const findConditionEndIndex = REP.findConditionEndIndex;
+    const hasConditionKeyword = REP.hasConditionKeyword;
 
     /**
      * 장착된 방어구에서 총 각성 쿨타임 감소량 계산
@@ -1822,3122 +2067,3249 @@ function handleRuneImageError(img) {
     }
 
     /**
-     * 장신구 룬에서 강화 스킬명 추출
-     * @param {Object} rune - 룬 데이터
-     * @returns {string|null} 스킬명 또는 null
-     * @added 2025-12-10
+     * 장착된 룬들이 부여하는 모든 지속 피해 유형 수집
+     * @param {Object} [equippedRunes] - 슬롯ID: 룬 (기본: 현재 장착)
+     * @returns {Array} 지속 피해 유형 배열
+     * @updated 2025-12-15 - 빌드 비교용 장착 목록 인자 추가
      */
-    function getAccessorySkillName(rune) {
-        if (!rune || !rune.description) return null;
-        if (rune.category !== '03') return null; // 장신구만
-
-        var text = stripHtml(rune.description);
+    function getAllEquippedDotTypes(equippedRunes) {
+        const allDots = [];
+        Object.values(equippedRunes || state.equippedRunes).forEach(rune => {
+            if (rune) {
+                allDots.push(...getRuneDotTypes(rune));
+            }
+        });
+        return [...new Set(allDots)]; // 중복 제거
+    }
 
-        // 패턴 1: "스킬명 스킬의 피해량이"
-        var pattern1 = /(\S+)\s*스킬의\s*피해량이/;
-        var match1 = text.match(pattern1);
-        if (match1) return match1[1];
 
-        // 패턴 2: "스킬명 스킬에 변화를 준다"
-        var pattern2 = /(\S+)\s*스킬에\s*변화를/;
-        var match2 = text.match(pattern2);
-        if (match2) return match2[1];
+    /**
+     * 효과의 실효 값 계산 (가중치, 업타임, 스택 적용)
+     * @param {Object} parsedEffect - 파싱된 개별 효과
+     * @param {boolean} hasSynergy - 시너지 충족 여부 (적 상태 조건용)
+     * @returns {Object} 실효 효과 값
+     * @updated 2025-12-15 - 유형 가중치에 사용자 가중치 프로필 비율 반영
+     */
+    function calculateEffectiveValue(parsedEffect, hasSynergy = false) {
+        const result = {};
 
-        // 패턴 3: 룬 이름에서 스킬명 추출 (괄호 제외)
-        var namePattern = /^(.+?)(?:\(|$)/;
-        var nameMatch = rune.name.match(namePattern);
+        // 기본 가중치 (가중치 프로필의 유형 가중치 비율 반영)
+        let typeWeight = EFFECT_TYPE_WEIGHT[parsedEffect.type] || 1.0;
+        const typeKey = EFFECT_TYPE_WEIGHT_KEYS[parsedEffect.type];
+        if (typeKey && window.SharedEffectWeights && window.SharedEffectWeights.getWeightScale) {
+            typeWeight *= window.SharedEffectWeights.getWeightScale('type', typeKey);
+        }
 
-        // 일반적인 스킬 강화 룬 이름 패턴 확인
-        if (nameMatch && rune.name.includes('강화') || text.includes('피해량이') && text.includes('증가')) {
-            return nameMatch[1].trim();
+        // 적 상태 조건 + 시너지 보너스
+        if (parsedEffect.type === EFFECT_TYPE.ENEMY_CONDITION && hasSynergy) {
+            typeWeight = 0.9; // 50% -> 90%로 상승
         }
 
-        return null;
-    }
+        // 업타임 비율
+        const uptime = (parsedEffect.timing && parsedEffect.timing.uptime) || 1.0;
 
-    /**
-     * 추천 시 동일 스킬 룬 중복 체크
-     * @param {Array} selectedRunes - 이미 선택된 룬 배열
-     * @param {Object} candidateRune - 후보 룬
-     * @returns {boolean} 중복 여부
-     * @added 2025-12-10
-     */
-    function isDuplicateSkillRune(selectedRunes, candidateRune) {
-        var candidateSkill = getAccessorySkillName(candidateRune);
+        // 스택 배율
+        const stackMultiplier = (parsedEffect.stackInfo && parsedEffect.stackInfo.maxStacks) || 1;
 
-        if (!candidateSkill) return false; // 스킬 강화 룬이 아니면 중복 아님
+        // 각 효과에 가중치 적용
+        Object.entries(parsedEffect.effects).forEach(([effectName, value]) => {
+            // 실효값 = 기본값 × 스택 × 가중치 × 업타임
+            const effectiveValue = value * stackMultiplier * typeWeight * uptime;
 
-        for (var i = 0; i < selectedRunes.length; i++) {
-            var existingSkill = getAccessorySkillName(selectedRunes[i]);
-            if (existingSkill && existingSkill === candidateSkill) {
-                return true; // 동일 스킬 발견
-            }
-        }
+            result[effectName] = {
+                raw: value,
+                stacks: stackMultiplier,
+                typeWeight: typeWeight,
+                uptime: uptime,
+                effective: effectiveValue,
+                type: parsedEffect.type
+            };
+        });
 
-        return false;
+        return result;
     }
 
     /**
-     * 트리거 키워드 패턴
+     * DPS 핵심 효과 목록
      * @constant {Array}
+     * @description 효율 점수 계산에 포함되는 핵심 DPS 효과
+     * @updated 2025-12-10 - 연타/강타/추가타 추가, 스탯 효율 반영
+     */
+    /**
+     * DPS 핵심 효과 목록
+     * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
      */
-    const TRIGGER_KEYWORDS = [
-        '연타 적중 시',
-        '강타 적중 시',
-        '스킬 사용 시',
-        '스킬을 사용할 때',
-        '기본 공격 시',
-        '기본 공격 적중 시',
-        '치명타 적중 시',
-        '공격 적중 시',
-        '공격 적중시',
-        '카운터 공격 적중 시',
-        '추가타 적중 시',
-        '보조 스킬 사용 시',
-        '생존 스킬 사용 시',
-        '보조, 생존 스킬 사용 시',
-        '궁극기를 사용',
-        '전투 중'
+    const CORE_DPS_EFFECTS = [
+        '공격력 증가',
+        '피해량 증가',
+        '스킬 피해 증가', // @added 2025-12-10
+        '치명타 확률 증가',
+        '치명타 피해 증가',
+        '연타 확률 증가',
+        '연타 피해 증가', // @added 2025-12-10
+        '강타 확률 증가',
+        '강타 피해 증가', // @added 2025-12-10
+        '추가타 확률 증가'
     ];
 
     /**
-     * 상태 조건 키워드 패턴
-     * @constant {Array}
+     * DPS 관련 결함 효과 목록
+     * @constant {Array<string>}
+     * @description 효율 점수에서 차감되는 결함 효과
+     * @added 2025-12-10
      */
-    const STATE_CONDITION_KEYWORDS = [
-        '체력이 \\d+% 이상',
-        '체력이 \\d+% 미만',
-        '보유 자원이 \\d+% 미만',
-        '보유 자원이 \\d+% 이상',
-        '주변 \\d+m 범위 내에 적이 없을 경우',
-        '\\d+초 동안 이동하지 않을 경우',
-        '파티 플레이 시',
-        '클래스 레벨이 \\d+ 이상'
+    const CORE_DPS_DEMERITS = [
+        '피해량 감소', // 적에게 주는 피해 감소
+        '멀티히트 피해 감소', // 멀티히트 피해 감소
+        '치명타 확률 감소', // 치명타 확률 감소
+        '치명타 피해 감소', // 치명타 피해 감소
+        '공격력 감소', // 공격력 감소
+        // @added 2025-12-10 - 추가 결함 효과
+        '쿨타임 회복 속도 감소', // 재사용 대기 시간 회복 속도 감소 (스킬 DPS 감소)
+        '스킬 사용 속도 감소', // 스킬 시전 속도 감소 (DPS 감소)
+        '캐스팅/차지 속도 감소' // 캐스팅 및 차지 속도 감소 (DPS 감소)
     ];
 
     /**
-     * 적 상태 조건 키워드 패턴
-     * @constant {Array}
+     * 결함 효과 → 대응 증가 효과 매핑
+     * @constant {Object}
+     * @description 결함 효과를 해당 증가 효과의 음수로 변환할 때 사용
+     * @added 2025-12-10
      */
-    const ENEMY_CONDITION_KEYWORDS = [
-        '원소 지속 피해를 보유한 적',
-        '지속 피해.*?를 보유한 적',
-        '지속 피해:.*?을 보유한 적',
-        '지속 피해:.*?를 보유한 적'
-    ];
+    const DEMERIT_TO_BENEFIT_MAP = {
+        '피해량 감소': '피해량 증가',
+        '멀티히트 피해 감소': '멀티히트 피해 감소', // 별도 관리
+        '치명타 확률 감소': '치명타 확률 증가',
+        '치명타 피해 감소': '치명타 피해 증가',
+        '공격력 감소': '공격력 증가'
+    };
 
     /**
-     * 지속 피해 부여 키워드 (시너지용)
-     * @constant {Array}
+     * 효과별 점수 가중치 (효율 순위 반영)
+     * @constant {Object}
+     * @description 연타 > 추가타 > 치명타 > 스킬 위력 순
+     * @added 2025-12-10
+     * @updated 2025-12-10 - 결함 효과 가중치 추가
      */
-    const DOT_KEYWORDS = [
-        '지속 피해: 화상',
-        '지속 피해: 빙결',
-        '지속 피해: 감전',
-        '지속 피해: 출혈',
-        '지속 피해: 중독',
-        '지속 피해: 암흑',
-        '지속 피해: 신성',
-        '지속 피해: 정신'
-    ];
-
     /**
-     * 룬이 지속 피해를 부여하는지 확인
-     * @param {Object} rune - 룬 데이터
-     * @returns {Array} 부여하는 지속 피해 유형 배열
+     * 효과별 점수 가중치
+     * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
      */
-    function getRuneDotTypes(rune) {
-        if (!rune || !rune.description) return [];
-        const text = stripHtml(rune.description);
-        const dotTypes = [];
+    const EFFECT_SCORE_WEIGHT = {
+        '공격력 증가': 10,
+        '피해량 증가': 10,
+        '스킬 피해 증가': 10, // 피해량 증가와 동급 @added 2025-12-10
+        '연타 확률 증가': 12, // 효율 1위
+        '연타 피해 증가': 9, // 연타 피해 (확률보다 낮은 가중치) @added 2025-12-10
+        '강타 확률 증가': 11,
+        '강타 피해 증가': 9, // 강타 피해 (확률보다 낮은 가중치) @added 2025-12-10
+        '추가타 확률 증가': 11, // 효율 2위
+        '치명타 확률 증가': 9, // 효율 3위
+        '치명타 피해 증가': 9,
+        '스킬 위력 증가': 7, // 효율 4위 (기타 효과)
+        // 결함 효과 가중치 (감소분이므로 음수로 적용됨)
+        '피해량 감소': 10,
+        '멀티히트 피해 감소': 10, // 멀티히트 비중 40~50% 반영 @updated 2025-12-10
+        '치명타 확률 감소': 9,
+        '치명타 피해 감소': 9,
+        '공격력 감소': 10,
+        // @updated 2025-12-10 - 결함 효과 가중치 상향
+        // 쿨타임 회복 속도 감소 = 스킬 사용 빈도 감소 = DPS 직접 감소
+        // 7% 감소 → DPS 7% 감소이므로 공격력 증가와 동등한 가중치
+        '쿨타임 회복 속도 감소': 10, // 공격력 증가와 동등 (DPS 직접 영향)
+        '스킬 사용 속도 감소': 8, // 시전 속도 감소 (DPS 약 8% 영향)
+        '캐스팅/차지 속도 감소': 7 // 캐스팅 및 차지 속도 (마법사 계열 DPS 영향)
+    };
 
-        DOT_KEYWORDS.forEach(keyword => {
-            if (text.includes(keyword.replace('지속 피해: ', ''))) {
-                dotTypes.push(keyword);
-            }
-        });
+    /**
+     * 효과별 점수 가중치 조회 (사용자 가중치 프로필 반영)
+     * @param {string} effectName - 효과명 또는 결함명 (EFFECT_SCORE_WEIGHT 키)
+     * @param {number} fallback - 표에 없는 효과의 가중치
+     * @param {boolean} [isDemerit=false] - 결함 여부
+     * @returns {number} 점수 가중치
+     * @description EFFECT_SCORE_WEIGHT는 척도(공격력 증가 = 10)가 달라 프로필 값 대신
+     *              같은 키의 현재/기본 가중치 비율(SharedEffectWeights.getWeightScale)을 곱함
+     * @added 2025-12-15
+     */
+    function getScoreWeight(effectName, fallback, isDemerit) {
+        const weight = EFFECT_SCORE_WEIGHT[effectName] || fallback;
+        const weights = window.SharedEffectWeights;
+        if (!weights || !weights.getWeightScale) return weight;
 
-        return dotTypes;
+        const key = isDemerit
+            ? weights.resolveDemeritWeightKey(effectName)
+            : weights.resolveEffectWeightKey(effectName);
+        return key ? weight * weights.getWeightScale(isDemerit ? 'demerit' : 'effect', key) : weight;
     }
 
     /**
-     * 장착된 룬들이 부여하는 모든 지속 피해 유형 수집
-     * @returns {Array} 지속 피해 유형 배열
+     * 스탯 → 퍼센트 환산 비율
+     * @constant {Object}
+     * @description 마비노기 모바일 스탯 환산 공식
+     * @added 2025-12-10
      */
-    function getAllEquippedDotTypes() {
-        const allDots = [];
-        Object.values(state.equippedRunes).forEach(rune => {
-            if (rune) {
-                allDots.push(...getRuneDotTypes(rune));
-            }
-        });
-        return [...new Set(allDots)]; // 중복 제거
+    const STAT_TO_PERCENT = {
+        '치명타': 100, // 100당 1%
+        '연타': 85, // 85당 1%
+        '강타': 85, // 85당 1%
+        '스킬위력': 85, // 85당 1%
+        '추가타': 130 // 130당 1%
+    };
+
+    /**
+     * 한계효용 감소 계산 (Diminishing Returns)
+     * @param {number} currentValue - 현재 누적 효과 값 (%)
+     * @param {number} addValue - 추가될 효과 값 (%)
+     * @returns {number} 실제 기대 효용 값 (%)
+     * @description 합연산 효과는 현재 총합이 높을수록 추가 효용이 감소
+     * @added 2025-12-10
+     */
+    function calculateDiminishingReturn(currentValue, addValue) {
+        // 공식: 추가효용 = addValue / (1 + currentValue/100)
+        // 예: 현재 100% 공격력 증가 상태에서 10% 추가 시
+        //     실제 기대 효용 = 10 / (1 + 100/100) = 10 / 2 = 5%
+        var multiplier = 1 + (currentValue / 100);
+        return addValue / multiplier;
     }
 
     /**
-     * 텍스트에서 효과 유형 감지
-     * @param {string} text - 효과 설명 텍스트
-     * @returns {string} 효과 유형
+     * 예상 DPS 증가율 계산
+     * @param {Object} effectSummary - 효과 요약 객체
+     * @param {Object} characterStats - 캐릭터 스탯 (선택)
+     * @param {Object} demeritSummary - 결함 효과 요약 (선택) @added 2025-12-10
+     * @returns {Object} { totalDPSIncrease, breakdown }
+     * @description 최종 DPS = 기본공격력 × (1+공격력증가) × (1+피해량증가) × 크리배율 × 연타배율 × 추가타배율
+     * @added 2025-12-10
+     * @updated 2025-12-10 - 결함 효과 반영 추가
      */
-    function detectEffectType(text) {
-        // 누적/축적 효과 체크 (우선순위 높음) @added 2025-12-10
-        // 전투 중 쉽게 최대 중첩 유지 가능하므로 높은 가중치 적용
-        if (/누적:|축적:|최대\s*\d+\s*회까지\s*중첩/.test(text)) {
-            return EFFECT_TYPE.STACKING;
-        }
+    function calculateExpectedDPS(effectSummary, characterStats, demeritSummary) {
+        characterStats = characterStats || {};
+        demeritSummary = demeritSummary || {};
 
-        // 적 상태 조건 체크
-        for (const keyword of ENEMY_CONDITION_KEYWORDS) {
-            if (new RegExp(keyword, 'i').test(text)) {
-                return EFFECT_TYPE.ENEMY_CONDITION;
-            }
-        }
+        // 효과 추출 (기본값 0)
+        var atkIncrease = 0;
+        var dmgIncrease = 0;
+        var critChance = 0;
+        var critDmg = 0;
+        var multiHit = 0;
+        var strongHit = 0;
+        var additionalHit = 0;
 
-        // 상태 조건 체크
-        for (const keyword of STATE_CONDITION_KEYWORDS) {
-            if (new RegExp(keyword, 'i').test(text)) {
-                return EFFECT_TYPE.STATE_CONDITION;
-            }
-        }
+        // 결함 효과 (차감용) @added 2025-12-10
+        var dmgDecrease = 0;
+        var multiHitDecrease = 0;
+        var critChanceDecrease = 0;
+        var critDmgDecrease = 0;
+        var atkDecrease = 0;
+        // @added 2025-12-10 - 추가 결함 효과
+        var cooldownRecoveryDecrease = 0; // 쿨타임 회복 속도 감소
+        var skillSpeedDecrease = 0; // 스킬 사용 속도 감소
+        var castingSpeedDecrease = 0; // 캐스팅/차지 속도 감소
 
-        // 트리거 체크
-        for (const keyword of TRIGGER_KEYWORDS) {
-            if (text.includes(keyword)) {
-                return EFFECT_TYPE.TRIGGER;
-            }
-        }
+        Object.entries(effectSummary).forEach(function([name, data]) {
+            var value = data.total || 0;
+            if (name.includes('공격력 증가')) atkIncrease += value;
+            if (name.includes('피해량 증가')) dmgIncrease += value;
+            if (name.includes('치명타 확률') && name.includes('증가')) critChance += value;
+            if (name.includes('치명타 피해') && name.includes('증가')) critDmg += value;
+            if (name.includes('연타 확률')) multiHit += value;
+            if (name.includes('강타')) strongHit += value;
+            if (name.includes('추가타 확률')) additionalHit += value;
+        });
 
-        // 기본은 상시 효과
-        return EFFECT_TYPE.PASSIVE;
-    }
+        // 결함 효과 추출 @added 2025-12-10
+        Object.entries(demeritSummary).forEach(function([name, data]) {
+            var value = data.total || 0;
+            if (name.includes('피해량 감소')) dmgDecrease += value;
+            if (name.includes('멀티히트 피해 감소')) multiHitDecrease += value;
+            if (name.includes('치명타 확률 감소')) critChanceDecrease += value;
+            if (name.includes('치명타 피해 감소')) critDmgDecrease += value;
+            if (name.includes('공격력 감소')) atkDecrease += value;
+            // @added 2025-12-10 - 추가 결함 효과 추출
+            if (name.includes('쿨타임 회복 속도 감소')) cooldownRecoveryDecrease += value;
+            if (name.includes('스킬 사용 속도 감소')) skillSpeedDecrease += value;
+            if (name.includes('캐스팅/차지 속도 감소')) castingSpeedDecrease += value;
+        });
 
-    /**
-     * 중첩 정보 파싱
-     * @param {string} text - 효과 설명 텍스트
-     * @returns {Object|null} { maxStacks, perStack } 또는 null
-     */
-    function parseStackInfo(text) {
-        // "최대 N회까지 중첩" 패턴
-        const stackPattern = /최대\s*(\d+)\s*회까지\s*중첩/;
-        const stackMatch = text.match(stackPattern);
+        // 결함 효과 차감 적용 @added 2025-12-10
+        atkIncrease -= atkDecrease;
+        dmgIncrease -= dmgDecrease;
+        critChance -= critChanceDecrease;
+        critDmg -= critDmgDecrease;
 
-        if (stackMatch) {
-            return {
-                maxStacks: parseInt(stackMatch[1]),
-                hasStack: true
-            };
-        }
+        // 캐릭터 기본 스탯 반영 (있는 경우)
+        var baseCritChance = characterStats.critChance || 30; // 기본 30%
+        var baseCritDmg = characterStats.critDmg || 150; // 기본 150%
+        var baseMultiHit = characterStats.multiHit || 10; // 기본 10%
+        var baseAdditionalHit = characterStats.additionalHit || 5; // 기본 5%
 
-        return null;
-    }
+        // 각 배율 계산
+        var atkMultiplier = 1 + (atkIncrease / 100);
+        var dmgMultiplier = 1 + (dmgIncrease / 100);
 
-    /**
-     * 지속 시간 및 쿨타임 파싱
-     * @param {string} text - 효과 설명 텍스트
-     * @returns {Object} { duration, cooldown, uptime }
-     */
-    function parseDurationAndCooldown(text) {
-        let duration = null;
-        let cooldown = null;
+        // 크리티컬 기대값: (1 - 크리확률) × 1 + 크리확률 × (크리피해/100)
+        var totalCritChance = Math.min((baseCritChance + critChance) / 100, 1); // 최대 100%
+        var totalCritDmg = (baseCritDmg + critDmg) / 100;
+        var critMultiplier = (1 - totalCritChance) + (totalCritChance * totalCritDmg);
 
-        // 지속 시간 패턴: "N초 동안"
-        const durationPattern = /(\d+(?:\.\d+)?)\s*초\s*동안/;
-        const durationMatch = text.match(durationPattern);
-        if (durationMatch) {
-            duration = parseFloat(durationMatch[1]);
-        }
+        // 연타/추가타 기대값
+        var totalMultiHit = (baseMultiHit + multiHit + strongHit) / 100;
+        var totalAdditionalHit = (baseAdditionalHit + additionalHit) / 100;
+        var hitMultiplier = 1 + totalMultiHit + totalAdditionalHit;
 
-        // 쿨타임 패턴: "(재사용 대기 시간: N초)"
-        const cooldownPattern = /재사용\s*대기\s*시간[:\s]*(?:각\s*)?(\d+(?:\.\d+)?)\s*초/;
-        const cooldownMatch = text.match(cooldownPattern);
-        if (cooldownMatch) {
-            cooldown = parseFloat(cooldownMatch[1]);
-        }
+        // 멀티히트 피해 감소 반영 @added 2025-12-10
+        // 멀티히트 피해 감소는 연타/추가타 피해에만 영향
+        var multiHitPenalty = 1 - (multiHitDecrease / 100);
+        var effectiveMultiHitBonus = (totalMultiHit + totalAdditionalHit) * multiHitPenalty;
+        hitMultiplier = 1 + effectiveMultiHitBonus;
 
-        // 업타임 계산
-        let uptime = 1.0; // 기본 100%
+        // 쿨타임/스킬 속도 감소 배율 계산 @added 2025-12-10
+        // 쿨타임 회복 속도 감소 = 스킬 사용 빈도 감소 = DPS 감소
+        // 예: 9% 감소 → 스킬 사용 주기가 약 9% 늘어남 → DPS 약 9% 감소
+        var totalSpeedDecrease = cooldownRecoveryDecrease + (skillSpeedDecrease * 0.7) + (castingSpeedDecrease * 0.5);
+        var speedPenaltyMultiplier = 1 - (totalSpeedDecrease / 100);
 
-        if (duration !== null && cooldown !== null) {
-            // 지속시간 / (지속시간 + 쿨타임)
-            uptime = duration / (duration + cooldown);
-        } else if (duration !== null && cooldown === null) {
-            // 쿨타임 없으면 트리거 조건만 필요 (80% 가정)
-            uptime = 0.8;
-        }
+        // 최종 DPS 배율
+        var totalDPSMultiplier = atkMultiplier * dmgMultiplier * critMultiplier * hitMultiplier * speedPenaltyMultiplier;
+        var totalDPSIncrease = (totalDPSMultiplier - 1) * 100;
 
         return {
-            duration,
-            cooldown,
-            uptime
+            totalDPSIncrease: Math.round(totalDPSIncrease * 10) / 10,
+            breakdown: {
+                attackMultiplier: Math.round(atkMultiplier * 1000) / 1000,
+                damageMultiplier: Math.round(dmgMultiplier * 1000) / 1000,
+                critMultiplier: Math.round(critMultiplier * 1000) / 1000,
+                hitMultiplier: Math.round(hitMultiplier * 1000) / 1000,
+                speedMultiplier: Math.round(speedPenaltyMultiplier * 1000) / 1000, // @added 2025-12-10
+                rawValues: {
+                    atkIncrease: Math.round(atkIncrease * 10) / 10,
+                    dmgIncrease: Math.round(dmgIncrease * 10) / 10,
+                    critChance: Math.round(critChance * 10) / 10,
+                    critDmg: Math.round(critDmg * 10) / 10,
+                    multiHit: Math.round(multiHit * 10) / 10,
+                    strongHit: Math.round(strongHit * 10) / 10,
+                    additionalHit: Math.round(additionalHit * 10) / 10,
+                    // 결함 효과 표시 @added 2025-12-10
+                    multiHitDecrease: Math.round(multiHitDecrease * 10) / 10,
+                    atkDecrease: Math.round(atkDecrease * 10) / 10,
+                    dmgDecrease: Math.round(dmgDecrease * 10) / 10,
+                    critChanceDecrease: Math.round(critChanceDecrease * 10) / 10,
+                    // @added 2025-12-10 - 추가 결함 효과
+                    cooldownDecrease: Math.round(cooldownRecoveryDecrease * 10) / 10,
+                    skillSpeedDecrease: Math.round(skillSpeedDecrease * 10) / 10,
+                    castingSpeedDecrease: Math.round(castingSpeedDecrease * 10) / 10
+                }
+            },
+            balance: {
+                atkToDmgRatio: dmgIncrease > 0 ? Math.round((atkIncrease / dmgIncrease) * 100) / 100 : 'N/A',
+                isBalanced: Math.abs(atkIncrease - dmgIncrease) < 20, // 20% 이내면 균형
+                recommendation: atkIncrease > dmgIncrease + 20 ?
+                    '피해량 증가 룬 추천' : (dmgIncrease > atkIncrease + 20 ? '공격력 증가 룬 추천' : '균형 잡힌 세팅')
+            },
+            // 결함 영향 표시 @added 2025-12-10
+            hasDemeritImpact: (dmgDecrease + multiHitDecrease + critChanceDecrease + critDmgDecrease + atkDecrease + cooldownRecoveryDecrease + skillSpeedDecrease + castingSpeedDecrease) > 0
         };
     }
 
     /**
-     * 개별 효과 파싱
-     * @param {string} effectText - 개별 효과 문장
+     * 룬의 총 효율 점수 계산 (새로운 방식)
+     * @param {Object} rune - 룬 데이터
      * @param {number} enhanceLevel - 강화 단계
-     * @returns {Object|null} 파싱된 효과 객체
-     */
-    function parseSingleEffect(effectText, enhanceLevel = 0) {
-        const result = {
-            type: detectEffectType(effectText),
-            effects: {},
-            stackInfo: parseStackInfo(effectText),
-            timing: parseDurationAndCooldown(effectText),
-            isEnhanceBonus: false,
-            enhanceLevel: 0,
-            rawText: effectText
-        };
+     * @param {Array} equippedDotTypes - 장착된 룬들의 지속 피해 유형
+     * @param {number} awakeningCooldownReduction - 각성 쿨타임 감소량 (초)
+     * @param {Object} options - 추가 옵션 { currentEffects, characterStats, synergyBoost }
+     * @returns {Object} { score, breakdown, effectiveSummary, dpsAnalysis } (score는 반올림하지 않음)
+     * @updated 2025-12-10 - DPS 핵심 효과만 점수 계산에 포함
+     * @updated 2025-12-10 - 엠블럼 각성 효과 및 시너지 추가
+     * @updated 2025-12-10 - 한계효용 감소, 시너지 룬, DPS 분석 추가
+     * @updated 2025-12-15 - 점수 반올림 제거 (정렬/합산은 원래 값, 표시할 때만 반올림)
+     */
+    function calculateRuneEfficiencyScore(rune, enhanceLevel, equippedDotTypes, awakeningCooldownReduction, options) {
+        // 기본값 설정
+        enhanceLevel = enhanceLevel || 0;
+        equippedDotTypes = equippedDotTypes || [];
+        awakeningCooldownReduction = awakeningCooldownReduction || 0;
+        options = options || {};
 
-        // 강화 효과 체크
-        if (/\+10.*강화/.test(effectText)) {
-            result.isEnhanceBonus = true;
-            result.enhanceLevel = 10;
-            if (enhanceLevel < 10) return null; // 강화 조건 미충족
-        }
-        if (/\+15.*강화/.test(effectText)) {
-            result.isEnhanceBonus = true;
-            result.enhanceLevel = 15;
-            if (enhanceLevel < 15) return null; // 강화 조건 미충족
-        }
+        // 옵션에서 추가 정보 추출
+        var currentEffects = options.currentEffects || {}; // 현재 누적 효과 (한계효용 계산용)
+        var characterStats = options.characterStats || {}; // 캐릭터 스탯
+        var synergyBoost = options.synergyBoost || {}; // 시너지 룬 부스트
 
-        // 효과 수치 파싱
-        const effectPatterns = [{
-                name: '공격력 증가',
-                pattern: /공격력이?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/
-            },
-            {
-                name: '피해량 증가',
-                pattern: /(?:적에게\s*)?주는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/
-            },
-            {
-                name: '무방비 피해 증가',
-                pattern: /무방비\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '공격 속도 증가',
-                pattern: /공격\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '스킬 사용 속도 증가',
-                pattern: /스킬\s*사용\s*속도.*?(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '이동 속도 증가',
-                pattern: /이동\s*속도.*?(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '캐스팅 속도 증가',
-                pattern: /캐스팅.*?속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '치명타 확률 증가',
-                pattern: /치명타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '치명타 피해 증가',
-                pattern: /치명타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '추가타 확률 증가',
-                pattern: /추가타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '받는 피해 감소',
-                pattern: /받는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '받는 피해 증가',
-                pattern: /받는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '회복력 증가',
-                pattern: /회복력이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '회복량 증가',
-                pattern: /회복량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '재사용 대기시간 감소',
-                pattern: /재사용\s*대기\s*시간이?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '재사용 대기시간 증가',
-                pattern: /재사용\s*대기시간이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '스킬 피해량 증가',
-                pattern: /스킬.*?피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '기본 공격 피해량 증가',
-                pattern: /기본\s*공격.*?피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            }
-        ];
-
-        effectPatterns.forEach(({
-            name,
-            pattern
-        }) => {
-            const match = effectText.match(pattern);
-            if (match) {
-                result.effects[name] = parseFloat(match[1]);
-            }
-        });
-
-        // 효과가 파싱되었으면 반환
-        if (Object.keys(result.effects).length > 0) {
-            return result;
-        }
-
-        return null;
-    }
-
-    /**
-     * 룬 설명 전체 파싱 (고급 버전)
-     * @param {Object} rune - 룬 데이터
-     * @param {number} enhanceLevel - 강화 단계 (0, 10, 15)
-     * @returns {Object} 상세 파싱 결과
-     * @updated 2025-12-10 - 문장/절 분리 로직 개선 (조건 범위 정확히 적용)
-     */
-    function parseRuneEffectsAdvanced(rune, enhanceLevel) {
-        enhanceLevel = enhanceLevel || 0;
-
-        // @updated 2025-12-11 - rawDescription 지원 추가
-        var description = rune.description || rune.rawDescription;
-        if (!rune || !description) {
-            // @updated 2025-12-11 - dotTypes 추가
-            return {
-                effects: [],
-                totalScore: 0,
-                summary: {},
-                dotTypes: []
-            };
-        }
-
-        var text = stripHtml(description);
-
-        // ========================================================
-        // 엠블럼 룬의 경우 각성 효과 부분 제외 @added 2025-12-10
-        // 각성 효과는 별도로 parseEmblemAwakening에서 처리됨
-        // 중복 계산 방지를 위해 일반 파싱에서 제외
-        // ========================================================
-        if (rune.category === '04') { // 엠블럼
-            // 각성 효과 부분 제거: "각성하여 N초 동안 ... (재사용 대기 시간: N초)"
-            text = text.replace(/\d+%\s*확률로\s*각성하여\s*\d+초\s*동안.*?(?:재사용\s*대기\s*시간[:\s]*\d+초\)?|(?=\s*상시\s*효과))/g, '');
-            // 무방비 각성 제거: "무방비 공격 시 각성하여 N초 동안 ..."
-            text = text.replace(/무방비\s*공격\s*시\s*각성하여\s*\d+초\s*동안.*?(?:재사용\s*대기\s*시간[:\s]*\d+초\)?|(?=\s*상시\s*효과))/g, '');
-        }
-
-        var parsedEffects = [];
-
-        // ========================================================
-        // 시간 감소 효과 사전 체크 (전체 텍스트에서) @added 2025-12-10
-        // 문장 분리 전에 감지해야 "전투 시작 시...증가"와 "매 N초마다...감소"가 연결됨
-        // ========================================================
-        var decayEffect = parseDecayEffect(text);
-        if (decayEffect && decayEffect.hasDecay) {
-            // 시간 감소 효과를 별도 효과로 추가
-            parsedEffects.push({
-                type: EFFECT_TYPE.TRIGGER, // 트리거 효과지만 실효값으로 계산됨
-                effects: {},
-                decayEffects: {
-                    '공격력 증가 (전투 시작)': {
-                        initialValue: decayEffect.initialValue,
-                        effectiveValue: decayEffect.effectiveValue,
-                        decayInfo: decayEffect
-                    }
-                },
-                stackInfo: null,
-                timing: {
-                    uptime: 1.0
-                },
-                rawText: '전투 시작 시 공격력 ' + decayEffect.initialValue + '% (시간 감소 적용)'
-            });
-
-            // 일반 파싱에서 "전투 시작 시" 효과 제거 (중복 방지)
-            text = text.replace(/전투\s*시작\s*시[,\s]*공격력이?\s*\d+(?:\.\d+)?\s*%\s*증가.*?감소한다\./g, '');
-        }
-
-        // 1단계: 줄바꿈으로 큰 단위 분리
-        var lines = text.split(/[\n\r]+/).filter(function(s) {
-            return s.trim();
-        });
-
-        lines.forEach(function(line) {
-            // 2단계: 마침표로 문장 분리 (한국어 문장 종결: 다, 요, 음 뒤의 마침표)
-            var sentences = splitIntoSentences(line);
+        const parsed = parseRuneEffectsAdvanced(rune, enhanceLevel);
 
-            sentences.forEach(function(sentence) {
-                // 3단계: 독립 절로 분리 (하며, 또한, 그리고)
-                var clauses = splitIntoClauses(sentence);
+        // 시너지 체크 (적 상태 조건용)
+        const hasSynergy = equippedDotTypes.length > 0;
 
-                clauses.forEach(function(clause) {
-                    var parsed = parseSingleEffectImproved(clause.trim(), enhanceLevel);
-                    if (parsed) {
-                        parsedEffects.push(parsed);
-                    }
-                });
-            });
-        });
+        let totalScore = 0;
+        const breakdown = [];
+        const effectiveSummary = {};
 
-        return {
-            effects: parsedEffects,
-            runeName: rune.name,
-            runeId: rune.id,
-            dotTypes: getRuneDotTypes(rune)
-        };
-    }
+        parsed.effects.forEach(function(effect) {
+            const effective = calculateEffectiveValue(effect, hasSynergy);
 
-    /**
-     * 문장 분리 (마침표 기준, 한국어 문장 종결 고려)
-     * @param {string} text - 텍스트
-     * @returns {Array} 문장 배열
-     * @added 2025-12-10
-     */
-    function splitIntoSentences(text) {
-        // 마침표 뒤에 공백이 있거나, 문장 종결어미(다, 요, 음, 며) 뒤의 마침표로 분리
-        var result = [];
-        var current = '';
-        var chars = text.split('');
-
-        for (var i = 0; i < chars.length; i++) {
-            current += chars[i];
-
-            // 마침표를 만났을 때
-            if (chars[i] === '.') {
-                // 다음 문자가 공백이거나 끝이면 문장 종료
-                if (i === chars.length - 1 || chars[i + 1] === ' ' || chars[i + 1] === '\n') {
-                    if (current.trim()) {
-                        result.push(current.trim());
+            Object.entries(effective).forEach(function([effectName, data]) {
+                // DPS 핵심 효과만 점수 계산에 포함
+                if (!CORE_DPS_EFFECTS.includes(effectName)) {
+                    // 효과 요약에는 포함하지만 점수에는 반영하지 않음
+                    if (!effectiveSummary[effectName]) {
+                        effectiveSummary[effectName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: false
+                        };
                     }
-                    current = '';
+                    effectiveSummary[effectName].total += data.effective;
+                    effectiveSummary[effectName].details.push(data);
+                    return; // 점수 계산 스킵
                 }
-            }
-        }
-
-        // 남은 텍스트 추가
-        if (current.trim()) {
-            result.push(current.trim());
-        }
-
-        return result.length > 0 ? result : [text];
-    }
-
-    /**
-     * 독립 절로 분리 (조건과 효과를 분리)
-     * @param {string} sentence - 문장
-     * @returns {Array} 절 배열
-     * @added 2025-12-10
-     */
-    function splitIntoClauses(sentence) {
-        var clauses = [];
 
-        // "하며," 또는 "또한," 으로 분리되는 독립적인 효과 확인
-        // 패턴: "효과1하며, 효과2" 또는 "효과1. 또한, 효과2"
+                // DPS 핵심 효과별 점수 가중치 (새로운 가중치 테이블 사용)
+                var scoreWeight = getScoreWeight(effectName, 10);
 
-        // 방법: 트리거 키워드 뒤의 효과만 해당 트리거에 연결
-        // "기본 공격 사용 시, 효과1. 효과2하며, 조건 시 효과3"
+                // 시너지 룬 부스트 적용
+                if (synergyBoost[effectName]) {
+                    scoreWeight *= synergyBoost[effectName];
+                }
 
-        // 핵심: 각 효과가 어떤 조건에 종속되는지 정확히 파악
+                // 한계효용 감소 적용 (공격력/피해량 증가에만)
+                var effectiveValue = data.effective;
+                if ((effectName === '공격력 증가' || effectName === '피해량 증가') && currentEffects[effectName]) {
+                    var diminishedValue = calculateDiminishingReturn(currentEffects[effectName], data.effective);
+                    effectiveValue = diminishedValue;
+                }
 
-        // 전략 1: "하며," 로 분리 (이 경우 앞 절과 뒷 절이 독립)
-        var parts = sentence.split(/하며[,\s]*/);
+                var effectScore = effectiveValue * scoreWeight;
+                totalScore += effectScore;
 
-        if (parts.length > 1) {
-            parts.forEach(function(part) {
-                if (part.trim()) {
-                    clauses.push(part.trim());
+                // 요약에 추가 (DPS 핵심 효과로 표시)
+                if (!effectiveSummary[effectName]) {
+                    effectiveSummary[effectName] = {
+                        total: 0,
+                        details: [],
+                        isCoreDPS: true, // DPS 핵심 효과 표시
+                        diminished: false // 한계효용 감소 적용 여부
+                    };
                 }
-            });
-            return clauses;
-        }
+                effectiveSummary[effectName].total += data.effective;
+                effectiveSummary[effectName].details.push(data);
 
-        // 전략 2: "또한," 으로 분리
-        parts = sentence.split(/또한[,\s]*/);
-        if (parts.length > 1) {
-            parts.forEach(function(part) {
-                if (part.trim()) {
-                    clauses.push(part.trim());
+                // 한계효용 감소가 적용되었는지 표시
+                if (effectiveValue !== data.effective) {
+                    effectiveSummary[effectName].diminished = true;
+                    effectiveSummary[effectName].diminishedValue = effectiveValue;
                 }
+
+                breakdown.push({
+                    effectName: effectName,
+                    raw: data.raw,
+                    stacks: data.stacks,
+                    typeWeight: data.typeWeight,
+                    uptime: data.uptime,
+                    effective: data.effective,
+                    diminishedEffective: effectiveValue,
+                    type: data.type,
+                    scoreWeight: scoreWeight,
+                    contribution: effectScore,
+                    hasSynergyBoost: !!synergyBoost[effectName]
+                });
             });
-            return clauses;
-        }
 
-        // 분리가 안 되면 원본 반환
-        return [sentence];
-    }
+            // ====================================================
+            // 결함(디메리트) 효과 처리 - 점수에서 차감
+            // @added 2025-12-10
+            // ====================================================
+            if (effect.demerits && Object.keys(effect.demerits).length > 0) {
+                Object.entries(effect.demerits).forEach(function([demeritName, value]) {
+                    // DPS 관련 결함인 경우에만 점수에서 차감
+                    if (CORE_DPS_DEMERITS.includes(demeritName)) {
+                        var demeritWeight = getScoreWeight(demeritName, 8, true);
+                        var demeritScore = value * demeritWeight;
 
-    /**
-     * 상태 조건 효과 파싱 (체력/자원 조건)
-     * @param {string} text - 효과 텍스트
-     * @returns {Object|null} 조건 효과 정보
-     * @description 체력/자원 조건에 따른 효과 업타임 계산
-     * @added 2025-12-10
-     */
-    function parseHealthConditionEffect(text) {
-        if (!text) return null;
+                        // 점수에서 차감
+                        totalScore -= demeritScore;
 
-        // 업타임 기준 (어비스/레이드 기준)
-        // 체력 75% 이상 유지: 70% 업타임 (적절한 플레이 기준)
-        // 체력 50% 이하 유지: 15% 업타임 (위험 상태, 지양)
-        // 자원 50% 미만: 40% 업타임 (자원 관리에 따라 다름)
-        // 자원 33% 미만: 25% 업타임 (더 제한적)
-        // 적 체력 50% 이하: 50% 업타임 (처형 효과)
+                        // 결함 요약에 추가
+                        var demeritDisplayName = demeritName + ' (결함)';
+                        if (!effectiveSummary[demeritDisplayName]) {
+                            effectiveSummary[demeritDisplayName] = {
+                                total: 0,
+                                details: [],
+                                isCoreDPS: true,
+                                isDemerit: true // 결함 표시
+                            };
+                        }
+                        effectiveSummary[demeritDisplayName].total += value;
+                        effectiveSummary[demeritDisplayName].details.push({
+                            raw: value,
+                            effective: -value,
+                            type: '결함'
+                        });
 
-        var conditionPatterns = [
-            // 내 체력 조건
-            {
-                pattern: /체력이?\s*(\d+)\s*%\s*이상일?\s*(?:경우|때)/,
-                type: 'health_above',
-                uptimeCalc: function(threshold) {
-                    // 체력이 높을수록 유지하기 쉬움
-                    if (threshold >= 75) return 0.70; // 75% 이상: 70% 업타임
-                    if (threshold >= 50) return 0.80; // 50% 이상: 80% 업타임
-                    return 0.90; // 그 이하: 90% 업타임
-                }
-            },
-            {
-                pattern: /체력이?\s*(\d+)\s*%\s*이하(?:로\s*감소하면|일?\s*(?:경우|때))/,
-                type: 'health_below',
-                uptimeCalc: function(threshold) {
-                    // 체력이 낮을수록 위험 - 유지 어려움
-                    if (threshold <= 25) return 0.05; // 25% 이하: 5% 업타임 (매우 위험)
-                    if (threshold <= 50) return 0.15; // 50% 이하: 15% 업타임 (위험)
-                    return 0.30; // 그 이상: 30% 업타임
-                }
-            },
-            // 자원 조건
-            {
-                pattern: /(?:보유\s*)?자원이?\s*(\d+)\s*%\s*미만일?\s*(?:경우|때)/,
-                type: 'resource_below',
-                uptimeCalc: function(threshold) {
-                    // 자원 관리에 따라 다름
-                    if (threshold <= 33) return 0.25; // 33% 미만: 25% 업타임
-                    if (threshold <= 50) return 0.40; // 50% 미만: 40% 업타임
-                    return 0.50; // 그 이상: 50% 업타임
-                }
-            },
-            // 적 체력 조건
-            {
-                pattern: /(?:남은\s*)?체력이?\s*(\d+)\s*%\s*이하인?\s*적/,
-                type: 'enemy_health_below',
-                uptimeCalc: function(threshold) {
-                    // 처형 효과 - 보스전 기준 후반부에만 유효
-                    if (threshold <= 25) return 0.25; // 25% 이하: 25% 업타임
-                    if (threshold <= 50) return 0.50; // 50% 이하: 50% 업타임
-                    return 0.60;
-                }
+                        breakdown.push({
+                            effectName: demeritDisplayName,
+                            raw: value,
+                            effective: -value,
+                            type: '결함',
+                            scoreWeight: demeritWeight,
+                            contribution: -demeritScore,
+                            isDemerit: true
+                        });
+                    }
+                });
             }
-        ];
 
-        for (var i = 0; i < conditionPatterns.length; i++) {
-            var condPattern = conditionPatterns[i];
-            var match = text.match(condPattern.pattern);
-            if (match) {
-                var threshold = parseFloat(match[1]);
-                var uptime = condPattern.uptimeCalc(threshold);
-
-                return {
-                    hasCondition: true,
-                    type: condPattern.type,
-                    threshold: threshold,
-                    uptime: uptime,
-                    uptimePercent: Math.round(uptime * 100)
-                };
+            // ====================================================
+            // 기본 공격 효과 처리 - 기타 효과로 분류 (점수 미반영)
+            // @added 2025-12-10
+            // ====================================================
+            if (effect.basicAttackEffects && Object.keys(effect.basicAttackEffects).length > 0) {
+                Object.entries(effect.basicAttackEffects).forEach(function([effectName, value]) {
+                    // 기본 공격 효과는 기타 효과로 표시 (점수 미반영)
+                    var displayName = effectName + ' (기본공격)';
+                    if (!effectiveSummary[displayName]) {
+                        effectiveSummary[displayName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: false,
+                            isBasicAttack: true // 기본 공격 효과 표시
+                        };
+                    }
+                    effectiveSummary[displayName].total += value;
+                    effectiveSummary[displayName].details.push({
+                        raw: value,
+                        effective: value,
+                        type: '기본 공격'
+                    });
+                });
             }
-        }
-
-        return null;
-    }
-
-    /**
-     * 시간 감소 효과 파싱
-     * @param {string} text - 효과 텍스트
-     * @returns {Object|null} 감소 효과 정보 { hasDecay, initialValue, decayRate, decayInterval, decayDuration, effectiveValue }
-     * @description "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴 파싱
-     * @added 2025-12-10
-     */
-    function parseDecayEffect(text) {
-        if (!text) return null;
 
-        // 패턴: "전투 시작 시, 공격력이 30% 증가한다. 증가한 공격력은 매 3초마다 2%씩 감소한다."
-        var combatStartPattern = /전투\s*시작\s*시.*?(\d+(?:\.\d+)?)\s*%\s*증가/;
-        var decayPattern = /매\s*(\d+(?:\.\d+)?)\s*초마다\s*(\d+(?:\.\d+)?)\s*%씩?\s*감소/;
-
-        var startMatch = text.match(combatStartPattern);
-        var decayMatch = text.match(decayPattern);
+            // ====================================================
+            // 무방비 공격 적중 시 효과 처리 - 기타 효과로 분류 (점수 미반영)
+            // @added 2025-12-10
+            // 브레이크 발동까지 시간이 오래 걸려 어비스/레이드에서 효율 낮음
+            // ====================================================
+            if (effect.defenseBreakEffects && Object.keys(effect.defenseBreakEffects).length > 0) {
+                Object.entries(effect.defenseBreakEffects).forEach(function([effectName, value]) {
+                    // 무방비 효과는 기타 효과로 표시 (점수 미반영)
+                    var displayName = effectName + ' (무방비)';
+                    if (!effectiveSummary[displayName]) {
+                        effectiveSummary[displayName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: false,
+                            isDefenseBreak: true // 무방비 효과 표시
+                        };
+                    }
+                    effectiveSummary[displayName].total += value;
+                    effectiveSummary[displayName].details.push({
+                        raw: value,
+                        effective: value,
+                        type: '무방비'
+                    });
+                });
+            }
 
-        if (!startMatch || !decayMatch) {
-            return null;
-        }
-
-        var initialValue = parseFloat(startMatch[1]); // 초기값 (예: 30%)
-        var decayInterval = parseFloat(decayMatch[1]); // 감소 주기 (예: 3초)
-        var decayRate = parseFloat(decayMatch[2]); // 감소량 (예: 2%)
-
-        // 효과 소멸 시간 계산 (초)
-        // 30% / 2% = 15회, 15회 × 3초 = 45초
-        var decayCount = Math.ceil(initialValue / decayRate);
-        var decayDuration = decayCount * decayInterval;
+            // ====================================================
+            // 제한적 효과 처리 - 기타 효과로 분류 (점수 미반영)
+            // @added 2025-12-10
+            // 브레이크/무방비/특정스킬 등 범용성 낮은 효과들
+            // ====================================================
+            if (effect.limitedEffects && Object.keys(effect.limitedEffects).length > 0) {
+                Object.entries(effect.limitedEffects).forEach(function([effectName, value]) {
+                    // 제한적 효과는 기타 효과로 표시 (점수 미반영)
+                    var displayName = effectName + ' (제한적)';
+                    if (!effectiveSummary[displayName]) {
+                        effectiveSummary[displayName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: false,
+                            isLimitedEffect: true // 제한적 효과 표시
+                        };
+                    }
+                    effectiveSummary[displayName].total += value;
+                    effectiveSummary[displayName].details.push({
+                        raw: value,
+                        effective: value,
+                        type: '제한적'
+                    });
+                });
+            }
 
-        // 어비스/레이드 기준 전투 시간 (초) - 평균 120초 (2분) 가정
-        var combatDuration = 120;
+            // ====================================================
+            // 시간 감소 효과 처리 - 실효값 적용하여 점수 계산
+            // @added 2025-12-10
+            // "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴
+            // 어비스/레이드 기준 전투 시간이 길어서 실효값으로 계산
+            // ====================================================
+            if (effect.decayEffects && Object.keys(effect.decayEffects).length > 0) {
+                Object.entries(effect.decayEffects).forEach(function([effectName, data]) {
+                    var initialValue = data.initialValue;
+                    var effectiveValue = data.effectiveValue;
+                    var decayInfo = data.decayInfo;
 
-        // 평균 효과값 계산 (선형 감소)
-        // 처음: initialValue, 끝: 0, 평균 = initialValue / 2
-        var averageValue = initialValue / 2;
+                    // 실효값으로 점수 계산
+                    var scoreWeight = getScoreWeight('공격력 증가', 10);
+                    var effectScore = effectiveValue * scoreWeight;
+                    totalScore += effectScore;
 
-        // 업타임 계산
-        // 감소 완료 시간이 전투 시간보다 짧으면 일부만 효과
-        var effectiveUptime = Math.min(decayDuration, combatDuration) / combatDuration;
+                    // 시간 감소 효과로 표시
+                    var displayName = effectName;
+                    if (!effectiveSummary[displayName]) {
+                        effectiveSummary[displayName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: true, // DPS 효과지만 감소 적용
+                            isDecayEffect: true,
+                            decayInfo: decayInfo
+                        };
+                    }
+                    effectiveSummary[displayName].total += effectiveValue;
+                    effectiveSummary[displayName].details.push({
+                        raw: initialValue,
+                        effective: effectiveValue,
+                        type: '시간 감소',
+                        decayDuration: decayInfo.decayDuration,
+                        effectiveUptime: Math.round(decayInfo.effectiveUptime * 100)
+                    });
 
-        // 실효값 = 평균값 × 업타임
-        var effectiveValue = averageValue * effectiveUptime;
+                    breakdown.push({
+                        effectName: displayName,
+                        raw: initialValue,
+                        effective: effectiveValue,
+                        type: '시간 감소',
+                        scoreWeight: scoreWeight,
+                        contribution: effectScore,
+                        decayInfo: '초기 ' + initialValue + '% → ' + decayInfo.decayDuration + '초 후 소멸'
+                    });
+                });
+            }
 
-        return {
-            hasDecay: true,
-            initialValue: initialValue,
-            decayRate: decayRate,
-            decayInterval: decayInterval,
-            decayDuration: decayDuration,
-            combatDuration: combatDuration,
-            effectiveUptime: effectiveUptime,
-            averageValue: averageValue,
-            effectiveValue: Math.round(effectiveValue * 10) / 10
-        };
-    }
+            // ====================================================
+            // 상태 조건 효과 처리 - 업타임 적용하여 점수 계산
+            // @added 2025-12-10
+            // 체력/자원 조건에 따른 효과는 업타임이 제한적
+            // ====================================================
+            if (effect.conditionEffects && Object.keys(effect.conditionEffects).length > 0) {
+                Object.entries(effect.conditionEffects).forEach(function([effectName, data]) {
+                    var rawValue = data.rawValue;
+                    var effectiveValue = data.effectiveValue;
+                    var conditionInfo = data.conditionInfo;
 
-    /**
-     * 개선된 단일 효과 파싱 (조건 범위 정확히 적용)
-     * @param {string} effectText - 효과 텍스트
-     * @param {number} enhanceLevel - 강화 단계
-     * @returns {Object|null} 파싱된 효과
-     * @added 2025-12-10
-     */
-    function parseSingleEffectImproved(effectText, enhanceLevel) {
-        if (!effectText || effectText.length < 3) return null;
+                    // 효과 타입 추출 (공격력 증가, 피해량 증가 등)
+                    var baseEffectName = effectName.replace(/\s*\([^)]+\)\s*$/, '');
 
-        var result = {
-            type: EFFECT_TYPE.PASSIVE, // 기본은 상시
-            effects: {},
-            stackInfo: null,
-            timing: {
-                uptime: 1.0
-            },
-            isEnhanceBonus: false,
-            enhanceLevel: 0,
-            rawText: effectText
-        };
+                    // 핵심 DPS 효과인 경우만 점수에 반영
+                    var isCoreDPS = CORE_DPS_EFFECTS.indexOf(baseEffectName) !== -1;
+                    if (isCoreDPS) {
+                        var scoreWeight = getScoreWeight(baseEffectName, 10);
+                        var effectScore = effectiveValue * scoreWeight;
+                        totalScore += effectScore;
+                    }
 
-        // 강화 효과 체크
-        if (/\+10.*강화/.test(effectText) || /장비를\s*\+10\s*강화/.test(effectText)) {
-            result.isEnhanceBonus = true;
-            result.enhanceLevel = 10;
-            if (enhanceLevel < 10) return null;
-        }
-        if (/\+15.*강화/.test(effectText) || /장비를\s*\+15\s*강화/.test(effectText)) {
-            result.isEnhanceBonus = true;
-            result.enhanceLevel = 15;
-            if (enhanceLevel < 15) return null;
-        }
+                    // 조건 효과로 표시
+                    var displayName = effectName;
+                    if (!effectiveSummary[displayName]) {
+                        effectiveSummary[displayName] = {
+                            total: 0,
+                            details: [],
+                            isCoreDPS: isCoreDPS,
+                            isConditionEffect: true,
+                            conditionInfo: conditionInfo
+                        };
+                    }
+                    effectiveSummary[displayName].total += effectiveValue;
+                    effectiveSummary[displayName].details.push({
+                        raw: rawValue,
+                        effective: effectiveValue,
+                        type: '상태 조건',
+                        conditionType: conditionInfo.type,
+                        uptime: conditionInfo.uptimePercent
+                    });
 
-        // 조건 키워드와 효과의 위치 관계 분석
-        // 핵심: 조건이 효과 바로 앞에 있을 때만 해당 효과에 적용
-        var conditionEndIndex = findConditionEndIndex(effectText);
+                    breakdown.push({
+                        effectName: displayName,
+                        raw: rawValue,
+                        effective: effectiveValue,
+                        type: '상태 조건',
+                        scoreWeight: isCoreDPS ? getScoreWeight(baseEffectName, 10) : 0,
+                        contribution: isCoreDPS ? (effectiveValue * getScoreWeight(baseEffectName, 10)) : 0,
+                        conditionInfo: '업타임 ' + conditionInfo.uptimePercent + '%'
+                    });
+                });
+            }
+        });
 
-        // 조건 부분과 효과 부분 분리
-        var conditionPart = conditionEndIndex > 0 ? effectText.substring(0, conditionEndIndex) : '';
-        var effectPart = conditionEndIndex > 0 ? effectText.substring(conditionEndIndex) : effectText;
+        // 엠블럼 각성 효과 추가 계산 (엠블럼 룬인 경우)
+        // @added 2025-12-10
+        var awakeningInfo = null;
+        if (rune.category === '04') { // 엠블럼
+            var awakening = parseEmblemAwakening(rune.description);
 
-        // 효과 부분에 직접 조건이 있는지 확인
-        var effectConditionIndex = findConditionEndIndex(effectPart);
-        if (effectConditionIndex > 0 && effectConditionIndex < effectPart.length - 5) {
-            // 효과 부분에도 조건이 있으면 그 조건을 사용
-            conditionPart = effectPart.substring(0, effectConditionIndex);
-            effectPart = effectPart.substring(effectConditionIndex);
-        }
+            if (awakening && awakening.hasAwakening) {
+                // 무방비 각성은 제한적 효과로 처리
+                if (awakening.isDefenseBreakAwakening) {
+                    awakeningInfo = {
+                        duration: awakening.duration,
+                        baseCooldown: awakening.cooldown,
+                        isLimited: true,
+                        limitReason: '무방비 발동 필요'
+                    };
+                    // 기본 공격 각성도 제한적 효과로 처리 @added 2025-12-10
+                } else if (awakening.isBasicAttackAwakening) {
+                    awakeningInfo = {
+                        duration: awakening.duration,
+                        baseCooldown: awakening.cooldown,
+                        isLimited: true,
+                        limitReason: '기본 공격 효과 (DPS 비중 낮음)'
+                    };
+                } else {
+                    var effectiveCooldown = Math.max(awakening.cooldown - awakeningCooldownReduction, 10);
+                    // 업타임 = 지속시간 / (지속시간 + 쿨타임)
+                    // 발동 확률은 업타임에 미포함 (쿨타임 후 거의 즉시 발동)
+                    var uptime = awakening.duration / (awakening.duration + effectiveCooldown);
 
-        // ========================================================
-        // 누적/축적 효과 먼저 체크 (전체 텍스트에서) @added 2025-12-10
-        // "누적:", "축적:", "최대 N회까지 중첩" 패턴은 STACKING 타입
-        // ========================================================
-        if (/^(누적|축적):/.test(effectText) || /최대\s*\d+\s*회까지\s*중첩/.test(effectText)) {
-            result.type = EFFECT_TYPE.STACKING;
-        }
-        // 조건 부분에서 효과 유형 결정 (STACKING이 아닌 경우만)
-        else if (conditionPart) {
-            result.type = detectEffectType(conditionPart);
-        }
-        // 효과 부분에 조건 없이 시작하면 상시 효과
-        else if (!hasConditionKeyword(effectPart.substring(0, 20))) {
-            result.type = EFFECT_TYPE.PASSIVE;
-        }
+                    awakeningInfo = {
+                        duration: awakening.duration,
+                        baseCooldown: awakening.cooldown,
+                        reducedCooldown: effectiveCooldown,
+                        uptime: uptime
+                    };
 
-        // 중첩 정보 파싱
-        result.stackInfo = parseStackInfo(effectText);
+                    // 각성 효과를 업타임 적용하여 점수에 반영
+                    Object.entries(awakening.awakeningEffects).forEach(function([effectName, value]) {
+                        if (CORE_DPS_EFFECTS.includes(effectName)) {
+                            var effectiveValue = value * uptime;
+                            // 효과별 가중치 사용 @updated 2025-12-10
+                            var scoreWeight = getScoreWeight(effectName, 10);
 
-        // 지속 시간/쿨타임 파싱
-        result.timing = parseDurationAndCooldown(effectText);
+                            var effectScore = effectiveValue * scoreWeight;
+                            totalScore += effectScore;
 
-        // 효과 수치 파싱 (효과 부분에서)
-        // @updated 2025-12-10 - 연타/강타/스킬위력 추가
-        // @updated 2025-12-10 - 기본 공격 관련 효과 제외 (DPS 비중 낮음)
-        // @updated 2025-12-10 - 무방비 공격 적중 시 효과 제외 (브레이크 발동 시간 긺)
+                            // 요약에 추가 (각성 효과로 표시)
+                            var awakeningEffectName = effectName + ' (각성)';
+                            if (!effectiveSummary[awakeningEffectName]) {
+                                effectiveSummary[awakeningEffectName] = {
+                                    total: 0,
+                                    details: [],
+                                    isCoreDPS: true,
+                                    isAwakening: true
+                                };
+                            }
+                            effectiveSummary[awakeningEffectName].total += effectiveValue;
 
-        // 기본 공격 관련 효과 체크 (효율에서 제외할 것들)
-        var isBasicAttackEffect = /기본\s*공격/.test(effectText);
+                            breakdown.push({
+                                effectName: awakeningEffectName,
+                                raw: value,
+                                uptime: uptime,
+                                effective: effectiveValue,
+                                type: 'awakening',
+                                scoreWeight: scoreWeight,
+                                contribution: effectScore
+                            });
+                        }
+                    });
 
-        // 무방비 공격 적중 시 효과 체크 (효율에서 제외) @added 2025-12-10
-        // 브레이크 발동까지 시간이 오래 걸려 실제 DPS 기여도 낮음
-        var isDefenseBreakEffect = /무방비\s*공격\s*적중\s*시/.test(effectText);
+                    // 상시 효과 추가
+                    Object.entries(awakening.passiveEffects).forEach(function([effectName, value]) {
+                        if (CORE_DPS_EFFECTS.includes(effectName)) {
+                            // 효과별 가중치 사용 @updated 2025-12-10
+                            var scoreWeight = getScoreWeight(effectName, 10);
 
-        // ========================================================
-        // 제한적 효과 체크 (효율에서 제외) @added 2025-12-10
-        // 특정 조건/스킬에서만 발동되어 범용성이 낮은 효과들
-        // ========================================================
+                            var effectScore = value * scoreWeight;
+                            totalScore += effectScore;
 
-        // 브레이크/무방비 피해 관련 (브레이크 발동 어려움)
-        var isBreakDamageEffect = /브레이크\s*(?:스킬.*)?피해|무방비\s*피해/.test(effectText);
+                            if (!effectiveSummary[effectName]) {
+                                effectiveSummary[effectName] = {
+                                    total: 0,
+                                    details: [],
+                                    isCoreDPS: true
+                                };
+                            }
+                            effectiveSummary[effectName].total += value;
+                        }
+                    });
+                } // else 블록 종료
+            }
+        }
 
-        // 특정 스킬 피해량 (범용성 낮음)
-        // 예: "드래곤 헌터 스킬의 피해량이", "보조, 생존 스킬의 피해량이"
-        var isSpecificSkillDamage = /\S+\s*스킬의\s*피해량/.test(effectText) && !/스킬\s*피해량/.test(effectText);
+        // DPS 분석 추가 (2025-12-10)
+        var dpsAnalysis = calculateExpectedDPS(effectiveSummary, characterStats);
 
-        // 특정 지속 피해 보유 조건 (시너지 필요)
-        // 예: "지속 피해: 중독을 보유한 적에게"
-        var isDotConditionEffect = /지속\s*피해:\s*\S+을?\s*보유한\s*적/.test(effectText);
+        return {
+            score: totalScore,
+            breakdown: breakdown,
+            effectiveSummary: effectiveSummary,
+            dotTypes: parsed.dotTypes,
+            coreDPSEffects: CORE_DPS_EFFECTS,
+            awakeningInfo: awakeningInfo, // 각성 정보 추가
+            dpsAnalysis: dpsAnalysis, // DPS 분석 추가
+            synergyApplied: Object.keys(synergyBoost).length > 0 // 시너지 적용 여부
+        };
+    }
 
-        // 특정 상태/범위 조건 (상황 의존)
-        // 예: "주변 3m 범위 내에 적이 없을 경우"
-        var isRangeConditionEffect = /범위\s*내에?\s*적이?\s*없을/.test(effectText);
+    /**
+     * 기존 호환성을 위한 래퍼 함수
+     * @param {string} description - 룬 설명
+     * @param {number} enhanceLevel - 강화 단계
+     * @returns {Object} 단순화된 효과 객체
+     */
+    function parseRuneEffects(description, enhanceLevel = 0) {
+        // 임시 룬 객체 생성
+        const tempRune = {
+            description,
+            name: '',
+            id: 0
+        };
+        const result = calculateRuneEfficiencyScore(tempRune, enhanceLevel, getAllEquippedDotTypes());
 
-        // 궁극기/각성 사용 시 효과 (직업군/시너지 의존) @added 2025-12-10
-        // 궁극기 충전 속도가 직업마다 다르고 시너지 룬에 따라 크게 달라짐
-        var isUltimateConditionEffect = /궁극기\s*사용\s*시|각성\s*(?:혹은\s*)?궁극기\s*사용\s*시/.test(effectText);
+        // 기존 형식으로 변환
+        const simpleEffects = {};
+        Object.entries(result.effectiveSummary).forEach(([name, data]) => {
+            simpleEffects[name] = Math.round(data.total * 10) / 10;
+        });
 
-        // 통합 제한적 효과 체크
-        var isLimitedEffect = isBreakDamageEffect || isSpecificSkillDamage || isDotConditionEffect || isRangeConditionEffect || isUltimateConditionEffect;
+        return simpleEffects;
+    }
 
-        // ========================================================
-        // 시간 감소 효과 체크 @added 2025-12-10
-        // "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴
-        // 어비스/레이드 기준 전투 시간이 길어서 효과가 빠르게 소멸
-        // ========================================================
-        var decayEffectInfo = parseDecayEffect(effectText);
-        var hasDecayEffect = decayEffectInfo && decayEffectInfo.hasDecay;
+    // ============================================
+    // 10. 효과 합산 (Effect Calculator)
+    // ============================================
 
-        // ========================================================
-        // 상태 조건 효과 체크 @added 2025-12-10
-        // 체력/자원 조건에 따른 효과 - 업타임 제한적
-        // ========================================================
-        var healthConditionInfo = parseHealthConditionEffect(effectText);
-
-        var effectPatterns = [{
-                name: '공격력 증가',
-                pattern: /공격력이?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/
-            },
-            {
-                name: '피해량 증가',
-                pattern: /(?:적에게\s*)?주는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*(?:추가로\s*)?증가/,
-                // 기본 공격 피해량은 별도 효과로 처리
-                excludeIfBasicAttack: true
-            },
-            {
-                name: '치명타 확률 증가',
-                pattern: /치명타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '치명타 피해 증가',
-                pattern: /치명타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '연타 확률 증가',
-                pattern: /연타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '강타 확률 증가',
-                pattern: /강타\s*(?:확률이?|피해가?)\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '추가타 확률 증가',
-                // "기본 공격 추가타"가 아닌 일반 추가타만 매칭
-                pattern: /(?<!기본\s*공격\s*)(?<!기본\s*공격의?\s*)추가타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/,
-                // 기본 공격 추가타는 별도 효과로 처리
-                excludeIfBasicAttack: true
-            },
-            {
-                name: '스킬 위력 증가',
-                pattern: /스킬\s*(?:위력|피해)이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '공격 속도 증가',
-                pattern: /공격\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/,
-                // 기본 공격 속도는 별도 효과로 처리
-                excludeIfBasicAttack: true
-            },
-            {
-                name: '받는 피해 감소',
-                pattern: /받는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '회복력 증가',
-                pattern: /회복력이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            }
-        ];
+    /**
+     * 장착된 모든 룬의 효과 합산
+     * @updated 2025-12-10 - 고급 효과 파싱 엔진 사용
+     * @updated 2025-12-10 - DPS 핵심 효과 구분 표시
+     * @updated 2025-12-10 - 한계효용 감소, 시너지 룬, DPS 분석 추가
+     * @updated 2025-12-15 - 합산은 computeLoadoutEffects로 분리 (빌드 비교와 공유)
+     */
+    function calculateTotalEffects() {
+        const result = computeLoadoutEffects(state.equippedRunes, state.enhanceLevels);
+        renderEffectSummary(result.totalEffects, result.hasSynergy, result.dotTypes, result.synergyResult, result.dpsAnalysis, result.roleAnalysis);
+        renderCombatSimulation(simulateEquippedCombat(state.equippedRunes)); // @added 2025-12-15
+        renderLoadoutComparison(); // @added 2025-12-15 현재 장착이 비교 기준
+    }
 
-        // 기본 공격 관련 효과 패턴 (기타 효과로 분류) @added 2025-12-10
-        var basicAttackPatterns = [{
-                name: '기본 공격 추가타 확률 증가',
-                pattern: /기본\s*공격(?:의)?\s*추가타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '기본 공격 피해량 증가',
-                pattern: /기본\s*공격(?:의)?\s*피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '기본 공격 속도 증가',
-                pattern: /기본\s*공격\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            }
-        ];
+    /**
+     * 장착 룬 전투 시뮬레이션 (발동/지속/중첩 효과의 실제 업타임)
+     * @param {Object} equippedRunes - 슬롯ID: 룬
+     * @returns {Object|null} CombatSimulator.simulateCombat 결과 (모듈이 없거나 장착 룬이 없으면 null)
+     * @description 기본 로테이션/전투 시간 기준, 강화 보너스 미반영. 효율 점수는 기존 업타임 공식(calculateUptime) 유지
+     * @added 2025-12-15
+     */
+    function simulateEquippedCombat(equippedRunes) {
+        const runes = Object.values(equippedRunes).filter(Boolean);
+        if (!window.CombatSimulator || runes.length === 0) return null;
+        return window.CombatSimulator.simulateCombat(runes);
+    }
 
-        // 무방비 공격 적중 시 효과 패턴 (기타 효과로 분류) @added 2025-12-10
-        // 브레이크 발동까지 시간이 오래 걸려 어비스/레이드에서 효율 낮음
-        var defenseBreakPatterns = [{
-                name: '무방비 피해량 증가',
-                pattern: /(?:무방비\s*공격\s*적중\s*시.*?)?주는\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '무방비 공격 속도 증가',
-                pattern: /(?:무방비\s*공격\s*적중\s*시.*?)?공격\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '무방비 스킬 속도 증가',
-                pattern: /(?:무방비\s*공격\s*적중\s*시.*?)?스킬\s*사용\s*속도.*?(\d+(?:\.\d+)?)\s*%?\s*증가/
-            }
-        ];
+    /**
+     * 전투 시뮬레이션 업타임 렌더링 (상시 효과 제외)
+     * @param {Object|null} simulation - simulateEquippedCombat 결과
+     * @added 2025-12-15
+     */
+    function renderCombatSimulation(simulation) {
+        const list = $('#effect-list-simulation');
+        if (!list) return;
 
-        // 제한적 효과 패턴 (기타 효과로 분류) @added 2025-12-10
-        // 브레이크/무방비/특정스킬 등 범용성 낮은 효과들
-        var limitedEffectPatterns = [{
-                name: '브레이크 스킬 피해 증가',
-                pattern: /브레이크\s*스킬.*?피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '브레이크 피해 증가',
-                pattern: /브레이크\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '무방비 피해 증가',
-                pattern: /무방비\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '특정 스킬 피해량 증가',
-                pattern: /(\S+)\s*스킬의\s*피해량이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '지속 피해 조건 피해 증가',
-                pattern: /지속\s*피해.*?보유한\s*적.*?피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '거리 조건 피해 증가',
-                pattern: /범위\s*내에?\s*적이?\s*없을.*?피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            // 궁극기/각성 사용 시 효과 @added 2025-12-10
-            {
-                name: '궁극기 사용 시 공격력 증가',
-                pattern: /궁극기\s*사용\s*시.*?공격력이?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            },
-            {
-                name: '궁극기 사용 시 피해량 증가',
-                pattern: /궁극기\s*사용\s*시.*?피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*증가/
-            }
-        ];
+        if (!simulation) {
+            list.innerHTML = '<p class="effect-empty">장착된 룬이 없습니다</p>';
+            return;
+        }
 
-        /**
-         * 결함(디메리트) 효과 패턴
-         * @description DPS에 영향을 주는 감소 효과
-         * @added 2025-12-10
-         */
-        var demeritPatterns = [{
-                name: '피해량 감소',
-                // "적에게 주는 피해가 X% 감소" 또는 "주는 모든 피해가 X% 감소"
-                pattern: /(?:적에게\s*)?주는\s*(?:모든\s*)?피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '멀티히트 피해 감소',
-                // "멀티히트 피해가 X% 감소" 또는 "멀티히트 피해는 X% 감소"
-                pattern: /멀티히트\s*피해(?:가|는)?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '치명타 확률 감소',
-                pattern: /치명타\s*확률이?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '치명타 피해 감소',
-                pattern: /치명타\s*피해가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '공격력 감소',
-                pattern: /공격력이?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            // @added 2025-12-10 - 추가 결함 효과
-            {
-                name: '쿨타임 회복 속도 감소',
-                // "재사용 대기 시간 회복 속도가 X% 감소" - 스킬 DPS에 영향
-                pattern: /재사용\s*대기\s*시간\s*회복\s*속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '스킬 사용 속도 감소',
-                // "스킬 사용 속도가 X% 감소" 또는 "스킬 사용 속도와 캐스팅 및 차지 속도가 X% 감소"
-                pattern: /스킬\s*사용\s*속도(?:가|와)?\s*(?:.*?)?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            },
-            {
-                name: '캐스팅 속도 감소',
-                // "캐스팅 및 차지 속도가 X% 감소"
-                pattern: /캐스팅\s*(?:및\s*)?(?:차지\s*)?속도가?\s*(\d+(?:\.\d+)?)\s*%?\s*감소/
-            }
-        ];
+        const effects = simulation.effects.filter(effect => effect.type !== 'PERMANENT' && effect.value > 0);
+        const detailStyle = 'font-size: var(--font-size-xs); color: var(--color-text-muted);';
+        const formatPercent = value => `${(value * 100).toFixed(1)}%`;
 
-        // 결함 영역 여부 확인 ("결함:" 이후의 텍스트인지)
-        var isDemeritSection = /결함\s*[:：]/.test(effectText);
-
-        // 기본 공격 관련 효과 먼저 파싱 @added 2025-12-10
-        // 기본 공격 효과는 별도 필드에 저장 (DPS 효율에서 제외)
-        if (isBasicAttackEffect) {
-            basicAttackPatterns.forEach(function(item) {
-                var match = effectText.match(item.pattern);
-                if (match) {
-                    if (!result.basicAttackEffects) {
-                        result.basicAttackEffects = {};
-                    }
-                    result.basicAttackEffects[item.name] = parseFloat(match[1]);
-                }
-            });
-        }
+        let html = `
+            <div class="effect-item effect-item--dps">
+                <span class="effect-item__name">평균 DPS 지수 (${simulation.duration}초)</span>
+                <span class="effect-item__value effect-item__value--dps">×${simulation.averageDpsIndex.toFixed(3)}</span>
+            </div>
+        `;
 
-        // 무방비 공격 적중 시 효과 파싱 @added 2025-12-10
-        // 브레이크 발동까지 시간이 오래 걸려 DPS 효율에서 제외
-        if (isDefenseBreakEffect) {
-            defenseBreakPatterns.forEach(function(item) {
-                var match = effectText.match(item.pattern);
-                if (match) {
-                    if (!result.defenseBreakEffects) {
-                        result.defenseBreakEffects = {};
-                    }
-                    result.defenseBreakEffects[item.name] = parseFloat(match[1]);
-                }
-            });
-            // 무방비 효과는 일반 효과에서 제외하고 리턴
-            result.isDefenseBreakOnly = true;
-        }
-
-        // 제한적 효과 파싱 @added 2025-12-10
-        // 브레이크/무방비/특정스킬 등 범용성 낮은 효과들
-        if (isLimitedEffect) {
-            limitedEffectPatterns.forEach(function(item) {
-                var match = effectText.match(item.pattern);
-                if (match) {
-                    if (!result.limitedEffects) {
-                        result.limitedEffects = {};
-                    }
-                    // 특정 스킬의 경우 스킬명도 저장
-                    if (item.name === '특정 스킬 피해량 증가' && match[1] && match[2]) {
-                        var skillName = match[1];
-                        result.limitedEffects[skillName + ' 스킬 피해량 증가'] = parseFloat(match[2]);
-                    } else {
-                        result.limitedEffects[item.name] = parseFloat(match[1]);
-                    }
-                }
-            });
-            result.isLimitedEffect = true;
+        if (effects.length === 0) {
+            list.innerHTML = html + '<p class="effect-empty">발동/중첩 효과가 없습니다</p>';
+            return;
         }
 
-        // 전체 텍스트에서 효과 파싱 (수치 추출)
-        // @updated 2025-12-10 - 기본 공격 관련 효과 제외 처리
-        // @updated 2025-12-10 - 무방비 공격 적중 시 효과 제외 처리
-        // @updated 2025-12-10 - 제한적 효과 제외 처리
-        effectPatterns.forEach(function(item) {
-            // 기본 공격 관련 효과면서 제외 플래그가 있으면 스킵
-            if (item.excludeIfBasicAttack && isBasicAttackEffect) {
-                return; // 스킵
-            }
+        html += `<div class="effect-section-header">📈 효과별 업타임 (시뮬레이션 / 공식)</div>`;
+        html += effects.map(function(effect) {
+            // 해석할 수 없는 조건은 추정값 (UPTIME_THRESHOLDS / calculateUptime)
+            const formulaText = effect.formulaUptime !== undefined ? ` / ${formatPercent(effect.formulaUptime)}` : '';
+            let uptimeText = effect.simulated ? formatPercent(effect.uptime) + formulaText : `추정 ${formatPercent(effect.uptime)}`;
+            // 지속 시간 없는 즉발 효과는 업타임 대신 발동 횟수
+            const instant = effect.simulated && effect.uptime === 0 && effect.activations > 0;
+            if (instant) uptimeText = `${effect.activations}회 발동`;
+            const valueText = instant ? `1회 +${effect.value}` : `평균 +${effect.averageValue}`;
+            const stackText = effect.maxStacks ? ` · 평균 ${effect.averageStacks}/${effect.maxStacks}중첩` : '';
+            return `
+                <div class="effect-item">
+                    <span class="effect-item__name">${escapeHtml(effect.runeName)} · ${escapeHtml(effect.name)}</span>
+                    <span class="effect-item__value">${uptimeText}</span>
+                </div>
+                <div class="effect-item effect-item--detail">
+                    <span class="effect-item__name" style="${detailStyle}">
+                        ${valueText}${escapeHtml(effect.unit)}${stackText}
+                    </span>
+                </div>
+            `;
+        }).join('');
 
-            // 무방비 공격 적중 시 효과면 핵심 DPS 효과에서 제외
-            if (isDefenseBreakEffect) {
-                return; // 스킵 - 무방비 효과는 별도 처리됨
-            }
+        list.innerHTML = html;
+    }
 
-            // 제한적 효과면 핵심 DPS 효과에서 제외 @added 2025-12-10
-            // 브레이크/무방비/특정스킬 등 범용성 낮은 효과
-            if (isLimitedEffect && (item.name === '피해량 증가' || item.name === '공격력 증가')) {
-                return; // 스킵 - 제한적 효과는 별도 처리됨
-            }
+    /**
+     * 룬 세트의 효과 합산 및 DPS 분석
+     * @param {Object} equippedRunes - 슬롯ID: 룬
+     * @param {Object} enhanceLevels - 슬롯ID: 강화 단계
+     * @returns {Object} { totalEffects, hasSynergy, dotTypes, synergyResult, dpsAnalysis, roleAnalysis }
+     * @added 2025-12-15 - calculateTotalEffects에서 분리
+     * @updated 2025-12-15 - 유효 체력/초당 회복량 분석 추가
+     */
+    function computeLoadoutEffects(equippedRunes, enhanceLevels) {
+        const totalEffects = {
+            coreDPS: {}, // DPS 핵심 효과
+            demerits: {}, // 결함 효과 @added 2025-12-10
+            conditionEffects: {}, // 상태 조건 효과 @added 2025-12-10
+            other: {} // 기타 효과
+        };
+
+        // 모든 장착 룬의 지속 피해 유형 수집
+        const allDotTypes = getAllEquippedDotTypes(equippedRunes);
+        const hasSynergy = allDotTypes.length > 0;
 
-            var match = effectText.match(item.pattern);
-            if (match) {
-                var effectValue = parseFloat(match[1]);
+        // 시너지 룬 체크 (synergy-rules.json, Worker와 같은 규칙)
+        const synergyResult = window.SynergyEngine.summarize(Object.values(equippedRunes));
 
-                // 시간 감소 효과 적용 @added 2025-12-10
-                // "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴인 경우
-                if (hasDecayEffect && item.name === '공격력 증가') {
-                    // 전투 시작 시 효과는 별도 처리
-                    if (!result.decayEffects) {
-                        result.decayEffects = {};
-                    }
-                    result.decayEffects[item.name + ' (전투 시작)'] = {
-                        initialValue: decayEffectInfo.initialValue,
-                        effectiveValue: decayEffectInfo.effectiveValue,
-                        decayInfo: decayEffectInfo
-                    };
-                    // 상시 효과만 일반 효과에 저장 (전투 시작 효과 제외)
-                    // 예: "공격력이 8% 증가한다" 부분
-                    var permanentMatch = effectText.match(/공격력이?\s*(\d+(?:\.\d+)?)\s*%\s*증가.*?전투\s*시작/);
-                    if (permanentMatch) {
-                        effectValue = parseFloat(permanentMatch[1]);
-                    } else {
-                        // 상시 효과 없이 전투 시작 효과만 있으면 스킵
-                        return;
-                    }
-                }
+        // 현재 누적 효과 (한계효용 계산용)
+        const currentEffects = {};
 
-                // 상태 조건 효과 처리 @added 2025-12-10
-                // 체력/자원 조건이 있으면 업타임 적용한 실효값으로 저장
-                if (healthConditionInfo && healthConditionInfo.hasCondition) {
-                    if (!result.conditionEffects) {
-                        result.conditionEffects = {};
-                    }
+        // 캐릭터 스탯 (추천 탭에서 입력한 값 사용)
+        const characterStats = getCharacterStatsFromInput();
 
-                    // 조건 타입에 따른 라벨
-                    var conditionLabel = '';
-                    switch (healthConditionInfo.type) {
-                        case 'health_above':
-                            conditionLabel = '체력 ' + healthConditionInfo.threshold + '% 이상';
-                            break;
-                        case 'health_below':
-                            conditionLabel = '체력 ' + healthConditionInfo.threshold + '% 이하';
-                            break;
-                        case 'resource_below':
-                            conditionLabel = '자원 ' + healthConditionInfo.threshold + '% 미만';
-                            break;
-                        case 'enemy_health_below':
-                            conditionLabel = '적 체력 ' + healthConditionInfo.threshold + '% 이하';
-                            break;
-                        default:
-                            conditionLabel = '조건부';
-                    }
+        Object.entries(equippedRunes).forEach(([slotId, rune]) => {
+            if (!rune) return;
+
+            // 개별 슬롯 강화 수치 사용 @updated 2025-12-10
+            const slotEnhanceLevel = enhanceLevels[slotId] || 0;
+
+            // 고급 효과 계산 사용 (옵션 포함)
+            const efficiency = calculateRuneEfficiencyScore(rune, slotEnhanceLevel, allDotTypes, 0, {
+                currentEffects: currentEffects,
+                characterStats: characterStats,
+                synergyBoost: synergyResult.totalBoost
+            });
+
+            Object.entries(efficiency.effectiveSummary).forEach(([key, data]) => {
+                // 효과 분류 @updated 2025-12-10
+                let category;
+                if (data.isDemerit) {
+                    category = 'demerits';
+                } else if (data.isConditionEffect) {
+                    // 상태 조건 효과 (체력/자원 조건)
+                    category = 'conditionEffects';
+                } else if (data.isCoreDPS) {
+                    category = 'coreDPS';
+                } else {
+                    category = 'other';
+                }
 
-                    var effectiveValue = effectValue * healthConditionInfo.uptime;
-                    result.conditionEffects[item.name + ' (' + conditionLabel + ')'] = {
-                        rawValue: effectValue,
-                        effectiveValue: Math.round(effectiveValue * 10) / 10,
-                        conditionInfo: healthConditionInfo
+                // 실효값 사용
+                if (!totalEffects[category][key]) {
+                    totalEffects[category][key] = {
+                        total: 0,
+                        isCoreDPS: data.isCoreDPS,
+                        isDemerit: data.isDemerit,
+                        isConditionEffect: data.isConditionEffect,
+                        conditionInfo: data.conditionInfo,
+                        diminished: data.diminished
                     };
-                    // 조건부 효과는 일반 효과에서 제외
-                    return;
                 }
+                totalEffects[category][key].total += data.total;
 
-                result.effects[item.name] = effectValue;
-            }
+                // 현재 효과 누적 (한계효용 계산용)
+                if (!currentEffects[key]) {
+                    currentEffects[key] = 0;
+                }
+                currentEffects[key] += data.total;
+            });
         });
 
-        // 결함(디메리트) 효과 파싱 - 음수로 저장하거나 별도 필드에 저장
-        // @added 2025-12-10
-        demeritPatterns.forEach(function(item) {
-            var match = effectText.match(item.pattern);
-            if (match) {
-                var value = parseFloat(match[1]);
-                // 결함 효과는 별도로 저장 (나중에 점수에서 차감)
-                if (!result.demerits) {
-                    result.demerits = {};
+        // DPS 분석 계산 (결함 효과, 상태 조건 효과 포함) @updated 2025-12-10
+        // 상태 조건 효과의 실효값을 coreDPS에 추가하여 계산
+        const combinedCoreDPS = Object.assign({}, totalEffects.coreDPS);
+        Object.entries(totalEffects.conditionEffects || {}).forEach(function([key, data]) {
+            if (data.isCoreDPS !== false) { // 핵심 DPS 효과인 상태 조건만 포함
+                var baseEffectName = key.replace(/\s*\([^)]+\)\s*$/, '');
+                if (!combinedCoreDPS[baseEffectName]) {
+                    combinedCoreDPS[baseEffectName] = {
+                        total: 0
+                    };
                 }
-                result.demerits[item.name] = value;
-
-                // 결함 영역이거나 감소 효과가 명시된 경우 표시
-                result.hasDemerit = true;
+                combinedCoreDPS[baseEffectName].total += data.total;
             }
         });
+        const dpsAnalysis = calculateExpectedDPS(combinedCoreDPS, characterStats, totalEffects.demerits);
 
-        // 효과 또는 결함 또는 특수 효과가 있으면 반환 @updated 2025-12-10
-        var hasEffects = Object.keys(result.effects).length > 0;
-        var hasDemerits = result.demerits && Object.keys(result.demerits).length > 0;
-        var hasBasicAttackEffects = result.basicAttackEffects && Object.keys(result.basicAttackEffects).length > 0;
-        var hasDefenseBreakEffects = result.defenseBreakEffects && Object.keys(result.defenseBreakEffects).length > 0;
-        var hasLimitedEffects = result.limitedEffects && Object.keys(result.limitedEffects).length > 0;
-        var hasDecayEffects = result.decayEffects && Object.keys(result.decayEffects).length > 0;
-        var hasConditionEffects = result.conditionEffects && Object.keys(result.conditionEffects).length > 0;
+        return {
+            totalEffects: totalEffects,
+            hasSynergy: hasSynergy,
+            dotTypes: allDotTypes,
+            synergyResult: synergyResult,
+            dpsAnalysis: dpsAnalysis,
+            roleAnalysis: calculateRoleAnalysis(Object.values(equippedRunes), characterStats)
+        };
+    }
 
-        if (hasEffects || hasDemerits || hasBasicAttackEffects || hasDefenseBreakEffects || hasLimitedEffects || hasDecayEffects || hasConditionEffects) {
-            return result;
-        }
+    /**
+     * 탱커/힐러 역할 모델 분석 (RoleModels)
+     * @param {Array<Object>} runes - 룬 목록
+     * @param {Object} characterStats - 캐릭터 스탯 (def, hp, heal, atk)
+     * @returns {Object|null} { ehp, hps } (모듈 미로드 시 null)
+     * @added 2025-12-15
+     */
+    function calculateRoleAnalysis(runes, characterStats) {
+        if (!window.RoleModels) return null;
 
-        return null;
+        const roleEffects = window.RoleModels.collectRoleEffects(runes);
+        return {
+            ehp: window.RoleModels.calculateEffectiveHP(roleEffects, characterStats),
+            hps: window.RoleModels.calculateHealingPerSecond(roleEffects, characterStats)
+        };
     }
 
     /**
-     * 조건 키워드의 끝 위치 찾기
-     * @param {string} text - 텍스트
-     * @returns {number} 조건 끝 인덱스 (없으면 0)
-     * @added 2025-12-10
+     * 빌드 비교 최대 개수 (현재 장착 제외)
+     * @constant {number}
+     * @added 2025-12-15
      */
-    function findConditionEndIndex(text) {
-        // 조건 패턴: "~시," 또는 "~경우,"
-        var conditionPatterns = [
-            /(?:적중|사용|공격)\s*시[,\s]/,
-            /경우[,\s]/,
-            /때[,\s]/,
-            /중[,\s]/
-        ];
+    const MAX_COMPARE_LOADOUTS = 3;
 
-        var endIndex = 0;
-
-        conditionPatterns.forEach(function(pattern) {
-            var match = text.match(pattern);
-            if (match) {
-                var matchEnd = match.index + match[0].length;
-                if (matchEnd > endIndex) {
-                    endIndex = matchEnd;
-                }
-            }
+    /**
+     * 조합 객체를 슬롯 매핑으로 변환
+     * @param {Object} combination - { weapon, armors, emblem, accessories }
+     * @returns {Object} 슬롯ID: 룬
+     * @added 2025-12-15
+     */
+    function combinationToSlotRunes(combination) {
+        const runes = {};
+        if (combination.weapon) runes['weapon-1'] = combination.weapon;
+        if (combination.emblem) runes['emblem-1'] = combination.emblem;
+        (combination.armors || []).forEach((rune, idx) => {
+            if (rune) runes[`armor-${idx + 1}`] = rune;
         });
-
-        return endIndex;
+        (combination.accessories || []).forEach((rune, idx) => {
+            if (rune) runes[`accessory-${idx + 1}`] = rune;
+        });
+        return runes;
     }
 
     /**
-     * 조건 키워드 존재 여부 확인
-     * @param {string} text - 텍스트
-     * @returns {boolean}
-     * @added 2025-12-10
+     * 빌드 비교 대상 추가
+     * @param {string} name - 표시 이름
+     * @param {Object} runes - 슬롯ID: 룬
+     * @returns {boolean} 추가 여부
+     * @added 2025-12-15
      */
-    function hasConditionKeyword(text) {
-        var keywords = ['시,', '시 ', '경우', '때마다', '중 '];
-        for (var i = 0; i < keywords.length; i++) {
-            if (text.includes(keywords[i])) return true;
+    function addCompareLoadout(name, runes) {
+        if (state.compareLoadouts.length >= MAX_COMPARE_LOADOUTS) {
+            showToast(`빌드 비교는 현재 장착 외 최대 ${MAX_COMPARE_LOADOUTS}개까지 가능합니다.`, 'warning');
+            return false;
         }
-        return false;
+        state.compareLoadouts.push({
+            id: `loadout_${Date.now()}_${state.compareLoadouts.length}`,
+            name: name,
+            runes: { ...runes }
+        });
+        renderLoadoutComparison();
+        return true;
     }
 
     /**
-     * 효과의 실효 값 계산 (가중치, 업타임, 스택 적용)
-     * @param {Object} parsedEffect - 파싱된 개별 효과
-     * @param {boolean} hasSynergy - 시너지 충족 여부 (적 상태 조건용)
-     * @returns {Object} 실효 효과 값
+     * 빌드 비교 대상 제거
+     * @param {string} loadoutId - 비교 대상 ID
+     * @added 2025-12-15
      */
-    function calculateEffectiveValue(parsedEffect, hasSynergy = false) {
-        const result = {};
+    function removeCompareLoadout(loadoutId) {
+        state.compareLoadouts = state.compareLoadouts.filter(l => l.id !== loadoutId);
+        renderLoadoutComparison();
+    }
 
-        // 기본 가중치
-        let typeWeight = EFFECT_TYPE_WEIGHT[parsedEffect.type] || 1.0;
+    /**
+     * 빌드 차이 계산 (첫 번째 빌드 기준)
+     * @param {Array<Object>} loadouts - [{ name, runes }] (0번이 기준)
+     * @returns {Object} { columns, sections }
+     *   - columns: [{ name, runeNames, dotTypes, synergies }]
+     *   - sections: [{ title, better, unit, rows: [{ label, values }], hidden }] (hidden: 모든 빌드가 같은 행 수)
+     * @description 강화 수치는 모든 빌드에 현재 슬롯 강화 수치를 동일 적용 (룬 차이만 비교)
+     * @added 2025-12-15
+     */
+    function buildLoadoutDiff(loadouts) {
+        const results = loadouts.map(loadout => computeLoadoutEffects(loadout.runes, state.enhanceLevels));
 
-        // 적 상태 조건 + 시너지 보너스
-        if (parsedEffect.type === EFFECT_TYPE.ENEMY_CONDITION && hasSynergy) {
-            typeWeight = 0.9; // 50% -> 90%로 상승
-        }
+        const columns = loadouts.map((loadout, index) => {
+            const runes = Object.values(loadout.runes).filter(Boolean);
+            const dots = results[index].dotTypes.slice();
+            runes.forEach(rune => {
+                ((rune.synergy && rune.synergy.appliesDot) || []).forEach(dot => {
+                    if (!dots.includes(dot)) dots.push(dot);
+                });
+            });
+            return {
+                name: loadout.name,
+                runeNames: runes.map(rune => rune.name),
+                dotTypes: dots,
+                synergies: results[index].synergyResult.synergies.map(syn => syn.synergyName)
+            };
+        });
 
-        // 업타임 비율
-        const uptime = (parsedEffect.timing && parsedEffect.timing.uptime) || 1.0;
+        // 효과 분류별 합계 행 (모든 빌드가 같은 값이면 숨김)
+        const effectSection = (title, category, better) => {
+            const names = [];
+            results.forEach(result => {
+                Object.keys(result.totalEffects[category]).forEach(name => {
+                    if (!names.includes(name)) names.push(name);
+                });
+            });
 
-        // 스택 배율
-        const stackMultiplier = (parsedEffect.stackInfo && parsedEffect.stackInfo.maxStacks) || 1;
+            const rows = names.map(name => ({
+                label: name,
+                values: results.map(result => {
+                    const data = result.totalEffects[category][name];
+                    return data ? Math.round(data.total * 10) / 10 : 0;
+                })
+            }));
+            const changed = rows.filter(row => row.values.some(v => Math.abs(v - row.values[0]) > 1e-9));
+            return { title: title, better: better, unit: '%', rows: changed, hidden: rows.length - changed.length };
+        };
 
-        // 각 효과에 가중치 적용
-        Object.entries(parsedEffect.effects).forEach(([effectName, value]) => {
-            // 실효값 = 기본값 × 스택 × 가중치 × 업타임
-            const effectiveValue = value * stackMultiplier * typeWeight * uptime;
+        const sections = [
+            {
+                title: '📈 예상 DPS',
+                better: 'high',
+                unit: '%',
+                rows: [{ label: '예상 DPS 증가', values: results.map(r => r.dpsAnalysis.totalDPSIncrease) }],
+                hidden: 0
+            },
+            {
+                title: '🛡️ 생존/회복',
+                better: 'high',
+                unit: '%',
+                rows: results[0].roleAnalysis ? [
+                    { label: '유효 체력 증가', values: results.map(r => Math.round(r.roleAnalysis.ehp.totalEHPIncrease * 10) / 10) },
+                    { label: '초당 회복량 증가', values: results.map(r => Math.round(r.roleAnalysis.hps.totalHPSIncrease * 10) / 10) }
+                ] : [],
+                hidden: 0
+            },
+            effectSection('⚡ 핵심 DPS 효과', 'coreDPS', 'high'),
+            effectSection('🎯 상태 조건 효과', 'conditionEffects', 'high'),
+            effectSection('⚠️ 결함', 'demerits', 'low'),
+            effectSection('✨ 기타 효과', 'other', null)
+        ];
 
-            result[effectName] = {
-                raw: value,
-                stacks: stackMultiplier,
-                typeWeight: typeWeight,
-                uptime: uptime,
-                effective: effectiveValue,
-                type: parsedEffect.type
-            };
-        });
+        return { columns: columns, sections: sections };
+    }
 
-        return result;
+    /**
+     * 기준 빌드 대비 목록 차이 HTML (+추가 / −제외)
+     * @param {Array<string>} items - 비교 빌드 항목
+     * @param {Array<string>} baseItems - 기준 빌드 항목
+     * @returns {string} HTML
+     * @added 2025-12-15
+     */
+    function renderListDiff(items, baseItems) {
+        const remaining = baseItems.slice();
+        const added = [];
+        items.forEach(item => {
+            const index = remaining.indexOf(item);
+            if (index !== -1) remaining.splice(index, 1);
+            else added.push(item);
+        });
+        if (added.length === 0 && remaining.length === 0) return '<span class="loadout-compare__same">동일</span>';
+        return added.map(item => `<div class="loadout-compare__delta--up">+ ${escapeHtml(item)}</div>`).join('') +
+            remaining.map(item => `<div class="loadout-compare__delta--down">− ${escapeHtml(item)}</div>`).join('');
     }
 
     /**
-     * DPS 핵심 효과 목록
-     * @constant {Array}
-     * @description 효율 점수 계산에 포함되는 핵심 DPS 효과
-     * @updated 2025-12-10 - 연타/강타/추가타 추가, 스탯 효율 반영
-     */
-    /**
-     * DPS 핵심 효과 목록
-     * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
+     * 빌드 비교 패널 렌더링 (현재 장착 기준)
+     * @added 2025-12-15
      */
-    const CORE_DPS_EFFECTS = [
-        '공격력 증가',
-        '피해량 증가',
-        '스킬 피해 증가', // @added 2025-12-10
-        '치명타 확률 증가',
-        '치명타 피해 증가',
-        '연타 확률 증가',
-        '연타 피해 증가', // @added 2025-12-10
-        '강타 확률 증가',
-        '강타 피해 증가', // @added 2025-12-10
-        '추가타 확률 증가'
-    ];
+    function renderLoadoutComparison() {
+        const listEl = $('#loadout-compare-list');
+        const resultEl = $('#loadout-compare-result');
+        const presetSelect = $('#loadout-compare-preset');
+        if (!listEl || !resultEl) return;
 
-    /**
-     * DPS 관련 결함 효과 목록
-     * @constant {Array<string>}
-     * @description 효율 점수에서 차감되는 결함 효과
-     * @added 2025-12-10
-     */
-    const CORE_DPS_DEMERITS = [
-        '피해량 감소', // 적에게 주는 피해 감소
-        '멀티히트 피해 감소', // 멀티히트 피해 감소
-        '치명타 확률 감소', // 치명타 확률 감소
-        '치명타 피해 감소', // 치명타 피해 감소
-        '공격력 감소', // 공격력 감소
-        // @added 2025-12-10 - 추가 결함 효과
-        '쿨타임 회복 속도 감소', // 재사용 대기 시간 회복 속도 감소 (스킬 DPS 감소)
-        '스킬 사용 속도 감소', // 스킬 시전 속도 감소 (DPS 감소)
-        '캐스팅 속도 감소' // 캐스팅/차지 속도 감소 (DPS 감소)
-    ];
+        if (presetSelect) {
+            presetSelect.innerHTML = state.presets.length === 0
+                ? '<option value="">저장된 프리셋 없음</option>'
+                : state.presets.map(preset => `<option value="${preset.id}">${escapeHtml(preset.name)}</option>`).join('');
+        }
 
-    /**
-     * 결함 효과 → 대응 증가 효과 매핑
-     * @constant {Object}
-     * @description 결함 효과를 해당 증가 효과의 음수로 변환할 때 사용
-     * @added 2025-12-10
-     */
-    const DEMERIT_TO_BENEFIT_MAP = {
-        '피해량 감소': '피해량 증가',
-        '멀티히트 피해 감소': '멀티히트 피해 감소', // 별도 관리
-        '치명타 확률 감소': '치명타 확률 증가',
-        '치명타 피해 감소': '치명타 피해 증가',
-        '공격력 감소': '공격력 증가'
-    };
+        listEl.innerHTML = state.compareLoadouts.map(loadout => `
+            <span class="compare-bar__item">
+                ${escapeHtml(loadout.name)}
+                <button class="compare-bar__remove" data-loadout-id="${loadout.id}" title="비교에서 제외">&times;</button>
+            </span>
+        `).join('');
 
-    /**
-     * 효과별 점수 가중치 (효율 순위 반영)
-     * @constant {Object}
-     * @description 연타 > 추가타 > 치명타 > 스킬 위력 순
-     * @added 2025-12-10
-     * @updated 2025-12-10 - 결함 효과 가중치 추가
-     */
-    /**
-     * 효과별 점수 가중치
-     * @updated 2025-12-10 - 엠블럼 각성 효과 전체 검수 반영
-     */
-    const EFFECT_SCORE_WEIGHT = {
-        '공격력 증가': 10,
-        '피해량 증가': 10,
-        '스킬 피해 증가': 10, // 피해량 증가와 동급 @added 2025-12-10
-        '연타 확률 증가': 12, // 효율 1위
-        '연타 피해 증가': 9, // 연타 피해 (확률보다 낮은 가중치) @added 2025-12-10
-        '강타 확률 증가': 11,
-        '강타 피해 증가': 9, // 강타 피해 (확률보다 낮은 가중치) @added 2025-12-10
-        '추가타 확률 증가': 11, // 효율 2위
-        '치명타 확률 증가': 9, // 효율 3위
-        '치명타 피해 증가': 9,
-        '스킬 위력 증가': 7, // 효율 4위 (기타 효과)
-        // 결함 효과 가중치 (감소분이므로 음수로 적용됨)
-        '피해량 감소': 10,
-        '멀티히트 피해 감소': 10, // 멀티히트 비중 40~50% 반영 @updated 2025-12-10
-        '치명타 확률 감소': 9,
-        '치명타 피해 감소': 9,
-        '공격력 감소': 10,
-        // @updated 2025-12-10 - 결함 효과 가중치 상향
-        // 쿨타임 회복 속도 감소 = 스킬 사용 빈도 감소 = DPS 직접 감소
-        // 7% 감소 → DPS 7% 감소이므로 공격력 증가와 동등한 가중치
-        '쿨타임 회복 속도 감소': 10, // 공격력 증가와 동등 (DPS 직접 영향)
-        '스킬 사용 속도 감소': 8, // 시전 속도 감소 (DPS 약 8% 영향)
-        '캐스팅 속도 감소': 7 // 캐스팅/차지 속도 (마법사 계열 DPS 영향)
-    };
+        if (state.compareLoadouts.length === 0) {
+            resultEl.innerHTML = '<p class="effect-empty">프리셋이나 최적화 결과를 추가하면 현재 장착과 비교합니다</p>';
+            return;
+        }
 
-    /**
-     * 스탯 → 퍼센트 환산 비율
-     * @constant {Object}
-     * @description 마비노기 모바일 스탯 환산 공식
-     * @added 2025-12-10
-     */
-    const STAT_TO_PERCENT = {
-        '치명타': 100, // 100당 1%
-        '연타': 85, // 85당 1%
-        '강타': 85, // 85당 1%
-        '스킬위력': 85, // 85당 1%
-        '추가타': 130 // 130당 1%
-    };
+        const loadouts = [{ name: '현재 장착', runes: state.equippedRunes }].concat(state.compareLoadouts);
+        const diff = buildLoadoutDiff(loadouts);
+        const base = diff.columns[0];
 
-    /**
-     * 시너지 룬 목록 (특정 룬 착용 시 효율 변화)
-     * @constant {Object}
-     * @added 2025-12-10
-     */
-    const SYNERGY_RUNES = {
-        '현란': {
-            boost: {
-                '치명타 확률 증가': 1.5,
-                '치명타 피해 증가': 1.5
-            },
-            description: '치명타 효율 50% 상승'
-        },
-        '아득': {
-            boost: {
-                '치명타 확률 증가': 1.3,
-                '치명타 피해 증가': 1.3
-            },
-            description: '치명타 효율 30% 상승'
-        },
-        '각성': {
-            boost: {
-                '치명타 확률 증가': 1.3,
-                '치명타 피해 증가': 1.3
-            },
-            description: '치명타 효율 30% 상승'
-        },
-        '압도': {
-            boost: {
-                '치명타 확률 증가': 1.2,
-                '치명타 피해 증가': 1.2
-            },
-            description: '치명타 효율 20% 상승'
-        }
-    };
+        const formatDelta = (value, baseValue, better, unit) => {
+            const delta = Math.round((value - baseValue) * 10) / 10;
+            if (delta === 0) return '';
+            const isBetter = better === 'low' ? delta < 0 : delta > 0;
+            const cls = better ? (isBetter ? 'loadout-compare__delta--up' : 'loadout-compare__delta--down') : '';
+            return ` <span class="${cls}">(${delta > 0 ? '+' : ''}${delta}${unit})</span>`;
+        };
 
-    /**
-     * 한계효용 감소 계산 (Diminishing Returns)
-     * @param {number} currentValue - 현재 누적 효과 값 (%)
-     * @param {number} addValue - 추가될 효과 값 (%)
-     * @returns {number} 실제 기대 효용 값 (%)
-     * @description 합연산 효과는 현재 총합이 높을수록 추가 효용이 감소
-     * @added 2025-12-10
-     */
-    function calculateDiminishingReturn(currentValue, addValue) {
-        // 공식: 추가효용 = addValue / (1 + currentValue/100)
-        // 예: 현재 100% 공격력 증가 상태에서 10% 추가 시
-        //     실제 기대 효용 = 10 / (1 + 100/100) = 10 / 2 = 5%
-        var multiplier = 1 + (currentValue / 100);
-        return addValue / multiplier;
+        const sectionHtml = diff.sections.map(section => {
+            if (section.rows.length === 0 && section.hidden === 0) return '';
+            return `
+                <tr class="rune-compare__section">
+                    <th colspan="${loadouts.length + 1}">${section.title}${section.hidden > 0 ? ` <small>(동일 ${section.hidden}개 생략)</small>` : ''}</th>
+                </tr>
+                ${section.rows.map(row => `
+                    <tr>
+                        <th class="rune-compare__label">${escapeHtml(row.label)}</th>
+                        ${row.values.map((value, index) => `
+                            <td class="rune-compare__cell">${value}${section.unit}${index > 0 ? formatDelta(value, row.values[0], section.better, section.unit) : ''}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            `;
+        }).join('');
+
+        const listRow = (label, key) => `
+            <tr>
+                <th class="rune-compare__label">${label}</th>
+                ${diff.columns.map((column, index) => `
+                    <td class="rune-compare__cell">${index === 0
+                        ? (column[key].length > 0 ? column[key].map(escapeHtml).join('<br>') : '—')
+                        : renderListDiff(column[key], base[key])}</td>
+                `).join('')}
+            </tr>
+        `;
+
+        resultEl.innerHTML = `
+            <table class="rune-compare__table">
+                <thead>
+                    <tr><th></th>${diff.columns.map(column => `<th>${escapeHtml(column.name)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${sectionHtml}
+                    <tr class="rune-compare__section"><th colspan="${loadouts.length + 1}">🔗 DoT · 시너지 · 룬 구성</th></tr>
+                    ${listRow('DoT 부여', 'dotTypes')}
+                    ${listRow('시너지 룬', 'synergies')}
+                    ${listRow('룬 구성', 'runeNames')}
+                </tbody>
+            </table>
+        `;
     }
 
     /**
-     * 예상 DPS 증가율 계산
-     * @param {Object} effectSummary - 효과 요약 객체
-     * @param {Object} characterStats - 캐릭터 스탯 (선택)
-     * @param {Object} demeritSummary - 결함 효과 요약 (선택) @added 2025-12-10
-     * @returns {Object} { totalDPSIncrease, breakdown }
-     * @description 최종 DPS = 기본공격력 × (1+공격력증가) × (1+피해량증가) × 크리배율 × 연타배율 × 추가타배율
+     * 캐릭터 스탯 입력값 가져오기
+     * @returns {Object} 캐릭터 스탯 객체
      * @added 2025-12-10
-     * @updated 2025-12-10 - 결함 효과 반영 추가
      */
-    function calculateExpectedDPS(effectSummary, characterStats, demeritSummary) {
-        characterStats = characterStats || {};
-        demeritSummary = demeritSummary || {};
-
-        // 효과 추출 (기본값 0)
-        var atkIncrease = 0;
-        var dmgIncrease = 0;
-        var critChance = 0;
-        var critDmg = 0;
-        var multiHit = 0;
-        var strongHit = 0;
-        var additionalHit = 0;
+    function getCharacterStatsFromInput() {
+        var stats = {};
 
-        // 결함 효과 (차감용) @added 2025-12-10
-        var dmgDecrease = 0;
-        var multiHitDecrease = 0;
-        var critChanceDecrease = 0;
-        var critDmgDecrease = 0;
-        var atkDecrease = 0;
-        // @added 2025-12-10 - 추가 결함 효과
-        var cooldownRecoveryDecrease = 0; // 쿨타임 회복 속도 감소
-        var skillSpeedDecrease = 0; // 스킬 사용 속도 감소
-        var castingSpeedDecrease = 0; // 캐스팅/차지 속도 감소
+        // 추천 탭의 스탯 입력 필드에서 값 가져오기
+        var critChanceInput = $('#stat-crit-chance');
+        var critDmgInput = $('#stat-crit-damage');
+        var multiHitInput = $('#stat-multi-hit');
+        var additionalHitInput = $('#stat-additional-hit');
 
-        Object.entries(effectSummary).forEach(function([name, data]) {
-            var value = data.total || 0;
-            if (name.includes('공격력 증가')) atkIncrease += value;
-            if (name.includes('피해량 증가')) dmgIncrease += value;
-            if (name.includes('치명타 확률') && name.includes('증가')) critChance += value;
-            if (name.includes('치명타 피해') && name.includes('증가')) critDmg += value;
-            if (name.includes('연타 확률')) multiHit += value;
-            if (name.includes('강타')) strongHit += value;
-            if (name.includes('추가타 확률')) additionalHit += value;
-        });
+        if (critChanceInput && critChanceInput.value) {
+            stats.critChance = parseFloat(critChanceInput.value) || 30;
+        }
+        if (critDmgInput && critDmgInput.value) {
+            stats.critDmg = parseFloat(critDmgInput.value) || 150;
+        }
+        if (multiHitInput && multiHitInput.value) {
+            stats.multiHit = parseFloat(multiHitInput.value) || 10;
+        }
+        if (additionalHitInput && additionalHitInput.value) {
+            stats.additionalHit = parseFloat(additionalHitInput.value) || 5;
+        }
 
-        // 결함 효과 추출 @added 2025-12-10
-        Object.entries(demeritSummary).forEach(function([name, data]) {
-            var value = data.total || 0;
-            if (name.includes('피해량 감소')) dmgDecrease += value;
-            if (name.includes('멀티히트 피해 감소')) multiHitDecrease += value;
-            if (name.includes('치명타 확률 감소')) critChanceDecrease += value;
-            if (name.includes('치명타 피해 감소')) critDmgDecrease += value;
-            if (name.includes('공격력 감소')) atkDecrease += value;
-            // @added 2025-12-10 - 추가 결함 효과 추출
-            if (name.includes('쿨타임 회복 속도 감소')) cooldownRecoveryDecrease += value;
-            if (name.includes('스킬 사용 속도 감소')) skillSpeedDecrease += value;
-            if (name.includes('캐스팅 속도 감소')) castingSpeedDecrease += value;
+        // 역할 모델 스탯 (공격력/방어력/추가 체력/회복력) @added 2025-12-15
+        ['atk', 'def', 'hp', 'heal'].forEach(function(key) {
+            var input = $('#stat-' + key);
+            if (input && input.value) {
+                stats[key] = parseFloat(input.value) || 0;
+            }
         });
 
-        // 결함 효과 차감 적용 @added 2025-12-10
-        atkIncrease -= atkDecrease;
-        dmgIncrease -= dmgDecrease;
-        critChance -= critChanceDecrease;
-        critDmg -= critDmgDecrease;
+        return stats;
+    }
 
-        // 캐릭터 기본 스탯 반영 (있는 경우)
-        var baseCritChance = characterStats.critChance || 30; // 기본 30%
-        var baseCritDmg = characterStats.critDmg || 150; // 기본 150%
-        var baseMultiHit = characterStats.multiHit || 10; // 기본 10%
-        var baseAdditionalHit = characterStats.additionalHit || 5; // 기본 5%
+    /**
+     * 효과 합산 결과 렌더링
+     * @param {Object} totalEffects - 합산된 효과 { coreDPS: {}, other: {} }
+     * @param {boolean} hasSynergy - 시너지 보유 여부
+     * @param {Array} dotTypes - 보유 지속 피해 유형
+     * @param {Object} synergyResult - 시너지 룬 정보
+     * @param {Object} dpsAnalysis - DPS 분석 결과
+     * @param {Object} roleAnalysis - 역할 모델 분석 결과 { ehp, hps } (calculateRoleAnalysis)
+     * @updated 2025-12-10 - DPS 핵심 효과와 기타 효과 분리 표시
+     * @updated 2025-12-10 - DPS 분석, 공격력/피해량 비율, 시너지 룬 표시 추가
+     * @updated 2025-12-15 - 유효 체력/초당 회복량 표시 (방어 섹션)
+     */
+    function renderEffectSummary(totalEffects, hasSynergy, dotTypes, synergyResult, dpsAnalysis, roleAnalysis) {
+        hasSynergy = hasSynergy || false;
+        dotTypes = dotTypes || [];
+        synergyResult = synergyResult || {
+            synergies: [],
+            hasSynergy: false
+        };
+        dpsAnalysis = dpsAnalysis || {
+            totalDPSIncrease: 0,
+            breakdown: {},
+            balance: {}
+        };
 
-        // 각 배율 계산
-        var atkMultiplier = 1 + (atkIncrease / 100);
-        var dmgMultiplier = 1 + (dmgIncrease / 100);
+        const attackList = $('#effect-list-attack');
+        const defenseList = $('#effect-list-defense');
+        const miscList = $('#effect-list-misc');
 
-        // 크리티컬 기대값: (1 - 크리확률) × 1 + 크리확률 × (크리피해/100)
-        var totalCritChance = Math.min((baseCritChance + critChance) / 100, 1); // 최대 100%
-        var totalCritDmg = (baseCritDmg + critDmg) / 100;
-        var critMultiplier = (1 - totalCritChance) + (totalCritChance * totalCritDmg);
+        // DPS 핵심 효과 (공격 섹션에 표시)
+        if (attackList) {
+            const coreDPSEntries = Object.entries(totalEffects.coreDPS || {});
+            let attackHtml = '';
 
-        // 연타/추가타 기대값
-        var totalMultiHit = (baseMultiHit + multiHit + strongHit) / 100;
-        var totalAdditionalHit = (baseAdditionalHit + additionalHit) / 100;
-        var hitMultiplier = 1 + totalMultiHit + totalAdditionalHit;
+            if (coreDPSEntries.length > 0) {
+                attackHtml = `<div class="effect-section-header">⚡ DPS 핵심 효과</div>`;
+                attackHtml += coreDPSEntries.map(function([key, data]) {
+                    return `
+                        <div class="effect-item effect-item--core">
+                            <span class="effect-item__name">${escapeHtml(key)}</span>
+                            <span class="effect-item__value effect-item__value--highlight">
+                                +${data.total.toFixed(1)}%
+                            </span>
+                        </div>
+                    `;
+                }).join('');
 
-        // 멀티히트 피해 감소 반영 @added 2025-12-10
-        // 멀티히트 피해 감소는 연타/추가타 피해에만 영향
-        var multiHitPenalty = 1 - (multiHitDecrease / 100);
-        var effectiveMultiHitBonus = (totalMultiHit + totalAdditionalHit) * multiHitPenalty;
-        hitMultiplier = 1 + effectiveMultiHitBonus;
+                // 공격력/피해량 비율 표시
+                var rawValues = dpsAnalysis.breakdown.rawValues || {};
+                var atkIncrease = rawValues.atkIncrease || 0;
+                var dmgIncrease = rawValues.dmgIncrease || 0;
 
-        // 쿨타임/스킬 속도 감소 배율 계산 @added 2025-12-10
-        // 쿨타임 회복 속도 감소 = 스킬 사용 빈도 감소 = DPS 감소
-        // 예: 9% 감소 → 스킬 사용 주기가 약 9% 늘어남 → DPS 약 9% 감소
-        var totalSpeedDecrease = cooldownRecoveryDecrease + (skillSpeedDecrease * 0.7) + (castingSpeedDecrease * 0.5);
-        var speedPenaltyMultiplier = 1 - (totalSpeedDecrease / 100);
+                if (atkIncrease > 0 || dmgIncrease > 0) {
+                    var balance = dpsAnalysis.balance || {};
+                    var ratioText = '';
+                    var ratioClass = '';
 
-        // 최종 DPS 배율
-        var totalDPSMultiplier = atkMultiplier * dmgMultiplier * critMultiplier * hitMultiplier * speedPenaltyMultiplier;
-        var totalDPSIncrease = (totalDPSMultiplier - 1) * 100;
+                    if (balance.isBalanced) {
+                        ratioText = '✅ 균형 잡힌 세팅';
+                        ratioClass = 'effect-item__value--balanced';
+                    } else if (atkIncrease > dmgIncrease + 20) {
+                        ratioText = '⚠️ 피해량 증가 룬 추천';
+                        ratioClass = 'effect-item__value--warning';
+                    } else {
+                        ratioText = '⚠️ 공격력 증가 룬 추천';
+                        ratioClass = 'effect-item__value--warning';
+                    }
 
-        return {
-            totalDPSIncrease: Math.round(totalDPSIncrease * 10) / 10,
-            breakdown: {
-                attackMultiplier: Math.round(atkMultiplier * 1000) / 1000,
-                damageMultiplier: Math.round(dmgMultiplier * 1000) / 1000,
-                critMultiplier: Math.round(critMultiplier * 1000) / 1000,
-                hitMultiplier: Math.round(hitMultiplier * 1000) / 1000,
-                speedMultiplier: Math.round(speedPenaltyMultiplier * 1000) / 1000, // @added 2025-12-10
-                rawValues: {
-                    atkIncrease: Math.round(atkIncrease * 10) / 10,
-                    dmgIncrease: Math.round(dmgIncrease * 10) / 10,
-                    critChance: Math.round(critChance * 10) / 10,
-                    critDmg: Math.round(critDmg * 10) / 10,
-                    multiHit: Math.round(multiHit * 10) / 10,
-                    strongHit: Math.round(strongHit * 10) / 10,
-                    additionalHit: Math.round(additionalHit * 10) / 10,
-                    // 결함 효과 표시 @added 2025-12-10
-                    multiHitDecrease: Math.round(multiHitDecrease * 10) / 10,
-                    atkDecrease: Math.round(atkDecrease * 10) / 10,
-                    dmgDecrease: Math.round(dmgDecrease * 10) / 10,
-                    critChanceDecrease: Math.round(critChanceDecrease * 10) / 10,
-                    // @added 2025-12-10 - 추가 결함 효과
-                    cooldownDecrease: Math.round(cooldownRecoveryDecrease * 10) / 10,
-                    skillSpeedDecrease: Math.round(skillSpeedDecrease * 10) / 10,
-                    castingSpeedDecrease: Math.round(castingSpeedDecrease * 10) / 10
+                    attackHtml += `
+                        <div class="effect-divider"></div>
+                        <div class="effect-section-header">📊 공격력/피해량 비율</div>
+                        <div class="effect-item">
+                            <span class="effect-item__name">공격력 : 피해량</span>
+                            <span class="effect-item__value">${atkIncrease.toFixed(0)}% : ${dmgIncrease.toFixed(0)}%</span>
+                        </div>
+                        <div class="effect-item">
+                            <span class="effect-item__name">비율 분석</span>
+                            <span class="effect-item__value ${ratioClass}">${ratioText}</span>
+                        </div>
+                    `;
                 }
-            },
-            balance: {
-                atkToDmgRatio: dmgIncrease > 0 ? Math.round((atkIncrease / dmgIncrease) * 100) / 100 : 'N/A',
-                isBalanced: Math.abs(atkIncrease - dmgIncrease) < 20, // 20% 이내면 균형
-                recommendation: atkIncrease > dmgIncrease + 20 ?
-                    '피해량 증가 룬 추천' : (dmgIncrease > atkIncrease + 20 ? '공격력 증가 룬 추천' : '균형 잡힌 세팅')
-            },
-            // 결함 영향 표시 @added 2025-12-10
-            hasDemeritImpact: (dmgDecrease + multiHitDecrease + critChanceDecrease + critDmgDecrease + atkDecrease + cooldownRecoveryDecrease + skillSpeedDecrease + castingSpeedDecrease) > 0
-        };
-    }
 
-    /**
-     * 시너지 룬 효과 체크
-     * @param {Array} equippedRunes - 장착된 룬 목록
-     * @returns {Object} { synergies, totalBoost }
-     * @added 2025-12-10
-     */
-    function checkSynergyRunes(equippedRunes) {
-        var synergies = [];
-        var totalBoost = {};
+                // 예상 DPS 증가율 표시
+                attackHtml += `
+                    <div class="effect-divider"></div>
+                    <div class="effect-section-header">🎯 예상 DPS 증가율</div>
+                    <div class="effect-item effect-item--dps">
+                        <span class="effect-item__name">총 DPS 배율</span>
+                        <span class="effect-item__value effect-item__value--dps">+${dpsAnalysis.totalDPSIncrease.toFixed(1)}%</span>
+                    </div>
+                `;
+
+                // DPS 계산 상세 (접기)
+                var bd = dpsAnalysis.breakdown || {};
+                // 속도 페널티가 있으면 표시 @updated 2025-12-10
+                var speedMultiplierText = bd.speedMultiplier && bd.speedMultiplier < 1 ?
+                    ` × 속도 ×${bd.speedMultiplier}` :
+                    '';
+                attackHtml += `
+                    <div class="effect-item effect-item--detail">
+                        <span class="effect-item__name" style="font-size: var(--font-size-xs); color: var(--color-text-muted);">
+                            공격력 ×${bd.attackMultiplier || 1} × 피해량 ×${bd.damageMultiplier || 1} × 크리 ×${bd.critMultiplier || 1} × 연타 ×${bd.hitMultiplier || 1}${speedMultiplierText}
+                        </span>
+                    </div>
+                `;
+
+                // 상태 조건 효과 표시 @added 2025-12-10
+                const conditionEntries = Object.entries(totalEffects.conditionEffects || {});
+                if (conditionEntries.length > 0) {
+                    attackHtml += `
+                        <div class="effect-divider"></div>
+                        <div class="effect-section-header" style="color: #93c5fd;">📊 상태 조건 효과 (업타임 적용)</div>
+                    `;
+                    attackHtml += conditionEntries.map(function([key, data]) {
+                        var uptimeText = data.conditionInfo ?
+                            `(업타임 ${data.conditionInfo.uptimePercent}%)` : '';
+                        return `
+                            <div class="effect-item effect-item--condition">
+                            <span class="effect-item__name">${escapeHtml(key)}</span>
+                                <span class="effect-item__value" style="color: #93c5fd;">
+                                    +${data.total.toFixed(1)}% ${uptimeText}
+                            </span>
+                        </div>
+                    `;
+                    }).join('');
+                }
+
+                // 결함 효과 표시 @added 2025-12-10
+                const demeritEntries = Object.entries(totalEffects.demerits || {});
+                if (demeritEntries.length > 0) {
+                    attackHtml += `
+                        <div class="effect-divider"></div>
+                        <div class="effect-section-header" style="color: #fca5a5;">⚠️ 결함 효과 (감점)</div>
+                    `;
+                    attackHtml += demeritEntries.map(function([key, data]) {
+                        // "(결함)" 텍스트 제거하고 표시
+                        const displayName = key.replace(' (결함)', '');
+                        return `
+                            <div class="effect-item effect-item--demerit">
+                                <span class="effect-item__name">${escapeHtml(displayName)}</span>
+                                <span class="effect-item__value">
+                                    -${data.total.toFixed(1)}%
+                                </span>
+                            </div>
+                        `;
+                    }).join('');
+                }
+            } else {
+                attackHtml = '<p class="effect-empty">장착된 룬이 없습니다</p>';
+            }
 
-        if (!equippedRunes || !Array.isArray(equippedRunes)) {
-            equippedRunes = Object.values(state.equippedRunes);
+            attackList.innerHTML = attackHtml;
         }
 
-        equippedRunes.forEach(function(rune) {
-            if (!rune || !rune.name) return;
+        // 역할 모델 + 기타 효과 (방어 섹션에 표시)
+        if (defenseList) {
+            const roleHtml = renderRoleAnalysis(roleAnalysis);
+            const otherEntries = Object.entries(totalEffects.other || {});
+            if (otherEntries.length > 0) {
+                defenseList.innerHTML = roleHtml + `
+                    <div class="effect-section-header">📋 기타 효과 (점수 미반영)</div>
+                ` + otherEntries.map(function([key, data]) {
+                    const isNegative = key.includes('증가') && (key.includes('받는') || key.includes('재사용'));
+                    const value = data.total;
+                    return `
+                        <div class="effect-item effect-item--other">
+                            <span class="effect-item__name">${escapeHtml(key)}</span>
+                            <span class="effect-item__value ${isNegative ? 'effect-item__value--negative' : 'effect-item__value--muted'}">
+                                ${value >= 0 ? '+' : ''}${value.toFixed(1)}%
+                            </span>
+                        </div>
+                    `;
+                }).join('');
+            } else {
+                defenseList.innerHTML = roleHtml + '<p class="effect-empty">기타 효과 없음</p>';
+            }
+        }
 
-            Object.entries(SYNERGY_RUNES).forEach(function([synName, synData]) {
-                if (rune.name.includes(synName)) {
-                    synergies.push({
-                        runeName: rune.name,
-                        synergyName: synName,
-                        description: synData.description,
-                        boost: synData.boost
-                    });
+        // 시너지 정보 (기타 섹션에 표시)
+        if (miscList) {
+            let miscHtml = '';
 
-                    // 부스트 누적
-                    Object.entries(synData.boost).forEach(function([effectName, multiplier]) {
-                        if (!totalBoost[effectName]) {
-                            totalBoost[effectName] = 1;
-                        }
-                        totalBoost[effectName] *= multiplier;
-                    });
-                }
-            });
-        });
+            // 시너지 룬 정보 추가 (새로운 기능)
+            if (synergyResult.hasSynergy && synergyResult.synergies.length > 0) {
+                miscHtml += `<div class="effect-section-header">✨ 시너지 룬 효과</div>`;
+                synergyResult.synergies.forEach(function(syn) {
+                    miscHtml += `
+                        <div class="effect-item effect-item--synergy">
+                            <span class="effect-item__name">${escapeHtml(syn.runeName)}</span>
+                            <span class="effect-item__value" style="color: var(--color-accent-purple);">
+                                ${escapeHtml(syn.description)}
+                            </span>
+                        </div>
+                    `;
+                });
+            }
 
-        return {
-            synergies: synergies,
-            totalBoost: totalBoost,
-            hasSynergy: synergies.length > 0
-        };
+            // 지속 피해 시너지 정보 추가
+            if (dotTypes.length > 0) {
+                miscHtml += `
+                    <div class="effect-divider"></div>
+                    <div class="effect-section-header">🔗 적 상태 시너지</div>
+                    <div class="effect-item">
+                        <span class="effect-item__name">활성화된 시너지</span>
+                        <span class="effect-item__value" style="color: var(--color-accent-warning);">
+                            ${dotTypes.length}종
+                        </span>
+                    </div>
+                    <div class="effect-item">
+                        <span class="effect-item__name" style="font-size: var(--font-size-xs); color: var(--color-text-muted);">
+                            ${dotTypes.join(', ')}
+                        </span>
+                    </div>
+                `;
+            }
+
+            if (miscHtml) {
+                miscList.innerHTML = miscHtml;
+            } else {
+                miscList.innerHTML = '<p class="effect-empty">장착된 룬이 없습니다</p>';
+            }
+        }
     }
 
     /**
-     * 룬의 총 효율 점수 계산 (새로운 방식)
-     * @param {Object} rune - 룬 데이터
-     * @param {number} enhanceLevel - 강화 단계
-     * @param {Array} equippedDotTypes - 장착된 룬들의 지속 피해 유형
-     * @param {number} awakeningCooldownReduction - 각성 쿨타임 감소량 (초)
-     * @param {Object} options - 추가 옵션 { currentEffects, characterStats, synergyBoost }
-     * @returns {Object} { score, breakdown, effectiveSummary, dpsAnalysis }
-     * @updated 2025-12-10 - DPS 핵심 효과만 점수 계산에 포함
-     * @updated 2025-12-10 - 엠블럼 각성 효과 및 시너지 추가
-     * @updated 2025-12-10 - 한계효용 감소, 시너지 룬, DPS 분석 추가
+     * 역할 모델 분석 HTML (탱커 유효 체력 / 힐러 초당 회복량)
+     * @param {Object} roleAnalysis - { ehp, hps } (calculateRoleAnalysis)
+     * @returns {string} HTML (분석 없으면 빈 문자열)
+     * @added 2025-12-15
      */
-    function calculateRuneEfficiencyScore(rune, enhanceLevel, equippedDotTypes, awakeningCooldownReduction, options) {
-        // 기본값 설정
-        enhanceLevel = enhanceLevel || 0;
-        equippedDotTypes = equippedDotTypes || [];
-        awakeningCooldownReduction = awakeningCooldownReduction || 0;
-        options = options || {};
-
-        // 옵션에서 추가 정보 추출
-        var currentEffects = options.currentEffects || {}; // 현재 누적 효과 (한계효용 계산용)
-        var characterStats = options.characterStats || {}; // 캐릭터 스탯
-        var synergyBoost = options.synergyBoost || {}; // 시너지 룬 부스트
+    function renderRoleAnalysis(roleAnalysis) {
+        if (!roleAnalysis) return '';
 
-        const parsed = parseRuneEffectsAdvanced(rune, enhanceLevel);
+        const ehp = roleAnalysis.ehp;
+        const hps = roleAnalysis.hps;
+        const detailStyle = 'font-size: var(--font-size-xs); color: var(--color-text-muted);';
+        const formatIncrease = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
 
-        // 시너지 체크 (적 상태 조건용)
-        const hasSynergy = equippedDotTypes.length > 0;
+        return `
+            <div class="effect-section-header">🛡️ 유효 체력 (탱커)</div>
+            <div class="effect-item effect-item--dps">
+                <span class="effect-item__name">유효 체력 증가</span>
+                <span class="effect-item__value effect-item__value--dps">${formatIncrease(ehp.totalEHPIncrease)}</span>
+            </div>
+            <div class="effect-item effect-item--detail">
+                <span class="effect-item__name" style="${detailStyle}">
+                    방어력 ${ehp.breakdown.baseDefense.toLocaleString()}→${ehp.breakdown.defense.toLocaleString()} × 받는 피해 감소 ${ehp.breakdown.damageReduction.toFixed(1)}%${ehp.breakdown.damageTakenIncrease > 0 ? ` × 받는 피해 증가 ${ehp.breakdown.damageTakenIncrease.toFixed(1)}%` : ''}
+                </span>
+            </div>
+            <div class="effect-section-header">💚 초당 회복량 (힐러)</div>
+            <div class="effect-item effect-item--dps">
+                <span class="effect-item__name">초당 회복량 증가</span>
+                <span class="effect-item__value effect-item__value--dps">${formatIncrease(hps.totalHPSIncrease)}</span>
+            </div>
+            <div class="effect-item effect-item--detail">
+                <span class="effect-item__name" style="${detailStyle}">
+                    회복량 ×${hps.breakdown.healMultiplier} / 주기 ${hps.breakdown.baselineCycleTime}초→${hps.breakdown.cycleTime}초
+                </span>
+            </div>
+            <div class="effect-divider"></div>
+        `;
+    }
 
-        let totalScore = 0;
-        const breakdown = [];
-        const effectiveSummary = {};
+    // ============================================
+    // 11. 추천 시스템 (Recommendation)
+    // ============================================
 
-        parsed.effects.forEach(function(effect) {
-            const effective = calculateEffectiveValue(effect, hasSynergy);
+    /**
+     * 룬 효율 점수 계산 (수동 파싱된 effects 배열 사용 + 스텟 연계)
+     * @param {Object} rune - 룬 데이터 (수동 파싱된 JSON)
+     * @param {Object} stats - 캐릭터 스텟 (입력값)
+     * @param {string} role - 역할군 (dealer/tank/healer/balanced)
+     * @param {number} awakeningCooldownReduction - 각성 쿨타임 감소량 (엠블럼 시너지용)
+     * @returns {number} 효율 점수
+     * @updated 2025-12-11 - 수동 파싱된 effects 배열 직접 사용
+     * @updated 2025-12-11 - stat-formulas.js 모듈 연동 (한계효용, 밸런스 보정)
+     */
+    function calculateRuneScore(rune, stats, role, awakeningCooldownReduction) {
+        awakeningCooldownReduction = awakeningCooldownReduction || 0;
+        stats = stats || {};
 
-            Object.entries(effective).forEach(function([effectName, data]) {
-                // DPS 핵심 효과만 점수 계산에 포함
-                if (!CORE_DPS_EFFECTS.includes(effectName)) {
-                    // 효과 요약에는 포함하지만 점수에는 반영하지 않음
-                    if (!effectiveSummary[effectName]) {
-                        effectiveSummary[effectName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: false
-                        };
-                    }
-                    effectiveSummary[effectName].total += data.effective;
-                    effectiveSummary[effectName].details.push(data);
-                    return; // 점수 계산 스킵
+        // ========================================
+        // 헬퍼 함수: 효과 가중치 조회 (부분 문자열 매칭)
+        // @added 2025-12-11
+        // ========================================
+        function getEffectWeightWithFallback(effectName) {
+            if (!Modules.EffectWeights) return 1.0;
+            
+            // 정확한 매칭 먼저 시도
+            var weight = Modules.EffectWeights.getEffectWeight(effectName);
+            if (weight !== 0) return weight;
+            
+            // 부분 문자열 매칭
+            var nameMap = Modules.EffectWeights.EFFECT_NAME_MAP;
+            var weights = Modules.EffectWeights.EFFECT_WEIGHTS;
+            
+            if (nameMap && weights) {
+                var matchedKey = Object.keys(nameMap).find(function(key) {
+                    return effectName.indexOf(key) !== -1;
+                });
+                
+                if (matchedKey) {
+                    var weightKey = nameMap[matchedKey];
+                    return weights[weightKey] || 1.0;
                 }
+            }
+            
+            return 1.0; // 기본값
+        }
 
-                // DPS 핵심 효과별 점수 가중치 (새로운 가중치 테이블 사용)
-                var scoreWeight = EFFECT_SCORE_WEIGHT[effectName] || 10;
+        // ========================================
+        // 0. 스텟 기반 동적 보정 계수 계산 (StatFormulas 모듈 사용)
+        // ========================================
+        var statAdjustments = {
+            critMarginalUtility: 1.0,       // 치명타 한계효용
+            attackBalanceMultiplier: 1.0,   // 공격력 밸런스 보정
+            damageBalanceMultiplier: 1.0,   // 피해량 밸런스 보정
+            classPriorityEffects: []        // 클래스별 우선 효과 목록
+        };
 
-                // 시너지 룬 부스트 적용
-                if (synergyBoost[effectName]) {
-                    scoreWeight *= synergyBoost[effectName];
-                }
+        // 클래스별 우선 효과 조회
+        // @updated 2025-12-11 - 클래스 코드 직접 사용 (역조회 제거)
+        if (stats && stats.classCode && stats.classCode !== '00') {
+            statAdjustments.classPriorityEffects = getClassPriorityEffects(stats.classCode);
+            statAdjustments.classSubStatType = getClassSubStatType(stats.classCode);
+        }
+        
+        // 디버그: 첫 번째 룬에만 상세 로그 출력
+        var isFirstRune = !window._runeScoreDebugLogged;
+        if (isFirstRune) {
+            window._runeScoreDebugLogged = true;
+            console.log('🔍 calculateRuneScore 디버그:', {
+                룬이름: rune.name,
+                stats객체: stats ? '있음' : '없음',
+                classCode: stats ? stats.classCode : 'N/A',
+                classPriorityEffects: statAdjustments.classPriorityEffects,
+                role: role
+            });
+        }
 
-                // 한계효용 감소 적용 (공격력/피해량 증가에만)
-                var effectiveValue = data.effective;
-                if ((effectName === '공격력 증가' || effectName === '피해량 증가') && currentEffects[effectName]) {
-                    var diminishedValue = calculateDiminishingReturn(currentEffects[effectName], data.effective);
-                    effectiveValue = diminishedValue;
+        if (Modules.StatFormulas) {
+            // 치명타 한계효용 계산
+            // 현재 치명타 확률이 캡(50%)에 가까우면 추가 치명타 효과의 가치 감소
+            if (stats.critical && stats.critical > 1) {
+                var currentCritRate = Modules.StatFormulas.calculateCritRate(
+                    stats.critical,
+                    stats.critRateBonus || 0
+                );
+                statAdjustments.critMarginalUtility = Modules.StatFormulas.calculateCritMarginalUtility(currentCritRate);
+            }
+
+            // 공격력/피해량 밸런스 보정
+            // 곱연산 특성상 둘의 비율이 비슷할수록 효율적
+            if ((stats.attackBonus && stats.attackBonus > 0) || (stats.damageBonus && stats.damageBonus > 0)) {
+                var balance = Modules.StatFormulas.calculateBonusBalance(
+                    stats.attackBonus || 0,
+                    stats.damageBonus || 0
+                );
+                statAdjustments.attackBalanceMultiplier = balance.attackMultiplier;
+                statAdjustments.damageBalanceMultiplier = balance.damageMultiplier;
+            }
+        }
+
+        // 역할별 효과 가중치 (GameConstants 모듈 사용)
+        // @updated 2025-12-11 - 매직넘버를 상수로 대체
+        var roleMultipliers = (Modules.GameConstants && Modules.GameConstants.ROLE_MULTIPLIERS) 
+            ? Modules.GameConstants.ROLE_MULTIPLIERS 
+            : {
+                dealer: { '공격력 증가': 1.5, '피해량 증가': 1.5 },
+                tank: { '받는 피해 감소': 2.0 },
+                healer: { '회복력 증가': 2.0 },
+                balanced: { '공격력 증가': 1.0, '피해량 증가': 1.0 }
+            };
+
+        var defaultRoleWeight = (Modules.GameConstants && Modules.GameConstants.DEFAULT_ROLE_WEIGHT) 
+            ? Modules.GameConstants.DEFAULT_ROLE_WEIGHT 
+            : 1.0;
+
+        const multipliers = roleMultipliers[role] || roleMultipliers.balanced;
+
+        // ========================================
+        // 1. 기본 효과 점수 계산 (수동 파싱된 effects 배열 사용)
+        // ========================================
+        let score = 0;
+        let effectSummary = {};
+
+        if (rune.effects && Array.isArray(rune.effects)) {
+            rune.effects.forEach(function(effect) {
+                // DPS 관련 효과만 계산
+                if (effect.dpsRelevant === false) {
+                    return; // 스킵
                 }
 
-                var effectScore = effectiveValue * scoreWeight;
-                totalScore += effectScore;
+                var effectName = effect.name || '';
+                var value = effect.value || 0;
+                var effectType = effect.type || 'PERMANENT';
 
-                // 요약에 추가 (DPS 핵심 효과로 표시)
-                if (!effectiveSummary[effectName]) {
-                    effectiveSummary[effectName] = {
-                        total: 0,
-                        details: [],
-                        isCoreDPS: true, // DPS 핵심 효과 표시
-                        diminished: false // 한계효용 감소 적용 여부
-                    };
+                // 유형별 가중치 (GameConstants 모듈 사용)
+                // @updated 2025-12-11 - 매직넘버를 상수로 대체
+                var typeWeights = (Modules.GameConstants && Modules.GameConstants.EFFECT_TYPE_WEIGHTS)
+                    ? Modules.GameConstants.EFFECT_TYPE_WEIGHTS
+                    : { PERMANENT: 1.0, STACKING: 0.95, TRIGGER: 0.8, STATE: 0.7, DURATION: 0.5, DECAY: 0.3, DEFAULT: 0.7 };
+                // 사용자 가중치 프로필의 유형 가중치 우선 @added 2025-12-15
+                if (window.SharedEffectWeights && window.SharedEffectWeights.getWeightOverrides) {
+                    typeWeights = Object.assign({}, typeWeights, window.SharedEffectWeights.getWeightOverrides().type);
                 }
-                effectiveSummary[effectName].total += data.effective;
-                effectiveSummary[effectName].details.push(data);
 
-                // 한계효용 감소가 적용되었는지 표시
-                if (effectiveValue !== data.effective) {
-                    effectiveSummary[effectName].diminished = true;
-                    effectiveSummary[effectName].diminishedValue = effectiveValue;
+                var typeWeight = typeWeights.PERMANENT;
+                switch (effectType) {
+                    case 'PERMANENT': typeWeight = typeWeights.PERMANENT; break;
+                    case 'STACKING':
+                        typeWeight = typeWeights.STACKING;
+                        // 중첩 효과는 최대값 계산
+                        if (effect.maxStacks && effect.stackValue) {
+                            value = effect.stackValue * effect.maxStacks;
+                        }
+                        break;
+                    case 'TRIGGER': typeWeight = typeWeights.TRIGGER; break;
+                    case 'DURATION':
+                        // 업타임 계산 (StatFormulas 모듈 사용)
+                        if (effect.duration && effect.cooldown) {
+                            if (Modules.StatFormulas && Modules.StatFormulas.calculateUptime) {
+                                typeWeight = Modules.StatFormulas.calculateUptime(effect.duration, effect.cooldown);
+                            } else {
+                                typeWeight = effect.duration / (effect.duration + effect.cooldown);
+                            }
+                        } else {
+                            typeWeight = typeWeights.DURATION;
+                        }
+                        break;
+                    case 'DECAY':
+                        // 시간 감소 효과 평균값 계산 (StatFormulas 모듈 사용)
+                        if (Modules.StatFormulas && Modules.StatFormulas.calculateDecayAverage &&
+                            effect.initialValue && effect.decayRate && effect.decayInterval) {
+                            var avgValue = Modules.StatFormulas.calculateDecayAverage(
+                                effect.initialValue,
+                                effect.decayRate,
+                                effect.decayInterval
+                            );
+                            typeWeight = avgValue / effect.initialValue;
+                        } else {
+                            typeWeight = typeWeights.DECAY;
+                        }
+                        break;
+                    case 'STATE': typeWeight = typeWeights.STATE; break; // HP/자원 조건
+                    default: typeWeight = typeWeights.DEFAULT;
                 }
 
-                breakdown.push({
-                    effectName: effectName,
-                    raw: data.raw,
-                    stacks: data.stacks,
-                    typeWeight: data.typeWeight,
-                    uptime: data.uptime,
-                    effective: data.effective,
-                    diminishedEffective: effectiveValue,
-                    type: data.type,
-                    scoreWeight: scoreWeight,
-                    contribution: effectScore,
-                    hasSynergyBoost: !!synergyBoost[effectName]
-                });
-            });
+                // 효과 가중치 (헬퍼 함수 사용)
+                // @updated 2025-12-11 - 부분 문자열 매칭으로 가중치 조회
+                var effectWeight = getEffectWeightWithFallback(effectName);
 
-            // ====================================================
-            // 결함(디메리트) 효과 처리 - 점수에서 차감
-            // @added 2025-12-10
-            // ====================================================
-            if (effect.demerits && Object.keys(effect.demerits).length > 0) {
-                Object.entries(effect.demerits).forEach(function([demeritName, value]) {
-                    // DPS 관련 결함인 경우에만 점수에서 차감
-                    if (CORE_DPS_DEMERITS.includes(demeritName)) {
-                        var demeritWeight = EFFECT_SCORE_WEIGHT[demeritName] || 8;
-                        var demeritScore = value * demeritWeight;
+                // 역할별 가중치
+                var roleWeight = multipliers[effectName] || defaultRoleWeight;
 
-                        // 점수에서 차감
-                        totalScore -= demeritScore;
+                // ========================================
+                // 스텟 기반 동적 보정 적용
+                // ========================================
+                var statMultiplier = 1.0;
 
-                        // 결함 요약에 추가
-                        var demeritDisplayName = demeritName + ' (결함)';
-                        if (!effectiveSummary[demeritDisplayName]) {
-                            effectiveSummary[demeritDisplayName] = {
-                                total: 0,
-                                details: [],
-                                isCoreDPS: true,
-                                isDemerit: true // 결함 표시
-                            };
-                        }
-                        effectiveSummary[demeritDisplayName].total += value;
-                        effectiveSummary[demeritDisplayName].details.push({
-                            raw: value,
-                            effective: -value,
-                            type: '결함'
-                        });
+                // 치명타 확률: 한계효용 적용
+                if (effectName.indexOf('치명타 확률') !== -1 || effectName === '치명타') {
+                    statMultiplier *= statAdjustments.critMarginalUtility;
+                }
 
-                        breakdown.push({
-                            effectName: demeritDisplayName,
-                            raw: value,
-                            effective: -value,
-                            type: '결함',
-                            scoreWeight: demeritWeight,
-                            contribution: -demeritScore,
-                            isDemerit: true
-                        });
-                    }
-                });
-            }
+                // 공격력: 밸런스 보정 적용
+                if (effectName.indexOf('공격력') !== -1) {
+                    statMultiplier *= statAdjustments.attackBalanceMultiplier;
+                }
 
-            // ====================================================
-            // 기본 공격 효과 처리 - 기타 효과로 분류 (점수 미반영)
-            // @added 2025-12-10
-            // ====================================================
-            if (effect.basicAttackEffects && Object.keys(effect.basicAttackEffects).length > 0) {
-                Object.entries(effect.basicAttackEffects).forEach(function([effectName, value]) {
-                    // 기본 공격 효과는 기타 효과로 표시 (점수 미반영)
-                    var displayName = effectName + ' (기본공격)';
-                    if (!effectiveSummary[displayName]) {
-                        effectiveSummary[displayName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: false,
-                            isBasicAttack: true // 기본 공격 효과 표시
-                        };
-                    }
-                    effectiveSummary[displayName].total += value;
-                    effectiveSummary[displayName].details.push({
-                        raw: value,
-                        effective: value,
-                        type: '기본 공격'
-                    });
-                });
-            }
+                // 피해량: 밸런스 보정 적용
+                if (effectName.indexOf('피해량') !== -1 || effectName.indexOf('피해') !== -1) {
+                    statMultiplier *= statAdjustments.damageBalanceMultiplier;
+                }
 
-            // ====================================================
-            // 무방비 공격 적중 시 효과 처리 - 기타 효과로 분류 (점수 미반영)
-            // @added 2025-12-10
-            // 브레이크 발동까지 시간이 오래 걸려 어비스/레이드에서 효율 낮음
-            // ====================================================
-            if (effect.defenseBreakEffects && Object.keys(effect.defenseBreakEffects).length > 0) {
-                Object.entries(effect.defenseBreakEffects).forEach(function([effectName, value]) {
-                    // 무방비 효과는 기타 효과로 표시 (점수 미반영)
-                    var displayName = effectName + ' (무방비)';
-                    if (!effectiveSummary[displayName]) {
-                        effectiveSummary[displayName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: false,
-                            isDefenseBreak: true // 무방비 효과 표시
-                        };
-                    }
-                    effectiveSummary[displayName].total += value;
-                    effectiveSummary[displayName].details.push({
-                        raw: value,
-                        effective: value,
-                        type: '무방비'
-                    });
-                });
-            }
+                // ========================================
+                // 클래스별 우선 효과 보너스 적용
+                // @updated 2025-12-11 - Sub 스텟 관련 효과에 +25% 보너스
+                // ========================================
+                var classBonus = 1.0;
+                var CLASS_PRIORITY_BONUS = (Modules.GameConstants && Modules.GameConstants.CLASS_PRIORITY_BONUS)
+                    ? Modules.GameConstants.CLASS_PRIORITY_BONUS
+                    : 0.25; // Sub 스텟 보너스 25%
 
-            // ====================================================
-            // 제한적 효과 처리 - 기타 효과로 분류 (점수 미반영)
-            // @added 2025-12-10
-            // 브레이크/무방비/특정스킬 등 범용성 낮은 효과들
-            // ====================================================
-            if (effect.limitedEffects && Object.keys(effect.limitedEffects).length > 0) {
-                Object.entries(effect.limitedEffects).forEach(function([effectName, value]) {
-                    // 제한적 효과는 기타 효과로 표시 (점수 미반영)
-                    var displayName = effectName + ' (제한적)';
-                    if (!effectiveSummary[displayName]) {
-                        effectiveSummary[displayName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: false,
-                            isLimitedEffect: true // 제한적 효과 표시
-                        };
-                    }
-                    effectiveSummary[displayName].total += value;
-                    effectiveSummary[displayName].details.push({
-                        raw: value,
-                        effective: value,
-                        type: '제한적'
+                if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
+                    var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
+                        return effectName.indexOf(priority) !== -1;
                     });
-                });
-            }
+                    if (isPriorityEffect) {
+                        classBonus = 1.0 + CLASS_PRIORITY_BONUS;
+                        // 디버그: 클래스 보너스 적용 확인
+                        if (!rune._classBonusLogged) {
+                            console.log('✅ 클래스 보너스 적용:', rune.name, effectName, '+' + (CLASS_PRIORITY_BONUS * 100) + '%');
+                        }
+                    }
+                }
 
-            // ====================================================
-            // 시간 감소 효과 처리 - 실효값 적용하여 점수 계산
-            // @added 2025-12-10
-            // "전투 시작 시 X% 증가, 매 N초마다 Y%씩 감소" 패턴
-            // 어비스/레이드 기준 전투 시간이 길어서 실효값으로 계산
-            // ====================================================
-            if (effect.decayEffects && Object.keys(effect.decayEffects).length > 0) {
-                Object.entries(effect.decayEffects).forEach(function([effectName, data]) {
-                    var initialValue = data.initialValue;
-                    var effectiveValue = data.effectiveValue;
-                    var decayInfo = data.decayInfo;
+                // 최종 효과 점수
+                var effectScore = value * effectWeight * typeWeight * roleWeight * statMultiplier * classBonus;
+                score += effectScore;
 
-                    // 실효값으로 점수 계산
-                    var scoreWeight = EFFECT_SCORE_WEIGHT['공격력 증가'] || 10;
-                    var effectScore = effectiveValue * scoreWeight;
-                    totalScore += effectScore;
+                // 효과 요약 저장
+                if (!effectSummary[effectName]) {
+                    effectSummary[effectName] = { total: 0, count: 0 };
+                }
+                effectSummary[effectName].total += value;
+                effectSummary[effectName].count++;
+            });
+        }
 
-                    // 시간 감소 효과로 표시
-                    var displayName = effectName;
-                    if (!effectiveSummary[displayName]) {
-                        effectiveSummary[displayName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: true, // DPS 효과지만 감소 적용
-                            isDecayEffect: true,
-                            decayInfo: decayInfo
-                        };
-                    }
-                    effectiveSummary[displayName].total += effectiveValue;
-                    effectiveSummary[displayName].details.push({
-                        raw: initialValue,
-                        effective: effectiveValue,
-                        type: '시간 감소',
-                        decayDuration: decayInfo.decayDuration,
-                        effectiveUptime: Math.round(decayInfo.effectiveUptime * 100)
-                    });
+        // ========================================
+        // 2. 결함 점수 차감
+        // ========================================
+        if (rune.demerits && Array.isArray(rune.demerits)) {
+            rune.demerits.forEach(function(demerit) {
+                var demeritName = demerit.name || '';
+                var demeritValue = demerit.value || 0;
 
-                    breakdown.push({
-                        effectName: displayName,
-                        raw: initialValue,
-                        effective: effectiveValue,
-                        type: '시간 감소',
-                        scoreWeight: scoreWeight,
-                        contribution: effectScore,
-                        decayInfo: '초기 ' + initialValue + '% → ' + decayInfo.decayDuration + '초 후 소멸'
-                    });
-                });
-            }
+                // 결함 가중치
+                var demeritWeight = 1.0;
+                if (Modules.EffectWeights && Modules.EffectWeights.getDemeritWeight) {
+                    demeritWeight = Modules.EffectWeights.getDemeritWeight(demeritName);
+                    if (demeritWeight === 0) demeritWeight = 0.7;
+                }
 
-            // ====================================================
-            // 상태 조건 효과 처리 - 업타임 적용하여 점수 계산
-            // @added 2025-12-10
-            // 체력/자원 조건에 따른 효과는 업타임이 제한적
-            // ====================================================
-            if (effect.conditionEffects && Object.keys(effect.conditionEffects).length > 0) {
-                Object.entries(effect.conditionEffects).forEach(function([effectName, data]) {
-                    var rawValue = data.rawValue;
-                    var effectiveValue = data.effectiveValue;
-                    var conditionInfo = data.conditionInfo;
+                score -= demeritValue * demeritWeight;
+            });
+        }
 
-                    // 효과 타입 추출 (공격력 증가, 피해량 증가 등)
-                    var baseEffectName = effectName.replace(/\s*\([^)]+\)\s*$/, '');
+        // ========================================
+        // 3. 강화 효과 점수 (+15 기준)
+        // ========================================
+        if (rune.enhanceEffects) {
+            ['10', '15'].forEach(function(level) {
+                var enhanceList = rune.enhanceEffects[level];
+                if (enhanceList && Array.isArray(enhanceList)) {
+                    enhanceList.forEach(function(effect) {
+                        if (effect.dpsRelevant === false) return;
 
-                    // 핵심 DPS 효과인 경우만 점수에 반영
-                    var isCoreDPS = CORE_DPS_EFFECTS.indexOf(baseEffectName) !== -1;
-                    if (isCoreDPS) {
-                        var scoreWeight = EFFECT_SCORE_WEIGHT[baseEffectName] || 10;
-                        var effectScore = effectiveValue * scoreWeight;
-                        totalScore += effectScore;
-                    }
+                        var effectName = effect.name || '';
+                        var value = effect.value || 0;
 
-                    // 조건 효과로 표시
-                    var displayName = effectName;
-                    if (!effectiveSummary[displayName]) {
-                        effectiveSummary[displayName] = {
-                            total: 0,
-                            details: [],
-                            isCoreDPS: isCoreDPS,
-                            isConditionEffect: true,
-                            conditionInfo: conditionInfo
-                        };
-                    }
-                    effectiveSummary[displayName].total += effectiveValue;
-                    effectiveSummary[displayName].details.push({
-                        raw: rawValue,
-                        effective: effectiveValue,
-                        type: '상태 조건',
-                        conditionType: conditionInfo.type,
-                        uptime: conditionInfo.uptimePercent
-                    });
+                        var effectWeight = getEffectWeightWithFallback(effectName);
+                        var roleWeight = multipliers[effectName] || defaultRoleWeight;
 
-                    breakdown.push({
-                        effectName: displayName,
-                        raw: rawValue,
-                        effective: effectiveValue,
-                        type: '상태 조건',
-                        scoreWeight: isCoreDPS ? (EFFECT_SCORE_WEIGHT[baseEffectName] || 10) : 0,
-                        contribution: isCoreDPS ? (effectiveValue * (EFFECT_SCORE_WEIGHT[baseEffectName] || 10)) : 0,
-                        conditionInfo: '업타임 ' + conditionInfo.uptimePercent + '%'
-                    });
-                });
-            }
-        });
-
-        // 엠블럼 각성 효과 추가 계산 (엠블럼 룬인 경우)
-        // @added 2025-12-10
-        var awakeningInfo = null;
-        if (rune.category === '04') { // 엠블럼
-            var awakening = parseEmblemAwakening(rune.description);
-
-            if (awakening && awakening.hasAwakening) {
-                // 무방비 각성은 제한적 효과로 처리
-                if (awakening.isDefenseBreakAwakening) {
-                    awakeningInfo = {
-                        duration: awakening.duration,
-                        baseCooldown: awakening.cooldown,
-                        isLimited: true,
-                        limitReason: '무방비 발동 필요'
-                    };
-                    // 기본 공격 각성도 제한적 효과로 처리 @added 2025-12-10
-                } else if (awakening.isBasicAttackAwakening) {
-                    awakeningInfo = {
-                        duration: awakening.duration,
-                        baseCooldown: awakening.cooldown,
-                        isLimited: true,
-                        limitReason: '기본 공격 효과 (DPS 비중 낮음)'
-                    };
-                } else {
-                    var effectiveCooldown = Math.max(awakening.cooldown - awakeningCooldownReduction, 10);
-                    // 업타임 = 지속시간 / (지속시간 + 쿨타임)
-                    // 발동 확률은 업타임에 미포함 (쿨타임 후 거의 즉시 발동)
-                    var uptime = awakening.duration / (awakening.duration + effectiveCooldown);
-
-                    awakeningInfo = {
-                        duration: awakening.duration,
-                        baseCooldown: awakening.cooldown,
-                        reducedCooldown: effectiveCooldown,
-                        uptime: uptime
-                    };
-
-                    // 각성 효과를 업타임 적용하여 점수에 반영
-                    Object.entries(awakening.awakeningEffects).forEach(function([effectName, value]) {
-                        if (CORE_DPS_EFFECTS.includes(effectName)) {
-                            var effectiveValue = value * uptime;
-                            // 효과별 가중치 사용 @updated 2025-12-10
-                            var scoreWeight = EFFECT_SCORE_WEIGHT[effectName] || 10;
-
-                            var effectScore = effectiveValue * scoreWeight;
-                            totalScore += effectScore;
-
-                            // 요약에 추가 (각성 효과로 표시)
-                            var awakeningEffectName = effectName + ' (각성)';
-                            if (!effectiveSummary[awakeningEffectName]) {
-                                effectiveSummary[awakeningEffectName] = {
-                                    total: 0,
-                                    details: [],
-                                    isCoreDPS: true,
-                                    isAwakening: true
-                                };
-                            }
-                            effectiveSummary[awakeningEffectName].total += effectiveValue;
+                        // 스텟 보정 적용
+                        var statMultiplier = 1.0;
+                        if (effectName.indexOf('치명타 확률') !== -1) {
+                            statMultiplier *= statAdjustments.critMarginalUtility;
+                        }
+                        if (effectName.indexOf('공격력') !== -1) {
+                            statMultiplier *= statAdjustments.attackBalanceMultiplier;
+                        }
+                        if (effectName.indexOf('피해량') !== -1) {
+                            statMultiplier *= statAdjustments.damageBalanceMultiplier;
+                        }
 
-                            breakdown.push({
-                                effectName: awakeningEffectName,
-                                raw: value,
-                                uptime: uptime,
-                                effective: effectiveValue,
-                                type: 'awakening',
-                                scoreWeight: scoreWeight,
-                                contribution: effectScore
+                        // 클래스별 우선 효과 보너스
+                        var classBonus = 1.0;
+                        if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
+                            var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
+                                return effectName.indexOf(priority) !== -1;
                             });
+                            if (isPriorityEffect) classBonus = 1.25;
                         }
-                    });
-
-                    // 상시 효과 추가
-                    Object.entries(awakening.passiveEffects).forEach(function([effectName, value]) {
-                        if (CORE_DPS_EFFECTS.includes(effectName)) {
-                            // 효과별 가중치 사용 @updated 2025-12-10
-                            var scoreWeight = EFFECT_SCORE_WEIGHT[effectName] || 10;
-
-                            var effectScore = value * scoreWeight;
-                            totalScore += effectScore;
 
-                            if (!effectiveSummary[effectName]) {
-                                effectiveSummary[effectName] = {
-                                    total: 0,
-                                    details: [],
-                                    isCoreDPS: true
-                                };
-                            }
-                            effectiveSummary[effectName].total += value;
-                        }
+                        score += value * effectWeight * roleWeight * statMultiplier * classBonus;
                     });
-                } // else 블록 종료
-            }
+                }
+            });
         }
 
-        // DPS 분석 추가 (2025-12-10)
-        var dpsAnalysis = calculateExpectedDPS(effectiveSummary, characterStats);
-
-        return {
-            score: Math.round(totalScore * 10) / 10,
-            breakdown: breakdown,
-            effectiveSummary: effectiveSummary,
-            dotTypes: parsed.dotTypes,
-            coreDPSEffects: CORE_DPS_EFFECTS,
-            awakeningInfo: awakeningInfo, // 각성 정보 추가
-            dpsAnalysis: dpsAnalysis, // DPS 분석 추가
-            synergyApplied: Object.keys(synergyBoost).length > 0 // 시너지 적용 여부
-        };
-    }
-
-    /**
-     * 기존 호환성을 위한 래퍼 함수
-     * @param {string} description - 룬 설명
-     * @param {number} enhanceLevel - 강화 단계
-     * @returns {Object} 단순화된 효과 객체
-     */
-    function parseRuneEffects(description, enhanceLevel = 0) {
-        // 임시 룬 객체 생성
-        const tempRune = {
-            description,
-            name: '',
-            id: 0
-        };
-        const result = calculateRuneEfficiencyScore(tempRune, enhanceLevel, getAllEquippedDotTypes());
+        // ========================================
+        // 4. 등급 보너스 (GameConstants 모듈 사용)
+        // @updated 2025-12-11 - 매직넘버를 상수로 대체
+        // ========================================
+        var gradeName = rune.gradeName || '';
+        var gradeBonus = (Modules.GameConstants && Modules.GameConstants.GRADE_BONUS_BY_NAME)
+            ? Modules.GameConstants.GRADE_BONUS_BY_NAME
+            : { '신화': 100, '전설(시즌1)': 70, '전설(시즌0)': 50, '유니크(시즌0)': 30 };
+        score += gradeBonus[gradeName] || 0;
 
-        // 기존 형식으로 변환
-        const simpleEffects = {};
-        Object.entries(result.effectiveSummary).forEach(([name, data]) => {
-            simpleEffects[name] = Math.round(data.total * 10) / 10;
-        });
+        // ========================================
+        // 5. 시너지 보너스 (DoT 부여) (GameConstants 모듈 사용)
+        // @updated 2025-12-11 - 매직넘버를 상수로 대체
+        // ========================================
+        var synergyBonus = (Modules.GameConstants && Modules.GameConstants.SYNERGY_BONUS)
+            ? Modules.GameConstants.SYNERGY_BONUS
+            : { DOT_APPLY_PER_TYPE: 15 };
 
-        return simpleEffects;
-    }
+        if (rune.synergy && rune.synergy.appliesDot && rune.synergy.appliesDot.length > 0) {
+            score += rune.synergy.appliesDot.length * synergyBonus.DOT_APPLY_PER_TYPE;
+        }
 
-    // ============================================
-    // 10. 효과 합산 (Effect Calculator)
-    // ============================================
+        // ========================================
+        // 6. 각성 효과 (엠블럼 룬) (GameConstants 모듈 사용)
+        // @updated 2025-12-11 - 매직넘버를 상수로 대체
+        // ========================================
+        if (rune.awakening && rune.awakening.effects) {
+            var awakeningConst = (Modules.GameConstants && Modules.GameConstants.AWAKENING_CONSTANTS)
+                ? Modules.GameConstants.AWAKENING_CONSTANTS
+                : { BASE_COOLDOWN: 90, DEFAULT_DURATION: 20, MIN_COOLDOWN: 30 };
 
-    /**
-     * 장착된 모든 룬의 효과 합산
-     * @updated 2025-12-10 - 고급 효과 파싱 엔진 사용
-     * @updated 2025-12-10 - DPS 핵심 효과 구분 표시
-     * @updated 2025-12-10 - 한계효용 감소, 시너지 룬, DPS 분석 추가
-     */
-    function calculateTotalEffects() {
-        const totalEffects = {
-            coreDPS: {}, // DPS 핵심 효과
-            demerits: {}, // 결함 효과 @added 2025-12-10
-            conditionEffects: {}, // 상태 조건 효과 @added 2025-12-10
-            other: {} // 기타 효과
-        };
+            var duration = rune.awakening.duration || awakeningConst.DEFAULT_DURATION;
+            var uptime;
 
-        // 모든 장착 룬의 지속 피해 유형 수집
-        const allDotTypes = getAllEquippedDotTypes();
-        const hasSynergy = allDotTypes.length > 0;
+            // StatFormulas 모듈로 각성 업타임 계산
+            if (Modules.StatFormulas && Modules.StatFormulas.calculateAwakeningUptime) {
+                uptime = Modules.StatFormulas.calculateAwakeningUptime(duration, awakeningCooldownReduction);
+            } else {
+                var adjustedCooldown = Math.max(awakeningConst.BASE_COOLDOWN - awakeningCooldownReduction, awakeningConst.MIN_COOLDOWN);
+                uptime = duration / (duration + adjustedCooldown);
+            }
 
-        // 시너지 룬 체크
-        const synergyResult = checkSynergyRunes(Object.values(state.equippedRunes));
+            rune.awakening.effects.forEach(function(effect) {
+                if (effect.dpsRelevant === false) return;
 
-        // 현재 누적 효과 (한계효용 계산용)
-        const currentEffects = {};
+                var effectName = effect.name || '';
+                var value = effect.value || 0;
 
-        // 캐릭터 스탯 (추천 탭에서 입력한 값 사용)
-        const characterStats = getCharacterStatsFromInput();
+                var effectWeight = getEffectWeightWithFallback(effectName);
+                var roleWeight = multipliers[effectName] || defaultRoleWeight;
 
-        Object.entries(state.equippedRunes).forEach(([slotId, rune]) => {
-            if (!rune) return;
+                // 스텟 보정 적용
+                var statMultiplier = 1.0;
+                if (effectName.indexOf('치명타 확률') !== -1) {
+                    statMultiplier *= statAdjustments.critMarginalUtility;
+                }
+                if (effectName.indexOf('공격력') !== -1) {
+                    statMultiplier *= statAdjustments.attackBalanceMultiplier;
+                }
+                if (effectName.indexOf('피해량') !== -1) {
+                    statMultiplier *= statAdjustments.damageBalanceMultiplier;
+                }
 
-            // 개별 슬롯 강화 수치 사용 @updated 2025-12-10
-            const slotEnhanceLevel = state.enhanceLevels[slotId] || 0;
+                // 클래스별 우선 효과 보너스
+                var classBonus = 1.0;
+                if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
+                    var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
+                        return effectName.indexOf(priority) !== -1;
+                    });
+                    if (isPriorityEffect) classBonus = 1.25;
+                }
 
-            // 고급 효과 계산 사용 (옵션 포함)
-            const efficiency = calculateRuneEfficiencyScore(rune, slotEnhanceLevel, allDotTypes, 0, {
-                currentEffects: currentEffects,
-                characterStats: characterStats,
-                synergyBoost: synergyResult.totalBoost
+                score += value * effectWeight * roleWeight * uptime * statMultiplier * classBonus;
             });
+        }
 
-            Object.entries(efficiency.effectiveSummary).forEach(([key, data]) => {
-                // 효과 분류 @updated 2025-12-10
-                let category;
-                if (data.isDemerit) {
-                    category = 'demerits';
-                } else if (data.isConditionEffect) {
-                    // 상태 조건 효과 (체력/자원 조건)
-                    category = 'conditionEffects';
-                } else if (data.isCoreDPS) {
-                    category = 'coreDPS';
-                } else {
-                    category = 'other';
-                }
+        return Math.round(score * 10) / 10;
+    }
 
-                // 실효값 사용
-                if (!totalEffects[category][key]) {
-                    totalEffects[category][key] = {
-                        total: 0,
-                        isCoreDPS: data.isCoreDPS,
-                        isDemerit: data.isDemerit,
-                        isConditionEffect: data.isConditionEffect,
-                        conditionInfo: data.conditionInfo,
-                        diminished: data.diminished
-                    };
-                }
-                totalEffects[category][key].total += data.total;
+    // ========================================
+    // Web Worker 인스턴스 (전역)
+    // @added 2025-12-11 - Branch & Bound 최적화 (병렬 Worker)
+    // ========================================
+    let optimizationWorkers = [];  // 병렬 Worker 배열
+    let workerResults = [];        // 각 Worker의 결과
+    let workerProgress = [];       // 각 Worker의 진행률
+    let totalWorkersCompleted = 0; // 완료된 Worker 수
+    let parallelStartTime = null;  // 병렬 처리 시작 시간
 
-                // 현재 효과 누적 (한계효용 계산용)
-                if (!currentEffects[key]) {
-                    currentEffects[key] = 0;
-                }
-                currentEffects[key] += data.total;
-            });
-        });
+    /**
+     * 최적화 진행률 UI 업데이트 (2단계 탐색 지원)
+     * @param {Object} data - 진행률 데이터 (phase: 1 | 2 | 'pareto' | 'sensitivity')
+     * @updated 2025-12-11 - 2단계 탐색 및 실시간 최적 조합 표시 추가
+     * @updated 2025-12-15 - 파레토 탐색 단계
+     * @updated 2025-12-15 - 가중치 민감도 분석 단계 (processed/total = 시행 수)
+     */
+    function updateProgressUI(data) {
+        const progressEl = $('#optimization-progress');
+        const percentEl = $('#progress-percent');
+        const barEl = $('#progress-bar');
+        const processedEl = $('#progress-processed');
+        const totalEl = $('#progress-total');
+        const remainingEl = $('#progress-remaining');
+        const titleEl = $('#progress-title');
+        
+        // 단계 상태 요소
+        const phase1Status = $('#phase-1-status');
+        const phase2Status = $('#phase-2-status');
+        
+        // 미리보기 요소
+        const previewEl = $('#current-best-preview');
+        const previewScoreEl = $('#preview-score');
+        const previewWeaponEl = $('#preview-weapon');
+        const previewArmorsEl = $('#preview-armors');
+        const previewEmblemEl = $('#preview-emblem');
+        const previewAccessoriesEl = $('#preview-accessories');
 
-        // DPS 분석 계산 (결함 효과, 상태 조건 효과 포함) @updated 2025-12-10
-        // 상태 조건 효과의 실효값을 coreDPS에 추가하여 계산
-        const combinedCoreDPS = Object.assign({}, totalEffects.coreDPS);
-        Object.entries(totalEffects.conditionEffects || {}).forEach(function([key, data]) {
-            if (data.isCoreDPS !== false) { // 핵심 DPS 효과인 상태 조건만 포함
-                var baseEffectName = key.replace(/\s*\([^)]+\)\s*$/, '');
-                if (!combinedCoreDPS[baseEffectName]) {
-                    combinedCoreDPS[baseEffectName] = {
-                        total: 0
-                    };
-                }
-                combinedCoreDPS[baseEffectName].total += data.total;
+        if (progressEl) progressEl.style.display = 'block';
+        if (percentEl) percentEl.textContent = data.progress + '%';
+        if (barEl) barEl.style.width = data.progress + '%';
+        if (processedEl) {
+            processedEl.textContent = (data.phase === 'sensitivity' ? '시행: ' : '계산: ') + (data.processed || 0).toLocaleString();
+        }
+        if (totalEl) totalEl.textContent = '/ ' + (data.total || 0).toLocaleString();
+        
+        // 단계별 타이틀 업데이트
+        if (titleEl) {
+            if (data.phase === 1) {
+                titleEl.textContent = '🔍 1단계: 빠른 탐색 중...';
+            } else if (data.phase === 2) {
+                titleEl.textContent = '🔬 2단계: 정밀 확장 탐색 중...';
+            } else if (data.phase === 'pareto') {
+                titleEl.textContent = '📊 트레이드오프 조합 탐색 중...';
+            } else if (data.phase === 'sensitivity') {
+                titleEl.textContent = '⚖️ 가중치 민감도 분석 중...';
             }
-        });
-        const dpsAnalysis = calculateExpectedDPS(combinedCoreDPS, characterStats, totalEffects.demerits);
+        }
 
-        renderEffectSummary(totalEffects, hasSynergy, allDotTypes, synergyResult, dpsAnalysis);
+        // 파레토 탐색/민감도 분석은 단일 단계, 현재 최적 조합 없음 @added 2025-12-15
+        const singlePhase = data.phase === 'pareto' || data.phase === 'sensitivity';
+        const phasesEl = $('#progress-phases');
+        if (phasesEl) phasesEl.style.display = singlePhase ? 'none' : '';
+        if (previewEl && singlePhase) previewEl.style.display = 'none';
+        
+        // 단계 상태 업데이트
+        if (data.phase === 1) {
+            if (phase1Status) {
+                phase1Status.classList.add('phase-active');
+                phase1Status.classList.remove('phase-complete');
+                phase1Status.querySelector('.phase-icon').textContent = '⏳';
+            }
+            if (phase2Status) {
+                phase2Status.classList.remove('phase-active', 'phase-complete');
+                phase2Status.querySelector('.phase-icon').textContent = '⏸️';
+            }
+        } else if (data.phase === 2) {
+            if (phase1Status) {
+                phase1Status.classList.remove('phase-active');
+                phase1Status.classList.add('phase-complete');
+                phase1Status.querySelector('.phase-icon').textContent = '✅';
+            }
+            if (phase2Status) {
+                phase2Status.classList.add('phase-active');
+                phase2Status.classList.remove('phase-complete');
+                phase2Status.querySelector('.phase-icon').textContent = '⏳';
+            }
+        }
+        
+        // 남은 시간 표시
+        if (remainingEl) {
+            if (data.estimatedRemaining && data.estimatedRemaining > 0) {
+                const mins = Math.floor(data.estimatedRemaining / 60);
+                const secs = data.estimatedRemaining % 60;
+                remainingEl.textContent = '예상: ' + 
+                    (mins > 0 ? mins + '분 ' : '') + secs + '초';
+            } else {
+                remainingEl.textContent = '예상: 계산 중...';
+            }
+        }
+        
+        // 현재 최적 조합 미리보기 업데이트
+        if (data.bestCombination && data.bestScore > 0) {
+            if (previewEl) previewEl.style.display = 'block';
+            if (previewScoreEl) previewScoreEl.textContent = '점수: ' + data.bestScore.toFixed(1) + '점';
+            
+            const combo = data.bestCombination;
+            if (previewWeaponEl && combo.weapon) {
+                previewWeaponEl.textContent = combo.weapon.name;
+            }
+            if (previewArmorsEl && combo.armors) {
+                previewArmorsEl.textContent = combo.armors.map(a => a.name).join(', ');
+            }
+            if (previewEmblemEl && combo.emblem) {
+                previewEmblemEl.textContent = combo.emblem.name;
+            }
+            if (previewAccessoriesEl && combo.accessories) {
+                previewAccessoriesEl.textContent = combo.accessories.map(a => a.name).join(', ');
+            }
+        }
     }
 
     /**
-     * 캐릭터 스탯 입력값 가져오기
-     * @returns {Object} 캐릭터 스탯 객체
-     * @added 2025-12-10
+     * 최적화 완료 처리
+     * @param {Object} result - 최적화 결과 (constraintReport: 병합된 제약 조건 보고)
+     * @updated 2025-12-11 - 2단계 탐색 지원
+     * @updated 2025-12-15 - 제약 조건 보고 전달
      */
-    function getCharacterStatsFromInput() {
-        var stats = {};
+    function handleOptimizationComplete(result) {
+        const elapsed = parallelStartTime ? ((Date.now() - parallelStartTime) / 1000).toFixed(1) : 0;
+        
+        console.log('✅ 최적화 완료:', {
+            최고점수: result.bestScore,
+            계산수: (result.processed || 0).toLocaleString(),
+            소요시간: elapsed + '초'
+        });
 
-        // 추천 탭의 스탯 입력 필드에서 값 가져오기
-        var critChanceInput = $('#stat-crit-chance');
-        var critDmgInput = $('#stat-crit-damage');
-        var multiHitInput = $('#stat-multi-hit');
-        var additionalHitInput = $('#stat-additional-hit');
+        // 진행률 UI 숨기기
+        const progressEl = $('#optimization-progress');
+        if (progressEl) progressEl.style.display = 'none';
 
-        if (critChanceInput && critChanceInput.value) {
-            stats.critChance = parseFloat(critChanceInput.value) || 30;
-        }
-        if (critDmgInput && critDmgInput.value) {
-            stats.critDmg = parseFloat(critDmgInput.value) || 150;
-        }
-        if (multiHitInput && multiHitInput.value) {
-            stats.multiHit = parseFloat(multiHitInput.value) || 10;
+        // 버튼 상태 복원
+        const btnRecommend = $('#btn-recommend');
+        const btnPareto = $('#btn-pareto-recommend');
+        const btnSensitivity = $('#btn-sensitivity-recommend');
+        const btnStop = $('#btn-stop-recommend');
+        if (btnRecommend) {
+            btnRecommend.disabled = false;
+            btnRecommend.textContent = '🎯 최적 룬 조합 추천받기';
         }
-        if (additionalHitInput && additionalHitInput.value) {
-            stats.additionalHit = parseFloat(additionalHitInput.value) || 5;
+        if (btnPareto) btnPareto.disabled = false;
+        if (btnSensitivity) btnSensitivity.disabled = false;
+        if (btnStop) btnStop.style.display = 'none';
+
+        // 결과가 없으면
+        // @updated 2025-12-15 - 제약 조건 때문이면 원인 조건 표시
+        if (!result.bestCombination) {
+            const report = result.constraintReport;
+            const causes = report ? report.constraints.filter(c => c.binding).map(c => c.label) : [];
+            showToast(causes.length > 0
+                ? '제약 조건을 만족하는 조합이 없습니다: ' + causes.join(', ')
+                : '최적 조합을 찾을 수 없습니다.', 'error');
+            return;
         }
 
-        return stats;
+        // 결과 표시
+        displayOptimizationResult(result);
+        showToast(`최적 조합 탐색 완료! (${elapsed}초 소요)`, 'success');
     }
 
     /**
-     * 효과 합산 결과 렌더링
-     * @param {Object} totalEffects - 합산된 효과 { coreDPS: {}, other: {} }
-     * @param {boolean} hasSynergy - 시너지 보유 여부
-     * @param {Array} dotTypes - 보유 지속 피해 유형
-     * @param {Object} synergyResult - 시너지 룬 정보
-     * @param {Object} dpsAnalysis - DPS 분석 결과
-     * @updated 2025-12-10 - DPS 핵심 효과와 기타 효과 분리 표시
-     * @updated 2025-12-10 - DPS 분석, 공격력/피해량 비율, 시너지 룬 표시 추가
+     * 직렬화된 조합(Worker topCombinations)을 전체 룬 데이터로 복원
+     * @param {Object} combination - { weapon, armors, emblem, accessories } (id/name/baseScore)
+     * @returns {Object} 룬 객체 조합 (Worker baseScore 유지)
+     * @added 2025-12-15
      */
-    function renderEffectSummary(totalEffects, hasSynergy, dotTypes, synergyResult, dpsAnalysis) {
-        hasSynergy = hasSynergy || false;
-        dotTypes = dotTypes || [];
-        synergyResult = synergyResult || {
-            synergies: [],
-            hasSynergy: false
+    function hydrateCombination(combination) {
+        const hydrate = function(rune) {
+            const full = state.allRunes.find(r => r.id === rune.id);
+            return full ? { ...full, baseScore: rune.baseScore } : rune;
         };
-        dpsAnalysis = dpsAnalysis || {
-            totalDPSIncrease: 0,
-            breakdown: {},
-            balance: {}
+        return {
+            weapon: hydrate(combination.weapon),
+            armors: combination.armors.map(hydrate),
+            emblem: hydrate(combination.emblem),
+            accessories: combination.accessories.map(hydrate)
         };
+    }
 
-        const attackList = $('#effect-list-attack');
-        const defenseList = $('#effect-list-defense');
-        const miscList = $('#effect-list-misc');
+    /**
+     * 상위 조합 목록 HTML
+     * @description 1위와의 점수 차, 선택 캐릭터 보유 룬 수 표시
+     * @param {Array<Object>} ranking - [{ rank, score, gap, combination }]
+     * @param {number} selectedRank - 현재 표시 중인 순위
+     * @returns {string} HTML
+     * @added 2025-12-15
+     */
+    function renderCombinationRanking(ranking, selectedRank) {
+        if (!ranking || ranking.length < 2) return '';
 
-        // DPS 핵심 효과 (공격 섹션에 표시)
-        if (attackList) {
-            const coreDPSEntries = Object.entries(totalEffects.coreDPS || {});
-            let attackHtml = '';
+        const ownedIds = state.selectedCharacterId
+            ? getOwnedRunes(state.selectedCharacterId).map(r => r.id)
+            : null;
 
-            if (coreDPSEntries.length > 0) {
-                attackHtml = `<div class="effect-section-header">⚡ DPS 핵심 효과</div>`;
-                attackHtml += coreDPSEntries.map(function([key, data]) {
-                    return `
-                        <div class="effect-item effect-item--core">
-                            <span class="effect-item__name">${escapeHtml(key)}</span>
-                            <span class="effect-item__value effect-item__value--highlight">
-                                +${data.total.toFixed(1)}%
-                            </span>
-                        </div>
-                    `;
-                }).join('');
+        const rows = ranking.map(function(entry) {
+            const c = entry.combination;
+            const runes = [c.weapon].concat(c.armors, [c.emblem], c.accessories);
+            const names = runes.map(r => escapeHtml(r.name)).join(', ');
+            const owned = ownedIds
+                ? `<span class="recommend-ranking__owned">보유 ${runes.filter(r => ownedIds.includes(r.id)).length}/${runes.length}</span>`
+                : '';
 
-                // 공격력/피해량 비율 표시
-                var rawValues = dpsAnalysis.breakdown.rawValues || {};
-                var atkIncrease = rawValues.atkIncrease || 0;
-                var dmgIncrease = rawValues.dmgIncrease || 0;
+            return `
+                <li class="recommend-ranking__item${entry.rank === selectedRank ? ' recommend-ranking__item--selected' : ''}" data-rank="${entry.rank}">
+                    <span class="recommend-ranking__rank">#${entry.rank}</span>
+                    <span class="recommend-ranking__score">${entry.score.toFixed(1)}점</span>
+                    <span class="recommend-ranking__gap">${entry.gap > 0 ? '-' + entry.gap.toFixed(1) : '최고'}</span>
+                    ${owned}
+                    <span class="recommend-ranking__runes">${names}</span>
+                </li>
+            `;
+        }).join('');
 
-                if (atkIncrease > 0 || dmgIncrease > 0) {
-                    var balance = dpsAnalysis.balance || {};
-                    var ratioText = '';
-                    var ratioClass = '';
+        return `
+            <div class="recommend-ranking">
+                <h3 class="recommend-category__title">📋 상위 ${ranking.length}개 조합 (서로 룬 2개 이상 다름)</h3>
+                <ol class="recommend-ranking__list">${rows}</ol>
+            </div>
+        `;
+    }
 
-                    if (balance.isBalanced) {
-                        ratioText = '✅ 균형 잡힌 세팅';
-                        ratioClass = 'effect-item__value--balanced';
-                    } else if (atkIncrease > dmgIncrease + 20) {
-                        ratioText = '⚠️ 피해량 증가 룬 추천';
-                        ratioClass = 'effect-item__value--warning';
-                    } else {
-                        ratioText = '⚠️ 공격력 증가 룬 추천';
-                        ratioClass = 'effect-item__value--warning';
-                    }
+    /**
+     * 최적화 결과 표시
+     * @param {Object} result - 최적화 결과 (topCombinations: 병합된 상위 조합 목록)
+     * @param {number} [selectedRank] - 상위 조합 목록에서 선택한 순위 (기본: 최고 조합)
+     * @added 2025-12-11
+     * @updated 2025-12-11 - recommend-rune-item 클래스 구조로 변경
+     * @updated 2025-12-15 - 결과를 제한한 제약 조건 표시
+     * @updated 2025-12-15 - 상위 조합 목록 및 순위 선택
+     */
+    function displayOptimizationResult(result, selectedRank) {
+        const { processed, skipped, total } = result;
+        const ranking = result.topCombinations || [];
+        const selected = selectedRank ? ranking.find(entry => entry.rank === selectedRank) : null;
+        const bestCombination = selected ? hydrateCombination(selected.combination) : result.bestCombination;
+        const bestScore = selected ? selected.score : result.bestScore;
+        const resultEl = $('#recommend-result');
 
-                    attackHtml += `
-                        <div class="effect-divider"></div>
-                        <div class="effect-section-header">📊 공격력/피해량 비율</div>
-                        <div class="effect-item">
-                            <span class="effect-item__name">공격력 : 피해량</span>
-                            <span class="effect-item__value">${atkIncrease.toFixed(0)}% : ${dmgIncrease.toFixed(0)}%</span>
-                        </div>
-                        <div class="effect-item">
-                            <span class="effect-item__name">비율 분석</span>
-                            <span class="effect-item__value ${ratioClass}">${ratioText}</span>
-                        </div>
-                    `;
+        // 역할 목적 함수 (탱커/힐러는 모델 증가율 기준 점수) @added 2025-12-15
+        const objective = window.RoleModels && result.options ? window.RoleModels.getObjective(result.options) : 'score';
+        const scoreLabel = objective === 'score'
+            ? '총 효율 점수'
+            : `목적 점수 (${window.RoleModels.OBJECTIVES[objective].label} %)`;
+        
+        if (!resultEl) return;
+
+        // 스킵률 계산
+        const skipRate = processed + skipped > 0 
+            ? Math.round((skipped / (processed + skipped)) * 100) 
+            : 0;
+
+        // 카테고리별 결과 정리
+        const recommendations = {
+            '01': {
+                name: '⚔️ 무기 룬',
+                slots: ['weapon-1'],
+                runes: [bestCombination.weapon]
+            },
+            '02': {
+                name: '🛡️ 방어구 룬',
+                slots: ['armor-1', 'armor-2', 'armor-3', 'armor-4', 'armor-5'],
+                runes: bestCombination.armors
+            },
+            '04': {
+                name: '🔥 엠블럼 룬',
+                slots: ['emblem-1'],
+                runes: [bestCombination.emblem]
+            },
+            '03': {
+                name: '💍 장신구 룬',
+                slots: ['accessory-1', 'accessory-2', 'accessory-3'],
+                runes: bestCombination.accessories
+            }
+        };
+
+        // HTML 생성
+        let html = `
+            <div class="recommend-header" style="text-align:center;margin-bottom:20px;">
+                <h2 class="section-title" style="color:#FFD700;">🎯 추천 룬 조합</h2>
+                <div class="recommend-total-score" style="font-size:24px;font-weight:bold;color:#4CAF50;">
+                    ${scoreLabel}: ${bestScore.toFixed(1)}점
+                    ${selected && selected.gap > 0 ? `<small>(${selected.rank}위, 1위 대비 -${selected.gap.toFixed(1)}점)</small>` : ''}
+                </div>
+                <div class="optimization-stats" style="font-size:12px;color:#888;margin-top:8px;">
+                    가지치기 알고리즘으로 ${skipRate}% 계산 스킵 | 
+                    ${(processed || 0).toLocaleString()}개 조합 분석
+                </div>
+                ${renderConstraintReport(result.constraintReport)}
+                ${result.options ? '<button class="btn btn--sm btn--secondary" id="btn-upgrade-plan" style="margin-top:10px;">📈 현재 장착에서 업그레이드 경로</button>' : ''}
+                <button class="btn btn--sm btn--secondary" id="btn-loadout-compare" style="margin-top:10px;">⚖️ 빌드 비교에 추가</button>
+            </div>
+            <div class="upgrade-plan" id="upgrade-plan" style="display:none;"></div>
+            ${renderCombinationRanking(ranking, selected ? selected.rank : 1)}
+        `;
+
+        const categoryOrder = ['01', '02', '04', '03'];
+        categoryOrder.forEach(categoryCode => {
+            const rec = recommendations[categoryCode];
+            if (!rec || !rec.runes || rec.runes.length === 0) return;
+
+            html += `
+                <div class="recommend-category" style="margin-bottom:20px;">
+                    <h3 class="recommend-category__title" style="color:#FFD700;margin-bottom:10px;font-size:16px;">${rec.name}</h3>
+                    <div class="recommend-runes">
+            `;
+
+            rec.runes.forEach((rune, index) => {
+                if (!rune) return;
+                
+                const slotId = rec.slots[index];
+                const gradeInfo = getGradeInfo(rune) || { name: '??', color: 'gray' };
+                
+                // 효과 요약 생성
+                let effectSummary = '';
+                if (rune.effects && rune.effects.length > 0) {
+                    effectSummary = rune.effects.slice(0, 2).map(e => {
+                        const name = e.name || '';
+                        const value = e.value || 0;
+                        return `${name} +${value}%`;
+                    }).join(', ');
+                    if (rune.effects.length > 2) {
+                        effectSummary += ' 외 ' + (rune.effects.length - 2) + '개';
+                    }
                 }
 
-                // 예상 DPS 증가율 표시
-                attackHtml += `
-                    <div class="effect-divider"></div>
-                    <div class="effect-section-header">🎯 예상 DPS 증가율</div>
-                    <div class="effect-item effect-item--dps">
-                        <span class="effect-item__name">총 DPS 배율</span>
-                        <span class="effect-item__value effect-item__value--dps">+${dpsAnalysis.totalDPSIncrease.toFixed(1)}%</span>
+                html += `
+                    <div class="recommend-rune-item" data-rune-id="${rune.id}" data-slot="${slotId}" style="cursor:pointer;">
+                        <img class="recommend-rune-item__image" 
+                             src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                             alt="${escapeHtml(rune.name)}"
+                             onerror="handleRuneImageError(this)">
+                        <div class="recommend-rune-item__info">
+                            <div class="recommend-rune-item__name">
+                                ${escapeHtml(rune.name)}
+                                <span class="recommend-rune-item__grade" style="color:${rune.gradeColor || '#FFD700'};font-size:12px;margin-left:6px;">[${gradeInfo.name}]</span>
+                            </div>
+                            <div class="recommend-rune-item__effect">${effectSummary || '효과 정보 없음'}</div>
+                        </div>
+                        <div class="recommend-rune-item__score">
+                            <span class="recommend-rune-item__score-label">효율 점수</span>
+                            <span class="recommend-rune-item__score-value">${(rune.baseScore || rune.maxScore || 0).toFixed(0)}</span>
+                        </div>
+                        <button class="btn btn--sm btn--primary recommend-equip-btn" style="margin-left:10px;">장착</button>
                     </div>
                 `;
+            });
 
-                // DPS 계산 상세 (접기)
-                var bd = dpsAnalysis.breakdown || {};
-                // 속도 페널티가 있으면 표시 @updated 2025-12-10
-                var speedMultiplierText = bd.speedMultiplier && bd.speedMultiplier < 1 ?
-                    ` × 속도 ×${bd.speedMultiplier}` :
-                    '';
-                attackHtml += `
-                    <div class="effect-item effect-item--detail">
-                        <span class="effect-item__name" style="font-size: var(--font-size-xs); color: var(--color-text-muted);">
-                            공격력 ×${bd.attackMultiplier || 1} × 피해량 ×${bd.damageMultiplier || 1} × 크리 ×${bd.critMultiplier || 1} × 연타 ×${bd.hitMultiplier || 1}${speedMultiplierText}
-                        </span>
-                    </div>
-                `;
+            html += '</div></div>';
+        });
 
-                // 상태 조건 효과 표시 @added 2025-12-10
-                const conditionEntries = Object.entries(totalEffects.conditionEffects || {});
-                if (conditionEntries.length > 0) {
-                    attackHtml += `
-                        <div class="effect-divider"></div>
-                        <div class="effect-section-header" style="color: #93c5fd;">📊 상태 조건 효과 (업타임 적용)</div>
-                    `;
-                    attackHtml += conditionEntries.map(function([key, data]) {
-                        var uptimeText = data.conditionInfo ?
-                            `(업타임 ${data.conditionInfo.uptimePercent}%)` : '';
-                        return `
-                            <div class="effect-item effect-item--condition">
-                            <span class="effect-item__name">${escapeHtml(key)}</span>
-                                <span class="effect-item__value" style="color: #93c5fd;">
-                                    +${data.total.toFixed(1)}% ${uptimeText}
-                            </span>
-                        </div>
-                    `;
-                    }).join('');
+        resultEl.innerHTML = html;
+
+        // 장착 버튼 이벤트 연결
+        $$('.recommend-equip-btn').forEach(btn => {
+            btn.addEventListener('click', function(e) {
+                e.stopPropagation(); // 상세 모달 열림 방지
+                const item = this.closest('.recommend-rune-item');
+                const runeId = parseInt(item.dataset.runeId);
+                const slotId = item.dataset.slot;
+                
+                const rune = state.allRunes.find(r => r.id === runeId);
+                if (rune && slotId) {
+                    equipRuneToSlot(rune, slotId);
+                    showToast(rune.name + ' 장착 완료!', 'success');
                 }
+            });
+        });
 
-                // 결함 효과 표시 @added 2025-12-10
-                const demeritEntries = Object.entries(totalEffects.demerits || {});
-                if (demeritEntries.length > 0) {
-                    attackHtml += `
-                        <div class="effect-divider"></div>
-                        <div class="effect-section-header" style="color: #fca5a5;">⚠️ 결함 효과 (감점)</div>
-                    `;
-                    attackHtml += demeritEntries.map(function([key, data]) {
-                        // "(결함)" 텍스트 제거하고 표시
-                        const displayName = key.replace(' (결함)', '');
-                        return `
-                            <div class="effect-item effect-item--demerit">
-                                <span class="effect-item__name">${escapeHtml(displayName)}</span>
-                                <span class="effect-item__value">
-                                    -${data.total.toFixed(1)}%
-                                </span>
-                            </div>
-                        `;
-                    }).join('');
+        // 룬 클릭 시 상세 모달 (장착 버튼 제외)
+        $$('.recommend-rune-item').forEach(item => {
+            item.addEventListener('click', function(e) {
+                if (e.target.closest('.recommend-equip-btn')) return;
+                const runeId = parseInt(this.dataset.runeId);
+                if (runeId) openRuneDetailModal(runeId);
+            });
+        });
+
+        // 상위 조합 선택 시 해당 조합으로 다시 표시 @added 2025-12-15
+        $$('.recommend-ranking__item').forEach(item => {
+            item.addEventListener('click', function() {
+                displayOptimizationResult(result, parseInt(this.dataset.rank));
+            });
+        });
+
+        // 표시 중인 조합을 시뮬레이터 빌드 비교에 추가 @added 2025-12-15
+        const btnCompare = $('#btn-loadout-compare');
+        if (btnCompare) {
+            btnCompare.addEventListener('click', function() {
+                const label = `최적화 ${selected ? selected.rank : 1}위 (${bestScore.toFixed(1)}점)`;
+                if (addCompareLoadout(label, combinationToSlotRunes(bestCombination))) {
+                    showToast('시뮬레이터 탭의 빌드 비교에 추가되었습니다.', 'success');
                 }
-            } else {
-                attackHtml = '<p class="effect-empty">장착된 룬이 없습니다</p>';
-            }
+            });
+        }
 
-            attackList.innerHTML = attackHtml;
+        // 표시 중인 조합을 목표로 업그레이드 경로 계산 @added 2025-12-15
+        const btnPlan = $('#btn-upgrade-plan');
+        if (btnPlan) {
+            btnPlan.addEventListener('click', function() {
+                runUpgradePlan(bestCombination, result.options);
+            });
         }
+    }
 
-        // 기타 효과 (방어 섹션에 표시)
-        if (defenseList) {
-            const otherEntries = Object.entries(totalEffects.other || {});
-            if (otherEntries.length > 0) {
-                defenseList.innerHTML = `
-                    <div class="effect-section-header">📋 기타 효과 (점수 미반영)</div>
-                ` + otherEntries.map(function([key, data]) {
-                    const isNegative = key.includes('증가') && (key.includes('받는') || key.includes('재사용'));
-                    const value = data.total;
-                    return `
-                        <div class="effect-item effect-item--other">
-                            <span class="effect-item__name">${escapeHtml(key)}</span>
-                            <span class="effect-item__value ${isNegative ? 'effect-item__value--negative' : 'effect-item__value--muted'}">
-                                ${value >= 0 ? '+' : ''}${value.toFixed(1)}%
-                            </span>
-                        </div>
-                    `;
-                }).join('');
+    /**
+     * 업그레이드 경로 계산 (Worker planUpgrade)
+     * @description 현재 장착 룬/슬롯별 강화 단계에서 목표 조합까지 교체·강화 순서 계산
+     * @param {Object} target - 목표 조합 (룬 객체)
+     * @param {Object} options - 추천 탐색 옵션 { role, classCode, stats }
+     * @added 2025-12-15
+     */
+    function runUpgradePlan(target, options) {
+        const planEl = $('#upgrade-plan');
+        if (!planEl) return;
+        options = Object.assign({}, options, { weightProfile: getWeightProfileOption() }); // @added 2025-12-15
+
+        planEl.style.display = 'block';
+        planEl.innerHTML = '<p class="upgrade-plan__hint">🔄 업그레이드 경로 계산 중...</p>';
+
+        try {
+            const worker = new Worker('formulas/combination-worker.js');
+            worker.onmessage = function(e) {
+                const message = e.data;
+                if (message.type === 'planComplete') {
+                    planEl.innerHTML = renderUpgradePlan(message);
+                    worker.terminate();
+                } else if (message.type === 'error') {
+                    console.error('업그레이드 경로 오류:', message.message, message.stack);
+                    planEl.innerHTML = '<p class="upgrade-plan__hint">❌ 업그레이드 경로를 계산하지 못했습니다.</p>';
+                    worker.terminate();
+                }
+            };
+            worker.onerror = function(error) {
+                console.error('업그레이드 경로 Worker 오류:', error);
+            };
+
+            worker.postMessage({
+                type: 'planUpgrade',
+                data: {
+                    equipped: state.equippedRunes,
+                    enhanceLevels: state.enhanceLevels,
+                    target: target,
+                    ownedIds: state.selectedCharacterId
+                        ? getOwnedRunes(state.selectedCharacterId).map(r => r.id)
+                        : null,
+                    options: options
+                }
+            });
+        } catch (error) {
+            console.error('Worker 생성 실패:', error);
+            showToast('Web Worker를 생성할 수 없습니다. 브라우저를 확인해주세요.', 'error');
+        }
+    }
+
+    /**
+     * 업그레이드 경로 HTML
+     * @param {Object} plan - planComplete 메시지 { startScore, targetScore, finalScore, steps }
+     * @returns {string} HTML
+     * @added 2025-12-15
+     */
+    function renderUpgradePlan(plan) {
+        const header = `
+            <h3 class="recommend-category__title">📈 업그레이드 경로</h3>
+            <p class="upgrade-plan__summary">
+                현재 ${plan.startScore.toFixed(1)}점 → 목표 조합 ${plan.targetScore.toFixed(1)}점
+                (강화 포함 ${plan.finalScore.toFixed(1)}점)
+            </p>
+        `;
+        if (plan.steps.length === 0) {
+            return header + '<p class="upgrade-plan__hint">이미 목표 조합을 장착하고 있습니다.</p>';
+        }
+
+        const rows = plan.steps.map(function(step) {
+            const slotName = SLOT_CONFIG[step.slotId] ? SLOT_CONFIG[step.slotId].name : step.slotId;
+            let detail;
+            if (step.action === 'swap') {
+                const from = step.replaced ? escapeHtml(step.replaced.name) + (step.fromLevel > 0 ? ` +${step.fromLevel}` : '') : '빈 슬롯';
+                const badge = step.owned === false
+                    ? '<span class="upgrade-plan__badge upgrade-plan__badge--farm">파밍 필요</span>'
+                    : (step.owned ? '<span class="upgrade-plan__badge">보유</span>' : '');
+                detail = `🔁 ${slotName}: ${from} → <strong>${escapeHtml(step.rune.name)}</strong> ${badge}`;
             } else {
-                defenseList.innerHTML = '<p class="effect-empty">기타 효과 없음</p>';
+                detail = `⬆️ ${slotName}: <strong>${escapeHtml(step.rune.name)}</strong> +${step.fromLevel} → +${step.toLevel} 강화`;
             }
-        }
+            return `
+                <li class="upgrade-plan__step">
+                    <span class="upgrade-plan__detail">${step.step}. ${detail}</span>
+                    <span class="upgrade-plan__gain${step.gain < 0 ? ' upgrade-plan__gain--negative' : ''}">${step.gain >= 0 ? '+' : ''}${step.gain.toFixed(1)}점</span>
+                    <span class="upgrade-plan__score">${step.score.toFixed(1)}점</span>
+                </li>
+            `;
+        }).join('');
 
-        // 시너지 정보 (기타 섹션에 표시)
-        if (miscList) {
-            let miscHtml = '';
+        return header + `<ol class="upgrade-plan__steps">${rows}</ol>`;
+    }
 
-            // 시너지 룬 정보 추가 (새로운 기능)
-            if (synergyResult.hasSynergy && synergyResult.synergies.length > 0) {
-                miscHtml += `<div class="effect-section-header">✨ 시너지 룬 효과</div>`;
-                synergyResult.synergies.forEach(function(syn) {
-                    miscHtml += `
-                        <div class="effect-item effect-item--synergy">
-                            <span class="effect-item__name">${escapeHtml(syn.runeName)}</span>
-                            <span class="effect-item__value" style="color: var(--color-accent-purple);">
-                                ${syn.description}
-                            </span>
-                        </div>
-                    `;
-                });
-            }
+    // ========================================
+    // 파레토 프런트 (DPS/생존/유틸 트레이드오프)
+    // @added 2025-12-15
+    // ========================================
 
-            // 지속 피해 시너지 정보 추가
-            if (dotTypes.length > 0) {
-                miscHtml += `
-                    <div class="effect-divider"></div>
-                    <div class="effect-section-header">🔗 적 상태 시너지</div>
-                    <div class="effect-item">
-                        <span class="effect-item__name">활성화된 시너지</span>
-                        <span class="effect-item__value" style="color: var(--color-accent-warning);">
-                            ${dotTypes.length}종
-                        </span>
-                    </div>
-                    <div class="effect-item">
-                        <span class="effect-item__name" style="font-size: var(--font-size-xs); color: var(--color-text-muted);">
-                            ${dotTypes.join(', ')}
-                        </span>
-                    </div>
-                `;
-            }
+    /**
+     * 파레토 프런트 축 이름
+     * @constant {Object}
+     */
+    const PARETO_AXIS_LABELS = {
+        score: 'DPS (효율 점수)',
+        ehp: '생존 (유효 체력 +%)',
+        utility: '유틸 (스킬 회전율 +%)'
+    };
 
-            if (miscHtml) {
-                miscList.innerHTML = miscHtml;
-            } else {
-                miscList.innerHTML = '<p class="effect-empty">장착된 룬이 없습니다</p>';
-            }
-        }
+    /**
+     * 증가율 표시 (음수는 결함으로 감소한 경우)
+     * @param {number} value - 증가율 (%)
+     * @returns {string} '+12.3%' / '-0.8%'
+     */
+    function formatParetoPercent(value) {
+        return (value >= 0 ? '+' : '') + value.toFixed(1) + '%';
     }
 
-    // ============================================
-    // 11. 추천 시스템 (Recommendation)
-    // ============================================
-
     /**
-     * 룬 효율 점수 계산 (수동 파싱된 effects 배열 사용 + 스텟 연계)
-     * @param {Object} rune - 룬 데이터 (수동 파싱된 JSON)
-     * @param {Object} stats - 캐릭터 스텟 (입력값)
-     * @param {string} role - 역할군 (dealer/tank/healer/balanced)
-     * @param {number} awakeningCooldownReduction - 각성 쿨타임 감소량 (엠블럼 시너지용)
-     * @returns {number} 효율 점수
-     * @updated 2025-12-11 - 수동 파싱된 effects 배열 직접 사용
-     * @updated 2025-12-11 - stat-formulas.js 모듈 연동 (한계효용, 밸런스 보정)
+     * 파레토 프런트 탐색 (병렬 Worker startPareto)
+     * @description 무기를 Worker 수로 분할해 Worker별 프런트를 구한 뒤 병합
+     * @param {Object} pools - { weapons, armors, emblems, accessories } (사전 선별 완료)
+     * @param {Object} options - 추천 탐색 옵션 { role, classCode, stats }
+     * @param {Object|null} constraints - 조합 제약 조건
      */
-    function calculateRuneScore(rune, stats, role, awakeningCooldownReduction) {
-        awakeningCooldownReduction = awakeningCooldownReduction || 0;
-        stats = stats || {};
+    function runParetoSearch(pools, options, constraints) {
+        const numCores = navigator.hardwareConcurrency || 4;
+        const numWorkers = Math.min(Math.max(2, numCores), 8, pools.weapons.length);
+        const weaponsPerWorker = Math.ceil(pools.weapons.length / numWorkers);
 
-        // ========================================
-        // 헬퍼 함수: 효과 가중치 조회 (부분 문자열 매칭)
-        // @added 2025-12-11
-        // ========================================
-        function getEffectWeightWithFallback(effectName) {
-            if (!Modules.EffectWeights) return 1.0;
-            
-            // 정확한 매칭 먼저 시도
-            var weight = Modules.EffectWeights.getEffectWeight(effectName);
-            if (weight !== 0) return weight;
-            
-            // 부분 문자열 매칭
-            var nameMap = Modules.EffectWeights.EFFECT_NAME_MAP;
-            var weights = Modules.EffectWeights.EFFECT_WEIGHTS;
-            
-            if (nameMap && weights) {
-                var matchedKey = Object.keys(nameMap).find(function(key) {
-                    return effectName.indexOf(key) !== -1;
-                });
-                
-                if (matchedKey) {
-                    var weightKey = nameMap[matchedKey];
-                    return weights[weightKey] || 1.0;
-                }
-            }
-            
-            return 1.0; // 기본값
-        }
+        optimizationWorkers = [];
+        workerResults = [];
+        workerProgress = new Array(numWorkers).fill(null);
+        totalWorkersCompleted = 0;
+        parallelStartTime = Date.now();
 
-        // ========================================
-        // 0. 스텟 기반 동적 보정 계수 계산 (StatFormulas 모듈 사용)
-        // ========================================
-        var statAdjustments = {
-            critMarginalUtility: 1.0,       // 치명타 한계효용
-            attackBalanceMultiplier: 1.0,   // 공격력 밸런스 보정
-            damageBalanceMultiplier: 1.0,   // 피해량 밸런스 보정
-            classPriorityEffects: []        // 클래스별 우선 효과 목록
-        };
+        console.log(`📊 파레토 탐색 Worker 시작: ${numWorkers}개`);
 
-        // 클래스별 우선 효과 조회
-        // @updated 2025-12-11 - 클래스 코드 직접 사용 (역조회 제거)
-        if (stats && stats.classCode && stats.classCode !== '00') {
-            statAdjustments.classPriorityEffects = getClassPriorityEffects(stats.classCode);
-            statAdjustments.classSubStatType = getClassSubStatType(stats.classCode);
-        }
-        
-        // 디버그: 첫 번째 룬에만 상세 로그 출력
-        var isFirstRune = !window._runeScoreDebugLogged;
-        if (isFirstRune) {
-            window._runeScoreDebugLogged = true;
-            console.log('🔍 calculateRuneScore 디버그:', {
-                룬이름: rune.name,
-                stats객체: stats ? '있음' : '없음',
-                classCode: stats ? stats.classCode : 'N/A',
-                classPriorityEffects: statAdjustments.classPriorityEffects,
-                role: role
+        function finish() {
+            const front = window.RoleModels.mergeParetoFronts(workerResults.map(function(result) {
+                return result && result.paretoFront;
+            }));
+            const constraintReport = constraints && window.SharedFormulas
+                ? window.SharedFormulas.summarizeConstraintReports(
+                    workerResults.map(function(result) { return result && result.constraintReport; }),
+                    front.length > 0 ? front[0].scores.score : null
+                )
+                : undefined;
+
+            optimizationWorkers.forEach(function(w) { w.terminate(); });
+            optimizationWorkers = [];
+
+            handleParetoComplete({
+                paretoFront: front,
+                processed: workerResults.reduce((sum, r) => sum + ((r && r.processed) || 0), 0),
+                constraintReport: constraintReport,
+                options: options
             });
         }
 
-        if (Modules.StatFormulas) {
-            // 치명타 한계효용 계산
-            // 현재 치명타 확률이 캡(50%)에 가까우면 추가 치명타 효과의 가치 감소
-            if (stats.critical && stats.critical > 1) {
-                var currentCritRate = Modules.StatFormulas.calculateCritRate(
-                    stats.critical,
-                    stats.critRateBonus || 0
-                );
-                statAdjustments.critMarginalUtility = Modules.StatFormulas.calculateCritMarginalUtility(currentCritRate);
+        for (let i = 0; i < numWorkers; i++) {
+            const workerWeapons = pools.weapons.slice(i * weaponsPerWorker, (i + 1) * weaponsPerWorker);
+            if (workerWeapons.length === 0) {
+                totalWorkersCompleted++;
+                continue;
             }
 
-            // 공격력/피해량 밸런스 보정
-            // 곱연산 특성상 둘의 비율이 비슷할수록 효율적
-            if ((stats.attackBonus && stats.attackBonus > 0) || (stats.damageBonus && stats.damageBonus > 0)) {
-                var balance = Modules.StatFormulas.calculateBonusBalance(
-                    stats.attackBonus || 0,
-                    stats.damageBonus || 0
-                );
-                statAdjustments.attackBalanceMultiplier = balance.attackMultiplier;
-                statAdjustments.damageBalanceMultiplier = balance.damageMultiplier;
-            }
-        }
+            const worker = new Worker('formulas/combination-worker.js');
+            worker.onmessage = function(e) {
+                const { type, workerId, ...data } = e.data;
+
+                if (type === 'progress') {
+                    workerProgress[workerId] = data;
+
+                    let processed = 0;
+                    let skipped = 0;
+                    let total = 0;
+                    workerProgress.forEach(function(p) {
+                        if (!p) return;
+                        processed += p.processed || 0;
+                        skipped += p.skipped || 0;
+                        total += p.total || 0;
+                    });
 
-        // 역할별 효과 가중치 (GameConstants 모듈 사용)
-        // @updated 2025-12-11 - 매직넘버를 상수로 대체
-        var roleMultipliers = (Modules.GameConstants && Modules.GameConstants.ROLE_MULTIPLIERS) 
-            ? Modules.GameConstants.ROLE_MULTIPLIERS 
-            : {
-                dealer: { '공격력 증가': 1.5, '피해량 증가': 1.5 },
-                tank: { '받는 피해 감소': 2.0 },
-                healer: { '회복력 증가': 2.0 },
-                balanced: { '공격력 증가': 1.0, '피해량 증가': 1.0 }
+                    const elapsed = (Date.now() - parallelStartTime) / 1000;
+                    const progress = total > 0 ? (processed + skipped) / total : 0;
+                    updateProgressUI({
+                        phase: 'pareto',
+                        processed: processed,
+                        skipped: skipped,
+                        total: total,
+                        progress: Math.round(progress * 100),
+                        bestScore: 0,
+                        estimatedRemaining: progress > 0 ? Math.round((elapsed / progress) * (1 - progress)) : 0,
+                        bestCombination: null
+                    });
+                } else if (type === 'complete') {
+                    workerResults[workerId] = data;
+                    totalWorkersCompleted++;
+                    console.log(`✅ 파레토 Worker ${workerId + 1}/${numWorkers} 완료 - 프런트 ${(data.paretoFront || []).length}개`);
+                    if (totalWorkersCompleted >= numWorkers) finish();
+                } else if (type === 'error') {
+                    console.error('Worker 내부 오류:', data.message, data.stack);
+                }
+            };
+            worker.onerror = function(error) {
+                console.error('파레토 Worker 오류:', error);
             };
 
-        var defaultRoleWeight = (Modules.GameConstants && Modules.GameConstants.DEFAULT_ROLE_WEIGHT) 
-            ? Modules.GameConstants.DEFAULT_ROLE_WEIGHT 
-            : 1.0;
+            optimizationWorkers.push(worker);
+            worker.postMessage({
+                type: 'startPareto',
+                data: {
+                    weapons: workerWeapons,
+                    armors: pools.armors,
+                    emblems: pools.emblems,
+                    accessories: pools.accessories,
+                    options: options,
+                    workerId: i,
+                    constraints: constraints
+                }
+            });
+        }
+    }
 
-        const multipliers = roleMultipliers[role] || roleMultipliers.balanced;
+    /**
+     * 파레토 탐색 완료 처리
+     * @param {Object} result - { paretoFront, processed, constraintReport, options }
+     */
+    function handleParetoComplete(result) {
+        const elapsed = parallelStartTime ? ((Date.now() - parallelStartTime) / 1000).toFixed(1) : 0;
 
-        // ========================================
-        // 1. 기본 효과 점수 계산 (수동 파싱된 effects 배열 사용)
-        // ========================================
-        let score = 0;
-        let effectSummary = {};
+        const progressEl = $('#optimization-progress');
+        if (progressEl) progressEl.style.display = 'none';
 
-        if (rune.effects && Array.isArray(rune.effects)) {
-            rune.effects.forEach(function(effect) {
-                // DPS 관련 효과만 계산
-                if (effect.dpsRelevant === false) {
-                    return; // 스킵
-                }
+        const btnRecommend = $('#btn-recommend');
+        const btnPareto = $('#btn-pareto-recommend');
+        const btnSensitivity = $('#btn-sensitivity-recommend');
+        const btnStop = $('#btn-stop-recommend');
+        if (btnRecommend) btnRecommend.disabled = false;
+        if (btnPareto) {
+            btnPareto.disabled = false;
+            btnPareto.textContent = '📊 DPS/생존/유틸 트레이드오프';
+        }
+        if (btnSensitivity) btnSensitivity.disabled = false;
+        if (btnStop) btnStop.style.display = 'none';
 
-                var effectName = effect.name || '';
-                var value = effect.value || 0;
-                var effectType = effect.type || 'PERMANENT';
+        if (result.paretoFront.length === 0) {
+            const report = result.constraintReport;
+            const causes = report ? report.constraints.filter(c => c.binding).map(c => c.label) : [];
+            showToast(causes.length > 0
+                ? '제약 조건을 만족하는 조합이 없습니다: ' + causes.join(', ')
+                : '조합을 찾을 수 없습니다.', 'error');
+            return;
+        }
 
-                // 유형별 가중치 (GameConstants 모듈 사용)
-                // @updated 2025-12-11 - 매직넘버를 상수로 대체
-                var typeWeights = (Modules.GameConstants && Modules.GameConstants.EFFECT_TYPE_WEIGHTS)
-                    ? Modules.GameConstants.EFFECT_TYPE_WEIGHTS
-                    : { PERMANENT: 1.0, STACKING: 0.95, TRIGGER: 0.8, STATE: 0.7, DURATION: 0.5, DECAY: 0.3, DEFAULT: 0.7 };
+        displayParetoFront(result, { yAxis: 'ehp', selectedIndex: 0 });
+        showToast(`트레이드오프 탐색 완료! 조합 ${result.paretoFront.length}개 (${elapsed}초 소요)`, 'success');
+    }
 
-                var typeWeight = typeWeights.PERMANENT;
-                switch (effectType) {
-                    case 'PERMANENT': typeWeight = typeWeights.PERMANENT; break;
-                    case 'STACKING':
-                        typeWeight = typeWeights.STACKING;
-                        // 중첩 효과는 최대값 계산
-                        if (effect.maxStacks && effect.stackValue) {
-                            value = effect.stackValue * effect.maxStacks;
-                        }
-                        break;
-                    case 'TRIGGER': typeWeight = typeWeights.TRIGGER; break;
-                    case 'DURATION':
-                        // 업타임 계산 (StatFormulas 모듈 사용)
-                        if (effect.duration && effect.cooldown) {
-                            if (Modules.StatFormulas && Modules.StatFormulas.calculateUptime) {
-                                typeWeight = Modules.StatFormulas.calculateUptime(effect.duration, effect.cooldown);
-                            } else {
-                                typeWeight = effect.duration / (effect.duration + effect.cooldown);
-                            }
-                        } else {
-                            typeWeight = typeWeights.DURATION;
-                        }
-                        break;
-                    case 'DECAY':
-                        // 시간 감소 효과 평균값 계산 (StatFormulas 모듈 사용)
-                        if (Modules.StatFormulas && Modules.StatFormulas.calculateDecayAverage &&
-                            effect.initialValue && effect.decayRate && effect.decayInterval) {
-                            var avgValue = Modules.StatFormulas.calculateDecayAverage(
-                                effect.initialValue,
-                                effect.decayRate,
-                                effect.decayInterval
-                            );
-                            typeWeight = avgValue / effect.initialValue;
-                        } else {
-                            typeWeight = typeWeights.DECAY;
-                        }
-                        break;
-                    case 'STATE': typeWeight = typeWeights.STATE; break; // HP/자원 조건
-                    default: typeWeight = typeWeights.DEFAULT;
-                }
+    /**
+     * 파레토 프런트 산점도 SVG
+     * @description x축 DPS, y축 생존/유틸 중 선택, 나머지 축은 색상 (파랑 → 주황)
+     * @param {Array<Object>} front - [{ scores, combination }]
+     * @param {string} yAxis - 'ehp' | 'utility'
+     * @param {number} selectedIndex - 선택된 점 인덱스
+     * @returns {string} SVG HTML
+     */
+    function renderParetoChart(front, yAxis, selectedIndex) {
+        const WIDTH = 560;
+        const HEIGHT = 320;
+        const PAD = { left: 52, right: 16, top: 16, bottom: 44 };
+        const colorAxis = yAxis === 'ehp' ? 'utility' : 'ehp';
 
-                // 효과 가중치 (헬퍼 함수 사용)
-                // @updated 2025-12-11 - 부분 문자열 매칭으로 가중치 조회
-                var effectWeight = getEffectWeightWithFallback(effectName);
+        const range = function(key) {
+            const values = front.map(p => p.scores[key]);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return max > min ? { min: min, max: max } : { min: min - 1, max: max + 1 };
+        };
+        const xRange = range('score');
+        const yRange = range(yAxis);
+        const cRange = range(colorAxis);
 
-                // 역할별 가중치
-                var roleWeight = multipliers[effectName] || defaultRoleWeight;
+        const toX = v => PAD.left + ((v - xRange.min) / (xRange.max - xRange.min)) * (WIDTH - PAD.left - PAD.right);
+        const toY = v => HEIGHT - PAD.bottom - ((v - yRange.min) / (yRange.max - yRange.min)) * (HEIGHT - PAD.top - PAD.bottom);
+        const toColor = v => `hsl(${Math.round(210 - 180 * (v - cRange.min) / (cRange.max - cRange.min))}, 80%, 60%)`;
 
-                // ========================================
-                // 스텟 기반 동적 보정 적용
-                // ========================================
-                var statMultiplier = 1.0;
+        const ticks = [0, 0.5, 1].map(function(t) {
+            const xValue = xRange.min + (xRange.max - xRange.min) * t;
+            const yValue = yRange.min + (yRange.max - yRange.min) * t;
+            return `
+                <line class="pareto-chart__grid" x1="${toX(xValue)}" y1="${PAD.top}" x2="${toX(xValue)}" y2="${HEIGHT - PAD.bottom}"></line>
+                <line class="pareto-chart__grid" x1="${PAD.left}" y1="${toY(yValue)}" x2="${WIDTH - PAD.right}" y2="${toY(yValue)}"></line>
+                <text class="pareto-chart__tick" x="${toX(xValue)}" y="${HEIGHT - PAD.bottom + 16}" text-anchor="middle">${xValue.toFixed(1)}</text>
+                <text class="pareto-chart__tick" x="${PAD.left - 6}" y="${toY(yValue) + 4}" text-anchor="end">${yValue.toFixed(1)}</text>
+            `;
+        }).join('');
 
-                // 치명타 확률: 한계효용 적용
-                if (effectName.indexOf('치명타 확률') !== -1 || effectName === '치명타') {
-                    statMultiplier *= statAdjustments.critMarginalUtility;
-                }
+        // 선택된 점은 마지막에 그려 다른 점에 가리지 않게 함
+        const order = front.map((_, idx) => idx).filter(idx => idx !== selectedIndex).concat([selectedIndex]);
+        const points = order.map(function(idx) {
+            const s = front[idx].scores;
+            const title = `DPS ${s.score.toFixed(1)}점 · 생존 ${formatParetoPercent(s.ehp)} · 유틸 ${formatParetoPercent(s.utility)}`;
+            return `
+                <circle class="pareto-chart__point${idx === selectedIndex ? ' pareto-chart__point--selected' : ''}"
+                        cx="${toX(s.score)}" cy="${toY(s[yAxis])}" r="${idx === selectedIndex ? 8 : 6}"
+                        fill="${toColor(s[colorAxis])}" data-index="${idx}" tabindex="0">
+                    <title>${title}</title>
+                </circle>
+            `;
+        }).join('');
 
-                // 공격력: 밸런스 보정 적용
-                if (effectName.indexOf('공격력') !== -1) {
-                    statMultiplier *= statAdjustments.attackBalanceMultiplier;
-                }
+        return `
+            <svg class="pareto-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="DPS / 생존 / 유틸 트레이드오프 산점도">
+                ${ticks}
+                <text class="pareto-chart__label" x="${(PAD.left + WIDTH - PAD.right) / 2}" y="${HEIGHT - 8}" text-anchor="middle">${PARETO_AXIS_LABELS.score} →</text>
+                <text class="pareto-chart__label" x="14" y="${(PAD.top + HEIGHT - PAD.bottom) / 2}" text-anchor="middle"
+                      transform="rotate(-90 14 ${(PAD.top + HEIGHT - PAD.bottom) / 2})">${PARETO_AXIS_LABELS[yAxis]} →</text>
+                ${points}
+            </svg>
+            <div class="pareto-legend">
+                <span>색: ${PARETO_AXIS_LABELS[colorAxis]}</span>
+                <span class="pareto-legend__bar"></span>
+                <span>${cRange.min.toFixed(1)} → ${cRange.max.toFixed(1)}</span>
+            </div>
+        `;
+    }
 
-                // 피해량: 밸런스 보정 적용
-                if (effectName.indexOf('피해량') !== -1 || effectName.indexOf('피해') !== -1) {
-                    statMultiplier *= statAdjustments.damageBalanceMultiplier;
-                }
+    /**
+     * 파레토 프런트 결과 표시
+     * @param {Object} result - handleParetoComplete 결과
+     * @param {Object} view - { yAxis: 'ehp' | 'utility', selectedIndex }
+     */
+    function displayParetoFront(result, view) {
+        const resultEl = $('#recommend-result');
+        if (!resultEl) return;
 
-                // ========================================
-                // 클래스별 우선 효과 보너스 적용
-                // @updated 2025-12-11 - Sub 스텟 관련 효과에 +25% 보너스
-                // ========================================
-                var classBonus = 1.0;
-                var CLASS_PRIORITY_BONUS = (Modules.GameConstants && Modules.GameConstants.CLASS_PRIORITY_BONUS)
-                    ? Modules.GameConstants.CLASS_PRIORITY_BONUS
-                    : 0.25; // Sub 스텟 보너스 25%
+        const front = result.paretoFront;
+        const selected = front[view.selectedIndex];
+        const combination = hydrateCombination(selected.combination);
+        const s = selected.scores;
+        const names = runes => runes.map(r => escapeHtml(r.name)).join(', ');
 
-                if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
-                    var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
-                        return effectName.indexOf(priority) !== -1;
-                    });
-                    if (isPriorityEffect) {
-                        classBonus = 1.0 + CLASS_PRIORITY_BONUS;
-                        // 디버그: 클래스 보너스 적용 확인
-                        if (!rune._classBonusLogged) {
-                            console.log('✅ 클래스 보너스 적용:', rune.name, effectName, '+' + (CLASS_PRIORITY_BONUS * 100) + '%');
-                        }
-                    }
+        const axisButtons = ['ehp', 'utility'].map(axis => `
+            <button class="btn btn--sm ${axis === view.yAxis ? 'btn--primary' : 'btn--ghost'} pareto-axis-btn" data-axis="${axis}">
+                ${PARETO_AXIS_LABELS[axis]}
+            </button>
+        `).join('');
+
+        resultEl.innerHTML = `
+            <div class="recommend-header" style="text-align:center;margin-bottom:20px;">
+                <h2 class="section-title" style="color:#FFD700;">📊 DPS / 생존 / 유틸 트레이드오프</h2>
+                <div class="optimization-stats" style="font-size:12px;color:#888;margin-top:8px;">
+                    서로 지배되지 않는 조합 ${front.length}개 (세 축 모두 이 조합 이상인 다른 조합이 없음) |
+                    ${(result.processed || 0).toLocaleString()}개 조합 분석
+                </div>
+                ${renderConstraintReport(result.constraintReport)}
+            </div>
+            <div class="pareto-axis">
+                <span>세로축:</span>
+                ${axisButtons}
+            </div>
+            ${renderParetoChart(front, view.yAxis, view.selectedIndex)}
+            <div class="pareto-detail">
+                <div class="pareto-detail__scores">
+                    DPS <strong>${s.score.toFixed(1)}점</strong> ·
+                    생존 <strong>${formatParetoPercent(s.ehp)}</strong> ·
+                    유틸 <strong>${formatParetoPercent(s.utility)}</strong>
+                </div>
+                <ul class="pareto-detail__runes">
+                    <li>⚔️ 무기: ${names([combination.weapon])}</li>
+                    <li>🛡️ 방어구: ${names(combination.armors)}</li>
+                    <li>🔥 엠블럼: ${names([combination.emblem])}</li>
+                    <li>💍 장신구: ${names(combination.accessories)}</li>
+                </ul>
+                <button class="btn btn--sm btn--primary" id="btn-pareto-apply">✅ 시뮬레이터에 적용하기</button>
+                <button class="btn btn--sm btn--secondary" id="btn-pareto-compare">⚖️ 빌드 비교에 추가</button>
+            </div>
+        `;
+
+        $$('.pareto-axis-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                displayParetoFront(result, { yAxis: this.dataset.axis, selectedIndex: view.selectedIndex });
+            });
+        });
+
+        $$('.pareto-chart__point').forEach(point => {
+            const select = function() {
+                displayParetoFront(result, { yAxis: view.yAxis, selectedIndex: parseInt(point.dataset.index) });
+            };
+            point.addEventListener('click', select);
+            point.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    select();
                 }
+            });
+        });
 
-                // 최종 효과 점수
-                var effectScore = value * effectWeight * typeWeight * roleWeight * statMultiplier * classBonus;
-                score += effectScore;
+        const label = `트레이드오프 (DPS ${s.score.toFixed(1)} / 생존 ${formatParetoPercent(s.ehp)} / 유틸 ${formatParetoPercent(s.utility)})`;
 
-                // 효과 요약 저장
-                if (!effectSummary[effectName]) {
-                    effectSummary[effectName] = { total: 0, count: 0 };
+        const btnApply = $('#btn-pareto-apply');
+        if (btnApply) {
+            btnApply.addEventListener('click', function() {
+                applyParetoCombination(combination);
+            });
+        }
+
+        const btnCompare = $('#btn-pareto-compare');
+        if (btnCompare) {
+            btnCompare.addEventListener('click', function() {
+                if (addCompareLoadout(label, combinationToSlotRunes(combination))) {
+                    showToast('시뮬레이터 탭의 빌드 비교에 추가되었습니다.', 'success');
                 }
-                effectSummary[effectName].total += value;
-                effectSummary[effectName].count++;
             });
         }
+    }
 
-        // ========================================
-        // 2. 결함 점수 차감
-        // ========================================
-        if (rune.demerits && Array.isArray(rune.demerits)) {
-            rune.demerits.forEach(function(demerit) {
-                var demeritName = demerit.name || '';
-                var demeritValue = demerit.value || 0;
+    /**
+     * 파레토 프런트에서 선택한 조합을 시뮬레이터에 장착 (applyRecommendations와 동일 흐름)
+     * @param {Object} combination - 룬 객체 조합
+     */
+    function applyParetoCombination(combination) {
+        const before = captureHistorySnapshot();
 
-                // 결함 가중치
-                var demeritWeight = 1.0;
-                if (Modules.EffectWeights && Modules.EffectWeights.getDemeritWeight) {
-                    demeritWeight = Modules.EffectWeights.getDemeritWeight(demeritName);
-                    if (demeritWeight === 0) demeritWeight = 0.7;
-                }
+        state.equippedRunes = combinationToSlotRunes(combination);
 
-                score -= demeritValue * demeritWeight;
+        Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
+        calculateTotalEffects();
+        renderEquippedRuneList();
+        saveEquippedRunes();
+        commitHistory('트레이드오프 조합 적용', before);
+
+        switchTab('simulator');
+
+        showToast('선택한 조합이 시뮬레이터에 적용되었습니다!', 'success');
+    }
+
+    // ========================================
+    // 가중치 민감도 분석
+    // @added 2025-12-15
+    // ========================================
+
+    /**
+     * 가중치 민감도 분석 (병렬 Worker startSensitivity)
+     * @description 후보 룬에 쓰이는 효과/유형/결함 가중치를 하나씩 ±10~30% 바꿔 정확 탐색을 반복.
+     *              시행을 Worker에 나눠 배정하고 (후보는 모든 Worker 동일), 첫 시행은 기준 가중치
+     * @param {Object} pools - { weapons, armors, emblems, accessories } (사전 선별 완료)
+     * @param {Object} options - 추천 탐색 옵션 { role, classCode, stats }
+     * @param {Object|null} constraints - 조합 제약 조건
+     */
+    function runSensitivityAnalysis(pools, options, constraints) {
+        const formulas = window.SharedFormulas;
+        const weightKeys = formulas.collectWeightKeys(
+            [].concat(pools.weapons, pools.armors, pools.emblems, pools.accessories)
+        );
+
+        const trials = [{ group: null, key: null, level: 0, overrides: null }];
+        weightKeys.forEach(function(weight) {
+            formulas.WEIGHT_SENSITIVITY_LEVELS.forEach(function(level) {
+                trials.push({
+                    group: weight.group,
+                    key: weight.key,
+                    level: level,
+                    overrides: formulas.buildWeightPerturbation(weight, level)
+                });
             });
-        }
+        });
 
-        // ========================================
-        // 3. 강화 효과 점수 (+15 기준)
-        // ========================================
-        if (rune.enhanceEffects) {
-            ['10', '15'].forEach(function(level) {
-                var enhanceList = rune.enhanceEffects[level];
-                if (enhanceList && Array.isArray(enhanceList)) {
-                    enhanceList.forEach(function(effect) {
-                        if (effect.dpsRelevant === false) return;
+        const numCores = navigator.hardwareConcurrency || 4;
+        const numWorkers = Math.min(Math.max(2, numCores), 8, trials.length);
+        const completedByWorker = new Array(numWorkers).fill(0);
 
-                        var effectName = effect.name || '';
-                        var value = effect.value || 0;
+        optimizationWorkers = [];
+        workerResults = [];
+        workerProgress = [];
+        totalWorkersCompleted = 0;
+        parallelStartTime = Date.now();
 
-                        var effectWeight = getEffectWeightWithFallback(effectName);
-                        var roleWeight = multipliers[effectName] || defaultRoleWeight;
+        console.log(`⚖️ 민감도 분석 Worker 시작: ${numWorkers}개, 가중치 ${weightKeys.length}개, 시행 ${trials.length}회`);
 
-                        // 스텟 보정 적용
-                        var statMultiplier = 1.0;
-                        if (effectName.indexOf('치명타 확률') !== -1) {
-                            statMultiplier *= statAdjustments.critMarginalUtility;
-                        }
-                        if (effectName.indexOf('공격력') !== -1) {
-                            statMultiplier *= statAdjustments.attackBalanceMultiplier;
-                        }
-                        if (effectName.indexOf('피해량') !== -1) {
-                            statMultiplier *= statAdjustments.damageBalanceMultiplier;
-                        }
+        function finish() {
+            const results = [].concat(...workerResults.map(result => (result && result.trials) || []));
+            const baseline = results.find(trial => trial.group === null);
 
-                        // 클래스별 우선 효과 보너스
-                        var classBonus = 1.0;
-                        if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
-                            var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
-                                return effectName.indexOf(priority) !== -1;
-                            });
-                            if (isPriorityEffect) classBonus = 1.25;
-                        }
+            optimizationWorkers.forEach(function(w) { w.terminate(); });
+            optimizationWorkers = [];
 
-                        score += value * effectWeight * roleWeight * statMultiplier * classBonus;
+            handleSensitivityComplete({
+                baseline: baseline,
+                weightKeys: weightKeys,
+                report: baseline && baseline.combination
+                    ? formulas.summarizeWeightSensitivity(
+                        baseline.combination,
+                        results.filter(trial => trial.group !== null),
+                        weightKeys
+                    )
+                    : null
+            });
+        }
+
+        for (let i = 0; i < numWorkers; i++) {
+            // 시행을 번갈아 배정 (같은 가중치의 변화율이 한 Worker에 몰리지 않도록)
+            const workerTrials = trials.filter((_, idx) => idx % numWorkers === i);
+
+            const worker = new Worker('formulas/combination-worker.js');
+            worker.onmessage = function(e) {
+                const { type, workerId, ...data } = e.data;
+
+                if (type === 'sensitivityProgress') {
+                    completedByWorker[workerId] = data.completed;
+                    const completed = completedByWorker.reduce((sum, n) => sum + n, 0);
+                    const elapsed = (Date.now() - parallelStartTime) / 1000;
+                    const progress = completed / trials.length;
+                    updateProgressUI({
+                        phase: 'sensitivity',
+                        processed: completed,
+                        total: trials.length,
+                        progress: Math.round(progress * 100),
+                        bestScore: 0,
+                        estimatedRemaining: progress > 0 ? Math.round((elapsed / progress) * (1 - progress)) : 0,
+                        bestCombination: null
                     });
+                } else if (type === 'sensitivityComplete') {
+                    workerResults[workerId] = data;
+                    totalWorkersCompleted++;
+                    console.log(`✅ 민감도 분석 Worker ${workerId + 1}/${numWorkers} 완료 - 시행 ${data.trials.length}회`);
+                    if (totalWorkersCompleted >= numWorkers) finish();
+                } else if (type === 'error') {
+                    console.error('Worker 내부 오류:', data.message, data.stack);
+                }
+            };
+            worker.onerror = function(error) {
+                console.error('민감도 분석 Worker 오류:', error);
+            };
+
+            optimizationWorkers.push(worker);
+            worker.postMessage({
+                type: 'startSensitivity',
+                data: {
+                    weapons: pools.weapons,
+                    armors: pools.armors,
+                    emblems: pools.emblems,
+                    accessories: pools.accessories,
+                    options: options,
+                    workerId: i,
+                    constraints: constraints,
+                    trials: workerTrials
                 }
             });
         }
+    }
 
-        // ========================================
-        // 4. 등급 보너스 (GameConstants 모듈 사용)
-        // @updated 2025-12-11 - 매직넘버를 상수로 대체
-        // ========================================
-        var gradeName = rune.gradeName || '';
-        var gradeBonus = (Modules.GameConstants && Modules.GameConstants.GRADE_BONUS_BY_NAME)
-            ? Modules.GameConstants.GRADE_BONUS_BY_NAME
-            : { '신화': 100, '전설(시즌1)': 70, '전설(시즌0)': 50, '유니크(시즌0)': 30 };
-        score += gradeBonus[gradeName] || 0;
+    /**
+     * 가중치 민감도 분석 완료 처리
+     * @param {Object} result - { baseline, weightKeys, report }
+     */
+    function handleSensitivityComplete(result) {
+        const elapsed = parallelStartTime ? ((Date.now() - parallelStartTime) / 1000).toFixed(1) : 0;
 
-        // ========================================
-        // 5. 시너지 보너스 (DoT 부여) (GameConstants 모듈 사용)
-        // @updated 2025-12-11 - 매직넘버를 상수로 대체
-        // ========================================
-        var synergyBonus = (Modules.GameConstants && Modules.GameConstants.SYNERGY_BONUS)
-            ? Modules.GameConstants.SYNERGY_BONUS
-            : { DOT_APPLY_PER_TYPE: 15 };
+        const progressEl = $('#optimization-progress');
+        if (progressEl) progressEl.style.display = 'none';
 
-        if (rune.synergy && rune.synergy.appliesDot && rune.synergy.appliesDot.length > 0) {
-            score += rune.synergy.appliesDot.length * synergyBonus.DOT_APPLY_PER_TYPE;
+        const btnRecommend = $('#btn-recommend');
+        const btnPareto = $('#btn-pareto-recommend');
+        const btnSensitivity = $('#btn-sensitivity-recommend');
+        const btnStop = $('#btn-stop-recommend');
+        if (btnRecommend) btnRecommend.disabled = false;
+        if (btnPareto) btnPareto.disabled = false;
+        if (btnSensitivity) {
+            btnSensitivity.disabled = false;
+            btnSensitivity.textContent = '⚖️ 가중치 민감도 분석';
         }
+        if (btnStop) btnStop.style.display = 'none';
 
-        // ========================================
-        // 6. 각성 효과 (엠블럼 룬) (GameConstants 모듈 사용)
-        // @updated 2025-12-11 - 매직넘버를 상수로 대체
-        // ========================================
-        if (rune.awakening && rune.awakening.effects) {
-            var awakeningConst = (Modules.GameConstants && Modules.GameConstants.AWAKENING_CONSTANTS)
-                ? Modules.GameConstants.AWAKENING_CONSTANTS
-                : { BASE_COOLDOWN: 90, DEFAULT_DURATION: 20, MIN_COOLDOWN: 30 };
-
-            var duration = rune.awakening.duration || awakeningConst.DEFAULT_DURATION;
-            var uptime;
-
-            // StatFormulas 모듈로 각성 업타임 계산
-            if (Modules.StatFormulas && Modules.StatFormulas.calculateAwakeningUptime) {
-                uptime = Modules.StatFormulas.calculateAwakeningUptime(duration, awakeningCooldownReduction);
-            } else {
-                var adjustedCooldown = Math.max(awakeningConst.BASE_COOLDOWN - awakeningCooldownReduction, awakeningConst.MIN_COOLDOWN);
-                uptime = duration / (duration + adjustedCooldown);
-            }
+        if (!result.report) {
+            showToast('기준 가중치로 조합을 찾을 수 없어 민감도를 분석할 수 없습니다.', 'error');
+            return;
+        }
 
-            rune.awakening.effects.forEach(function(effect) {
-                if (effect.dpsRelevant === false) return;
+        displayWeightSensitivity(result);
+        showToast(`민감도 분석 완료! 1위 변경 ${result.report.flipCount}/${result.report.trialCount}회 (${elapsed}초 소요)`, 'success');
+    }
 
-                var effectName = effect.name || '';
-                var value = effect.value || 0;
+    /**
+     * 가중치 표시 이름 (유형 가중치는 효과 유형 한글 이름)
+     * @param {Object} weight - summarizeWeightSensitivity weights 항목
+     * @returns {string} 표시 이름
+     */
+    function getSensitivityWeightLabel(weight) {
+        if (weight.group === 'type') return `${EFFECT_TYPE_NAMES[weight.key] || weight.key} 효과 (유형)`;
+        if (weight.group === 'demerit') return `${weight.label} (결함)`;
+        return weight.label;
+    }
 
-                var effectWeight = getEffectWeightWithFallback(effectName);
-                var roleWeight = multipliers[effectName] || defaultRoleWeight;
+    /**
+     * 가중치 민감도 분석 결과 표시
+     * @description 가중치 × 변화율 표 (바뀐 룬 수, 셀 툴팁에 교체 내역) + 기준 1위 룬별 유지율
+     * @param {Object} result - handleSensitivityComplete 결과
+     */
+    function displayWeightSensitivity(result) {
+        const resultEl = $('#recommend-result');
+        if (!resultEl) return;
 
-                // 스텟 보정 적용
-                var statMultiplier = 1.0;
-                if (effectName.indexOf('치명타 확률') !== -1) {
-                    statMultiplier *= statAdjustments.critMarginalUtility;
-                }
-                if (effectName.indexOf('공격력') !== -1) {
-                    statMultiplier *= statAdjustments.attackBalanceMultiplier;
-                }
-                if (effectName.indexOf('피해량') !== -1) {
-                    statMultiplier *= statAdjustments.damageBalanceMultiplier;
+        const report = result.report;
+        const levels = window.SharedFormulas.WEIGHT_SENSITIVITY_LEVELS;
+        const combination = hydrateCombination(result.baseline.combination);
+        const names = runes => runes.map(r => escapeHtml(r.name)).join(', ');
+        const percent = level => (level > 0 ? '+' : '') + Math.round(level * 100) + '%';
+        const fragile = report.weights.filter(w => w.flips.length > 0);
+
+        const rows = report.weights.map(function(weight) {
+            const cells = levels.map(function(level) {
+                const entry = weight.levels.find(l => l.level === level);
+                if (!entry || !entry.changed) {
+                    return '<td class="sensitivity-cell--stable">·</td>';
                 }
+                const title = entry.changes
+                    ? `${entry.changes.removed.join(', ')} → ${entry.changes.added.join(', ')}`
+                    : '조합 없음';
+                return `<td class="sensitivity-cell--flip" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${entry.diff === null ? '✕' : entry.diff}</td>`;
+            }).join('');
+            return `
+                <tr>
+                    <td>
+                        ${escapeHtml(getSensitivityWeightLabel(weight))}
+                        <span class="sensitivity-table__key">${escapeHtml(weight.key)}</span>
+                    </td>
+                    <td>${weight.base.toFixed(2)}</td>
+                    ${cells}
+                    <td>${weight.runeCount}</td>
+                </tr>
+            `;
+        }).join('');
 
-                // 클래스별 우선 효과 보너스
-                var classBonus = 1.0;
-                if (statAdjustments.classPriorityEffects && statAdjustments.classPriorityEffects.length > 0) {
-                    var isPriorityEffect = statAdjustments.classPriorityEffects.some(function(priority) {
-                        return effectName.indexOf(priority) !== -1;
-                    });
-                    if (isPriorityEffect) classBonus = 1.25;
-                }
+        const runeItems = report.runes.map(rune => `
+            <li>
+                <span>${escapeHtml(rune.slot)}</span>
+                <span>${escapeHtml(rune.name)}</span>
+                <span class="sensitivity-runes__bar">
+                    <span class="sensitivity-runes__fill" style="width:${Math.round(rune.retention * 100)}%"></span>
+                </span>
+                <span>${Math.round(rune.retention * 100)}%</span>
+            </li>
+        `).join('');
 
-                score += value * effectWeight * roleWeight * uptime * statMultiplier * classBonus;
+        resultEl.innerHTML = `
+            <div class="recommend-header" style="text-align:center;margin-bottom:20px;">
+                <h2 class="section-title" style="color:#FFD700;">⚖️ 가중치 민감도 분석</h2>
+                <div class="optimization-stats" style="font-size:12px;color:#888;margin-top:8px;">
+                    가중치 ${report.weights.length}개 × 변화율 ${levels.map(percent).join('/')} = ${report.trialCount}회 정확 탐색 |
+                    1위 조합 변경 ${report.flipCount}회 | 추천을 바꾸는 가중치 ${fragile.length}개
+                </div>
+            </div>
+            <div class="pareto-detail" style="margin-bottom:16px;">
+                <div class="pareto-detail__scores">기준 1위 조합 <strong>${result.baseline.score.toFixed(1)}점</strong></div>
+                <ul class="pareto-detail__runes">
+                    <li>⚔️ 무기: ${names([combination.weapon])}</li>
+                    <li>🛡️ 방어구: ${names(combination.armors)}</li>
+                    <li>🔥 엠블럼: ${names([combination.emblem])}</li>
+                    <li>💍 장신구: ${names(combination.accessories)}</li>
+                </ul>
+            </div>
+            <table class="sensitivity-table">
+                <thead>
+                    <tr>
+                        <th>가중치</th>
+                        <th>기준</th>
+                        ${levels.map(level => `<th>${percent(level)}</th>`).join('')}
+                        <th>룬 수</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div style="font-size:12px;color:#888;margin-bottom:16px;">
+                · 1위 유지 / 숫자: 1위 조합에서 바뀐 룬 수 (마우스를 올리면 교체 내역) / ✕: 조합 없음 ·
+                룬 수: 후보 중 해당 가중치를 쓰는 룬 수
+            </div>
+            <h3 class="section-title" style="font-size:14px;">기준 1위 룬 유지율</h3>
+            <ul class="sensitivity-runes">${runeItems}</ul>
+        `;
+    }
+
+    /**
+     * 최적화 탐색 중단
+     * @added 2025-12-11
+     */
+    function stopOptimization() {
+        // 모든 병렬 Worker 종료
+        if (optimizationWorkers && optimizationWorkers.length > 0) {
+            console.log('⏹️ 병렬 Worker 중단:', optimizationWorkers.length + '개');
+            optimizationWorkers.forEach(function(worker) {
+                worker.terminate();
             });
-        }
+            optimizationWorkers = [];
+            workerResults = [];
+            workerProgress = [];
+            totalWorkersCompleted = 0;
+            
+            const progressEl = $('#optimization-progress');
+            if (progressEl) progressEl.style.display = 'none';
 
-        return Math.round(score * 10) / 10;
+            const btnRecommend = $('#btn-recommend');
+            const btnPareto = $('#btn-pareto-recommend');
+            const btnSensitivity = $('#btn-sensitivity-recommend');
+            const btnStop = $('#btn-stop-recommend');
+            if (btnRecommend) {
+                btnRecommend.disabled = false;
+                btnRecommend.textContent = '🎯 최적 룬 조합 추천받기';
+            }
+            if (btnPareto) {
+                btnPareto.disabled = false;
+                btnPareto.textContent = '📊 DPS/생존/유틸 트레이드오프';
+            }
+            if (btnSensitivity) {
+                btnSensitivity.disabled = false;
+                btnSensitivity.textContent = '⚖️ 가중치 민감도 분석';
+            }
+            if (btnStop) btnStop.style.display = 'none';
+
+            showToast('탐색이 중단되었습니다.', 'warning');
+        }
     }
 
     // ========================================
-    // Web Worker 인스턴스 (전역)
-    // @added 2025-12-11 - Branch & Bound 최적화 (병렬 Worker)
+    // 조합 제약 조건
+    // @added 2025-12-15
     // ========================================
-    let optimizationWorkers = [];  // 병렬 Worker 배열
-    let workerResults = [];        // 각 Worker의 결과
-    let workerProgress = [];       // 각 Worker의 진행률
-    let totalWorkersCompleted = 0; // 완료된 Worker 수
-    let parallelStartTime = null;  // 병렬 처리 시작 시간
 
     /**
-     * 최적화 진행률 UI 업데이트 (2단계 탐색 지원)
-     * @param {Object} data - 진행률 데이터
-     * @updated 2025-12-11 - 2단계 탐색 및 실시간 최적 조합 표시 추가
+     * 제약 조건 패널 선택지 채우기 (DoT 유형 / 결함 효과)
+     * @description 룬 데이터에 실제로 존재하는 값만 표시
+     * @added 2025-12-15
      */
-    function updateProgressUI(data) {
-        const progressEl = $('#optimization-progress');
-        const percentEl = $('#progress-percent');
-        const barEl = $('#progress-bar');
-        const processedEl = $('#progress-processed');
-        const totalEl = $('#progress-total');
-        const remainingEl = $('#progress-remaining');
-        const titleEl = $('#progress-title');
-        
-        // 단계 상태 요소
-        const phase1Status = $('#phase-1-status');
-        const phase2Status = $('#phase-2-status');
-        
-        // 미리보기 요소
-        const previewEl = $('#current-best-preview');
-        const previewScoreEl = $('#preview-score');
-        const previewWeaponEl = $('#preview-weapon');
-        const previewArmorsEl = $('#preview-armors');
-        const previewEmblemEl = $('#preview-emblem');
-        const previewAccessoriesEl = $('#preview-accessories');
+    function populateConstraintOptions() {
+        const dotSelect = $('#constraint-dot-type');
+        const demeritGroup = $('#constraint-demerits');
+        const dotTypes = [];
+        const demeritNames = [];
 
-        if (progressEl) progressEl.style.display = 'block';
-        if (percentEl) percentEl.textContent = data.progress + '%';
-        if (barEl) barEl.style.width = data.progress + '%';
-        if (processedEl) processedEl.textContent = '계산: ' + (data.processed || 0).toLocaleString();
-        if (totalEl) totalEl.textContent = '/ ' + (data.total || 0).toLocaleString();
-        
-        // 단계별 타이틀 업데이트
-        if (titleEl) {
-            if (data.phase === 1) {
-                titleEl.textContent = '🔍 1단계: 빠른 탐색 중...';
-            } else if (data.phase === 2) {
-                titleEl.textContent = '🔬 2단계: 정밀 확장 탐색 중...';
-            }
-        }
-        
-        // 단계 상태 업데이트
-        if (data.phase === 1) {
-            if (phase1Status) {
-                phase1Status.classList.add('phase-active');
-                phase1Status.classList.remove('phase-complete');
-                phase1Status.querySelector('.phase-icon').textContent = '⏳';
-            }
-            if (phase2Status) {
-                phase2Status.classList.remove('phase-active', 'phase-complete');
-                phase2Status.querySelector('.phase-icon').textContent = '⏸️';
-            }
-        } else if (data.phase === 2) {
-            if (phase1Status) {
-                phase1Status.classList.remove('phase-active');
-                phase1Status.classList.add('phase-complete');
-                phase1Status.querySelector('.phase-icon').textContent = '✅';
-            }
-            if (phase2Status) {
-                phase2Status.classList.add('phase-active');
-                phase2Status.classList.remove('phase-complete');
-                phase2Status.querySelector('.phase-icon').textContent = '⏳';
-            }
-        }
-        
-        // 남은 시간 표시
-        if (remainingEl) {
-            if (data.estimatedRemaining && data.estimatedRemaining > 0) {
-                const mins = Math.floor(data.estimatedRemaining / 60);
-                const secs = data.estimatedRemaining % 60;
-                remainingEl.textContent = '예상: ' + 
-                    (mins > 0 ? mins + '분 ' : '') + secs + '초';
-            } else {
-                remainingEl.textContent = '예상: 계산 중...';
-            }
+        state.allRunes.forEach(function(rune) {
+            ((rune.synergy && rune.synergy.appliesDot) || []).forEach(function(dot) {
+                if (!dotTypes.includes(dot)) dotTypes.push(dot);
+            });
+            (rune.demerits || []).forEach(function(demerit) {
+                if (demerit.name && !demeritNames.includes(demerit.name)) demeritNames.push(demerit.name);
+            });
+        });
+
+        if (dotSelect) {
+            dotSelect.innerHTML = '<option value="">사용 안 함</option>' + dotTypes.sort().map(function(dot) {
+                return `<option value="${escapeHtml(dot)}">${escapeHtml(dot)}</option>`;
+            }).join('');
         }
-        
-        // 현재 최적 조합 미리보기 업데이트
-        if (data.bestCombination && data.bestScore > 0) {
-            if (previewEl) previewEl.style.display = 'block';
-            if (previewScoreEl) previewScoreEl.textContent = '점수: ' + data.bestScore.toFixed(1) + '점';
-            
-            const combo = data.bestCombination;
-            if (previewWeaponEl && combo.weapon) {
-                previewWeaponEl.textContent = combo.weapon.name;
-            }
-            if (previewArmorsEl && combo.armors) {
-                previewArmorsEl.textContent = combo.armors.map(a => a.name).join(', ');
-            }
-            if (previewEmblemEl && combo.emblem) {
-                previewEmblemEl.textContent = combo.emblem.name;
-            }
-            if (previewAccessoriesEl && combo.accessories) {
-                previewAccessoriesEl.textContent = combo.accessories.map(a => a.name).join(', ');
-            }
+        if (demeritGroup) {
+            demeritGroup.innerHTML = demeritNames.sort().map(function(name) {
+                return `
+                    <label class="filter-checkbox">
+                        <input type="checkbox" value="${escapeHtml(name)}">
+                        <span class="filter-checkbox__label">${escapeHtml(name)}</span>
+                    </label>
+                `;
+            }).join('');
         }
     }
 
     /**
-     * 최적화 완료 처리
-     * @param {Object} result - 최적화 결과
-     * @updated 2025-12-11 - 2단계 탐색 지원
+     * 제약 조건 패널 입력값 → Worker constraints 객체
+     * @returns {Object|null|false} constraints (조건 없음: null, 입력 오류: false)
+     * @added 2025-12-15
      */
-    function handleOptimizationComplete(result) {
-        const elapsed = parallelStartTime ? ((Date.now() - parallelStartTime) / 1000).toFixed(1) : 0;
-        
-        console.log('✅ 최적화 완료:', {
-            최고점수: result.bestScore,
-            계산수: (result.processed || 0).toLocaleString(),
-            소요시간: elapsed + '초'
-        });
+    function collectRecommendConstraints() {
+        const constraints = {};
 
-        // 진행률 UI 숨기기
-        const progressEl = $('#optimization-progress');
-        if (progressEl) progressEl.style.display = 'none';
+        // ID 또는 이름 → 룬 ID (찾지 못한 항목은 오류)
+        function resolveRuneRefs(fieldId) {
+            const el = $('#' + fieldId);
+            const refs = (el ? el.value : '').split(',').map(s => s.trim()).filter(Boolean);
+            const ids = [];
+            const missing = [];
 
-        // 버튼 상태 복원
-        const btnRecommend = $('#btn-recommend');
-        const btnStop = $('#btn-stop-recommend');
-        if (btnRecommend) {
-            btnRecommend.disabled = false;
-            btnRecommend.textContent = '🎯 최적 룬 조합 추천받기';
+            refs.forEach(function(ref) {
+                const rune = state.allRunes.find(r => String(r.id) === ref || r.name === ref);
+                if (rune) ids.push(rune.id);
+                else missing.push(ref);
+            });
+
+            if (missing.length > 0) {
+                showToast('룬을 찾을 수 없습니다: ' + missing.join(', '), 'error');
+                return null;
+            }
+            return ids;
         }
-        if (btnStop) btnStop.style.display = 'none';
 
-        // 결과가 없으면
-        if (!result.bestCombination) {
-            showToast('최적 조합을 찾을 수 없습니다.', 'error');
-            return;
+        const includeIds = resolveRuneRefs('constraint-include');
+        const excludeIds = resolveRuneRefs('constraint-exclude');
+        if (!includeIds || !excludeIds) return false;
+        if (includeIds.length > 0) constraints.includeIds = includeIds;
+        if (excludeIds.length > 0) constraints.excludeIds = excludeIds;
+
+        const dotTypeEl = $('#constraint-dot-type');
+        const dotCountEl = $('#constraint-dot-count');
+        if (dotTypeEl && dotTypeEl.value) {
+            constraints.minDotRunes = {};
+            constraints.minDotRunes[dotTypeEl.value] = Math.max(1, parseInt(dotCountEl ? dotCountEl.value : 1) || 1);
         }
 
-        // 결과 표시
-        displayOptimizationResult(result);
-        showToast(`최적 조합 탐색 완료! (${elapsed}초 소요)`, 'success');
+        const forbidden = Array.from($$('#constraint-demerits input:checked')).map(el => el.value);
+        if (forbidden.length > 0) constraints.forbiddenDemerits = forbidden;
+
+        const maxDemeritEl = $('#constraint-max-demerit');
+        if (maxDemeritEl && maxDemeritEl.value !== '') {
+            const maxDemerit = parseFloat(maxDemeritEl.value);
+            if (!(maxDemerit >= 0)) {
+                showToast('결함 가중치 상한은 0 이상의 숫자여야 합니다.', 'error');
+                return false;
+            }
+            constraints.maxDemeritWeight = maxDemerit;
+        }
+
+        const ownedOnlyEl = $('#constraint-owned-only');
+        if (ownedOnlyEl && ownedOnlyEl.checked) {
+            if (!state.selectedCharacterId) {
+                showToast('보유 룬 조건을 사용하려면 캐릭터를 먼저 선택하세요.', 'error');
+                return false;
+            }
+            constraints.ownedIds = getOwnedRunes(state.selectedCharacterId).map(r => r.id);
+        }
+
+        return Object.keys(constraints).length > 0 ? constraints : null;
     }
 
     /**
-     * 최적화 결과 표시
-     * @param {Object} result - 최적화 결과
-     * @added 2025-12-11
-     * @updated 2025-12-11 - recommend-rune-item 클래스 구조로 변경
+     * 제약 조건 보고 HTML (결과 헤더용)
+     * @param {Object} report - SharedFormulas.summarizeConstraintReports 결과
+     * @returns {string} HTML
+     * @added 2025-12-15
      */
-    function displayOptimizationResult(result) {
-        const { bestCombination, bestScore, processed, skipped, total } = result;
-        const resultEl = $('#recommend-result');
-        
-        if (!resultEl) return;
-
-        // 스킵률 계산
-        const skipRate = processed + skipped > 0 
-            ? Math.round((skipped / (processed + skipped)) * 100) 
-            : 0;
+    function renderConstraintReport(report) {
+        if (!report || report.constraints.length === 0) return '';
 
-        // 카테고리별 결과 정리
-        const recommendations = {
-            '01': {
-                name: '⚔️ 무기 룬',
-                slots: ['weapon-1'],
-                runes: [bestCombination.weapon]
-            },
-            '02': {
-                name: '🛡️ 방어구 룬',
-                slots: ['armor-1', 'armor-2', 'armor-3', 'armor-4', 'armor-5'],
-                runes: bestCombination.armors
-            },
-            '04': {
-                name: '🔥 엠블럼 룬',
-                slots: ['emblem-1'],
-                runes: [bestCombination.emblem]
-            },
-            '03': {
-                name: '💍 장신구 룬',
-                slots: ['accessory-1', 'accessory-2', 'accessory-3'],
-                runes: bestCombination.accessories
-            }
-        };
+        const items = report.constraints.map(function(constraint) {
+            const note = constraint.binding
+                ? (constraint.gain !== null ? ` (해제 시 +${constraint.gain.toFixed(1)}점)` : ' (충돌)')
+                : '';
+            return `<li class="constraint-report__item${constraint.binding ? ' constraint-report__item--binding' : ''}">` +
+                `${constraint.binding ? '⛔' : '✔'} ${escapeHtml(constraint.label)}${note}</li>`;
+        }).join('');
 
-        // HTML 생성
-        let html = `
-            <div class="recommend-header" style="text-align:center;margin-bottom:20px;">
-                <h2 class="section-title" style="color:#FFD700;">🎯 추천 룬 조합</h2>
-                <div class="recommend-total-score" style="font-size:24px;font-weight:bold;color:#4CAF50;">
-                    총 효율 점수: ${bestScore.toFixed(1)}점
-                </div>
-                <div class="optimization-stats" style="font-size:12px;color:#888;margin-top:8px;">
-                    가지치기 알고리즘으로 ${skipRate}% 계산 스킵 | 
-                    ${(processed || 0).toLocaleString()}개 조합 분석
-                </div>
+        return `
+            <div class="constraint-report">
+                <div>제약 조건 ${report.binding.length > 0 ? `(${report.binding.length}개 결과 제한)` : '(결과에 영향 없음)'}</div>
+                <ul>${items}</ul>
             </div>
         `;
+    }
 
-        const categoryOrder = ['01', '02', '04', '03'];
-        categoryOrder.forEach(categoryCode => {
-            const rec = recommendations[categoryCode];
-            if (!rec || !rec.runes || rec.runes.length === 0) return;
-
-            html += `
-                <div class="recommend-category" style="margin-bottom:20px;">
-                    <h3 class="recommend-category__title" style="color:#FFD700;margin-bottom:10px;font-size:16px;">${rec.name}</h3>
-                    <div class="recommend-runes">
-            `;
+    /**
+     * 최적 룬 추천 실행 (Web Worker 사용)
+     * @param {Object} [runOptions] - { pareto: true }면 DPS/생존/유틸 파레토 프런트 탐색,
+     *                                 { sensitivity: true }면 가중치 민감도 분석
+     * @updated 2025-12-11 - Branch & Bound 알고리즘으로 전면 재설계
+     * @updated 2025-12-15 - 파레토 프런트 탐색 모드
+     * @updated 2025-12-15 - 가중치 민감도 분석 모드
+     */
+    function runRecommendation(runOptions) {
+        // 클릭 이벤트로 호출되면 runOptions는 Event 객체
+        const paretoMode = !!(runOptions && runOptions.pareto === true);
+        const sensitivityMode = !!(runOptions && runOptions.sensitivity === true);
+        console.warn('🎯 추천 시작 (Branch & Bound 알고리즘)...');
+        console.log('📊 전체 룬 수:', state.allRunes.length);
+        
+        // 디버그 플래그 초기화
+        window._runeScoreDebugLogged = false;
 
-            rec.runes.forEach((rune, index) => {
-                if (!rune) return;
-                
-                const slotId = rec.slots[index];
-                const gradeInfo = getGradeInfo(rune) || { name: '??', color: 'gray' };
-                
-                // 효과 요약 생성
-                let effectSummary = '';
-                if (rune.effects && rune.effects.length > 0) {
-                    effectSummary = rune.effects.slice(0, 2).map(e => {
-                        const name = e.name || '';
-                        const value = e.value || 0;
-                        return `${name} +${value}%`;
-                    }).join(', ');
-                    if (rune.effects.length > 2) {
-                        effectSummary += ' 외 ' + (rune.effects.length - 2) + '개';
-                    }
-                }
+        // 데이터 로드 확인
+        if (!state.allRunes || state.allRunes.length === 0) {
+            showToast('룬 데이터가 아직 로드되지 않았습니다. 잠시 후 다시 시도해주세요.', 'error');
+            console.error('❌ 룬 데이터 없음: state.allRunes가 비어있습니다.');
+            return;
+        }
 
-                html += `
-                    <div class="recommend-rune-item" data-rune-id="${rune.id}" data-slot="${slotId}" style="cursor:pointer;">
-                        <img class="recommend-rune-item__image" 
-                             src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                             alt="${escapeHtml(rune.name)}"
-                             onerror="handleRuneImageError(this)">
-                        <div class="recommend-rune-item__info">
-                            <div class="recommend-rune-item__name">
-                                ${escapeHtml(rune.name)}
-                                <span class="recommend-rune-item__grade" style="color:${rune.gradeColor || '#FFD700'};font-size:12px;margin-left:6px;">[${gradeInfo.name}]</span>
-                            </div>
-                            <div class="recommend-rune-item__effect">${effectSummary || '효과 정보 없음'}</div>
-                        </div>
-                        <div class="recommend-rune-item__score">
-                            <span class="recommend-rune-item__score-label">효율 점수</span>
-                            <span class="recommend-rune-item__score-value">${(rune.baseScore || rune.maxScore || 0).toFixed(0)}</span>
-                        </div>
-                        <button class="btn btn--sm btn--primary recommend-equip-btn" style="margin-left:10px;">장착</button>
-                    </div>
-                `;
-            });
+        // ========================================
+        // 스텟 수집 (HTML 입력 필드에서)
+        // @updated 2025-12-11 - 세부 스텟 추가 (치명타, 추가타 등)
+        // ========================================
 
-            html += '</div></div>';
-        });
-
-        resultEl.innerHTML = html;
-
-        // 장착 버튼 이벤트 연결
-        $$('.recommend-equip-btn').forEach(btn => {
-            btn.addEventListener('click', function(e) {
-                e.stopPropagation(); // 상세 모달 열림 방지
-                const item = this.closest('.recommend-rune-item');
-                const runeId = parseInt(item.dataset.runeId);
-                const slotId = item.dataset.slot;
-                
-                const rune = state.allRunes.find(r => r.id === runeId);
-                if (rune && slotId) {
-                    equipRuneToSlot(rune, slotId);
-                    showToast(rune.name + ' 장착 완료!', 'success');
-                }
-            });
-        });
-
-        // 룬 클릭 시 상세 모달 (장착 버튼 제외)
-        $$('.recommend-rune-item').forEach(item => {
-            item.addEventListener('click', function(e) {
-                if (e.target.closest('.recommend-equip-btn')) return;
-                const runeId = parseInt(this.dataset.runeId);
-                if (runeId) openRuneDetailModal(runeId);
-            });
-        });
-    }
-
-    /**
-     * 최적화 탐색 중단
-     * @added 2025-12-11
-     */
-    function stopOptimization() {
-        // 모든 병렬 Worker 종료
-        if (optimizationWorkers && optimizationWorkers.length > 0) {
-            console.log('⏹️ 병렬 Worker 중단:', optimizationWorkers.length + '개');
-            optimizationWorkers.forEach(function(worker) {
-                worker.terminate();
-            });
-            optimizationWorkers = [];
-            workerResults = [];
-            workerProgress = [];
-            totalWorkersCompleted = 0;
-            
-            const progressEl = $('#optimization-progress');
-            if (progressEl) progressEl.style.display = 'none';
-
-            const btnRecommend = $('#btn-recommend');
-            const btnStop = $('#btn-stop-recommend');
-            if (btnRecommend) {
-                btnRecommend.disabled = false;
-                btnRecommend.textContent = '🎯 최적 룬 조합 추천받기';
-            }
-            if (btnStop) btnStop.style.display = 'none';
-
-            showToast('탐색이 중단되었습니다.', 'warning');
-        }
-    }
-
-    /**
-     * 최적 룬 추천 실행 (Web Worker 사용)
-     * @updated 2025-12-11 - Branch & Bound 알고리즘으로 전면 재설계
-     */
-    function runRecommendation() {
-        console.warn('🎯 추천 시작 (Branch & Bound 알고리즘)...');
-        console.log('📊 전체 룬 수:', state.allRunes.length);
-        
-        // 디버그 플래그 초기화
-        window._runeScoreDebugLogged = false;
-
-        // 데이터 로드 확인
-        if (!state.allRunes || state.allRunes.length === 0) {
-            showToast('룬 데이터가 아직 로드되지 않았습니다. 잠시 후 다시 시도해주세요.', 'error');
-            console.error('❌ 룬 데이터 없음: state.allRunes가 비어있습니다.');
-            return;
-        }
-
-        // ========================================
-        // 스텟 수집 (HTML 입력 필드에서)
-        // @updated 2025-12-11 - 세부 스텟 추가 (치명타, 추가타 등)
-        // ========================================
-
-        // 헬퍼 함수: 입력 필드 값 가져오기
-        // 스텟 기본값 (GameConstants 모듈 사용)
-        // @updated 2025-12-11 - 기본값 0에서 1로 변경 (0으로 나누기 방지)
-        var statDefault = (Modules.GameConstants && Modules.GameConstants.STAT_DEFAULTS)
-            ? Modules.GameConstants.STAT_DEFAULTS.INPUT_DEFAULT
-            : 1;
+        // 헬퍼 함수: 입력 필드 값 가져오기
+        // 스텟 기본값 (GameConstants 모듈 사용)
+        // @updated 2025-12-11 - 기본값 0에서 1로 변경 (0으로 나누기 방지)
+        var statDefault = (Modules.GameConstants && Modules.GameConstants.STAT_DEFAULTS)
+            ? Modules.GameConstants.STAT_DEFAULTS.INPUT_DEFAULT
+            : 1;
 
         function getStatValue(id) {
             var el = $('#' + id);
@@ -4957,6 +5329,8 @@ function handleRuneImageError(img) {
             // 주요 스텟
             atk: getStatValue('stat-atk'),
             def: getStatValue('stat-def'),
+            hp: getStatValue('stat-hp'),             // 추가 체력 (유효 체력 모델)
+            heal: getStatValue('stat-heal'),         // 회복력 (초당 회복량 모델)
 
             // 세부 스텟 (효율 계산에 사용)
             critical: getStatValue('stat-crit'),           // 치명타 스텟
@@ -5003,6 +5377,9 @@ function handleRuneImageError(img) {
         const role = (roleEl ? roleEl.value : null) || 'dealer';
         const selectedClass = (classEl ? classEl.value : null) || '00';
 
+        // 캐릭터별 가중치 프로필 (Worker에서 같은 가중치로 점수 계산) @added 2025-12-15
+        const weightProfile = getWeightProfileOption();
+
         // 클래스 정보를 stats에 추가 (효율 계산에서 사용)
         // @updated 2025-12-11 - 클래스 코드 직접 전달 (역조회 제거)
         stats.classCode = selectedClass;
@@ -5047,6 +5424,11 @@ function handleRuneImageError(img) {
         });
         const minGrade = (gradeEl ? gradeEl.value : null) || '4'; // priority 기반 (4 = 전설(시즌0) 이상)
 
+        // 조합 제약 조건 @added 2025-12-15
+        const constraints = collectRecommendConstraints();
+        if (constraints === false) return;
+        if (constraints) console.log('🔒 제약 조건:', constraints);
+
         // ========================================
         // Web Worker를 사용한 최적화 탐색
         // @added 2025-12-11 - Branch & Bound 알고리즘
@@ -5138,6 +5520,12 @@ function handleRuneImageError(img) {
         // @updated 2025-12-12 - calculateUnifiedScore 사용
         // ========================================
         const TOP_N = 10;
+
+        // 상위 조합 목록 크기 (Worker topN) @added 2025-12-15
+        const RANKING_SIZE = (window.SharedFormulas && window.SharedFormulas.DEFAULT_RANKING_SIZE) || 10;
+        function mergeRankings(lists) {
+            return window.SharedFormulas ? window.SharedFormulas.mergeCombinationRankings(lists, RANKING_SIZE) : [];
+        }
         
         // 현재 장착된 룬에서 DoT 유형 수집 (시너지 계산용)
         const equippedDotTypes = [];
@@ -5206,9 +5594,35 @@ function handleRuneImageError(img) {
             });
         }
         
+        // 제약 조건 보충: Top-N에서 빠진 필수 룬/DoT 부여 룬/허용 룬 상위 추가
+        // @added 2025-12-15
+        function extendForConstraints(selected, runes) {
+            if (!constraints || !window.SharedFormulas) return selected;
+
+            const scoreOptions = { equippedDotTypes: equippedDotTypes, classCode: selectedClass, role: role };
+            const byScore = runes
+                .map(rune => ({ rune: rune, score: calculateUnifiedScore(rune, scoreOptions) }))
+                .sort((a, b) => b.score - a.score)
+                .map(entry => entry.rune);
+            return window.SharedFormulas.extendPoolForConstraints(selected, byScore, constraints, TOP_N);
+        }
+
+        // 역할 목적 함수(탱커 유효 체력/힐러 초당 회복량): Top-N에서 빠진 생존/회복 효과 룬 보충
+        // 파레토 모드는 생존/유틸 축 모두 보충, 민감도 분석은 효과 점수 기준이라 보충 없음
+        // @added 2025-12-15
+        function extendForObjective(selected, runes) {
+            if (!window.RoleModels || sensitivityMode) return selected;
+            const objectives = paretoMode
+                ? window.RoleModels.PARETO_OBJECTIVES
+                : [window.RoleModels.getObjective({ role: role })];
+            return objectives.reduce(function(pool, objective) {
+                return window.RoleModels.extendPoolForObjective(pool, runes, objective, stats);
+            }, selected);
+        }
+
         // Top-N 필터링 적용
-        const filteredWeapons = filterTopN(weapons, TOP_N);
-        const filteredArmors = filterTopN(armors, TOP_N);
+        const filteredWeapons = extendForObjective(extendForConstraints(filterTopN(weapons, TOP_N), weapons), weapons);
+        const filteredArmors = extendForObjective(extendForConstraints(filterTopN(armors, TOP_N), armors), armors);
         // 엠블럼/장신구는 개수가 적으므로 전체 유지
         const filteredEmblems = emblems;
         const filteredAccessories = accessories;
@@ -5252,16 +5666,19 @@ function handleRuneImageError(img) {
 
         // UI 업데이트
         const btnRecommend = $('#btn-recommend');
+        const btnPareto = $('#btn-pareto-recommend');
+        const btnSensitivity = $('#btn-sensitivity-recommend');
         const btnStop = $('#btn-stop-recommend');
-        if (btnRecommend) {
-            btnRecommend.disabled = true;
-            btnRecommend.textContent = '🔄 탐색 중...';
-        }
+        const btnRunning = paretoMode ? btnPareto : sensitivityMode ? btnSensitivity : btnRecommend;
+        if (btnRecommend) btnRecommend.disabled = true;
+        if (btnPareto) btnPareto.disabled = true;
+        if (btnSensitivity) btnSensitivity.disabled = true;
+        if (btnRunning) btnRunning.textContent = '🔄 탐색 중...';
         if (btnStop) btnStop.style.display = 'inline-block';
 
         // 진행률 UI 초기화
         updateProgressUI({
-            phase: 1,
+            phase: paretoMode ? 'pareto' : sensitivityMode ? 'sensitivity' : 1,
             progress: 0,
             processed: 0,
             total: 0,
@@ -5273,6 +5690,26 @@ function handleRuneImageError(img) {
         // 병렬 Web Worker 생성 및 실행 (Top-N 필터링 적용)
         // @updated 2025-12-11 - Top-N 필터링 + 기존 가지치기 병렬 실행
         try {
+            if (paretoMode) {
+                runParetoSearch({
+                    weapons: filteredWeapons,
+                    armors: filteredArmors,
+                    emblems: filteredEmblems,
+                    accessories: filteredAccessories
+                }, { role, classCode: selectedClass, stats, weightProfile }, constraints);
+                return;
+            }
+
+            if (sensitivityMode) {
+                runSensitivityAnalysis({
+                    weapons: filteredWeapons,
+                    armors: filteredArmors,
+                    emblems: filteredEmblems,
+                    accessories: filteredAccessories
+                }, { role, classCode: selectedClass, stats, weightProfile }, constraints);
+                return;
+            }
+
             // CPU 코어 수 기반 Worker 수 결정 (최대 8개, 최소 2개)
             const numCores = navigator.hardwareConcurrency || 4;
             const numWorkers = Math.min(Math.max(2, numCores), 8, filteredWeapons.length);
@@ -5397,6 +5834,22 @@ function handleRuneImageError(img) {
                             // ========================================
                             const EXPAND_RANGE = 5;
                             
+                            // Worker별 제약 조건 보고 (2단계 보고와 함께 병합)
+                            const phase1Reports = workerResults.map(function(result) {
+                                return result && result.constraintReport;
+                            });
+                            function summarizeConstraints(reports, best) {
+                                if (!constraints || !window.SharedFormulas) return undefined;
+                                return window.SharedFormulas.summarizeConstraintReports(
+                                    reports, best.bestCombination ? best.bestScore : null
+                                );
+                            }
+
+                            // Worker별 상위 조합 병합
+                            const phase1Ranking = mergeRankings(workerResults.map(function(result) {
+                                return result && result.topCombinations;
+                            }));
+
                             // 1단계에서 선택된 룬 ID 수집
                             const phase1Best = globalBest.bestCombination;
                             const selectedWeaponIds = new Set();
@@ -5453,7 +5906,10 @@ function handleRuneImageError(img) {
                                     bestCombination: globalBest.bestCombination,
                                     processed: totalProcessed,
                                     skipped: totalSkipped,
-                                    total: totalCombinations
+                                    total: totalCombinations,
+                                    topCombinations: phase1Ranking,
+                                    constraintReport: summarizeConstraints(phase1Reports, globalBest),
+                                    options: { role, classCode: selectedClass, stats, weightProfile }
                                 });
                                 return;
                             }
@@ -5553,12 +6009,22 @@ function handleRuneImageError(img) {
                                             const totalElapsed = (Date.now() - parallelStartTime) / 1000;
                                             console.log(`🏁 2단계 완료! 총 소요시간: ${totalElapsed.toFixed(1)}초, 최종점수: ${phase2Best.bestScore}`);
                                             
+                                            const phase2Reports = phase2Results.map(function(result) {
+                                                return result && result.constraintReport;
+                                            });
+                                            const phase2Rankings = phase2Results.map(function(result) {
+                                                return result && result.topCombinations;
+                                            });
+
                                             handleOptimizationComplete({
                                                 bestScore: phase2Best.bestScore,
                                                 bestCombination: phase2Best.bestCombination,
                                                 processed: totalProcessed + p2TotalProcessed,
                                                 skipped: totalSkipped + p2TotalSkipped,
-                                                total: totalCombinations + phase2Total
+                                                total: totalCombinations + phase2Total,
+                                                topCombinations: mergeRankings([phase1Ranking].concat(phase2Rankings)),
+                                                constraintReport: summarizeConstraints(phase1Reports.concat(phase2Reports), phase2Best),
+                                                options: { role, classCode: selectedClass, stats, weightProfile }
                                             });
                                             
                                             // Worker 정리
@@ -5584,13 +6050,20 @@ function handleRuneImageError(img) {
                                         options: {
                                             role,
                                             classCode: selectedClass,
-                                            stats
+                                            stats,
+                                            weightProfile
                                         },
                                         weaponStartIdx: 0,
                                         weaponEndIdx: workerWeapons.length,
                                         workerId: i,
                                         totalCombinations: phase2Total,
-                                        initialBestScore: globalBest.bestScore  // 1단계 최고점수 전달
+                                        initialBestScore: globalBest.bestScore,  // 1단계 최고점수 전달
+                                        topN: RANKING_SIZE,
+                                        // 1단계 순위표를 넘지 못하는 하위 트리는 가지치기
+                                        initialRankingThreshold: phase1Ranking.length >= RANKING_SIZE
+                                            ? phase1Ranking[phase1Ranking.length - 1].score
+                                            : -Infinity,
+                                        constraints: constraints
                                     }
                                 });
                                 
@@ -5622,12 +6095,15 @@ function handleRuneImageError(img) {
                         options: {
                             role,
                             classCode: selectedClass,
-                            stats
+                            stats,
+                            weightProfile
                         },
                         weaponStartIdx: 0,
                         weaponEndIdx: workerWeapons.length,
                         workerId: i,
-                        totalCombinations
+                        totalCombinations,
+                        topN: RANKING_SIZE,
+                        constraints: constraints
                     }
                 });
                 
@@ -5642,6 +6118,14 @@ function handleRuneImageError(img) {
                 btnRecommend.disabled = false;
                 btnRecommend.textContent = '🎯 최적 룬 조합 추천받기';
             }
+            if (btnPareto) {
+                btnPareto.disabled = false;
+                btnPareto.textContent = '📊 DPS/생존/유틸 트레이드오프';
+            }
+            if (btnSensitivity) {
+                btnSensitivity.disabled = false;
+                btnSensitivity.textContent = '⚖️ 가중치 민감도 분석';
+            }
         }
     }
 
@@ -5673,1876 +6157,2634 @@ function handleRuneImageError(img) {
             }
         };
 
-        const recommendations = {};
-        var totalAwakeningCooldownReduction = 0;
+        const recommendations = {};
+        var totalAwakeningCooldownReduction = 0;
+
+        // 처리 순서: 무기 -> 방어구 -> 엠블럼 -> 장신구
+        var categoryOrder = ['01', '02', '04', '03'];
+
+        categoryOrder.forEach(function(categoryCode) {
+            var config = categories[categoryCode];
+            console.log('📦 카테고리 처리:', config.name, '(코드:', categoryCode + ')');
+
+            // 해당 카테고리 룬 필터링
+            // @updated 2025-12-10 - 새로운 등급 체계 기반 필터링
+            var categoryRunes = state.allRunes.filter(function(rune) {
+                // 카테고리 필터
+                if (rune.category !== categoryCode) return false;
+
+                // 효과 분석 불가 룬 제외
+                // @added 2025-12-11 - effects 배열이 없거나 비어있는 룬 제외
+                if (!rune.effects || !Array.isArray(rune.effects) || rune.effects.length === 0) {
+                    return false;
+                }
+
+                // 등급 필터 (priority 기반)
+                if (minGrade !== 'all') {
+                    var gradeInfo = getGradeInfo(rune);
+                    var minPriority = parseInt(minGrade) || 5;
+                    if (!gradeInfo || gradeInfo.priority > minPriority) return false;
+                }
+
+                // 클래스 필터
+                // @updated 2025-12-11 - classRestriction 필드 지원 추가 (수동 파싱 데이터 호환)
+                if (selectedClass !== '00') {
+                    var runeClass = rune.classRestriction || rune.klass || null;
+                    // 클래스 제한이 없는 룬(null)은 모든 클래스에서 사용 가능
+                    if (runeClass !== null && runeClass !== selectedClass && runeClass !== '00') {
+                        return false;
+                    }
+                }
+
+                return true;
+            });
+
+            console.log('  → 필터링 후 룬 수:', categoryRunes.length);
+
+            // 점수 계산 (엠블럼은 각성 쿨감 시너지 적용)
+            var cooldownReduction = (categoryCode === '04') ? totalAwakeningCooldownReduction : 0;
+
+            categoryRunes = categoryRunes.map(function(rune) {
+                var newRune = {};
+                for (var key in rune) {
+                    newRune[key] = rune[key];
+                }
+                newRune.score = calculateRuneScore(rune, stats, role, cooldownReduction);
+                return newRune;
+            }).sort(function(a, b) {
+                return b.score - a.score;
+            });
+
+            // 장신구: 동일 스킬 중복 제한 적용
+            // @added 2025-12-10
+            var selectedRunes = [];
+            if (categoryCode === '03') {
+                for (var i = 0; i < categoryRunes.length && selectedRunes.length < config.count; i++) {
+                    var candidateRune = categoryRunes[i];
+
+                    // 동일 스킬 룬인지 체크
+                    if (!isDuplicateSkillRune(selectedRunes, candidateRune)) {
+                        selectedRunes.push(candidateRune);
+                    }
+                }
+            } else {
+                // 다른 카테고리는 상위 N개 선택
+                selectedRunes = categoryRunes.slice(0, config.count);
+            }
+
+            recommendations[categoryCode] = {
+                count: config.count,
+                name: config.name,
+                slots: config.slots,
+                runes: selectedRunes
+            };
+
+            console.log('  → 선택된 룬 수:', selectedRunes.length);
+
+            // 방어구 선택 후 각성 쿨타임 감소량 계산
+            if (categoryCode === '02') {
+                selectedRunes.forEach(function(rune) {
+                    totalAwakeningCooldownReduction += parseAwakeningCooldownReduction(rune);
+                });
+            }
+        });
+
+        renderRecommendations(recommendations);
+    }
+
+    /**
+     * 추천 결과 렌더링
+     * @param {Object} recommendations - 추천 결과
+     * @updated 2025-12-10 - 상세 효과 분석 정보 표시
+     */
+    function renderRecommendations(recommendations) {
+        const emptyEl = $('#recommend-empty');
+        const slotsEl = $('#recommend-slots');
+        const applyEl = $('#recommend-apply');
+
+        if (!slotsEl) return;
+
+        // 빈 상태 숨기기
+        if (emptyEl) emptyEl.style.display = 'none';
+        slotsEl.style.display = 'block';
+        if (applyEl) applyEl.style.display = 'block';
+
+        let html = '';
+
+        Object.entries(recommendations).forEach(([categoryCode, data]) => {
+            html += `
+                <div class="recommend-slot-group" data-category="${categoryCode}">
+                    <h4 class="recommend-slot-group__title">${data.name} (${data.count}개)</h4>
+            `;
+
+            if (data.runes.length === 0) {
+                html += `<p class="effect-empty">추천할 룬이 없습니다</p>`;
+            } else {
+                data.runes.forEach((rune, index) => {
+                    // 고급 효과 분석 사용
+                    const efficiency = calculateRuneEfficiencyScore(rune, 15, []);
+
+                    // DPS 핵심 효과만 우선 정렬하여 표시
+                    // @updated 2025-12-10 - 핵심 DPS 효과만 표시
+                    const effectEntries = Object.entries(efficiency.effectiveSummary)
+                        .filter(([name, data]) => data.isCoreDPS) // 핵심 DPS 효과만
+                        .sort((a, b) => Math.abs(b[1].total) - Math.abs(a[1].total))
+                        .slice(0, 4); // 최대 4개
+
+                    const effectHtml = effectEntries.map(([name, data]) => {
+                        const sign = data.total >= 0 ? '+' : '';
+                        // DPS 핵심 효과는 ⚡ 아이콘
+                        const typeIcon = '⚡';
+                        return `<span class="effect-tag effect-tag--core" title="DPS 핵심 효과">${typeIcon} ${name} ${sign}${data.total.toFixed(1)}%</span>`;
+                    }).join(' ');
+
+                    // 등급 정보
+                    const gradeInfo = getGradeInfo(rune);
+                    const gradeName = gradeInfo ? gradeInfo.name : '??';
+
+                    html += `
+                        <div class="recommend-rune-item" data-rune-id="${rune.id}" data-slot="${data.slots[index]}">
+                            <img class="recommend-rune-item__image" 
+                                 src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                                 alt="${escapeHtml(rune.name)}"
+                                 onerror="handleRuneImageError(this)">
+                            <div class="recommend-rune-item__info">
+                                <div class="recommend-rune-item__name">
+                                    ${escapeHtml(rune.name)}
+                                    <span class="recommend-rune-item__grade">[${gradeName}]</span>
+                                </div>
+                                <div class="recommend-rune-item__effect">${effectHtml || '효과 분석 불가'}</div>
+                                ${efficiency.dotTypes.length > 0 ? 
+                                    `<div class="recommend-rune-item__synergy">🔗 시너지: ${efficiency.dotTypes.join(', ')}</div>` : ''}
+                            </div>
+                            <div class="recommend-rune-item__score">
+                                <span class="recommend-rune-item__score-label">효율 점수</span>
+                                <span class="recommend-rune-item__score-value">${rune.score.toFixed(0)}</span>
+                            </div>
+                        </div>
+                    `;
+                });
+            }
+
+            html += `</div>`;
+        });
+
+        slotsEl.innerHTML = html;
+
+        // 추천 결과를 state에 저장
+        state.lastRecommendations = recommendations;
+
+        // 디버깅: 추천 결과 요약
+        var totalRecommended = 0;
+        Object.values(recommendations).forEach(function(data) {
+            totalRecommended += data.runes.length;
+        });
+        console.log('✅ 추천 완료! 총 추천 룬 수:', totalRecommended);
+
+        if (totalRecommended === 0) {
+            showToast('조건에 맞는 룬이 없습니다. 필터 조건을 확인해주세요.', 'warning');
+        } else {
+            showToast('최적 룬 조합이 계산되었습니다! (' + totalRecommended + '개)', 'success');
+        }
+    }
+
+    /**
+     * 추천 결과를 시뮬레이터에 적용
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
+     */
+    function applyRecommendations() {
+        if (!state.lastRecommendations) {
+            showToast('추천 결과가 없습니다.', 'error');
+            return;
+        }
+
+        const before = captureHistorySnapshot();
+
+        // 기존 슬롯 초기화
+        state.equippedRunes = {};
+
+        // 추천 룬 장착
+        Object.values(state.lastRecommendations).forEach(data => {
+            data.runes.forEach((rune, index) => {
+                const slotId = data.slots[index];
+                if (slotId) {
+                    state.equippedRunes[slotId] = rune;
+                }
+            });
+        });
+
+        // 슬롯 렌더링
+        Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
+        calculateTotalEffects();
+        renderEquippedRuneList();
+        saveEquippedRunes();
+        commitHistory('추천 룬 적용', before);
+
+        // 시뮬레이터 탭으로 이동
+        switchTab('simulator');
+
+        showToast('추천 룬이 시뮬레이터에 적용되었습니다!', 'success');
+    }
+
+    /**
+     * 스텟 입력 초기화
+     * @updated 2025-12-11 - LocalStorage 저장된 스탯도 함께 초기화
+     */
+    function resetStats() {
+        const statInputs = $$('.stat-input__field');
+        statInputs.forEach(input => {
+            input.value = '';
+        });
+
+        // LocalStorage에 저장된 캐릭터 스탯 초기화 @added 2025-12-11
+        saveToStorage(STORAGE_KEYS.CHARACTER_STATS, {});
+
+        // 추천 결과 초기화
+        const emptyEl = $('#recommend-empty');
+        const slotsEl = $('#recommend-slots');
+        const applyEl = $('#recommend-apply');
+
+        if (emptyEl) emptyEl.style.display = 'flex';
+        if (slotsEl) slotsEl.style.display = 'none';
+        if (applyEl) applyEl.style.display = 'none';
+
+        showToast('스텟이 초기화되었습니다.', 'success');
+    }
+
+    // ============================================
+    // 11.5 캐릭터 프로필 관리 (Character Profile Management)
+    // @added 2025-12-11
+    // ============================================
+
+    /**
+     * 캐릭터 프로필 저장
+     * @description 현재 입력된 스텟을 선택된 캐릭터에 저장
+     * @updated 2025-12-11 - 전역 캐릭터 사용
+     */
+    function saveCurrentProfile() {
+        if (!state.selectedCharacterId) {
+            showToast('먼저 상단에서 캐릭터를 선택해주세요.', 'warning');
+            return;
+        }
+
+        var profile = state.characterProfiles.find(function(p) {
+            return p.id === state.selectedCharacterId;
+        });
+
+        if (!profile) {
+            showToast('프로필을 찾을 수 없습니다.', 'error');
+            return;
+        }
+
+        // 현재 스텟 수집
+        profile.stats = collectCurrentStats();
+        
+        // 추천 옵션도 저장
+        var roleEl = $('#recommend-role');
+        var classEl = $('#recommend-class');
+        var gradeEl = $('#recommend-min-grade');
+        
+        profile.options = {
+            role: roleEl ? roleEl.value : 'dealer',
+            classCode: classEl ? classEl.value : '00',
+            minGrade: gradeEl ? gradeEl.value : '3'
+        };
+
+        profile.updatedAt = new Date().toISOString();
 
-        // 처리 순서: 무기 -> 방어구 -> 엠블럼 -> 장신구
-        var categoryOrder = ['01', '02', '04', '03'];
+        saveCharacterProfiles();
+        statFormDirty = false; // @added 2025-12-15
+        showToast('"' + profile.name + '" 프로필이 저장되었습니다.', 'success');
+    }
 
-        categoryOrder.forEach(function(categoryCode) {
-            var config = categories[categoryCode];
-            console.log('📦 카테고리 처리:', config.name, '(코드:', categoryCode + ')');
+    /**
+     * 현재 입력된 스텟 수집
+     * @returns {Object} 스텟 객체
+     */
+    function collectCurrentStats() {
+        return {
+            // 5대 기본 스텟
+            str: parseInt($('#stat-str')?.value) || 0,
+            dex: parseInt($('#stat-dex')?.value) || 0,
+            int: parseInt($('#stat-int')?.value) || 0,
+            wil: parseInt($('#stat-wil')?.value) || 0,
+            luk: parseInt($('#stat-luk')?.value) || 0,
+            // 주요 스텟
+            atk: parseInt($('#stat-atk')?.value) || 0,
+            def: parseInt($('#stat-def')?.value) || 0,
+            // 세부 스텟
+            break: parseInt($('#stat-break')?.value) || 0,
+            smash: parseInt($('#stat-smash')?.value) || 0,
+            combo: parseInt($('#stat-combo')?.value) || 0,
+            skill: parseInt($('#stat-skill')?.value) || 0,
+            aoe: parseInt($('#stat-aoe')?.value) || 0,
+            heal: parseInt($('#stat-heal')?.value) || 0,
+            evade: parseInt($('#stat-evade')?.value) || 0,
+            extra: parseInt($('#stat-extra')?.value) || 0,
+            dmgred: parseInt($('#stat-dmgred')?.value) || 0,
+            atkspd: parseInt($('#stat-atkspd')?.value) || 0,
+            chain: parseInt($('#stat-chain')?.value) || 0,
+            skillspd: parseInt($('#stat-skillspd')?.value) || 0,
+            hp: parseInt($('#stat-hp')?.value) || 0,
+            ult: parseInt($('#stat-ult')?.value) || 0,
+            crit: parseInt($('#stat-crit')?.value) || 0
+        };
+    }
 
-            // 해당 카테고리 룬 필터링
-            // @updated 2025-12-10 - 새로운 등급 체계 기반 필터링
-            var categoryRunes = state.allRunes.filter(function(rune) {
-                // 카테고리 필터
-                if (rune.category !== categoryCode) return false;
+    /**
+     * 프로필 스텟을 입력 필드에 적용
+     * @param {Object} profile - 프로필 데이터
+     */
+    function applyProfileToInputs(profile) {
+        if (!profile) return;
 
-                // 효과 분석 불가 룬 제외
-                // @added 2025-12-11 - effects 배열이 없거나 비어있는 룬 제외
-                if (!rune.effects || !Array.isArray(rune.effects) || rune.effects.length === 0) {
-                    return false;
-                }
+        var stats = profile.stats || {};
+        var options = profile.options || {};
 
-                // 등급 필터 (priority 기반)
-                if (minGrade !== 'all') {
-                    var gradeInfo = getGradeInfo(rune);
-                    var minPriority = parseInt(minGrade) || 5;
-                    if (!gradeInfo || gradeInfo.priority > minPriority) return false;
-                }
+        // 5대 기본 스텟
+        setInputValue('#stat-str', stats.str);
+        setInputValue('#stat-dex', stats.dex);
+        setInputValue('#stat-int', stats.int);
+        setInputValue('#stat-wil', stats.wil);
+        setInputValue('#stat-luk', stats.luk);
 
-                // 클래스 필터
-                // @updated 2025-12-11 - classRestriction 필드 지원 추가 (수동 파싱 데이터 호환)
-                if (selectedClass !== '00') {
-                    var runeClass = rune.classRestriction || rune.klass || null;
-                    // 클래스 제한이 없는 룬(null)은 모든 클래스에서 사용 가능
-                    if (runeClass !== null && runeClass !== selectedClass && runeClass !== '00') {
-                        return false;
-                    }
-                }
+        // 주요 스텟
+        setInputValue('#stat-atk', stats.atk);
+        setInputValue('#stat-def', stats.def);
 
-                return true;
-            });
+        // 세부 스텟
+        setInputValue('#stat-break', stats.break);
+        setInputValue('#stat-smash', stats.smash);
+        setInputValue('#stat-combo', stats.combo);
+        setInputValue('#stat-skill', stats.skill);
+        setInputValue('#stat-aoe', stats.aoe);
+        setInputValue('#stat-heal', stats.heal);
+        setInputValue('#stat-evade', stats.evade);
+        setInputValue('#stat-extra', stats.extra);
+        setInputValue('#stat-dmgred', stats.dmgred);
+        setInputValue('#stat-atkspd', stats.atkspd);
+        setInputValue('#stat-chain', stats.chain);
+        setInputValue('#stat-skillspd', stats.skillspd);
+        setInputValue('#stat-hp', stats.hp);
+        setInputValue('#stat-ult', stats.ult);
+        setInputValue('#stat-crit', stats.crit);
 
-            console.log('  → 필터링 후 룬 수:', categoryRunes.length);
+        // 추천 옵션 적용
+        if (options.role) {
+            var roleEl = $('#recommend-role');
+            if (roleEl) roleEl.value = options.role;
+        }
+        if (options.classCode) {
+            var classEl = $('#recommend-class');
+            if (classEl) classEl.value = options.classCode;
+        }
+        if (options.minGrade) {
+            var gradeEl = $('#recommend-min-grade');
+            if (gradeEl) gradeEl.value = options.minGrade;
+        }
+    }
 
-            // 점수 계산 (엠블럼은 각성 쿨감 시너지 적용)
-            var cooldownReduction = (categoryCode === '04') ? totalAwakeningCooldownReduction : 0;
+    /**
+     * 입력 필드에 값 설정 헬퍼
+     * @param {string} selector - CSS 선택자
+     * @param {number} value - 설정할 값
+     */
+    function setInputValue(selector, value) {
+        var el = $(selector);
+        if (el) {
+            el.value = value || '';
+        }
+    }
 
-            categoryRunes = categoryRunes.map(function(rune) {
-                var newRune = {};
-                for (var key in rune) {
-                    newRune[key] = rune[key];
-                }
-                newRune.score = calculateRuneScore(rune, stats, role, cooldownReduction);
-                return newRune;
-            }).sort(function(a, b) {
-                return b.score - a.score;
-            });
+    /**
+     * 프로필 선택 처리
+     * @param {string} profileId - 프로필 ID
+     */
+    function selectProfile(profileId) {
+        state.currentProfileId = profileId;
 
-            // 장신구: 동일 스킬 중복 제한 적용
-            // @added 2025-12-10
-            var selectedRunes = [];
-            if (categoryCode === '03') {
-                for (var i = 0; i < categoryRunes.length && selectedRunes.length < config.count; i++) {
-                    var candidateRune = categoryRunes[i];
+        if (!profileId) {
+            // 선택 해제
+            return;
+        }
 
-                    // 동일 스킬 룬인지 체크
-                    if (!isDuplicateSkillRune(selectedRunes, candidateRune)) {
-                        selectedRunes.push(candidateRune);
-                    }
-                }
-            } else {
-                // 다른 카테고리는 상위 N개 선택
-                selectedRunes = categoryRunes.slice(0, config.count);
-            }
+        var profile = state.characterProfiles.find(function(p) {
+            return p.id === profileId;
+        });
 
-            recommendations[categoryCode] = {
-                count: config.count,
-                name: config.name,
-                slots: config.slots,
-                runes: selectedRunes
-            };
+        if (profile) {
+            applyProfileToInputs(profile);
+            showToast('"' + profile.name + '" 프로필을 불러왔습니다.', 'success');
+        }
+    }
 
-            console.log('  → 선택된 룬 수:', selectedRunes.length);
+    /**
+     * 새 캐릭터 등록 모달 열기
+     * @updated 2025-12-11 - 디버그 로그 추가
+     */
+    function openNewProfileModal() {
+        console.log('🔹 openNewProfileModal 호출됨');
+        
+        var modal = $('#profile-modal');
+        console.log('🔹 profile-modal 요소:', modal);
+        
+        if (!modal) {
+            console.error('❌ profile-modal 요소를 찾을 수 없습니다!');
+            showToast('프로필 모달을 찾을 수 없습니다.', 'error');
+            return;
+        }
 
-            // 방어구 선택 후 각성 쿨타임 감소량 계산
-            if (categoryCode === '02') {
-                selectedRunes.forEach(function(rune) {
-                    totalAwakeningCooldownReduction += parseAwakeningCooldownReduction(rune);
-                });
-            }
-        });
+        // 입력 초기화
+        var nameInput = $('#profile-name-input');
+        var classSelect = $('#profile-class-select');
+        var memoInput = $('#profile-memo-input');
 
-        renderRecommendations(recommendations);
+        if (nameInput) nameInput.value = '';
+        if (classSelect) classSelect.value = '';
+        if (memoInput) memoInput.value = '';
+
+        modal.classList.add('modal--open');
+        console.log('✅ profile-modal 열림, classList:', modal.classList);
     }
 
     /**
-     * 추천 결과 렌더링
-     * @param {Object} recommendations - 추천 결과
-     * @updated 2025-12-10 - 상세 효과 분석 정보 표시
+     * 프로필 모달 닫기
      */
-    function renderRecommendations(recommendations) {
-        const emptyEl = $('#recommend-empty');
-        const slotsEl = $('#recommend-slots');
-        const applyEl = $('#recommend-apply');
-
-        if (!slotsEl) return;
+    function closeProfileModal() {
+        var modal = $('#profile-modal');
+        if (modal) {
+            modal.classList.remove('modal--open');
+        }
+    }
 
-        // 빈 상태 숨기기
-        if (emptyEl) emptyEl.style.display = 'none';
-        slotsEl.style.display = 'block';
-        if (applyEl) applyEl.style.display = 'block';
+    /**
+     * 새 캐릭터 프로필 생성
+     */
+    function createNewProfile() {
+        var nameInput = $('#profile-name-input');
+        var classSelect = $('#profile-class-select');
+        var memoInput = $('#profile-memo-input');
 
-        let html = '';
+        var name = nameInput ? nameInput.value.trim() : '';
+        var classCode = classSelect ? classSelect.value : '';
+        var memo = memoInput ? memoInput.value.trim() : '';
 
-        Object.entries(recommendations).forEach(([categoryCode, data]) => {
-            html += `
-                <div class="recommend-slot-group" data-category="${categoryCode}">
-                    <h4 class="recommend-slot-group__title">${data.name} (${data.count}개)</h4>
-            `;
+        // 유효성 검사
+        if (!name) {
+            showToast('캐릭터 이름을 입력해주세요.', 'error');
+            return;
+        }
 
-            if (data.runes.length === 0) {
-                html += `<p class="effect-empty">추천할 룬이 없습니다</p>`;
-            } else {
-                data.runes.forEach((rune, index) => {
-                    // 고급 효과 분석 사용
-                    const efficiency = calculateRuneEfficiencyScore(rune, 15, []);
+        if (!classCode) {
+            showToast('클래스를 선택해주세요.', 'error');
+            return;
+        }
 
-                    // DPS 핵심 효과만 우선 정렬하여 표시
-                    // @updated 2025-12-10 - 핵심 DPS 효과만 표시
-                    const effectEntries = Object.entries(efficiency.effectiveSummary)
-                        .filter(([name, data]) => data.isCoreDPS) // 핵심 DPS 효과만
-                        .sort((a, b) => Math.abs(b[1].total) - Math.abs(a[1].total))
-                        .slice(0, 4); // 최대 4개
+        // 중복 이름 검사
+        var isDuplicate = state.characterProfiles.some(function(p) {
+            return p.name === name;
+        });
 
-                    const effectHtml = effectEntries.map(([name, data]) => {
-                        const sign = data.total >= 0 ? '+' : '';
-                        // DPS 핵심 효과는 ⚡ 아이콘
-                        const typeIcon = '⚡';
-                        return `<span class="effect-tag effect-tag--core" title="DPS 핵심 효과">${typeIcon} ${name} ${sign}${data.total.toFixed(1)}%</span>`;
-                    }).join(' ');
+        if (isDuplicate) {
+            showToast('이미 같은 이름의 캐릭터가 있습니다.', 'error');
+            return;
+        }
 
-                    // 등급 정보
-                    const gradeInfo = getGradeInfo(rune);
-                    const gradeName = gradeInfo ? gradeInfo.name : '??';
+        // 새 프로필 생성
+        var newProfile = {
+            id: 'profile_' + Date.now(),
+            name: name,
+            classCode: classCode,
+            className: CLASS_MAP[classCode] || '알 수 없음',
+            memo: memo,
+            stats: {},
+            options: {
+                role: 'dealer',
+                classCode: classCode,
+                minGrade: '3'
+            },
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
 
-                    html += `
-                        <div class="recommend-rune-item" data-rune-id="${rune.id}" data-slot="${data.slots[index]}">
-                            <img class="recommend-rune-item__image" 
-                                 src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                                 alt="${escapeHtml(rune.name)}"
-                                 onerror="handleRuneImageError(this)">
-                            <div class="recommend-rune-item__info">
-                                <div class="recommend-rune-item__name">
-                                    ${escapeHtml(rune.name)}
-                                    <span class="recommend-rune-item__grade">[${gradeName}]</span>
-                                </div>
-                                <div class="recommend-rune-item__effect">${effectHtml || '효과 분석 불가'}</div>
-                                ${efficiency.dotTypes.length > 0 ? 
-                                    `<div class="recommend-rune-item__synergy">🔗 시너지: ${efficiency.dotTypes.join(', ')}</div>` : ''}
-                            </div>
-                            <div class="recommend-rune-item__score">
-                                <span class="recommend-rune-item__score-label">효율 점수</span>
-                                <span class="recommend-rune-item__score-value">${rune.score.toFixed(0)}</span>
-                            </div>
-                        </div>
-                    `;
-                });
-            }
+        state.characterProfiles.push(newProfile);
+        saveCharacterProfiles();
 
-            html += `</div>`;
-        });
+        // 전역 캐릭터로 선택 @updated 2025-12-11
+        selectGlobalCharacter(newProfile.id);
+        renderProfileList();
 
-        slotsEl.innerHTML = html;
+        closeProfileModal();
+        showToast('"' + name + '" 캐릭터가 등록되었습니다!', 'success');
+    }
 
-        // 추천 결과를 state에 저장
-        state.lastRecommendations = recommendations;
+    /**
+     * 프로필 ID로 선택
+     * @param {string} profileId - 프로필 ID
+     */
+    function selectProfileById(profileId) {
+        var selectEl = $('#profile-select');
+        if (selectEl) {
+            selectEl.value = profileId;
+        }
+        selectProfile(profileId);
+    }
 
-        // 디버깅: 추천 결과 요약
-        var totalRecommended = 0;
-        Object.values(recommendations).forEach(function(data) {
-            totalRecommended += data.runes.length;
+    /**
+     * 프로필 삭제 (기존 호환)
+     * @updated 2025-12-11 - 전역 캐릭터 사용
+     */
+    function deleteCurrentProfile() {
+        if (!state.selectedCharacterId) {
+            showToast('삭제할 캐릭터를 상단에서 선택해주세요.', 'warning');
+            return;
+        }
+        confirmDeleteCharacter(state.selectedCharacterId);
+    }
+
+    /**
+     * 캐릭터 삭제 컨펌 모달 표시
+     * @param {string} charId - 삭제할 캐릭터 ID
+     * @added 2025-12-12
+     */
+    function confirmDeleteCharacter(charId) {
+        var profile = state.characterProfiles.find(function(p) {
+            return p.id === charId;
         });
-        console.log('✅ 추천 완료! 총 추천 룬 수:', totalRecommended);
 
-        if (totalRecommended === 0) {
-            showToast('조건에 맞는 룬이 없습니다. 필터 조건을 확인해주세요.', 'warning');
-        } else {
-            showToast('최적 룬 조합이 계산되었습니다! (' + totalRecommended + '개)', 'success');
+        if (!profile) {
+            showToast('프로필을 찾을 수 없습니다.', 'error');
+            return;
+        }
+
+        // 컨펌 모달 표시
+        var modal = $('#confirm-delete-modal');
+        var charNameEl = $('#confirm-delete-char-name');
+        var confirmBtn = $('#btn-confirm-delete');
+        
+        if (!modal) {
+            // 모달이 없으면 기본 confirm 사용
+            if (confirm('"' + profile.name + '" 캐릭터를 삭제하시겠습니까?\n\n저장된 스텟, 보유 룬, 장착 정보가 모두 삭제됩니다.')) {
+                executeDeleteCharacter(charId);
+            }
+            return;
+        }
+        
+        // 모달에 캐릭터 정보 표시
+        if (charNameEl) {
+            charNameEl.textContent = profile.name;
         }
+        
+        // 삭제 대상 ID 저장
+        state.pendingDeleteCharId = charId;
+        
+        // 모달 열기
+        modal.classList.add('modal--open');
     }
 
     /**
-     * 추천 결과를 시뮬레이터에 적용
+     * 캐릭터 삭제 실행
+     * @param {string} charId - 삭제할 캐릭터 ID
+     * @added 2025-12-12
      */
-    function applyRecommendations() {
-        if (!state.lastRecommendations) {
-            showToast('추천 결과가 없습니다.', 'error');
+    function executeDeleteCharacter(charId) {
+        var profile = state.characterProfiles.find(function(p) {
+            return p.id === charId;
+        });
+
+        if (!profile) {
+            showToast('프로필을 찾을 수 없습니다.', 'error');
             return;
         }
 
-        // 기존 슬롯 초기화
-        state.equippedRunes = {};
+        var profileName = profile.name;
 
-        // 추천 룬 장착
-        Object.values(state.lastRecommendations).forEach(data => {
-            data.runes.forEach((rune, index) => {
-                const slotId = data.slots[index];
-                if (slotId) {
-                    state.equippedRunes[slotId] = rune;
-                }
-            });
+        // 삭제
+        state.characterProfiles = state.characterProfiles.filter(function(p) {
+            return p.id !== charId;
         });
 
-        // 슬롯 렌더링
-        Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
-        calculateTotalEffects();
-        renderEquippedRuneList();
-        saveEquippedRunes();
+        // 장착 룬 및 보유 룬 데이터도 삭제
+        delete state.characterEquipments[charId];
+        delete state.characterOwnedRunes[charId];
+        delete state.characterWeightProfiles[charId]; // @added 2025-12-15
 
-        // 시뮬레이터 탭으로 이동
-        switchTab('simulator');
+        // 현재 선택된 캐릭터였다면 선택 해제
+        if (state.selectedCharacterId === charId) {
+            state.selectedCharacterId = null;
+            saveToStorage('selectedCharacterId', null);
+            resetStats();
+        }
 
-        showToast('추천 룬이 시뮬레이터에 적용되었습니다!', 'success');
+        saveCharacterProfiles();
+        saveCharacterEquipments();
+        saveCharacterOwnedRunes();
+        saveCharacterWeightProfiles();
+        applyActiveWeightProfile();
+        
+        // 전역 캐릭터 UI 업데이트
+        updateGlobalCharacterDisplay();
+        renderProfileList();
+        
+        // 드롭다운 닫기
+        closeGlobalCharDropdown();
+
+        showToast('"' + profileName + '" 캐릭터가 삭제되었습니다.', 'success');
     }
 
     /**
-     * 스텟 입력 초기화
-     * @updated 2025-12-11 - LocalStorage 저장된 스탯도 함께 초기화
+     * 삭제 컨펌 모달 닫기
+     * @added 2025-12-12
      */
-    function resetStats() {
-        const statInputs = $$('.stat-input__field');
-        statInputs.forEach(input => {
-            input.value = '';
-        });
+    function closeConfirmDeleteModal() {
+        var modal = $('#confirm-delete-modal');
+        if (modal) {
+            modal.classList.remove('modal--open');
+        }
+        state.pendingDeleteCharId = null;
+    }
 
-        // LocalStorage에 저장된 캐릭터 스탯 초기화 @added 2025-12-11
-        saveToStorage(STORAGE_KEYS.CHARACTER_STATS, {});
+    /**
+     * 프로필 목록 렌더링
+     */
+    function renderProfileList() {
+        var selectEl = $('#profile-select');
+        if (!selectEl) return;
 
-        // 추천 결과 초기화
-        const emptyEl = $('#recommend-empty');
-        const slotsEl = $('#recommend-slots');
-        const applyEl = $('#recommend-apply');
+        // 기본 옵션
+        var html = '<option value="">-- 프로필 선택 --</option>';
+
+        // 프로필 목록
+        state.characterProfiles.forEach(function(profile) {
+            var className = CLASS_MAP[profile.classCode] || profile.className || '';
+            var displayName = profile.name;
+            if (className) {
+                displayName += ' (' + className.split(' ')[0] + ')';
+            }
+            if (profile.memo) {
+                displayName += ' - ' + profile.memo;
+            }
+
+            var selected = profile.id === state.currentProfileId ? 'selected' : '';
+            html += '<option value="' + profile.id + '" ' + selected + '>' + escapeHtml(displayName) + '</option>';
+        });
+
+        selectEl.innerHTML = html;
+    }
 
-        if (emptyEl) emptyEl.style.display = 'flex';
-        if (slotsEl) slotsEl.style.display = 'none';
-        if (applyEl) applyEl.style.display = 'none';
+    /**
+     * 캐릭터 프로필 저장 (LocalStorage)
+     */
+    function saveCharacterProfiles() {
+        saveToStorage(STORAGE_KEYS.CHARACTER_PROFILES, state.characterProfiles);
+    }
 
-        showToast('스텟이 초기화되었습니다.', 'success');
+    /**
+     * 캐릭터 프로필 불러오기 (LocalStorage)
+     */
+    function loadCharacterProfiles() {
+        state.characterProfiles = loadFromStorage(STORAGE_KEYS.CHARACTER_PROFILES, []);
+        // 마지막 선택된 캐릭터 복원
+        state.selectedCharacterId = loadFromStorage('selectedCharacterId', null);
+        renderProfileList();
+        updateGlobalCharacterDisplay();
     }
 
     // ============================================
-    // 11.5 캐릭터 프로필 관리 (Character Profile Management)
-    // @added 2025-12-11
+    // 11-1. 전역 캐릭터 관리 @added 2025-12-11
     // ============================================
 
     /**
-     * 캐릭터 프로필 저장
-     * @description 현재 입력된 스텟을 선택된 캐릭터에 저장
-     * @updated 2025-12-11 - 전역 캐릭터 사용
+     * 전역 캐릭터 선택
+     * @param {string|null} charId - 캐릭터 ID
+     * @updated 2025-12-15 - 룬 목록 정렬 점수 재계산
+     * @updated 2025-12-15 - 캐릭터별 가중치 프로필 적용
      */
-    function saveCurrentProfile() {
-        if (!state.selectedCharacterId) {
-            showToast('먼저 상단에서 캐릭터를 선택해주세요.', 'warning');
-            return;
+    function selectGlobalCharacter(charId) {
+        state.selectedCharacterId = charId;
+        saveToStorage('selectedCharacterId', charId);
+        
+        // UI 업데이트
+        updateGlobalCharacterDisplay();
+        closeGlobalCharDropdown();
+        
+        // 캐릭터 선택 시 관련 기능 갱신
+        if (charId) {
+            const profile = state.characterProfiles.find(p => p.id === charId);
+            if (profile) {
+                // 추천 시스템 탭: 스텟 폼 업데이트
+                applyProfileToStatForm(profile);
+                showToast(`${profile.name} 캐릭터가 선택되었습니다.`, 'success');
+            }
         }
+        
+        // 캐릭터별 가중치 프로필 적용 @added 2025-12-15
+        applyActiveWeightProfile();
 
-        var profile = state.characterProfiles.find(function(p) {
-            return p.id === state.selectedCharacterId;
-        });
+        // 캐릭터 기준 정렬 점수가 바뀌므로 목록 재정렬 (점수는 getRuneSortMetrics에서 재계산)
+        sortFilteredRunes();
 
-        if (!profile) {
-            showToast('프로필을 찾을 수 없습니다.', 'error');
-            return;
-        }
+        // 실행 취소 기록은 캐릭터별 @added 2025-12-15
+        renderHistoryButtons();
 
-        // 현재 스텟 수집
-        profile.stats = collectCurrentStats();
+        // 현재 활성 탭에 따라 UI 갱신
+        refreshCurrentTabForCharacter();
+    }
+
+    /**
+     * 전역 캐릭터 표시 업데이트
+     */
+    function updateGlobalCharacterDisplay() {
+        const nameEl = $('#global-char-name');
+        const iconEl = $('.global-character-select__icon');
         
-        // 추천 옵션도 저장
-        var roleEl = $('#recommend-role');
-        var classEl = $('#recommend-class');
-        var gradeEl = $('#recommend-min-grade');
+        if (!nameEl) return;
         
-        profile.options = {
-            role: roleEl ? roleEl.value : 'dealer',
-            classCode: classEl ? classEl.value : '00',
-            minGrade: gradeEl ? gradeEl.value : '3'
-        };
-
-        profile.updatedAt = new Date().toISOString();
-
-        saveCharacterProfiles();
-        showToast('"' + profile.name + '" 프로필이 저장되었습니다.', 'success');
+        if (state.selectedCharacterId) {
+            const profile = state.characterProfiles.find(p => p.id === state.selectedCharacterId);
+            if (profile) {
+                nameEl.textContent = profile.name;
+                if (iconEl) {
+                    iconEl.textContent = getClassIcon(profile.className);
+                }
+                return;
+            }
+        }
+        
+        nameEl.textContent = '캐릭터 선택';
+        if (iconEl) iconEl.textContent = '👤';
     }
 
     /**
-     * 현재 입력된 스텟 수집
-     * @returns {Object} 스텟 객체
+     * 클래스별 아이콘 반환
+     * @param {string} className - 클래스명
+     * @returns {string} 아이콘
      */
-    function collectCurrentStats() {
-        return {
-            // 5대 기본 스텟
-            str: parseInt($('#stat-str')?.value) || 0,
-            dex: parseInt($('#stat-dex')?.value) || 0,
-            int: parseInt($('#stat-int')?.value) || 0,
-            wil: parseInt($('#stat-wil')?.value) || 0,
-            luk: parseInt($('#stat-luk')?.value) || 0,
-            // 주요 스텟
-            atk: parseInt($('#stat-atk')?.value) || 0,
-            def: parseInt($('#stat-def')?.value) || 0,
-            // 세부 스텟
-            break: parseInt($('#stat-break')?.value) || 0,
-            smash: parseInt($('#stat-smash')?.value) || 0,
-            combo: parseInt($('#stat-combo')?.value) || 0,
-            skill: parseInt($('#stat-skill')?.value) || 0,
-            aoe: parseInt($('#stat-aoe')?.value) || 0,
-            heal: parseInt($('#stat-heal')?.value) || 0,
-            evade: parseInt($('#stat-evade')?.value) || 0,
-            extra: parseInt($('#stat-extra')?.value) || 0,
-            dmgred: parseInt($('#stat-dmgred')?.value) || 0,
-            atkspd: parseInt($('#stat-atkspd')?.value) || 0,
-            chain: parseInt($('#stat-chain')?.value) || 0,
-            skillspd: parseInt($('#stat-skillspd')?.value) || 0,
-            hp: parseInt($('#stat-hp')?.value) || 0,
-            ult: parseInt($('#stat-ult')?.value) || 0,
-            crit: parseInt($('#stat-crit')?.value) || 0
+    function getClassIcon(className) {
+        const icons = {
+            '워리어': '⚔️',
+            '레인저': '🏹',
+            '메이지': '🔮',
+            '힐러': '💚',
+            '어쌔신': '🗡️'
         };
+        return icons[className] || '👤';
     }
 
     /**
-     * 프로필 스텟을 입력 필드에 적용
-     * @param {Object} profile - 프로필 데이터
+     * 전역 캐릭터 드롭다운 열기/닫기 토글
      */
-    function applyProfileToInputs(profile) {
-        if (!profile) return;
+    function toggleGlobalCharDropdown() {
+        const dropdown = $('#global-char-dropdown');
+        if (!dropdown) return;
+        
+        if (dropdown.style.display === 'none') {
+            openGlobalCharDropdown();
+        } else {
+            closeGlobalCharDropdown();
+        }
+    }
 
-        var stats = profile.stats || {};
-        var options = profile.options || {};
+    /**
+     * 전역 캐릭터 드롭다운 열기
+     * @updated 2025-12-15 - 목록 렌더링을 renderGlobalCharList로 분리 (다른 탭 변경 시 재사용)
+     */
+    function openGlobalCharDropdown() {
+        const dropdown = $('#global-char-dropdown');
+        if (!dropdown || !renderGlobalCharList()) return;
 
-        // 5대 기본 스텟
-        setInputValue('#stat-str', stats.str);
-        setInputValue('#stat-dex', stats.dex);
-        setInputValue('#stat-int', stats.int);
-        setInputValue('#stat-wil', stats.wil);
-        setInputValue('#stat-luk', stats.luk);
+        dropdown.style.display = 'block';
+        
+        // 외부 클릭 시 닫기
+        setTimeout(() => {
+            document.addEventListener('click', handleOutsideClick);
+        }, 10);
+    }
 
-        // 주요 스텟
-        setInputValue('#stat-atk', stats.atk);
-        setInputValue('#stat-def', stats.def);
+    /**
+     * 전역 캐릭터 드롭다운 목록 렌더링
+     * @returns {boolean} 렌더링 여부 (목록 요소가 없으면 false)
+     * @added 2025-12-15
+     */
+    function renderGlobalCharList() {
+        const list = $('#global-char-list');
+        if (!list) return false;
+        
+        // 캐릭터 목록 생성
+        list.innerHTML = state.characterProfiles.length === 0
+            ? '<div class="global-char-item" style="color:#888;cursor:default;">등록된 캐릭터가 없습니다</div>'
+            : state.characterProfiles.map(profile => {
+                const isActive = profile.id === state.selectedCharacterId;
+                const ownedCount = (state.characterOwnedRunes[profile.id] || []).length;
+                const equippedCount = getEquippedCount(profile.id);
+                
+                // @updated 2025-12-12 삭제 버튼 추가
+                return `
+                    <div class="global-char-item ${isActive ? 'global-char-item--active' : ''}" 
+                         data-char-id="${profile.id}">
+                        <div class="global-char-item__icon">${getClassIcon(profile.className)}</div>
+                        <div class="global-char-item__info">
+                            <div class="global-char-item__name">${escapeHtml(profile.name)}</div>
+                            <div class="global-char-item__class">${profile.className}</div>
+                        </div>
+                        <div class="global-char-item__stats">
+                            💎${ownedCount} / 🎯${equippedCount}
+                        </div>
+                        <button class="global-char-item__delete" data-delete-id="${profile.id}" title="캐릭터 삭제">
+                            🗑️
+                        </button>
+                    </div>
+                `;
+            }).join('');
 
-        // 세부 스텟
-        setInputValue('#stat-break', stats.break);
-        setInputValue('#stat-smash', stats.smash);
-        setInputValue('#stat-combo', stats.combo);
-        setInputValue('#stat-skill', stats.skill);
-        setInputValue('#stat-aoe', stats.aoe);
-        setInputValue('#stat-heal', stats.heal);
-        setInputValue('#stat-evade', stats.evade);
-        setInputValue('#stat-extra', stats.extra);
-        setInputValue('#stat-dmgred', stats.dmgred);
-        setInputValue('#stat-atkspd', stats.atkspd);
-        setInputValue('#stat-chain', stats.chain);
-        setInputValue('#stat-skillspd', stats.skillspd);
-        setInputValue('#stat-hp', stats.hp);
-        setInputValue('#stat-ult', stats.ult);
-        setInputValue('#stat-crit', stats.crit);
+        return true;
+    }
 
-        // 추천 옵션 적용
-        if (options.role) {
-            var roleEl = $('#recommend-role');
-            if (roleEl) roleEl.value = options.role;
-        }
-        if (options.classCode) {
-            var classEl = $('#recommend-class');
-            if (classEl) classEl.value = options.classCode;
-        }
-        if (options.minGrade) {
-            var gradeEl = $('#recommend-min-grade');
-            if (gradeEl) gradeEl.value = options.minGrade;
-        }
+    /**
+     * 장착된 룬 개수 반환
+     * @param {string} charId - 캐릭터 ID
+     * @returns {number}
+     */
+    function getEquippedCount(charId) {
+        const equipment = state.characterEquipments[charId];
+        if (!equipment) return 0;
+        
+        let count = 0;
+        if (equipment.weapon) count++;
+        if (equipment.emblem) count++;
+        equipment.armors.forEach(a => { if (a) count++; });
+        equipment.accessories.forEach(a => { if (a) count++; });
+        return count;
+    }
+
+    /**
+     * 전역 캐릭터 드롭다운 닫기
+     */
+    function closeGlobalCharDropdown() {
+        const dropdown = $('#global-char-dropdown');
+        if (dropdown) dropdown.style.display = 'none';
+        document.removeEventListener('click', handleOutsideClick);
     }
 
     /**
-     * 입력 필드에 값 설정 헬퍼
-     * @param {string} selector - CSS 선택자
-     * @param {number} value - 설정할 값
+     * 드롭다운 외부 클릭 핸들러
      */
-    function setInputValue(selector, value) {
-        var el = $(selector);
-        if (el) {
-            el.value = value || '';
+    function handleOutsideClick(e) {
+        const area = $('#global-character-area');
+        if (area && !area.contains(e.target)) {
+            closeGlobalCharDropdown();
         }
     }
 
     /**
-     * 프로필 선택 처리
-     * @param {string} profileId - 프로필 ID
+     * 현재 탭에 맞게 UI 갱신
      */
-    function selectProfile(profileId) {
-        state.currentProfileId = profileId;
-
-        if (!profileId) {
-            // 선택 해제
-            return;
-        }
-
-        var profile = state.characterProfiles.find(function(p) {
-            return p.id === profileId;
-        });
-
-        if (profile) {
-            applyProfileToInputs(profile);
-            showToast('"' + profile.name + '" 프로필을 불러왔습니다.', 'success');
+    function refreshCurrentTabForCharacter() {
+        const activeTab = $('.tab-nav__btn--active');
+        if (!activeTab) return;
+        
+        const tabId = activeTab.dataset.tab;
+        
+        switch (tabId) {
+            case 'rune-list':
+                renderRuneList();
+                break;
+            case 'recommend':
+                renderProfileList();
+                break;
+            case 'equipment':
+                // @fixed 2025-12-12 - updateEquipmentTabUI로 변경
+                updateEquipmentTabUI();
+                break;
         }
     }
 
     /**
-     * 새 캐릭터 등록 모달 열기
-     * @updated 2025-12-11 - 디버그 로그 추가
+     * 프로필을 스텟 폼에 적용
+     * @param {Object} profile - 캐릭터 프로필
      */
-    function openNewProfileModal() {
-        console.log('🔹 openNewProfileModal 호출됨');
+    function applyProfileToStatForm(profile) {
+        if (!profile || !profile.stats) return;
+        statFormDirty = false; // @added 2025-12-15
         
-        var modal = $('#profile-modal');
-        console.log('🔹 profile-modal 요소:', modal);
+        // 클래스 선택
+        const classSelect = $('#stat-class');
+        if (classSelect && profile.className) {
+            const classCode = Object.entries(CLASS_MAP).find(([k, v]) => v === profile.className);
+            if (classCode) classSelect.value = classCode[0];
+        }
         
-        if (!modal) {
-            console.error('❌ profile-modal 요소를 찾을 수 없습니다!');
-            showToast('프로필 모달을 찾을 수 없습니다.', 'error');
+        // 스텟 입력 폼 업데이트
+        Object.entries(profile.stats).forEach(([key, value]) => {
+            const input = $(`#stat-${key}`);
+            if (input) input.value = value;
+        });
+    }
+
+    // ============================================
+    // 12. 즐겨찾기 (Favorites)
+    // ============================================
+
+    /**
+     * 즐겨찾기/보유 룬 토글
+     * @param {number} runeId - 룬 ID
+     * @updated 2025-12-11 - 전역 캐릭터별 보유 룬 기능
+     */
+    function toggleFavorite(runeId) {
+        const charId = state.selectedCharacterId;
+        const rune = state.allRunes.find(r => r.id === runeId);
+        const runeName = rune ? rune.name : '룬';
+
+        // 캐릭터가 선택되어 있으면 보유 룬으로 처리
+        if (charId) {
+            const profile = state.characterProfiles.find(p => p.id === charId);
+            const charName = profile ? profile.name : '캐릭터';
+
+            if (isRuneOwned(charId, runeId)) {
+                removeOwnedRune(charId, runeId);
+                showToast(`${charName}의 보유 룬에서 "${runeName}" 제거됨`, 'info');
+            } else {
+                addOwnedRune(charId, runeId);
+                showToast(`${charName}의 보유 룬에 "${runeName}" 추가됨`, 'success');
+            }
+            
+            updateGlobalCharacterDisplay(); // 보유 개수 업데이트 @fixed 2025-12-12
+            renderRuneList(); // 목록 업데이트 (아이콘 상태)
             return;
         }
 
-        // 입력 초기화
-        var nameInput = $('#profile-name-input');
-        var classSelect = $('#profile-class-select');
-        var memoInput = $('#profile-memo-input');
+        // 캐릭터 미선택 시 기존 즐겨찾기로 동작
+        const index = state.favorites.indexOf(runeId);
 
-        if (nameInput) nameInput.value = '';
-        if (classSelect) classSelect.value = '';
-        if (memoInput) memoInput.value = '';
+        if (index === -1) {
+            state.favorites.push(runeId);
+            showToast('즐겨찾기에 추가되었습니다.', 'success');
+        } else {
+            state.favorites.splice(index, 1);
+            showToast('즐겨찾기에서 제거되었습니다.', 'success');
+        }
 
-        modal.classList.add('modal--open');
-        console.log('✅ profile-modal 열림, classList:', modal.classList);
+        saveFavorites();
+        renderRuneList(); // 목록 업데이트
+        renderFavorites(); // 즐겨찾기 탭 업데이트
     }
 
     /**
-     * 프로필 모달 닫기
+     * 즐겨찾기 저장
      */
-    function closeProfileModal() {
-        var modal = $('#profile-modal');
-        if (modal) {
-            modal.classList.remove('modal--open');
-        }
+    function saveFavorites() {
+        saveToStorage(STORAGE_KEYS.FAVORITES, state.favorites);
     }
 
     /**
-     * 새 캐릭터 프로필 생성
+     * 즐겨찾기 불러오기
      */
-    function createNewProfile() {
-        var nameInput = $('#profile-name-input');
-        var classSelect = $('#profile-class-select');
-        var memoInput = $('#profile-memo-input');
+    function loadFavorites() {
+        state.favorites = loadFromStorage(STORAGE_KEYS.FAVORITES, []);
+    }
 
-        var name = nameInput ? nameInput.value.trim() : '';
-        var classCode = classSelect ? classSelect.value : '';
-        var memo = memoInput ? memoInput.value.trim() : '';
+    /**
+     * 즐겨찾기 목록 렌더링
+     */
+    function renderFavorites() {
+        const grid = $('#favorites-grid');
+        const emptyEl = $('#favorites-empty');
 
-        // 유효성 검사
-        if (!name) {
-            showToast('캐릭터 이름을 입력해주세요.', 'error');
-            return;
-        }
+        if (!grid) return;
 
-        if (!classCode) {
-            showToast('클래스를 선택해주세요.', 'error');
+        const favoriteRunes = state.allRunes.filter(rune => state.favorites.includes(rune.id));
+        refreshRuneSortContext(); // @added 2025-12-15 카드 점수 기준
+
+        if (favoriteRunes.length === 0) {
+            if (emptyEl) emptyEl.style.display = 'flex';
+            grid.innerHTML = '';
+            grid.appendChild(emptyEl);
             return;
         }
 
-        // 중복 이름 검사
-        var isDuplicate = state.characterProfiles.some(function(p) {
-            return p.name === name;
-        });
+        if (emptyEl) emptyEl.style.display = 'none';
+        grid.innerHTML = favoriteRunes.map(rune => createRuneCard(rune)).join('');
+    }
 
-        if (isDuplicate) {
-            showToast('이미 같은 이름의 캐릭터가 있습니다.', 'error');
-            return;
-        }
+    // ============================================
+    // 12-2. 캐릭터별 장착 룬 관리
+    // @added 2025-12-11
+    // ============================================
 
-        // 새 프로필 생성
-        var newProfile = {
-            id: 'profile_' + Date.now(),
-            name: name,
-            classCode: classCode,
-            className: CLASS_MAP[classCode] || '알 수 없음',
-            memo: memo,
-            stats: {},
-            options: {
-                role: 'dealer',
-                classCode: classCode,
-                minGrade: '3'
-            },
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    /**
+     * 캐릭터 장착 룬 저장
+     */
+    function saveCharacterEquipments() {
+        saveToStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, state.characterEquipments);
+    }
 
-        state.characterProfiles.push(newProfile);
-        saveCharacterProfiles();
+    /**
+     * 캐릭터 장착 룬 불러오기
+     */
+    function loadCharacterEquipments() {
+        state.characterEquipments = loadFromStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, {});
+    }
 
-        // 전역 캐릭터로 선택 @updated 2025-12-11
-        selectGlobalCharacter(newProfile.id);
-        renderProfileList();
+    /**
+     * 캐릭터 보유 룬 저장
+     * @added 2025-12-11
+     */
+    function saveCharacterOwnedRunes() {
+        saveToStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, state.characterOwnedRunes);
+    }
 
-        closeProfileModal();
-        showToast('"' + name + '" 캐릭터가 등록되었습니다!', 'success');
+    /**
+     * 캐릭터 보유 룬 불러오기
+     * @added 2025-12-11
+     */
+    function loadCharacterOwnedRunes() {
+        state.characterOwnedRunes = loadFromStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, {});
+    }
+
+    /**
+     * 캐릭터에 보유 룬 추가
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @param {number} runeId - 룬 ID
+     * @added 2025-12-11
+     */
+    function addOwnedRune(charId, runeId) {
+        // @debug 2025-12-12
+        console.log('[보유룬추가] charId:', charId, 'runeId:', runeId);
+        
+        if (!charId) {
+            console.log('[보유룬추가] 실패: charId 없음');
+            return false;
+        }
+        
+        if (!state.characterOwnedRunes[charId]) {
+            state.characterOwnedRunes[charId] = [];
+        }
+        
+        // 이미 보유 중이면 추가하지 않음
+        if (state.characterOwnedRunes[charId].includes(runeId)) {
+            console.log('[보유룬추가] 이미 보유 중:', runeId);
+            return false;
+        }
+        
+        state.characterOwnedRunes[charId].push(runeId);
+        console.log('[보유룬추가] 추가 완료. 현재 목록:', state.characterOwnedRunes[charId]);
+        saveCharacterOwnedRunes();
+        return true;
     }
 
     /**
-     * 프로필 ID로 선택
-     * @param {string} profileId - 프로필 ID
+     * 캐릭터에서 보유 룬 제거
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @param {number} runeId - 룬 ID
+     * @added 2025-12-11
      */
-    function selectProfileById(profileId) {
-        var selectEl = $('#profile-select');
-        if (selectEl) {
-            selectEl.value = profileId;
-        }
-        selectProfile(profileId);
+    function removeOwnedRune(charId, runeId) {
+        if (!charId || !state.characterOwnedRunes[charId]) return false;
+        
+        const idx = state.characterOwnedRunes[charId].indexOf(runeId);
+        if (idx === -1) return false;
+        
+        state.characterOwnedRunes[charId].splice(idx, 1);
+        saveCharacterOwnedRunes();
+        return true;
     }
 
     /**
-     * 프로필 삭제 (기존 호환)
-     * @updated 2025-12-11 - 전역 캐릭터 사용
+     * 캐릭터가 해당 룬을 보유 중인지 확인
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @param {number} runeId - 룬 ID
+     * @returns {boolean}
+     * @added 2025-12-11
      */
-    function deleteCurrentProfile() {
-        if (!state.selectedCharacterId) {
-            showToast('삭제할 캐릭터를 상단에서 선택해주세요.', 'warning');
-            return;
-        }
-        confirmDeleteCharacter(state.selectedCharacterId);
+    function isRuneOwned(charId, runeId) {
+        if (!charId || !state.characterOwnedRunes[charId]) return false;
+        return state.characterOwnedRunes[charId].includes(runeId);
     }
 
     /**
-     * 캐릭터 삭제 컨펌 모달 표시
-     * @param {string} charId - 삭제할 캐릭터 ID
-     * @added 2025-12-12
+     * 캐릭터의 보유 룬 목록 가져오기
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @returns {Array} 보유 룬 객체 배열
+     * @added 2025-12-11
      */
-    function confirmDeleteCharacter(charId) {
-        var profile = state.characterProfiles.find(function(p) {
-            return p.id === charId;
-        });
+    function getOwnedRunes(charId) {
+        if (!charId || !state.characterOwnedRunes[charId]) return [];
+        
+        // @fixed 2025-12-12 - 타입 불일치 문제 해결 (숫자/문자열)
+        return state.characterOwnedRunes[charId]
+            .map(id => {
+                // 숫자와 문자열 모두 비교
+                const numId = typeof id === 'string' ? parseInt(id, 10) : id;
+                return state.allRunes.find(r => r.id === id || r.id === numId);
+            })
+            .filter(r => r);
+    }
 
-        if (!profile) {
-            showToast('프로필을 찾을 수 없습니다.', 'error');
-            return;
-        }
+    // @deprecated 2025-12-11 - 전역 캐릭터 선택으로 통합됨
+    // 이 함수들은 더 이상 필요하지 않음
 
-        // 컨펌 모달 표시
-        var modal = $('#confirm-delete-modal');
-        var charNameEl = $('#confirm-delete-char-name');
-        var confirmBtn = $('#btn-confirm-delete');
+    /**
+     * 장착 탭 캐릭터 선택 드롭다운 업데이트 (레거시)
+     * @deprecated 2025-12-11 - 전역 캐릭터 선택 사용
+     */
+    function updateEquipmentCharacterSelect() {
+        // 전역 캐릭터 선택으로 대체됨
+        return;
+
+        select.innerHTML = '<option value="">-- 캐릭터를 선택하세요 --</option>';
         
-        if (!modal) {
-            // 모달이 없으면 기본 confirm 사용
-            if (confirm('"' + profile.name + '" 캐릭터를 삭제하시겠습니까?\n\n저장된 스텟, 보유 룬, 장착 정보가 모두 삭제됩니다.')) {
-                executeDeleteCharacter(charId);
+        state.characterProfiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name + ' (' + profile.className + ')';
+            if (profile.id === state.selectedCharacterId) {
+                option.selected = true;
             }
-            return;
-        }
-        
-        // 모달에 캐릭터 정보 표시
-        if (charNameEl) {
-            charNameEl.textContent = profile.name;
-        }
-        
-        // 삭제 대상 ID 저장
-        state.pendingDeleteCharId = charId;
-        
-        // 모달 열기
-        modal.classList.add('modal--open');
+            select.appendChild(option);
+        });
     }
 
     /**
-     * 캐릭터 삭제 실행
-     * @param {string} charId - 삭제할 캐릭터 ID
-     * @added 2025-12-12
+     * 보유룬 탭 UI 업데이트 (전역 캐릭터 기반)
+     * @updated 2025-12-11 - 보유 룬 목록 중심 UI로 재구성
      */
-    function executeDeleteCharacter(charId) {
-        var profile = state.characterProfiles.find(function(p) {
-            return p.id === charId;
-        });
+    function updateEquipmentTabUI() {
+        const charId = state.selectedCharacterId;
+        
+        const mainEl = $('#owned-main');
+        const emptyEl = $('#owned-empty');
 
-        if (!profile) {
-            showToast('프로필을 찾을 수 없습니다.', 'error');
+        if (!charId) {
+            // 캐릭터 미선택
+            if (mainEl) mainEl.style.display = 'none';
+            if (emptyEl) emptyEl.style.display = 'flex';
             return;
         }
 
-        var profileName = profile.name;
-
-        // 삭제
-        state.characterProfiles = state.characterProfiles.filter(function(p) {
-            return p.id !== charId;
-        });
-
-        // 장착 룬 및 보유 룬 데이터도 삭제
-        delete state.characterEquipments[charId];
-        delete state.characterOwnedRunes[charId];
+        // 캐릭터 선택됨
+        if (mainEl) mainEl.style.display = 'block';
+        if (emptyEl) emptyEl.style.display = 'none';
 
-        // 현재 선택된 캐릭터였다면 선택 해제
-        if (state.selectedCharacterId === charId) {
-            state.selectedCharacterId = null;
-            saveToStorage('selectedCharacterId', null);
-            resetStats();
-        }
+        // 보유 룬 목록 렌더링
+        renderOwnedRunesTab(charId);
+    }
 
-        saveCharacterProfiles();
-        saveCharacterEquipments();
-        saveCharacterOwnedRunes();
+    /**
+     * 보유룬 탭 전체 렌더링
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @added 2025-12-11
+     */
+    function renderOwnedRunesTab(charId) {
+        // @debug 2025-12-12 - 보유 룬 탭 디버깅
+        console.log('[보유룬탭] charId:', charId);
+        console.log('[보유룬탭] 저장된 보유룬 ID:', state.characterOwnedRunes[charId]);
         
-        // 전역 캐릭터 UI 업데이트
-        updateGlobalCharacterDisplay();
-        renderProfileList();
+        const ownedRunes = getOwnedRunes(charId);
+        console.log('[보유룬탭] 변환된 보유룬 객체:', ownedRunes);
         
-        // 드롭다운 닫기
-        closeGlobalCharDropdown();
+        const equipment = state.characterEquipments[charId] || {
+            weapon: null,
+            armors: [null, null, null, null, null],
+            emblem: null,
+            accessories: [null, null, null]
+        };
 
-        showToast('"' + profileName + '" 캐릭터가 삭제되었습니다.', 'success');
+        // 장착된 룬 ID 목록
+        const equippedIds = new Set();
+        if (equipment.weapon) equippedIds.add(equipment.weapon);
+        if (equipment.emblem) equippedIds.add(equipment.emblem);
+        equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
+        equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
+
+        // 장착된 룬 점수 합산
+        let totalScore = 0;
+        equippedIds.forEach(id => {
+            const rune = state.allRunes.find(r => r.id === id);
+            if (rune) totalScore += rune.baseScore || 0;
+        });
+
+        // 장착 미니바 렌더링
+        renderEquippedMinibar(equippedIds, totalScore);
+
+        // 보유 룬 목록 렌더링 (카테고리별)
+        renderOwnedRunesList(ownedRunes, equippedIds);
     }
 
     /**
-     * 삭제 컨펌 모달 닫기
-     * @added 2025-12-12
+     * 장착 미니바 렌더링
+     * @param {Set} equippedIds - 장착된 룬 ID Set
+     * @param {number} totalScore - 총 효율 점수
      */
-    function closeConfirmDeleteModal() {
-        var modal = $('#confirm-delete-modal');
-        if (modal) {
-            modal.classList.remove('modal--open');
+    function renderEquippedMinibar(equippedIds, totalScore) {
+        const countEl = $('#equipped-count');
+        const scoreEl = $('#equipped-score');
+        const slotsEl = $('#equipped-minibar-slots');
+
+        if (countEl) countEl.textContent = equippedIds.size;
+        if (scoreEl) scoreEl.textContent = totalScore.toFixed(1);
+
+        if (slotsEl) {
+            if (equippedIds.size === 0) {
+                slotsEl.innerHTML = '<span style="color:#888;font-size:12px;">장착된 룬이 없습니다</span>';
+            } else {
+                const items = [];
+                equippedIds.forEach(id => {
+                    const rune = state.allRunes.find(r => r.id === id);
+                    if (rune) {
+                        items.push(`
+                            <div class="equipped-mini-item" data-rune-id="${rune.id}" title="클릭하여 해제">
+                                <img class="equipped-mini-item__img" 
+                                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                                     alt="${escapeHtml(rune.name)}"
+                                     onerror="handleRuneImageError(this)">
+                                <span class="equipped-mini-item__name">${escapeHtml(rune.name)}</span>
+                                <span class="equipped-mini-item__remove">×</span>
+                            </div>
+                        `);
+                    }
+                });
+                slotsEl.innerHTML = items.join('');
+            }
         }
-        state.pendingDeleteCharId = null;
     }
 
-    /**
-     * 프로필 목록 렌더링
-     */
-    function renderProfileList() {
-        var selectEl = $('#profile-select');
-        if (!selectEl) return;
+    /**
+     * 보유 룬 목록 렌더링 (카테고리별)
+     * @param {Array} ownedRunes - 보유 룬 배열
+     * @param {Set} equippedIds - 장착된 룬 ID Set
+     */
+    function renderOwnedRunesList(ownedRunes, equippedIds) {
+        const totalCountEl = $('#owned-total-count');
+        const emptyHintEl = $('#owned-empty-hint');
+        
+        if (totalCountEl) totalCountEl.textContent = ownedRunes.length;
+
+        // 카테고리별 분류
+        const categoryOrder = ['01', '04', '02', '03'];
+        const byCategory = { '01': [], '04': [], '02': [], '03': [] };
+        
+        ownedRunes.forEach(rune => {
+            if (byCategory[rune.category]) {
+                byCategory[rune.category].push(rune);
+            }
+        });
+
+        // 각 카테고리 렌더링
+        categoryOrder.forEach(cat => {
+            const catEl = $(`#owned-category-${cat}`);
+            if (!catEl) return;
 
-        // 기본 옵션
-        var html = '<option value="">-- 프로필 선택 --</option>';
+            const runes = byCategory[cat];
+            const countEl = catEl.querySelector('.owned-cat-count');
+            const gridEl = catEl.querySelector('.owned-category__grid');
 
-        // 프로필 목록
-        state.characterProfiles.forEach(function(profile) {
-            var className = CLASS_MAP[profile.classCode] || profile.className || '';
-            var displayName = profile.name;
-            if (className) {
-                displayName += ' (' + className.split(' ')[0] + ')';
-            }
-            if (profile.memo) {
-                displayName += ' - ' + profile.memo;
-            }
+            if (countEl) countEl.textContent = runes.length;
 
-            var selected = profile.id === state.currentProfileId ? 'selected' : '';
-            html += '<option value="' + profile.id + '" ' + selected + '>' + escapeHtml(displayName) + '</option>';
+            if (gridEl) {
+                if (runes.length === 0) {
+                    gridEl.innerHTML = '<span style="color:#666;font-size:12px;padding:8px;">보유 룬 없음</span>';
+                } else {
+                    gridEl.innerHTML = runes.map(rune => {
+                        const isEquipped = equippedIds.has(rune.id);
+                        return `
+                            <div class="owned-rune-item ${isEquipped ? 'owned-rune-item--equipped' : ''}" 
+                                 data-rune-id="${rune.id}" 
+                                 data-category="${rune.category}">
+                                <img class="owned-rune-item__img" 
+                                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                                     alt="${escapeHtml(rune.name)}"
+                                     onerror="handleRuneImageError(this)">
+                                <div class="owned-rune-item__name">${escapeHtml(rune.name)}</div>
+                                <div class="owned-rune-item__score">${(rune.baseScore || 0).toFixed(1)}점</div>
+                                <div class="owned-rune-item__actions">
+                                    ${isEquipped 
+                                        ? '<button class="owned-rune-item__btn owned-rune-item__btn--remove" data-action="unequip">해제</button>'
+                                        : '<button class="owned-rune-item__btn owned-rune-item__btn--equip" data-action="equip">장착</button>'
+                                    }
+                                    <button class="owned-rune-item__btn" data-action="remove" style="background:#666;">삭제</button>
+                                </div>
+                            </div>
+                        `;
+                    }).join('');
+                }
+            }
         });
 
-        selectEl.innerHTML = html;
-    }
-
-    /**
-     * 캐릭터 프로필 저장 (LocalStorage)
-     */
-    function saveCharacterProfiles() {
-        saveToStorage(STORAGE_KEYS.CHARACTER_PROFILES, state.characterProfiles);
+        // 빈 안내 표시
+        if (emptyHintEl) {
+            emptyHintEl.style.display = ownedRunes.length === 0 ? 'block' : 'none';
+        }
     }
 
     /**
-     * 캐릭터 프로필 불러오기 (LocalStorage)
+     * 장착 슬롯 렌더링
+     * @param {string} charId - 캐릭터 프로필 ID
      */
-    function loadCharacterProfiles() {
-        state.characterProfiles = loadFromStorage(STORAGE_KEYS.CHARACTER_PROFILES, []);
-        // 마지막 선택된 캐릭터 복원
-        state.selectedCharacterId = loadFromStorage('selectedCharacterId', null);
-        renderProfileList();
-        updateGlobalCharacterDisplay();
-    }
+    function renderEquipmentSlots(charId) {
+        const equipment = state.characterEquipments[charId] || {
+            weapon: null,
+            armors: [null, null, null, null, null],
+            emblem: null,
+            accessories: [null, null, null]
+        };
 
-    // ============================================
-    // 11-1. 전역 캐릭터 관리 @added 2025-12-11
-    // ============================================
+        // 장착 현황 계산
+        let equippedCount = 0;
+        let totalScore = 0;
 
-    /**
-     * 전역 캐릭터 선택
-     * @param {string|null} charId - 캐릭터 ID
-     */
-    function selectGlobalCharacter(charId) {
-        state.selectedCharacterId = charId;
-        saveToStorage('selectedCharacterId', charId);
-        
-        // UI 업데이트
-        updateGlobalCharacterDisplay();
-        closeGlobalCharDropdown();
-        
-        // 캐릭터 선택 시 관련 기능 갱신
-        if (charId) {
-            const profile = state.characterProfiles.find(p => p.id === charId);
-            if (profile) {
-                // 추천 시스템 탭: 스텟 폼 업데이트
-                applyProfileToStatForm(profile);
-                showToast(`${profile.name} 캐릭터가 선택되었습니다.`, 'success');
+        // 무기 슬롯
+        const weaponSlot = $('[data-slot="equip-weapon-1"]');
+        if (weaponSlot) {
+            if (equipment.weapon) {
+                const rune = state.allRunes.find(r => r.id === equipment.weapon);
+                if (rune) {
+                    renderEquipmentSlotContent(weaponSlot, rune);
+                    equippedCount++;
+                    totalScore += rune.baseScore || 0;
+                }
+            } else {
+                renderEquipmentSlotEmpty(weaponSlot);
             }
         }
-        
-        // 현재 활성 탭에 따라 UI 갱신
-        refreshCurrentTabForCharacter();
-    }
 
-    /**
-     * 전역 캐릭터 표시 업데이트
-     */
-    function updateGlobalCharacterDisplay() {
-        const nameEl = $('#global-char-name');
-        const iconEl = $('.global-character-select__icon');
-        
-        if (!nameEl) return;
-        
-        if (state.selectedCharacterId) {
-            const profile = state.characterProfiles.find(p => p.id === state.selectedCharacterId);
-            if (profile) {
-                nameEl.textContent = profile.name;
-                if (iconEl) {
-                    iconEl.textContent = getClassIcon(profile.className);
+        // 방어구 슬롯 (5개)
+        for (let i = 0; i < 5; i++) {
+            const slot = $('[data-slot="equip-armor-' + (i + 1) + '"]');
+            if (slot) {
+                const runeId = equipment.armors[i];
+                if (runeId) {
+                    const rune = state.allRunes.find(r => r.id === runeId);
+                    if (rune) {
+                        renderEquipmentSlotContent(slot, rune);
+                        equippedCount++;
+                        totalScore += rune.baseScore || 0;
+                    }
+                } else {
+                    renderEquipmentSlotEmpty(slot);
                 }
-                return;
             }
         }
-        
-        nameEl.textContent = '캐릭터 선택';
-        if (iconEl) iconEl.textContent = '👤';
-    }
-
-    /**
-     * 클래스별 아이콘 반환
-     * @param {string} className - 클래스명
-     * @returns {string} 아이콘
-     */
-    function getClassIcon(className) {
-        const icons = {
-            '워리어': '⚔️',
-            '레인저': '🏹',
-            '메이지': '🔮',
-            '힐러': '💚',
-            '어쌔신': '🗡️'
-        };
-        return icons[className] || '👤';
-    }
 
-    /**
-     * 전역 캐릭터 드롭다운 열기/닫기 토글
-     */
-    function toggleGlobalCharDropdown() {
-        const dropdown = $('#global-char-dropdown');
-        if (!dropdown) return;
-        
-        if (dropdown.style.display === 'none') {
-            openGlobalCharDropdown();
-        } else {
-            closeGlobalCharDropdown();
+        // 엠블럼 슬롯
+        const emblemSlot = $('[data-slot="equip-emblem-1"]');
+        if (emblemSlot) {
+            if (equipment.emblem) {
+                const rune = state.allRunes.find(r => r.id === equipment.emblem);
+                if (rune) {
+                    renderEquipmentSlotContent(emblemSlot, rune);
+                    equippedCount++;
+                    totalScore += rune.baseScore || 0;
+                }
+            } else {
+                renderEquipmentSlotEmpty(emblemSlot);
+            }
         }
-    }
 
-    /**
-     * 전역 캐릭터 드롭다운 열기
-     */
-    function openGlobalCharDropdown() {
-        const dropdown = $('#global-char-dropdown');
-        const list = $('#global-char-list');
-        
-        if (!dropdown || !list) return;
-        
-        // 캐릭터 목록 생성
-        list.innerHTML = state.characterProfiles.length === 0
-            ? '<div class="global-char-item" style="color:#888;cursor:default;">등록된 캐릭터가 없습니다</div>'
-            : state.characterProfiles.map(profile => {
-                const isActive = profile.id === state.selectedCharacterId;
-                const ownedCount = (state.characterOwnedRunes[profile.id] || []).length;
-                const equippedCount = getEquippedCount(profile.id);
-                
-                // @updated 2025-12-12 삭제 버튼 추가
-                return `
-                    <div class="global-char-item ${isActive ? 'global-char-item--active' : ''}" 
-                         data-char-id="${profile.id}">
-                        <div class="global-char-item__icon">${getClassIcon(profile.className)}</div>
-                        <div class="global-char-item__info">
-                            <div class="global-char-item__name">${escapeHtml(profile.name)}</div>
-                            <div class="global-char-item__class">${profile.className}</div>
-                        </div>
-                        <div class="global-char-item__stats">
-                            💎${ownedCount} / 🎯${equippedCount}
-                        </div>
-                        <button class="global-char-item__delete" data-delete-id="${profile.id}" title="캐릭터 삭제">
-                            🗑️
-                        </button>
-                    </div>
-                `;
-            }).join('');
-        
-        dropdown.style.display = 'block';
-        
-        // 외부 클릭 시 닫기
-        setTimeout(() => {
-            document.addEventListener('click', handleOutsideClick);
-        }, 10);
-    }
+        // 장신구 슬롯 (3개)
+        for (let i = 0; i < 3; i++) {
+            const slot = $('[data-slot="equip-accessory-' + (i + 1) + '"]');
+            if (slot) {
+                const runeId = equipment.accessories[i];
+                if (runeId) {
+                    const rune = state.allRunes.find(r => r.id === runeId);
+                    if (rune) {
+                        renderEquipmentSlotContent(slot, rune);
+                        equippedCount++;
+                        totalScore += rune.baseScore || 0;
+                    }
+                } else {
+                    renderEquipmentSlotEmpty(slot);
+                }
+            }
+        }
 
-    /**
-     * 장착된 룬 개수 반환
-     * @param {string} charId - 캐릭터 ID
-     * @returns {number}
-     */
-    function getEquippedCount(charId) {
-        const equipment = state.characterEquipments[charId];
-        if (!equipment) return 0;
-        
-        let count = 0;
-        if (equipment.weapon) count++;
-        if (equipment.emblem) count++;
-        equipment.armors.forEach(a => { if (a) count++; });
-        equipment.accessories.forEach(a => { if (a) count++; });
-        return count;
-    }
+        // 요약 정보 업데이트
+        const countEl = $('#equipment-count');
+        const emptyCountEl = $('#equipment-empty-count');
+        const scoreEl = $('#equipment-total-score');
 
-    /**
-     * 전역 캐릭터 드롭다운 닫기
-     */
-    function closeGlobalCharDropdown() {
-        const dropdown = $('#global-char-dropdown');
-        if (dropdown) dropdown.style.display = 'none';
-        document.removeEventListener('click', handleOutsideClick);
+        if (countEl) countEl.textContent = equippedCount;
+        if (emptyCountEl) emptyCountEl.textContent = 10 - equippedCount;
+        if (scoreEl) scoreEl.textContent = '총 효율: ' + totalScore.toFixed(1) + '점';
+
+        // 보유 룬 목록 렌더링 @added 2025-12-11
+        // @fixed 2025-12-12 - 함수명 충돌 해결
+        renderEquipmentOwnedRunes(charId, equipment);
     }
 
     /**
-     * 드롭다운 외부 클릭 핸들러
+     * 장착 탭용 보유 룬 목록 렌더링 (레거시)
+     * @param {string} charId - 캐릭터 프로필 ID
+     * @param {Object} equipment - 현재 장착 정보
+     * @added 2025-12-11
+     * @renamed 2025-12-12 - renderOwnedRunesList → renderEquipmentOwnedRunes (함수명 충돌 해결)
      */
-    function handleOutsideClick(e) {
-        const area = $('#global-character-area');
-        if (area && !area.contains(e.target)) {
-            closeGlobalCharDropdown();
+    function renderEquipmentOwnedRunes(charId, equipment) {
+        const ownedSection = $('#equipment-owned');
+        const ownedGrid = $('#owned-runes-grid');
+        const ownedCountEl = $('#owned-rune-count');
+
+        if (!ownedSection || !ownedGrid) return;
+
+        const ownedRunes = getOwnedRunes(charId);
+        
+        // 보유 룬이 없으면 숨김
+        if (ownedRunes.length === 0) {
+            ownedSection.style.display = 'none';
+            return;
         }
+
+        ownedSection.style.display = 'block';
+        if (ownedCountEl) ownedCountEl.textContent = ownedRunes.length;
+
+        // 장착된 룬 ID 목록
+        const equippedIds = new Set();
+        if (equipment.weapon) equippedIds.add(equipment.weapon);
+        equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
+        if (equipment.emblem) equippedIds.add(equipment.emblem);
+        equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
+
+        // 카테고리별 정렬 (순서: 무기-엠블럼-방어구-장신구) @updated 2025-12-11
+        const sortedRunes = [...ownedRunes].sort((a, b) => {
+            const catOrder = { '01': 1, '04': 2, '02': 3, '03': 4 };
+            return (catOrder[a.category] || 99) - (catOrder[b.category] || 99);
+        });
+
+        ownedGrid.innerHTML = sortedRunes.map(rune => {
+            const isEquipped = equippedIds.has(rune.id);
+            const categoryName = CATEGORY_MAP[rune.category] || '기타';
+            
+            return `
+                <div class="owned-rune-card ${isEquipped ? 'owned-rune-card--equipped' : ''}" 
+                     data-rune-id="${rune.id}" 
+                     data-category="${rune.category}"
+                     title="${isEquipped ? '장착됨' : '클릭하여 장착'}">
+                    <img class="owned-rune-card__image" 
+                         src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                         alt="${escapeHtml(rune.name)}"
+                         onerror="handleRuneImageError(this)">
+                    <div class="owned-rune-card__name">${escapeHtml(rune.name)}</div>
+                    <div class="owned-rune-card__category">${categoryName}</div>
+                    ${isEquipped ? '<span style="color:#4CAF50;font-size:10px;">✓ 장착됨</span>' : ''}
+                </div>
+            `;
+        }).join('');
+
+        // 보유 룬 카드 클릭 이벤트
+        ownedGrid.querySelectorAll('.owned-rune-card').forEach(card => {
+            card.addEventListener('click', function() {
+                const runeId = parseInt(this.dataset.runeId);
+                const category = this.dataset.category;
+                
+                // 해당 카테고리의 빈 슬롯 찾기
+                const slotPrefix = category === '01' ? 'equip-weapon-' :
+                    category === '02' ? 'equip-armor-' :
+                    category === '04' ? 'equip-emblem-' : 'equip-accessory-';
+                
+                const maxSlots = category === '02' ? 5 : category === '03' ? 3 : 1;
+                
+                for (let i = 1; i <= maxSlots; i++) {
+                    const slotId = slotPrefix + i;
+                    const slot = $('[data-slot="' + slotId + '"]');
+                    if (slot && !slot.classList.contains('equipment-slot--filled')) {
+                        equipRuneToEquipmentSlot(slotId, runeId);
+                        showToast('룬이 장착되었습니다.', 'success');
+                        return;
+                    }
+                }
+                
+                // 빈 슬롯이 없으면 첫 번째 슬롯에 교체
+                const slotId = slotPrefix + '1';
+                equipRuneToEquipmentSlot(slotId, runeId);
+                showToast('룬이 교체되었습니다.', 'info');
+            });
+        });
     }
 
     /**
-     * 현재 탭에 맞게 UI 갱신
+     * 장착 슬롯에 룬 표시
+     * @param {HTMLElement} slot - 슬롯 요소
+     * @param {Object} rune - 룬 데이터
      */
-    function refreshCurrentTabForCharacter() {
-        const activeTab = $('.tab-nav__btn--active');
-        if (!activeTab) return;
-        
-        const tabId = activeTab.dataset.tab;
-        
-        switch (tabId) {
-            case 'rune-list':
-                renderRuneList();
-                break;
-            case 'recommend':
-                renderProfileList();
-                break;
-            case 'equipment':
-                // @fixed 2025-12-12 - updateEquipmentTabUI로 변경
-                updateEquipmentTabUI();
-                break;
-        }
+    function renderEquipmentSlotContent(slot, rune) {
+        slot.classList.add('equipment-slot--filled');
+        slot.innerHTML = `
+            <div class="equipment-slot__rune" data-rune-id="${rune.id}">
+                <img class="equipment-slot__image" 
+                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
+                     alt="${escapeHtml(rune.name)}"
+                     onerror="handleRuneImageError(this)">
+                <div class="equipment-slot__name">${escapeHtml(rune.name)}</div>
+                <div class="equipment-slot__score">${(rune.baseScore || 0).toFixed(1)}점</div>
+            </div>
+            <button class="equipment-slot__remove" title="장착 해제">×</button>
+        `;
     }
 
     /**
-     * 프로필을 스텟 폼에 적용
-     * @param {Object} profile - 캐릭터 프로필
+     * 장착 슬롯 비우기
+     * @param {HTMLElement} slot - 슬롯 요소
      */
-    function applyProfileToStatForm(profile) {
-        if (!profile || !profile.stats) return;
-        
-        // 클래스 선택
-        const classSelect = $('#stat-class');
-        if (classSelect && profile.className) {
-            const classCode = Object.entries(CLASS_MAP).find(([k, v]) => v === profile.className);
-            if (classCode) classSelect.value = classCode[0];
-        }
-        
-        // 스텟 입력 폼 업데이트
-        Object.entries(profile.stats).forEach(([key, value]) => {
-            const input = $(`#stat-${key}`);
-            if (input) input.value = value;
-        });
+    function renderEquipmentSlotEmpty(slot) {
+        slot.classList.remove('equipment-slot--filled');
+        slot.innerHTML = '<div class="equipment-slot__empty">클릭하여 장착</div>';
     }
 
-    // ============================================
-    // 12. 즐겨찾기 (Favorites)
-    // ============================================
-
     /**
-     * 즐겨찾기/보유 룬 토글
+     * 장착 슬롯에 룬 장착
+     * @param {string} slotId - 슬롯 ID
      * @param {number} runeId - 룬 ID
-     * @updated 2025-12-11 - 전역 캐릭터별 보유 룬 기능
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
-    function toggleFavorite(runeId) {
-        const charId = state.selectedCharacterId;
-        const rune = state.allRunes.find(r => r.id === runeId);
-        const runeName = rune ? rune.name : '룬';
+    function equipRuneToEquipmentSlot(slotId, runeId) {
+        const charId = state.selectedEquipmentCharId;
+        if (!charId) return;
 
-        // 캐릭터가 선택되어 있으면 보유 룬으로 처리
-        if (charId) {
-            const profile = state.characterProfiles.find(p => p.id === charId);
-            const charName = profile ? profile.name : '캐릭터';
+        const before = captureHistorySnapshot(charId);
 
-            if (isRuneOwned(charId, runeId)) {
-                removeOwnedRune(charId, runeId);
-                showToast(`${charName}의 보유 룬에서 "${runeName}" 제거됨`, 'info');
-            } else {
-                addOwnedRune(charId, runeId);
-                showToast(`${charName}의 보유 룬에 "${runeName}" 추가됨`, 'success');
-            }
-            
-            updateGlobalCharacterDisplay(); // 보유 개수 업데이트 @fixed 2025-12-12
-            renderRuneList(); // 목록 업데이트 (아이콘 상태)
-            return;
+        // 장착 데이터 초기화
+        if (!state.characterEquipments[charId]) {
+            state.characterEquipments[charId] = {
+                weapon: null,
+                armors: [null, null, null, null, null],
+                emblem: null,
+                accessories: [null, null, null]
+            };
         }
 
-        // 캐릭터 미선택 시 기존 즐겨찾기로 동작
-        const index = state.favorites.indexOf(runeId);
+        const equipment = state.characterEquipments[charId];
 
-        if (index === -1) {
-            state.favorites.push(runeId);
-            showToast('즐겨찾기에 추가되었습니다.', 'success');
-        } else {
-            state.favorites.splice(index, 1);
-            showToast('즐겨찾기에서 제거되었습니다.', 'success');
+        // 슬롯 타입에 따라 장착
+        if (slotId === 'equip-weapon-1') {
+            equipment.weapon = runeId;
+        } else if (slotId.startsWith('equip-armor-')) {
+            const idx = parseInt(slotId.replace('equip-armor-', '')) - 1;
+            equipment.armors[idx] = runeId;
+        } else if (slotId === 'equip-emblem-1') {
+            equipment.emblem = runeId;
+        } else if (slotId.startsWith('equip-accessory-')) {
+            const idx = parseInt(slotId.replace('equip-accessory-', '')) - 1;
+            equipment.accessories[idx] = runeId;
         }
 
-        saveFavorites();
-        renderRuneList(); // 목록 업데이트
-        renderFavorites(); // 즐겨찾기 탭 업데이트
-    }
-
-    /**
-     * 즐겨찾기 저장
-     */
-    function saveFavorites() {
-        saveToStorage(STORAGE_KEYS.FAVORITES, state.favorites);
+        // 저장 및 렌더링
+        saveCharacterEquipments();
+        // @fixed 2025-12-12 - updateEquipmentTabUI로 변경
+        updateEquipmentTabUI();
+        commitHistory(runeId ? '장착 슬롯 변경' : '장착 슬롯 해제', before);
     }
 
     /**
-     * 즐겨찾기 불러오기
+     * 장착 슬롯에서 룬 해제
+     * @param {string} slotId - 슬롯 ID
      */
-    function loadFavorites() {
-        state.favorites = loadFromStorage(STORAGE_KEYS.FAVORITES, []);
+    function unequipFromEquipmentSlot(slotId) {
+        equipRuneToEquipmentSlot(slotId, null);
     }
 
     /**
-     * 즐겨찾기 목록 렌더링
+     * 보유 룬에서 장착
+     * @param {number} runeId - 룬 ID
+     * @param {string} category - 카테고리 코드
+     * @added 2025-12-11
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
-    function renderFavorites() {
-        const grid = $('#favorites-grid');
-        const emptyEl = $('#favorites-empty');
-
-        if (!grid) return;
+    function equipRuneFromOwned(runeId, category) {
+        const charId = state.selectedCharacterId;
+        if (!charId) return;
 
-        const favoriteRunes = state.allRunes.filter(rune => state.favorites.includes(rune.id));
+        const before = captureHistorySnapshot(charId);
 
-        if (favoriteRunes.length === 0) {
-            if (emptyEl) emptyEl.style.display = 'flex';
-            grid.innerHTML = '';
-            grid.appendChild(emptyEl);
-            return;
+        if (!state.characterEquipments[charId]) {
+            state.characterEquipments[charId] = {
+                weapon: null,
+                armors: [null, null, null, null, null],
+                emblem: null,
+                accessories: [null, null, null]
+            };
         }
 
-        if (emptyEl) emptyEl.style.display = 'none';
-        grid.innerHTML = favoriteRunes.map(rune => createRuneCard(rune)).join('');
-    }
-
-    // ============================================
-    // 12-2. 캐릭터별 장착 룬 관리
-    // @added 2025-12-11
-    // ============================================
+        const equipment = state.characterEquipments[charId];
 
-    /**
-     * 캐릭터 장착 룬 저장
-     */
-    function saveCharacterEquipments() {
-        saveToStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, state.characterEquipments);
-    }
+        // 카테고리에 맞는 빈 슬롯 찾아서 장착
+        if (category === '01') {
+            equipment.weapon = runeId;
+        } else if (category === '04') {
+            equipment.emblem = runeId;
+        } else if (category === '02') {
+            // 방어구 빈 슬롯 찾기
+            const idx = equipment.armors.findIndex(a => a === null);
+            if (idx !== -1) {
+                equipment.armors[idx] = runeId;
+            } else {
+                equipment.armors[0] = runeId; // 없으면 첫 번째 교체
+            }
+        } else if (category === '03') {
+            // 장신구 빈 슬롯 찾기
+            const idx = equipment.accessories.findIndex(a => a === null);
+            if (idx !== -1) {
+                equipment.accessories[idx] = runeId;
+            } else {
+                equipment.accessories[0] = runeId; // 없으면 첫 번째 교체
+            }
+        }
 
-    /**
-     * 캐릭터 장착 룬 불러오기
-     */
-    function loadCharacterEquipments() {
-        state.characterEquipments = loadFromStorage(STORAGE_KEYS.CHARACTER_EQUIPMENTS, {});
+        saveCharacterEquipments();
+        updateEquipmentTabUI();
+        const historyRune = state.allRunes.find(r => r.id === runeId);
+        commitHistory(historyRune ? `"${historyRune.name}" 장착` : '룬 장착', before);
+        showToast('장착되었습니다.', 'success');
     }
 
     /**
-     * 캐릭터 보유 룬 저장
+     * 룬 ID로 장착 해제
+     * @param {number} runeId - 룬 ID
      * @added 2025-12-11
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
-    function saveCharacterOwnedRunes() {
-        saveToStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, state.characterOwnedRunes);
-    }
+    function unequipRuneById(runeId) {
+        const charId = state.selectedCharacterId;
+        if (!charId) return;
 
-    /**
-     * 캐릭터 보유 룬 불러오기
-     * @added 2025-12-11
-     */
-    function loadCharacterOwnedRunes() {
-        state.characterOwnedRunes = loadFromStorage(STORAGE_KEYS.CHARACTER_OWNED_RUNES, {});
-    }
+        const equipment = state.characterEquipments[charId];
+        if (!equipment) return;
 
-    /**
-     * 캐릭터에 보유 룬 추가
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @param {number} runeId - 룬 ID
-     * @added 2025-12-11
-     */
-    function addOwnedRune(charId, runeId) {
-        // @debug 2025-12-12
-        console.log('[보유룬추가] charId:', charId, 'runeId:', runeId);
-        
-        if (!charId) {
-            console.log('[보유룬추가] 실패: charId 없음');
-            return false;
+        const before = captureHistorySnapshot(charId);
+
+        // 각 슬롯에서 해당 룬 찾아서 해제
+        if (equipment.weapon === runeId) {
+            equipment.weapon = null;
         }
-        
-        if (!state.characterOwnedRunes[charId]) {
-            state.characterOwnedRunes[charId] = [];
+        if (equipment.emblem === runeId) {
+            equipment.emblem = null;
         }
-        
-        // 이미 보유 중이면 추가하지 않음
-        if (state.characterOwnedRunes[charId].includes(runeId)) {
-            console.log('[보유룬추가] 이미 보유 중:', runeId);
-            return false;
+        for (let i = 0; i < equipment.armors.length; i++) {
+            if (equipment.armors[i] === runeId) {
+                equipment.armors[i] = null;
+            }
+        }
+        for (let i = 0; i < equipment.accessories.length; i++) {
+            if (equipment.accessories[i] === runeId) {
+                equipment.accessories[i] = null;
+            }
         }
-        
-        state.characterOwnedRunes[charId].push(runeId);
-        console.log('[보유룬추가] 추가 완료. 현재 목록:', state.characterOwnedRunes[charId]);
-        saveCharacterOwnedRunes();
-        return true;
-    }
-
-    /**
-     * 캐릭터에서 보유 룬 제거
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @param {number} runeId - 룬 ID
-     * @added 2025-12-11
-     */
-    function removeOwnedRune(charId, runeId) {
-        if (!charId || !state.characterOwnedRunes[charId]) return false;
-        
-        const idx = state.characterOwnedRunes[charId].indexOf(runeId);
-        if (idx === -1) return false;
-        
-        state.characterOwnedRunes[charId].splice(idx, 1);
-        saveCharacterOwnedRunes();
-        return true;
-    }
 
-    /**
-     * 캐릭터가 해당 룬을 보유 중인지 확인
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @param {number} runeId - 룬 ID
-     * @returns {boolean}
-     * @added 2025-12-11
-     */
-    function isRuneOwned(charId, runeId) {
-        if (!charId || !state.characterOwnedRunes[charId]) return false;
-        return state.characterOwnedRunes[charId].includes(runeId);
+        saveCharacterEquipments();
+        updateEquipmentTabUI();
+        const historyRune = state.allRunes.find(r => r.id === runeId);
+        commitHistory(historyRune ? `"${historyRune.name}" 해제` : '룬 해제', before);
+        showToast('장착 해제되었습니다.', 'info');
     }
 
     /**
-     * 캐릭터의 보유 룬 목록 가져오기
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @returns {Array} 보유 룬 객체 배열
-     * @added 2025-12-11
+     * 전체 장착 해제
+     * @updated 2025-12-11
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
-    function getOwnedRunes(charId) {
-        if (!charId || !state.characterOwnedRunes[charId]) return [];
-        
-        // @fixed 2025-12-12 - 타입 불일치 문제 해결 (숫자/문자열)
-        return state.characterOwnedRunes[charId]
-            .map(id => {
-                // 숫자와 문자열 모두 비교
-                const numId = typeof id === 'string' ? parseInt(id, 10) : id;
-                return state.allRunes.find(r => r.id === id || r.id === numId);
-            })
-            .filter(r => r);
-    }
+    function clearAllEquipment() {
+        const charId = state.selectedCharacterId;
+        if (!charId) return;
 
-    // @deprecated 2025-12-11 - 전역 캐릭터 선택으로 통합됨
-    // 이 함수들은 더 이상 필요하지 않음
+        const before = captureHistorySnapshot(charId);
 
-    /**
-     * 장착 탭 캐릭터 선택 드롭다운 업데이트 (레거시)
-     * @deprecated 2025-12-11 - 전역 캐릭터 선택 사용
-     */
-    function updateEquipmentCharacterSelect() {
-        // 전역 캐릭터 선택으로 대체됨
-        return;
+        state.characterEquipments[charId] = {
+            weapon: null,
+            armors: [null, null, null, null, null],
+            emblem: null,
+            accessories: [null, null, null]
+        };
 
-        select.innerHTML = '<option value="">-- 캐릭터를 선택하세요 --</option>';
-        
-        state.characterProfiles.forEach(profile => {
-            const option = document.createElement('option');
-            option.value = profile.id;
-            option.textContent = profile.name + ' (' + profile.className + ')';
-            if (profile.id === state.selectedCharacterId) {
-                option.selected = true;
-            }
-            select.appendChild(option);
-        });
+        saveCharacterEquipments();
+        updateEquipmentTabUI();
+        commitHistory('전체 장착 해제', before);
+        showToast('장착이 모두 해제되었습니다.', 'info');
     }
 
     /**
-     * 보유룬 탭 UI 업데이트 (전역 캐릭터 기반)
-     * @updated 2025-12-11 - 보유 룬 목록 중심 UI로 재구성
+     * 빈 슬롯 최적화 (기존 장착 유지, 보유 룬 내에서 선택)
+     * @updated 2025-12-11 - 전역 캐릭터 기반
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록 (장착 + 시뮬레이터 동기화를 한 번에 되돌림)
      */
-    function updateEquipmentTabUI() {
+    function optimizeEmptySlots() {
         const charId = state.selectedCharacterId;
-        
-        const mainEl = $('#owned-main');
-        const emptyEl = $('#owned-empty');
-
         if (!charId) {
-            // 캐릭터 미선택
-            if (mainEl) mainEl.style.display = 'none';
-            if (emptyEl) emptyEl.style.display = 'flex';
+            showToast('캐릭터를 먼저 선택해주세요.', 'error');
+            return;
+        }
+
+        const profile = state.characterProfiles.find(p => p.id === charId);
+        if (!profile) {
+            showToast('캐릭터 정보를 찾을 수 없습니다.', 'error');
+            return;
+        }
+
+        // @fixed 2025-12-12 - 안전한 기본값 초기화
+        const savedEquip = state.characterEquipments[charId] || {};
+        const equipment = {
+            weapon: savedEquip.weapon || null,
+            armors: Array.isArray(savedEquip.armors) && savedEquip.armors.length === 5 
+                ? [...savedEquip.armors] 
+                : [null, null, null, null, null],
+            emblem: savedEquip.emblem || null,
+            accessories: Array.isArray(savedEquip.accessories) && savedEquip.accessories.length === 3 
+                ? [...savedEquip.accessories] 
+                : [null, null, null]
+        };
+
+        // 보유 룬 목록 확인
+        const ownedRunes = getOwnedRunes(charId);
+        if (ownedRunes.length === 0) {
+            showToast('보유 룬이 없습니다. 룬 목록에서 ⭐를 눌러 추가하세요.', 'error');
             return;
         }
 
-        // 캐릭터 선택됨
-        if (mainEl) mainEl.style.display = 'block';
-        if (emptyEl) emptyEl.style.display = 'none';
+        // 이미 장착된 룬 ID 목록
+        const equippedIds = new Set();
+        if (equipment.weapon) equippedIds.add(equipment.weapon);
+        if (equipment.armors) equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
+        if (equipment.emblem) equippedIds.add(equipment.emblem);
+        if (equipment.accessories) equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
 
-        // 보유 룬 목록 렌더링
-        renderOwnedRunesTab(charId);
-    }
+        // 카테고리별 빈 슬롯 및 사용 가능한 룬 정리
+        const emptySlotInfo = {
+            weapon: !equipment.weapon,
+            armorCount: equipment.armors.filter(a => !a).length,
+            emblem: !equipment.emblem,
+            accessoryCount: equipment.accessories.filter(a => !a).length
+        };
 
-    /**
-     * 보유룬 탭 전체 렌더링
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @added 2025-12-11
-     */
-    function renderOwnedRunesTab(charId) {
-        // @debug 2025-12-12 - 보유 룬 탭 디버깅
-        console.log('[보유룬탭] charId:', charId);
-        console.log('[보유룬탭] 저장된 보유룬 ID:', state.characterOwnedRunes[charId]);
-        
-        const ownedRunes = getOwnedRunes(charId);
-        console.log('[보유룬탭] 변환된 보유룬 객체:', ownedRunes);
+        const totalEmpty = (emptySlotInfo.weapon ? 1 : 0) + 
+                           emptySlotInfo.armorCount + 
+                           (emptySlotInfo.emblem ? 1 : 0) + 
+                           emptySlotInfo.accessoryCount;
+
+        if (totalEmpty === 0) {
+            showToast('모든 슬롯이 장착되어 있습니다.', 'info');
+            return;
+        }
+
+        // 카테고리별 사용 가능한 보유 룬 (장착되지 않은 것만)
+        // @updated 2025-12-12 - 장신구는 캐릭터 클래스에 맞는 것만 필터링
+        const charClass = profile.classCode || profile.klass || '00';
+        const charClassName = CLASS_MAP[charClass] || '';
+        const charClassShort = charClassName.split(' ')[0]; // "궁수 (활)" → "궁수"
+        console.log('[자동장착] 캐릭터 클래스:', charClass, charClassName, charClassShort);
         
-        const equipment = state.characterEquipments[charId] || {
-            weapon: null,
-            armors: [null, null, null, null, null],
-            emblem: null,
-            accessories: [null, null, null]
+        const availableByCategory = {
+            '01': ownedRunes.filter(r => r.category === '01' && !equippedIds.has(r.id)),
+            '02': ownedRunes.filter(r => r.category === '02' && !equippedIds.has(r.id)),
+            '04': ownedRunes.filter(r => r.category === '04' && !equippedIds.has(r.id)),
+            '03': ownedRunes.filter(r => {
+                if (r.category !== '03' || equippedIds.has(r.id)) return false;
+                
+                // 장신구 클래스 필터링
+                const runeClass = r.classRestriction || r.klass || null;
+                
+                // 클래스 제한이 없는 룬(null, '00', '전체')은 모두 사용 가능
+                if (!runeClass || runeClass === '00' || runeClass === '전체') return true;
+                
+                // 캐릭터 클래스와 일치하는 경우 (코드, 전체이름, 짧은이름 모두 비교)
+                if (runeClass === charClass) return true;
+                if (runeClass === charClassName) return true;
+                if (runeClass === charClassShort) return true;
+                if (charClassShort && runeClass.includes(charClassShort)) return true;
+                if (charClassName && charClassName.includes(runeClass)) return true;
+                
+                return false;
+            })
         };
 
-        // 장착된 룬 ID 목록
-        const equippedIds = new Set();
-        if (equipment.weapon) equippedIds.add(equipment.weapon);
-        if (equipment.emblem) equippedIds.add(equipment.emblem);
-        equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
-        equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
-
-        // 장착된 룬 점수 합산
-        let totalScore = 0;
-        equippedIds.forEach(id => {
-            const rune = state.allRunes.find(r => r.id === id);
-            if (rune) totalScore += rune.baseScore || 0;
+        // 각 카테고리 효율 점수 순 정렬
+        Object.keys(availableByCategory).forEach(cat => {
+            availableByCategory[cat].sort((a, b) => (b.baseScore || 0) - (a.baseScore || 0));
         });
 
-        // 장착 미니바 렌더링
-        renderEquippedMinibar(equippedIds, totalScore);
-
-        // 보유 룬 목록 렌더링 (카테고리별)
-        renderOwnedRunesList(ownedRunes, equippedIds);
-    }
+        // @debug 2025-12-12 - 자동 장착 디버깅 로그
+        console.log('[자동장착] 보유 룬 수:', ownedRunes.length);
+        console.log('[자동장착] 사용 가능한 룬:', {
+            무기: availableByCategory['01'].length,
+            방어구: availableByCategory['02'].length,
+            엠블럼: availableByCategory['04'].length,
+            장신구: availableByCategory['03'].length
+        });
+        console.log('[자동장착] 빈 슬롯:', emptySlotInfo);
 
-    /**
-     * 장착 미니바 렌더링
-     * @param {Set} equippedIds - 장착된 룬 ID Set
-     * @param {number} totalScore - 총 효율 점수
-     */
-    function renderEquippedMinibar(equippedIds, totalScore) {
-        const countEl = $('#equipped-count');
-        const scoreEl = $('#equipped-score');
-        const slotsEl = $('#equipped-minibar-slots');
+        let filledCount = 0;
+        const newEquipment = {
+            weapon: equipment.weapon,
+            armors: [...equipment.armors],
+            emblem: equipment.emblem,
+            accessories: [...equipment.accessories]
+        };
 
-        if (countEl) countEl.textContent = equippedIds.size;
-        if (scoreEl) scoreEl.textContent = totalScore.toFixed(1);
+        // 무기 슬롯 최적화
+        if (emptySlotInfo.weapon && availableByCategory['01'].length > 0) {
+            newEquipment.weapon = availableByCategory['01'][0].id;
+            filledCount++;
+        }
 
-        if (slotsEl) {
-            if (equippedIds.size === 0) {
-                slotsEl.innerHTML = '<span style="color:#888;font-size:12px;">장착된 룬이 없습니다</span>';
-            } else {
-                const items = [];
-                equippedIds.forEach(id => {
-                    const rune = state.allRunes.find(r => r.id === id);
-                    if (rune) {
-                        items.push(`
-                            <div class="equipped-mini-item" data-rune-id="${rune.id}" title="클릭하여 해제">
-                                <img class="equipped-mini-item__img" 
-                                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                                     alt="${escapeHtml(rune.name)}"
-                                     onerror="handleRuneImageError(this)">
-                                <span class="equipped-mini-item__name">${escapeHtml(rune.name)}</span>
-                                <span class="equipped-mini-item__remove">×</span>
-                            </div>
-                        `);
-                    }
-                });
-                slotsEl.innerHTML = items.join('');
+        // 방어구 슬롯 최적화 (최대 5개)
+        let armorIdx = 0;
+        for (let i = 0; i < 5 && armorIdx < availableByCategory['02'].length; i++) {
+            if (!newEquipment.armors[i]) {
+                newEquipment.armors[i] = availableByCategory['02'][armorIdx].id;
+                armorIdx++;
+                filledCount++;
             }
         }
-    }
 
-    /**
-     * 보유 룬 목록 렌더링 (카테고리별)
-     * @param {Array} ownedRunes - 보유 룬 배열
-     * @param {Set} equippedIds - 장착된 룬 ID Set
-     */
-    function renderOwnedRunesList(ownedRunes, equippedIds) {
-        const totalCountEl = $('#owned-total-count');
-        const emptyHintEl = $('#owned-empty-hint');
-        
-        if (totalCountEl) totalCountEl.textContent = ownedRunes.length;
+        // 엠블럼 슬롯 최적화
+        if (emptySlotInfo.emblem && availableByCategory['04'].length > 0) {
+            newEquipment.emblem = availableByCategory['04'][0].id;
+            filledCount++;
+        }
 
-        // 카테고리별 분류
-        const categoryOrder = ['01', '04', '02', '03'];
-        const byCategory = { '01': [], '04': [], '02': [], '03': [] };
-        
-        ownedRunes.forEach(rune => {
-            if (byCategory[rune.category]) {
-                byCategory[rune.category].push(rune);
+        // 장신구 슬롯 최적화 (최대 3개)
+        let accIdx = 0;
+        for (let i = 0; i < 3 && accIdx < availableByCategory['03'].length; i++) {
+            if (!newEquipment.accessories[i]) {
+                newEquipment.accessories[i] = availableByCategory['03'][accIdx].id;
+                accIdx++;
+                filledCount++;
             }
-        });
+        }
 
-        // 각 카테고리 렌더링
-        categoryOrder.forEach(cat => {
-            const catEl = $(`#owned-category-${cat}`);
-            if (!catEl) return;
+        if (filledCount === 0) {
+            showToast('사용 가능한 보유 룬이 없습니다.', 'info');
+            return;
+        }
 
-            const runes = byCategory[cat];
-            const countEl = catEl.querySelector('.owned-cat-count');
-            const gridEl = catEl.querySelector('.owned-category__grid');
+        const before = captureHistorySnapshot(charId);
 
-            if (countEl) countEl.textContent = runes.length;
+        // 장착 정보 업데이트
+        state.characterEquipments[charId] = newEquipment;
+        saveCharacterEquipments();
+        
+        // @fixed 2025-12-12 - 전체 UI 리렌더링으로 변경
+        updateEquipmentTabUI();
+        
+        // @added 2025-12-12 - 장착 시뮬레이터에도 연동
+        syncEquipmentToSimulator(charId, newEquipment);
+        commitHistory('자동 장착', before);
+        
+        showToast(`${filledCount}개 슬롯에 최적 룬을 장착했습니다!`, 'success');
+    }
 
-            if (gridEl) {
-                if (runes.length === 0) {
-                    gridEl.innerHTML = '<span style="color:#666;font-size:12px;padding:8px;">보유 룬 없음</span>';
-                } else {
-                    gridEl.innerHTML = runes.map(rune => {
-                        const isEquipped = equippedIds.has(rune.id);
-                        return `
-                            <div class="owned-rune-item ${isEquipped ? 'owned-rune-item--equipped' : ''}" 
-                                 data-rune-id="${rune.id}" 
-                                 data-category="${rune.category}">
-                                <img class="owned-rune-item__img" 
-                                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                                     alt="${escapeHtml(rune.name)}"
-                                     onerror="handleRuneImageError(this)">
-                                <div class="owned-rune-item__name">${escapeHtml(rune.name)}</div>
-                                <div class="owned-rune-item__score">${(rune.baseScore || 0).toFixed(1)}점</div>
-                                <div class="owned-rune-item__actions">
-                                    ${isEquipped 
-                                        ? '<button class="owned-rune-item__btn owned-rune-item__btn--remove" data-action="unequip">해제</button>'
-                                        : '<button class="owned-rune-item__btn owned-rune-item__btn--equip" data-action="equip">장착</button>'
-                                    }
-                                    <button class="owned-rune-item__btn" data-action="remove" style="background:#666;">삭제</button>
-                                </div>
-                            </div>
-                        `;
-                    }).join('');
+    /**
+     * 보유 룬 장착 정보를 시뮬레이터에 동기화
+     * @param {string} charId - 캐릭터 ID
+     * @param {Object} equipment - 장착 정보
+     * @added 2025-12-12
+     */
+    function syncEquipmentToSimulator(charId, equipment) {
+        // 시뮬레이터 슬롯 초기화
+        state.equippedRunes = {};
+        
+        // 무기 슬롯 동기화
+        if (equipment.weapon) {
+            const rune = state.allRunes.find(r => r.id === equipment.weapon);
+            if (rune) {
+                state.equippedRunes['weapon-1'] = rune;
+            }
+        }
+        
+        // 엠블럼 슬롯 동기화
+        if (equipment.emblem) {
+            const rune = state.allRunes.find(r => r.id === equipment.emblem);
+            if (rune) {
+                state.equippedRunes['emblem-1'] = rune;
+            }
+        }
+        
+        // 방어구 슬롯 동기화 (5개)
+        equipment.armors.forEach((runeId, idx) => {
+            if (runeId) {
+                const rune = state.allRunes.find(r => r.id === runeId);
+                if (rune) {
+                    state.equippedRunes[`armor-${idx + 1}`] = rune;
                 }
             }
         });
-
-        // 빈 안내 표시
-        if (emptyHintEl) {
-            emptyHintEl.style.display = ownedRunes.length === 0 ? 'block' : 'none';
-        }
+        
+        // 장신구 슬롯 동기화 (3개)
+        equipment.accessories.forEach((runeId, idx) => {
+            if (runeId) {
+                const rune = state.allRunes.find(r => r.id === runeId);
+                if (rune) {
+                    state.equippedRunes[`accessory-${idx + 1}`] = rune;
+                }
+            }
+        });
+        
+        // 시뮬레이터 UI 업데이트
+        Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
+        calculateTotalEffects();
+        renderEquippedRuneList();
+        saveEquippedRunes();
     }
 
+    // ============================================
+    // 12-3. 탭 간 동기화 (Multi-tab Sync) @added 2025-12-15
+    // ============================================
+
     /**
-     * 장착 슬롯 렌더링
-     * @param {string} charId - 캐릭터 프로필 ID
+     * 스탯 입력 폼에 저장하지 않은 수정이 있는지 (다른 탭 변경 경고용)
+     * @type {boolean}
      */
-    function renderEquipmentSlots(charId) {
-        const equipment = state.characterEquipments[charId] || {
-            weapon: null,
-            armors: [null, null, null, null, null],
-            emblem: null,
-            accessories: [null, null, null]
-        };
+    let statFormDirty = false;
 
-        // 장착 현황 계산
-        let equippedCount = 0;
-        let totalScore = 0;
+    /**
+     * 동기화 대상 키별 표시 이름
+     * @constant {Object}
+     */
+    const SYNC_KEY_LABELS = {
+        CALCULATOR_PROFILES: '프로필',
+        CHARACTER_EQUIPMENTS: '장착 룬',
+        CHARACTER_OWNED_RUNES: '보유 룬',
+        CHARACTER_WEIGHT_PROFILES: '가중치 프로필'
+    };
 
-        // 무기 슬롯
-        const weaponSlot = $('[data-slot="equip-weapon-1"]');
-        if (weaponSlot) {
-            if (equipment.weapon) {
-                const rune = state.allRunes.find(r => r.id === equipment.weapon);
-                if (rune) {
-                    renderEquipmentSlotContent(weaponSlot, rune);
-                    equippedCount++;
-                    totalScore += rune.baseScore || 0;
-                }
-            } else {
-                renderEquipmentSlotEmpty(weaponSlot);
+    /**
+     * 캐릭터 항목이 바뀌었는지 비교
+     * @param {*} before - 이전 값
+     * @param {*} after - 새 값
+     * @returns {boolean}
+     */
+    function hasCharacterEntryChanged(before, after) {
+        return JSON.stringify(before === undefined ? null : before) !== JSON.stringify(after === undefined ? null : after);
+    }
+
+    /**
+     * 다른 탭에서 저장된 변경을 현재 화면에 반영
+     * @param {Object} event - StorageManager.onRemoteChange 이벤트 { name, value, conflict }
+     */
+    function handleRemoteStorageChange(event) {
+        const charId = state.selectedCharacterId;
+        const profile = charId ? state.characterProfiles.find(p => p.id === charId) : null;
+        const charName = profile ? profile.name : '';
+
+        // 같은 데이터를 이 탭이 더 나중에 저장한 경우 - 이 탭 값이 유지됨
+        if (event.conflict) {
+            if (SYNC_KEY_LABELS[event.name]) {
+                showToast(`다른 탭과 ${SYNC_KEY_LABELS[event.name]} 저장이 겹쳐 이 탭의 최신 변경을 유지했습니다.`, 'warning');
             }
+            return;
         }
 
-        // 방어구 슬롯 (5개)
-        for (let i = 0; i < 5; i++) {
-            const slot = $('[data-slot="equip-armor-' + (i + 1) + '"]');
-            if (slot) {
-                const runeId = equipment.armors[i];
-                if (runeId) {
-                    const rune = state.allRunes.find(r => r.id === runeId);
-                    if (rune) {
-                        renderEquipmentSlotContent(slot, rune);
-                        equippedCount++;
-                        totalScore += rune.baseScore || 0;
-                    }
-                } else {
-                    renderEquipmentSlotEmpty(slot);
+        let editedCharacterChanged = false;
+
+        switch (event.name) {
+            case 'CALCULATOR_PROFILES': {
+                const before = profile;
+                state.characterProfiles = event.value || [];
+                const after = charId ? state.characterProfiles.find(p => p.id === charId) : null;
+                editedCharacterChanged = !!charId && hasCharacterEntryChanged(before, after);
+
+                // 선택 중인 캐릭터가 다른 탭에서 삭제됨
+                if (charId && !after) {
+                    state.selectedCharacterId = null;
+                    showToast(`다른 탭에서 "${charName}" 캐릭터가 삭제되었습니다.`, 'warning');
+                    editedCharacterChanged = false;
+                    applyActiveWeightProfile();
+                    refreshCurrentTabForCharacter();
+                } else if (editedCharacterChanged && statFormDirty) {
+                    showToast(`다른 탭에서 "${charName}" 프로필이 변경되었습니다. 지금 저장하면 그 변경을 덮어씁니다.`, 'warning', 5000);
+                    editedCharacterChanged = false;
                 }
-            }
-        }
 
-        // 엠블럼 슬롯
-        const emblemSlot = $('[data-slot="equip-emblem-1"]');
-        if (emblemSlot) {
-            if (equipment.emblem) {
-                const rune = state.allRunes.find(r => r.id === equipment.emblem);
-                if (rune) {
-                    renderEquipmentSlotContent(emblemSlot, rune);
-                    equippedCount++;
-                    totalScore += rune.baseScore || 0;
+                renderProfileList();
+                updateGlobalCharacterDisplay();
+                break;
+            }
+            case 'CHARACTER_EQUIPMENTS': {
+                const value = event.value || {};
+                editedCharacterChanged = !!charId && hasCharacterEntryChanged(state.characterEquipments[charId], value[charId]);
+                state.characterEquipments = value;
+                if (editedCharacterChanged) refreshCurrentTabForCharacter();
+                break;
+            }
+            case 'CHARACTER_OWNED_RUNES': {
+                const value = event.value || {};
+                editedCharacterChanged = !!charId && hasCharacterEntryChanged(state.characterOwnedRunes[charId], value[charId]);
+                state.characterOwnedRunes = value;
+                if (editedCharacterChanged) refreshCurrentTabForCharacter();
+                break;
+            }
+            case 'CHARACTER_WEIGHT_PROFILES': {
+                const value = event.value || {};
+                editedCharacterChanged = !!charId && hasCharacterEntryChanged(state.characterWeightProfiles[charId], value[charId]);
+                state.characterWeightProfiles = value;
+                if (editedCharacterChanged) {
+                    applyActiveWeightProfile();
+                    const modal = $('#weight-profile-modal');
+                    if (modal && modal.classList.contains('modal--open')) renderWeightProfileModal();
                 }
-            } else {
-                renderEquipmentSlotEmpty(emblemSlot);
+                break;
             }
+            case 'PRESETS':
+                state.presets = event.value || [];
+                renderLoadoutComparison();
+                renderPresetList();
+                return;
+            case 'FAVORITES':
+                state.favorites = event.value || [];
+                renderFavorites();
+                return;
+            default:
+                return;
         }
 
-        // 장신구 슬롯 (3개)
-        for (let i = 0; i < 3; i++) {
-            const slot = $('[data-slot="equip-accessory-' + (i + 1) + '"]');
-            if (slot) {
-                const runeId = equipment.accessories[i];
-                if (runeId) {
-                    const rune = state.allRunes.find(r => r.id === runeId);
-                    if (rune) {
-                        renderEquipmentSlotContent(slot, rune);
-                        equippedCount++;
-                        totalScore += rune.baseScore || 0;
-                    }
-                } else {
-                    renderEquipmentSlotEmpty(slot);
-                }
-            }
+        // 드롭다운이 열려 있으면 캐릭터 목록(보유/장착 수 포함) 갱신
+        const dropdown = $('#global-char-dropdown');
+        if (dropdown && dropdown.style.display !== 'none') renderGlobalCharList();
+
+        if (editedCharacterChanged) {
+            showToast(`다른 탭에서 "${charName}" 캐릭터의 ${SYNC_KEY_LABELS[event.name]}이(가) 변경되어 다시 불러왔습니다.`, 'warning');
         }
+    }
 
-        // 요약 정보 업데이트
-        const countEl = $('#equipment-count');
-        const emptyCountEl = $('#equipment-empty-count');
-        const scoreEl = $('#equipment-total-score');
+    // ============================================
+    // 12-4. 실행 취소/다시 실행 (Undo/Redo History) @added 2025-12-15
+    // ============================================
 
-        if (countEl) countEl.textContent = equippedCount;
-        if (emptyCountEl) emptyCountEl.textContent = 10 - equippedCount;
-        if (scoreEl) scoreEl.textContent = '총 효율: ' + totalScore.toFixed(1) + '점';
+    /**
+     * 캐릭터별 히스토리 최대 보관 개수
+     * @constant {number}
+     */
+    const MAX_HISTORY_ENTRIES = 50;
 
-        // 보유 룬 목록 렌더링 @added 2025-12-11
-        // @fixed 2025-12-12 - 함수명 충돌 해결
-        renderEquipmentOwnedRunes(charId, equipment);
-    }
+    /**
+     * 히스토리 저장 키 (sessionStorage - 탭을 닫으면 사라짐)
+     * @constant {string}
+     */
+    const HISTORY_SESSION_KEY = 'mabinogi_rune_history';
 
     /**
-     * 장착 탭용 보유 룬 목록 렌더링 (레거시)
-     * @param {string} charId - 캐릭터 프로필 ID
-     * @param {Object} equipment - 현재 장착 정보
-     * @added 2025-12-11
-     * @renamed 2025-12-12 - renderOwnedRunesList → renderEquipmentOwnedRunes (함수명 충돌 해결)
+     * 캐릭터 미선택 상태에서 사용하는 히스토리 키
+     * @constant {string}
      */
-    function renderEquipmentOwnedRunes(charId, equipment) {
-        const ownedSection = $('#equipment-owned');
-        const ownedGrid = $('#owned-runes-grid');
-        const ownedCountEl = $('#owned-rune-count');
+    const NO_CHARACTER_HISTORY_KEY = '_';
 
-        if (!ownedSection || !ownedGrid) return;
+    /**
+     * 캐릭터별 히스토리 스택 { [charId]: { undo: [], redo: [] } } (최초 사용 시 로드)
+     * @type {Object|null}
+     */
+    let historyStacks = null;
 
-        const ownedRunes = getOwnedRunes(charId);
-        
-        // 보유 룬이 없으면 숨김
-        if (ownedRunes.length === 0) {
-            ownedSection.style.display = 'none';
-            return;
+    /**
+     * 세션에 저장된 히스토리 불러오기
+     * @returns {Object} 캐릭터별 히스토리 스택
+     */
+    function loadHistoryStacks() {
+        try {
+            const saved = JSON.parse(window.sessionStorage.getItem(HISTORY_SESSION_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            return {};
         }
+    }
 
-        ownedSection.style.display = 'block';
-        if (ownedCountEl) ownedCountEl.textContent = ownedRunes.length;
+    /**
+     * 히스토리를 세션에 저장
+     */
+    function saveHistoryStacks() {
+        try {
+            window.sessionStorage.setItem(HISTORY_SESSION_KEY, JSON.stringify(historyStacks));
+        } catch (error) {
+            console.warn('⚠️ 실행 취소 기록 저장 실패:', error);
+        }
+    }
 
-        // 장착된 룬 ID 목록
-        const equippedIds = new Set();
-        if (equipment.weapon) equippedIds.add(equipment.weapon);
-        equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
-        if (equipment.emblem) equippedIds.add(equipment.emblem);
-        equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
+    /**
+     * 캐릭터의 히스토리 스택 조회 (없으면 생성)
+     * @param {string|null} charId - 캐릭터 ID
+     * @returns {Object} { undo, redo }
+     */
+    function getHistoryStack(charId) {
+        if (!historyStacks) historyStacks = loadHistoryStacks();
+        const key = charId || NO_CHARACTER_HISTORY_KEY;
+        if (!historyStacks[key]) historyStacks[key] = { undo: [], redo: [] };
+        return historyStacks[key];
+    }
 
-        // 카테고리별 정렬 (순서: 무기-엠블럼-방어구-장신구) @updated 2025-12-11
-        const sortedRunes = [...ownedRunes].sort((a, b) => {
-            const catOrder = { '01': 1, '04': 2, '02': 3, '03': 4 };
-            return (catOrder[a.category] || 99) - (catOrder[b.category] || 99);
+    /**
+     * 현재 시뮬레이터 슬롯/강화 수치와 캐릭터 장착 상태 스냅샷
+     * @param {string|null} [charId] - 장착 정보를 기록할 캐릭터 ID
+     * @returns {Object} { charId, slots: { [slotId]: { runeId, enhanceLevel } }, equipment: { [경로]: 룬 ID } | null }
+     * @updated 2025-12-15 - 슬롯별 룬 ID/강화 수치, 장착 슬롯별 룬 ID로 기록
+     */
+    function captureHistorySnapshot(charId = state.selectedCharacterId) {
+        const slots = {};
+        Object.keys(SLOT_CONFIG).forEach(slotId => {
+            const rune = state.equippedRunes[slotId];
+            slots[slotId] = {
+                runeId: rune ? rune.id : null,
+                enhanceLevel: state.enhanceLevels[slotId] !== undefined ? state.enhanceLevels[slotId] : null
+            };
         });
+        const equipment = charId ? state.characterEquipments[charId] : null;
 
-        ownedGrid.innerHTML = sortedRunes.map(rune => {
-            const isEquipped = equippedIds.has(rune.id);
-            const categoryName = CATEGORY_MAP[rune.category] || '기타';
-            
-            return `
-                <div class="owned-rune-card ${isEquipped ? 'owned-rune-card--equipped' : ''}" 
-                     data-rune-id="${rune.id}" 
-                     data-category="${rune.category}"
-                     title="${isEquipped ? '장착됨' : '클릭하여 장착'}">
-                    <img class="owned-rune-card__image" 
-                         src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                         alt="${escapeHtml(rune.name)}"
-                         onerror="handleRuneImageError(this)">
-                    <div class="owned-rune-card__name">${escapeHtml(rune.name)}</div>
-                    <div class="owned-rune-card__category">${categoryName}</div>
-                    ${isEquipped ? '<span style="color:#4CAF50;font-size:10px;">✓ 장착됨</span>' : ''}
-                </div>
-            `;
-        }).join('');
-
-        // 보유 룬 카드 클릭 이벤트
-        ownedGrid.querySelectorAll('.owned-rune-card').forEach(card => {
-            card.addEventListener('click', function() {
-                const runeId = parseInt(this.dataset.runeId);
-                const category = this.dataset.category;
-                
-                // 해당 카테고리의 빈 슬롯 찾기
-                const slotPrefix = category === '01' ? 'equip-weapon-' :
-                    category === '02' ? 'equip-armor-' :
-                    category === '04' ? 'equip-emblem-' : 'equip-accessory-';
-                
-                const maxSlots = category === '02' ? 5 : category === '03' ? 3 : 1;
-                
-                for (let i = 1; i <= maxSlots; i++) {
-                    const slotId = slotPrefix + i;
-                    const slot = $('[data-slot="' + slotId + '"]');
-                    if (slot && !slot.classList.contains('equipment-slot--filled')) {
-                        equipRuneToEquipmentSlot(slotId, runeId);
-                        showToast('룬이 장착되었습니다.', 'success');
-                        return;
-                    }
-                }
-                
-                // 빈 슬롯이 없으면 첫 번째 슬롯에 교체
-                const slotId = slotPrefix + '1';
-                equipRuneToEquipmentSlot(slotId, runeId);
-                showToast('룬이 교체되었습니다.', 'info');
-            });
-        });
+        return {
+            charId: charId || null,
+            slots: slots,
+            equipment: charId ? flattenEquipmentSlots(equipment) : null
+        };
     }
 
     /**
-     * 장착 슬롯에 룬 표시
-     * @param {HTMLElement} slot - 슬롯 요소
-     * @param {Object} rune - 룬 데이터
+     * 캐릭터 장착 정보를 슬롯 경로별 룬 ID로 펼치기 ('weapon', 'armors.0', ...)
+     * @param {Object|null} equipment - 캐릭터 장착 정보
+     * @returns {Object} { [경로]: 룬 ID | null }
+     * @added 2025-12-15
      */
-    function renderEquipmentSlotContent(slot, rune) {
-        slot.classList.add('equipment-slot--filled');
-        slot.innerHTML = `
-            <div class="equipment-slot__rune" data-rune-id="${rune.id}">
-                <img class="equipment-slot__image" 
-                     src="${rune.image || DEFAULT_RUNE_IMAGE}" 
-                     alt="${escapeHtml(rune.name)}"
-                     onerror="handleRuneImageError(this)">
-                <div class="equipment-slot__name">${escapeHtml(rune.name)}</div>
-                <div class="equipment-slot__score">${(rune.baseScore || 0).toFixed(1)}점</div>
-            </div>
-            <button class="equipment-slot__remove" title="장착 해제">×</button>
-        `;
+    function flattenEquipmentSlots(equipment) {
+        const source = equipment || {};
+        const slots = { weapon: source.weapon || null, emblem: source.emblem || null };
+        [['armors', 5], ['accessories', 3]].forEach(([key, count]) => {
+            for (let i = 0; i < count; i++) {
+                slots[`${key}.${i}`] = (Array.isArray(source[key]) && source[key][i]) || null;
+            }
+        });
+        return slots;
     }
 
     /**
-     * 장착 슬롯 비우기
-     * @param {HTMLElement} slot - 슬롯 요소
+     * 작업 전후 스냅샷에서 바뀐 범위만 추출
+     * @param {Object} before - 작업 전 스냅샷
+     * @param {Object} after - 작업 후 스냅샷
+     * @returns {Object|null} { before, after } (바뀐 시뮬레이터 슬롯/장착 정보만 포함, 변경 없으면 null)
+     * @description 기록하지 않은 다른 변경(다른 슬롯, 다른 탭의 장착)은 실행 취소 시 건드리지 않음
+     * @added 2025-12-15
      */
-    function renderEquipmentSlotEmpty(slot) {
-        slot.classList.remove('equipment-slot--filled');
-        slot.innerHTML = '<div class="equipment-slot__empty">클릭하여 장착</div>';
+    function diffHistorySnapshots(before, after) {
+        const changedBefore = { charId: before.charId };
+        const changedAfter = { charId: before.charId };
+
+        Object.keys(after.slots).forEach(slotId => {
+            const prev = before.slots[slotId] || { runeId: null, enhanceLevel: null };
+            const next = after.slots[slotId];
+            if (prev.runeId === next.runeId && prev.enhanceLevel === next.enhanceLevel) return;
+            changedBefore.slots = changedBefore.slots || {};
+            changedAfter.slots = changedAfter.slots || {};
+            changedBefore.slots[slotId] = prev;
+            changedAfter.slots[slotId] = next;
+        });
+
+        if (before.charId) {
+            Object.keys(after.equipment).forEach(path => {
+                if (before.equipment[path] === after.equipment[path]) return;
+                changedBefore.equipment = changedBefore.equipment || {};
+                changedAfter.equipment = changedAfter.equipment || {};
+                changedBefore.equipment[path] = before.equipment[path];
+                changedAfter.equipment[path] = after.equipment[path];
+            });
+        }
+
+        if (!changedBefore.slots && !changedBefore.equipment) return null;
+        return { before: changedBefore, after: changedAfter };
     }
 
     /**
-     * 장착 슬롯에 룬 장착
-     * @param {string} slotId - 슬롯 ID
-     * @param {number} runeId - 룬 ID
+     * 변경 작업을 히스토리에 기록 (변경이 없으면 기록하지 않음)
+     * @param {string} label - 작업 이름 (토스트/버튼 툴팁 표시용)
+     * @param {Object} before - 작업 전 captureHistorySnapshot 결과
+     * @updated 2025-12-15 - 바뀐 범위만 기록
      */
-    function equipRuneToEquipmentSlot(slotId, runeId) {
-        const charId = state.selectedEquipmentCharId;
-        if (!charId) return;
+    function commitHistory(label, before) {
+        const changes = diffHistorySnapshots(before, captureHistorySnapshot(before.charId));
+        if (!changes) return;
 
-        // 장착 데이터 초기화
-        if (!state.characterEquipments[charId]) {
-            state.characterEquipments[charId] = {
-                weapon: null,
-                armors: [null, null, null, null, null],
-                emblem: null,
-                accessories: [null, null, null]
-            };
-        }
+        const stack = getHistoryStack(before.charId);
+        stack.undo.push({ label: label, before: changes.before, after: changes.after });
+        if (stack.undo.length > MAX_HISTORY_ENTRIES) stack.undo.shift();
+        stack.redo = [];
 
-        const equipment = state.characterEquipments[charId];
+        saveHistoryStacks();
+        renderHistoryButtons();
+    }
 
-        // 슬롯 타입에 따라 장착
-        if (slotId === 'equip-weapon-1') {
-            equipment.weapon = runeId;
-        } else if (slotId.startsWith('equip-armor-')) {
-            const idx = parseInt(slotId.replace('equip-armor-', '')) - 1;
-            equipment.armors[idx] = runeId;
-        } else if (slotId === 'equip-emblem-1') {
-            equipment.emblem = runeId;
-        } else if (slotId.startsWith('equip-accessory-')) {
-            const idx = parseInt(slotId.replace('equip-accessory-', '')) - 1;
-            equipment.accessories[idx] = runeId;
+    /**
+     * 기록된 범위만 스냅샷 상태로 되돌리기 (바뀐 부분만 다시 렌더링/저장)
+     * @param {Object} snapshot - diffHistorySnapshots 결과의 before/after
+     * @updated 2025-12-15 - 기록된 슬롯/장착 정보만 복원
+     */
+    function applyHistorySnapshot(snapshot) {
+        if (snapshot.slots) {
+            Object.entries(snapshot.slots).forEach(([slotId, slot]) => {
+                const rune = slot.runeId !== null ? hydrateSlotRunes({ [slotId]: { id: slot.runeId } })[slotId] : null;
+                if (rune) {
+                    state.equippedRunes[slotId] = rune;
+                } else {
+                    delete state.equippedRunes[slotId];
+                }
+                if (slot.enhanceLevel !== null) {
+                    state.enhanceLevels[slotId] = slot.enhanceLevel;
+                } else {
+                    delete state.enhanceLevels[slotId];
+                }
+                renderSlot(slotId);
+            });
+            calculateTotalEffects();
+            renderEquippedRuneList();
+            saveEquippedRunes();
+            saveEnhanceLevels();
         }
 
-        // 저장 및 렌더링
-        saveCharacterEquipments();
-        // @fixed 2025-12-12 - updateEquipmentTabUI로 변경
-        updateEquipmentTabUI();
+        if (snapshot.charId && snapshot.equipment) {
+            const equipment = state.characterEquipments[snapshot.charId] || {};
+            if (!Array.isArray(equipment.armors)) equipment.armors = [null, null, null, null, null];
+            if (!Array.isArray(equipment.accessories)) equipment.accessories = [null, null, null];
+            Object.entries(snapshot.equipment).forEach(([path, runeId]) => {
+                const [key, index] = path.split('.');
+                if (index === undefined) {
+                    equipment[key] = runeId;
+                } else {
+                    equipment[key][Number(index)] = runeId;
+                }
+            });
+            state.characterEquipments[snapshot.charId] = equipment;
+            saveCharacterEquipments();
+            updateEquipmentTabUI();
+        }
     }
 
     /**
-     * 장착 슬롯에서 룬 해제
-     * @param {string} slotId - 슬롯 ID
+     * 마지막 작업 실행 취소
      */
-    function unequipFromEquipmentSlot(slotId) {
-        equipRuneToEquipmentSlot(slotId, null);
+    function undoHistory() {
+        const stack = getHistoryStack(state.selectedCharacterId);
+        const entry = stack.undo.pop();
+        if (!entry) {
+            showToast('실행 취소할 작업이 없습니다.', 'info');
+            return;
+        }
+
+        applyHistorySnapshot(entry.before);
+        stack.redo.push(entry);
+        saveHistoryStacks();
+        renderHistoryButtons();
+        showToast(`실행 취소: ${entry.label}`, 'info');
     }
 
     /**
-     * 보유 룬에서 장착
-     * @param {number} runeId - 룬 ID
-     * @param {string} category - 카테고리 코드
-     * @added 2025-12-11
+     * 실행 취소한 작업 다시 실행
      */
-    function equipRuneFromOwned(runeId, category) {
-        const charId = state.selectedCharacterId;
-        if (!charId) return;
-
-        if (!state.characterEquipments[charId]) {
-            state.characterEquipments[charId] = {
-                weapon: null,
-                armors: [null, null, null, null, null],
-                emblem: null,
-                accessories: [null, null, null]
-            };
+    function redoHistory() {
+        const stack = getHistoryStack(state.selectedCharacterId);
+        const entry = stack.redo.pop();
+        if (!entry) {
+            showToast('다시 실행할 작업이 없습니다.', 'info');
+            return;
         }
 
-        const equipment = state.characterEquipments[charId];
+        applyHistorySnapshot(entry.after);
+        stack.undo.push(entry);
+        saveHistoryStacks();
+        renderHistoryButtons();
+        showToast(`다시 실행: ${entry.label}`, 'info');
+    }
 
-        // 카테고리에 맞는 빈 슬롯 찾아서 장착
-        if (category === '01') {
-            equipment.weapon = runeId;
-        } else if (category === '04') {
-            equipment.emblem = runeId;
-        } else if (category === '02') {
-            // 방어구 빈 슬롯 찾기
-            const idx = equipment.armors.findIndex(a => a === null);
-            if (idx !== -1) {
-                equipment.armors[idx] = runeId;
-            } else {
-                equipment.armors[0] = runeId; // 없으면 첫 번째 교체
-            }
-        } else if (category === '03') {
-            // 장신구 빈 슬롯 찾기
-            const idx = equipment.accessories.findIndex(a => a === null);
-            if (idx !== -1) {
-                equipment.accessories[idx] = runeId;
-            } else {
-                equipment.accessories[0] = runeId; // 없으면 첫 번째 교체
-            }
-        }
+    /**
+     * 실행 취소/다시 실행 버튼 상태 갱신 (현재 캐릭터 기준)
+     */
+    function renderHistoryButtons() {
+        const stack = getHistoryStack(state.selectedCharacterId);
+        const lastUndo = stack.undo[stack.undo.length - 1];
+        const lastRedo = stack.redo[stack.redo.length - 1];
 
-        saveCharacterEquipments();
-        updateEquipmentTabUI();
-        showToast('장착되었습니다.', 'success');
+        $$('[data-history-action="undo"]').forEach(btn => {
+            btn.disabled = !lastUndo;
+            btn.title = lastUndo ? `실행 취소: ${lastUndo.label} (Ctrl+Z)` : '실행 취소할 작업이 없습니다';
+        });
+        $$('[data-history-action="redo"]').forEach(btn => {
+            btn.disabled = !lastRedo;
+            btn.title = lastRedo ? `다시 실행: ${lastRedo.label} (Ctrl+Y)` : '다시 실행할 작업이 없습니다';
+        });
     }
 
     /**
-     * 룬 ID로 장착 해제
-     * @param {number} runeId - 룬 ID
-     * @added 2025-12-11
+     * 실행 취소/다시 실행 단축키 처리 (Ctrl+Z / Ctrl+Y, Ctrl+Shift+Z)
+     * @param {KeyboardEvent} e - 키 이벤트
      */
-    function unequipRuneById(runeId) {
-        const charId = state.selectedCharacterId;
-        if (!charId) return;
+    function handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
 
-        const equipment = state.characterEquipments[charId];
-        if (!equipment) return;
+        // 입력 필드에서는 브라우저 기본 실행 취소 유지
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
 
-        // 각 슬롯에서 해당 룬 찾아서 해제
-        if (equipment.weapon === runeId) {
-            equipment.weapon = null;
-        }
-        if (equipment.emblem === runeId) {
-            equipment.emblem = null;
-        }
-        for (let i = 0; i < equipment.armors.length; i++) {
-            if (equipment.armors[i] === runeId) {
-                equipment.armors[i] = null;
-            }
-        }
-        for (let i = 0; i < equipment.accessories.length; i++) {
-            if (equipment.accessories[i] === runeId) {
-                equipment.accessories[i] = null;
-            }
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoHistory();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoHistory();
         }
+    }
 
-        saveCharacterEquipments();
-        updateEquipmentTabUI();
-        showToast('장착 해제되었습니다.', 'info');
+    // ============================================
+    // 12-5. 캐릭터별 가중치 프로필 (Weight Profiles) @added 2025-12-15
+    // ============================================
+
+    /**
+     * 가중치 프로필 입력 그룹 (SharedEffectWeights 기본 상수 기준)
+     * @constant {Array<Object>}
+     * @description 기본값이 0인 유형(지속/감소/각성 등)은 업타임으로 동적 계산되어 입력 제외
+     */
+    const WEIGHT_PROFILE_GROUPS = [
+        { group: 'effect', title: '효과 가중치', table: 'EFFECT_WEIGHTS' },
+        { group: 'type', title: '효과 유형 가중치', table: 'TYPE_WEIGHTS', skipZero: true },
+        { group: 'demerit', title: '결함 가중치', table: 'DEMERIT_WEIGHTS' }
+    ];
+
+    /**
+     * 전투 시간 추천값 표시 이름 (GameConstants.COMBAT_DURATION 키)
+     * @constant {Object}
+     */
+    const COMBAT_DURATION_LABELS = {
+        RAID_BOSS: '레이드/어비스 보스',
+        DUNGEON: '일반 던전',
+        SHORT: '짧은 전투'
+    };
+
+    /**
+     * 현재 적용 중인 가중치 덮어쓰기 (JSON) - 룬 목록 정렬 점수 캐시 키
+     * @type {string}
+     */
+    let activeWeightSignature = '';
+
+    /**
+     * 캐릭터별 가중치 프로필 저장
+     */
+    function saveCharacterWeightProfiles() {
+        saveToStorage(STORAGE_KEYS.CHARACTER_WEIGHT_PROFILES, state.characterWeightProfiles);
     }
 
     /**
-     * 전체 장착 해제
-     * @updated 2025-12-11
+     * 캐릭터별 가중치 프로필 불러오기
      */
-    function clearAllEquipment() {
-        const charId = state.selectedCharacterId;
-        if (!charId) return;
+    function loadCharacterWeightProfiles() {
+        state.characterWeightProfiles = loadFromStorage(STORAGE_KEYS.CHARACTER_WEIGHT_PROFILES, {});
+    }
 
-        state.characterEquipments[charId] = {
-            weapon: null,
-            armors: [null, null, null, null, null],
-            emblem: null,
-            accessories: [null, null, null]
+    /**
+     * 캐릭터의 가중치 프로필 목록
+     * @param {string|null} charId - 캐릭터 프로필 ID
+     * @returns {Object} { active: 적용 중인 프로필 이름|null, profiles: { 이름: 프로필 } }
+     * @description profiles는 프로토타입 없는 객체로 복사 (프로필 이름은 사용자 입력이라
+     *              "__proto__", "constructor" 같은 이름도 일반 키로 저장/조회되도록)
+     */
+    function getWeightProfileEntry(charId) {
+        const entry = charId ? state.characterWeightProfiles[charId] : null;
+        return {
+            active: (entry && entry.active) || null,
+            profiles: Object.assign(Object.create(null), entry && entry.profiles)
         };
-
-        saveCharacterEquipments();
-        updateEquipmentTabUI();
-        showToast('장착이 모두 해제되었습니다.', 'info');
     }
 
     /**
-     * 빈 슬롯 최적화 (기존 장착 유지, 보유 룬 내에서 선택)
-     * @updated 2025-12-11 - 전역 캐릭터 기반
+     * 선택된 캐릭터가 적용 중인 가중치 프로필
+     * @returns {Object|null} { effect, type, demerit, combatDuration } (없으면 기본 가중치)
      */
-    function optimizeEmptySlots() {
-        const charId = state.selectedCharacterId;
-        if (!charId) {
-            showToast('캐릭터를 먼저 선택해주세요.', 'error');
-            return;
-        }
+    function getActiveWeightProfile() {
+        const entry = getWeightProfileEntry(state.selectedCharacterId);
+        return entry.active ? entry.profiles[entry.active] || null : null;
+    }
 
-        const profile = state.characterProfiles.find(p => p.id === charId);
-        if (!profile) {
-            showToast('캐릭터 정보를 찾을 수 없습니다.', 'error');
-            return;
-        }
+    /**
+     * Worker 탐색 옵션에 넣을 가중치 프로필 (현재 덮어쓰기)
+     * @returns {Object|null}
+     */
+    function getWeightProfileOption() {
+        return window.SharedEffectWeights ? window.SharedEffectWeights.getWeightOverrides() : null;
+    }
 
-        // @fixed 2025-12-12 - 안전한 기본값 초기화
-        const savedEquip = state.characterEquipments[charId] || {};
-        const equipment = {
-            weapon: savedEquip.weapon || null,
-            armors: Array.isArray(savedEquip.armors) && savedEquip.armors.length === 5 
-                ? [...savedEquip.armors] 
-                : [null, null, null, null, null],
-            emblem: savedEquip.emblem || null,
-            accessories: Array.isArray(savedEquip.accessories) && savedEquip.accessories.length === 3 
-                ? [...savedEquip.accessories] 
-                : [null, null, null]
-        };
+    /**
+     * 적용 중인 가중치 프로필을 SharedEffectWeights 덮어쓰기로 설정
+     * @returns {boolean} 적용 값이 바뀌었는지
+     */
+    function syncWeightOverrides() {
+        const weights = window.SharedEffectWeights;
+        if (!weights || !weights.setWeightOverrides) return false;
 
-        // 보유 룬 목록 확인
-        const ownedRunes = getOwnedRunes(charId);
-        if (ownedRunes.length === 0) {
-            showToast('보유 룬이 없습니다. 룬 목록에서 ⭐를 눌러 추가하세요.', 'error');
-            return;
-        }
+        weights.setWeightOverrides(getActiveWeightProfile());
+        const signature = JSON.stringify(weights.getWeightOverrides());
+        const changed = signature !== activeWeightSignature;
+        activeWeightSignature = signature;
+        return changed;
+    }
 
-        // 이미 장착된 룬 ID 목록
-        const equippedIds = new Set();
-        if (equipment.weapon) equippedIds.add(equipment.weapon);
-        if (equipment.armors) equipment.armors.forEach(id => { if (id) equippedIds.add(id); });
-        if (equipment.emblem) equippedIds.add(equipment.emblem);
-        if (equipment.accessories) equipment.accessories.forEach(id => { if (id) equippedIds.add(id); });
+    /**
+     * 가중치 프로필 변경 후 점수 다시 계산
+     * @description 룬 baseScore, 룬 목록 정렬 점수(캐시 키에 프로필 포함), 시뮬레이터 효과 합산 갱신
+     *              (추천 탐색은 시작할 때 Worker에 프로필 전달)
+     */
+    function applyActiveWeightProfile() {
+        if (!syncWeightOverrides()) return;
 
-        // 카테고리별 빈 슬롯 및 사용 가능한 룬 정리
-        const emptySlotInfo = {
-            weapon: !equipment.weapon,
-            armorCount: equipment.armors.filter(a => !a).length,
-            emblem: !equipment.emblem,
-            accessoryCount: equipment.accessories.filter(a => !a).length
-        };
+        state.allRunes.forEach(rune => {
+            const score = calculateUnifiedScore(rune, {});
+            rune.baseScore = score;
+            rune.maxScore = score * 1.5;
+        });
 
-        const totalEmpty = (emptySlotInfo.weapon ? 1 : 0) + 
-                           emptySlotInfo.armorCount + 
-                           (emptySlotInfo.emblem ? 1 : 0) + 
-                           emptySlotInfo.accessoryCount;
+        sortFilteredRunes();
+        calculateTotalEffects();
+        refreshCurrentTabForCharacter();
+    }
 
-        if (totalEmpty === 0) {
-            showToast('모든 슬롯이 장착되어 있습니다.', 'info');
+    /**
+     * 가중치 프로필 모달 열기
+     */
+    function openWeightProfileModal() {
+        const modal = $('#weight-profile-modal');
+        if (!modal) return;
+        if (!window.SharedEffectWeights) {
+            showToast('SharedFormulas 모듈을 불러오지 못했습니다.', 'error');
+            return;
+        }
+        if (!state.selectedCharacterId) {
+            showToast('가중치 프로필을 사용하려면 캐릭터를 먼저 선택하세요.', 'error');
             return;
         }
 
-        // 카테고리별 사용 가능한 보유 룬 (장착되지 않은 것만)
-        // @updated 2025-12-12 - 장신구는 캐릭터 클래스에 맞는 것만 필터링
-        const charClass = profile.classCode || profile.klass || '00';
-        const charClassName = CLASS_MAP[charClass] || '';
-        const charClassShort = charClassName.split(' ')[0]; // "궁수 (활)" → "궁수"
-        console.log('[자동장착] 캐릭터 클래스:', charClass, charClassName, charClassShort);
-        
-        const availableByCategory = {
-            '01': ownedRunes.filter(r => r.category === '01' && !equippedIds.has(r.id)),
-            '02': ownedRunes.filter(r => r.category === '02' && !equippedIds.has(r.id)),
-            '04': ownedRunes.filter(r => r.category === '04' && !equippedIds.has(r.id)),
-            '03': ownedRunes.filter(r => {
-                if (r.category !== '03' || equippedIds.has(r.id)) return false;
-                
-                // 장신구 클래스 필터링
-                const runeClass = r.classRestriction || r.klass || null;
-                
-                // 클래스 제한이 없는 룬(null, '00', '전체')은 모두 사용 가능
-                if (!runeClass || runeClass === '00' || runeClass === '전체') return true;
-                
-                // 캐릭터 클래스와 일치하는 경우 (코드, 전체이름, 짧은이름 모두 비교)
-                if (runeClass === charClass) return true;
-                if (runeClass === charClassName) return true;
-                if (runeClass === charClassShort) return true;
-                if (charClassShort && runeClass.includes(charClassShort)) return true;
-                if (charClassName && charClassName.includes(runeClass)) return true;
-                
-                return false;
-            })
-        };
+        renderWeightProfileModal();
+        closeGlobalCharDropdown();
+        modal.classList.add('modal--open');
+    }
 
-        // 각 카테고리 효율 점수 순 정렬
-        Object.keys(availableByCategory).forEach(cat => {
-            availableByCategory[cat].sort((a, b) => (b.baseScore || 0) - (a.baseScore || 0));
-        });
+    /**
+     * 가중치 프로필 모달 렌더링 (프로필 목록 + 입력 칸)
+     * @param {Object} [values] - 입력 칸에 채울 값 (기본: 적용 중인 프로필)
+     */
+    function renderWeightProfileModal(values) {
+        const selectEl = $('#weight-profile-select');
+        const formEl = $('#weight-profile-form');
+        if (!selectEl || !formEl) return;
 
-        // @debug 2025-12-12 - 자동 장착 디버깅 로그
-        console.log('[자동장착] 보유 룬 수:', ownedRunes.length);
-        console.log('[자동장착] 사용 가능한 룬:', {
-            무기: availableByCategory['01'].length,
-            방어구: availableByCategory['02'].length,
-            엠블럼: availableByCategory['04'].length,
-            장신구: availableByCategory['03'].length
-        });
-        console.log('[자동장착] 빈 슬롯:', emptySlotInfo);
+        const charId = state.selectedCharacterId;
+        const profile = state.characterProfiles.find(p => p.id === charId);
+        const entry = getWeightProfileEntry(charId);
+        const weights = window.SharedEffectWeights;
+        const formulas = window.SharedFormulas;
+        values = values || entry.profiles[entry.active] || {};
 
-        let filledCount = 0;
-        const newEquipment = {
-            weapon: equipment.weapon,
-            armors: [...equipment.armors],
-            emblem: equipment.emblem,
-            accessories: [...equipment.accessories]
+        const characterEl = $('#weight-profile-character');
+        if (characterEl) characterEl.textContent = profile ? `· ${profile.name}` : '';
+
+        selectEl.innerHTML = '<option value="">기본 가중치</option>' + Object.keys(entry.profiles).map(name => `
+            <option value="${escapeHtml(name).replace(/"/g, '&quot;')}" ${name === entry.active ? 'selected' : ''}>${escapeHtml(name)}</option>
+        `).join('');
+
+        const field = function(label, attrs, base, value) {
+            const custom = value !== undefined && value !== null && value !== '';
+            return `
+                <label class="weight-profile__field ${custom ? 'weight-profile__field--custom' : ''}">
+                    <span>${escapeHtml(label)}</span>
+                    <input type="number" class="weight-profile__input" ${attrs} data-base="${base}"
+                        placeholder="${base}" value="${custom ? value : ''}">
+                </label>
+            `;
         };
 
-        // 무기 슬롯 최적화
-        if (emptySlotInfo.weapon && availableByCategory['01'].length > 0) {
-            newEquipment.weapon = availableByCategory['01'][0].id;
-            filledCount++;
-        }
+        const presets = (Modules.GameConstants && Modules.GameConstants.COMBAT_DURATION) || {};
+        const baseDuration = formulas.FORMULA_CONSTANTS.COMBAT_DURATION;
+        const durationHtml = `
+            <fieldset class="weight-profile__group">
+                <legend class="weight-profile__legend">전투 시간</legend>
+                <div class="weight-profile__grid">
+                    ${field('전투 시간 (초)', 'min="1" step="1" data-duration list="weight-duration-presets"', baseDuration, values.combatDuration)}
+                </div>
+                <datalist id="weight-duration-presets">
+                    ${Object.keys(presets).map(key => `<option value="${presets[key]}" label="${COMBAT_DURATION_LABELS[key] || key}"></option>`).join('')}
+                </datalist>
+            </fieldset>
+        `;
 
-        // 방어구 슬롯 최적화 (최대 5개)
-        let armorIdx = 0;
-        for (let i = 0; i < 5 && armorIdx < availableByCategory['02'].length; i++) {
-            if (!newEquipment.armors[i]) {
-                newEquipment.armors[i] = availableByCategory['02'][armorIdx].id;
-                armorIdx++;
-                filledCount++;
-            }
-        }
+        const groupsHtml = WEIGHT_PROFILE_GROUPS.map(function(spec) {
+            const table = weights[spec.table];
+            const own = values[spec.group] || {};
+            const keys = Object.keys(table).filter(key => !spec.skipZero || table[key] !== 0);
+            return `
+                <fieldset class="weight-profile__group">
+                    <legend class="weight-profile__legend">${spec.title}</legend>
+                    <div class="weight-profile__grid">
+                        ${keys.map(key => field(
+                            spec.group === 'type' ? `${EFFECT_TYPE_NAMES[key] || key} 효과` : formulas.getWeightLabel(spec.group, key),
+                            `min="0" step="0.05" data-group="${spec.group}" data-key="${key}"`,
+                            table[key],
+                            own[key]
+                        )).join('')}
+                    </div>
+                </fieldset>
+            `;
+        }).join('');
 
-        // 엠블럼 슬롯 최적화
-        if (emptySlotInfo.emblem && availableByCategory['04'].length > 0) {
-            newEquipment.emblem = availableByCategory['04'][0].id;
-            filledCount++;
-        }
+        formEl.innerHTML = durationHtml + groupsHtml;
+    }
 
-        // 장신구 슬롯 최적화 (최대 3개)
-        let accIdx = 0;
-        for (let i = 0; i < 3 && accIdx < availableByCategory['03'].length; i++) {
-            if (!newEquipment.accessories[i]) {
-                newEquipment.accessories[i] = availableByCategory['03'][accIdx].id;
-                accIdx++;
-                filledCount++;
+    /**
+     * 입력 칸에서 가중치 프로필 수집 (기본값과 다른 값만)
+     * @returns {Object} { effect, type, demerit, combatDuration }
+     */
+    function collectWeightProfileForm() {
+        const profile = { effect: {}, type: {}, demerit: {}, combatDuration: null };
+
+        $$('#weight-profile-form .weight-profile__input').forEach(input => {
+            if (input.value.trim() === '') return;
+            const value = Number(input.value);
+            const base = Number(input.dataset.base);
+            if (!isFinite(value) || value < 0 || value === base) return;
+
+            if (input.dataset.duration !== undefined) {
+                if (value > 0) profile.combatDuration = value;
+            } else {
+                profile[input.dataset.group][input.dataset.key] = value;
             }
-        }
+        });
 
-        if (filledCount === 0) {
-            showToast('사용 가능한 보유 룬이 없습니다.', 'info');
+        return profile;
+    }
+
+    /**
+     * 가중치 프로필 저장 후 적용
+     * @param {string} name - 프로필 이름
+     * @param {Object} values - collectWeightProfileForm 결과
+     */
+    function storeWeightProfile(name, values) {
+        const charId = state.selectedCharacterId;
+        const entry = getWeightProfileEntry(charId);
+        entry.profiles[name] = Object.assign(values, { updatedAt: new Date().toISOString() });
+        entry.active = name;
+        state.characterWeightProfiles[charId] = entry;
+        saveCharacterWeightProfiles();
+
+        applyActiveWeightProfile();
+        renderWeightProfileModal();
+        showToast(`"${name}" 가중치 프로필을 저장하고 적용했습니다.`, 'success');
+    }
+
+    /**
+     * 선택한 프로필에 덮어쓰기 저장 (기본 가중치 선택 중이면 새 프로필)
+     */
+    function saveWeightProfile() {
+        const entry = getWeightProfileEntry(state.selectedCharacterId);
+        if (!entry.active) {
+            saveWeightProfileAs();
             return;
         }
+        storeWeightProfile(entry.active, collectWeightProfileForm());
+    }
 
-        // 장착 정보 업데이트
-        state.characterEquipments[charId] = newEquipment;
-        saveCharacterEquipments();
-        
-        // @fixed 2025-12-12 - 전체 UI 리렌더링으로 변경
-        updateEquipmentTabUI();
-        
-        // @added 2025-12-12 - 장착 시뮬레이터에도 연동
-        syncEquipmentToSimulator(charId, newEquipment);
-        
-        showToast(`${filledCount}개 슬롯에 최적 룬을 장착했습니다!`, 'success');
+    /**
+     * 새 이름으로 프로필 저장
+     */
+    function saveWeightProfileAs() {
+        const entry = getWeightProfileEntry(state.selectedCharacterId);
+        const name = (prompt('가중치 프로필 이름을 입력하세요:') || '').trim();
+        if (!name) return;
+        if (entry.profiles[name] && !confirm(`"${name}" 프로필이 이미 있습니다. 덮어쓰시겠습니까?`)) return;
+        storeWeightProfile(name, collectWeightProfileForm());
     }
 
     /**
-     * 보유 룬 장착 정보를 시뮬레이터에 동기화
-     * @param {string} charId - 캐릭터 ID
-     * @param {Object} equipment - 장착 정보
-     * @added 2025-12-12
+     * 적용할 프로필 선택 (빈 값이면 기본 가중치)
+     * @param {string} name - 프로필 이름
      */
-    function syncEquipmentToSimulator(charId, equipment) {
-        // 시뮬레이터 슬롯 초기화
-        state.equippedRunes = {};
-        
-        // 무기 슬롯 동기화
-        if (equipment.weapon) {
-            const rune = state.allRunes.find(r => r.id === equipment.weapon);
-            if (rune) {
-                state.equippedRunes['weapon-1'] = rune;
-            }
-        }
-        
-        // 엠블럼 슬롯 동기화
-        if (equipment.emblem) {
-            const rune = state.allRunes.find(r => r.id === equipment.emblem);
-            if (rune) {
-                state.equippedRunes['emblem-1'] = rune;
-            }
+    function selectWeightProfile(name) {
+        const charId = state.selectedCharacterId;
+        const entry = getWeightProfileEntry(charId);
+        entry.active = name && entry.profiles[name] ? name : null;
+        state.characterWeightProfiles[charId] = entry;
+        saveCharacterWeightProfiles();
+
+        applyActiveWeightProfile();
+        renderWeightProfileModal();
+        showToast(entry.active ? `"${entry.active}" 가중치 프로필을 적용했습니다.` : '기본 가중치를 적용했습니다.', 'success');
+    }
+
+    /**
+     * 선택한 프로필 삭제 (기본 가중치로 돌아감)
+     */
+    function deleteWeightProfile() {
+        const charId = state.selectedCharacterId;
+        const entry = getWeightProfileEntry(charId);
+        if (!entry.active) {
+            showToast('삭제할 프로필을 선택하세요.', 'warning');
+            return;
         }
-        
-        // 방어구 슬롯 동기화 (5개)
-        equipment.armors.forEach((runeId, idx) => {
-            if (runeId) {
-                const rune = state.allRunes.find(r => r.id === runeId);
-                if (rune) {
-                    state.equippedRunes[`armor-${idx + 1}`] = rune;
-                }
-            }
-        });
-        
-        // 장신구 슬롯 동기화 (3개)
-        equipment.accessories.forEach((runeId, idx) => {
-            if (runeId) {
-                const rune = state.allRunes.find(r => r.id === runeId);
-                if (rune) {
-                    state.equippedRunes[`accessory-${idx + 1}`] = rune;
-                }
-            }
-        });
-        
-        // 시뮬레이터 UI 업데이트
-        Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
-        calculateTotalEffects();
-        renderEquippedRuneList();
-        saveEquippedRunes();
+        if (!confirm(`"${entry.active}" 가중치 프로필을 삭제하시겠습니까?`)) return;
+
+        const name = entry.active;
+        delete entry.profiles[name];
+        entry.active = null;
+        state.characterWeightProfiles[charId] = entry;
+        saveCharacterWeightProfiles();
+
+        applyActiveWeightProfile();
+        renderWeightProfileModal();
+        showToast(`"${name}" 가중치 프로필이 삭제되었습니다.`, 'success');
     }
 
     // ============================================
@@ -7673,16 +8915,8 @@ function handleRuneImageError(img) {
             'DECAY': '#795548'
         };
 
-        // 효과 유형 한글 맵
-        const typeNameMap = {
-            'PERMANENT': '상시',
-            'TRIGGER': '발동',
-            'STATE': '상태',
-            'STACKING': '중첩',
-            'DURATION': '지속',
-            'AWAKENING': '각성',
-            'DECAY': '감소'
-        };
+        // 효과 유형 한글 맵 @updated 2025-12-15 - 룬 비교와 공유
+        const typeNameMap = EFFECT_TYPE_NAMES;
 
         // 기본 효과 HTML 생성
         let effectsHtml = '';
@@ -7732,7 +8966,7 @@ function handleRuneImageError(img) {
                                 ${Object.entries(enhance10).map(([name, val]) => `
                                     <div class="rune-detail__effect-item" style="margin-top:4px;">
                                         <span>${escapeHtml(name)}</span>
-                                        <span style="color:#FFD700;">+${val}%</span>
+                                        <span style="color:#FFD700;">${typeof val === 'number' ? `+${val}%` : escapeHtml(val)}</span>
                                     </div>
                                 `).join('')}
                             </div>
@@ -7743,7 +8977,7 @@ function handleRuneImageError(img) {
                                 ${Object.entries(enhance15).map(([name, val]) => `
                                     <div class="rune-detail__effect-item" style="margin-top:4px;">
                                         <span>${escapeHtml(name)}</span>
-                                        <span style="color:#FFD700;">+${val}%</span>
+                                        <span style="color:#FFD700;">${typeof val === 'number' ? `+${val}%` : escapeHtml(val)}</span>
                                     </div>
                                 `).join('')}
                             </div>
@@ -7853,6 +9087,303 @@ function handleRuneImageError(img) {
         modal.classList.add('modal--open');
     }
 
+    /**
+     * 효과 유형 한글 이름 (rune.effects[].type)
+     * @constant {Object}
+     * @added 2025-12-15 - 상세 모달에서 분리 (룬 비교와 공유)
+     */
+    const EFFECT_TYPE_NAMES = {
+        'PERMANENT': '상시',
+        'TRIGGER': '발동',
+        'STATE': '상태',
+        'STACKING': '중첩',
+        'DURATION': '지속',
+        'AWAKENING': '각성',
+        'DECAY': '감소'
+    };
+
+    /**
+     * 한 번에 비교할 수 있는 최대 룬 수
+     * @constant {number}
+     * @added 2025-12-15
+     */
+    const MAX_COMPARE_RUNES = 4;
+
+    /**
+     * 비교 대상 룬 추가/제거
+     * @param {number} runeId - 룬 ID
+     * @added 2025-12-15
+     */
+    function toggleCompareRune(runeId) {
+        const index = state.compareRuneIds.indexOf(runeId);
+        if (index !== -1) {
+            state.compareRuneIds.splice(index, 1);
+        } else if (state.compareRuneIds.length >= MAX_COMPARE_RUNES) {
+            showToast(`최대 ${MAX_COMPARE_RUNES}개까지 비교할 수 있습니다.`, 'warning');
+            return;
+        } else {
+            state.compareRuneIds.push(runeId);
+        }
+
+        const isComparing = state.compareRuneIds.includes(runeId);
+        $$(`[data-action="compare"][data-rune-id="${runeId}"]`).forEach(btn => {
+            btn.classList.toggle('active', isComparing);
+        });
+        renderCompareBar();
+    }
+
+    /**
+     * 비교 선택 해제
+     * @added 2025-12-15
+     */
+    function clearCompareRunes() {
+        state.compareRuneIds = [];
+        $$('[data-action="compare"].active').forEach(btn => btn.classList.remove('active'));
+        renderCompareBar();
+    }
+
+    /**
+     * 비교 선택 바 렌더링
+     * @added 2025-12-15
+     */
+    function renderCompareBar() {
+        const bar = $('#compare-bar');
+        const listEl = $('#compare-bar-list');
+        const countEl = $('#compare-bar-count');
+        const openBtn = $('#btn-compare-open');
+        if (!bar || !listEl) return;
+
+        const runes = state.compareRuneIds
+            .map(id => state.allRunes.find(r => r.id === id))
+            .filter(Boolean);
+
+        bar.hidden = runes.length === 0;
+        if (countEl) countEl.textContent = runes.length;
+        if (openBtn) openBtn.disabled = runes.length < 2;
+
+        listEl.innerHTML = runes.map(rune => `
+            <span class="compare-bar__item">
+                ${escapeHtml(rune.name)}
+                <button class="compare-bar__remove" data-rune-id="${rune.id}" title="비교에서 제외">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * 비교 기준 클래스 코드 (선택 캐릭터 → 추천 탭 클래스 → 공용)
+     * @returns {string} 클래스 코드
+     * @added 2025-12-15
+     */
+    function getCompareClassCode() {
+        const profile = state.selectedCharacterId ?
+            state.characterProfiles.find(p => p.id === state.selectedCharacterId) : null;
+        if (profile && profile.classCode) return profile.classCode;
+
+        const classEl = $('#recommend-class');
+        return (classEl ? classEl.value : null) || '00';
+    }
+
+    /**
+     * 비교 행의 우세 룬 인덱스
+     * @param {Array<number|null>} values - 룬별 비교 값
+     * @param {string} better - 'high' | 'low'
+     * @returns {Array<number>} 우세 룬 인덱스 (모두 같으면 빈 배열)
+     * @added 2025-12-15
+     */
+    function findCompareWinners(values, better) {
+        const numbers = values.map(v => v || 0);
+        const best = better === 'low' ? Math.min(...numbers) : Math.max(...numbers);
+        if (numbers.every(v => Math.abs(v - best) < 1e-9)) return [];
+        return numbers.reduce((winners, v, index) => {
+            if (Math.abs(v - best) < 1e-9) winners.push(index);
+            return winners;
+        }, []);
+    }
+
+    /**
+     * 이름 기준으로 룬별 항목을 행으로 정렬
+     * @param {Array<Object>} runes - 비교 룬
+     * @param {Function} getEntries - rune → [{ name, ... }]
+     * @returns {Array<Object>} [{ name, entries: [[...룬0 항목], [...룬1 항목], ...] }]
+     * @added 2025-12-15
+     */
+    function alignCompareEntries(runes, getEntries) {
+        const rows = [];
+        runes.forEach((rune, runeIndex) => {
+            getEntries(rune).forEach(entry => {
+                let row = rows.find(r => r.name === entry.name);
+                if (!row) {
+                    row = { name: entry.name, entries: runes.map(() => []) };
+                    rows.push(row);
+                }
+                row.entries[runeIndex].push(entry);
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * 룬 비교 데이터 생성
+     * @param {Array<Object>} runes - 비교 룬 (2~4개)
+     * @returns {Object} { classCode, sections: [{ title, rows: [{ label, cells, values, better, winners }] }] }
+     *   - cells: 룬별 표시 HTML, values: 우세 판정 값
+     * @description 효과는 이름별로 행을 맞추고 SharedFormulas.getEffectUptimeWeight로 가동률 반영값을 비교
+     * @added 2025-12-15
+     */
+    function buildRuneComparison(runes) {
+        refreshRuneSortContext();
+        const classCode = getCompareClassCode();
+        const dotTypes = runeSortMetricCache.dotTypes;
+        const formatValue = (value, unit) => `${Math.round(value * 10) / 10}${unit || ''}`;
+        const sections = [];
+
+        // 점수
+        const metrics = runes.map(rune => getRuneSortMetrics(rune));
+        const classScores = runes.map(rune => calculateUnifiedScore(rune, { classCode: classCode, equippedDotTypes: dotTypes }));
+        const scoreRow = (label, values, better, unit) => ({
+            label: label,
+            cells: values.map(v => formatValue(v, unit)),
+            values: values,
+            better: better
+        });
+        sections.push({
+            title: '📊 점수',
+            rows: [
+                scoreRow(`클래스 효율 (${getClassNameByCode(classCode)})`, classScores, 'high'),
+                scoreRow('효율 점수', metrics.map(m => m.efficiency), 'high'),
+                scoreRow('+15 강화 점수', metrics.map(m => m.efficiency15), 'high'),
+                scoreRow('DPS 기여도', metrics.map(m => m.dps), 'high', '%'),
+                scoreRow('결함 가중치', metrics.map(m => m.demerit), 'low')
+            ]
+        });
+
+        // 기본 효과 (가동률 반영값 비교, DPS 무관 효과만 있으면 원본 수치 비교)
+        const effectRows = alignCompareEntries(runes, rune => rune.effects || []).map(row => {
+            const adjusted = row.entries.map(entries => entries.reduce((sum, e) =>
+                sum + (e.value || 0) * window.SharedFormulas.getEffectUptimeWeight(e), 0));
+            const raw = row.entries.map(entries => entries.reduce((sum, e) => sum + (e.value || 0), 0));
+            const useAdjusted = adjusted.some(v => v > 0);
+            return {
+                label: row.name,
+                cells: row.entries.map((entries, index) => entries.length === 0 ? '—' :
+                    entries.map(e => `
+                        <div>${typeof e.value === 'number' ? '+' + formatValue(e.value, e.unit || '%') : '효과 있음'}
+                            <span class="rune-compare__type">${EFFECT_TYPE_NAMES[e.type] || e.type || '기타'}</span></div>
+                    `).join('') + (useAdjusted ? `<div class="rune-compare__uptime">실효 ${formatValue(adjusted[index], '%')}</div>` : '')),
+                values: useAdjusted ? adjusted : raw,
+                better: 'high'
+            };
+        });
+        if (effectRows.length > 0) sections.push({ title: '⚔️ 기본 효과', rows: effectRows });
+
+        // 각성 효과
+        const awakeningRows = alignCompareEntries(runes, rune =>
+            (rune.awakening && rune.awakening.effects) || []).map(row => ({
+            label: row.name,
+            cells: row.entries.map(entries => entries.length === 0 ? '—' :
+                entries.map(e => `+${formatValue(e.value || 0, e.unit || '%')}`).join('<br>')),
+            values: row.entries.map(entries => entries.reduce((sum, e) => sum + (e.value || 0), 0)),
+            better: 'high'
+        }));
+        if (awakeningRows.length > 0) sections.push({ title: '🔥 각성 효과', rows: awakeningRows });
+
+        // 강화 효과 (+10 / +15)
+        const enhanceRows = [];
+        ['10', '15'].forEach(level => {
+            alignCompareEntries(runes, rune => {
+                const effects = (rune.enhanceEffects && rune.enhanceEffects[level]) || {};
+                return Object.entries(effects).map(([name, value]) => ({ name: name, value: value }));
+            }).forEach(row => {
+                enhanceRows.push({
+                    label: `+${level} ${row.name}`,
+                    cells: row.entries.map(entries => entries.length === 0 ? '—' :
+                        typeof entries[0].value === 'number' ? `+${formatValue(entries[0].value, '%')}` : escapeHtml(entries[0].value)),
+                    values: row.entries.map(entries => entries.length === 0 || typeof entries[0].value !== 'number' ? 0 : entries[0].value),
+                    better: 'high'
+                });
+            });
+        });
+        if (enhanceRows.length > 0) sections.push({ title: '✨ 강화 효과', rows: enhanceRows });
+
+        // 결함 (없는 룬이 우세)
+        const demeritRows = alignCompareEntries(runes, rune => rune.demerits || []).map(row => ({
+            label: row.name,
+            cells: row.entries.map(entries => entries.length === 0 ? '—' :
+                entries.map(e => `-${formatValue(e.value || 0, e.unit || '%')}`).join('<br>')),
+            values: row.entries.map(entries => entries.reduce((sum, e) => sum + (e.value || 0), 0)),
+            better: 'low'
+        }));
+        if (demeritRows.length > 0) sections.push({ title: '⚠️ 결함', rows: demeritRows });
+
+        sections.forEach(section => {
+            section.rows.forEach(row => {
+                row.winners = findCompareWinners(row.values, row.better);
+            });
+        });
+
+        return { classCode: classCode, sections: sections };
+    }
+
+    /**
+     * 룬 비교 모달 열기
+     * @added 2025-12-15
+     */
+    function openRuneCompareModal() {
+        const modal = $('#rune-compare-modal');
+        const contentEl = $('#rune-compare-content');
+        if (!modal || !contentEl) return;
+
+        const runes = state.compareRuneIds
+            .map(id => state.allRunes.find(r => r.id === id))
+            .filter(Boolean);
+        if (runes.length < 2) {
+            showToast('비교할 룬을 2개 이상 선택해주세요.', 'warning');
+            return;
+        }
+
+        const comparison = buildRuneComparison(runes);
+
+        // 룬별 우세 항목 수
+        const winCounts = runes.map(() => 0);
+        comparison.sections.forEach(section => {
+            section.rows.forEach(row => row.winners.forEach(index => { winCounts[index]++; }));
+        });
+
+        const headerHtml = runes.map((rune, index) => `
+            <th class="rune-compare__rune">
+                <img class="rune-compare__image" src="${rune.image || DEFAULT_RUNE_IMAGE}"
+                     alt="${escapeHtml(rune.name)}" onerror="handleRuneImageError(this)">
+                <div class="rune-compare__name">${escapeHtml(rune.name)}</div>
+                <div class="rune-compare__meta">${escapeHtml(rune.gradeName || '')} · ${escapeHtml(rune.categoryName || CATEGORY_MAP[rune.category] || '')}</div>
+                <div class="rune-compare__wins">우세 ${winCounts[index]}개</div>
+            </th>
+        `).join('');
+
+        const bodyHtml = comparison.sections.map(section => `
+            <tr class="rune-compare__section"><th colspan="${runes.length + 1}">${section.title}</th></tr>
+            ${section.rows.map(row => `
+                <tr>
+                    <th class="rune-compare__label">${escapeHtml(row.label)}</th>
+                    ${row.cells.map((cell, index) => `
+                        <td class="rune-compare__cell ${row.winners.includes(index) ? 'rune-compare__cell--best' : ''}">${cell}</td>
+                    `).join('')}
+                </tr>
+            `).join('')}
+        `).join('');
+
+        contentEl.innerHTML = `
+            <table class="rune-compare__table">
+                <thead><tr><th></th>${headerHtml}</tr></thead>
+                <tbody>${bodyHtml}</tbody>
+            </table>
+            <p class="rune-compare__hint">
+                실효 = 수치 × 발동 조건별 가동률. 점수는 ${state.selectedCharacterId ? '선택 캐릭터의 장착 도트' : '시너지 없음'} 기준이며, 행마다 가장 유리한 룬을 강조합니다.
+            </p>
+        `;
+
+        modal.classList.add('modal--open');
+    }
+
     /**
      * 모달 닫기
      * @param {string} modalId - 모달 ID
@@ -7980,6 +9511,7 @@ function handleRuneImageError(img) {
 
         state.presets.push(preset);
         saveToStorage(STORAGE_KEYS.PRESETS, state.presets);
+        renderLoadoutComparison(); // @added 2025-12-15 빌드 비교 프리셋 목록 갱신
 
         closeModal('preset-modal');
         if (nameInput) nameInput.value = '';
@@ -7990,19 +9522,20 @@ function handleRuneImageError(img) {
     /**
      * 프리셋 불러오기
      * @param {number} presetId - 프리셋 ID
+     * @updated 2025-12-15 - 실행 취소 히스토리 기록
      */
     function loadPreset(presetId) {
         const preset = state.presets.find(p => p.id === presetId);
         if (!preset) return;
 
-        state.equippedRunes = {
-            ...preset.runes
-        };
+        const before = captureHistorySnapshot();
+        state.equippedRunes = hydrateSlotRunes(preset.runes); // @updated 2025-12-15
 
         Object.keys(SLOT_CONFIG).forEach(slotId => renderSlot(slotId));
         calculateTotalEffects();
         renderEquippedRuneList();
         saveEquippedRunes();
+        commitHistory(`프리셋 "${preset.name}" 불러오기`, before);
 
         closeModal('preset-modal');
         showToast(`프리셋 "${preset.name}"을 불러왔습니다.`, 'success');
@@ -8019,6 +9552,7 @@ function handleRuneImageError(img) {
         const preset = state.presets[index];
         state.presets.splice(index, 1);
         saveToStorage(STORAGE_KEYS.PRESETS, state.presets);
+        renderLoadoutComparison(); // @added 2025-12-15
 
         renderPresetList();
         showToast(`프리셋 "${preset.name}"이 삭제되었습니다.`, 'success');
@@ -8056,6 +9590,471 @@ function handleRuneImageError(img) {
         state.presets = loadFromStorage(STORAGE_KEYS.PRESETS, []);
     }
 
+    // ============================================
+    // 14-1. 빌드 공유 (Build Share) @added 2025-12-15
+    // ============================================
+
+    /**
+     * 현재 빌드를 공유 코드로 인코딩
+     * @returns {string|null} 공유 코드 (BuildShare 모듈이 없으면 null)
+     */
+    function createShareCode() {
+        if (!Modules.BuildShare) return null;
+
+        const current = getState();
+        const runeIds = {};
+        Object.entries(current.equippedRunes).forEach(([slotId, rune]) => {
+            if (rune) runeIds[slotId] = rune.id;
+        });
+
+        return Modules.BuildShare.encode({
+            runeIds: runeIds,
+            enhanceLevels: current.enhanceLevels,
+            classCode: current.classCode,
+            stats: current.stats
+        });
+    }
+
+    /**
+     * 텍스트 클립보드 복사
+     * @param {string} text - 복사할 텍스트
+     * @param {string} label - 토스트에 표시할 이름
+     */
+    function copyShareText(text, label) {
+        const fallback = () => {
+            const temp = document.createElement('textarea');
+            temp.value = text;
+            document.body.appendChild(temp);
+            temp.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(temp);
+            showToast(copied ? `${label}가 복사되었습니다.` : '복사에 실패했습니다. 직접 선택해 복사해주세요.', copied ? 'success' : 'error');
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text)
+                .then(() => showToast(`${label}가 복사되었습니다.`, 'success'))
+                .catch(fallback);
+        } else {
+            fallback();
+        }
+    }
+
+    /**
+     * 빌드 공유 모달 열기 (링크/코드 생성 + 코드 붙여넣기)
+     */
+    function openBuildShareModal() {
+        const modal = $('#build-share-modal');
+        if (!modal) return;
+
+        const code = createShareCode();
+        if (!code) {
+            showToast('빌드 공유 모듈을 불러오지 못했습니다.', 'error');
+            return;
+        }
+        if (Object.keys(state.equippedRunes).length === 0) {
+            showToast('장착된 룬이 없습니다. 스탯만 공유됩니다.', 'warning');
+        }
+
+        const linkInput = $('#build-share-link');
+        const codeInput = $('#build-share-code');
+        const importInput = $('#build-share-import');
+        if (linkInput) linkInput.value = Modules.BuildShare.buildShareUrl(window.location.href, code);
+        if (codeInput) codeInput.value = code;
+        if (importInput) importInput.value = '';
+
+        modal.classList.add('modal--open');
+    }
+
+    /**
+     * 공유 코드를 해석해 읽기 전용 미리보기 표시
+     * @param {string} input - 공유 코드 또는 링크
+     * @returns {boolean} 해석 성공 여부
+     */
+    function previewSharedBuild(input) {
+        if (!Modules.BuildShare) return false;
+
+        let decoded;
+        try {
+            decoded = Modules.BuildShare.decode(input);
+        } catch (error) {
+            showToast(error.message, 'error');
+            return false;
+        }
+
+        // 없는 룬, 슬롯과 카테고리가 다른 룬(예: 무기 슬롯의 방어구 룬)은 제외
+        const runes = {};
+        const missingIds = [];
+        const mismatched = [];
+        Object.entries(decoded.runeIds).forEach(([slotId, runeId]) => {
+            const rune = state.allRunes.find(r => r.id === runeId);
+            if (!rune) missingIds.push(runeId);
+            else if (!SLOT_CONFIG[slotId] || rune.category !== SLOT_CONFIG[slotId].category) mismatched.push(rune);
+            else runes[slotId] = rune;
+        });
+
+        state.sharedBuild = {
+            code: Modules.BuildShare.extractCode(input),
+            runes: runes,
+            enhanceLevels: decoded.enhanceLevels,
+            classCode: decoded.classCode,
+            stats: decoded.stats,
+            missingIds: missingIds,
+            mismatched: mismatched
+        };
+
+        renderSharedBuildPreview();
+        closeModal('build-share-modal');
+        const modal = $('#build-preview-modal');
+        if (modal) modal.classList.add('modal--open');
+        return true;
+    }
+
+    /**
+     * 공유 빌드 미리보기 렌더링 (현재 상태는 변경하지 않음)
+     */
+    function renderSharedBuildPreview() {
+        const contentEl = $('#build-preview-content');
+        const build = state.sharedBuild;
+        if (!contentEl || !build) return;
+
+        const result = computeLoadoutEffects(build.runes, build.enhanceLevels);
+        const stats = Object.entries(build.stats).filter(([, value]) => value !== 0);
+
+        const slotRows = Object.keys(SLOT_CONFIG).map(slotId => {
+            const rune = build.runes[slotId];
+            const level = build.enhanceLevels[slotId] || 0;
+            return `
+                <li class="build-preview__slot">
+                    <span class="build-preview__slot-name">${SLOT_CONFIG[slotId].name}</span>
+                    ${rune
+                        ? `<span style="color:${rune.gradeColor || 'inherit'}">${escapeHtml(rune.name)}</span>${level > 0 ? ` <span class="build-preview__enhance">+${level}</span>` : ''}`
+                        : '<span class="build-preview__empty">비어 있음</span>'}
+                </li>
+            `;
+        }).join('');
+
+        contentEl.innerHTML = `
+            <div class="build-preview__summary">
+                <span>클래스: <strong>${build.classCode ? escapeHtml(CLASS_MAP[build.classCode] || build.classCode) : '지정 안 됨'}</strong></span>
+                <span>예상 DPS 증가: <strong>${result.dpsAnalysis.totalDPSIncrease}%</strong></span>
+                ${result.dotTypes.length > 0 ? `<span>DoT: ${result.dotTypes.map(escapeHtml).join(', ')}</span>` : ''}
+            </div>
+            ${build.missingIds.length > 0
+                ? `<p class="build-preview__warning">⚠️ 현재 데이터에 없는 룬 ${build.missingIds.length}개는 제외됩니다.</p>`
+                : ''}
+            ${build.mismatched.length > 0
+                ? `<p class="build-preview__warning">⚠️ 슬롯 종류와 맞지 않는 룬은 제외됩니다: ${build.mismatched.map(rune => escapeHtml(rune.name)).join(', ')}</p>`
+                : ''}
+            <ul class="build-preview__slots">${slotRows}</ul>
+            <div class="build-preview__stats">
+                ${stats.length > 0
+                    ? stats.map(([key, value]) => `<span class="build-preview__stat">${escapeHtml(getStatLabel(key))} ${value}</span>`).join('')
+                    : '<span class="build-preview__empty">공유된 스탯 없음</span>'}
+            </div>
+        `;
+    }
+
+    /**
+     * 스탯 입력 필드의 표시 이름 (라벨이 없으면 키 그대로)
+     * @param {string} key - 스탯 키 (collectCurrentStats 기준)
+     * @returns {string} 표시 이름
+     */
+    function getStatLabel(key) {
+        const input = $(`#stat-${key}`);
+        const wrapper = input ? input.closest('.stat-input') : null;
+        const label = wrapper ? wrapper.querySelector('.stat-input__label') : null;
+        return label ? label.textContent.trim() : key;
+    }
+
+    /**
+     * 미리보기 중인 공유 빌드를 내 프로필로 가져오기
+     * @description 시뮬레이터 장착/강화, 스탯 입력, 추천 클래스에 적용하고
+     *              전역 캐릭터가 선택되어 있으면 해당 캐릭터의 스탯/장착에도 저장
+     *              (슬롯/강화/장착 변경은 실행 취소 가능, 스탯은 제외)
+     */
+    function importSharedBuild() {
+        const build = state.sharedBuild;
+        if (!build) return;
+
+        const before = captureHistorySnapshot();
+
+        loadProfileData({
+            equippedRunes: { ...build.runes },
+            enhanceLevels: { ...build.enhanceLevels }
+        });
+
+        Object.entries(build.stats).forEach(([key, value]) => {
+            const input = $(`#stat-${key}`);
+            if (input) input.value = value !== 0 ? value : '';
+        });
+        saveCharacterStats();
+
+        const classSelect = $('#recommend-class');
+        if (classSelect && build.classCode && classSelect.querySelector(`option[value="${build.classCode}"]`)) {
+            classSelect.value = build.classCode;
+            saveRecommendOptions();
+        }
+
+        const profile = state.selectedCharacterId
+            ? state.characterProfiles.find(p => p.id === state.selectedCharacterId)
+            : null;
+        if (profile) {
+            profile.stats = { ...build.stats };
+            if (build.classCode) {
+                profile.options = { ...(profile.options || {}), classCode: build.classCode };
+            }
+            profile.updatedAt = new Date().toISOString();
+            saveCharacterProfiles();
+
+            state.characterEquipments[profile.id] = {
+                weapon: build.runes['weapon-1'] ? build.runes['weapon-1'].id : null,
+                armors: [1, 2, 3, 4, 5].map(n => build.runes[`armor-${n}`] ? build.runes[`armor-${n}`].id : null),
+                emblem: build.runes['emblem-1'] ? build.runes['emblem-1'].id : null,
+                accessories: [1, 2, 3].map(n => build.runes[`accessory-${n}`] ? build.runes[`accessory-${n}`].id : null)
+            };
+            saveCharacterEquipments();
+        }
+        commitHistory('공유 빌드 가져오기', before);
+
+        closeSharedBuildPreview();
+        showToast(profile
+            ? `공유 빌드를 "${profile.name}" 캐릭터로 가져왔습니다.`
+            : '공유 빌드를 시뮬레이터와 스탯 입력에 적용했습니다.', 'success');
+    }
+
+    /**
+     * 공유 빌드 미리보기 닫기 (주소의 #build= 프래그먼트 제거)
+     */
+    function closeSharedBuildPreview() {
+        state.sharedBuild = null;
+        closeModal('build-preview-modal');
+
+        if (Modules.BuildShare && Modules.BuildShare.hasCodeInHash(window.location.hash) && window.history.replaceState) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    // ============================================
+    // 14-2. 전체 백업 (Backup) @added 2025-12-15
+    // ============================================
+
+    /**
+     * 백업 항목 표시 이름
+     * @constant {Object}
+     */
+    const BACKUP_KEY_LABELS = {
+        FAVORITES: '즐겨찾기',
+        PRESETS: '프리셋',
+        EQUIPPED_RUNES: '시뮬레이터 장착 룬',
+        CHARACTER_STATS: '캐릭터 스탯 입력',
+        RECOMMEND_OPTIONS: '추천 옵션',
+        ENHANCE_LEVELS: '강화 수치',
+        CHARACTER_PROFILES: '캐릭터 프로필 (관리)',
+        CURRENT_CHARACTER: '현재 캐릭터 (관리)',
+        CALCULATOR_PROFILES: '캐릭터 프로필',
+        SELECTED_CHARACTER: '선택된 캐릭터',
+        CHARACTER_EQUIPMENTS: '캐릭터별 장착 룬',
+        CHARACTER_OWNED_RUNES: '캐릭터별 보유 룬',
+        CHARACTER_WEIGHT_PROFILES: '캐릭터별 가중치 프로필'
+    };
+
+    /**
+     * 가져오기 대기 중인 백업 (미리보기 후 확정 시 적용)
+     * @type {Object|null}
+     */
+    let pendingBackup = null;
+
+    /**
+     * 백업 모달 열기
+     */
+    function openBackupModal() {
+        const modal = $('#backup-modal');
+        if (!modal) return;
+
+        pendingBackup = null;
+        const fileInput = $('#backup-file-input');
+        const previewEl = $('#backup-preview');
+        const confirmBtn = $('#btn-backup-import-confirm');
+        if (fileInput) fileInput.value = '';
+        if (previewEl) previewEl.innerHTML = '';
+        if (confirmBtn) confirmBtn.disabled = true;
+
+        // 마이그레이션 이전 백업이 있을 때만 표시 @added 2025-12-15
+        const preMigrationBtn = $('#btn-backup-pre-migration');
+        if (preMigrationBtn) {
+            preMigrationBtn.hidden = !(window.StorageManager && window.StorageManager.getPreMigrationBackup
+                && window.StorageManager.getPreMigrationBackup());
+        }
+
+        closeGlobalCharDropdown();
+        modal.classList.add('modal--open');
+    }
+
+    /**
+     * 백업 객체를 JSON 파일로 다운로드
+     * @param {Object} backup - StorageManager.exportBackup 형식
+     * @param {string} prefix - 파일 이름 접두사
+     * @updated 2025-12-15 - 마이그레이션 이전 백업 다운로드와 공용으로 분리
+     */
+    function downloadBackupFile(backup, prefix) {
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${prefix}-${backup.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 전체 데이터를 JSON 파일로 내보내기
+     */
+    function exportBackupFile() {
+        if (!window.StorageManager || !window.StorageManager.exportBackup) {
+            showToast('StorageManager 모듈을 불러오지 못했습니다.', 'error');
+            return;
+        }
+
+        const backup = window.StorageManager.exportBackup();
+        downloadBackupFile(backup, 'rune-calculator-backup');
+        showToast(`${Object.keys(backup.data).length}개 항목을 내보냈습니다.`, 'success');
+    }
+
+    /**
+     * 마이그레이션 직전 백업을 JSON 파일로 내려받기
+     * @added 2025-12-15
+     */
+    function exportPreMigrationBackupFile() {
+        const backup = window.StorageManager && window.StorageManager.getPreMigrationBackup
+            ? window.StorageManager.getPreMigrationBackup()
+            : null;
+        if (!backup) {
+            showToast('마이그레이션 이전 백업이 없습니다.', 'warning');
+            return;
+        }
+        downloadBackupFile(backup, 'rune-calculator-pre-migration');
+    }
+
+    /**
+     * 시작 시 실행된 저장 데이터 마이그레이션 결과 알림
+     * @added 2025-12-15
+     */
+    function reportStorageMigration() {
+        const report = window.StorageManager && window.StorageManager.getMigrationReport
+            ? window.StorageManager.getMigrationReport()
+            : null;
+        if (!report) return;
+
+        if (report.error) {
+            showToast(`저장 데이터 업데이트 중 오류가 발생했습니다: ${report.error}`, 'error', 6000);
+            return;
+        }
+        if (report.applied.length > 0) {
+            const changes = report.applied.reduce((list, item) => list.concat(item.changes), []);
+            showToast(`이전 버전 저장 데이터를 업데이트했습니다 (v${report.fromVersion} → v${report.toVersion}): ${changes.join(', ')}`, 'success', 6000);
+        }
+    }
+
+    /**
+     * 백업 파일 읽기 → 검증 → 덮어쓸 내용 미리보기
+     * @param {File} file - 선택한 백업 파일
+     */
+    function readBackupFile(file) {
+        const previewEl = $('#backup-preview');
+        const confirmBtn = $('#btn-backup-import-confirm');
+        pendingBackup = null;
+        if (confirmBtn) confirmBtn.disabled = true;
+        if (!file || !previewEl) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            const parsed = window.StorageManager.parseBackup(String(reader.result));
+            if (!parsed.backup) {
+                previewEl.innerHTML = `<p class="backup-preview__error">${parsed.errors.map(escapeHtml).join('<br>')}</p>`;
+                return;
+            }
+
+            pendingBackup = parsed.backup;
+            renderBackupPreview(window.StorageManager.previewImport(parsed.backup), parsed);
+            if (confirmBtn) confirmBtn.disabled = false;
+        };
+        reader.onerror = function() {
+            previewEl.innerHTML = '<p class="backup-preview__error">파일을 읽지 못했습니다.</p>';
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * 가져오기 미리보기 렌더링
+     * @param {Array<Object>} items - StorageManager.previewImport 결과
+     * @param {Object} parsed - StorageManager.parseBackup 결과 (skipped 표시용)
+     */
+    function renderBackupPreview(items, parsed) {
+        const previewEl = $('#backup-preview');
+        if (!previewEl) return;
+
+        const actionLabels = {
+            new: '새로 추가',
+            same: '변경 없음',
+            merge: 'ID 기준 병합',
+            overwrite: '덮어쓰기'
+        };
+
+        const exportedAt = parsed.backup.exportedAt ? new Date(parsed.backup.exportedAt).toLocaleString('ko-KR') : '알 수 없음';
+
+        previewEl.innerHTML = `
+            <p class="backup-preview__meta">백업 시각: ${escapeHtml(exportedAt)} · 형식 v${parsed.backup.version}</p>
+            <ul class="backup-preview__list">
+                ${items.map(item => `
+                    <li class="backup-preview__item backup-preview__item--${item.action}">
+                        <span>${escapeHtml(BACKUP_KEY_LABELS[item.name] || item.name)}</span>
+                        <span>${actionLabels[item.action]}${item.action === 'merge' ? ` (추가 ${item.added} · 교체 ${item.updated})` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${parsed.skipped.length > 0
+                ? `<p class="backup-preview__meta">알 수 없는 항목 ${parsed.skipped.length}개는 무시됩니다.</p>`
+                : ''}
+        `;
+    }
+
+    /**
+     * 미리보기한 백업 적용 후 새로고침 (모든 탭 상태를 저장소에서 다시 읽기 위함)
+     */
+    function confirmBackupImport() {
+        if (!pendingBackup) return;
+
+        const failed = window.StorageManager.importBackup(pendingBackup);
+        pendingBackup = null;
+
+        if (failed.length > 0) {
+            showToast(`일부 항목을 저장하지 못했습니다: ${failed.map(name => BACKUP_KEY_LABELS[name] || name).join(', ')}`, 'error');
+            return;
+        }
+
+        closeModal('backup-modal');
+        showToast('백업을 가져왔습니다. 잠시 후 새로고침됩니다.', 'success');
+        setTimeout(() => window.location.reload(), 1000);
+    }
+
+    /**
+     * 주소에 공유 빌드 코드가 있으면 미리보기 표시
+     */
+    function openSharedBuildFromHash() {
+        if (!Modules.BuildShare) return;
+        let code;
+        try {
+            code = Modules.BuildShare.getCodeFromHash(window.location.hash);
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        if (code) previewSharedBuild(code);
+    }
+
     // ============================================
     // 15. 토스트 알림 (Toast)
     // ============================================
@@ -8227,6 +10226,13 @@ function handleRuneImageError(img) {
             searchInput.addEventListener('input', debounce(e => {
                 updateFilter('search', e.target.value);
             }, 300));
+            initSearchSuggest(searchInput); // @added 2025-12-15
+        }
+
+        // 정렬 모드 @added 2025-12-15
+        const sortSelect = $('#filter-sort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', e => updateFilter('sort', e.target.value));
         }
 
         // 카테고리 버튼 그룹
@@ -8358,6 +10364,49 @@ function handleRuneImageError(img) {
             loadPresetBtn.addEventListener('click', openLoadPresetModal);
         }
 
+        // 실행 취소/다시 실행 (시뮬레이터/장착 탭 공용 버튼) @added 2025-12-15
+        $$('[data-history-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.historyAction === 'undo') undoHistory();
+                else redoHistory();
+            });
+        });
+        document.addEventListener('keydown', handleHistoryShortcut);
+
+        // 빌드 비교 (현재 장착 vs 프리셋/스냅샷/최적화 결과) @added 2025-12-15
+        const addPresetLoadoutBtn = $('#btn-loadout-add-preset');
+        const addCurrentLoadoutBtn = $('#btn-loadout-add-current');
+        const loadoutListEl = $('#loadout-compare-list');
+
+        if (addPresetLoadoutBtn) {
+            addPresetLoadoutBtn.addEventListener('click', function() {
+                const presetSelect = $('#loadout-compare-preset');
+                const preset = state.presets.find(p => String(p.id) === (presetSelect ? presetSelect.value : ''));
+                if (!preset) {
+                    showToast('비교할 프리셋을 선택해주세요.', 'warning');
+                    return;
+                }
+                addCompareLoadout(preset.name, hydrateSlotRunes(preset.runes));
+            });
+        }
+
+        if (addCurrentLoadoutBtn) {
+            addCurrentLoadoutBtn.addEventListener('click', function() {
+                if (Object.keys(state.equippedRunes).length === 0) {
+                    showToast('장착된 룬이 없습니다.', 'warning');
+                    return;
+                }
+                addCompareLoadout(`스냅샷 ${state.compareLoadouts.length + 1}`, state.equippedRunes);
+            });
+        }
+
+        if (loadoutListEl) {
+            loadoutListEl.addEventListener('click', function(e) {
+                const removeBtn = e.target.closest('[data-loadout-id]');
+                if (removeBtn) removeCompareLoadout(removeBtn.dataset.loadoutId);
+            });
+        }
+
         // 추천 시스템 버튼
         const recommendBtn = $('#btn-recommend');
         const stopRecommendBtn = $('#btn-stop-recommend');
@@ -8368,6 +10417,22 @@ function handleRuneImageError(img) {
             recommendBtn.addEventListener('click', runRecommendation);
         }
 
+        // DPS/생존/유틸 트레이드오프 (파레토 프런트) @added 2025-12-15
+        const paretoRecommendBtn = $('#btn-pareto-recommend');
+        if (paretoRecommendBtn) {
+            paretoRecommendBtn.addEventListener('click', function() {
+                runRecommendation({ pareto: true });
+            });
+        }
+
+        // 가중치 민감도 분석 @added 2025-12-15
+        const sensitivityRecommendBtn = $('#btn-sensitivity-recommend');
+        if (sensitivityRecommendBtn) {
+            sensitivityRecommendBtn.addEventListener('click', function() {
+                runRecommendation({ sensitivity: true });
+            });
+        }
+
         // 탐색 중단 버튼 @added 2025-12-11
         if (stopRecommendBtn) {
             stopRecommendBtn.addEventListener('click', stopOptimization);
@@ -8553,12 +10618,142 @@ function handleRuneImageError(img) {
                 closeModal('rune-detail-modal');
             });
         }
+
+        // 룬 비교 @added 2025-12-15
+        var compareModalClose = $('#compare-modal-close');
+        var compareOpenBtn = $('#btn-compare-open');
+        var compareClearBtn = $('#btn-compare-clear');
+        var compareBarList = $('#compare-bar-list');
+
+        if (compareModalClose) {
+            compareModalClose.addEventListener('click', function() {
+                closeModal('rune-compare-modal');
+            });
+        }
+        if (compareOpenBtn) compareOpenBtn.addEventListener('click', openRuneCompareModal);
+        if (compareClearBtn) compareClearBtn.addEventListener('click', clearCompareRunes);
+        if (compareBarList) {
+            compareBarList.addEventListener('click', function(e) {
+                const removeBtn = e.target.closest('.compare-bar__remove');
+                if (removeBtn) toggleCompareRune(parseInt(removeBtn.dataset.runeId));
+            });
+        }
         if (presetModalClose) {
             presetModalClose.addEventListener('click', function() {
                 closeModal('preset-modal');
             });
         }
 
+        // 빌드 공유 @added 2025-12-15
+        var shareBtn = $('#btn-share-build');
+        var shareModalClose = $('#build-share-modal-close');
+        var previewModalClose = $('#build-preview-modal-close');
+        var previewImportBtn = $('#btn-build-preview-import');
+        var previewCancelBtn = $('#btn-build-preview-cancel');
+        var shareImportBtn = $('#btn-build-share-import');
+
+        if (shareBtn) shareBtn.addEventListener('click', openBuildShareModal);
+        if (shareModalClose) {
+            shareModalClose.addEventListener('click', function() {
+                closeModal('build-share-modal');
+            });
+        }
+        $$('[data-share-copy]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const input = $(`#${btn.dataset.shareCopy}`);
+                if (input && input.value) copyShareText(input.value, btn.dataset.shareLabel || '코드');
+            });
+        });
+        if (shareImportBtn) {
+            shareImportBtn.addEventListener('click', function() {
+                const importInput = $('#build-share-import');
+                const value = importInput ? importInput.value.trim() : '';
+                if (!value) {
+                    showToast('공유 코드나 링크를 붙여넣어 주세요.', 'warning');
+                    return;
+                }
+                previewSharedBuild(value);
+            });
+        }
+        if (previewModalClose) previewModalClose.addEventListener('click', closeSharedBuildPreview);
+        if (previewCancelBtn) previewCancelBtn.addEventListener('click', closeSharedBuildPreview);
+        if (previewImportBtn) previewImportBtn.addEventListener('click', importSharedBuild);
+
+        // 페이지를 연 채로 다른 공유 링크를 붙여넣은 경우
+        window.addEventListener('hashchange', openSharedBuildFromHash);
+
+        // 탭 간 동기화 @added 2025-12-15
+        if (window.StorageManager && window.StorageManager.onRemoteChange) {
+            window.StorageManager.onRemoteChange(handleRemoteStorageChange);
+        }
+        $$('.stat-input__field').forEach(input => {
+            input.addEventListener('input', function() {
+                statFormDirty = true;
+            });
+        });
+
+        // 전체 백업 @added 2025-12-15
+        var backupOpenBtn = $('#btn-open-backup');
+        var backupModalClose = $('#backup-modal-close');
+        var backupExportBtn = $('#btn-backup-export');
+        var backupFileInput = $('#backup-file-input');
+        var backupConfirmBtn = $('#btn-backup-import-confirm');
+
+        if (backupOpenBtn) backupOpenBtn.addEventListener('click', openBackupModal);
+        if (backupModalClose) {
+            backupModalClose.addEventListener('click', function() {
+                closeModal('backup-modal');
+            });
+        }
+        if (backupExportBtn) backupExportBtn.addEventListener('click', exportBackupFile);
+        var preMigrationBtn = $('#btn-backup-pre-migration');
+        if (preMigrationBtn) preMigrationBtn.addEventListener('click', exportPreMigrationBackupFile);
+        if (backupFileInput) {
+            backupFileInput.addEventListener('change', function() {
+                readBackupFile(backupFileInput.files[0]);
+            });
+        }
+        if (backupConfirmBtn) backupConfirmBtn.addEventListener('click', confirmBackupImport);
+
+        // 캐릭터별 가중치 프로필 @added 2025-12-15
+        var weightOpenBtn = $('#btn-open-weight-profile');
+        var weightModalClose = $('#weight-profile-modal-close');
+        var weightSelect = $('#weight-profile-select');
+        var weightForm = $('#weight-profile-form');
+
+        if (weightOpenBtn) weightOpenBtn.addEventListener('click', openWeightProfileModal);
+        if (weightModalClose) {
+            weightModalClose.addEventListener('click', function() {
+                closeModal('weight-profile-modal');
+            });
+        }
+        if (weightSelect) {
+            weightSelect.addEventListener('change', function() {
+                selectWeightProfile(weightSelect.value);
+            });
+        }
+        if (weightForm) {
+            // 기본값과 다른 칸 표시
+            weightForm.addEventListener('input', function(e) {
+                var input = e.target;
+                if (!input.classList.contains('weight-profile__input')) return;
+                var custom = input.value.trim() !== '' && Number(input.value) !== Number(input.dataset.base);
+                input.closest('.weight-profile__field').classList.toggle('weight-profile__field--custom', custom);
+            });
+        }
+        var weightSaveBtn = $('#btn-weight-profile-save');
+        var weightSaveAsBtn = $('#btn-weight-profile-save-as');
+        var weightClearBtn = $('#btn-weight-profile-clear');
+        var weightDeleteBtn = $('#btn-weight-profile-delete');
+        if (weightSaveBtn) weightSaveBtn.addEventListener('click', saveWeightProfile);
+        if (weightSaveAsBtn) weightSaveAsBtn.addEventListener('click', saveWeightProfileAs);
+        if (weightClearBtn) {
+            weightClearBtn.addEventListener('click', function() {
+                renderWeightProfileModal({});
+            });
+        }
+        if (weightDeleteBtn) weightDeleteBtn.addEventListener('click', deleteWeightProfile);
+
         // 모달 오버레이 클릭 시 닫기
         $$('.modal__overlay').forEach(overlay => {
             overlay.addEventListener('click', () => {
@@ -8648,6 +10843,13 @@ function handleRuneImageError(img) {
             return;
         }
 
+        // 비교 대상 선택 @added 2025-12-15
+        const compareBtn = e.target.closest('[data-action="compare"]');
+        if (compareBtn) {
+            toggleCompareRune(parseInt(compareBtn.dataset.runeId));
+            return;
+        }
+
         // 카드 자체 클릭 시 상세 모달
         const card = e.target.closest('.rune-card');
         if (card && !e.target.closest('.rune-card__actions')) {
@@ -8682,6 +10884,11 @@ function handleRuneImageError(img) {
         
         console.log('🚀 마비노기 모바일 룬 효율 계산기 초기화 시작...');
 
+        // 저장소 백엔드(IndexedDB) 준비 및 스키마 마이그레이션 대기 @added 2025-12-15
+        if (window.StorageManager && window.StorageManager.ready) {
+            await window.StorageManager.ready();
+        }
+
         try {
             // 저장된 데이터 불러오기
             loadFavorites();
@@ -8694,6 +10901,9 @@ function handleRuneImageError(img) {
             console.log('✅ loadCharacterEquipments 완료');
             loadCharacterOwnedRunes(); // @added 2025-12-11
             console.log('✅ loadCharacterOwnedRunes 완료');
+            loadCharacterWeightProfiles(); // @added 2025-12-15
+            syncWeightOverrides(); // 룬 데이터 baseScore 계산 전에 가중치 프로필 적용
+            console.log('✅ loadCharacterWeightProfiles 완료');
 
             // 이벤트 리스너 설정
             console.log('🔧 setupEventListeners 시작...');
@@ -8715,6 +10925,15 @@ function handleRuneImageError(img) {
         // 저장된 추천 옵션 불러오기 @added 2025-12-11
         loadRecommendOptions();
 
+        // 실행 취소/다시 실행 버튼 상태 (세션에 남은 기록 반영) @added 2025-12-15
+        renderHistoryButtons();
+
+        // 공유 링크(#build=...)로 접속한 경우 미리보기 @added 2025-12-15
+        openSharedBuildFromHash();
+
+        // 저장 데이터 마이그레이션 결과 알림 @added 2025-12-15
+        reportStorageMigration();
+
         // 페이지네이션 렌더링
         renderPagination();
 
@@ -8735,13 +10954,22 @@ function handleRuneImageError(img) {
     /**
      * 현재 상태 반환 (CharacterManager 연동용)
      * @returns {Object} 현재 앱 상태
+     * @updated 2025-12-15 - 빌드 공유용 클래스 코드/스탯 추가
      */
     function getState() {
+        const profile = state.selectedCharacterId
+            ? state.characterProfiles.find(p => p.id === state.selectedCharacterId)
+            : null;
+        const classSelect = $('#recommend-class');
+        const selectedClass = classSelect && classSelect.value !== '00' ? classSelect.value : '';
+
         return {
             equippedRunes: state.equippedRunes,
             enhanceLevels: state.enhanceLevels,
             favorites: state.favorites,
-            presets: state.presets
+            presets: state.presets,
+            classCode: (profile && profile.classCode) || selectedClass,
+            stats: collectCurrentStats()
         };
     }
 
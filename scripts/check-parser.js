@@ -0,0 +1,292 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 파서 골든 파일 회귀 검사
+ * ============================================================
+ * @file check-parser.js
+ * @description 모든 룬의 rawDescription을 공유 파서로 파싱하여
+ *              저장된 기대값(골든 파일)과 비교, 룬별 차이 출력
+ * @created 2025-12-15
+ * @updated 2025-12-15
+ * @version 1.1.0
+ *
+ * @architecture
+ * - 입력: runes-weapon/armor/accessory/emblem.json 의 rawDescription
+ * - 파서: RuneEffectParser.toRuneSchema (UI/빌드 스크립트와 동일 엔진)
+ * - 기대값: scripts/fixtures/rune-effects.golden.json (룬 ID별 effects/demerits/enhanceEffects/awakening)
+ * - 규칙 검사: 상시(PERMANENT) 효과에 발동 조건/지속 시간/중첩 값이 있으면 실패 (파서 결과, 저장 데이터 모두)
+ * - 차이가 있으면 룬별 - 기대값 / + 실제값 출력 후 종료 코드 1
+ * - 강화 효과는 설명문에 "+10, +15 강화 시" 문구가 있는 룬만 파서 대상
+ *   (나머지 저장 강화 값은 수동 입력이며 parser-diff.js에서 확인)
+ *
+ * @usage
+ * node scripts/check-parser.js                 # 검사
+ * node scripts/check-parser.js --id 3 --id 92  # 특정 룬만 검사
+ * node scripts/check-parser.js --update        # 의도한 변경 후 골든 파일 갱신
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RuneEffectParser = require('../formulas/rune-effect-parser.js');
+const { loadRunes } = require('./parser-diff.js');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 골든 파일 경로 */
+const GOLDEN_PATH = path.join(__dirname, 'fixtures', 'rune-effects.golden.json');
+
+/** 비교 대상 필드 */
+const FIELDS = ['effects', 'demerits', 'enhanceEffects', 'awakening'];
+
+/** 상시(PERMANENT) 효과에 있으면 안 되는 필드 */
+const PERMANENT_FORBIDDEN_FIELDS = ['trigger', 'duration', 'cooldown', 'stackValue', 'maxStacks'];
+
+/** 사용법 */
+const USAGE = [
+    '사용법: node scripts/check-parser.js [옵션]',
+    '',
+    '  --id <룬 ID>       해당 룬만 검사 (여러 번 지정 가능)',
+    '  --category <코드>  01 무기, 02 방어구, 03 장신구, 04 엠블럼',
+    '  --update           현재 파서 결과로 골든 파일 갱신',
+    '  --help             도움말'
+].join('\n');
+
+// ============================================================
+// 인자 파싱
+// ============================================================
+
+/**
+ * 명령행 인자 파싱
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+    const options = { ids: [], category: null, update: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function() {
+            if (i + 1 >= argv.length) throw new Error(arg + ' 값이 필요합니다.');
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--id': options.ids.push(next()); break;
+            case '--category': options.category = next(); break;
+            case '--update': options.update = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default:
+                throw new Error('알 수 없는 옵션: ' + arg);
+        }
+    }
+
+    if (options.update && (options.ids.length || options.category)) {
+        throw new Error('--update는 전체 룬 대상으로만 실행할 수 있습니다.');
+    }
+
+    return options;
+}
+
+// ============================================================
+// 골든 데이터 생성 / 비교
+// ============================================================
+
+/**
+ * 룬 1개의 파서 결과를 골든 형식으로 변환
+ * @param {Object} rune - 룬 데이터
+ * @returns {Object} { name, effects, demerits, enhanceEffects, awakening? }
+ */
+function snapshotRune(rune) {
+    const schema = RuneEffectParser.toRuneSchema(rune);
+    const snapshot = {
+        name: rune.name,
+        effects: schema.effects,
+        demerits: schema.demerits,
+        enhanceEffects: schema.enhanceEffects
+    };
+    if (schema.awakening) snapshot.awakening = schema.awakening;
+    return snapshot;
+}
+
+/**
+ * 상시 효과 규칙 위반 검사
+ * @param {string} source - 출처 표시 ('파서' | '저장 데이터')
+ * @param {Array<Object>} effects - 효과 배열
+ * @returns {Array<string>} 위반 내역
+ * @description 상시 효과는 항상 적용되므로 trigger/duration/cooldown/중첩 값이 붙으면
+ * Worker 가동률 계산이 달라짐
+ */
+function findPermanentViolations(source, effects) {
+    const violations = [];
+    (effects || []).forEach(function(effect) {
+        if (effect.type !== 'PERMANENT') return;
+        const fields = PERMANENT_FORBIDDEN_FIELDS.filter(function(field) {
+            return effect[field] !== undefined && effect[field] !== null;
+        });
+        if (fields.length) {
+            violations.push(source + ' PERMANENT "' + effect.name + '"에 ' + fields.join(', ') + ' 지정됨');
+        }
+    });
+    return violations;
+}
+
+/**
+ * 필드 값을 비교 가능한 줄 목록으로 변환
+ * @param {string} field - 필드명
+ * @param {*} value - effects/demerits 배열, enhanceEffects/awakening 객체
+ * @returns {Array<string>} 한 줄당 한 항목 (JSON 문자열)
+ */
+function toLines(field, value) {
+    if (field === 'awakening') {
+        if (!value) return [];
+        const header = Object.assign({}, value);
+        delete header.effects;
+        return [JSON.stringify(header)].concat((value.effects || []).map(function(entry) {
+            return JSON.stringify(entry);
+        }));
+    }
+    if (field === 'enhanceEffects') {
+        const lines = [];
+        Object.keys(value || {}).sort().forEach(function(level) {
+            Object.keys(value[level] || {}).forEach(function(name) {
+                lines.push('+' + level + ' ' + JSON.stringify({ name: name, value: value[level][name] }));
+            });
+        });
+        return lines;
+    }
+    return (value || []).map(function(entry) { return JSON.stringify(entry); });
+}
+
+/**
+ * 기대값과 실제값의 줄 단위 차이 (중복 허용 다중집합 비교)
+ * @param {Array<string>} expected - 기대값 줄
+ * @param {Array<string>} actual - 실제값 줄
+ * @returns {Object} { missing, unexpected }
+ */
+function diffLines(expected, actual) {
+    const remaining = expected.slice();
+    const unexpected = [];
+
+    actual.forEach(function(line) {
+        const index = remaining.indexOf(line);
+        if (index === -1) unexpected.push(line);
+        else remaining.splice(index, 1);
+    });
+
+    return { missing: remaining, unexpected: unexpected };
+}
+
+/**
+ * 골든 데이터와 비교
+ * @param {Array<Object>} runes - 검사 대상 룬
+ * @param {Object} golden - 룬 ID별 기대값
+ * @returns {Array<Object>} 실패 목록 [{ rune, message?, fields?, violations? }]
+ */
+function compareWithGolden(runes, golden) {
+    const failures = [];
+
+    runes.forEach(function(rune) {
+        const expected = golden[rune.id];
+        if (!expected) {
+            failures.push({ rune: rune, message: '골든 데이터 없음 (--update로 추가)' });
+            return;
+        }
+
+        const actual = snapshotRune(rune);
+        const fields = {};
+        FIELDS.forEach(function(field) {
+            const diff = diffLines(toLines(field, expected[field]), toLines(field, actual[field]));
+            if (diff.missing.length || diff.unexpected.length) fields[field] = diff;
+        });
+        const violations = findPermanentViolations('파서', actual.effects)
+            .concat(findPermanentViolations('저장 데이터', rune.effects));
+
+        if (Object.keys(fields).length > 0 || violations.length > 0) {
+            failures.push({ rune: rune, fields: fields, violations: violations });
+        }
+    });
+
+    return failures;
+}
+
+/**
+ * 실패 내역 출력
+ * @param {Array<Object>} failures - compareWithGolden 결과
+ */
+function printFailures(failures) {
+    failures.forEach(function(failure) {
+        const rune = failure.rune;
+        console.log('\n✗ [' + rune.category + '] #' + rune.id + ' ' + rune.name);
+        if (failure.message) {
+            console.log('    ' + failure.message);
+            return;
+        }
+        console.log('    ' + (rune.rawDescription || rune.description || ''));
+        Object.keys(failure.fields).forEach(function(field) {
+            console.log('  ' + field + ':');
+            failure.fields[field].missing.forEach(function(line) { console.log('    - ' + line); });
+            failure.fields[field].unexpected.forEach(function(line) { console.log('    + ' + line); });
+        });
+        failure.violations.forEach(function(message) { console.log('  ! ' + message); });
+    });
+}
+
+// ============================================================
+// 메인 처리
+// ============================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌ ' + error.message + '\n\n' + USAGE);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let runes = loadRunes(options.category);
+    if (options.ids.length) {
+        runes = runes.filter(function(rune) { return options.ids.indexOf(String(rune.id)) !== -1; });
+    }
+
+    if (options.update) {
+        const golden = {};
+        runes.forEach(function(rune) { golden[rune.id] = snapshotRune(rune); });
+        fs.mkdirSync(path.dirname(GOLDEN_PATH), { recursive: true });
+        fs.writeFileSync(GOLDEN_PATH, JSON.stringify(golden, null, 2) + '\n', 'utf8');
+        console.log('✅ 골든 파일 갱신: ' + runes.length + '개 룬 → ' + path.relative(process.cwd(), GOLDEN_PATH));
+        return;
+    }
+
+    if (!fs.existsSync(GOLDEN_PATH)) {
+        console.error('❌ 골든 파일이 없습니다: ' + GOLDEN_PATH + ' (--update로 생성)');
+        process.exit(2);
+    }
+
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+    const failures = compareWithGolden(runes, golden);
+
+    printFailures(failures);
+    console.log('\n' + '-'.repeat(60));
+    console.log((failures.length ? '❌' : '✅') + ' 통과 ' + (runes.length - failures.length) + ' / ' + runes.length +
+        (failures.length ? ', 실패 ' + failures.length : ''));
+
+    if (failures.length) process.exit(1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    snapshotRune: snapshotRune,
+    findPermanentViolations: findPermanentViolations,
+    compareWithGolden: compareWithGolden
+};
@@ -0,0 +1,1098 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 조합 최적화 CLI
+ * ============================================================
+ * @file optimize-runes.js
+ * @description 브라우저 없이 combination-worker.js의 최적 조합 탐색 실행
+ * @created 2025-12-14
+ * @version 1.0.0
+ *
+ * @architecture
+ * - Worker 스크립트를 vm 컨텍스트에 로드 (self/importScripts/postMessage/XMLHttpRequest 대체)
+ * - 메인 스레드(runRecommendation)와 동일한 룬 필터링/Top-N 사전 선별
+ * - Worker 메시지 프로토콜(startPartial/startTwoPhase/startExact)을 그대로 사용
+ *
+ * @usage
+ * node scripts/optimize-runes.js --class 02 --role dealer --top 5
+ * node scripts/optimize-runes.js --config build.json --format json
+ * node scripts/optimize-runes.js --class 02 --role dealer --mode exact
+ * node scripts/optimize-runes.js --class 02 --role dealer --mode exact --prefilter
+ * node scripts/optimize-runes.js --class 02 --role dealer --include 26 --min-dot 화상=1 --max-demerit 5
+ * node scripts/optimize-runes.js --class 02 --current 8:10,32,47,80,87,46,260,107,138,151
+ * node scripts/optimize-runes.js --class 02 --role tank --stats def=3000,hp=20000
+ * node scripts/optimize-runes.js --class 02 --role dealer --sensitivity
+ * node scripts/optimize-runes.js --class 02 --role dealer --weights my-weights.json
+ * node scripts/optimize-runes.js --help
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 저장소 루트 경로 */
+const ROOT_DIR = path.join(__dirname, '..');
+
+/** Worker 스크립트 디렉토리 (importScripts 기준 경로) */
+const FORMULAS_DIR = path.join(ROOT_DIR, 'formulas');
+
+/**
+ * 카테고리별 룬 데이터 파일
+ * @description 무기 룬은 { runes: [...] } 형태, 나머지는 배열
+ */
+const RUNE_FILES = {
+    '01': 'runes-weapon.json',
+    '02': 'runes-armor.json',
+    '03': 'runes-accessory.json',
+    '04': 'runes-emblem.json'
+};
+
+/**
+ * 클래스 코드 → 클래스명 (rune-calculator.js CLASS_MAP과 동일)
+ */
+const CLASS_MAP = {
+    '00': '전체',
+    '01': '전사 (검과 방패)',
+    '02': '검술사 (양손검)',
+    '03': '대검전사 (대검)',
+    '04': '궁수 (활)',
+    '05': '석궁사수 (석궁)',
+    '06': '장궁병 (장궁)',
+    '07': '마법사 (완드)',
+    '08': '화염술사 (파이어 오브)',
+    '09': '빙결술사 (아이스 오브)',
+    '10': '힐러 (힐링 완드)',
+    '11': '사제 (힐링 스태프)',
+    '12': '수도사 (쿼터 스태프)',
+    '13': '음유시인 (류트)',
+    '14': '댄서 (부채)',
+    '15': '악사 (하프)',
+    '16': '도적 (단검)',
+    '17': '격투가 (너클)',
+    '18': '듀얼블레이드 (듀얼 소드)',
+    '19': '암흑술사 (케인)',
+    '20': '전격술사 (라이트닝 오브)'
+};
+
+/** 역할 목록 (추천 탭 역할군 select와 동일) */
+const ROLES = ['dealer', 'tank', 'healer', 'balanced'];
+
+/** 목적 함수 목록 (RoleModels.OBJECTIVES, 미지정 시 역할별 기본값) */
+const OBJECTIVES = ['score', 'ehp', 'hps', 'utility'];
+
+/** Top-N 사전 선별 개수 (runRecommendation의 TOP_N과 동일) */
+const PREFILTER_TOP_N = 10;
+
+/** 진행률 출력 간격 (터미널이 아닐 때, ms) */
+const PROGRESS_LOG_INTERVAL_MS = 10000;
+
+/** 기본 옵션 */
+const DEFAULT_OPTIONS = {
+    classCode: '00',
+    role: 'dealer',
+    objective: null,
+    stats: {},
+    owned: null,
+    equipped: [],
+    current: null,
+    include: [],
+    exclude: [],
+    minDot: {},
+    forbidDemerit: [],
+    maxDemerit: null,
+    top: 5,
+    minDiff: null,
+    format: 'table',
+    mode: 'partial',
+    prefilter: false,
+    sensitivity: false,
+    weights: null,
+    verbose: false,
+    quiet: false
+};
+
+const USAGE = [
+    '사용법: node scripts/optimize-runes.js [옵션]',
+    '',
+    '  --class <코드>       클래스 코드 (00=전체, 01~20)',
+    '  --role <역할>        dealer | tank | healer | balanced',
+    '  --objective <목적>   score (효율 점수) | ehp (유효 체력) | hps (초당 회복량) | utility (스킬 회전율)',
+    '                       (기본: tank=ehp, healer=hps, 그 외 score. ehp/hps는 def/hp/heal/atk 스탯 사용)',
+    '  --stats <값>         JSON 문자열 또는 key=value,key=value',
+    '                       (예: attackBonus=30,damageBonus=20,critRateBonus=15)',
+    '  --owned <목록>       보유 룬 ID/이름 (쉼표 구분). 지정 시 보유 룬만 탐색',
+    '  --equipped <목록>    현재 장착 룬 ID/이름 (DoT 시너지 사전 점수용)',
+    '  --current <목록>     현재 장착 룬 ID/이름[:강화] (예: 8:10,32). 지정 시 1위 조합까지',
+    '                       교체/강화 업그레이드 경로 출력',
+    '',
+    '  제약 조건 (결과에 제한이 걸린 조건 표시)',
+    '  --include <목록>     반드시 포함할 룬 ID/이름',
+    '  --exclude <목록>     사용하지 않을 룬 ID/이름',
+    '  --min-dot <유형=N>   DoT 부여 룬 최소 개수 (예: 화상=1,출혈=2)',
+    '  --forbid-demerit <목록>  허용하지 않을 결함 효과 (예: 쿨타임 회복 속도 감소)',
+    '  --max-demerit <수>   결함 가중치 합계 상한',
+    '',
+    '  --config <파일>      위 옵션을 담은 JSON 파일 (CLI 옵션이 우선)',
+    '  --top <N>            출력할 상위 조합 수 (기본 5)',
+    '  --min-diff <N>       상위 조합 간 최소 룬 차이 (기본 2, 1이면 1룬 교체 변형 허용)',
+    '  --format <형식>      table | json (기본 table)',
+    '  --mode <방식>        partial (가지치기, 기본) | two-phase (Worker 2단계 탐색)',
+    '                       | exact (전체 룬 정확 탐색, 최적해 보장 + 탐색 노드 수)',
+    '  --prefilter          exact 방식에서도 Top-N 사전 선별 후보만 탐색 (빠름, 후보 내 최적만 보장)',
+    '  --full-pool          exact 방식 기본값 (이전 버전 호환용, --prefilter 해제)',
+    '  --sensitivity        가중치 민감도 분석: 효과/유형/결함 가중치를 하나씩 ±10~30% 바꿔',
+    '                       효율 점수 정확 탐색 1위 조합이 바뀌는지와 1위 조합 룬별 유지율 출력 (시간 소요)',
+    '  --weights <파일>     가중치 프로필 JSON ({ effect, type, demerit, combatDuration })',
+    '                       지정한 키만 기본 가중치를 덮어씀 (예: { "effect": { "ADDITIONAL_HIT_RATE": 0.9 } })',
+    '  --verbose            Worker 로그 출력',
+    '  --quiet              진행률 출력 끄기 (진행률은 stderr에 출력)',
+    '  --help               도움말',
+    '',
+    '  소요 시간 (1코어 기준, 룬 데이터/제약 조건에 따라 다름)',
+    '    partial    클래스 지정 시 수십 초~수 분, --class 00은 10분 이상',
+    '    exact      상한 가지치기로 보통 partial보다 빠름, 빠른 확인은 --prefilter (후보 내 최적)',
+    '    two-phase  전체 룬 2단계 탐색으로 10분 이상'
+].join('\n');
+
+// ============================================================
+// 인자 파싱
+// ============================================================
+
+/**
+ * 쉼표 구분 목록 파싱
+ * @param {string|Array} value - 입력값
+ * @returns {Array<string>} 항목 배열
+ */
+function parseList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value)
+        .split(',')
+        .map(function(item) { return item.trim(); })
+        .filter(Boolean);
+}
+
+/**
+ * 스텟 인자 파싱 (JSON 또는 key=value 목록)
+ * @param {string|Object} value - 입력값
+ * @returns {Object} 스텟 객체
+ */
+function parseStats(value) {
+    if (typeof value === 'object' && value !== null) return value;
+
+    const text = String(value).trim();
+    if (text.startsWith('{')) {
+        return JSON.parse(text);
+    }
+
+    const stats = {};
+    parseList(text).forEach(function(pair) {
+        const [key, raw] = pair.split('=');
+        if (!key || raw === undefined) {
+            throw new Error('잘못된 스텟 형식: ' + pair);
+        }
+        const num = Number(raw);
+        stats[key.trim()] = isNaN(num) ? raw.trim() : num;
+    });
+    return stats;
+}
+
+/**
+ * DoT 최소 개수 파싱 ("화상=1,출혈=2")
+ * @param {string|Object} value - 입력값
+ * @returns {Object} { DoT 유형: 최소 개수 }
+ */
+function parseMinDot(value) {
+    if (typeof value === 'object' && value !== null) return value;
+
+    const minDot = {};
+    parseList(value).forEach(function(pair) {
+        const [dotType, raw] = pair.split('=');
+        const count = raw === undefined ? 1 : parseInt(raw, 10);
+        if (!dotType || !(count >= 0)) {
+            throw new Error('잘못된 DoT 조건 형식: ' + pair);
+        }
+        minDot[dotType.trim()] = count;
+    });
+    return minDot;
+}
+
+/**
+ * 가중치 프로필 로드 (웹 UI의 캐릭터별 가중치 프로필과 같은 형식)
+ * @param {string|Object|null} value - JSON 파일 경로 또는 프로필 객체
+ * @returns {Object|null} { effect, type, demerit, combatDuration } 덮어쓰기
+ */
+function loadWeightProfile(value) {
+    if (value === null || value === undefined) return null;
+    const profile = typeof value === 'string'
+        ? JSON.parse(fs.readFileSync(path.resolve(value), 'utf8'))
+        : value;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error('--weights 파일은 { effect, type, demerit, combatDuration } 형식의 JSON이어야 합니다.');
+    }
+    return profile;
+}
+
+/**
+ * 명령줄 인자 파싱
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+    const cli = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function() {
+            if (i + 1 >= argv.length) throw new Error(arg + ' 값이 필요합니다.');
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--class': cli.classCode = next(); break;
+            case '--role': cli.role = next(); break;
+            case '--objective': cli.objective = next(); break;
+            case '--stats': cli.stats = parseStats(next()); break;
+            case '--owned': cli.owned = parseList(next()); break;
+            case '--equipped': cli.equipped = parseList(next()); break;
+            case '--current': cli.current = parseList(next()); break;
+            case '--include': cli.include = parseList(next()); break;
+            case '--exclude': cli.exclude = parseList(next()); break;
+            case '--min-dot': cli.minDot = parseMinDot(next()); break;
+            case '--forbid-demerit': cli.forbidDemerit = parseList(next()); break;
+            case '--max-demerit': cli.maxDemerit = parseFloat(next()); break;
+            case '--config': cli.config = next(); break;
+            case '--top': cli.top = parseInt(next(), 10); break;
+            case '--min-diff': cli.minDiff = parseInt(next(), 10); break;
+            case '--format': cli.format = next(); break;
+            case '--mode': cli.mode = next(); break;
+            case '--verbose': cli.verbose = true; break;
+            case '--quiet': cli.quiet = true; break;
+            case '--prefilter': cli.prefilter = true; break;
+            case '--full-pool': cli.prefilter = false; break;
+            case '--sensitivity': cli.sensitivity = true; break;
+            case '--weights': cli.weights = next(); break;
+            case '--help':
+            case '-h': cli.help = true; break;
+            default:
+                throw new Error('알 수 없는 옵션: ' + arg);
+        }
+    }
+
+    let fileOptions = {};
+    if (cli.config) {
+        const configPath = path.resolve(cli.config);
+        fileOptions = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        if (fileOptions.stats) fileOptions.stats = parseStats(fileOptions.stats);
+        if (fileOptions.owned) fileOptions.owned = parseList(fileOptions.owned);
+        if (fileOptions.equipped) fileOptions.equipped = parseList(fileOptions.equipped);
+        if (fileOptions.current) fileOptions.current = parseList(fileOptions.current);
+        if (fileOptions.include) fileOptions.include = parseList(fileOptions.include);
+        if (fileOptions.exclude) fileOptions.exclude = parseList(fileOptions.exclude);
+        if (fileOptions.minDot) fileOptions.minDot = parseMinDot(fileOptions.minDot);
+        if (fileOptions.forbidDemerit) fileOptions.forbidDemerit = parseList(fileOptions.forbidDemerit);
+    }
+
+    const options = Object.assign({}, DEFAULT_OPTIONS, fileOptions, cli);
+    options.weights = loadWeightProfile(options.weights);
+    options.classCode = String(options.classCode).padStart(2, '0');
+
+    if (!CLASS_MAP[options.classCode]) {
+        throw new Error('알 수 없는 클래스 코드: ' + options.classCode);
+    }
+    if (ROLES.indexOf(options.role) === -1) {
+        throw new Error('알 수 없는 역할: ' + options.role + ' (' + ROLES.join(', ') + ')');
+    }
+    if (options.objective !== null && OBJECTIVES.indexOf(options.objective) === -1) {
+        throw new Error('알 수 없는 목적 함수: ' + options.objective + ' (' + OBJECTIVES.join(', ') + ')');
+    }
+    if (['table', 'json'].indexOf(options.format) === -1) {
+        throw new Error('알 수 없는 출력 형식: ' + options.format);
+    }
+    if (['partial', 'two-phase', 'exact'].indexOf(options.mode) === -1) {
+        throw new Error('알 수 없는 탐색 방식: ' + options.mode);
+    }
+    if (options.prefilter && options.mode !== 'exact') {
+        throw new Error('--prefilter는 --mode exact에서만 사용할 수 있습니다. (partial은 항상 사전 선별)');
+    }
+    if (options.maxDemerit !== null && !(options.maxDemerit >= 0)) {
+        throw new Error('--max-demerit 값은 0 이상의 숫자여야 합니다.');
+    }
+    if (options.minDiff !== null && !(options.minDiff >= 1)) {
+        throw new Error('--min-diff 값은 1 이상이어야 합니다.');
+    }
+    if (!(options.top > 0)) {
+        throw new Error('--top 값은 1 이상이어야 합니다.');
+    }
+
+    return options;
+}
+
+// ============================================================
+// 데이터 로드 / 필터링
+// ============================================================
+
+/**
+ * 4개 룬 데이터 파일 로드
+ * @returns {Array<Object>} 전체 룬 배열
+ */
+function loadAllRunes() {
+    const allRunes = [];
+    Object.keys(RUNE_FILES).forEach(function(category) {
+        const filePath = path.join(ROOT_DIR, RUNE_FILES[category]);
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const runes = data.runes || data;
+        runes.forEach(function(rune) { allRunes.push(rune); });
+    });
+    return allRunes;
+}
+
+/**
+ * ID 또는 이름 목록과 일치하는 룬 찾기
+ * @param {Array<Object>} allRunes - 전체 룬
+ * @param {Array<string>} refs - ID/이름 목록
+ * @returns {Array<Object>} 일치하는 룬
+ */
+function resolveRunes(allRunes, refs) {
+    return refs.map(function(ref) {
+        const rune = allRunes.find(function(r) {
+            return String(r.id) === ref || r.name === ref;
+        });
+        if (!rune) throw new Error('룬을 찾을 수 없습니다: ' + ref);
+        return rune;
+    });
+}
+
+/**
+ * 카테고리별 룬 필터링 (runRecommendation.filterRunesByCategory와 동일 규칙)
+ * - 장신구(03)만 클래스 제한 적용
+ * @param {Array<Object>} runes - 룬 배열
+ * @param {string} categoryCode - 카테고리 코드
+ * @param {string} classCode - 클래스 코드
+ * @returns {Array<Object>} 필터링된 룬
+ */
+function filterRunesByCategory(runes, categoryCode, classCode) {
+    const className = CLASS_MAP[classCode];
+    const shortClassName = className ? className.split(' ')[0] : '';
+
+    return runes.filter(function(rune) {
+        if (rune.category !== categoryCode) return false;
+        if (categoryCode !== '03' || classCode === '00') return true;
+
+        const runeClass = rune.classRestriction || rune.klass || null;
+        if (runeClass === null || runeClass === '00' || runeClass === '전체') return true;
+        if (runeClass === classCode) return true;
+        if (runeClass === className || runeClass === shortClassName) return true;
+        return !!(shortClassName && runeClass.indexOf(shortClassName) !== -1);
+    });
+}
+
+/**
+ * Top-N 사전 선별 (runRecommendation.filterTopN과 동일 규칙)
+ * @param {Array<Object>} runes - 룬 배열
+ * @param {number} topN - 기준별 상위 개수
+ * @param {Object} formulas - SharedFormulas
+ * @param {Object} scoreOptions - calculateUnifiedScore 옵션
+ * @returns {Array<Object>} baseScore/maxScore가 부여된 룬
+ */
+function filterTopN(runes, topN, formulas, scoreOptions) {
+    if (runes.length <= topN * 2) return runes;
+
+    const scored = runes.map(function(rune) {
+        const score = formulas.calculateUnifiedScore(rune, scoreOptions);
+        return Object.assign({}, rune, { baseScore: score, maxScore: score * 1.5 });
+    });
+
+    const byBase = scored.slice().sort(function(a, b) { return b.baseScore - a.baseScore; });
+    const byMax = scored.slice().sort(function(a, b) { return b.maxScore - a.maxScore; });
+
+    const selectedIds = new Set();
+    const result = [];
+    [byBase, byMax].forEach(function(sorted) {
+        sorted.slice(0, topN).forEach(function(rune) {
+            if (!selectedIds.has(rune.id)) {
+                selectedIds.add(rune.id);
+                result.push(rune);
+            }
+        });
+    });
+
+    return result.sort(function(a, b) { return b.maxScore - a.maxScore; });
+}
+
+/**
+ * CLI 옵션 → Worker 제약 조건 객체 변환
+ * - 룬 ID/이름은 ID로, 보유 룬 목록은 ownedIds로 변환
+ * @param {Object} options - CLI 옵션
+ * @param {Array<Object>} allRunes - 전체 룬
+ * @returns {Object|null} constraints (조건이 없으면 null)
+ */
+function buildConstraints(options, allRunes) {
+    const toIds = function(refs) {
+        return resolveRunes(allRunes, refs).map(function(rune) { return rune.id; });
+    };
+    const constraints = {};
+
+    if (options.include.length > 0) constraints.includeIds = toIds(options.include);
+    if (options.exclude.length > 0) constraints.excludeIds = toIds(options.exclude);
+    if (options.owned && options.owned.length > 0) constraints.ownedIds = toIds(options.owned);
+    if (Object.keys(options.minDot).length > 0) constraints.minDotRunes = options.minDot;
+    if (options.maxDemerit !== null) constraints.maxDemeritWeight = options.maxDemerit;
+
+    if (options.forbidDemerit.length > 0) {
+        const knownNames = {};
+        allRunes.forEach(function(rune) {
+            (rune.demerits || []).forEach(function(demerit) { knownNames[demerit.name] = true; });
+        });
+        options.forbidDemerit.forEach(function(name) {
+            if (!knownNames[name]) throw new Error('알 수 없는 결함 효과: ' + name);
+        });
+        constraints.forbiddenDemerits = options.forbidDemerit;
+    }
+
+    return Object.keys(constraints).length > 0 ? constraints : null;
+}
+
+// ============================================================
+// Worker 실행
+// ============================================================
+
+/**
+ * combination-worker.js를 vm 컨텍스트에 로드
+ * @param {Object} handlers - { onMessage, verbose }
+ * @returns {Object} Worker 전역 컨텍스트 (self)
+ */
+function createWorkerContext(handlers) {
+    const log = handlers.verbose
+        ? function() { console.error.apply(console, arguments); }
+        : function() {};
+
+    const sandbox = {
+        console: { log: log, info: log, warn: log, error: console.error, debug: log },
+        postMessage: function(message) { handlers.onMessage(message); },
+        close: function() {}
+    };
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+
+    sandbox.importScripts = function() {
+        Array.prototype.forEach.call(arguments, function(file) {
+            const filePath = path.join(FORMULAS_DIR, file);
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), sandbox, { filename: filePath });
+        });
+    };
+
+    // Worker 시작 시 시너지 규칙을 동기 요청으로 로드 (Worker 기준 상대 경로 → 파일 읽기)
+    sandbox.XMLHttpRequest = function() {
+        this.status = 0;
+        this.responseText = '';
+    };
+    sandbox.XMLHttpRequest.prototype.open = function(method, url) {
+        this.filePath = path.join(FORMULAS_DIR, url);
+    };
+    sandbox.XMLHttpRequest.prototype.send = function() {
+        try {
+            this.responseText = fs.readFileSync(this.filePath, 'utf8');
+            this.status = 200;
+        } catch (error) {
+            this.status = 404;
+        }
+    };
+
+    const workerPath = path.join(FORMULAS_DIR, 'combination-worker.js');
+    vm.runInContext(fs.readFileSync(workerPath, 'utf8'), sandbox, { filename: workerPath });
+    return sandbox;
+}
+
+/**
+ * 탐색 진행률 출력기 (stderr, JSON 출력과 섞이지 않도록)
+ * - 터미널: 한 줄을 덮어쓰며 갱신
+ * - 파이프/CI: PROGRESS_LOG_INTERVAL_MS마다 한 줄씩 출력
+ * @param {boolean} quiet - true면 출력 안 함
+ * @returns {Object} { update(message), done() }
+ */
+function createProgressReporter(quiet) {
+    const interactive = !!process.stderr.isTTY;
+    const startTime = Date.now();
+    let lastLogTime = startTime;
+    let printed = false;
+
+    return {
+        update: function(message) {
+            if (quiet) return;
+            const now = Date.now();
+            if (!interactive && now - lastLogTime < PROGRESS_LOG_INTERVAL_MS) return;
+            lastLogTime = now;
+
+            const parts = [];
+            if (message.phase) parts.push(message.phase + '단계');
+            if (message.progress !== undefined) parts.push(message.progress + '%');
+            parts.push('계산 ' + (message.processed || 0).toLocaleString());
+            if (message.skipped) parts.push('스킵 ' + message.skipped.toLocaleString());
+            if (message.bestScore) parts.push('최고 ' + message.bestScore.toFixed(1));
+            parts.push('경과 ' + Math.round((now - startTime) / 1000) + '초');
+
+            const line = '⏳ 탐색 중: ' + parts.join(' / ');
+            process.stderr.write(interactive ? '\r\x1b[K' + line : line + '\n');
+            printed = true;
+        },
+        done: function() {
+            if (quiet || !printed) return;
+            if (interactive) process.stderr.write('\r\x1b[K');
+        }
+    };
+}
+
+/**
+ * 최적 조합 탐색 실행
+ * - exact: 기본은 전체 룬 탐색 (--prefilter 지정 시 Top-N 사전 선별 후보)
+ * - partial: 항상 Top-N 사전 선별 후보 탐색 (역할 목적 함수는 Worker가 정확 탐색으로 처리)
+ * @param {Object} options - CLI 옵션
+ * @returns {Object} { pools, searchPools, prefiltered, result, ... }
+ */
+function runOptimization(options) {
+    const allRunes = loadAllRunes();
+    const constraints = buildConstraints(options, allRunes);
+
+    const equippedRunes = resolveRunes(allRunes, options.equipped || []);
+    const equippedDotTypes = [];
+    equippedRunes.forEach(function(rune) {
+        ((rune.synergy && rune.synergy.appliesDot) || []).forEach(function(dot) {
+            if (equippedDotTypes.indexOf(dot) === -1) equippedDotTypes.push(dot);
+        });
+    });
+
+    const messages = [];
+    const progress = createProgressReporter(options.quiet);
+    const worker = createWorkerContext({
+        verbose: options.verbose,
+        onMessage: function(message) {
+            if (message.type === 'progress') progress.update(message);
+            else messages.push(message);
+        }
+    });
+    // 사전 선별(calculateUnifiedScore)은 Worker 메시지 전에 실행되므로 프로필을 직접 적용
+    worker.SharedEffectWeights.setWeightOverrides(options.weights);
+
+    const stats = Object.assign(
+        { attackBonus: 0, damageBonus: 0, critRateBonus: 0 },
+        options.stats,
+        { classCode: options.classCode, className: CLASS_MAP[options.classCode], role: options.role }
+    );
+    const scoreOptions = {
+        equippedDotTypes: equippedDotTypes,
+        classCode: options.classCode,
+        role: options.role
+    };
+
+    const pools = {};
+    [['weapons', '01'], ['armors', '02'], ['accessories', '03'], ['emblems', '04']].forEach(function(entry) {
+        pools[entry[0]] = filterRunesByCategory(allRunes, entry[1], options.classCode);
+    });
+
+    if (pools.weapons.length === 0 || pools.armors.length < 5 ||
+        pools.emblems.length === 0 || pools.accessories.length < 3) {
+        throw new Error(
+            '조건에 맞는 룬이 부족합니다 (무기 ' + pools.weapons.length + ', 방어구 ' + pools.armors.length +
+            ', 엠블럼 ' + pools.emblems.length + ', 장신구 ' + pools.accessories.length + ')'
+        );
+    }
+
+    const workerOptions = { role: options.role, classCode: options.classCode, stats: stats };
+    if (options.weights) workerOptions.weightProfile = options.weights;
+    if (options.objective) workerOptions.objective = options.objective;
+    const objective = worker.RoleModels.getObjective(workerOptions);
+    const minRuneDifference = options.minDiff !== null ? options.minDiff : undefined;
+
+    // 사전 선별에서 빠진 필수 룬/DoT 부여 룬/허용 룬 상위를 제약 조건에 맞춰 보충
+    // 역할 목적 함수(ehp/hps)는 생존/회복 효과 룬도 보충
+    const prefilter = function(runes) {
+        if (options.mode === 'exact' && !options.prefilter) return runes;
+        let selected = filterTopN(runes, PREFILTER_TOP_N, worker.SharedFormulas, scoreOptions);
+        if (constraints) {
+            const byScore = runes
+                .map(function(rune) {
+                    return { rune: rune, score: worker.SharedFormulas.calculateUnifiedScore(rune, scoreOptions) };
+                })
+                .sort(function(a, b) { return b.score - a.score; })
+                .map(function(entry) { return entry.rune; });
+            selected = worker.SharedFormulas.extendPoolForConstraints(selected, byScore, constraints, PREFILTER_TOP_N);
+        }
+        return worker.RoleModels.extendPoolForObjective(selected, runes, objective, stats);
+    };
+    // partial/exact 탐색 및 민감도 분석 후보 (엠블럼/장신구는 전체 유지)
+    const searchPools = {
+        weapons: prefilter(pools.weapons),
+        armors: prefilter(pools.armors),
+        emblems: pools.emblems,
+        accessories: pools.accessories
+    };
+
+    if (options.mode === 'two-phase') {
+        worker.onmessage({
+            data: {
+                type: 'startTwoPhase',
+                data: {
+                    weapons: pools.weapons,
+                    armors: pools.armors,
+                    emblems: pools.emblems,
+                    accessories: pools.accessories,
+                    options: workerOptions,
+                    constraints: constraints,
+                    topN: options.top,
+                    minRuneDifference: minRuneDifference
+                }
+            }
+        });
+    } else {
+        worker.onmessage({
+            data: {
+                type: options.mode === 'exact' ? 'startExact' : 'startPartial',
+                data: {
+                    weapons: searchPools.weapons,
+                    armors: searchPools.armors,
+                    emblems: searchPools.emblems,
+                    accessories: searchPools.accessories,
+                    options: workerOptions,
+                    weaponStartIdx: 0,
+                    weaponEndIdx: searchPools.weapons.length,
+                    workerId: 0,
+                    topN: options.top,
+                    minRuneDifference: minRuneDifference,
+                    constraints: constraints
+                }
+            }
+        });
+    }
+
+    progress.done();
+
+    const error = messages.find(function(m) { return m.type === 'error'; });
+    if (error) throw new Error('Worker 오류: ' + error.message);
+
+    const complete = messages.find(function(m) { return m.type === 'complete'; });
+    if (!complete) throw new Error('Worker가 완료 메시지를 보내지 않았습니다.');
+
+    return {
+        pools: pools,
+        searchPools: searchPools,
+        prefiltered: options.mode !== 'two-phase' && (searchPools.weapons.length < pools.weapons.length ||
+            searchPools.armors.length < pools.armors.length),
+        constraints: constraints,
+        result: complete,
+        worker: worker,
+        workerOptions: workerOptions,
+        objective: objective,
+        options: options
+    };
+}
+
+/**
+ * 가중치 민감도 분석 (Worker startSensitivity)
+ * - 탐색 후보(searchPools)에 쓰이는 가중치마다 WEIGHT_SENSITIVITY_LEVELS 변화율로 정확 탐색 반복
+ * - 첫 시행은 기준 가중치 (기준 1위 조합), 목적 함수는 --objective와 무관하게 효율 점수
+ * @param {Object} run - runOptimization 결과
+ * @returns {Object} { baseline, report } (report: SharedFormulas.summarizeWeightSensitivity 결과)
+ */
+function runSensitivity(run) {
+    const formulas = run.worker.SharedFormulas;
+    const pools = run.searchPools;
+    const weightKeys = formulas.collectWeightKeys(
+        [].concat(pools.weapons, pools.armors, pools.emblems, pools.accessories)
+    );
+
+    const trials = [{ group: null, key: null, level: 0, overrides: null }];
+    weightKeys.forEach(function(weight) {
+        formulas.WEIGHT_SENSITIVITY_LEVELS.forEach(function(level) {
+            trials.push({
+                group: weight.group,
+                key: weight.key,
+                level: level,
+                overrides: formulas.buildWeightPerturbation(weight, level)
+            });
+        });
+    });
+
+    let complete = null;
+    run.worker.postMessage = function(message) {
+        if (message.type === 'sensitivityComplete' || message.type === 'error') complete = message;
+    };
+    run.worker.onmessage({
+        data: {
+            type: 'startSensitivity',
+            data: Object.assign({}, pools, {
+                options: run.workerOptions,
+                constraints: run.constraints,
+                workerId: 0,
+                trials: trials
+            })
+        }
+    });
+    if (!complete || complete.type === 'error') {
+        throw new Error('민감도 분석 실패' + (complete ? ': ' + complete.message : ''));
+    }
+
+    const baseline = complete.trials[0];
+    if (!baseline.combination) {
+        throw new Error('민감도 분석 실패: 기준 가중치에서 조합을 찾지 못했습니다.');
+    }
+    return {
+        baseline: baseline,
+        report: formulas.summarizeWeightSensitivity(baseline.combination, complete.trials.slice(1), weightKeys)
+    };
+}
+
+/**
+ * 현재 장착 → 목표 조합 업그레이드 경로 계획 (Worker planUpgrade)
+ * - 현재 장착 룬은 카테고리별로 슬롯 순서대로 배치 ("ID:강화" 형식으로 강화 단계 지정)
+ * @param {Object} options - CLI 옵션
+ * @param {Object} run - runOptimization 결과
+ * @returns {Object|null} planComplete 메시지 (조합이 없으면 null)
+ */
+function planUpgrade(options, run) {
+    const best = run.result.topCombinations ? run.result.topCombinations[0] : null;
+    const targetRefs = best ? best.combination : run.result.bestCombination;
+    if (!targetRefs) return null;
+
+    const allRunes = loadAllRunes();
+    const byId = function(rune) {
+        return allRunes.find(function(r) { return r.id === rune.id; });
+    };
+    const target = {
+        weapon: byId(targetRefs.weapon),
+        armors: targetRefs.armors.map(byId),
+        emblem: byId(targetRefs.emblem),
+        accessories: targetRefs.accessories.map(byId)
+    };
+
+    const slotPrefix = { '01': 'weapon', '02': 'armor', '03': 'accessory', '04': 'emblem' };
+    const slotLimit = { '01': 1, '02': 5, '03': 3, '04': 1 };
+    const used = { '01': 0, '02': 0, '03': 0, '04': 0 };
+    const equipped = {};
+    const enhanceLevels = {};
+    options.current.forEach(function(ref) {
+        const parts = ref.split(':');
+        const rune = resolveRunes(allRunes, [parts[0].trim()])[0];
+        if (used[rune.category] >= slotLimit[rune.category]) {
+            throw new Error('슬롯 수를 초과한 장착 룬: ' + ref);
+        }
+        const slotId = slotPrefix[rune.category] + '-' + (++used[rune.category]);
+        equipped[slotId] = rune;
+        enhanceLevels[slotId] = parts[1] ? parseInt(parts[1], 10) || 0 : 0;
+    });
+
+    let plan = null;
+    run.worker.postMessage = function(message) { plan = message; };
+    run.worker.onmessage({
+        data: {
+            type: 'planUpgrade',
+            data: {
+                equipped: equipped,
+                enhanceLevels: enhanceLevels,
+                target: target,
+                ownedIds: options.owned ? resolveRunes(allRunes, options.owned).map(function(r) { return r.id; }) : null,
+                options: run.workerOptions
+            }
+        }
+    });
+    if (!plan || plan.type === 'error') {
+        throw new Error('업그레이드 경로 계산 실패' + (plan ? ': ' + plan.message : ''));
+    }
+    return plan;
+}
+
+// ============================================================
+// 출력
+// ============================================================
+
+/**
+ * 점수 출력용 반올림 (소수 첫째 자리)
+ * - Worker 점수는 동률 정렬 항을 보존하려고 반올림하지 않으므로 출력할 때만 사용
+ * @param {number} score - 점수
+ * @returns {number} 반올림한 점수
+ */
+function roundScore(score) {
+    return Math.round(score * 10) / 10;
+}
+
+/**
+ * Worker 결과를 순위 목록으로 정규화
+ * @param {Object} result - Worker complete 메시지
+ * @param {number} top - 출력 개수
+ * @returns {Array<Object>} [{ rank, score, gap, weapon, armors, emblem, accessories }]
+ */
+function toRankedLoadouts(result, top) {
+    const entries = result.topCombinations ||
+        (result.bestCombination ? [{ score: result.bestScore, combination: result.bestCombination }] : []);
+
+    const summarize = function(rune) { return { id: rune.id, name: rune.name }; };
+
+    return entries.slice(0, top).map(function(entry, idx) {
+        const c = entry.combination;
+        return {
+            rank: idx + 1,
+            score: roundScore(entry.score),
+            gap: roundScore(entries[0].score - entry.score),
+            weapon: summarize(c.weapon),
+            armors: c.armors.map(summarize),
+            emblem: summarize(c.emblem),
+            accessories: c.accessories.map(summarize)
+        };
+    });
+}
+
+/**
+ * 최적해 보장 문구
+ * - Worker의 optimal은 "전달한 후보 안에서" 최적이라는 뜻이므로,
+ *   사전 선별된 후보를 탐색했으면 전체 룬 기준 보장으로 표시하지 않음
+ * @param {Object} run - runOptimization 결과
+ * @returns {string|null} 출력 문구 (사전 선별 없는 근사 탐색이면 null)
+ */
+function describeOptimality(run) {
+    const result = run.result;
+    if (result.optimal && !run.prefiltered) {
+        return '최적해 보장: 전체 ' + result.total.toLocaleString() + '개 조합 중 상한 가지치기 외 전수 확인';
+    }
+    if (!run.prefiltered) return null;
+
+    const pool = 'Top-N 사전 선별 후보(무기 ' + run.searchPools.weapons.length + '/' + run.pools.weapons.length +
+        ', 방어구 ' + run.searchPools.armors.length + '/' + run.pools.armors.length + ')';
+    const hint = ' (전체 룬 최적 보장: --mode exact' + (run.options.prefilter ? ', --prefilter 제외' : '') + ')';
+    if (result.optimal) {
+        return '선별 후보 내 최적: ' + pool + ' ' + result.total.toLocaleString() +
+            '개 조합만 확인, 전체 룬 최적은 보장하지 않음' + hint;
+    }
+    return '근사 탐색: ' + pool + ' 가지치기 탐색, 최적해 보장 없음' + hint;
+}
+
+/**
+ * 순위 목록 표 형식 출력
+ * @param {Array<Object>} loadouts - 순위 목록
+ * @param {Object} options - CLI 옵션
+ * @param {Object} run - runOptimization 결과
+ * @param {string} objectiveLabel - 목적 함수 이름
+ */
+function printTable(loadouts, options, run, objectiveLabel) {
+    const result = run.result;
+    const names = function(runes) { return runes.map(function(r) { return r.name; }).join(', '); };
+
+    console.log('클래스: ' + CLASS_MAP[options.classCode] + ' / 역할: ' + options.role +
+        ' / 목적: ' + objectiveLabel + ' / 방식: ' + options.mode);
+    console.log('');
+
+    const rows = loadouts.map(function(l) {
+        // 1위만 '-', 동점은 0.0
+        const gap = l.gap.toFixed(1);
+        return [String(l.rank), l.score.toFixed(1), l.rank === 1 ? '-' : (gap === '0.0' ? gap : '-' + gap),
+            l.weapon.name, names(l.armors), l.emblem.name, names(l.accessories)];
+    });
+    const header = ['#', '점수', '차이', '무기', '방어구', '엠블럼', '장신구'];
+    // 한글은 2칸 폭으로 계산
+    const width = function(text) { return text.replace(/[ᄀ-ᇿ㄰-㆏가-힯]/g, '  ').length; };
+    const pad = function(text, size) { return text + ' '.repeat(Math.max(0, size - width(text))); };
+    const sizes = header.map(function(h, col) {
+        return Math.max.apply(null, [width(h)].concat(rows.map(function(r) { return width(r[col]); })));
+    });
+
+    console.log(header.map(function(h, col) { return pad(h, sizes[col]); }).join('  '));
+    console.log(sizes.map(function(size) { return '-'.repeat(size); }).join('  '));
+    rows.forEach(function(row) {
+        console.log(row.map(function(cell, col) { return pad(cell, sizes[col]); }).join('  '));
+    });
+
+    const processed = result.processed !== undefined ? result.processed : result.totalProcessed;
+    console.log('');
+    console.log('계산: ' + (processed || 0).toLocaleString() +
+        (result.skipped !== undefined ? ' / 스킵: ' + result.skipped.toLocaleString() : '') +
+        (result.nodes !== undefined ? ' / 탐색 노드: ' + result.nodes.toLocaleString() : ''));
+    const optimality = describeOptimality(run);
+    if (optimality) console.log(optimality);
+    if (result.constraintReport) {
+        printConstraintReport(result.constraintReport);
+    }
+}
+
+/**
+ * 제약 조건 보고 출력
+ * - binding: 해당 조건만 풀면 더 높은 점수 조합이 있음 (gain = 점수 차이)
+ * @param {Object} report - SharedFormulas.summarizeConstraintReports 결과
+ */
+function printConstraintReport(report) {
+    console.log('');
+    console.log(report.feasible ? '제약 조건:' : '제약 조건: 모든 조건을 만족하는 조합이 없습니다');
+    report.constraints.forEach(function(constraint) {
+        let note = '';
+        if (constraint.binding) {
+            note = constraint.gain !== null ? ' (해제 시 +' + constraint.gain.toFixed(1) + '점)' : ' (충돌)';
+        }
+        console.log('  ' + (constraint.binding ? '⛔ ' : '✔ ') + constraint.label + note);
+    });
+}
+
+/**
+ * 가중치 민감도 분석 출력
+ * - 변화율 칸: · 1위 유지, 숫자 = 바뀐 룬 수, ✕ = 조합 없음
+ * @param {Object} sensitivity - runSensitivity 결과
+ * @param {Array<number>} levels - 변화율 목록
+ */
+function printSensitivity(sensitivity, levels) {
+    const { baseline, report } = sensitivity;
+    const percent = function(level) { return (level > 0 ? '+' : '') + Math.round(level * 100) + '%'; };
+
+    console.log('');
+    console.log('가중치 민감도 분석: 가중치 ' + report.weights.length + '개 × 변화율 ' + levels.length +
+        '단계 = ' + report.trialCount + '회, 1위 조합 변경 ' + report.flipCount + '회');
+    console.log('기준 1위 (정확 탐색 ' + baseline.score.toFixed(1) + '점): ' +
+        [baseline.combination.weapon].concat(baseline.combination.armors, [baseline.combination.emblem],
+            baseline.combination.accessories).map(function(r) { return r.name; }).join(', '));
+    console.log('');
+
+    const header = ['가중치', '기준'].concat(levels.map(percent), ['룬 수']);
+    const rows = report.weights.map(function(weight) {
+        const cells = levels.map(function(level) {
+            const entry = weight.levels.find(function(l) { return l.level === level; });
+            if (!entry || !entry.changed) return '·';
+            return entry.diff === null ? '✕' : String(entry.diff);
+        });
+        const name = weight.group + ' ' + weight.key + (weight.label !== weight.key ? ' (' + weight.label + ')' : '');
+        return [name, weight.base.toFixed(2)].concat(cells, [String(weight.runeCount)]);
+    });
+    // 한글은 2칸 폭으로 계산 (첫 열 왼쪽 정렬, 나머지 오른쪽 정렬)
+    const width = function(text) { return text.replace(/[ᄀ-ᇿ㄰-㆏가-힯]/g, '  ').length; };
+    const sizes = header.map(function(h, col) {
+        return Math.max.apply(null, [width(h)].concat(rows.map(function(r) { return width(r[col]); })));
+    });
+    const pad = function(text, size, col) {
+        const space = ' '.repeat(Math.max(0, size - width(text)));
+        return col === 0 ? text + space : space + text;
+    };
+    console.log(header.map(function(h, col) { return pad(h, sizes[col], col); }).join('  '));
+    rows.forEach(function(row) {
+        console.log(row.map(function(cell, col) { return pad(cell, sizes[col], col); }).join('  '));
+    });
+
+    console.log('');
+    console.log('기준 1위 룬 유지율 (변경 시행 중 그대로 선택된 비율):');
+    report.runes.forEach(function(rune) {
+        console.log('  ' + String(Math.round(rune.retention * 100)).padStart(3) + '%  [' + rune.slot + '] ' +
+            rune.name + ' (' + rune.kept + '/' + report.trialCount + ')');
+    });
+}
+
+/**
+ * 업그레이드 경로 출력
+ * @param {Object} plan - planComplete 메시지
+ */
+function printUpgradePlan(plan) {
+    console.log('');
+    console.log('업그레이드 경로: 현재 ' + plan.startScore.toFixed(1) + '점 → 1위 조합 ' +
+        plan.targetScore.toFixed(1) + '점 (강화 포함 ' + plan.finalScore.toFixed(1) + '점)');
+    if (plan.steps.length === 0) {
+        console.log('  변경할 단계가 없습니다.');
+        return;
+    }
+    plan.steps.forEach(function(step) {
+        const gain = (step.gain >= 0 ? '+' : '') + step.gain.toFixed(1) + '점';
+        const detail = step.action === 'swap'
+            ? '[교체] ' + step.slotId + ': ' + (step.replaced ? step.replaced.name : '빈 슬롯') + ' → ' + step.rune.name +
+                (step.owned === false ? ' (파밍 필요)' : '')
+            : '[강화] ' + step.slotId + ': ' + step.rune.name + ' +' + step.fromLevel + ' → +' + step.toLevel;
+        console.log('  ' + step.step + '. ' + detail + '  ' + gain + ' (' + step.score.toFixed(1) + '점)');
+    });
+}
+
+// ============================================================
+// 메인 실행
+// ============================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌ ' + error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        const run = runOptimization(options);
+        const { pools, result } = run;
+        const loadouts = toRankedLoadouts(result, options.top);
+        const plan = options.current ? planUpgrade(options, run) : null;
+        const sensitivity = options.sensitivity ? runSensitivity(run) : null;
+
+        if (options.format === 'json') {
+            console.log(JSON.stringify({
+                classCode: options.classCode,
+                role: options.role,
+                objective: run.objective,
+                mode: options.mode,
+                weights: run.worker.SharedEffectWeights.getWeightOverrides(),
+                poolSizes: {
+                    weapons: pools.weapons.length,
+                    armors: pools.armors.length,
+                    emblems: pools.emblems.length,
+                    accessories: pools.accessories.length
+                },
+                loadouts: loadouts,
+                search: {
+                    processed: result.processed !== undefined ? result.processed : result.totalProcessed,
+                    skipped: result.skipped,
+                    nodes: result.nodes,
+                    // optimal: 전체 룬 기준 최적 보장, optimalWithinPool: 탐색 후보 내 최적
+                    optimal: result.optimal === true && !run.prefiltered,
+                    optimalWithinPool: result.optimal === true,
+                    prefiltered: run.prefiltered,
+                    searchPoolSizes: {
+                        weapons: run.searchPools.weapons.length,
+                        armors: run.searchPools.armors.length,
+                        emblems: run.searchPools.emblems.length,
+                        accessories: run.searchPools.accessories.length
+                    }
+                },
+                constraints: result.constraintReport || null,
+                upgradePlan: plan ? { startScore: roundScore(plan.startScore), targetScore: roundScore(plan.targetScore),
+                    finalScore: roundScore(plan.finalScore), steps: plan.steps.map(function(step) {
+                        return Object.assign({}, step, { gain: roundScore(step.gain), score: roundScore(step.score) });
+                    }) } : null,
+                sensitivity: sensitivity ? {
+                    levels: run.worker.SharedFormulas.WEIGHT_SENSITIVITY_LEVELS,
+                    baselineScore: roundScore(sensitivity.baseline.score),
+                    trialCount: sensitivity.report.trialCount,
+                    flipCount: sensitivity.report.flipCount,
+                    weights: sensitivity.report.weights,
+                    runes: sensitivity.report.runes
+                } : null
+            }, null, 2));
+        } else {
+            printTable(loadouts, options, run, run.worker.RoleModels.OBJECTIVES[run.objective].label);
+            if (plan) printUpgradePlan(plan);
+            if (sensitivity) printSensitivity(sensitivity, run.worker.SharedFormulas.WEIGHT_SENSITIVITY_LEVELS);
+        }
+    } catch (error) {
+        console.error('❌ ' + error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadAllRunes,
+    createWorkerContext,
+    runOptimization,
+    planUpgrade,
+    runSensitivity,
+    toRankedLoadouts
+};
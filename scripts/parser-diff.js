@@ -0,0 +1,476 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 파서 전환 차이 리포트
+ * ============================================================
+ * @file parser-diff.js
+ * @description 공유 파서(RuneEffectParser) 결과와 기존 결과가 다른 룬 목록 출력
+ * @created 2025-12-15
+ * @updated 2025-12-15
+ * @version 1.1.0
+ *
+ * @architecture
+ * - 기준 1: runes-*.json에 저장된 effects/demerits/enhanceEffects (Worker/추천에서 사용)
+ * - 기준 2 (--legacy <ref>): git ref 시점의 parse-runes.js 자체 파서
+ * - 효과는 "유형|이름|값" 단위로 비교하여 추가/제거 항목 표시
+ * - 값이 없는 저장 효과(수동 메모)는 파서 대상이 아니므로 비교에서 제외
+ * - --write: toRuneSchema 결과로 runes-*.json의 effects/demerits/awakening을 재생성
+ *   (수동 메모 효과, 같은 이름 효과의 note/trigger 표기, 저장된 강화 효과는 보존)
+ *
+ * @usage
+ * node scripts/parser-diff.js
+ * node scripts/parser-diff.js --legacy HEAD~1 --category 03
+ * node scripts/parser-diff.js --format json > parser-diff.json
+ * node scripts/parser-diff.js --write
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const childProcess = require('child_process');
+const RuneEffectParser = require('../formulas/rune-effect-parser.js');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 저장소 루트 경로 */
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * 카테고리별 룬 데이터 파일
+ * @description 무기 룬은 { runes: [...] } 형태, 나머지는 배열
+ */
+const RUNE_FILES = {
+    '01': 'runes-weapon.json',
+    '02': 'runes-armor.json',
+    '03': 'runes-accessory.json',
+    '04': 'runes-emblem.json'
+};
+
+/** 사용법 */
+const USAGE = [
+    '사용법: node scripts/parser-diff.js [옵션]',
+    '',
+    '  --legacy <ref>     git ref 시점의 scripts/parse-runes.js 파서와 비교',
+    '                     (생략 시 runes-*.json 저장 데이터와 비교)',
+    '  --category <코드>  01 무기, 02 방어구, 03 장신구, 04 엠블럼',
+    '  --format <형식>    table (기본) | json',
+    '  --write            공유 파서 결과로 runes-*.json 재생성',
+    '  --help             도움말'
+].join('\n');
+
+// ============================================================
+// 인자 파싱
+// ============================================================
+
+/**
+ * 명령행 인자 파싱
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+    const options = { legacy: null, category: null, format: 'table', write: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function() {
+            if (i + 1 >= argv.length) throw new Error(arg + ' 값이 필요합니다.');
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--legacy': options.legacy = next(); break;
+            case '--category': options.category = next(); break;
+            case '--format': options.format = next(); break;
+            case '--write': options.write = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default:
+                throw new Error('알 수 없는 옵션: ' + arg);
+        }
+    }
+
+    if (options.category && !RUNE_FILES[options.category]) {
+        throw new Error('알 수 없는 카테고리: ' + options.category);
+    }
+    if (['table', 'json'].indexOf(options.format) === -1) {
+        throw new Error('알 수 없는 출력 형식: ' + options.format);
+    }
+    if (options.write && options.legacy) {
+        throw new Error('--write는 --legacy와 함께 사용할 수 없습니다.');
+    }
+
+    return options;
+}
+
+// ============================================================
+// 데이터 로드
+// ============================================================
+
+/**
+ * runes-*.json 전체 로드
+ * @param {string|null} category - 카테고리 필터
+ * @returns {Array<Object>} 룬 배열
+ */
+function loadRunes(category) {
+    const runes = [];
+    Object.keys(RUNE_FILES).forEach(function(code) {
+        if (category && code !== category) return;
+        const data = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, RUNE_FILES[code]), 'utf8'));
+        (data.runes || data).forEach(function(rune) { runes.push(rune); });
+    });
+    return runes;
+}
+
+/**
+ * git ref 시점의 parse-runes.js 파서 로드
+ * @param {string} ref - git ref (커밋, 브랜치, 태그)
+ * @returns {Object} { parseRuneEffects, parseEnhanceEffects }
+ * @description 스크립트 마지막의 main() 호출을 제거하고 vm 컨텍스트에서 실행
+ */
+function loadLegacyParser(ref) {
+    const source = childProcess.execFileSync('git', ['show', ref + ':scripts/parse-runes.js'], {
+        cwd: ROOT_DIR,
+        encoding: 'utf8'
+    });
+    const sandbox = {
+        require: require,
+        console: console,
+        __dirname: __dirname,
+        __filename: path.join(__dirname, 'parse-runes.js')
+    };
+    vm.createContext(sandbox);
+    const script = source.replace(/^main\(\);?\s*$/m, '') +
+        '\n;({ parseRuneEffects: parseRuneEffects, parseEnhanceEffects: parseEnhanceEffects });';
+    const legacy = vm.runInContext(script, sandbox, { filename: ref + ':scripts/parse-runes.js' });
+
+    if (typeof legacy.parseRuneEffects !== 'function' || typeof legacy.parseEnhanceEffects !== 'function') {
+        throw new Error(ref + ' 시점의 parse-runes.js에 자체 파서가 없습니다.');
+    }
+    return legacy;
+}
+
+// ============================================================
+// 정규화 / 비교
+// ============================================================
+
+/**
+ * 비교용 효과 키 생성
+ * @param {string} type - 효과 유형
+ * @param {string} name - 효과 이름
+ * @param {*} value - 효과 값
+ * @returns {string} "유형|이름|값"
+ */
+function effectKey(type, name, value) {
+    return [type, name, value === undefined || value === null ? '-' : value].join('|');
+}
+
+/**
+ * 값이 있는 효과만 선택
+ * @param {Array<Object>} effects - 효과 배열
+ * @returns {Array<Object>} value가 있는 효과
+ * @description 값이 없는 항목은 데이터 파일에 수동으로 적은 메모 (파서 비교/재생성 대상 아님)
+ */
+function valuedEffects(effects) {
+    return (effects || []).filter(function(e) {
+        return e.value !== undefined && e.value !== null;
+    });
+}
+
+/**
+ * 데이터 파일 스키마 → 비교 형식
+ * @param {Object} source - { effects, demerits, enhanceEffects, awakening }
+ * @returns {Object} { effects, demerits, enhance, awakening } (각각 string[])
+ */
+function normalizeSchema(source) {
+    const enhance = [];
+    Object.keys(source.enhanceEffects || {}).forEach(function(level) {
+        Object.keys(source.enhanceEffects[level] || {}).forEach(function(name) {
+            enhance.push(effectKey('+' + level, name, source.enhanceEffects[level][name]));
+        });
+    });
+
+    return {
+        effects: valuedEffects(source.effects).map(function(e) {
+            return effectKey(e.type, e.name, e.value);
+        }),
+        demerits: (source.demerits || []).map(function(d) {
+            return effectKey('DEMERIT', d.name, d.value);
+        }),
+        enhance: enhance,
+        awakening: valuedEffects(source.awakening && source.awakening.effects).map(function(e) {
+            return effectKey('AWAKENING', e.name, e.value);
+        })
+    };
+}
+
+/**
+ * 기존 parse-runes.js 결과 → 비교 형식
+ * @param {Object} legacy - loadLegacyParser 결과
+ * @param {Object} rune - 룬 데이터
+ * @returns {Object} { effects, demerits, enhance }
+ */
+function normalizeLegacy(legacy, rune) {
+    const source = Object.assign({}, rune, { description: rune.description || rune.rawDescription });
+    const parsed = legacy.parseRuneEffects(source);
+    const effects = [];
+
+    parsed.effects.forEach(function(clause) {
+        (clause.effects || []).forEach(function(e) {
+            effects.push({ type: clause.type, name: e.effect, value: e.value });
+        });
+    });
+
+    return normalizeSchema({
+        effects: effects,
+        demerits: parsed.demerits.map(function(d) {
+            return { name: d.effect || d.name, value: d.value };
+        }),
+        enhanceEffects: legacy.parseEnhanceEffects(source.description)
+    });
+}
+
+/**
+ * 두 키 목록의 차이 (중복 허용 다중집합 비교)
+ * @param {Array<string>} before - 기존
+ * @param {Array<string>} after - 공유 파서
+ * @returns {Object} { added, removed }
+ */
+function diffKeys(before, after) {
+    const remaining = before.slice();
+    const added = [];
+
+    after.forEach(function(key) {
+        const index = remaining.indexOf(key);
+        if (index === -1) added.push(key);
+        else remaining.splice(index, 1);
+    });
+
+    return { added: added, removed: remaining };
+}
+
+/**
+ * 전체 룬 차이 계산
+ * @param {Array<Object>} runes - 룬 배열
+ * @param {Object|null} legacy - 기존 파서 (없으면 저장 데이터와 비교)
+ * @returns {Array<Object>} 차이가 있는 룬 목록
+ */
+function buildReport(runes, legacy) {
+    const report = [];
+
+    runes.forEach(function(rune) {
+        const before = legacy ? normalizeLegacy(legacy, rune) : normalizeSchema(rune);
+        const after = normalizeSchema(RuneEffectParser.toRuneSchema(rune));
+        const changes = {};
+
+        ['effects', 'demerits', 'enhance', 'awakening'].forEach(function(field) {
+            const diff = diffKeys(before[field], after[field]);
+            if (diff.added.length || diff.removed.length) changes[field] = diff;
+        });
+
+        if (Object.keys(changes).length > 0) {
+            report.push({ id: rune.id, name: rune.name, category: rune.category, changes: changes });
+        }
+    });
+
+    return report;
+}
+
+// ============================================================
+// 재생성 (--write)
+// ============================================================
+
+/**
+ * 저장 데이터에서 보존할 수동 입력 필드
+ * @description 설명문에 없는 값(추정 재사용 대기 시간 등)이라 파서 결과가 비어 있을 때만 채움.
+ * trigger는 정리된 표기("주변 6m 적 수 비례")라 파서 결과가 있어도 저장값 유지.
+ * 상시(PERMANENT) 효과에는 발동 조건/시간 필드를 붙이지 않음
+ */
+const HAND_FIELDS = ['trigger', 'duration', 'cooldown', 'note'];
+
+/**
+ * 파서 효과에 대응하는 저장 효과 찾기
+ * @param {Object} effect - toRuneSchema 효과
+ * @param {Array<Object>} candidates - 아직 대응되지 않은 저장 효과 (값 있는 항목)
+ * @param {Array<Object>} used - 이미 대응된 저장 효과
+ * @returns {Object|undefined} 대응 저장 효과
+ * @description 유형+이름 → 이름+값 → 유형+값 순으로 대응 (이름이 분리/정리된 효과 포함).
+ * 합쳐 적힌 저장 효과가 여러 효과로 분리된 경우 이미 대응된 효과를 다시 사용
+ */
+function findStoredMatch(effect, candidates, used) {
+    const rules = [
+        function(e) { return e.type === effect.type && e.name === effect.name; },
+        function(e) { return e.name === effect.name && e.value === effect.value; },
+        function(e) { return e.type === effect.type && e.value === effect.value; }
+    ];
+    for (let i = 0; i < rules.length; i++) {
+        const match = candidates.filter(rules[i])[0];
+        if (match) return match;
+    }
+    return used.filter(rules[2])[0];
+}
+
+/**
+ * 파서 효과 목록에 저장 데이터의 수동 입력 필드/메모 효과 병합
+ * @param {Array<Object>} parsed - toRuneSchema 효과 배열
+ * @param {Array<Object>} stored - 저장된 효과 배열
+ * @returns {Array<Object>} 병합된 효과 배열
+ */
+function mergeEffectList(parsed, stored) {
+    const candidates = valuedEffects(stored);
+    const used = [];
+    const merged = parsed.map(function(effect) {
+        const match = findStoredMatch(effect, candidates, used);
+        if (!match) return effect;
+        if (candidates.indexOf(match) !== -1) {
+            candidates.splice(candidates.indexOf(match), 1);
+            used.push(match);
+        }
+
+        const result = Object.assign({}, effect);
+        HAND_FIELDS.forEach(function(field) {
+            if (match[field] === undefined) return;
+            if (field !== 'note' && result.type === 'PERMANENT') return;
+            // 발동 조건 문구는 양쪽에 있으면 저장된 표기 유지 (파서는 조건 유무와 유형만 결정)
+            if (result[field] !== undefined && field !== 'trigger') return;
+            result[field] = match[field];
+        });
+        return result;
+    });
+
+    return merged.concat((stored || []).filter(function(e) {
+        return e.value === undefined || e.value === null;
+    }));
+}
+
+/**
+ * 룬 한 개를 공유 파서 결과로 갱신
+ * @param {Object} rune - 저장된 룬 데이터 (직접 수정)
+ * @returns {boolean} 변경 여부
+ * @description 강화 효과는 파서가 읽지 못한 수동 항목이 있어 저장값 위에 파서 결과를 덮어씀
+ */
+function applySchema(rune) {
+    const before = JSON.stringify(rune);
+    const schema = RuneEffectParser.toRuneSchema(rune);
+
+    rune.effects = mergeEffectList(schema.effects, rune.effects);
+    rune.demerits = mergeEffectList(schema.demerits, rune.demerits);
+
+    const enhance = rune.enhanceEffects || {};
+    Object.keys(schema.enhanceEffects || {}).forEach(function(level) {
+        enhance[level] = Object.assign({}, enhance[level], schema.enhanceEffects[level]);
+    });
+    rune.enhanceEffects = enhance;
+
+    if (schema.awakening) {
+        const stored = rune.awakening || {};
+        rune.awakening = Object.assign({}, stored, schema.awakening, {
+            effects: mergeEffectList(schema.awakening.effects, stored.effects),
+            note: stored.note || schema.awakening.note
+        });
+        if (!rune.awakening.note) delete rune.awakening.note;
+    }
+
+    return JSON.stringify(rune) !== before;
+}
+
+/**
+ * runes-*.json 재생성
+ * @param {string|null} category - 카테고리 필터
+ * @returns {Array<Object>} 변경된 룬 목록 ({ id, name, category })
+ */
+function writeRunes(category) {
+    const updated = [];
+
+    Object.keys(RUNE_FILES).forEach(function(code) {
+        if (category && code !== category) return;
+        const filePath = path.join(ROOT_DIR, RUNE_FILES[code]);
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        const count = updated.length;
+
+        (data.runes || data).forEach(function(rune) {
+            if (applySchema(rune)) updated.push({ id: rune.id, name: rune.name, category: rune.category });
+        });
+        if (updated.length > count) fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    });
+
+    return updated;
+}
+
+// ============================================================
+// 출력
+// ============================================================
+
+/**
+ * 표 형식 출력
+ * @param {Array<Object>} report - buildReport 결과
+ * @param {number} total - 비교한 룬 수
+ * @param {string} baseline - 비교 기준 설명
+ */
+function printTable(report, total, baseline) {
+    console.log('='.repeat(60));
+    console.log('파서 전환 차이 리포트 (기준: ' + baseline + ')');
+    console.log('='.repeat(60));
+
+    report.forEach(function(entry) {
+        console.log('\n[' + entry.category + '] #' + entry.id + ' ' + entry.name);
+        Object.keys(entry.changes).forEach(function(field) {
+            entry.changes[field].removed.forEach(function(key) { console.log('  - ' + field + ' ' + key); });
+            entry.changes[field].added.forEach(function(key) { console.log('  + ' + field + ' ' + key); });
+        });
+    });
+
+    console.log('\n' + '-'.repeat(60));
+    console.log('변경된 룬: ' + report.length + ' / ' + total);
+}
+
+// ============================================================
+// 메인 처리
+// ============================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌ ' + error.message + '\n\n' + USAGE);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.write) {
+        const updated = writeRunes(options.category);
+        updated.forEach(function(entry) {
+            console.log('[' + entry.category + '] #' + entry.id + ' ' + entry.name);
+        });
+        console.log('\n재생성된 룬: ' + updated.length);
+        return;
+    }
+
+    const runes = loadRunes(options.category);
+    const legacy = options.legacy ? loadLegacyParser(options.legacy) : null;
+    const baseline = options.legacy ? options.legacy + ':scripts/parse-runes.js' : 'runes-*.json 저장 데이터';
+    const report = buildReport(runes, legacy);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ baseline: baseline, total: runes.length, changed: report }, null, 2));
+    } else {
+        printTable(report, runes.length, baseline);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadRunes: loadRunes,
+    loadLegacyParser: loadLegacyParser,
+    buildReport: buildReport,
+    applySchema: applySchema
+};
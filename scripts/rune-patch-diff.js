@@ -0,0 +1,468 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 룬 데이터 패치 비교
+ * ============================================================
+ * @file rune-patch-diff.js
+ * @description 두 룬 데이터 스냅샷을 비교하여 추가/삭제/문구 변경 룬과
+ *              효과별 수치/발동 조건/지속 시간 변경(예: "공격력 증가 15% → 12%") 출력
+ * @created 2025-12-15
+ * @updated 2025-12-15
+ * @version 1.1.0
+ *
+ * @architecture
+ * - 스냅샷: JSON 파일(runes.json 또는 runes-*.json), 디렉토리(runes-*.json 4개),
+ *           git ref 지정("<ref>:<경로>", "<ref>:"은 해당 시점의 runes-*.json 4개)
+ * - 룬은 ID로 매칭, 효과 목록이 없는 원본(runes.json)은 공유 파서로 파싱 후 비교
+ * - 효과는 유형+이름으로 매칭 후 수치, trigger/condition/지속 시간/재사용 대기/중첩/dpsRelevant 비교
+ * - 엠블럼 각성 효과도 비교 (발동 조건/지속 시간/재사용 대기는 각성 단위)
+ * - --write: UI "패치 변경" 뱃지용 변경 기록(runes-changes.json) 생성
+ *
+ * @usage
+ * node scripts/rune-patch-diff.js HEAD~1: .
+ * node scripts/rune-patch-diff.js old/runes.json runes.json --format json
+ * node scripts/rune-patch-diff.js v2.0.0: . --write runes-changes.json
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const RuneEffectParser = require('../formulas/rune-effect-parser.js');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 저장소 루트 경로 */
+const ROOT_DIR = path.join(__dirname, '..');
+
+/** 파싱 룬 데이터 파일 (디렉토리/ref 스냅샷 구성) */
+const PARSED_FILES = [
+    'runes-weapon.json',
+    'runes-armor.json',
+    'runes-accessory.json',
+    'runes-emblem.json'
+];
+
+/**
+ * 효과 세부 비교 필드 (수치/유형 외)
+ * @description unit이 없으면 효과 단위 사용 (중첩당 수치)
+ */
+const DETAIL_FIELDS = [
+    { key: 'trigger', label: '발동 조건' },
+    { key: 'condition', label: '조건' },
+    { key: 'duration', label: '지속 시간', unit: '초' },
+    { key: 'cooldown', label: '재사용 대기', unit: '초' },
+    { key: 'stackValue', label: '중첩당' },
+    { key: 'maxStacks', label: '최대 중첩', unit: '회' },
+    { key: 'dpsRelevant', label: 'DPS 계산' }
+];
+
+/** 변경 상태 라벨 */
+const STATUS_LABEL = {
+    added: '추가',
+    removed: '삭제',
+    changed: '변경'
+};
+
+/** 사용법 */
+const USAGE = [
+    '사용법: node scripts/rune-patch-diff.js <이전 스냅샷> <새 스냅샷> [옵션]',
+    '',
+    '  스냅샷 형식:',
+    '    runes.json, runes-armor.json   JSON 파일',
+    '    data/                          runes-*.json 4개가 있는 디렉토리',
+    '    HEAD~1:runes.json              git ref 시점의 파일',
+    '    HEAD~1:                        git ref 시점의 runes-*.json 4개',
+    '',
+    '  --format <형식>   table (기본) | json',
+    '  --write <파일>    UI 뱃지용 변경 기록 저장 (예: runes-changes.json)',
+    '  --help            도움말'
+].join('\n');
+
+// ============================================================
+// 스냅샷 로드
+// ============================================================
+
+/**
+ * git ref 시점의 파일 읽기
+ * @param {string} ref - git ref
+ * @param {string} filePath - 저장소 기준 경로
+ * @returns {string} 파일 내용
+ */
+function gitShow(ref, filePath) {
+    return childProcess.execFileSync('git', ['show', ref + ':' + filePath], {
+        cwd: ROOT_DIR,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
+    });
+}
+
+/**
+ * 스냅샷 지정 문자열 해석 후 로드
+ * @param {string} spec - 파일/디렉토리/"ref:경로"
+ * @returns {Object} { label, version, lastUpdated, runes }
+ */
+function loadSnapshot(spec) {
+    const files = [];
+    const refMatch = /^([^:]+):(.*)$/.exec(spec);
+    const isLocal = fs.existsSync(spec);
+
+    if (refMatch && !isLocal) {
+        const ref = refMatch[1];
+        const target = refMatch[2].replace(/\/$/, '');
+        const names = /\.json$/.test(target) ? [target] : PARSED_FILES.map(function(name) {
+            return target ? target + '/' + name : name;
+        });
+        names.forEach(function(name) {
+            files.push({ name: name, data: JSON.parse(gitShow(ref, name)) });
+        });
+    } else if (isLocal && fs.statSync(spec).isDirectory()) {
+        PARSED_FILES.forEach(function(name) {
+            files.push({ name: name, data: JSON.parse(fs.readFileSync(path.join(spec, name), 'utf8')) });
+        });
+    } else if (isLocal) {
+        files.push({ name: path.basename(spec), data: JSON.parse(fs.readFileSync(spec, 'utf8')) });
+    } else {
+        throw new Error('스냅샷을 찾을 수 없습니다: ' + spec);
+    }
+
+    const snapshot = { label: spec, version: null, lastUpdated: null, runes: [] };
+    files.forEach(function(file) {
+        const data = file.data;
+        if (!Array.isArray(data)) {
+            snapshot.version = snapshot.version || data.version || null;
+            snapshot.lastUpdated = snapshot.lastUpdated || data.lastUpdated || null;
+        }
+        snapshot.runes = snapshot.runes.concat(Array.isArray(data) ? data : (data.runes || []));
+    });
+
+    return snapshot;
+}
+
+// ============================================================
+// 비교
+// ============================================================
+
+/**
+ * 룬 설명 원문 (HTML 제거)
+ * @param {Object} rune - 룬 데이터
+ * @returns {string}
+ */
+function getRuneText(rune) {
+    return RuneEffectParser.stripHtml(rune.rawDescription || rune.description || '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * 룬 효과를 비교용 항목 목록으로 변환
+ * @param {Object} rune - 룬 데이터
+ * @returns {Array<Object>} [{ key, label, value, unit, details }]
+ * @description 효과 목록이 없는 원본 데이터(runes.json)는 공유 파서로 파싱.
+ * details는 DETAIL_FIELDS 값 (결함/강화 효과는 빈 객체)
+ * @updated 2025-12-15 - 세부 필드(details), 각성 효과 추가
+ */
+function getEffectEntries(rune) {
+    const source = Array.isArray(rune.effects) ? rune : RuneEffectParser.toRuneSchema(rune);
+    const entries = [];
+    const counts = {};
+
+    function add(group, name, value, unit, detailSource) {
+        const baseKey = group + '|' + name;
+        const details = {};
+        DETAIL_FIELDS.forEach(function(field) {
+            if (detailSource && detailSource[field.key] !== undefined) details[field.key] = detailSource[field.key];
+        });
+        counts[baseKey] = (counts[baseKey] || 0) + 1;
+        entries.push({
+            key: baseKey + '#' + counts[baseKey],
+            label: (group === '효과' ? '' : group + ' ') + name,
+            value: value,
+            unit: unit || '',
+            details: details
+        });
+    }
+
+    (source.effects || []).forEach(function(effect) {
+        add('효과', effect.name + (effect.type && effect.type !== 'PERMANENT' ? ' (' + effect.type + ')' : ''),
+            effect.value, effect.unit, effect);
+    });
+    if (source.awakening) {
+        (source.awakening.effects || []).forEach(function(effect) {
+            add('각성', effect.name, effect.value, effect.unit, source.awakening);
+        });
+    }
+    (source.demerits || []).forEach(function(demerit) {
+        add('결함', demerit.name, demerit.value, demerit.unit);
+    });
+    Object.keys(source.enhanceEffects || {}).forEach(function(level) {
+        Object.keys(source.enhanceEffects[level] || {}).forEach(function(name) {
+            const value = source.enhanceEffects[level][name];
+            add('+' + level + ' 강화', name, value, typeof value === 'number' ? '%' : '');
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * 값 표시 문자열
+ * @param {Object} entry - 효과 항목
+ * @returns {string} 예: "15%"
+ */
+function formatValue(entry) {
+    if (entry.value === undefined || entry.value === null) return '(수치 없음)';
+    return entry.value + entry.unit;
+}
+
+/**
+ * 세부 필드 값 표시 문자열
+ * @param {Object} field - DETAIL_FIELDS 항목
+ * @param {*} value - 필드 값
+ * @param {string} unit - 효과 단위
+ * @returns {string} 예: "5초", "없음", "포함"
+ */
+function formatDetail(field, value, unit) {
+    if (value === undefined || value === null) return '없음';
+    if (typeof value === 'boolean') return value ? '포함' : '제외';
+    if (typeof value !== 'number') return String(value);
+    return value + (field.unit || unit || '');
+}
+
+/**
+ * 효과 세부 필드 변경 내역
+ * @param {Object} before - 이전 효과 항목
+ * @param {Object} after - 새 효과 항목
+ * @returns {Array<string>} 예: ["공격력 증가 (TRIGGER) 발동 조건: 전투 중 → 전투 중 5초마다"]
+ */
+function diffDetails(before, after) {
+    const changes = [];
+    DETAIL_FIELDS.forEach(function(field) {
+        const from = before.details[field.key];
+        const to = after.details[field.key];
+        if (from === to) return;
+        changes.push(before.label + ' ' + field.label + ': ' +
+            formatDetail(field, from, before.unit) + ' → ' + formatDetail(field, to, after.unit));
+    });
+    return changes;
+}
+
+/**
+ * 룬 1개의 변경 내역
+ * @param {Object} before - 이전 룬
+ * @param {Object} after - 새 룬
+ * @returns {Array<string>} 변경 설명 목록 (변경 없으면 빈 배열)
+ */
+function diffRune(before, after) {
+    const changes = [];
+
+    if (before.name !== after.name) {
+        changes.push('이름: ' + before.name + ' → ' + after.name);
+    }
+    if ((before.gradeName || before.grade) !== (after.gradeName || after.grade)) {
+        changes.push('등급: ' + (before.gradeName || before.grade) + ' → ' + (after.gradeName || after.grade));
+    }
+    if (getRuneText(before) !== getRuneText(after)) {
+        changes.push('설명 문구 변경');
+    }
+
+    const beforeEntries = getEffectEntries(before);
+    const afterEntries = getEffectEntries(after);
+    const afterByKey = {};
+    afterEntries.forEach(function(entry) { afterByKey[entry.key] = entry; });
+
+    beforeEntries.forEach(function(entry) {
+        const next = afterByKey[entry.key];
+        if (!next) {
+            changes.push('- ' + entry.label + ' ' + formatValue(entry));
+        } else {
+            if (next.value !== entry.value || next.unit !== entry.unit) {
+                changes.push(entry.label + ' ' + formatValue(entry) + ' → ' + formatValue(next));
+            }
+            changes.push.apply(changes, diffDetails(entry, next));
+        }
+        delete afterByKey[entry.key];
+    });
+    afterEntries.forEach(function(entry) {
+        if (afterByKey[entry.key]) {
+            changes.push('+ ' + entry.label + ' ' + formatValue(entry));
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * 두 스냅샷 비교
+ * @param {Object} from - 이전 스냅샷
+ * @param {Object} to - 새 스냅샷
+ * @returns {Array<Object>} [{ id, name, category, status, changes }] (ID 순)
+ */
+function diffSnapshots(from, to) {
+    const fromById = {};
+    const toById = {};
+    from.runes.forEach(function(rune) { fromById[rune.id] = rune; });
+    to.runes.forEach(function(rune) { toById[rune.id] = rune; });
+
+    const ids = Object.keys(Object.assign({}, fromById, toById)).sort(function(a, b) {
+        return Number(a) - Number(b);
+    });
+
+    const result = [];
+    ids.forEach(function(id) {
+        const before = fromById[id];
+        const after = toById[id];
+        const rune = after || before;
+        const entry = { id: rune.id, name: rune.name, category: rune.category };
+
+        if (!before) {
+            entry.status = 'added';
+            entry.changes = getEffectEntries(after).map(function(e) { return '+ ' + e.label + ' ' + formatValue(e); });
+        } else if (!after) {
+            entry.status = 'removed';
+            entry.changes = [];
+        } else {
+            entry.status = 'changed';
+            entry.changes = diffRune(before, after);
+            if (entry.changes.length === 0) return;
+        }
+        result.push(entry);
+    });
+
+    return result;
+}
+
+/**
+ * UI 뱃지용 변경 기록 생성
+ * @param {Object} from - 이전 스냅샷
+ * @param {Object} to - 새 스냅샷
+ * @param {Array<Object>} diff - diffSnapshots 결과
+ * @returns {Object} runes-changes.json 형식
+ * @description version은 새 스냅샷 버전 (UI는 데이터 버전과 일치할 때만 뱃지 표시)
+ */
+function buildChangelog(from, to, diff) {
+    const runes = {};
+    diff.forEach(function(entry) {
+        if (entry.status === 'removed') return;
+        runes[entry.id] = { status: entry.status, name: entry.name, changes: entry.changes };
+    });
+
+    return {
+        version: to.version,
+        lastUpdated: to.lastUpdated,
+        from: { version: from.version, lastUpdated: from.lastUpdated },
+        removed: diff.filter(function(entry) { return entry.status === 'removed'; })
+            .map(function(entry) { return { id: entry.id, name: entry.name }; }),
+        runes: runes
+    };
+}
+
+// ============================================================
+// 출력
+// ============================================================
+
+/**
+ * 표 형식 출력
+ * @param {Object} from - 이전 스냅샷
+ * @param {Object} to - 새 스냅샷
+ * @param {Array<Object>} diff - diffSnapshots 결과
+ */
+function printTable(from, to, diff) {
+    const versionLabel = function(snapshot) {
+        return snapshot.label + (snapshot.version ? ' (v' + snapshot.version + ', ' + snapshot.lastUpdated + ')' : '');
+    };
+
+    console.log('='.repeat(60));
+    console.log('룬 데이터 패치 비교');
+    console.log('  이전: ' + versionLabel(from));
+    console.log('  이후: ' + versionLabel(to));
+    console.log('='.repeat(60));
+
+    ['added', 'removed', 'changed'].forEach(function(status) {
+        const entries = diff.filter(function(entry) { return entry.status === status; });
+        if (entries.length === 0) return;
+
+        console.log('\n[' + STATUS_LABEL[status] + '] ' + entries.length + '개');
+        entries.forEach(function(entry) {
+            console.log('  #' + entry.id + ' ' + entry.name);
+            entry.changes.forEach(function(change) { console.log('      ' + change); });
+        });
+    });
+
+    console.log('\n' + '-'.repeat(60));
+    console.log('추가 ' + diff.filter(function(e) { return e.status === 'added'; }).length +
+        ', 삭제 ' + diff.filter(function(e) { return e.status === 'removed'; }).length +
+        ', 변경 ' + diff.filter(function(e) { return e.status === 'changed'; }).length);
+}
+
+// ============================================================
+// 메인 처리
+// ============================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const positional = [];
+    const options = { format: 'table', write: null };
+
+    try {
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const next = function() {
+                if (i + 1 >= args.length) throw new Error(arg + ' 값이 필요합니다.');
+                return args[++i];
+            };
+            switch (arg) {
+                case '--format': options.format = next(); break;
+                case '--write': options.write = next(); break;
+                case '--help':
+                case '-h': options.help = true; break;
+                default:
+                    if (arg.indexOf('--') === 0) throw new Error('알 수 없는 옵션: ' + arg);
+                    positional.push(arg);
+            }
+        }
+        if (!options.help && positional.length !== 2) {
+            throw new Error('비교할 스냅샷 2개가 필요합니다.');
+        }
+        if (['table', 'json'].indexOf(options.format) === -1) {
+            throw new Error('알 수 없는 출력 형식: ' + options.format);
+        }
+    } catch (error) {
+        console.error('❌ ' + error.message + '\n\n' + USAGE);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const from = loadSnapshot(positional[0]);
+    const to = loadSnapshot(positional[1]);
+    const diff = diffSnapshots(from, to);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({
+            from: { label: from.label, version: from.version, lastUpdated: from.lastUpdated },
+            to: { label: to.label, version: to.version, lastUpdated: to.lastUpdated },
+            runes: diff
+        }, null, 2));
+    } else {
+        printTable(from, to, diff);
+    }
+
+    if (options.write) {
+        const changelog = buildChangelog(from, to, diff);
+        fs.writeFileSync(path.resolve(options.write), JSON.stringify(changelog, null, 4) + '\n', 'utf8');
+        console.error('✅ 변경 기록 저장: ' + options.write + ' (룬 ' + Object.keys(changelog.runes).length + '개)');
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadSnapshot: loadSnapshot,
+    diffSnapshots: diffSnapshots,
+    buildChangelog: buildChangelog
+};
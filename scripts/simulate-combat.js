@@ -0,0 +1,214 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 전투 타임라인 시뮬레이션
+ * ============================================================
+ * @file simulate-combat.js
+ * @description 지정한 룬 조합으로 전투를 시뮬레이션하여
+ *              효과별 실제 업타임/평균 중첩과 DPS 지수 추이 출력
+ * @created 2025-12-15
+ * @version 1.0.0
+ *
+ * @architecture
+ * - 시뮬레이터: formulas/combat-simulator.js (CombatSimulator.simulateCombat)
+ * - 입력: runes-*.json 의 effects / awakening
+ * - simulated: false 항목은 트리거 해석 불가 → 기존 추정 업타임 사용
+ *
+ * @usage
+ * node scripts/simulate-combat.js --id 12 --id 85
+ * node scripts/simulate-combat.js --id 12 --rotation combo=2,skill=0.5 --duration 60
+ * node scripts/simulate-combat.js --id 255 --format json > timeline.json
+ * ============================================================
+ */
+
+const CombatSimulator = require('../formulas/combat-simulator.js');
+const { loadRunes } = require('./parser-diff.js');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 사용법 */
+const USAGE = [
+    '사용법: node scripts/simulate-combat.js --id <룬 ID> [옵션]',
+    '',
+    '  --id <룬 ID>          시뮬레이션할 룬 (여러 번 지정 가능)',
+    '  --rotation <k=v,...>  행동 로테이션 덮어쓰기 (초당 횟수 / 비율)',
+    '                        키: ' + Object.keys(CombatSimulator.DEFAULT_ROTATION).join(', '),
+    '  --duration <초>       전투 시간 (기본 ' + CombatSimulator.SIMULATION_DEFAULTS.DURATION + ')',
+    '  --dt <초>             시간 간격 (기본 ' + CombatSimulator.SIMULATION_DEFAULTS.TIME_STEP + ')',
+    '  --awakening-cdr <초>  각성 쿨타임 감소량',
+    '  --format <형식>       table (기본) | json',
+    '  --help                도움말'
+].join('\n');
+
+// ============================================================
+// 인자 파싱
+// ============================================================
+
+/**
+ * 양수 옵션 값 파싱
+ * @param {string} name - 옵션 이름
+ * @param {string} value - 입력값
+ * @returns {number} 숫자
+ */
+function parsePositive(name, value) {
+    const number = parseFloat(value);
+    if (!(number > 0)) throw new Error(name + ' 값은 0보다 큰 숫자여야 합니다: ' + value);
+    return number;
+}
+
+/**
+ * 로테이션 문자열 파싱 ("combo=2,skill=0.5")
+ * @param {string} text - 입력 문자열
+ * @returns {Object} 로테이션 덮어쓰기 값
+ */
+function parseRotation(text) {
+    const rotation = {};
+    text.split(',').forEach(function(pair) {
+        const parts = pair.split('=');
+        const key = parts[0].trim();
+        const value = parseFloat(parts[1]);
+        if (!(key in CombatSimulator.DEFAULT_ROTATION)) {
+            throw new Error('알 수 없는 로테이션 키: ' + key);
+        }
+        if (isNaN(value) || value < 0) {
+            throw new Error('로테이션 값은 0 이상의 숫자여야 합니다: ' + pair);
+        }
+        rotation[key] = value;
+    });
+    return rotation;
+}
+
+/**
+ * 명령행 인자 파싱
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} 옵션
+ */
+function parseArgs(argv) {
+    const options = { ids: [], rotation: {}, format: 'table' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function() {
+            if (i + 1 >= argv.length) throw new Error(arg + ' 값이 필요합니다.');
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--id': options.ids.push(next()); break;
+            case '--rotation': Object.assign(options.rotation, parseRotation(next())); break;
+            case '--duration': options.duration = parsePositive(arg, next()); break;
+            case '--dt': options.dt = parsePositive(arg, next()); break;
+            case '--awakening-cdr': options.awakeningCooldownReduction = parseFloat(next()) || 0; break;
+            case '--format': options.format = next(); break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default:
+                throw new Error('알 수 없는 옵션: ' + arg);
+        }
+    }
+
+    if (!options.help && options.ids.length === 0) {
+        throw new Error('--id 로 룬을 1개 이상 지정해야 합니다.');
+    }
+    if (['table', 'json'].indexOf(options.format) === -1) {
+        throw new Error('알 수 없는 출력 형식: ' + options.format);
+    }
+
+    return options;
+}
+
+// ============================================================
+// 출력
+// ============================================================
+
+/**
+ * 표 형식 출력
+ * @param {Object} result - simulateCombat 결과
+ */
+function printTable(result) {
+    console.log('='.repeat(60));
+    console.log('전투 시뮬레이션 (' + result.duration + '초, 간격 ' + result.dt + '초)');
+    console.log('='.repeat(60));
+
+    result.effects.forEach(function(effect) {
+        const parts = [
+            '업타임 ' + (effect.uptime * 100).toFixed(1) + '%',
+            '평균 ' + effect.averageValue + effect.unit
+        ];
+        if (effect.averageStacks !== undefined) {
+            parts.push('평균 중첩 ' + effect.averageStacks + '/' + effect.maxStacks);
+        }
+        if (effect.activations !== null) parts.push('발동 ' + effect.activations + '회');
+        if (effect.formulaUptime !== undefined) {
+            parts.push('공식 ' + (effect.formulaUptime * 100).toFixed(1) + '%');
+        }
+
+        console.log('\n#' + effect.runeId + ' ' + effect.runeName + ' › ' + effect.name +
+            ' [' + effect.type + (effect.simulated ? '' : ', 추정') + ']');
+        if (effect.trigger) console.log('    조건: ' + effect.trigger);
+        console.log('    ' + parts.join(' · '));
+    });
+
+    console.log('\n' + '-'.repeat(60));
+    Object.keys(result.totals).forEach(function(name) {
+        console.log('  ' + name + ': 평균 ' + result.totals[name] + '%');
+    });
+    console.log('평균 DPS 지수: ' + result.averageDpsIndex);
+
+    // 10초 단위 DPS 추이
+    const step = Math.max(1, Math.round(10 / (result.timeline[1] ? result.timeline[1].time : 10)));
+    const trend = result.timeline.filter(function(_, index) { return index % step === 0; });
+    console.log('DPS 추이: ' + trend.map(function(point) {
+        return point.time + 's ' + point.dpsIndex.toFixed(3);
+    }).join(' | '));
+}
+
+// ============================================================
+// 메인 처리
+// ============================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌ ' + error.message + '\n\n' + USAGE);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const allRunes = loadRunes(null);
+    const runes = options.ids.map(function(id) {
+        const rune = allRunes.find(function(candidate) { return String(candidate.id) === id; });
+        if (!rune) {
+            console.error('❌ 룬을 찾을 수 없습니다: ' + id);
+            process.exit(2);
+        }
+        return rune;
+    });
+
+    const result = CombatSimulator.simulateCombat(runes, {
+        duration: options.duration,
+        dt: options.dt,
+        rotation: options.rotation,
+        awakeningCooldownReduction: options.awakeningCooldownReduction
+    });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printTable(result);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseRotation: parseRotation
+};
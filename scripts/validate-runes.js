@@ -0,0 +1,95 @@
+/**
+ * ============================================================
+ * 마비노기 모바일 룬 효율 계산기 - 룬 데이터 스키마 검증
+ * ============================================================
+ * @file validate-runes.js
+ * @description runes-*.json을 RuneSchema로 검증하고 필드별 오류 출력
+ * @created 2025-12-15
+ * @version 1.0.0
+ *
+ * @architecture
+ * - 브라우저 DataLoader.loadRuneData와 동일한 검증기(constants/rune-schema.js) 사용
+ * - 오류가 하나라도 있으면 종료 코드 1
+ *
+ * @usage
+ * node scripts/validate-runes.js                      # 4개 데이터 파일 전체
+ * node scripts/validate-runes.js runes-armor.json     # 특정 파일
+ * node scripts/validate-runes.js --print-schema > rune.schema.json
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RuneSchema = require('../constants/rune-schema.js');
+
+// ============================================================
+// 상수 정의
+// ============================================================
+
+/** 저장소 루트 경로 */
+const ROOT_DIR = path.join(__dirname, '..');
+
+/** 기본 검증 대상 파일 */
+const DEFAULT_FILES = [
+    'runes-weapon.json',
+    'runes-armor.json',
+    'runes-accessory.json',
+    'runes-emblem.json'
+];
+
+// ============================================================
+// 메인 처리
+// ============================================================
+
+function main() {
+    const args = process.argv.slice(2);
+
+    if (args.indexOf('--help') !== -1 || args.indexOf('-h') !== -1) {
+        console.log('사용법: node scripts/validate-runes.js [파일...] [--print-schema]');
+        return;
+    }
+    if (args.indexOf('--print-schema') !== -1) {
+        console.log(JSON.stringify(RuneSchema.RUNE_SCHEMA, null, 2));
+        return;
+    }
+
+    const files = args.length ? args : DEFAULT_FILES;
+    let totalRunes = 0;
+    let totalInvalid = 0;
+    let failed = false;
+
+    files.forEach(function(file) {
+        const filePath = path.resolve(ROOT_DIR, file);
+        const fileName = path.basename(filePath);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.log('✗ ' + fileName + ': ' + error.message);
+            failed = true;
+            return;
+        }
+
+        const result = RuneSchema.validateRuneFile(data, fileName);
+        totalRunes += result.runes.length;
+        totalInvalid += result.invalidRunes.length;
+
+        if (result.valid) {
+            console.log('✓ ' + fileName + ' (' + result.runes.length + '개)');
+            return;
+        }
+
+        failed = true;
+        console.log('✗ ' + fileName + ' (' + result.invalidRunes.length + ' / ' + result.runes.length + '개 오류)');
+        RuneSchema.formatErrors(result, fileName).forEach(function(line) {
+            console.log('    ' + line);
+        });
+    });
+
+    console.log('-'.repeat(60));
+    console.log((failed ? '❌' : '✅') + ' 룬 ' + totalRunes + '개 중 오류 ' + totalInvalid + '개');
+
+    if (failed) process.exit(1);
+}
+
+main();